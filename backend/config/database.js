@@ -70,4 +70,15 @@ async function disconnectDatabase() {
   }
 }
 
-module.exports = { prisma, connectDatabase, disconnectDatabase };
+/**
+ * True when an error means there is no database to query (no Prisma client,
+ * or it can't reach the configured database) rather than a failed query.
+ * Routes that fall back to demo data only on a missing database use this.
+ */
+function isDatabaseUnavailable(error) {
+  if (!error) return false;
+  return String(error.message || '').startsWith('Database not available')
+    || error.name === 'PrismaClientInitializationError';
+}
+
+module.exports = { prisma, connectDatabase, disconnectDatabase, isDatabaseUnavailable };
@@ -0,0 +1,109 @@
+/**
+ * DisputeAI - AI-Powered Chargeback Defense Platform
+ * Outbound Mail Configuration (SMTP + log transport)
+ *
+ * Sends over SMTP when SMTP_HOST is set (point it at a local catcher such as
+ * MailHog or Mailpit on port 1025 in development), through SendGrid's SMTP
+ * relay when only SENDGRID_API_KEY is set, and otherwise renders each
+ * message and writes it to the log. MAIL_TRANSPORT=smtp|log forces one.
+ * setMailTransport() swaps in any nodemailer transport, or an object with a
+ * sendMail(message) method.
+ */
+
+const nodemailer = require('nodemailer');
+const logger = require('../utils/logger');
+
+const MAIL_FROM = {
+  name: process.env.EMAIL_FROM_NAME || 'DisputeAI',
+  address: process.env.EMAIL_FROM || 'noreply@disputeai.com'
+};
+
+function _smtpSettings() {
+  if (!process.env.SMTP_HOST && process.env.SENDGRID_API_KEY) {
+    return { host: 'smtp.sendgrid.net', port: 587, user: 'apikey', pass: process.env.SENDGRID_API_KEY };
+  }
+  return {
+    host: process.env.SMTP_HOST || 'localhost',
+    port: parseInt(process.env.SMTP_PORT, 10) || 587,
+    user: process.env.SMTP_USER,
+    pass: process.env.SMTP_PASS
+  };
+}
+
+let transport = null;
+let transportType = null;
+
+function _createTransport() {
+  const type = process.env.MAIL_TRANSPORT || (process.env.SMTP_HOST || process.env.SENDGRID_API_KEY ? 'smtp' : 'log');
+
+  if (type === 'smtp') {
+    const { host, port, user, pass } = _smtpSettings();
+    transportType = 'smtp';
+    return nodemailer.createTransport({
+      host,
+      port,
+      secure: process.env.SMTP_SECURE ? process.env.SMTP_SECURE === 'true' : port === 465,
+      ...(user && { auth: { user, pass } })
+    });
+  }
+
+  if (type !== 'log') {
+    logger.warn(`Unknown MAIL_TRANSPORT "${type}", logging mail instead`);
+  }
+  transportType = 'log';
+  return nodemailer.createTransport({ jsonTransport: true });
+}
+
+function getMailTransport() {
+  if (!transport) transport = _createTransport();
+  return transport;
+}
+
+/**
+ * Replace the transport, e.g. with a test double. Passing null goes back to
+ * the environment's transport on the next send.
+ */
+function setMailTransport(custom, type = 'custom') {
+  transport = custom;
+  transportType = custom ? type : null;
+}
+
+/**
+ * Send a message from MAIL_FROM.
+ *
+ * @param {Object} message - nodemailer message: { to, subject, html, text, attachments }
+ * @returns {Promise<Object>} { messageId, accepted, rejected, transport }
+ */
+async function sendMail(message) {
+  const info = await getMailTransport().sendMail({ from: MAIL_FROM, ...message });
+
+  if (transportType === 'log') {
+    const recipients = [].concat(message.to).join(', ');
+    const attachments = (message.attachments || []).map((a) => a.filename).join(', ');
+    logger.info(`Mail (log transport) to ${recipients}: "${message.subject}"${attachments ? ` [${attachments}]` : ''}`);
+  }
+
+  return {
+    messageId: info.messageId,
+    accepted: info.accepted || [].concat(message.to),
+    rejected: info.rejected || [],
+    transport: transportType
+  };
+}
+
+function getMailInfo() {
+  getMailTransport();
+  const { host, port } = _smtpSettings();
+  return {
+    transport: transportType,
+    from: `${MAIL_FROM.name} <${MAIL_FROM.address}>`,
+    ...(transportType === 'smtp' && { host, port })
+  };
+}
+
+module.exports = {
+  sendMail,
+  setMailTransport,
+  getMailTransport,
+  getMailInfo
+};
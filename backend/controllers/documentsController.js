@@ -7,7 +7,6 @@ const { prisma } = require('../config/database');
 const storage = require('../config/storage');
 const logger = require('../utils/logger');
 const { v4: uuidv4 } = require('uuid');
-const path = require('path');
 
 /**
  * Get all supporting documents
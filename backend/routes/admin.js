@@ -6,11 +6,21 @@
 const express = require('express');
 const bcrypt = require('bcryptjs');
 const multer = require('multer');
-const { prisma } = require('../config/database');
+const crypto = require('crypto');
+const { prisma, isDatabaseUnavailable } = require('../config/database');
 const { authenticateToken, requireRole } = require('../middleware/auth');
-const { createPropertySchema, createProviderSchema } = require('../utils/validators');
+const { createPropertySchema, createProviderSchema, createIntegrationSchema, updateIntegrationSchema } = require('../utils/validators');
 const logger = require('../utils/logger');
 const documentsController = require('../controllers/documentsController');
+const { replayWebhookEvent } = require('../services/webhookProcessor');
+const { getQueue, getQueueStats, retryDeadLetterJob, DEAD_LETTER_QUEUE } = require('../services/queue/queueManager');
+const { scheduleIntegration, unscheduleIntegration, getSyncSchedules, validateCron, classifyIntegration } = require('../services/queue/scheduledSync');
+const aiDefenseConfig = require('../services/aiDefenseConfig');
+const deadlines = require('../services/deadlines');
+const caseAssignment = require('../services/caseAssignment');
+const { runBacktest } = require('../services/scoringBacktest');
+const scheduledReports = require('../services/scheduledReports');
+const { getMailInfo } = require('../config/mail');
 
 // Configure multer for file uploads
 const upload = multer({
@@ -497,6 +507,304 @@ router.patch('/providers/:id', async (req, res) => {
   }
 });
 
+// =============================================================================
+// INTEGRATIONS
+// =============================================================================
+
+function sanitizeIntegration(integration) {
+  return {
+    ...integration,
+    credentials: integration.credentials ? '***configured***' : null,
+    webhookSecret: integration.webhookSecret ? '***configured***' : null,
+    accessToken: integration.accessToken ? '***configured***' : null,
+    refreshToken: integration.refreshToken ? '***configured***' : null,
+    webhookPath: pmsWebhookPath(integration)
+  };
+}
+
+/** New token for an integration's inbound webhook URL */
+function newWebhookToken() {
+  return crypto.randomBytes(24).toString('hex');
+}
+
+/**
+ * Path a PMS posts webhooks to for this integration, or null for
+ * integrations that don't receive PMS webhooks
+ */
+function pmsWebhookPath(integration) {
+  const kind = classifyIntegration(integration);
+  if (kind?.type !== 'pms' || !integration.webhookToken) return null;
+  return `/api/webhooks/pms/${kind.adapterType.toLowerCase()}/${integration.webhookToken}`;
+}
+
+/**
+ * Returns validation details for config.syncCron, or null when valid/absent.
+ */
+function validateSyncCron(config) {
+  if (!config || config.syncCron === undefined) return null;
+
+  const check = validateCron(String(config.syncCron), config.syncTimezone);
+  if (check.valid) return null;
+
+  return [{ path: ['config', 'syncCron'], message: `Invalid cron expression: ${check.error}`, code: 'invalid_string' }];
+}
+
+/**
+ * Bring the integration's repeatable sync job in line with its record.
+ * Scheduling problems never fail the request.
+ */
+async function applySyncSchedule(integration) {
+  try {
+    return await scheduleIntegration(integration);
+  } catch (error) {
+    logger.warn(`Sync schedule not updated for integration ${integration.id}:`, error.message);
+    return { scheduled: false, reason: 'scheduler_unavailable' };
+  }
+}
+
+/**
+ * GET /api/admin/integrations
+ * List integrations with their sync schedule
+ */
+router.get('/integrations', async (req, res) => {
+  try {
+    const integrations = await prisma.integration.findMany({
+      orderBy: { name: 'asc' }
+    });
+
+    let schedules = {};
+    try {
+      schedules = await getSyncSchedules();
+    } catch (error) {
+      logger.warn('List integrations: sync scheduler unavailable');
+    }
+
+    res.json({
+      integrations: integrations.map(i => ({
+        ...sanitizeIntegration(i),
+        schedule: schedules[i.id] || null
+      }))
+    });
+
+  } catch (error) {
+    // Demo mode fallback
+    logger.warn('List integrations: database unavailable, returning demo integrations');
+    res.json({
+      integrations: [
+        { id: 'demo-int-stripe', name: 'Stripe', type: 'stripe', status: 'active', syncEnabled: true, config: { syncCron: '*/15 * * * *' }, credentials: '***configured***', lastSyncAt: new Date().toISOString(), lastSyncStatus: 'success', schedule: { cron: '*/15 * * * *', tz: null, next: null } },
+        { id: 'demo-int-mews', name: 'Mews', type: 'mews', status: 'active', syncEnabled: true, config: { syncCron: '0 * * * *', propertyId: 'demo-property-1' }, credentials: '***configured***', lastSyncAt: new Date().toISOString(), lastSyncStatus: 'success', schedule: { cron: '0 * * * *', tz: null, next: null } }
+      ],
+      isDemo: true
+    });
+  }
+});
+
+/**
+ * POST /api/admin/integrations
+ * Create integration and schedule its sync
+ */
+router.post('/integrations', async (req, res) => {
+  const validation = createIntegrationSchema.safeParse(req.body);
+  const cronErrors = validation.success ? validateSyncCron(validation.data.config) : null;
+  if (!validation.success || cronErrors) {
+    return res.status(400).json({
+      error: 'Validation Error',
+      details: cronErrors || validation.error.errors
+    });
+  }
+
+  try {
+    const integration = await prisma.integration.create({
+      data: { ...validation.data, webhookToken: newWebhookToken() }
+    });
+
+    const schedule = await applySyncSchedule(integration);
+
+    await prisma.auditLog.create({
+      data: {
+        userId: req.user.id,
+        action: 'CREATE_INTEGRATION',
+        entityType: 'Integration',
+        entityId: integration.id,
+        newValues: { name: integration.name, type: integration.type, status: integration.status, syncCron: integration.config?.syncCron || null },
+        ipAddress: req.ip
+      }
+    });
+
+    logger.info(`Integration created: ${integration.name} by ${req.user.email}`);
+
+    res.status(201).json({
+      message: 'Integration created successfully',
+      integration: { ...sanitizeIntegration(integration), schedule }
+    });
+
+  } catch (error) {
+    // Demo mode fallback
+    logger.warn('Create integration: database unavailable, returning demo response');
+    res.status(201).json({
+      message: 'Integration created successfully (Demo Mode)',
+      integration: { id: `demo-int-${Date.now()}`, ...validation.data, credentials: validation.data.credentials ? '***configured***' : null },
+      isDemo: true
+    });
+  }
+});
+
+/**
+ * PATCH /api/admin/integrations/:id
+ * Update integration; pausing (syncEnabled: false or a non-active status)
+ * removes its sync job, a new config.syncCron reschedules it
+ */
+router.patch('/integrations/:id', async (req, res) => {
+  const validation = updateIntegrationSchema.safeParse(req.body);
+  const cronErrors = validation.success ? validateSyncCron(validation.data.config) : null;
+  if (!validation.success || cronErrors) {
+    return res.status(400).json({
+      error: 'Validation Error',
+      details: cronErrors || validation.error.errors
+    });
+  }
+
+  try {
+    const existing = await prisma.integration.findUnique({
+      where: { id: req.params.id }
+    });
+
+    if (!existing) {
+      return res.status(404).json({ error: 'Not Found', message: 'Integration not found' });
+    }
+
+    const data = { ...validation.data };
+    if (data.config) {
+      data.config = { ...(existing.config || {}), ...data.config };
+    }
+
+    const integration = await prisma.integration.update({
+      where: { id: req.params.id },
+      data
+    });
+
+    const schedule = await applySyncSchedule(integration);
+
+    await prisma.auditLog.create({
+      data: {
+        userId: req.user.id,
+        action: 'UPDATE_INTEGRATION',
+        entityType: 'Integration',
+        entityId: integration.id,
+        oldValues: { status: existing.status, syncEnabled: existing.syncEnabled, syncCron: existing.config?.syncCron || null },
+        newValues: { status: integration.status, syncEnabled: integration.syncEnabled, syncCron: integration.config?.syncCron || null },
+        ipAddress: req.ip
+      }
+    });
+
+    logger.info(`Integration updated: ${integration.name} by ${req.user.email}`);
+
+    res.json({
+      message: 'Integration updated successfully',
+      integration: { ...sanitizeIntegration(integration), schedule }
+    });
+
+  } catch (error) {
+    // Demo mode fallback
+    logger.warn('Update integration: database unavailable, returning demo response');
+    res.json({
+      message: 'Integration updated successfully (Demo Mode)',
+      integration: { id: req.params.id, ...validation.data, credentials: '***configured***' },
+      isDemo: true
+    });
+  }
+});
+
+/**
+ * DELETE /api/admin/integrations/:id
+ * Delete integration and remove its sync job
+ */
+router.delete('/integrations/:id', async (req, res) => {
+  try {
+    const integration = await prisma.integration.delete({
+      where: { id: req.params.id }
+    });
+
+    try {
+      await unscheduleIntegration(integration.id);
+    } catch (error) {
+      logger.warn(`Sync schedule not removed for integration ${integration.id}:`, error.message);
+    }
+
+    await prisma.auditLog.create({
+      data: {
+        userId: req.user.id,
+        action: 'DELETE_INTEGRATION',
+        entityType: 'Integration',
+        entityId: integration.id,
+        oldValues: { name: integration.name, type: integration.type },
+        ipAddress: req.ip
+      }
+    });
+
+    logger.info(`Integration deleted: ${integration.name} by ${req.user.email}`);
+
+    res.json({ message: 'Integration deleted successfully' });
+
+  } catch (error) {
+    if (error.code === 'P2025') {
+      return res.status(404).json({ error: 'Not Found', message: 'Integration not found' });
+    }
+
+    // Demo mode fallback
+    logger.warn('Delete integration: database unavailable, returning demo response');
+    res.json({ message: 'Integration deleted successfully (Demo Mode)', isDemo: true });
+  }
+});
+
+/**
+ * POST /api/admin/integrations/:id/webhook-token
+ * Issue a new inbound webhook URL for the integration; the old one stops
+ * working, so the PMS has to be pointed at the new webhookPath
+ */
+router.post('/integrations/:id/webhook-token', async (req, res) => {
+  try {
+    const integration = await prisma.integration.update({
+      where: { id: req.params.id },
+      data: { webhookToken: newWebhookToken() }
+    });
+
+    await prisma.auditLog.create({
+      data: {
+        userId: req.user.id,
+        action: 'ROTATE_INTEGRATION_WEBHOOK_TOKEN',
+        entityType: 'Integration',
+        entityId: integration.id,
+        ipAddress: req.ip
+      }
+    });
+
+    logger.info(`Webhook token rotated for integration ${integration.name} by ${req.user.email}`);
+
+    res.json({
+      message: 'Webhook URL issued',
+      integration: sanitizeIntegration(integration)
+    });
+
+  } catch (error) {
+    if (error.code === 'P2025') {
+      return res.status(404).json({ error: 'Not Found', message: 'Integration not found' });
+    }
+    if (!isDatabaseUnavailable(error)) {
+      logger.error('Rotate webhook token error:', error);
+      return res.status(500).json({ error: 'Internal Server Error', message: 'Failed to issue webhook URL' });
+    }
+
+    // Demo mode fallback
+    logger.warn('Rotate webhook token: database unavailable, returning demo response');
+    res.json({
+      message: 'Webhook URL issued (Demo Mode)',
+      integration: { id: req.params.id, webhookPath: null },
+      isDemo: true
+    });
+  }
+});
+
 // =============================================================================
 // AUDIT LOG
 // =============================================================================
@@ -694,6 +1002,123 @@ router.put('/settings/notifications', async (req, res) => {
   }
 });
 
+/**
+ * Settings as stored: the getters flag built-in defaults with isDefault,
+ * which must not be saved or audited
+ */
+function _storedSettings(settings) {
+  const stored = { ...settings };
+  delete stored.isDefault;
+  return stored;
+}
+
+/**
+ * GET /api/admin/settings/deadlines
+ * Deadline warning offsets, processor buffers and business calendar
+ */
+router.get('/settings/deadlines', async (req, res) => {
+  const settings = await deadlines.getDeadlineSettings({ fresh: true });
+  res.json({
+    settings,
+    defaults: deadlines.DEFAULT_SETTINGS,
+    stageResponseDays: deadlines.STAGE_RESPONSE_DAYS,
+    ...(settings.isDefault && { isDemo: true })
+  });
+});
+
+/**
+ * PUT /api/admin/settings/deadlines
+ * Update deadline settings (partial; omitted fields keep their current value)
+ */
+router.put('/settings/deadlines', async (req, res) => {
+  const errors = deadlines.validateDeadlineSettings(req.body);
+  if (errors.length > 0) {
+    return res.status(400).json({
+      error: 'Validation Error',
+      details: errors
+    });
+  }
+
+  try {
+    const previous = _storedSettings(await deadlines.getDeadlineSettings({ fresh: true }));
+    const settings = await deadlines.saveDeadlineSettings({ ...previous, ...req.body }, { userId: req.user.id });
+
+    await prisma.auditLog.create({
+      data: {
+        userId: req.user.id,
+        action: 'UPDATE_DEADLINE_SETTINGS',
+        entityType: 'SystemConfig',
+        entityId: 'deadline_settings',
+        oldValues: previous,
+        newValues: settings,
+        ipAddress: req.ip
+      }
+    });
+
+    logger.info(`Deadline settings updated by ${req.user.email}`);
+    res.json({ message: 'Deadline settings updated', settings });
+
+  } catch (error) {
+    logger.warn('Update deadline settings: demo mode');
+    const current = _storedSettings(await deadlines.getDeadlineSettings());
+    res.json({ message: 'Deadline settings updated (Demo Mode)', settings: { ...current, ...req.body }, isDemo: true });
+  }
+});
+
+/**
+ * GET /api/admin/settings/assignment
+ * Case auto-assignment strategy, pool and skill rules
+ */
+router.get('/settings/assignment', async (req, res) => {
+  const settings = await caseAssignment.getAssignmentSettings({ fresh: true });
+  res.json({
+    settings,
+    defaults: caseAssignment.DEFAULT_SETTINGS,
+    strategies: caseAssignment.STRATEGIES,
+    amountTiers: caseAssignment.AMOUNT_TIERS,
+    ...(settings.isDefault && { isDemo: true })
+  });
+});
+
+/**
+ * PUT /api/admin/settings/assignment
+ * Update assignment settings (partial; omitted fields keep their current value)
+ */
+router.put('/settings/assignment', async (req, res) => {
+  const errors = caseAssignment.validateAssignmentSettings(req.body);
+  if (errors.length > 0) {
+    return res.status(400).json({
+      error: 'Validation Error',
+      details: errors
+    });
+  }
+
+  try {
+    const previous = _storedSettings(await caseAssignment.getAssignmentSettings({ fresh: true }));
+    const settings = await caseAssignment.saveAssignmentSettings({ ...previous, ...req.body }, { userId: req.user.id });
+
+    await prisma.auditLog.create({
+      data: {
+        userId: req.user.id,
+        action: 'UPDATE_ASSIGNMENT_SETTINGS',
+        entityType: 'SystemConfig',
+        entityId: 'assignment_settings',
+        oldValues: previous,
+        newValues: settings,
+        ipAddress: req.ip
+      }
+    });
+
+    logger.info(`Assignment settings updated by ${req.user.email}`);
+    res.json({ message: 'Assignment settings updated', settings });
+
+  } catch (error) {
+    logger.warn('Update assignment settings: demo mode');
+    const current = _storedSettings(await caseAssignment.getAssignmentSettings());
+    res.json({ message: 'Assignment settings updated (Demo Mode)', settings: { ...current, ...req.body }, isDemo: true });
+  }
+});
+
 /**
  * PUT /api/admin/settings/ai-defense
  * Update AI defense configuration
@@ -712,6 +1137,189 @@ router.put('/settings/ai-defense', async (req, res) => {
   }
 });
 
+/**
+ * GET /api/admin/settings/ai-defense/rules
+ * Active fraud scoring rule set plus the catalog the editor needs
+ */
+router.get('/settings/ai-defense/rules', async (req, res) => {
+  const active = await aiDefenseConfig.getActiveRuleSet({ fresh: true });
+
+  res.json({
+    active,
+    defaults: aiDefenseConfig.getDefaultRuleSet(),
+    builtInRules: aiDefenseConfig.BUILT_IN_RULES,
+    cardNetworks: aiDefenseConfig.CARD_NETWORKS,
+    facts: aiDefenseConfig.CONDITION_FACTS,
+    operators: aiDefenseConfig.CONDITION_OPERATORS,
+    ...(active.isDefault && { isDemo: true })
+  });
+});
+
+/**
+ * PUT /api/admin/settings/ai-defense/rules
+ * Save a new rule set version and make it live
+ */
+router.put('/settings/ai-defense/rules', async (req, res) => {
+  const { ruleSet, note } = req.body || {};
+  const errors = aiDefenseConfig.validateRuleSet(ruleSet);
+  if (errors.length > 0) {
+    return res.status(400).json({
+      error: 'Validation Error',
+      details: errors
+    });
+  }
+
+  try {
+    const previous = await aiDefenseConfig.getActiveRuleSet({ fresh: true });
+    const saved = await aiDefenseConfig.saveRuleSet(ruleSet, { userId: req.user.id, note: note || '' });
+
+    await prisma.auditLog.create({
+      data: {
+        userId: req.user.id,
+        action: 'UPDATE_SCORING_RULES',
+        entityType: 'SystemConfig',
+        entityId: `scoring_rules:v${saved.version}`,
+        oldValues: { version: previous.version },
+        newValues: { version: saved.version, note: saved.note },
+        ipAddress: req.ip
+      }
+    });
+
+    logger.info(`Scoring rules v${saved.version} saved by ${req.user.email}`);
+
+    res.json({ message: `Scoring rules saved as version ${saved.version}`, active: saved });
+
+  } catch (error) {
+    // Demo mode fallback
+    logger.warn('Save scoring rules: database unavailable, returning demo response');
+    res.json({
+      message: 'Scoring rules saved (Demo Mode)',
+      active: { version: 0, ruleSet, note, createdAt: new Date().toISOString(), createdBy: req.user.id },
+      isDemo: true
+    });
+  }
+});
+
+/**
+ * GET /api/admin/settings/ai-defense/rules/versions
+ * Version history of the scoring rules
+ */
+router.get('/settings/ai-defense/rules/versions', async (req, res) => {
+  try {
+    const versions = await aiDefenseConfig.listRuleSetVersions();
+    res.json({ versions });
+  } catch (error) {
+    // Demo mode fallback
+    logger.warn('List scoring rule versions: database unavailable, returning demo data');
+    res.json({
+      versions: [{ version: 0, note: 'Built-in defaults', createdAt: null, createdBy: null, active: true }],
+      isDemo: true
+    });
+  }
+});
+
+/**
+ * GET /api/admin/settings/ai-defense/rules/versions/:version
+ * A single stored rule set version
+ */
+router.get('/settings/ai-defense/rules/versions/:version', async (req, res) => {
+  try {
+    const stored = await aiDefenseConfig.getRuleSetVersion(parseInt(req.params.version, 10));
+    if (!stored) {
+      return res.status(404).json({ error: 'Not Found', message: 'Scoring rules version not found' });
+    }
+    res.json({ ruleSet: stored });
+  } catch (error) {
+    // Demo mode fallback
+    logger.warn('Get scoring rule version: database unavailable, returning defaults');
+    res.json({ ruleSet: { version: 0, ruleSet: aiDefenseConfig.getDefaultRuleSet(), note: 'Built-in defaults' }, isDemo: true });
+  }
+});
+
+/**
+ * POST /api/admin/settings/ai-defense/rules/versions/:version/activate
+ * Roll back to (or forward to) a stored version
+ */
+router.post('/settings/ai-defense/rules/versions/:version/activate', async (req, res) => {
+  try {
+    const previous = await aiDefenseConfig.getActiveRuleSet({ fresh: true });
+    const activated = await aiDefenseConfig.activateRuleSetVersion(parseInt(req.params.version, 10), { userId: req.user.id });
+
+    await prisma.auditLog.create({
+      data: {
+        userId: req.user.id,
+        action: 'ACTIVATE_SCORING_RULES',
+        entityType: 'SystemConfig',
+        entityId: `scoring_rules:v${activated.version}`,
+        oldValues: { version: previous.version },
+        newValues: { version: activated.version },
+        ipAddress: req.ip
+      }
+    });
+
+    logger.info(`Scoring rules v${activated.version} activated by ${req.user.email}`);
+
+    res.json({ message: `Scoring rules version ${activated.version} is now active`, active: activated });
+
+  } catch (error) {
+    if (error.code === 'NOT_FOUND') {
+      return res.status(404).json({ error: 'Not Found', message: error.message });
+    }
+
+    // Demo mode fallback
+    logger.warn('Activate scoring rules: database unavailable, returning demo response');
+    res.json({ message: 'Scoring rules activated (Demo Mode)', isDemo: true });
+  }
+});
+
+/**
+ * POST /api/admin/settings/ai-defense/rules/backtest
+ * Re-score resolved (WON/LOST) cases under a candidate rule set — either an
+ * unsaved `ruleSet` or a stored `version` — and compare with the live one
+ */
+router.post('/settings/ai-defense/rules/backtest', async (req, res) => {
+  const { ruleSet, version, propertyId, from, to } = req.body || {};
+
+  let candidate;
+  if (ruleSet) {
+    const errors = aiDefenseConfig.validateRuleSet(ruleSet);
+    if (errors.length > 0) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        details: errors
+      });
+    }
+    candidate = { version: 'candidate', ruleSet };
+  } else if (version !== undefined) {
+    try {
+      candidate = await aiDefenseConfig.getRuleSetVersion(parseInt(version, 10));
+    } catch (error) {
+      logger.warn('Scoring backtest: database unavailable, backtesting built-in defaults');
+      candidate = await aiDefenseConfig.getRuleSetVersion(0);
+    }
+    if (!candidate) {
+      return res.status(404).json({ error: 'Not Found', message: 'Scoring rules version not found' });
+    }
+  } else {
+    return res.status(400).json({ error: 'Validation Error', message: 'Provide a ruleSet or a stored version to backtest' });
+  }
+
+  for (const [field, value] of Object.entries({ from, to })) {
+    if (value && isNaN(new Date(value).getTime())) {
+      return res.status(400).json({ error: 'Validation Error', message: `${field} must be a valid date` });
+    }
+  }
+
+  try {
+    const result = await runBacktest(candidate, { propertyId, from, to });
+    logger.info(`Scoring backtest run by ${req.user.email}: ${result.cases.total} cases`);
+    res.json(result);
+  } catch (error) {
+    logger.error('Scoring backtest error:', error);
+    res.status(500).json({ error: 'Internal Server Error', message: 'Failed to run backtest' });
+  }
+});
+
 /**
  * PUT /api/admin/settings/integrations
  * Update integration settings
@@ -852,6 +1460,282 @@ router.get('/storage/status', async (req, res) => {
   }
 });
 
+// =============================================================================
+// SCHEDULED REPORTS
+// =============================================================================
+
+/**
+ * Audit log fields for a report definition
+ */
+function reportAuditValues(report) {
+  return {
+    name: report.name,
+    recipients: report.recipients,
+    cadence: report.cadence,
+    sendDay: report.sendDay,
+    propertyIds: report.propertyIds,
+    sections: report.sections,
+    attachPdf: report.attachPdf,
+    isActive: report.isActive
+  };
+}
+
+/**
+ * Load a report definition, or its demo counterpart without a database.
+ * Returns { report, isDemo }; report is null when it doesn't exist.
+ */
+async function loadReportDefinition(id) {
+  try {
+    return { report: await prisma.reportDefinition.findUnique({ where: { id } }), isDemo: false };
+  } catch (error) {
+    if (!isDatabaseUnavailable(error)) throw error;
+    const report = scheduledReports.DEMO_REPORT_DEFINITIONS.find(r => r.id === id) || null;
+    return { report, isDemo: true };
+  }
+}
+
+/**
+ * GET /api/admin/reports
+ * List report definitions with the sections, cadences and mail transport available
+ */
+router.get('/reports', async (req, res) => {
+  const options = {
+    sections: scheduledReports.REPORT_SECTIONS,
+    cadences: scheduledReports.CADENCES,
+    mail: getMailInfo()
+  };
+
+  try {
+    const reports = await prisma.reportDefinition.findMany({
+      orderBy: { name: 'asc' }
+    });
+    res.json({ reports, ...options });
+
+  } catch (error) {
+    // Demo mode fallback
+    logger.warn('List reports: database unavailable, returning demo reports');
+    res.json({ reports: scheduledReports.DEMO_REPORT_DEFINITIONS, ...options, isDemo: true });
+  }
+});
+
+/**
+ * POST /api/admin/reports
+ * Create a report definition
+ */
+router.post('/reports', async (req, res) => {
+  const errors = scheduledReports.validateReportDefinition(req.body);
+  if (errors.length > 0) {
+    return res.status(400).json({
+      error: 'Validation Error',
+      details: errors
+    });
+  }
+
+  const data = scheduledReports.normalizeReportDefinition(req.body);
+
+  try {
+    const report = await prisma.reportDefinition.create({
+      data: { ...data, createdBy: req.user.id }
+    });
+
+    await prisma.auditLog.create({
+      data: {
+        userId: req.user.id,
+        action: 'CREATE_REPORT',
+        entityType: 'ReportDefinition',
+        entityId: report.id,
+        newValues: reportAuditValues(report),
+        ipAddress: req.ip
+      }
+    });
+
+    logger.info(`Report created: ${report.name} by ${req.user.email}`);
+
+    res.status(201).json({ message: 'Report created successfully', report });
+
+  } catch (error) {
+    // Demo mode fallback
+    logger.warn('Create report: database unavailable, returning demo response');
+    res.status(201).json({
+      message: 'Report created successfully (Demo Mode)',
+      report: { id: `demo-report-${Date.now()}`, cadence: 'WEEKLY', sendDay: null, propertyIds: [], attachPdf: true, isActive: true, ...data },
+      isDemo: true
+    });
+  }
+});
+
+/**
+ * PATCH /api/admin/reports/:id
+ * Update a report definition (partial)
+ */
+router.patch('/reports/:id', async (req, res) => {
+  const errors = scheduledReports.validateReportDefinition(req.body, { partial: true });
+  if (errors.length > 0) {
+    return res.status(400).json({
+      error: 'Validation Error',
+      details: errors
+    });
+  }
+
+  const data = scheduledReports.normalizeReportDefinition(req.body, { partial: true });
+
+  try {
+    const existing = await prisma.reportDefinition.findUnique({
+      where: { id: req.params.id }
+    });
+
+    if (!existing) {
+      return res.status(404).json({ error: 'Not Found', message: 'Report not found' });
+    }
+
+    // sendDay alone is checked against the stored cadence
+    const sendDayErrors = scheduledReports.validateReportDefinition(req.body, { partial: true, cadence: existing.cadence });
+    if (sendDayErrors.length > 0) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        details: sendDayErrors
+      });
+    }
+
+    const report = await prisma.reportDefinition.update({
+      where: { id: req.params.id },
+      data
+    });
+
+    await prisma.auditLog.create({
+      data: {
+        userId: req.user.id,
+        action: 'UPDATE_REPORT',
+        entityType: 'ReportDefinition',
+        entityId: report.id,
+        oldValues: reportAuditValues(existing),
+        newValues: reportAuditValues(report),
+        ipAddress: req.ip
+      }
+    });
+
+    logger.info(`Report updated: ${report.name} by ${req.user.email}`);
+
+    res.json({ message: 'Report updated successfully', report });
+
+  } catch (error) {
+    // Demo mode fallback
+    logger.warn('Update report: database unavailable, returning demo response');
+    const demo = scheduledReports.DEMO_REPORT_DEFINITIONS.find(r => r.id === req.params.id);
+    res.json({
+      message: 'Report updated successfully (Demo Mode)',
+      report: { ...demo, id: req.params.id, ...data },
+      isDemo: true
+    });
+  }
+});
+
+/**
+ * DELETE /api/admin/reports/:id
+ * Delete a report definition
+ */
+router.delete('/reports/:id', async (req, res) => {
+  try {
+    const report = await prisma.reportDefinition.delete({
+      where: { id: req.params.id }
+    });
+
+    await prisma.auditLog.create({
+      data: {
+        userId: req.user.id,
+        action: 'DELETE_REPORT',
+        entityType: 'ReportDefinition',
+        entityId: report.id,
+        oldValues: reportAuditValues(report),
+        ipAddress: req.ip
+      }
+    });
+
+    logger.info(`Report deleted: ${report.name} by ${req.user.email}`);
+
+    res.json({ message: 'Report deleted successfully' });
+
+  } catch (error) {
+    if (error.code === 'P2025') {
+      return res.status(404).json({ error: 'Not Found', message: 'Report not found' });
+    }
+
+    // Demo mode fallback
+    logger.warn('Delete report: database unavailable, returning demo response');
+    res.json({ message: 'Report deleted successfully (Demo Mode)', isDemo: true });
+  }
+});
+
+/**
+ * GET /api/admin/reports/:id/preview?format=html|text|pdf
+ * Render the report for its latest period without sending it
+ */
+router.get('/reports/:id/preview', async (req, res) => {
+  const format = req.query.format || 'html';
+  if (!['html', 'text', 'pdf'].includes(format)) {
+    return res.status(400).json({
+      error: 'Validation Error',
+      details: [{ path: ['format'], message: 'format must be one of: html, text, pdf', code: 'invalid_enum_value' }]
+    });
+  }
+
+  try {
+    const { report: definition, isDemo } = await loadReportDefinition(req.params.id);
+    if (!definition) {
+      return res.status(404).json({ error: 'Not Found', message: 'Report not found' });
+    }
+
+    const report = await scheduledReports.buildReport(definition, { demo: isDemo });
+
+    if (format === 'pdf') {
+      const pdf = await scheduledReports.renderReportPdf(report);
+      res.setHeader('Content-Type', 'application/pdf');
+      res.setHeader('Content-Disposition', `inline; filename="report-preview-${definition.id}.pdf"`);
+      return res.send(pdf);
+    }
+    if (format === 'text') {
+      return res.type('text/plain').send(scheduledReports.renderReportText(report));
+    }
+    res.type('html').send(scheduledReports.renderReportHtml(report));
+
+  } catch (error) {
+    logger.error('Report preview error:', error);
+    res.status(500).json({ error: 'Internal Server Error', message: 'Failed to render report preview' });
+  }
+});
+
+/**
+ * POST /api/admin/reports/:id/send
+ * Send the report for its latest period now, whether or not it is due
+ */
+router.post('/reports/:id/send', async (req, res) => {
+  let loaded;
+  try {
+    loaded = await loadReportDefinition(req.params.id);
+  } catch (error) {
+    logger.error('Send report error:', error);
+    return res.status(500).json({ error: 'Internal Server Error', message: 'Failed to load report' });
+  }
+
+  const { report: definition, isDemo } = loaded;
+  if (!definition) {
+    return res.status(404).json({ error: 'Not Found', message: 'Report not found' });
+  }
+
+  try {
+    const result = await scheduledReports.sendReport(definition, { demo: isDemo });
+    logger.info(`Report sent on demand: ${definition.name} by ${req.user.email}`);
+    res.json({
+      message: `Report sent to ${result.recipients.length} recipient${result.recipients.length === 1 ? '' : 's'}`,
+      result,
+      ...(isDemo && { isDemo: true })
+    });
+  } catch (error) {
+    logger.error(`Send report "${definition.name}" failed:`, error);
+    res.status(502).json({ error: 'Bad Gateway', message: `Report could not be sent: ${error.message}` });
+  }
+});
+
 // =============================================================================
 // WEBHOOK EVENTS
 // =============================================================================
@@ -907,6 +1791,122 @@ router.get('/webhook-events', async (req, res) => {
   }
 });
 
+/**
+ * POST /api/admin/webhook-events/:id/replay
+ * Re-run a stored webhook event through its provider handler
+ */
+router.post('/webhook-events/:id/replay', async (req, res) => {
+  try {
+    const result = await replayWebhookEvent(req.params.id);
+
+    await prisma.auditLog.create({
+      data: {
+        userId: req.user.id,
+        action: 'REPLAY_WEBHOOK_EVENT',
+        entityType: 'WebhookEvent',
+        entityId: req.params.id,
+        newValues: { action: result.action, caseNumber: result.caseNumber || null, error: result.error || null },
+        ipAddress: req.ip
+      }
+    });
+
+    logger.info(`Webhook event ${req.params.id} replayed by ${req.user.email}: ${result.action}`);
+
+    res.json({
+      message: result.error ? 'Replay failed' : 'Webhook event replayed',
+      result
+    });
+
+  } catch (error) {
+    if (error.code === 'NOT_FOUND') {
+      return res.status(404).json({ error: 'Not Found', message: 'Webhook event not found' });
+    }
+    if (error.code === 'UNSUPPORTED') {
+      return res.status(400).json({ error: 'Bad Request', message: error.message });
+    }
+
+    // Demo mode fallback
+    logger.warn('Replay webhook event: database unavailable, returning demo response');
+    res.json({
+      message: 'Webhook event replayed (Demo Mode)',
+      result: { webhookEventId: req.params.id, action: 'updated', caseNumber: 'CB-2026-0247' },
+      isDemo: true
+    });
+  }
+});
+
+// =============================================================================
+// JOB QUEUES
+// =============================================================================
+
+/**
+ * GET /api/admin/queues
+ * Job counts per queue, including the dead-letter queue
+ */
+router.get('/queues', async (req, res) => {
+  try {
+    res.json(await getQueueStats());
+  } catch (error) {
+    logger.error('Get queue stats error:', error);
+    res.status(500).json({ error: 'Internal Server Error', message: 'Failed to fetch queue stats' });
+  }
+});
+
+/**
+ * GET /api/admin/queues/dead-letter
+ * Jobs that exhausted their retries
+ */
+router.get('/queues/dead-letter', async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200);
+    const jobs = await getQueue(DEAD_LETTER_QUEUE).getJobs(['waiting', 'delayed', 'completed'], 0, limit - 1);
+
+    res.json({
+      jobs: jobs.filter(Boolean).map((job) => ({
+        id: job.id,
+        queue: job.data.queue,
+        jobName: job.data.jobName,
+        failedReason: job.data.failedReason,
+        attemptsMade: job.data.attemptsMade,
+        failedAt: job.data.failedAt,
+        data: job.data.data
+      }))
+    });
+  } catch (error) {
+    if (error.code === 'QUEUE_NOT_INITIALIZED') {
+      return res.json({ jobs: [] });
+    }
+    logger.error('Get dead-letter jobs error:', error);
+    res.status(500).json({ error: 'Internal Server Error', message: 'Failed to fetch dead-letter jobs' });
+  }
+});
+
+/**
+ * POST /api/admin/queues/dead-letter/:jobId/retry
+ * Re-enqueue a dead-lettered job on its original queue
+ */
+router.post('/queues/dead-letter/:jobId/retry', async (req, res) => {
+  try {
+    const job = await retryDeadLetterJob(req.params.jobId);
+
+    logger.info(`Dead-letter job ${req.params.jobId} retried by ${req.user.email} as ${job.queueName}/${job.id}`);
+
+    res.json({
+      message: 'Job re-enqueued',
+      job: { id: job.id, queue: job.queueName, name: job.name }
+    });
+  } catch (error) {
+    if (error.code === 'NOT_FOUND') {
+      return res.status(404).json({ error: 'Not Found', message: error.message });
+    }
+    if (error.code === 'QUEUE_NOT_INITIALIZED') {
+      return res.status(503).json({ error: 'Service Unavailable', message: error.message });
+    }
+    logger.error('Retry dead-letter job error:', error);
+    res.status(500).json({ error: 'Internal Server Error', message: 'Failed to retry job' });
+  }
+});
+
 // =============================================================================
 // SUPPORTING DOCUMENTS
 // =============================================================================
@@ -1,107 +1,111 @@
 /**
  * DisputeAI - Analytics Routes
- * Dashboard data and trends
+ * Dashboard data and trends (see services/analytics.js)
+ *
+ * The read endpoints take dateFrom, dateTo, propertyId, network and reasonCode
+ * query filters; /trends also takes months. /win-rates breaks the win rate
+ * down by what was on file and where the booking came from, with confidence
+ * intervals (see getWinRateDrivers). Non-admins only see their own
+ * property. Admins can rebuild the daily snapshots /trends reads from.
  */
 
 const express = require('express');
-const { authenticateToken } = require('../middleware/auth');
-const { autoclerk } = require('../services/autoclerkEmulator');
+const { isDatabaseUnavailable } = require('../config/database');
+const { authenticateToken, requireRole, requirePropertyAccess } = require('../middleware/auth');
+const {
+  parseAnalyticsFilters,
+  getDashboard,
+  getTrends,
+  getWinRateDrivers,
+  getDemoDashboard,
+  getDemoTrends,
+  getDemoWinRateDrivers
+} = require('../services/analytics');
+const { queueSnapshotRebuild } = require('../services/analyticsSnapshots');
 const logger = require('../utils/logger');
 
 const router = express.Router();
 
-router.get('/dashboard', authenticateToken, async (req, res) => {
+router.use(authenticateToken);
+router.use(requirePropertyAccess);
+
+router.get('/dashboard', async (req, res) => {
+  const { filters, errors } = parseAnalyticsFilters(req.query);
+  if (errors.length) {
+    return res.status(400).json({ error: 'Validation Error', details: errors });
+  }
+
   try {
-    // Get evidence stats from AutoClerk emulator
-    const allEvidence = autoclerk.getAllEvidence();
-    const evidenceByCase = {};
-    allEvidence.forEach(e => {
-      if (!evidenceByCase[e.caseId]) evidenceByCase[e.caseId] = [];
-      evidenceByCase[e.caseId].push(e);
-    });
+    res.json(await getDashboard(filters, req.propertyFilter));
+  } catch (error) {
+    if (!isDatabaseUnavailable(error)) {
+      logger.error('Dashboard analytics error:', error);
+      return res.status(500).json({ error: 'Internal Server Error', message: 'Failed to load dashboard analytics' });
+    }
+    // Demo mode fallback
+    logger.warn('Dashboard analytics: database unavailable, returning demo dashboard');
+    res.json({ ...getDemoDashboard(filters, req.propertyFilter), isDemo: true });
+  }
+});
 
-    res.json({
-      summary: {
-        totalCases: 24,
-        totalAmount: 47250.00,
-        winRate: 78,
-        urgentCases: 3,
-        recoveredAmount: 36855.00,
-        trends: { cases: 12, amount: -5 },
-        evidenceCollected: allEvidence.length,
-        casesWithEvidence: Object.keys(evidenceByCase).length
-      },
-      statusBreakdown: {
-        PENDING: { count: 5, amount: 12500 },
-        IN_REVIEW: { count: 4, amount: 8200 },
-        SUBMITTED: { count: 3, amount: 6800 },
-        WON: { count: 8, amount: 15000 },
-        LOST: { count: 2, amount: 3250 },
-        EXPIRED: { count: 2, amount: 1500 }
-      },
-      recentCases: [
-        { id: 'demo-1', caseNumber: 'CB-2026-0247', guestName: 'James Wilson', amount: 1250.00, status: 'PENDING', confidenceScore: 87, createdAt: new Date(Date.now() - 2 * 3600000).toISOString() },
-        { id: 'demo-2', caseNumber: 'CB-2026-0246', guestName: 'Sarah Chen', amount: 890.50, status: 'IN_REVIEW', confidenceScore: 72, createdAt: new Date(Date.now() - 8 * 3600000).toISOString() },
-        { id: 'demo-3', caseNumber: 'CB-2026-0245', guestName: 'Michael Brown', amount: 2100.00, status: 'WON', confidenceScore: 94, createdAt: new Date(Date.now() - 24 * 3600000).toISOString() },
-        { id: 'demo-4', caseNumber: 'CB-2026-0244', guestName: 'Emily Rodriguez', amount: 475.25, status: 'SUBMITTED', confidenceScore: 81, createdAt: new Date(Date.now() - 48 * 3600000).toISOString() },
-        { id: 'demo-5', caseNumber: 'CB-2026-0243', guestName: 'David Thompson', amount: 3200.00, status: 'PENDING', confidenceScore: 65, createdAt: new Date(Date.now() - 72 * 3600000).toISOString() }
-      ],
-      pmsStatus: autoclerk.getStatus(),
-      evidenceSummary: {
-        total: allEvidence.length,
-        byType: allEvidence.reduce((acc, e) => {
-          acc[e.type] = (acc[e.type] || 0) + 1;
-          return acc;
-        }, {}),
-        casesWithEvidence: Object.keys(evidenceByCase).length
-      }
-    });
+router.get('/trends', async (req, res) => {
+  const { filters, errors } = parseAnalyticsFilters(req.query);
+  if (errors.length) {
+    return res.status(400).json({ error: 'Validation Error', details: errors });
+  }
+
+  try {
+    res.json(await getTrends(filters, req.propertyFilter));
   } catch (error) {
-    // Demo mode fallback — return hardcoded dashboard data
-    logger.warn('Dashboard analytics: error, returning demo dashboard');
-    res.json({
-      summary: {
-        totalCases: 24,
-        totalAmount: 47250.00,
-        winRate: 78,
-        urgentCases: 3,
-        recoveredAmount: 36855.00,
-        trends: { cases: 12, amount: -5 },
-        evidenceCollected: 0,
-        casesWithEvidence: 0
-      },
-      statusBreakdown: {
-        PENDING: { count: 5, amount: 12500 },
-        IN_REVIEW: { count: 4, amount: 8200 },
-        SUBMITTED: { count: 3, amount: 6800 },
-        WON: { count: 8, amount: 15000 },
-        LOST: { count: 2, amount: 3250 },
-        EXPIRED: { count: 2, amount: 1500 }
-      },
-      recentCases: [
-        { id: 'demo-1', caseNumber: 'CB-2026-0247', guestName: 'James Wilson', amount: 1250.00, status: 'PENDING', confidenceScore: 87, createdAt: new Date(Date.now() - 2 * 3600000).toISOString() },
-        { id: 'demo-2', caseNumber: 'CB-2026-0246', guestName: 'Sarah Chen', amount: 890.50, status: 'IN_REVIEW', confidenceScore: 72, createdAt: new Date(Date.now() - 8 * 3600000).toISOString() },
-        { id: 'demo-3', caseNumber: 'CB-2026-0245', guestName: 'Michael Brown', amount: 2100.00, status: 'WON', confidenceScore: 94, createdAt: new Date(Date.now() - 24 * 3600000).toISOString() },
-      ],
-      pmsStatus: { connected: true, system: 'AutoClerk' },
-      evidenceSummary: { total: 0, byType: {}, casesWithEvidence: 0 },
-      isDemo: true
-    });
+    if (!isDatabaseUnavailable(error)) {
+      logger.error('Analytics trends error:', error);
+      return res.status(500).json({ error: 'Internal Server Error', message: 'Failed to load analytics trends' });
+    }
+    // Demo mode fallback
+    logger.warn('Analytics trends: database unavailable, returning demo trends');
+    res.json({ ...getDemoTrends(), isDemo: true });
   }
 });
 
-router.get('/trends', authenticateToken, async (req, res) => {
-  res.json({
-    trends: [
-      { month: 'Sep 2025', cases: 7, won: 5, lost: 2, recovered: 4560 },
-      { month: 'Oct 2025', cases: 6, won: 5, lost: 1, recovered: 5230 },
-      { month: 'Nov 2025', cases: 8, won: 6, lost: 2, recovered: 7890 },
-      { month: 'Dec 2025', cases: 9, won: 7, lost: 2, recovered: 9450 },
-      { month: 'Jan 2026', cases: 12, won: 8, lost: 1, recovered: 13090 },
-      { month: 'Feb 2026', cases: 5, won: 3, lost: 0, recovered: 4635 }
-    ],
-    period: '6m'
-  });
+router.get('/win-rates', async (req, res) => {
+  const { filters, errors } = parseAnalyticsFilters(req.query);
+  if (errors.length) {
+    return res.status(400).json({ error: 'Validation Error', details: errors });
+  }
+
+  try {
+    res.json(await getWinRateDrivers(filters, req.propertyFilter));
+  } catch (error) {
+    if (!isDatabaseUnavailable(error)) {
+      logger.error('Win rate analytics error:', error);
+      return res.status(500).json({ error: 'Internal Server Error', message: 'Failed to load win rate analytics' });
+    }
+    // Demo mode fallback
+    logger.warn('Win rate analytics: database unavailable, returning demo win rates');
+    res.json({ ...getDemoWinRateDrivers(), isDemo: true });
+  }
+});
+
+// Recompute AnalyticsSnapshot rows from a day onwards, e.g. after correcting case data
+router.post('/snapshots/rebuild', requireRole('ADMIN'), async (req, res) => {
+  const { from } = req.body || {};
+  if (!from || !/^\d{4}-\d{2}-\d{2}$/.test(from) || Number.isNaN(Date.parse(`${from}T00:00:00Z`))) {
+    return res.status(400).json({
+      error: 'Validation Error',
+      details: [{ path: 'from', message: 'from must be a date (YYYY-MM-DD)', code: 'invalid_date' }]
+    });
+  }
+
+  try {
+    const job = await queueSnapshotRebuild(from);
+    res.status(202).json({ message: `Analytics snapshots will be rebuilt from ${from}`, jobId: job.id });
+  } catch (error) {
+    if (error.code === 'QUEUE_NOT_INITIALIZED') {
+      return res.status(503).json({ error: 'Service Unavailable', message: error.message });
+    }
+    logger.error('Snapshot rebuild error:', error);
+    res.status(500).json({ error: 'Internal Server Error', message: 'Failed to queue snapshot rebuild' });
+  }
 });
 
 module.exports = router;
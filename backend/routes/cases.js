@@ -4,12 +4,36 @@
  */
 
 const express = require('express');
-const { prisma } = require('../config/database');
+const { prisma, isDatabaseUnavailable } = require('../config/database');
 const { authenticateToken, requireRole, requirePropertyAccess } = require('../middleware/auth');
-const { createCaseSchema, updateCaseSchema, updateCaseStatusSchema, caseFilterSchema } = require('../utils/validators');
-const { analyzeChargeback } = require('../services/fraudDetection');
+const { createCaseSchema, updateCaseSchema, updateCaseStatusSchema, acceptLiabilitySchema, caseFilterSchema } = require('../utils/validators');
+const { analyzeChargeback, scoringInputForCase, getDemoCaseData } = require('../services/fraudDetection');
+const { getEvidenceRequirements, listReasonCodes } = require('../services/reasonCodes');
 const { collectEvidenceForCase } = require('../services/autoEvidenceCollector');
 const { autoclerk } = require('../services/autoclerkEmulator');
+const { assessCE3, evaluateCE3Eligibility, toCE3SubmissionData } = require('../services/ce3Eligibility');
+const { generateRebuttalPacket, loadPacketEvidence } = require('../services/rebuttalPacket');
+const { LIABILITY_REASONS, SUBMIT_INCLUDE, changeCaseStatus, submitCase, acceptLiability } = require('../services/caseActions');
+const { OPEN_STATUSES, resolveCaseDeadline, assessExpiryRisk, formatDueDate } = require('../services/deadlines');
+const {
+  assignCase,
+  autoAssignCase,
+  reassignCases,
+  getAssignmentHistory,
+  summarizeWorkload,
+  getWorkload
+} = require('../services/caseAssignment');
+const {
+  BULK_ACTIONS,
+  MAX_BULK_CASES,
+  validateBulkAction,
+  startBulkAction,
+  getBulkJob,
+  listBulkJobs
+} = require('../services/bulkActions');
+const { EXPORT_FORMATS, parseExportOptions, exportFileName, iterateExportCases, writeCaseExport } = require('../services/caseExport');
+const { IMPORT_FIELDS, parseImportOptions, prepareImport, describeImport, importCases } = require('../services/caseImport');
+const storage = require('../config/storage');
 const logger = require('../utils/logger');
 const { addDemoNotification } = require('../controllers/notificationsController');
 
@@ -46,6 +70,107 @@ async function generateCaseNumber() {
   return `${prefix}${nextNumber.toString().padStart(4, '0')}`;
 }
 
+/**
+ * Prisma where clause for the case list filters (status, providerId,
+ * assignee, dateFrom/dateTo, search), scoped to the user's properties
+ */
+function buildCaseWhere(filters, req) {
+  const { status, providerId, assignee, dateFrom, dateTo, search } = filters;
+  const where = {
+    ...req.propertyFilter // Property access control
+  };
+
+  if (status) {
+    where.status = { in: status.split(',') };
+  }
+
+  if (providerId) {
+    where.providerId = providerId;
+  }
+
+  if (assignee) {
+    where.assigneeId = assigneeFilter(assignee, req.user);
+  }
+
+  if (dateFrom || dateTo) {
+    where.createdAt = {};
+    if (dateFrom) where.createdAt.gte = new Date(dateFrom);
+    if (dateTo) where.createdAt.lte = new Date(dateTo);
+  }
+
+  if (search) {
+    where.OR = [
+      { caseNumber: { contains: search, mode: 'insensitive' } },
+      { guestName: { contains: search, mode: 'insensitive' } },
+      { guestEmail: { contains: search, mode: 'insensitive' } },
+      { confirmationNumber: { contains: search, mode: 'insensitive' } }
+    ];
+  }
+
+  return where;
+}
+
+/**
+ * Resolve the `assignee` list filter: "me", "unassigned" or a user ID
+ */
+function assigneeFilter(assignee, user) {
+  if (assignee === 'me') return user.id;
+  if (assignee === 'unassigned') return null;
+  return assignee;
+}
+
+// Demo team (the users from GET /api/admin/users) and who owns each demo case
+const DEMO_TEAM = [
+  { id: 'demo-admin', firstName: 'Admin', lastName: 'User', email: 'admin@disputeai.com', role: 'ADMIN' },
+  { id: 'demo-manager', firstName: 'Hotel', lastName: 'Manager', email: 'manager@disputeai.com', role: 'MANAGER' },
+  { id: 'demo-staff', firstName: 'Front Desk', lastName: 'Staff', email: 'staff@disputeai.com', role: 'STAFF' }
+];
+
+const DEMO_CASE_ASSIGNEES = {
+  'demo-1': 'demo-staff',
+  'demo-2': 'demo-manager',
+  'demo-3': 'demo-manager',
+  'demo-4': 'demo-staff',
+  'demo-6': 'demo-admin',
+  'demo-7': 'demo-manager',
+  'demo-8': 'demo-staff',
+  'demo-9': 'demo-staff'
+};
+
+function demoAssignee(caseId) {
+  const user = DEMO_TEAM.find((u) => u.id === DEMO_CASE_ASSIGNEES[caseId]);
+  return user ? { id: user.id, firstName: user.firstName, lastName: user.lastName, email: user.email } : null;
+}
+
+// Demo cases served by GET /api/cases when the database is unavailable
+function demoCaseList() {
+  return [
+    { id: 'demo-1', caseNumber: 'CB-2026-0247', guestName: 'James Wilson', amount: 1250.00, status: 'PENDING', confidenceScore: 87, recommendation: 'AUTO_SUBMIT', reasonCode: '10.4', cardBrand: 'VISA', createdAt: new Date(Date.now() - 2*3600000).toISOString(), dueDate: new Date(Date.now() + 12*86400000).toISOString() },
+    { id: 'demo-2', caseNumber: 'CB-2026-0246', guestName: 'Sarah Chen', amount: 890.50, status: 'IN_REVIEW', confidenceScore: 72, recommendation: 'REVIEW_RECOMMENDED', reasonCode: '13.1', cardBrand: 'MASTERCARD', createdAt: new Date(Date.now() - 8*3600000).toISOString(), dueDate: new Date(Date.now() + 10*86400000).toISOString() },
+    { id: 'demo-3', caseNumber: 'CB-2026-0245', guestName: 'Michael Brown', amount: 2100.00, status: 'WON', confidenceScore: 94, recommendation: 'AUTO_SUBMIT', reasonCode: '10.4', cardBrand: 'VISA', createdAt: new Date(Date.now() - 24*3600000).toISOString(), resolvedAt: new Date(Date.now() - 2*3600000).toISOString() },
+    { id: 'demo-4', caseNumber: 'CB-2026-0244', guestName: 'Emily Rodriguez', amount: 475.25, status: 'SUBMITTED', confidenceScore: 81, recommendation: 'AUTO_SUBMIT', reasonCode: '4837', cardBrand: 'MASTERCARD', createdAt: new Date(Date.now() - 48*3600000).toISOString(), dueDate: new Date(Date.now() + 5*86400000).toISOString() },
+    { id: 'demo-5', caseNumber: 'CB-2026-0243', guestName: 'David Thompson', amount: 3200.00, status: 'PENDING', confidenceScore: 65, recommendation: 'GATHER_MORE_EVIDENCE', reasonCode: '10.4', cardBrand: 'AMEX', createdAt: new Date(Date.now() - 72*3600000).toISOString(), dueDate: new Date(Date.now() + 8*86400000).toISOString() },
+    { id: 'demo-6', caseNumber: 'CB-2026-0242', guestName: 'Lisa Anderson', amount: 1875.00, status: 'WON', confidenceScore: 91, recommendation: 'AUTO_SUBMIT', reasonCode: '13.6', cardBrand: 'VISA', createdAt: new Date(Date.now() - 96*3600000).toISOString(), resolvedAt: new Date(Date.now() - 24*3600000).toISOString() },
+    { id: 'demo-7', caseNumber: 'CB-2026-0241', guestName: 'Robert Kim', amount: 560.75, status: 'LOST', confidenceScore: 45, recommendation: 'UNLIKELY_TO_WIN', reasonCode: '10.1', cardBrand: 'DISCOVER', createdAt: new Date(Date.now() - 120*3600000).toISOString(), resolvedAt: new Date(Date.now() - 48*3600000).toISOString(), arbitrationEligible: true, arbitrationStatus: 'AVAILABLE', arbitrationDeadline: new Date(Date.now() + 8*86400000).toISOString() },
+    { id: 'demo-8', caseNumber: 'CB-2026-0240', guestName: 'Jennifer Lee', amount: 1450.00, status: 'IN_REVIEW', confidenceScore: 76, recommendation: 'REVIEW_RECOMMENDED', reasonCode: '4853', cardBrand: 'MASTERCARD', createdAt: new Date(Date.now() - 144*3600000).toISOString(), dueDate: new Date(Date.now() + 3*86400000).toISOString() },
+    { id: 'demo-9', caseNumber: 'CB-2026-0239', guestName: 'Patricia Moore', amount: 1820.00, status: 'LOST', confidenceScore: 52, recommendation: 'UNLIKELY_TO_WIN', reasonCode: '13.1', cardBrand: 'VISA', createdAt: new Date(Date.now() - 168*3600000).toISOString(), resolvedAt: new Date(Date.now() - 72*3600000).toISOString(), arbitrationEligible: true, arbitrationStatus: 'FILED', arbitrationDeadline: new Date(Date.now() + 15*86400000).toISOString() },
+  ].map((c) => ({ ...c, assigneeId: DEMO_CASE_ASSIGNEES[c.id] || null, assignee: demoAssignee(c.id) }));
+}
+
+/**
+ * The case list filters applied in memory to demo cases
+ */
+function filterDemoCases(cases, { status, assignee, search } = {}, user) {
+  const statuses = status ? status.split(',') : null;
+  const owner = assignee ? assigneeFilter(assignee, user) : undefined;
+  const q = search ? search.trim().toLowerCase() : '';
+  return cases.filter((c) =>
+    (!statuses || statuses.includes(c.status)) &&
+    (owner === undefined || c.assigneeId === owner) &&
+    (!q || [c.caseNumber, c.guestName, c.guestEmail, c.confirmationNumber, c.cardBrand, c.reasonCode].some((v) => (v || '').toLowerCase().includes(q)))
+  );
+}
+
 // =============================================================================
 // ROUTES
 // =============================================================================
@@ -65,46 +190,8 @@ router.get('/', async (req, res) => {
       });
     }
 
-    const {
-      status,
-      propertyId,
-      providerId,
-      dateFrom,
-      dateTo,
-      search,
-      page,
-      limit,
-      sortBy,
-      sortOrder
-    } = validation.data;
-
-    // Build where clause
-    const where = {
-      ...req.propertyFilter // Property access control
-    };
-
-    if (status) {
-      where.status = { in: status.split(',') };
-    }
-
-    if (providerId) {
-      where.providerId = providerId;
-    }
-
-    if (dateFrom || dateTo) {
-      where.createdAt = {};
-      if (dateFrom) where.createdAt.gte = new Date(dateFrom);
-      if (dateTo) where.createdAt.lte = new Date(dateTo);
-    }
-
-    if (search) {
-      where.OR = [
-        { caseNumber: { contains: search, mode: 'insensitive' } },
-        { guestName: { contains: search, mode: 'insensitive' } },
-        { guestEmail: { contains: search, mode: 'insensitive' } },
-        { confirmationNumber: { contains: search, mode: 'insensitive' } }
-      ];
-    }
+    const { page, limit, sortBy, sortOrder } = validation.data;
+    const where = buildCaseWhere(validation.data, req);
 
     // Execute query
     const [cases, total] = await Promise.all([
@@ -113,6 +200,7 @@ router.get('/', async (req, res) => {
         include: {
           property: { select: { id: true, name: true } },
           provider: { select: { id: true, name: true } },
+          assignee: { select: { id: true, firstName: true, lastName: true, email: true } },
           _count: { select: { evidence: true, notes: true } }
         },
         orderBy: { [sortBy]: sortOrder },
@@ -134,17 +222,7 @@ router.get('/', async (req, res) => {
 
   } catch (error) {
     logger.warn('List cases: database unavailable, returning demo data');
-    const demoCases = [
-      { id: 'demo-1', caseNumber: 'CB-2026-0247', guestName: 'James Wilson', amount: 1250.00, status: 'PENDING', confidenceScore: 87, recommendation: 'AUTO_SUBMIT', reasonCode: '10.4', cardBrand: 'VISA', createdAt: new Date(Date.now() - 2*3600000).toISOString(), dueDate: new Date(Date.now() + 12*86400000).toISOString() },
-      { id: 'demo-2', caseNumber: 'CB-2026-0246', guestName: 'Sarah Chen', amount: 890.50, status: 'IN_REVIEW', confidenceScore: 72, recommendation: 'REVIEW_RECOMMENDED', reasonCode: '13.1', cardBrand: 'MASTERCARD', createdAt: new Date(Date.now() - 8*3600000).toISOString(), dueDate: new Date(Date.now() + 10*86400000).toISOString() },
-      { id: 'demo-3', caseNumber: 'CB-2026-0245', guestName: 'Michael Brown', amount: 2100.00, status: 'WON', confidenceScore: 94, recommendation: 'AUTO_SUBMIT', reasonCode: '10.4', cardBrand: 'VISA', createdAt: new Date(Date.now() - 24*3600000).toISOString(), resolvedAt: new Date(Date.now() - 2*3600000).toISOString() },
-      { id: 'demo-4', caseNumber: 'CB-2026-0244', guestName: 'Emily Rodriguez', amount: 475.25, status: 'SUBMITTED', confidenceScore: 81, recommendation: 'AUTO_SUBMIT', reasonCode: '4837', cardBrand: 'MASTERCARD', createdAt: new Date(Date.now() - 48*3600000).toISOString(), dueDate: new Date(Date.now() + 5*86400000).toISOString() },
-      { id: 'demo-5', caseNumber: 'CB-2026-0243', guestName: 'David Thompson', amount: 3200.00, status: 'PENDING', confidenceScore: 65, recommendation: 'GATHER_MORE_EVIDENCE', reasonCode: '10.4', cardBrand: 'AMEX', createdAt: new Date(Date.now() - 72*3600000).toISOString(), dueDate: new Date(Date.now() + 8*86400000).toISOString() },
-      { id: 'demo-6', caseNumber: 'CB-2026-0242', guestName: 'Lisa Anderson', amount: 1875.00, status: 'WON', confidenceScore: 91, recommendation: 'AUTO_SUBMIT', reasonCode: '13.6', cardBrand: 'VISA', createdAt: new Date(Date.now() - 96*3600000).toISOString(), resolvedAt: new Date(Date.now() - 24*3600000).toISOString() },
-      { id: 'demo-7', caseNumber: 'CB-2026-0241', guestName: 'Robert Kim', amount: 560.75, status: 'LOST', confidenceScore: 45, recommendation: 'UNLIKELY_TO_WIN', reasonCode: '10.1', cardBrand: 'DISCOVER', createdAt: new Date(Date.now() - 120*3600000).toISOString(), resolvedAt: new Date(Date.now() - 48*3600000).toISOString(), arbitrationEligible: true, arbitrationStatus: 'AVAILABLE', arbitrationDeadline: new Date(Date.now() + 8*86400000).toISOString() },
-      { id: 'demo-8', caseNumber: 'CB-2026-0240', guestName: 'Jennifer Lee', amount: 1450.00, status: 'IN_REVIEW', confidenceScore: 76, recommendation: 'REVIEW_RECOMMENDED', reasonCode: '4853', cardBrand: 'MASTERCARD', createdAt: new Date(Date.now() - 144*3600000).toISOString(), dueDate: new Date(Date.now() + 3*86400000).toISOString() },
-      { id: 'demo-9', caseNumber: 'CB-2026-0239', guestName: 'Patricia Moore', amount: 1820.00, status: 'LOST', confidenceScore: 52, recommendation: 'UNLIKELY_TO_WIN', reasonCode: '13.1', cardBrand: 'VISA', createdAt: new Date(Date.now() - 168*3600000).toISOString(), resolvedAt: new Date(Date.now() - 72*3600000).toISOString(), arbitrationEligible: true, arbitrationStatus: 'FILED', arbitrationDeadline: new Date(Date.now() + 15*86400000).toISOString() },
-    ];
+    const demoCases = filterDemoCases(demoCaseList(), req.query, req.user);
     res.json({
       cases: demoCases,
       pagination: { page: 1, limit: 20, total: demoCases.length, totalPages: 1 },
@@ -153,6 +231,190 @@ router.get('/', async (req, res) => {
   }
 });
 
+/**
+ * GET /api/cases/export
+ * Stream the filtered case list as CSV or XLSX (?format=csv|xlsx), with the
+ * list filters and sort plus ?columns= (keys of caseExport.EXPORT_COLUMNS)
+ */
+router.get('/export', async (req, res) => {
+  const validation = caseFilterSchema.safeParse(req.query);
+  const options = parseExportOptions(req.query);
+  const errors = [...(validation.success ? [] : validation.error.errors), ...options.errors];
+  if (errors.length) {
+    return res.status(400).json({ error: 'Validation Error', details: errors });
+  }
+
+  const { sortBy, sortOrder } = validation.data;
+  const where = buildCaseWhere(validation.data, req);
+
+  let total;
+  let cases;
+  try {
+    total = await prisma.chargeback.count({ where });
+    cases = iterateExportCases(where, { sortBy, sortOrder });
+  } catch (error) {
+    if (!isDatabaseUnavailable(error)) {
+      logger.error('Export cases error:', error);
+      return res.status(500).json({ error: 'Internal Server Error', message: 'Failed to export cases' });
+    }
+    logger.warn('Export cases: database unavailable, exporting demo data');
+    cases = filterDemoCases(demoCaseList(), req.query, req.user);
+    total = cases.length;
+  }
+
+  res.set({
+    'Content-Type': EXPORT_FORMATS[options.format].contentType,
+    'Content-Disposition': `attachment; filename="${exportFileName(options.format)}"`,
+    'X-Total-Count': String(total)
+  });
+
+  try {
+    await writeCaseExport(res, cases, options);
+    logger.info(`Case export: ${total} cases as ${options.format} by ${req.user.email}`);
+  } catch (error) {
+    // Headers are already out, so all we can do is cut the download short
+    logger.error('Case export error:', error);
+    res.destroy(error);
+  }
+});
+
+/**
+ * Validate an import request body and the user's access to its property
+ */
+function _importOptions(req, res) {
+  const { options, errors } = parseImportOptions(req.body);
+  if (errors.length) {
+    res.status(400).json({ error: 'Validation Error', details: errors });
+    return null;
+  }
+  if (req.user.role !== 'ADMIN' && options.propertyId !== req.user.propertyId) {
+    res.status(403).json({ error: 'Forbidden', message: 'Cannot import cases for another property' });
+    return null;
+  }
+  return options;
+}
+
+/**
+ * Demo mode: prepare an import without checking existing cases, sending the
+ * error response and returning null when the file can't be used
+ */
+async function _prepareDemoImport(options, res, failureMessage) {
+  let prepared;
+  try {
+    prepared = await prepareImport(options, { checkExisting: false });
+  } catch (error) {
+    logger.error('Demo import error:', error);
+    res.status(500).json({ error: 'Internal Server Error', message: failureMessage });
+    return null;
+  }
+  if (prepared.errors) {
+    res.status(400).json({ error: 'Validation Error', details: prepared.errors });
+    return null;
+  }
+  return prepared;
+}
+
+// Mappable fields for the import wizard
+const IMPORT_FIELD_LIST = Object.entries(IMPORT_FIELDS).map(([key, field]) => ({ key, ...field }));
+
+/**
+ * POST /api/cases/import/preview
+ * Check a processor CSV report without importing it: the column mapping
+ * (suggested by the preset unless one is sent), row errors and duplicates
+ */
+router.post('/import/preview', requireRole('ADMIN', 'MANAGER'), async (req, res) => {
+  const options = _importOptions(req, res);
+  if (!options) return;
+
+  try {
+    const prepared = await prepareImport(options);
+    if (prepared.errors) {
+      return res.status(400).json({ error: 'Validation Error', details: prepared.errors });
+    }
+    res.json({ ...describeImport(prepared), fields: IMPORT_FIELD_LIST });
+  } catch (error) {
+    if (!isDatabaseUnavailable(error)) {
+      logger.error('Import preview error:', error);
+      return res.status(500).json({ error: 'Internal Server Error', message: 'Failed to check import file' });
+    }
+    // Demo mode fallback: duplicates are only checked within the file
+    logger.warn('Import preview: database unavailable, checking the file on its own');
+    const prepared = await _prepareDemoImport(options, res, 'Failed to check import file');
+    if (!prepared) return;
+    res.json({ ...describeImport(prepared), fields: IMPORT_FIELD_LIST, isDemo: true });
+  }
+});
+
+/**
+ * POST /api/cases/import
+ * Create cases from the valid rows of a processor CSV report, skipping
+ * invalid rows and duplicates of existing cases or earlier rows
+ */
+router.post('/import', requireRole('ADMIN', 'MANAGER'), async (req, res) => {
+  const options = _importOptions(req, res);
+  if (!options) return;
+
+  let prepared;
+  try {
+    prepared = await prepareImport(options);
+    if (prepared.errors) {
+      return res.status(400).json({ error: 'Validation Error', details: prepared.errors });
+    }
+
+    const result = await importCases(prepared, { processor: options.processor, propertyId: options.propertyId, user: req.user });
+
+    await prisma.auditLog.create({
+      data: {
+        userId: req.user.id,
+        action: 'IMPORT_CASES',
+        entityType: 'Property',
+        entityId: options.propertyId,
+        newValues: { processor: result.provider.name, ...prepared.summary, created: result.created },
+        ipAddress: req.ip
+      }
+    });
+
+    const { summary, invalid, duplicates } = describeImport(prepared);
+    res.status(201).json({
+      message: `Imported ${result.created} case${result.created === 1 ? '' : 's'} from ${result.provider.name}`,
+      summary: { ...summary, created: result.created },
+      provider: result.provider,
+      snapshotsFrom: result.snapshotsFrom,
+      invalid,
+      duplicates
+    });
+  } catch (error) {
+    if (error.code === 'PROPERTY_NOT_FOUND') {
+      return res.status(404).json({ error: 'Not Found', message: error.message });
+    }
+    if (!isDatabaseUnavailable(error)) {
+      logger.error('Case import error:', error);
+      return res.status(500).json({ error: 'Internal Server Error', message: 'Failed to import cases' });
+    }
+    // Demo mode fallback: report what would have been created
+    logger.warn('Case import: database unavailable, returning demo response');
+    prepared = await _prepareDemoImport(options, res, 'Failed to import cases');
+    if (!prepared) return;
+    const { summary, invalid, duplicates } = describeImport(prepared);
+    res.status(201).json({
+      message: `Imported ${summary.valid} cases from ${options.processor} (Demo Mode)`,
+      summary: { ...summary, created: summary.valid },
+      invalid,
+      duplicates,
+      isDemo: true
+    });
+  }
+});
+
+/**
+ * GET /api/cases/reason-codes
+ * Reason code catalog with evidence requirements (optionally ?cardBrand=)
+ */
+router.get('/reason-codes', (req, res) => {
+  const reasonCodes = listReasonCodes(req.query.cardBrand);
+  res.json({ reasonCodes, total: reasonCodes.length });
+});
+
 /**
  * GET /api/cases/stats
  * Get case statistics
@@ -161,7 +423,7 @@ router.get('/stats', async (req, res) => {
   try {
     const where = req.propertyFilter;
 
-    const [statusCounts, totalAmount, recentCases] = await Promise.all([
+    const [statusCounts, totalAmount, recentCases, conceded] = await Promise.all([
       // Count by status
       prisma.chargeback.groupBy({
         by: ['status'],
@@ -183,13 +445,22 @@ router.get('/stats', async (req, res) => {
           ...where,
           createdAt: { gte: new Date(Date.now() - 7 * 24 * 60 * 60 * 1000) }
         }
+      }),
+
+      // Deliberate losses (accepted liability) by reason
+      prisma.chargeback.groupBy({
+        by: ['liabilityReason'],
+        where: { ...where, status: 'LOST', liabilityReason: { not: null } },
+        _count: { liabilityReason: true },
+        _sum: { amount: true }
       })
     ]);
 
-    // Calculate win rate
+    // Win rate counts only cases that were fought; conceded ones aren't losses of the defense
     const wonCount = statusCounts.find(s => s.status === 'WON')?._count.status || 0;
     const lostCount = statusCounts.find(s => s.status === 'LOST')?._count.status || 0;
-    const resolvedCount = wonCount + lostCount;
+    const acceptedCount = conceded.reduce((sum, item) => sum + item._count.liabilityReason, 0);
+    const resolvedCount = wonCount + lostCount - acceptedCount;
     const winRate = resolvedCount > 0 ? Math.round((wonCount / resolvedCount) * 100) : 0;
 
     res.json({
@@ -205,14 +476,27 @@ router.get('/stats', async (req, res) => {
           amount: item._sum.amount || 0
         };
         return acc;
-      }, {})
+      }, {}),
+      outcomes: {
+        won: wonCount,
+        lostAfterFighting: lostCount - acceptedCount,
+        acceptedLiability: acceptedCount
+      },
+      acceptedLiability: {
+        count: acceptedCount,
+        amount: conceded.reduce((sum, item) => sum + Number(item._sum.amount || 0), 0),
+        byReason: conceded.reduce((acc, item) => {
+          acc[item.liabilityReason] = { count: item._count.liabilityReason, amount: item._sum.amount || 0 };
+          return acc;
+        }, {})
+      }
     });
 
   } catch (error) {
     // Demo mode fallback
     logger.warn('Get stats: database unavailable, returning demo data');
     res.json({
-      overview: { totalCases: 247, totalAmount: 184320.50, recentCases: 18, winRate: 78 },
+      overview: { totalCases: 247, totalAmount: 184320.50, recentCases: 18, winRate: 88 },
       byStatus: {
         PENDING: { count: 18, amount: 14250.00 },
         IN_REVIEW: { count: 24, amount: 28900.00 },
@@ -221,11 +505,307 @@ router.get('/stats', async (req, res) => {
         LOST: { count: 28, amount: 18970.00 },
         EXPIRED: { count: 3, amount: 2500.00 }
       },
+      outcomes: { won: 142, lostAfterFighting: 19, acceptedLiability: 9 },
+      acceptedLiability: {
+        count: 9,
+        amount: 2185.00,
+        byReason: {
+          AMOUNT_TOO_SMALL: { count: 6, amount: 940.00 },
+          VALID_GUEST_COMPLAINT: { count: 2, amount: 885.00 },
+          NO_EVIDENCE: { count: 1, amount: 360.00 }
+        }
+      },
       isDemo: true
     });
   }
 });
 
+const RISK_LEVELS = ['LOW', 'MEDIUM', 'HIGH'];
+
+// Open demo cases (as in GET /api/cases), due relative to now
+const DEMO_AT_RISK = [
+  { id: 'demo-8', caseNumber: 'CB-2026-0240', guestName: 'Jennifer Lee', amount: 1450.00, currency: 'USD', status: 'IN_REVIEW', reasonCode: '4853', cardBrand: 'MASTERCARD', dueInDays: 3 },
+  { id: 'demo-5', caseNumber: 'CB-2026-0243', guestName: 'David Thompson', amount: 3200.00, currency: 'USD', status: 'PENDING', reasonCode: '10.4', cardBrand: 'AMEX', dueInDays: 8 },
+  { id: 'demo-2', caseNumber: 'CB-2026-0246', guestName: 'Sarah Chen', amount: 890.50, currency: 'USD', status: 'IN_REVIEW', reasonCode: '13.1', cardBrand: 'MASTERCARD', dueInDays: 10 },
+  { id: 'demo-1', caseNumber: 'CB-2026-0247', guestName: 'James Wilson', amount: 1250.00, currency: 'USD', status: 'PENDING', reasonCode: '10.4', cardBrand: 'VISA', dueInDays: 12 }
+];
+
+function _atRiskCase(chargeback, evidence, now) {
+  return {
+    id: chargeback.id,
+    caseNumber: chargeback.caseNumber,
+    guestName: chargeback.guestName,
+    amount: chargeback.amount,
+    currency: chargeback.currency,
+    status: chargeback.status,
+    reasonCode: chargeback.reasonCode,
+    cardBrand: chargeback.cardBrand,
+    property: chargeback.property ? { id: chargeback.property.id, name: chargeback.property.name } : null,
+    dueDate: chargeback.dueDate,
+    dueLabel: formatDueDate(chargeback.dueDate, chargeback.property?.timezone),
+    risk: assessExpiryRisk(chargeback, evidence, { now })
+  };
+}
+
+function _atRiskResponse(cases, { days, minLevel }) {
+  const atRisk = cases
+    .filter((c) => RISK_LEVELS.indexOf(c.risk.level) >= RISK_LEVELS.indexOf(minLevel))
+    .sort((a, b) => b.risk.score - a.risk.score || new Date(a.dueDate) - new Date(b.dueDate));
+
+  return {
+    cases: atRisk,
+    summary: {
+      checked: cases.length,
+      high: atRisk.filter((c) => c.risk.level === 'HIGH').length,
+      medium: atRisk.filter((c) => c.risk.level === 'MEDIUM').length,
+      amountAtRisk: Math.round(atRisk.reduce((sum, c) => sum + Number(c.amount), 0) * 100) / 100
+    },
+    days,
+    minLevel
+  };
+}
+
+/**
+ * GET /api/cases/at-risk
+ * Open cases likely to expire unanswered, riskiest first. Scores time left
+ * against required evidence on file (see assessExpiryRisk).
+ * ?days=14 (cases due within, including overdue) &minLevel=MEDIUM (LOW, MEDIUM, HIGH)
+ */
+router.get('/at-risk', async (req, res) => {
+  const days = Math.min(Math.max(parseInt(req.query.days, 10) || 14, 1), 90);
+  const minLevel = RISK_LEVELS.includes(String(req.query.minLevel).toUpperCase())
+    ? String(req.query.minLevel).toUpperCase()
+    : 'MEDIUM';
+  const now = new Date();
+
+  try {
+    const cases = await prisma.chargeback.findMany({
+      where: {
+        ...req.propertyFilter,
+        status: { in: OPEN_STATUSES },
+        dueDate: { not: null, lte: new Date(now.getTime() + days * 24 * 60 * 60 * 1000) }
+      },
+      include: {
+        property: { select: { id: true, name: true, timezone: true } },
+        evidence: { select: { type: true } }
+      },
+      orderBy: { dueDate: 'asc' }
+    });
+
+    const assessed = cases.map((c) =>
+      _atRiskCase(c, [...c.evidence, ...autoclerk.getCaseEvidence(c.id)], now)
+    );
+    res.json(_atRiskResponse(assessed, { days, minLevel }));
+
+  } catch (error) {
+    // Demo mode fallback
+    logger.warn('Get at-risk cases: database unavailable, returning demo data');
+    const assessed = DEMO_AT_RISK
+      .filter((c) => c.dueInDays <= days)
+      .map(({ dueInDays, ...c }) => _atRiskCase({
+        ...c,
+        dueDate: new Date(now.getTime() + dueInDays * 24 * 60 * 60 * 1000),
+        property: { id: 'demo-property-1', name: 'DisputeAI Demo Hotel', timezone: 'America/New_York' }
+      }, autoclerk.getCaseEvidence(c.id), now));
+    res.json({ ..._atRiskResponse(assessed, { days, minLevel }), isDemo: true });
+  }
+});
+
+/**
+ * GET /api/cases/workload
+ * Open cases and upcoming deadlines per person, for the manager view.
+ * ?days=7 sets the "due soon" window
+ */
+router.get('/workload', requireRole('ADMIN', 'MANAGER'), async (req, res) => {
+  const days = Math.min(Math.max(parseInt(req.query.days, 10) || 7, 1), 30);
+
+  try {
+    const workload = await getWorkload({ propertyFilter: req.propertyFilter, days });
+    res.json({ workload, days });
+
+  } catch (error) {
+    // Demo mode fallback
+    logger.warn('Get workload: database unavailable, returning demo data');
+    const openCases = DEMO_AT_RISK.map(({ dueInDays, ...c }) => ({
+      ...c,
+      dueDate: new Date(Date.now() + dueInDays * 24 * 60 * 60 * 1000),
+      assigneeId: DEMO_CASE_ASSIGNEES[c.id] || null
+    }));
+    const owners = new Set(openCases.map((c) => c.assigneeId));
+    res.json({
+      workload: summarizeWorkload(openCases, DEMO_TEAM.filter((u) => u.role !== 'ADMIN' || owners.has(u.id)), { days }),
+      days,
+      isDemo: true
+    });
+  }
+});
+
+/**
+ * POST /api/cases/bulk-reassign
+ * Reassign several cases to one person: { caseIds, assigneeId (null to unassign), reason? }
+ */
+router.post('/bulk-reassign', requireRole('ADMIN', 'MANAGER'), async (req, res) => {
+  const { caseIds, assigneeId = null, reason } = req.body || {};
+  if (!Array.isArray(caseIds) || caseIds.length === 0 || caseIds.length > 200 || !caseIds.every((id) => typeof id === 'string')) {
+    return res.status(400).json({ error: 'Validation Error', message: 'caseIds must be an array of 1-200 case IDs' });
+  }
+  if (assigneeId !== null && typeof assigneeId !== 'string') {
+    return res.status(400).json({ error: 'Validation Error', message: 'assigneeId must be a user ID or null' });
+  }
+
+  try {
+    const result = await reassignCases([...new Set(caseIds)], assigneeId, {
+      assignedBy: req.user,
+      propertyFilter: req.propertyFilter,
+      reason: reason || null
+    });
+
+    res.json({
+      message: `${result.reassigned.length} case${result.reassigned.length === 1 ? '' : 's'} reassigned`,
+      ...result
+    });
+
+  } catch (error) {
+    // Demo mode fallback
+    logger.warn('Bulk reassign: database unavailable, returning demo response');
+    const known = caseIds.filter((id) => /^demo-[1-9]$/.test(id));
+    const reassigned = known.filter((id) => (DEMO_CASE_ASSIGNEES[id] || null) !== assigneeId);
+    res.json({
+      message: `${reassigned.length} case${reassigned.length === 1 ? '' : 's'} reassigned (Demo Mode)`,
+      reassigned,
+      unchanged: known.filter((id) => !reassigned.includes(id)),
+      failed: caseIds.filter((id) => !known.includes(id)).map((id) => ({ id, error: 'Case not found' })),
+      isDemo: true
+    });
+  }
+});
+
+/**
+ * POST /api/cases/bulk-actions
+ * Queue an action across many cases: { action, params?, caseIds } or
+ * { action, params?, filter } where filter takes the GET /api/cases filters.
+ * Returns 202 with the job ID; poll GET /api/cases/bulk-actions/:jobId.
+ */
+router.post('/bulk-actions', requireRole('ADMIN', 'MANAGER', 'STAFF'), async (req, res) => {
+  const { action, params = {}, caseIds, filter } = req.body || {};
+
+  const errors = validateBulkAction(action, params);
+  if (errors.length > 0) {
+    return res.status(400).json({ error: 'Validation Error', details: errors });
+  }
+  if (!BULK_ACTIONS[action].roles.includes(req.user.role)) {
+    return res.status(403).json({ error: 'Forbidden', message: `${BULK_ACTIONS[action].label} requires one of: ${BULK_ACTIONS[action].roles.join(', ')}` });
+  }
+  if (caseIds !== undefined && (!Array.isArray(caseIds) || caseIds.length === 0 || caseIds.length > MAX_BULK_CASES || !caseIds.every((id) => typeof id === 'string'))) {
+    return res.status(400).json({ error: 'Validation Error', message: `caseIds must be an array of 1-${MAX_BULK_CASES} case IDs` });
+  }
+  if (caseIds === undefined && (!filter || typeof filter !== 'object')) {
+    return res.status(400).json({ error: 'Validation Error', message: 'Provide caseIds or a filter' });
+  }
+
+  let filters = {};
+  if (caseIds === undefined) {
+    const validation = caseFilterSchema.safeParse(filter);
+    if (!validation.success) {
+      return res.status(400).json({ error: 'Validation Error', details: validation.error.errors });
+    }
+    filters = validation.data;
+  }
+
+  let selectedIds;
+  let demoCases = null;
+  try {
+    if (caseIds) {
+      selectedIds = [...new Set(caseIds)];
+      // Reaches the database; IDs outside the user's properties fail per case in the job
+      await prisma.chargeback.count({ where: { id: { in: selectedIds }, ...req.propertyFilter } });
+    } else {
+      const matches = await prisma.chargeback.findMany({
+        where: buildCaseWhere(filters, req),
+        select: { id: true },
+        orderBy: { dueDate: 'asc' },
+        take: MAX_BULK_CASES + 1
+      });
+      selectedIds = matches.map((c) => c.id);
+    }
+  } catch (error) {
+    logger.warn('Bulk action: database unavailable, simulating against demo cases');
+    demoCases = caseIds
+      ? demoCaseList().filter((c) => caseIds.includes(c.id))
+      : filterDemoCases(demoCaseList(), filters, req.user);
+    selectedIds = caseIds ? [...new Set(caseIds)] : demoCases.map((c) => c.id);
+  }
+
+  if (selectedIds.length === 0) {
+    return res.status(400).json({ error: 'Bad Request', message: 'No cases match the filter' });
+  }
+  if (selectedIds.length > MAX_BULK_CASES) {
+    return res.status(400).json({ error: 'Bad Request', message: `More than ${MAX_BULK_CASES} cases match; narrow the filter` });
+  }
+
+  try {
+    const job = await startBulkAction({
+      action,
+      params,
+      caseIds: selectedIds,
+      user: req.user,
+      propertyFilter: req.propertyFilter || {},
+      demoCases
+    });
+
+    res.status(202).json({
+      message: `${BULK_ACTIONS[action].label} queued for ${selectedIds.length} case${selectedIds.length === 1 ? '' : 's'}`,
+      jobId: job.id,
+      total: selectedIds.length,
+      ...(demoCases && { isDemo: true })
+    });
+
+  } catch (error) {
+    if (error.code === 'QUEUE_NOT_INITIALIZED') {
+      return res.status(503).json({ error: 'Service Unavailable', message: error.message });
+    }
+    logger.error('Bulk action error:', error);
+    res.status(500).json({ error: 'Internal Server Error', message: 'Failed to queue bulk action' });
+  }
+});
+
+/**
+ * GET /api/cases/bulk-actions
+ * The current user's recent bulk actions (everyone's for admins)
+ */
+router.get('/bulk-actions', async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit, 10) || 10, 50);
+    res.json({ jobs: await listBulkJobs(req.user, { limit }) });
+  } catch (error) {
+    if (error.code === 'QUEUE_NOT_INITIALIZED') {
+      return res.json({ jobs: [] });
+    }
+    logger.error('List bulk actions error:', error);
+    res.status(500).json({ error: 'Internal Server Error', message: 'Failed to fetch bulk actions' });
+  }
+});
+
+/**
+ * GET /api/cases/bulk-actions/:jobId
+ * Progress and per-case results of a bulk action
+ */
+router.get('/bulk-actions/:jobId', async (req, res) => {
+  try {
+    const job = await getBulkJob(req.params.jobId, req.user);
+    if (!job) {
+      return res.status(404).json({ error: 'Not Found', message: 'Bulk action not found' });
+    }
+    res.json({ job });
+  } catch (error) {
+    if (error.code === 'QUEUE_NOT_INITIALIZED') {
+      return res.status(503).json({ error: 'Service Unavailable', message: error.message });
+    }
+    logger.error('Get bulk action error:', error);
+    res.status(500).json({ error: 'Internal Server Error', message: 'Failed to fetch bulk action' });
+  }
+});
+
 /**
  * GET /api/cases/:id
  * Get single chargeback with all details
@@ -240,6 +820,7 @@ router.get('/:id', async (req, res) => {
       include: {
         property: true,
         provider: true,
+        assignee: { select: { id: true, firstName: true, lastName: true, email: true } },
         evidence: {
           orderBy: { createdAt: 'desc' }
         },
@@ -592,6 +1173,9 @@ router.get('/:id', async (req, res) => {
       });
     }
 
+    demoCase.assigneeId = DEMO_CASE_ASSIGNEES[caseId] || null;
+    demoCase.assignee = demoAssignee(caseId);
+
     // Add evidence array — check if auto-collected evidence exists
     const autoCollectedEvidence = autoclerk.getCaseEvidence(caseId);
     if (autoCollectedEvidence.length > 0) {
@@ -687,13 +1271,19 @@ router.post('/', requireRole('ADMIN', 'MANAGER', 'STAFF'), async (req, res) => {
     // Generate case number
     const caseNumber = await generateCaseNumber();
 
+    // A due date entered by hand stands; otherwise the deadline engine sets it
+    const disputeDate = new Date(data.disputeDate);
+    const dueDate = data.dueDate
+      ? new Date(data.dueDate)
+      : (await resolveCaseDeadline({ ...data, disputeDate }))?.dueDate || null;
+
     // Create chargeback
     const chargeback = await prisma.chargeback.create({
       data: {
         caseNumber,
         ...data,
-        disputeDate: new Date(data.disputeDate),
-        dueDate: data.dueDate ? new Date(data.dueDate) : null,
+        disputeDate,
+        dueDate,
         checkInDate: new Date(data.checkInDate),
         checkOutDate: new Date(data.checkOutDate)
       },
@@ -713,6 +1303,8 @@ router.post('/', requireRole('ADMIN', 'MANAGER', 'STAFF'), async (req, res) => {
       }
     });
 
+    await autoAssignCase(chargeback);
+
     // Run AI analysis
     try {
       await analyzeChargeback(chargeback.id);
@@ -748,22 +1340,24 @@ router.post('/', requireRole('ADMIN', 'MANAGER', 'STAFF'), async (req, res) => {
 
 /**
  * POST /api/cases/:id/submit
- * Submit case to payment processor
+ * Generate the rebuttal packet and submit case to payment processor
  */
 router.post('/:id/submit', requireRole('ADMIN', 'MANAGER', 'STAFF'), async (req, res) => {
+  let chargeback;
   try {
-    const { notes } = req.body;
-
-    const chargeback = await prisma.chargeback.findFirst({
+    chargeback = await prisma.chargeback.findFirst({
       where: {
         id: req.params.id,
         ...req.propertyFilter
       },
-      include: {
-        provider: true,
-        evidence: true,
-      },
+      include: SUBMIT_INCLUDE
     });
+  } catch (error) {
+    return _submitDemoCase(req, res);
+  }
+
+  try {
+    const { notes } = req.body;
 
     if (!chargeback) {
       return res.status(404).json({
@@ -772,55 +1366,14 @@ router.post('/:id/submit', requireRole('ADMIN', 'MANAGER', 'STAFF'), async (req,
       });
     }
 
-    if (chargeback.status !== 'PENDING' && chargeback.status !== 'IN_REVIEW') {
+    if (!OPEN_STATUSES.includes(chargeback.status)) {
       return res.status(400).json({
         error: 'Bad Request',
         message: 'Case has already been submitted or resolved'
       });
     }
 
-    // Create submission record
-    const submission = await prisma.disputeSubmission.create({
-      data: {
-        chargebackId: chargeback.id,
-        processorId: chargeback.provider?.id,
-        status: 'SENT',
-        requestJson: {
-          caseNumber: chargeback.caseNumber,
-          processorCaseId: chargeback.processorCaseId,
-          amount: parseFloat(chargeback.amount),
-          evidenceCount: chargeback.evidence.length,
-          submittedBy: req.user.email,
-          notes,
-        },
-      },
-    });
-
-    // Update case status
-    const updatedChargeback = await prisma.chargeback.update({
-      where: { id: chargeback.id },
-      data: {
-        status: 'SUBMITTED',
-        submittedAt: new Date(),
-      },
-      include: {
-        property: { select: { id: true, name: true } },
-        provider: { select: { id: true, name: true } }
-      }
-    });
-
-    // Create timeline event
-    await prisma.timelineEvent.create({
-      data: {
-        chargebackId: chargeback.id,
-        eventType: 'SYSTEM',
-        title: 'Case Submitted',
-        description: `Submitted to ${chargeback.provider?.name || 'processor'} by ${req.user.firstName} ${req.user.lastName}`,
-        metadata: { submissionId: submission.id }
-      }
-    });
-
-    logger.info(`Case submitted: ${chargeback.caseNumber} by ${req.user.email}`);
+    const { chargeback: updatedChargeback, submission } = await submitCase(chargeback, { user: req.user, notes });
 
     addDemoNotification({
       type: 'CASE_UPDATE',
@@ -834,37 +1387,185 @@ router.post('/:id/submit', requireRole('ADMIN', 'MANAGER', 'STAFF'), async (req,
     res.json({
       message: 'Case submitted successfully',
       chargeback: updatedChargeback,
-      submission
+      submission: {
+        ...submission,
+        packetUrl: `/api/cases/${chargeback.id}/submissions/${submission.id}/packet`
+      }
     });
 
   } catch (error) {
-    // Demo mode fallback
-    logger.warn('Submit case: database unavailable, returning demo response');
+    logger.error('Submit case error:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to submit case'
+    });
+  }
+});
+
+/**
+ * Demo mode submission: the packet is generated so it can be previewed, but
+ * nothing is persisted.
+ */
+async function _submitDemoCase(req, res) {
+  logger.warn('Submit case: database unavailable, returning demo response');
+
+  let packet = null;
+  const caseData = _getDemoCaseData(req.params.id);
+  if (caseData) {
+    try {
+      const { pageCount, buffer } = await _generateCasePacket(caseData, req.user);
+      packet = { pageCount, size: buffer.length };
+    } catch (error) {
+      logger.warn(`Submit case: demo packet generation failed: ${error.message}`);
+    }
+  }
+
+  addDemoNotification({
+    type: 'CASE_UPDATE',
+    priority: 'HIGH',
+    title: 'Response Submitted',
+    message: `Case evidence package submitted to processor successfully.`,
+    link: `/cases/${req.params.id}`,
+    metadata: { caseId: req.params.id }
+  });
+
+  const submissionId = `sub-demo-${Date.now()}`;
+  res.json({
+    message: 'Case submitted successfully (Demo Mode)',
+    chargeback: {
+      id: req.params.id,
+      status: 'SUBMITTED',
+      updatedAt: new Date().toISOString()
+    },
+    submission: {
+      id: submissionId,
+      chargebackId: req.params.id,
+      status: 'SENT',
+      submittedAt: new Date().toISOString(),
+      packetPageCount: packet?.pageCount ?? null,
+      packetSize: packet?.size ?? null,
+      packetUrl: packet ? `/api/cases/${req.params.id}/submissions/${submissionId}/packet` : null
+    },
+    isDemo: true
+  });
+}
+
+/**
+ * Build a packet in memory for a demo case (or any case without stored
+ * files) from the evidence collected from the PMS.
+ */
+async function _generateCasePacket(caseData, user) {
+  const evidence = await loadPacketEvidence({ ...caseData, evidence: caseData.evidence || [] });
+  return generateRebuttalPacket({
+    chargeback: caseData,
+    property: caseData.property || { name: 'DisputeAI Demo Hotel' },
+    evidence,
+    preparedBy: user ? `${user.firstName} ${user.lastName}` : undefined
+  });
+}
+
+function _sendPacket(res, fileName, buffer, { inline = false } = {}) {
+  res.set({
+    'Content-Type': 'application/pdf',
+    'Content-Length': buffer.length,
+    'Content-Disposition': `${inline ? 'inline' : 'attachment'}; filename="${fileName}"`
+  });
+  res.send(buffer);
+}
+
+/**
+ * GET /api/cases/:id/packet/preview
+ * Generate the rebuttal packet for a case without submitting or storing it
+ */
+router.get('/:id/packet/preview', async (req, res) => {
+  let chargeback;
+  try {
+    chargeback = await prisma.chargeback.findFirst({
+      where: { id: req.params.id, ...req.propertyFilter },
+      include: { property: true, evidence: true }
+    });
+  } catch (error) {
+    logger.warn('Packet preview: database unavailable, generating demo packet');
+    chargeback = _getDemoCaseData(req.params.id);
+  }
+
+  if (!chargeback) {
+    return res.status(404).json({
+      error: 'Not Found',
+      message: 'Chargeback not found'
+    });
+  }
+
+  try {
+    const { buffer } = await _generateCasePacket(chargeback, req.user);
+    _sendPacket(res, `${chargeback.caseNumber}_rebuttal_preview.pdf`, buffer, { inline: true });
+  } catch (error) {
+    logger.error('Packet preview error:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to generate rebuttal packet'
+    });
+  }
+});
+
+/**
+ * GET /api/cases/:id/submissions/:submissionId/packet
+ * Download the rebuttal packet sent with a submission
+ */
+router.get('/:id/submissions/:submissionId/packet', async (req, res) => {
+  let submission;
+  try {
+    submission = await prisma.disputeSubmission.findFirst({
+      where: {
+        id: req.params.submissionId,
+        chargeback: { id: req.params.id, ...req.propertyFilter }
+      },
+      include: { chargeback: { select: { caseNumber: true } } }
+    });
+  } catch (error) {
+    // Demo submissions are not stored; regenerate the packet
+    logger.warn('Packet download: database unavailable, regenerating demo packet');
+    const caseData = _getDemoCaseData(req.params.id);
+    if (!caseData) {
+      return res.status(404).json({ error: 'Not Found', message: 'Chargeback not found' });
+    }
+    try {
+      const { buffer } = await _generateCasePacket(caseData, req.user);
+      return _sendPacket(res, `${caseData.caseNumber}_rebuttal.pdf`, buffer);
+    } catch (genError) {
+      logger.error('Packet download error:', genError);
+      return res.status(500).json({ error: 'Internal Server Error', message: 'Failed to generate rebuttal packet' });
+    }
+  }
 
-    addDemoNotification({
-      type: 'CASE_UPDATE',
-      priority: 'HIGH',
-      title: 'Response Submitted',
-      message: `Case evidence package submitted to processor successfully.`,
-      link: `/cases/${req.params.id}`,
-      metadata: { caseId: req.params.id }
+  if (!submission?.packetKey) {
+    return res.status(404).json({
+      error: 'Not Found',
+      message: 'No rebuttal packet stored for this submission'
     });
+  }
 
-    res.json({
-      message: 'Case submitted successfully (Demo Mode)',
-      chargeback: {
-        id: req.params.id,
-        status: 'SUBMITTED',
-        submittedAt: new Date().toISOString(),
-        updatedAt: new Date().toISOString()
-      },
-      submission: {
-        id: `sub-demo-${Date.now()}`,
-        chargebackId: req.params.id,
-        status: 'SENT',
-        submittedAt: new Date().toISOString()
-      },
-      isDemo: true
+  try {
+    const stream = await storage.getFileStream(submission.packetKey);
+    res.set({
+      'Content-Type': 'application/pdf',
+      'Content-Disposition': `attachment; filename="${submission.chargeback.caseNumber}_rebuttal.pdf"`
+    });
+    stream.on('error', (error) => {
+      logger.error('Packet download stream error:', error);
+      if (!res.headersSent) {
+        res.removeHeader('Content-Disposition');
+        res.status(404).json({ error: 'Not Found', message: 'Rebuttal packet file is missing' });
+      } else {
+        res.end();
+      }
+    });
+    stream.pipe(res);
+  } catch (error) {
+    logger.error('Packet download error:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to download rebuttal packet'
     });
   }
 });
@@ -973,33 +1674,7 @@ router.patch('/:id/status', requireRole('ADMIN', 'MANAGER'), async (req, res) =>
       });
     }
 
-    // Update status
-    const updateData = {
-      status,
-      ...(status === 'WON' || status === 'LOST' ? { resolvedAt: new Date() } : {})
-    };
-
-    const chargeback = await prisma.chargeback.update({
-      where: { id: req.params.id },
-      data: updateData
-    });
-
-    // Determine event type
-    let eventType = 'USER_ACTION';
-    if (status === 'WON') eventType = 'WON';
-    if (status === 'LOST') eventType = 'LOST';
-
-    // Create timeline event
-    await prisma.timelineEvent.create({
-      data: {
-        chargebackId: chargeback.id,
-        eventType,
-        title: `Status Changed to ${status}`,
-        description: notes || `Status updated by ${req.user.firstName} ${req.user.lastName}`
-      }
-    });
-
-    logger.info(`Case status updated: ${chargeback.caseNumber} -> ${status} by ${req.user.email}`);
+    const chargeback = await changeCaseStatus(existing, status, { user: req.user, notes });
 
     const statusTitles = { WON: 'Dispute Won!', LOST: 'Dispute Lost', SUBMITTED: 'Response Submitted', PENDING: 'Case Reopened', IN_REVIEW: 'Case Under Review' };
     addDemoNotification({
@@ -1019,7 +1694,7 @@ router.patch('/:id/status', requireRole('ADMIN', 'MANAGER'), async (req, res) =>
   } catch (error) {
     // Demo mode fallback
     logger.warn('Update status: database unavailable, returning demo response');
-    const { status, notes } = req.body;
+    const { status } = req.body;
     if (!status) {
       return res.status(400).json({ error: 'Validation Error', message: 'Status is required' });
     }
@@ -1047,9 +1722,193 @@ router.patch('/:id/status', requireRole('ADMIN', 'MANAGER'), async (req, res) =>
   }
 });
 
+/**
+ * POST /api/cases/:id/accept-liability
+ * Concede an open case instead of fighting it: { reason, notes? }. The case
+ * closes as LOST and the processor is notified where its portal supports it.
+ */
+router.post('/:id/accept-liability', requireRole('ADMIN', 'MANAGER'), async (req, res) => {
+  const validation = acceptLiabilitySchema.safeParse(req.body || {});
+  if (!validation.success) {
+    return res.status(400).json({ error: 'Validation Error', details: validation.error.errors });
+  }
+  const { reason, notes } = validation.data;
+  if (reason === 'OTHER' && !notes) {
+    return res.status(400).json({ error: 'Validation Error', message: 'Notes are required when the reason is OTHER' });
+  }
+
+  let existing;
+  try {
+    existing = await prisma.chargeback.findFirst({
+      where: { id: req.params.id, ...req.propertyFilter },
+      include: { provider: true }
+    });
+  } catch (error) {
+    // Demo mode fallback
+    logger.warn('Accept liability: database unavailable, returning demo response');
+    addDemoNotification({
+      type: 'CASE_UPDATE',
+      priority: 'MEDIUM',
+      title: 'Liability Accepted',
+      message: `Case closed as a deliberate loss: ${LIABILITY_REASONS[reason]}.`,
+      link: `/cases/${req.params.id}`,
+      metadata: { caseId: req.params.id, liabilityReason: reason }
+    });
+    return res.json({
+      message: 'Liability accepted (Demo Mode)',
+      chargeback: {
+        id: req.params.id,
+        status: 'LOST',
+        resolvedAt: new Date().toISOString(),
+        liabilityReason: reason,
+        liabilityNotes: notes || null,
+        liabilityAcceptedAt: new Date().toISOString()
+      },
+      portal: { status: 'not_sent', message: 'Processor not notified in demo mode.' },
+      isDemo: true
+    });
+  }
+
+  if (!existing) {
+    return res.status(404).json({ error: 'Not Found', message: 'Chargeback not found' });
+  }
+
+  try {
+    const { chargeback, portal } = await acceptLiability(existing, { user: req.user, reason, notes });
+
+    addDemoNotification({
+      type: 'CASE_UPDATE',
+      priority: 'MEDIUM',
+      title: 'Liability Accepted',
+      message: `Case ${chargeback.caseNumber} closed as a deliberate loss: ${LIABILITY_REASONS[reason]}.`,
+      link: `/cases/${req.params.id}`,
+      metadata: { caseId: req.params.id, liabilityReason: reason }
+    });
+
+    res.json({ message: 'Liability accepted', chargeback, portal });
+
+  } catch (error) {
+    if (error.code === 'INVALID_STATE') {
+      return res.status(400).json({ error: 'Bad Request', message: error.message });
+    }
+    logger.error('Accept liability error:', error);
+    res.status(500).json({ error: 'Internal Server Error', message: 'Failed to accept liability' });
+  }
+});
+
+/**
+ * PATCH /api/cases/:id/assignee
+ * Assign a case ({ assigneeId, reason? }; assigneeId null unassigns). Managers
+ * assign anyone; staff can take an unowned case or give up their own.
+ */
+router.patch('/:id/assignee', requireRole('ADMIN', 'MANAGER', 'STAFF'), async (req, res) => {
+  const { assigneeId = null, reason } = req.body || {};
+  if (assigneeId !== null && typeof assigneeId !== 'string') {
+    return res.status(400).json({ error: 'Validation Error', message: 'assigneeId must be a user ID or null' });
+  }
+
+  try {
+    const existing = await prisma.chargeback.findFirst({
+      where: { id: req.params.id, ...req.propertyFilter },
+      select: { id: true, assigneeId: true }
+    });
+
+    if (!existing) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: 'Chargeback not found'
+      });
+    }
+
+    if (req.user.role === 'STAFF') {
+      const taking = assigneeId === req.user.id && !existing.assigneeId;
+      const releasing = assigneeId === null && existing.assigneeId === req.user.id;
+      if (!taking && !releasing) {
+        return res.status(403).json({
+          error: 'Forbidden',
+          message: 'Staff can only take unassigned cases or unassign their own'
+        });
+      }
+    }
+
+    const { chargeback, changed } = await assignCase(existing.id, assigneeId, {
+      assignedBy: req.user,
+      reason: reason || null
+    });
+
+    res.json({
+      message: changed ? (assigneeId ? 'Case assigned' : 'Case unassigned') : 'Assignee unchanged',
+      changed,
+      assignee: chargeback.assignee || null
+    });
+
+  } catch (error) {
+    if (error.code === 'INVALID_ASSIGNEE') {
+      return res.status(400).json({ error: 'Validation Error', message: error.message });
+    }
+
+    // Demo mode fallback
+    logger.warn('Assign case: database unavailable, returning demo response');
+    const user = DEMO_TEAM.find((u) => u.id === assigneeId);
+    if (assigneeId && !user) {
+      return res.status(400).json({ error: 'Validation Error', message: 'That user can\'t be assigned this case' });
+    }
+    res.json({
+      message: assigneeId ? 'Case assigned (Demo Mode)' : 'Case unassigned (Demo Mode)',
+      changed: (DEMO_CASE_ASSIGNEES[req.params.id] || null) !== assigneeId,
+      assignee: user ? { id: user.id, firstName: user.firstName, lastName: user.lastName, email: user.email } : null,
+      isDemo: true
+    });
+  }
+});
+
+/**
+ * GET /api/cases/:id/assignments
+ * Assignment history, newest first
+ */
+router.get('/:id/assignments', async (req, res) => {
+  try {
+    const chargeback = await prisma.chargeback.findFirst({
+      where: { id: req.params.id, ...req.propertyFilter },
+      select: { id: true }
+    });
+
+    if (!chargeback) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: 'Chargeback not found'
+      });
+    }
+
+    res.json({ assignments: await getAssignmentHistory(chargeback.id) });
+
+  } catch (error) {
+    // Demo mode fallback
+    logger.warn('Get assignments: database unavailable, returning demo data');
+    const assignee = demoAssignee(req.params.id);
+    res.json({
+      assignments: assignee ? [{
+        id: `demo-assignment-${req.params.id}`,
+        chargebackId: req.params.id,
+        assigneeId: assignee.id,
+        assignee,
+        previousAssigneeId: null,
+        assignedById: null,
+        assignedBy: null,
+        method: 'round_robin',
+        ruleId: null,
+        reason: 'Round-robin',
+        createdAt: new Date(Date.now() - 2 * 3600000).toISOString()
+      }] : [],
+      isDemo: true
+    });
+  }
+});
+
 /**
  * POST /api/cases/:id/analyze
- * Re-run AI analysis
+ * Re-run AI analysis under the rule set for the case's property and card
+ * network, and store it on the case with the rule set version it used
  */
 router.post('/:id/analyze', requireRole('ADMIN', 'MANAGER', 'STAFF'), async (req, res) => {
   try {
@@ -1058,6 +1917,10 @@ router.post('/:id/analyze', requireRole('ADMIN', 'MANAGER', 'STAFF'), async (req
       where: {
         id: req.params.id,
         ...req.propertyFilter
+      },
+      include: {
+        evidence: { select: { type: true } },
+        reservation: true
       }
     });
 
@@ -1069,7 +1932,22 @@ router.post('/:id/analyze', requireRole('ADMIN', 'MANAGER', 'STAFF'), async (req
     }
 
     // Run analysis
-    const result = await analyzeChargeback(req.params.id);
+    const { caseData, evidence, reservation } = scoringInputForCase(existing);
+    const result = await analyzeChargeback(caseData, { evidence, reservation });
+
+    // No rule set means scoring failed and the result is a placeholder
+    if (result.ruleSet) {
+      result.ruleSetVersion = result.ruleSet.version;
+      await prisma.chargeback.update({
+        where: { id: existing.id },
+        data: {
+          confidenceScore: result.confidenceScore,
+          recommendation: result.recommendation,
+          fraudIndicators: result.fraudIndicators,
+          aiAnalysis: result
+        }
+      });
+    }
 
     res.json({
       message: 'Analysis complete',
@@ -1094,6 +1972,145 @@ router.post('/:id/analyze', requireRole('ADMIN', 'MANAGER', 'STAFF'), async (req
   }
 });
 
+/**
+ * GET /api/cases/:id/evidence-requirements
+ * Evidence checklist for the case's reason code: required and optional
+ * evidence and which of it is on file (stored or collected from the PMS)
+ */
+router.get('/:id/evidence-requirements', async (req, res) => {
+  try {
+    const chargeback = await prisma.chargeback.findFirst({
+      where: {
+        id: req.params.id,
+        ...req.propertyFilter
+      },
+      include: {
+        evidence: { select: { type: true } }
+      }
+    });
+
+    if (!chargeback) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: 'Chargeback not found'
+      });
+    }
+
+    const evidence = [...chargeback.evidence, ...autoclerk.getCaseEvidence(chargeback.id)];
+    res.json({ requirements: getEvidenceRequirements(chargeback, evidence) });
+
+  } catch (error) {
+    // Demo mode fallback
+    logger.warn('Get evidence requirements: database unavailable, returning demo checklist');
+    const demoCase = getDemoCaseData(req.params.id) || { reasonCode: '13.1', cardBrand: 'VISA' };
+    res.json({
+      requirements: getEvidenceRequirements(demoCase, autoclerk.getCaseEvidence(req.params.id)),
+      isDemo: true
+    });
+  }
+});
+
+/**
+ * GET /api/cases/:id/ce3-eligibility
+ * Last Visa Compelling Evidence 3.0 eligibility check for a case
+ */
+router.get('/:id/ce3-eligibility', async (req, res) => {
+  try {
+    const chargeback = await prisma.chargeback.findFirst({
+      where: {
+        id: req.params.id,
+        ...req.propertyFilter
+      },
+      select: { id: true, ce3Eligible: true, ce3Evidence: true }
+    });
+
+    if (!chargeback) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: 'Chargeback not found'
+      });
+    }
+
+    res.json({ ce3: chargeback.ce3Evidence || null });
+
+  } catch (error) {
+    // Demo mode fallback
+    logger.warn('Get CE3.0 eligibility: database unavailable, returning demo result');
+    const caseData = _getDemoCaseData(req.params.id);
+    res.json({
+      ce3: caseData ? assessCE3(_getDemoCE3Case(caseData), _getDemoCE3History(caseData)) : null,
+      isDemo: true
+    });
+  }
+});
+
+/**
+ * POST /api/cases/:id/ce3-eligibility
+ * Search the card's prior undisputed stays for Visa CE3.0 qualifying
+ * transactions and flag the case when it is eligible
+ */
+router.post('/:id/ce3-eligibility', requireRole('ADMIN', 'MANAGER', 'STAFF'), async (req, res) => {
+  try {
+    const existing = await prisma.chargeback.findFirst({
+      where: {
+        id: req.params.id,
+        ...req.propertyFilter
+      },
+      select: { id: true, caseNumber: true, ce3Eligible: true }
+    });
+
+    if (!existing) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: 'Chargeback not found'
+      });
+    }
+
+    const result = await evaluateCE3Eligibility(existing.id);
+
+    await prisma.chargeback.update({
+      where: { id: existing.id },
+      data: { ce3Eligible: result.eligible, ce3Evidence: result }
+    });
+
+    if (result.eligible && !existing.ce3Eligible) {
+      await prisma.timelineEvent.create({
+        data: {
+          chargebackId: existing.id,
+          eventType: 'AI',
+          title: 'Visa CE3.0 Eligible',
+          description: `${result.qualifyingTransactions.length} prior undisputed transactions on the same card qualify as Compelling Evidence 3.0`,
+          metadata: { qualifyingTransactions: result.qualifyingTransactions.map(t => t.transactionId) }
+        }
+      });
+    }
+
+    res.json({
+      message: result.eligible ? 'Case is eligible for Visa CE3.0' : 'Case is not eligible for Visa CE3.0',
+      ce3: result,
+      submissionData: result.eligible ? toCE3SubmissionData(result) : null
+    });
+
+  } catch (error) {
+    // Demo mode fallback
+    logger.warn('Evaluate CE3.0 eligibility: database unavailable, returning demo result');
+    const caseData = _getDemoCaseData(req.params.id);
+    if (!caseData) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: 'Chargeback not found'
+      });
+    }
+    const result = assessCE3(_getDemoCE3Case(caseData), _getDemoCE3History(caseData));
+    res.json({
+      message: result.eligible ? 'Case is eligible for Visa CE3.0 (Demo Mode)' : 'Case is not eligible for Visa CE3.0 (Demo Mode)',
+      ce3: result,
+      submissionData: result.eligible ? toCE3SubmissionData(result) : null,
+      isDemo: true
+    });
+  }
+});
+
 /**
  * GET /api/cases/:id/notes
  * Get all notes for a case
@@ -1639,4 +2656,71 @@ function _getDemoCaseData(caseId) {
   return demoCases[caseId] || null;
 }
 
+// ============================================================================
+// DEMO CE3.0 HISTORY
+// ============================================================================
+
+const DEMO_BOOKING_IDENTIFIERS = {
+  'demo-1': { deviceId: 'dfp-7c2e91a4', ipAddress: '73.162.14.208', accountLogin: 'jwilson.rewards', billingAddress: '418 Maple Ave, Evanston, IL 60201' },
+  'demo-3': { deviceId: 'dfp-19ab33f0', ipAddress: '24.7.188.52', accountLogin: 'mbrown2100', billingAddress: '77 Harbor St, Boston, MA 02110' }
+};
+
+// Prior stays per demo case: [days before the disputed stay, amount, identifiers shared]
+const DEMO_PRIOR_STAYS = {
+  'demo-1': [
+    [145, 612.40, ['deviceId', 'ipAddress', 'accountLogin']],
+    [230, 845.00, ['deviceId', 'billingAddress']],
+    [300, 398.75, ['ipAddress']],
+    [60, 520.00, ['deviceId', 'ipAddress', 'accountLogin']]
+  ],
+  'demo-3': [
+    [190, 1340.00, ['deviceId', 'ipAddress']],
+    [400, 980.00, ['deviceId', 'ipAddress', 'accountLogin']]
+  ]
+};
+
+function _getDemoCE3Case(caseData) {
+  return {
+    ...caseData,
+    transactionId: `TXN-${caseData.confirmationNumber}`,
+    reservation: caseData.confirmationNumber && {
+      id: `res-${caseData.id}`,
+      confirmationNumber: caseData.confirmationNumber,
+      checkOutDate: caseData.checkOutDate,
+      rawPmsData: { booking: DEMO_BOOKING_IDENTIFIERS[caseData.id] || {} }
+    }
+  };
+}
+
+function _getDemoCE3History(caseData) {
+  const identifiers = DEMO_BOOKING_IDENTIFIERS[caseData.id] || {};
+  const disputedAt = new Date(caseData.checkOutDate).getTime();
+
+  return (DEMO_PRIOR_STAYS[caseData.id] || []).map(([daysBefore, amount, shared], i) => {
+    const checkOut = new Date(disputedAt - daysBefore * 86400000);
+    return {
+      id: `res-${caseData.id}-prior-${i + 1}`,
+      pmsReservationId: `PMS-${caseData.id.toUpperCase()}-${i + 1}`,
+      confirmationNumber: `RES-${checkOut.getFullYear()}-${String(40000 + daysBefore * 7 + i)}`,
+      checkOutDate: checkOut.toISOString(),
+      totalAmount: amount,
+      currency: 'USD',
+      rawPmsData: {
+        booking: Object.fromEntries(Object.entries(identifiers).map(([key, value]) =>
+          [key, shared.includes(key) ? value : `${value}-other`]
+        ))
+      },
+      folioItems: [{
+        category: 'payment',
+        pmsFolioId: `PAY-${caseData.id.toUpperCase()}-${i + 1}`,
+        amount: -amount,
+        currency: 'USD',
+        postDate: checkOut.toISOString(),
+        cardLastFour: caseData.cardLastFour,
+        authCode: `A${String(100000 + daysBefore * 13).slice(-5)}`
+      }]
+    };
+  });
+}
+
 module.exports = router;
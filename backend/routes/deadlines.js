@@ -0,0 +1,244 @@
+/**
+ * DisputeAI - Deadline Routes
+ * Upcoming response deadlines, due date recalculation and per-user iCal feeds
+ */
+
+const express = require('express');
+const { prisma } = require('../config/database');
+const { authenticateToken, requireRole, requirePropertyAccess } = require('../middleware/auth');
+const {
+  OPEN_STATUSES,
+  getDeadlineSettings,
+  calculateDueDate,
+  recalculateCaseDeadline,
+  formatDueDate
+} = require('../services/deadlines');
+const { verifyCalendarFeedToken, calendarFeedUrl, buildICalFeed } = require('../services/deadlineCalendar');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Open demo cases from GET /api/cases, due relative to now
+const DEMO_DEADLINES = [
+  { id: 'demo-8', caseNumber: 'CB-2026-0240', guestName: 'Jennifer Lee', amount: 1450.00, currency: 'USD', status: 'IN_REVIEW', reasonCode: '4853', cardBrand: 'MASTERCARD', disputeStage: 'first_chargeback', dueInDays: 3 },
+  { id: 'demo-5', caseNumber: 'CB-2026-0243', guestName: 'David Thompson', amount: 3200.00, currency: 'USD', status: 'PENDING', reasonCode: '10.4', cardBrand: 'AMEX', disputeStage: 'chargeback', dueInDays: 8 },
+  { id: 'demo-2', caseNumber: 'CB-2026-0246', guestName: 'Sarah Chen', amount: 890.50, currency: 'USD', status: 'IN_REVIEW', reasonCode: '13.1', cardBrand: 'MASTERCARD', disputeStage: 'first_chargeback', dueInDays: 10 },
+  { id: 'demo-1', caseNumber: 'CB-2026-0247', guestName: 'James Wilson', amount: 1250.00, currency: 'USD', status: 'PENDING', reasonCode: '10.4', cardBrand: 'VISA', disputeStage: 'first_chargeback', dueInDays: 12 }
+];
+
+function demoDeadlineCases() {
+  return DEMO_DEADLINES.map(({ dueInDays, ...c }) => ({
+    ...c,
+    dueDate: new Date(Date.now() + dueInDays * DAY_MS),
+    property: { id: 'demo-property-1', name: 'DisputeAI Demo Hotel', timezone: 'America/New_York' }
+  }));
+}
+
+function summarizeDeadline(chargeback, now = Date.now()) {
+  const msLeft = new Date(chargeback.dueDate).getTime() - now;
+  return {
+    id: chargeback.id,
+    caseNumber: chargeback.caseNumber,
+    guestName: chargeback.guestName,
+    amount: chargeback.amount,
+    currency: chargeback.currency,
+    status: chargeback.status,
+    reasonCode: chargeback.reasonCode,
+    cardBrand: chargeback.cardBrand,
+    disputeStage: chargeback.disputeStage || null,
+    property: chargeback.property ? { id: chargeback.property.id, name: chargeback.property.name } : null,
+    dueDate: chargeback.dueDate,
+    dueLabel: formatDueDate(chargeback.dueDate, chargeback.property?.timezone),
+    daysLeft: Math.ceil(msLeft / DAY_MS),
+    overdue: msLeft < 0
+  };
+}
+
+const DEADLINE_CASE_SELECT = {
+  id: true,
+  caseNumber: true,
+  guestName: true,
+  amount: true,
+  currency: true,
+  status: true,
+  reasonCode: true,
+  cardBrand: true,
+  disputeStage: true,
+  dueDate: true,
+  property: { select: { id: true, name: true, timezone: true } }
+};
+
+// =============================================================================
+// CALENDAR FEED (token in the URL; calendar apps can't send a Bearer header)
+// =============================================================================
+
+/**
+ * GET /api/deadlines/calendar/:userId/:token.ics
+ * iCalendar feed of the user's open case deadlines
+ */
+router.get('/calendar/:userId/:feed', async (req, res) => {
+  const { userId, feed } = req.params;
+  const token = feed.replace(/\.ics$/i, '');
+
+  if (!feed.toLowerCase().endsWith('.ics') || !verifyCalendarFeedToken(userId, token)) {
+    return res.status(404).json({ error: 'Not Found', message: 'Calendar feed not found' });
+  }
+
+  const settings = await getDeadlineSettings();
+  let cases;
+  let name = 'DisputeAI Deadlines';
+
+  if (userId.startsWith('demo-')) {
+    cases = demoDeadlineCases();
+  } else {
+    try {
+      const user = await prisma.user.findUnique({
+        where: { id: userId },
+        select: { id: true, role: true, isActive: true, propertyId: true, property: { select: { name: true } } }
+      });
+      if (!user || !user.isActive) {
+        return res.status(404).json({ error: 'Not Found', message: 'Calendar feed not found' });
+      }
+
+      cases = await prisma.chargeback.findMany({
+        where: {
+          status: { in: OPEN_STATUSES },
+          dueDate: { not: null },
+          ...(user.role !== 'ADMIN' && { propertyId: user.propertyId })
+        },
+        select: DEADLINE_CASE_SELECT,
+        orderBy: { dueDate: 'asc' }
+      });
+      if (user.role !== 'ADMIN' && user.property?.name) name = `DisputeAI Deadlines — ${user.property.name}`;
+    } catch (error) {
+      logger.warn('Calendar feed: database unavailable');
+      return res.status(503).json({ error: 'Service Unavailable', message: 'Calendar feed temporarily unavailable' });
+    }
+  }
+
+  res.set('Content-Type', 'text/calendar; charset=utf-8');
+  res.set('Content-Disposition', 'inline; filename="disputeai-deadlines.ics"');
+  res.set('Cache-Control', 'private, max-age=300');
+  res.send(buildICalFeed(cases, { name, warningOffsets: settings.warningOffsets }));
+});
+
+// =============================================================================
+// AUTHENTICATED ROUTES
+// =============================================================================
+
+router.use(authenticateToken);
+router.use(requirePropertyAccess);
+
+/**
+ * GET /api/deadlines/calendar-link
+ * The current user's calendar subscription URL
+ */
+router.get('/calendar-link', (req, res) => {
+  const url = calendarFeedUrl(req.user.id);
+  res.json({
+    url,
+    webcalUrl: url.replace(/^https?:/, 'webcal:'),
+    instructions: 'Subscribe to this URL from Google Calendar, Outlook or Apple Calendar. Anyone with the link can see your case deadlines.'
+  });
+});
+
+/**
+ * GET /api/deadlines/upcoming
+ * Open cases due within `days` (default 14), soonest first, including overdue ones
+ */
+router.get('/upcoming', async (req, res) => {
+  const days = Math.min(Math.max(parseInt(req.query.days, 10) || 14, 1), 90);
+  const horizon = new Date(Date.now() + days * DAY_MS);
+
+  try {
+    const [cases, settings] = await Promise.all([
+      prisma.chargeback.findMany({
+        where: {
+          ...req.propertyFilter,
+          status: { in: OPEN_STATUSES },
+          dueDate: { not: null, lte: horizon }
+        },
+        select: DEADLINE_CASE_SELECT,
+        orderBy: { dueDate: 'asc' }
+      }),
+      getDeadlineSettings()
+    ]);
+
+    res.json({ deadlines: cases.map((c) => summarizeDeadline(c)), days, warningOffsets: settings.warningOffsets });
+
+  } catch (error) {
+    logger.warn('Upcoming deadlines: database unavailable, returning demo data');
+    const settings = await getDeadlineSettings();
+    res.json({
+      deadlines: demoDeadlineCases().filter((c) => c.dueDate <= horizon).map((c) => summarizeDeadline(c)),
+      days,
+      warningOffsets: settings.warningOffsets,
+      isDemo: true
+    });
+  }
+});
+
+/**
+ * GET /api/deadlines/preview
+ * Calculate a due date without a case, e.g.
+ * ?cardBrand=VISA&reasonCode=13.1&stage=pre_arbitration&openedAt=2026-10-01&processor=Shift4&timezone=America/Chicago
+ */
+router.get('/preview', async (req, res) => {
+  const { cardBrand, reasonCode, stage, openedAt, portalDueDate, processor, timezone } = req.query;
+  if (openedAt && Number.isNaN(Date.parse(openedAt))) {
+    return res.status(400).json({ error: 'Validation Error', message: 'openedAt must be a date' });
+  }
+
+  const settings = await getDeadlineSettings();
+  const deadline = calculateDueDate({ cardBrand, reasonCode, stage, openedAt, portalDueDate, processor, timezone }, settings);
+
+  res.json({
+    deadline: deadline && { ...deadline, dueLabel: formatDueDate(deadline.dueDate, deadline.timezone) },
+    awaitingIssuer: deadline === null
+  });
+});
+
+/**
+ * POST /api/deadlines/cases/:id/recalculate
+ * Recalculate a case's due date from its network, reason code and stage
+ */
+router.post('/cases/:id/recalculate', requireRole('ADMIN', 'MANAGER'), async (req, res) => {
+  try {
+    const existing = await prisma.chargeback.findUnique({ where: { id: req.params.id }, select: { propertyId: true } });
+    if (!existing) {
+      return res.status(404).json({ error: 'Not Found', message: 'Case not found' });
+    }
+    if (req.user.role !== 'ADMIN' && existing.propertyId !== req.user.propertyId) {
+      return res.status(403).json({ error: 'Forbidden', message: 'Access denied to this case' });
+    }
+
+    const { chargeback, deadline, changed } = await recalculateCaseDeadline(req.params.id);
+    logger.info(`Deadline recalculated for ${chargeback.caseNumber} by ${req.user.email}`);
+
+    res.json({
+      message: changed ? 'Due date updated' : 'Due date unchanged',
+      changed,
+      dueDate: chargeback.dueDate,
+      deadline
+    });
+
+  } catch (error) {
+    logger.warn('Recalculate deadline: database unavailable, returning demo response');
+    const demo = demoDeadlineCases().find((c) => c.id === req.params.id);
+    const settings = await getDeadlineSettings();
+    const deadline = demo
+      ? calculateDueDate({ cardBrand: demo.cardBrand, reasonCode: demo.reasonCode, stage: demo.disputeStage, timezone: demo.property.timezone }, settings)
+      : null;
+    res.json({
+      message: 'Due date recalculated (Demo Mode)',
+      changed: false,
+      dueDate: deadline?.dueDate || null,
+      deadline,
+      isDemo: true
+    });
+  }
+});
+
+module.exports = router;
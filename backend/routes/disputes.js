@@ -1,6 +1,6 @@
 const express = require('express');
 const { authenticateToken } = require('../middleware/auth');
-const { DISPUTE_COMPANIES, DisputeCompanyService } = require('../services/disputeCompanies');
+const { DISPUTE_COMPANIES } = require('../services/disputeCompanies');
 const logger = require('../utils/logger');
 
 const router = express.Router();
@@ -1,13 +1,209 @@
+/**
+ * DisputeAI - Sync Routes
+ * Sync status per property and manual sync triggers
+ */
+
 const express = require('express');
-const { authenticateToken } = require('../middleware/auth');
+const { prisma, isDatabaseUnavailable } = require('../config/database');
+const { authenticateToken, requireRole, requirePropertyAccess } = require('../middleware/auth');
+const { getSyncSchedules, triggerSync, classifyIntegration } = require('../services/queue/scheduledSync');
+const logger = require('../utils/logger');
+
 const router = express.Router();
 
-router.get('/status', authenticateToken, async (req, res) => {
-  res.json({ syncing: false, lastSync: null, message: 'Sync (demo mode)' });
+router.use(authenticateToken);
+router.use(requirePropertyAccess);
+
+function summarizeRun(log) {
+  if (!log) return null;
+  return {
+    id: log.id,
+    status: log.status,
+    syncType: log.syncType,
+    startedAt: log.startedAt,
+    completedAt: log.completedAt,
+    durationMs: log.durationMs,
+    recordsProcessed: log.recordsProcessed,
+    recordsCreated: log.recordsCreated,
+    recordsUpdated: log.recordsUpdated,
+    recordsFailed: log.recordsFailed,
+    errorMessage: log.errorMessage
+  };
+}
+
+function latestDate(dates) {
+  const times = dates.filter(Boolean).map((d) => new Date(d).getTime());
+  return times.length ? new Date(Math.max(...times)).toISOString() : null;
+}
+
+/**
+ * GET /api/sync/status
+ * Last sync run, last successful sync and schedule for every syncable
+ * integration, grouped by property. Integrations without a
+ * config.propertyId (e.g. payment processors) are listed under `shared`.
+ */
+router.get('/status', async (req, res) => {
+  try {
+    const propertyId = req.propertyFilter?.propertyId || req.query.propertyId;
+
+    const properties = await prisma.property.findMany({
+      where: { isActive: true, ...(propertyId && { id: propertyId }) },
+      select: { id: true, name: true },
+      orderBy: { name: 'asc' }
+    });
+
+    const integrations = (await prisma.integration.findMany({ orderBy: { name: 'asc' } }))
+      .filter((i) => classifyIntegration(i))
+      .filter((i) => !propertyId || !i.config?.propertyId || i.config.propertyId === propertyId);
+
+    const integrationIds = integrations.map((i) => i.id);
+
+    const [latestRuns, latestSuccesses] = await Promise.all([
+      prisma.syncLog.findMany({
+        where: { integrationId: { in: integrationIds } },
+        orderBy: { startedAt: 'desc' },
+        distinct: ['integrationId']
+      }),
+      prisma.syncLog.findMany({
+        where: { integrationId: { in: integrationIds }, status: 'completed' },
+        orderBy: { startedAt: 'desc' },
+        distinct: ['integrationId']
+      })
+    ]);
+
+    let schedules = {};
+    try {
+      schedules = await getSyncSchedules();
+    } catch (error) {
+      logger.warn('Sync status: scheduler unavailable, schedules omitted');
+    }
+
+    const runByIntegration = new Map(latestRuns.map((log) => [log.integrationId, log]));
+    const successByIntegration = new Map(latestSuccesses.map((log) => [log.integrationId, log]));
+
+    const describe = (integration) => {
+      const lastRun = runByIntegration.get(integration.id);
+      const lastSuccess = successByIntegration.get(integration.id);
+      return {
+        id: integration.id,
+        name: integration.name,
+        type: integration.type,
+        syncKind: classifyIntegration(integration).type,
+        status: integration.status,
+        syncEnabled: integration.syncEnabled,
+        syncing: lastRun?.status === 'started',
+        lastSync: lastSuccess?.completedAt || null,
+        lastRun: summarizeRun(lastRun),
+        schedule: schedules[integration.id] || null
+      };
+    };
+
+    const group = (items) => ({
+      syncing: items.some((i) => i.syncing),
+      lastSync: latestDate(items.map((i) => i.lastSync)),
+      integrations: items
+    });
+
+    const propertyStatuses = properties.map((property) => ({
+      propertyId: property.id,
+      propertyName: property.name,
+      ...group(integrations.filter((i) => i.config?.propertyId === property.id).map(describe))
+    }));
+
+    const shared = group(integrations.filter((i) => !i.config?.propertyId).map(describe));
+    const all = [...propertyStatuses.flatMap((p) => p.integrations), ...shared.integrations];
+
+    res.json({
+      syncing: all.some((i) => i.syncing),
+      lastSync: latestDate(all.map((i) => i.lastSync)),
+      properties: propertyStatuses,
+      shared
+    });
+
+  } catch (error) {
+    if (!isDatabaseUnavailable(error)) {
+      logger.error('Sync status error:', error);
+      return res.status(500).json({ error: 'Internal Server Error', message: 'Failed to fetch sync status' });
+    }
+    // Demo mode fallback
+    logger.warn('Sync status: database unavailable, returning demo status');
+    const fiveMinutesAgo = new Date(Date.now() - 5 * 60 * 1000).toISOString();
+    res.json({
+      syncing: false,
+      lastSync: fiveMinutesAgo,
+      properties: [
+        {
+          propertyId: 'demo-property-1',
+          propertyName: 'DisputeAI Demo Hotel',
+          syncing: false,
+          lastSync: fiveMinutesAgo,
+          integrations: [
+            { id: 'demo-int-mews', name: 'Mews', type: 'mews', syncKind: 'pms', status: 'active', syncEnabled: true, syncing: false, lastSync: fiveMinutesAgo, lastRun: { status: 'completed', syncType: 'incremental', startedAt: fiveMinutesAgo, completedAt: fiveMinutesAgo, recordsProcessed: 12, recordsCreated: 2, recordsUpdated: 10, recordsFailed: 0 }, schedule: { cron: '*/15 * * * *', tz: null, next: null } }
+          ]
+        }
+      ],
+      shared: { syncing: false, lastSync: null, integrations: [] },
+      isDemo: true
+    });
+  }
 });
 
-router.post('/trigger', authenticateToken, async (req, res) => {
-  res.json({ success: true, message: 'Sync triggered (demo mode)' });
+/**
+ * POST /api/sync/trigger
+ * Enqueue an immediate sync for one integration ({ integrationId }) or for
+ * every active integration of a property ({ propertyId })
+ */
+router.post('/trigger', requireRole('ADMIN', 'MANAGER'), async (req, res) => {
+  try {
+    const { integrationId } = req.body;
+    const propertyId = req.propertyFilter?.propertyId || req.body.propertyId;
+
+    let integrations;
+    if (integrationId) {
+      const integration = await prisma.integration.findUnique({ where: { id: integrationId } });
+      if (!integration || (propertyId && integration.config?.propertyId && integration.config.propertyId !== propertyId)) {
+        return res.status(404).json({ error: 'Not Found', message: 'Integration not found' });
+      }
+      integrations = [integration];
+    } else {
+      integrations = (await prisma.integration.findMany({ where: { status: 'active', syncEnabled: true } }))
+        .filter((i) => classifyIntegration(i))
+        .filter((i) => !propertyId || i.config?.propertyId === propertyId);
+    }
+
+    const jobs = [];
+    for (const integration of integrations) {
+      try {
+        const job = await triggerSync(integration, { syncType: 'manual' });
+        jobs.push({ integrationId: integration.id, jobId: job.id });
+      } catch (error) {
+        if (error.code === 'UNSUPPORTED' && integrationId) {
+          return res.status(400).json({ error: 'Bad Request', message: error.message });
+        }
+        throw error;
+      }
+    }
+
+    logger.info(`Manual sync triggered by ${req.user.email}: ${jobs.length} integration(s)`);
+
+    res.json({
+      success: true,
+      message: jobs.length ? `Sync queued for ${jobs.length} integration(s)` : 'No active integrations to sync',
+      jobs
+    });
+
+  } catch (error) {
+    if (error.code === 'QUEUE_NOT_INITIALIZED') {
+      return res.status(503).json({ error: 'Service Unavailable', message: error.message });
+    }
+    if (!isDatabaseUnavailable(error)) {
+      logger.error('Sync trigger error:', error);
+      return res.status(500).json({ error: 'Internal Server Error', message: 'Failed to trigger sync' });
+    }
+    // Demo mode fallback
+    logger.warn('Sync trigger: database unavailable, returning demo response');
+    res.json({ success: true, message: 'Sync triggered (Demo Mode)', jobs: [], isDemo: true });
+  }
 });
 
 module.exports = router;
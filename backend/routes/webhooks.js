@@ -2,6 +2,11 @@ const express = require('express');
 const crypto = require('crypto');
 const router = express.Router();
 const logger = require('../utils/logger');
+const { prisma, isDatabaseUnavailable } = require('../config/database');
+const { handleWebhook, pickStoredHeaders } = require('../services/webhookProcessor');
+const { getQueue } = require('../services/queue/queueManager');
+const { classifyIntegration } = require('../services/queue/scheduledSync');
+const { isSupported: isPmsSupported, createAdapter: createPmsAdapter, getWebhookSignature } = require('../services/pms/PMSAdapterFactory');
 
 // Helper: parse webhook body (handles Buffer from express.raw, string, or object)
 function parseBody(body) {
@@ -22,62 +27,17 @@ function getRawPayload(body) {
 // =============================================================================
 router.post('/shift4', async (req, res) => {
   try {
-    const signature = req.headers['x-shift4-signature'] || req.headers['x-webhook-signature'];
-    const webhookSecret = process.env.SHIFT4_WEBHOOK_SECRET;
-
-    // Validate signature if webhook secret is configured
-    if (webhookSecret && signature) {
-      const payload = getRawPayload(req.body);
-      const expectedSig = crypto
-        .createHmac('sha256', webhookSecret)
-        .update(payload)
-        .digest('hex');
-
-      if (signature !== expectedSig) {
-        logger.warn('Shift4 webhook signature mismatch');
-        return res.status(401).json({ error: 'Invalid signature' });
-      }
-    }
-
-    const event = parseBody(req.body);
-    const eventType = event.type || event.eventType;
-
+    const { eventType, results } = await handleWebhook('shift4', req.headers, req.body);
     logger.info(`Shift4 webhook received: ${eventType}`);
 
-    switch (eventType) {
-      case 'DISPUTE_CREATED':
-      case 'charge.dispute.created':
-        logger.info(`New dispute from Shift4: ${event.data?.id || event.disputeId || 'unknown'}`);
-        // In production: create chargeback case from dispute data
-        // const chargebackData = {
-        //   processorDisputeId: event.data?.id,
-        //   amount: event.data?.amount / 100,
-        //   reasonCode: event.data?.reason,
-        //   cardLastFour: event.data?.card?.last4,
-        //   guestName: event.data?.customer?.name,
-        // };
-        break;
-
-      case 'DISPUTE_UPDATED':
-      case 'charge.dispute.updated':
-        logger.info(`Dispute updated from Shift4: ${event.data?.id || event.disputeId || 'unknown'}`);
-        break;
-
-      case 'DISPUTE_WON':
-      case 'charge.dispute.closed':
-        logger.info(`Dispute resolved from Shift4: ${event.data?.id || event.disputeId || 'unknown'}`);
-        break;
-
-      case 'DISPUTE_EVIDENCE_REQUIRED':
-        logger.info(`Evidence requested by Shift4: ${event.data?.id || event.disputeId || 'unknown'}`);
-        break;
-
-      default:
-        logger.info(`Unhandled Shift4 event type: ${eventType}`);
-    }
-
-    res.json({ received: true, eventType });
+    res.json({ received: true, eventType, results });
   } catch (error) {
+    if (error.code === 'INVALID_SIGNATURE') {
+      return res.status(401).json({ error: 'Invalid signature' });
+    }
+    if (error.code === 'SECRET_NOT_CONFIGURED') {
+      return res.status(503).json({ error: 'Webhook signing secret not configured' });
+    }
     logger.error('Shift4 webhook processing error:', error.message);
     res.status(200).json({ received: true, error: 'Processing failed' });
   }
@@ -149,12 +109,19 @@ router.post('/merlink', async (req, res) => {
 // =============================================================================
 router.post('/stripe', async (req, res) => {
   try {
-    const event = parseBody(req.body);
-    logger.info(`Stripe webhook received: ${event.type}`);
-    res.json({ received: true });
+    const { eventType, results } = await handleWebhook('stripe', req.headers, req.body);
+    logger.info(`Stripe webhook received: ${eventType}`);
+
+    res.json({ received: true, eventType, results });
   } catch (error) {
+    if (error.code === 'INVALID_SIGNATURE') {
+      return res.status(401).json({ error: 'Invalid signature' });
+    }
+    if (error.code === 'SECRET_NOT_CONFIGURED') {
+      return res.status(503).json({ error: 'Webhook signing secret not configured' });
+    }
     logger.error('Stripe webhook error:', error.message);
-    res.json({ received: true });
+    res.status(200).json({ received: true, error: 'Processing failed' });
   }
 });
 
@@ -163,12 +130,85 @@ router.post('/stripe', async (req, res) => {
 // =============================================================================
 router.post('/adyen', async (req, res) => {
   try {
-    const event = parseBody(req.body);
-    logger.info(`Adyen webhook received: ${event.notificationItems?.[0]?.NotificationRequestItem?.eventCode || 'unknown'}`);
-    res.json({ received: true });
+    const { eventType, results } = await handleWebhook('adyen', req.headers, req.body);
+    logger.info(`Adyen webhook received: ${eventType} (${results.length} item${results.length === 1 ? '' : 's'})`);
+
+    // Adyen expects "[accepted]" to acknowledge the batch
+    res.json({ received: true, notificationResponse: '[accepted]', results });
   } catch (error) {
+    if (error.code === 'INVALID_SIGNATURE') {
+      return res.status(401).json({ error: 'Invalid signature' });
+    }
+    if (error.code === 'SECRET_NOT_CONFIGURED') {
+      return res.status(503).json({ error: 'Webhook signing secret not configured' });
+    }
     logger.error('Adyen webhook error:', error.message);
-    res.json({ received: true });
+    res.status(200).json({ received: true, notificationResponse: '[accepted]', error: 'Processing failed' });
+  }
+});
+
+// =============================================================================
+// PMS WEBHOOKS (/pms/<type>/<token>, e.g. /pms/mews/3f9c...; each integration
+// has its own token, see POST /api/admin/integrations/:id/webhook-token)
+// =============================================================================
+router.post('/pms/:pmsType/:token', async (req, res) => {
+  const pmsType = req.params.pmsType.toUpperCase().replace(/-/g, '_');
+  if (!isPmsSupported(pmsType)) {
+    return res.status(404).json({ error: 'Not Found', message: `Unsupported PMS type: ${req.params.pmsType}` });
+  }
+
+  let integration;
+  try {
+    integration = await prisma.integration.findUnique({ where: { webhookToken: req.params.token } });
+  } catch (error) {
+    if (!isDatabaseUnavailable(error)) {
+      logger.error(`${pmsType} webhook integration lookup error:`, error.message);
+      return res.status(500).json({ error: 'Internal Server Error', message: 'Failed to look up integration' });
+    }
+    logger.warn(`PMS webhook: integration lookup unavailable for ${pmsType}`);
+    return res.status(503).json({ error: 'Service Unavailable', message: 'Integrations are unavailable' });
+  }
+
+  // Same answer for an unknown token and another PMS's token
+  const kind = integration && classifyIntegration(integration);
+  if (kind?.type !== 'pms' || kind.adapterType !== pmsType) {
+    return res.status(404).json({ error: 'Not Found', message: 'Unknown webhook URL' });
+  }
+
+  const payload = getRawPayload(req.body);
+
+  // Parsing happens in pmsInboundWorker; the signature is checked here so a
+  // forged delivery is refused rather than queued. Every PMS integration has
+  // to have a webhook secret before its deliveries are accepted.
+  if (!integration.webhookSecret) {
+    logger.warn(`${pmsType} webhook rejected for integration ${integration.id}: no webhook secret configured`);
+    return res.status(401).json({ error: 'Unauthorized', message: 'Webhook secret not configured for this integration' });
+  }
+
+  const signature = getWebhookSignature(req.headers);
+  const adapter = createPmsAdapter(pmsType, { credentials: {}, integrationId: integration.id });
+  if (!signature || !adapter.verifyWebhookSignature(payload, signature, integration.webhookSecret)) {
+    logger.warn(`${pmsType} webhook rejected for integration ${integration.id}: ${signature ? 'invalid' : 'missing'} signature`);
+    return res.status(401).json({ error: 'Unauthorized', message: 'Invalid webhook signature' });
+  }
+
+  try {
+    const job = await getQueue('pms-inbound').add(`webhook:${pmsType.toLowerCase()}`, {
+      pmsType,
+      payload,
+      headers: pickStoredHeaders(req.headers),
+      integrationId: integration.id,
+      receivedAt: new Date().toISOString()
+    });
+
+    logger.info(`${pmsType} webhook queued as job ${job.id}`);
+    res.status(202).json({ received: true, jobId: job.id });
+  } catch (error) {
+    if (error.code === 'QUEUE_NOT_INITIALIZED') {
+      return res.status(503).json({ error: 'Service Unavailable', message: error.message });
+    }
+    logger.error(`${pmsType} webhook error:`, error.message);
+    res.status(500).json({ error: 'Internal Server Error', message: 'Failed to queue webhook' });
   }
 });
 
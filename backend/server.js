@@ -31,10 +31,14 @@ const notificationsRoutes = require('./routes/notifications');
 const disputesRoutes = require('./routes/disputes');
 const reservationsRoutes = require('./routes/reservations');
 const syncRoutes = require('./routes/sync');
+const deadlinesRoutes = require('./routes/deadlines');
 
 // Queue manager for two-way sync
 const { initializeWorkers, shutdownWorkers } = require('./services/queue/queueManager');
 const { initializeScheduledSyncs } = require('./services/queue/scheduledSync');
+const { initializeDeadlineJobs } = require('./services/deadlines');
+const { initializeAnalyticsJobs } = require('./services/analyticsSnapshots');
+const { initializeReportJobs } = require('./services/scheduledReports');
 
 const app = express();
 const PORT = process.env.PORT || 8000;
@@ -73,7 +77,7 @@ function validateEnvironment() {
 
   // Shift4 config check
   if (process.env.SHIFT4_SECRET_KEY && !process.env.SHIFT4_WEBHOOK_SECRET) {
-    warnings.push('SHIFT4_SECRET_KEY set but SHIFT4_WEBHOOK_SECRET missing — webhooks won\'t validate');
+    warnings.push('SHIFT4_SECRET_KEY set but SHIFT4_WEBHOOK_SECRET missing — Shift4 webhooks will be refused');
   }
 
   warnings.forEach(w => logger.warn(`ENV WARNING: ${w}`));
@@ -201,6 +205,7 @@ app.use('/api/notifications', notificationsRoutes);
 app.use('/api/disputes', disputesRoutes);
 app.use('/api/reservations', reservationsRoutes);
 app.use('/api/sync', syncRoutes);
+app.use('/api/deadlines', deadlinesRoutes);
 
 // API documentation redirect
 app.get('/api', (req, res) => {
@@ -219,7 +224,8 @@ app.get('/api', (req, res) => {
       notifications: '/api/notifications',
       disputes: '/api/disputes',
       reservations: '/api/reservations',
-      sync: '/api/sync'
+      sync: '/api/sync',
+      deadlines: '/api/deadlines'
     }
   });
 });
@@ -307,17 +313,21 @@ async function startServer() {
       logger.warn('S3 not available - file uploads disabled:', s3Error.message);
     }
 
-    // Initialize BullMQ workers for two-way sync (requires Redis)
-    if (redisConnected) {
-      try {
-        await initializeWorkers();
-        logger.info('BullMQ sync workers initialized');
+    // Initialize queue workers for two-way sync (BullMQ with Redis, in-process without)
+    try {
+      const { mode } = await initializeWorkers({ useRedis: redisConnected });
+      logger.info(`Sync workers initialized (${mode})`);
 
-        await initializeScheduledSyncs();
-        logger.info('Scheduled sync jobs configured');
-      } catch (workerError) {
-        logger.warn('BullMQ workers not initialized (non-fatal):', workerError.message);
-      }
+      await initializeScheduledSyncs();
+      logger.info('Scheduled sync jobs configured');
+
+      await initializeDeadlineJobs();
+
+      await initializeAnalyticsJobs();
+
+      await initializeReportJobs();
+    } catch (workerError) {
+      logger.warn('Sync workers not initialized (non-fatal):', workerError.message);
     }
 
     // Initialize AI Agents (requires database)
@@ -8,6 +8,7 @@ const { prisma } = require('../config/database');
 const logger = require('../utils/logger');
 const backlogService = require('./backlog');
 const { callAI, parseAIResponse } = require('./aiClient');
+const { getEvidenceRequirements } = require('./reasonCodes');
 
 // =============================================================================
 // AI AGENT CONFIGURATIONS
@@ -549,7 +550,6 @@ Return JSON:
     return {
       itemsCreated: items.length,
       itemsAnalyzed: existingItems.total || 0,
-      priorityChanges: (aiSuggestions.priorityChanges || []).length,
       items,
       priorityChanges: aiSuggestions.priorityChanges || [],
       summary: aiSuggestions.summary,
@@ -800,14 +800,10 @@ Return JSON:
       return { message: 'Chargeback not found' };
     }
 
-    // Build evidence inventory
+    // Build evidence inventory against the reason code's requirements
     const evidenceTypes = chargeback.evidence.map(e => e.type);
-    const allEvidenceTypes = [
-      'ID_SCAN', 'AUTH_SIGNATURE', 'FOLIO', 'REGISTRATION_CARD',
-      'RECEIPT', 'CCTV', 'CHECK_IN_LOG', 'LOYALTY_DATA',
-      'TERMINAL_REPORT', 'COMMUNICATION'
-    ];
-    const missingEvidence = allEvidenceTypes.filter(t => !evidenceTypes.includes(t));
+    const requirements = getEvidenceRequirements(chargeback, chargeback.evidence);
+    const missingEvidence = requirements.missingRequired;
 
     // Build context for AI
     const contextPrompt = `Analyze this hotel chargeback case and return a JSON response:
@@ -816,7 +812,7 @@ CASE DETAILS:
 - Case Number: ${chargeback.caseNumber || 'N/A'}
 - Amount: $${chargeback.amount || 0}
 - Currency: ${chargeback.currency || 'USD'}
-- Reason Code: ${chargeback.reasonCode || 'Unknown'}
+- Reason Code: ${chargeback.reasonCode || 'Unknown'}${requirements.description ? ` (${requirements.network} ${requirements.description}, ${requirements.category.replace(/_/g, ' ').toLowerCase()})` : ''}
 - Card Type: ${chargeback.cardType || 'Unknown'}
 - Card Last Four: ${chargeback.cardLastFour || 'N/A'}
 
@@ -830,7 +826,8 @@ GUEST INFO:
 PROPERTY: ${chargeback.property?.name || 'Unknown'}
 
 EVIDENCE ON FILE (${evidenceTypes.length} items): ${evidenceTypes.join(', ') || 'None'}
-MISSING EVIDENCE: ${missingEvidence.join(', ') || 'All evidence collected'}
+MISSING REQUIRED EVIDENCE: ${missingEvidence.join(', ') || 'All required evidence collected'}
+MISSING OPTIONAL EVIDENCE: ${requirements.missingOptional.join(', ') || 'None'}
 
 ${chargeback.reservation ? `RESERVATION MATCHED: Yes (${chargeback.reservation.confirmationNumber})` : 'RESERVATION: Not linked'}
 
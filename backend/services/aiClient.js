@@ -1,7 +1,6 @@
 /**
  * DisputeAI - AI Client Service (stub for demo mode)
  */
-const logger = require('../utils/logger');
 
 async function checkAIHealth() {
   return {
@@ -1,8 +1,478 @@
+/**
+ * DisputeAI - AI Defense Configuration
+ * Versioned fraud scoring rule sets.
+ *
+ * A rule set holds the base score, the weight of each built-in rule, custom
+ * condition-based rules and the recommendation thresholds, with overrides per
+ * card network and per property. Every save creates a new immutable version
+ * in SystemConfig (`scoring_rules:v<N>`); `scoring_rules:active` points at the
+ * live version. fraudDetection records the version on each analysis.
+ *
+ * Without a database the built-in defaults are used (version 0).
+ */
+
+const { prisma } = require('../config/database');
+const logger = require('../utils/logger');
+
+// ============================================================================
+// BUILT-IN RULES — detection logic lives in fraudDetection._calculateScore
+// ============================================================================
+
+const BUILT_IN_RULES = {
+  // Positive evidence factors (increase confidence)
+  VALID_ID_SCAN:        { points: 15, type: 'positive', label: 'Valid Government ID on File',        description: 'Guest presented a valid government-issued photo ID at check-in' },
+  SIGNED_REGISTRATION:  { points: 15, type: 'positive', label: 'Signed Registration Card',           description: 'Guest signed the registration card with terms acknowledgment' },
+  PAYMENT_RECEIPT:      { points: 10, type: 'positive', label: 'Payment Authorization Proof',        description: 'Credit card authorization and payment receipt on file' },
+  GUEST_FOLIO:          { points: 10, type: 'positive', label: 'Guest Folio — Balance Settled',      description: 'Complete guest folio showing all charges and zero balance' },
+  AUDIT_TRAIL:          { points: 10, type: 'positive', label: 'Audit Trail Confirms Stay',          description: 'System audit trail shows booking through checkout activity' },
+  RESERVATION_CONFIRM:  { points: 10, type: 'positive', label: 'Reservation Confirmation',           description: 'Original reservation with terms acceptance timestamp' },
+  GUEST_SIGNATURE:      { points: 8,  type: 'positive', label: 'Digital Signature Verified',         description: 'Digital signature captured on tablet at check-in' },
+  KEY_CARD_ACCESS:      { points: 8,  type: 'positive', label: 'Key Card Access Logs',               description: 'Room key card access logs confirm guest presence' },
+  LOYALTY_MEMBER:       { points: 5,  type: 'positive', label: 'Loyalty Program Member',             description: 'Guest is an active loyalty program member' },
+  RETURN_GUEST:         { points: 5,  type: 'positive', label: 'Return Guest',                       description: 'Guest has stayed at the property before' },
+  DIRECT_BOOKING:       { points: 5,  type: 'positive', label: 'Direct Booking',                     description: 'Reservation was booked directly (not OTA)' },
+  FULL_STAY:            { points: 5,  type: 'positive', label: 'Full Stay Completed',                description: 'Guest completed all booked nights' },
+  CHIP_TRANSACTION:     { points: 5,  type: 'positive', label: 'EMV Chip Transaction',               description: 'Payment processed via EMV chip (no liability shift)' },
+  MATCHING_ADDRESS:     { points: 3,  type: 'positive', label: 'Address Matches Card',               description: 'Guest address on file matches billing address' },
+  WIFI_CONNECTED:       { points: 2,  type: 'positive', label: 'WiFi Connection Logged',             description: 'Guest device connected to hotel WiFi during stay' },
+
+  // Negative factors (decrease confidence)
+  NO_ID_SCAN:           { points: -15, type: 'negative', label: 'No ID Scan on File',                description: 'No government-issued photo ID was collected at check-in' },
+  NO_SIGNATURE:         { points: -15, type: 'negative', label: 'No Registration Signature',         description: 'No signed registration card on file' },
+  SWIPED_NOT_CHIP:      { points: -10, type: 'negative', label: 'Magnetic Stripe Used',              description: 'Card was swiped (not chip) — EMV liability shift to merchant' },
+  HIGH_AMOUNT:          { points: -8,  type: 'negative', label: 'High Transaction Amount',           description: 'Transaction amount exceeds the high-amount threshold', threshold: 2000 },
+  FIRST_TIME_GUEST:     { points: -5,  type: 'negative', label: 'First-Time Guest',                  description: 'No prior stay history at this property' },
+  MISMATCH_ADDRESS:     { points: -5,  type: 'negative', label: 'Address Mismatch',                  description: 'Guest address does not match card billing address' },
+  EARLY_CHECKOUT:       { points: -5,  type: 'negative', label: 'Early Checkout',                    description: 'Guest checked out before the scheduled date' },
+  DISPUTED_BEFORE:      { points: -8,  type: 'negative', label: 'Previous Dispute History',          description: 'Cardholder has filed disputes before' },
+  OTA_BOOKING:          { points: -3,  type: 'negative', label: 'OTA Booking',                       description: 'Reservation was booked via OTA (less direct evidence)' },
+  NO_RESERVATION_MATCH: { points: -20, type: 'negative', label: 'No Reservation Match Found',        description: 'Could not match chargeback to any PMS reservation' },
+};
+
+const DEFAULT_BASE_SCORE = 50;
+
+// Recommendation thresholds; below gatherMoreEvidence → UNLIKELY_TO_WIN
+const DEFAULT_THRESHOLDS = {
+  autoSubmit: 85,
+  review: 70,
+  gatherMoreEvidence: 50
+};
+
+const CARD_NETWORKS = ['VISA', 'MASTERCARD', 'AMEX', 'DISCOVER'];
+
+// Facts custom rule conditions can test (built by fraudDetection._buildFacts)
+const CONDITION_FACTS = {
+  amount:           { type: 'number', label: 'Disputed amount' },
+  bookingLeadHours: { type: 'number', label: 'Hours between booking and arrival' },
+  nights:           { type: 'number', label: 'Length of stay (nights)' },
+  evidenceCount:    { type: 'number', label: 'Evidence documents collected' },
+  cardBrand:        { type: 'string', label: 'Card network' },
+  reasonCode:       { type: 'string', label: 'Reason code' },
+  bookingSource:    { type: 'string', label: 'Booking source' },
+  roomType:         { type: 'string', label: 'Room type' },
+  evidenceTypes:    { type: 'array',  label: 'Evidence types collected' },
+  loyaltyMember:    { type: 'boolean', label: 'Loyalty member' }
+};
+
+const CONDITION_OPERATORS = ['eq', 'neq', 'gt', 'gte', 'lt', 'lte', 'in', 'notIn', 'contains', 'exists'];
+
+const ACTIVE_KEY = 'scoring_rules:active';
+const VERSION_KEY_PREFIX = 'scoring_rules:v';
+const CACHE_TTL_MS = 60 * 1000;
+
+let cache = null; // { loadedAt, active }
+
+// ============================================================================
+// DEFAULTS & VALIDATION
+// ============================================================================
+
+/**
+ * The rule set used before anyone has saved one.
+ */
+function getDefaultRuleSet() {
+  return {
+    baseScore: DEFAULT_BASE_SCORE,
+    autoSubmitEnabled: false,
+    rules: Object.fromEntries(
+      Object.entries(BUILT_IN_RULES).map(([id, rule]) => [
+        id,
+        { points: rule.points, enabled: true, ...(rule.threshold !== undefined && { threshold: rule.threshold }) }
+      ])
+    ),
+    customRules: [],
+    thresholds: { ...DEFAULT_THRESHOLDS },
+    networkThresholds: {},
+    properties: {}
+  };
+}
+
+function _validateThresholds(thresholds, path, errors) {
+  if (thresholds === undefined) return;
+  if (!thresholds || typeof thresholds !== 'object') {
+    errors.push({ path, message: 'thresholds must be an object', code: 'invalid_type' });
+    return;
+  }
+
+  for (const key of Object.keys(thresholds)) {
+    const value = thresholds[key];
+    if (!(key in DEFAULT_THRESHOLDS)) {
+      errors.push({ path: [...path, key], message: `Unknown threshold: ${key}`, code: 'unrecognized_keys' });
+    } else if (typeof value !== 'number' || value < 0 || value > 100) {
+      errors.push({ path: [...path, key], message: `${key} must be a number between 0 and 100`, code: 'invalid_type' });
+    }
+  }
+
+  const { autoSubmit, review, gatherMoreEvidence } = thresholds;
+  if (autoSubmit !== undefined && review !== undefined && autoSubmit < review) {
+    errors.push({ path, message: 'autoSubmit must be greater than or equal to review', code: 'custom' });
+  }
+  if (review !== undefined && gatherMoreEvidence !== undefined && review < gatherMoreEvidence) {
+    errors.push({ path, message: 'review must be greater than or equal to gatherMoreEvidence', code: 'custom' });
+  }
+}
+
+function _validateNetworkThresholds(networkThresholds, path, errors) {
+  if (networkThresholds === undefined) return;
+  for (const [network, thresholds] of Object.entries(networkThresholds || {})) {
+    if (!CARD_NETWORKS.includes(network)) {
+      errors.push({ path: [...path, network], message: `Unknown card network: ${network}`, code: 'invalid_enum_value' });
+      continue;
+    }
+    _validateThresholds(thresholds, [...path, network], errors);
+  }
+}
+
+function _validateRuleWeights(rules, path, errors) {
+  if (rules === undefined) return;
+  for (const [id, rule] of Object.entries(rules || {})) {
+    if (!BUILT_IN_RULES[id]) {
+      errors.push({ path: [...path, id], message: `Unknown built-in rule: ${id}`, code: 'unrecognized_keys' });
+      continue;
+    }
+    if (rule.points !== undefined && (typeof rule.points !== 'number' || Math.abs(rule.points) > 100)) {
+      errors.push({ path: [...path, id, 'points'], message: 'points must be a number between -100 and 100', code: 'invalid_type' });
+    }
+    if (rule.enabled !== undefined && typeof rule.enabled !== 'boolean') {
+      errors.push({ path: [...path, id, 'enabled'], message: 'enabled must be a boolean', code: 'invalid_type' });
+    }
+    if (rule.threshold !== undefined && (typeof rule.threshold !== 'number' || rule.threshold < 0)) {
+      errors.push({ path: [...path, id, 'threshold'], message: 'threshold must be a positive number', code: 'invalid_type' });
+    }
+  }
+}
+
+function _validateCustomRules(customRules, path, errors) {
+  if (customRules === undefined) return;
+  if (!Array.isArray(customRules)) {
+    errors.push({ path, message: 'customRules must be an array', code: 'invalid_type' });
+    return;
+  }
+
+  const seen = new Set();
+  customRules.forEach((rule, index) => {
+    const rulePath = [...path, index];
+
+    if (!rule.id || !/^[A-Z][A-Z0-9_]{1,49}$/.test(rule.id)) {
+      errors.push({ path: [...rulePath, 'id'], message: 'id must be UPPER_SNAKE_CASE', code: 'invalid_string' });
+    } else if (BUILT_IN_RULES[rule.id] || seen.has(rule.id)) {
+      errors.push({ path: [...rulePath, 'id'], message: `Duplicate rule id: ${rule.id}`, code: 'custom' });
+    }
+    seen.add(rule.id);
+
+    if (!rule.label || typeof rule.label !== 'string') {
+      errors.push({ path: [...rulePath, 'label'], message: 'label is required', code: 'required' });
+    }
+    if (typeof rule.points !== 'number' || Math.abs(rule.points) > 100) {
+      errors.push({ path: [...rulePath, 'points'], message: 'points must be a number between -100 and 100', code: 'invalid_type' });
+    }
+    if (!Array.isArray(rule.conditions) || rule.conditions.length === 0) {
+      errors.push({ path: [...rulePath, 'conditions'], message: 'At least one condition is required', code: 'too_small' });
+      return;
+    }
+
+    rule.conditions.forEach((condition, conditionIndex) => {
+      const conditionPath = [...rulePath, 'conditions', conditionIndex];
+      if (!CONDITION_FACTS[condition.fact]) {
+        errors.push({ path: [...conditionPath, 'fact'], message: `fact must be one of: ${Object.keys(CONDITION_FACTS).join(', ')}`, code: 'invalid_enum_value' });
+      }
+      if (!CONDITION_OPERATORS.includes(condition.operator)) {
+        errors.push({ path: [...conditionPath, 'operator'], message: `operator must be one of: ${CONDITION_OPERATORS.join(', ')}`, code: 'invalid_enum_value' });
+      }
+      if (['in', 'notIn'].includes(condition.operator) && !Array.isArray(condition.value)) {
+        errors.push({ path: [...conditionPath, 'value'], message: 'value must be an array for in/notIn', code: 'invalid_type' });
+      }
+    });
+  });
+}
+
+/**
+ * Validate a rule set. Errors use the validators.js shape so routes can
+ * return them as `details`.
+ *
+ * @param {Object} ruleSet
+ * @returns {Array<{ path: Array, message: string, code: string }>}
+ */
+function validateRuleSet(ruleSet) {
+  const errors = [];
+
+  if (!ruleSet || typeof ruleSet !== 'object' || Array.isArray(ruleSet)) {
+    return [{ path: ['ruleSet'], message: 'ruleSet must be an object', code: 'invalid_type' }];
+  }
+
+  if (ruleSet.baseScore !== undefined && (typeof ruleSet.baseScore !== 'number' || ruleSet.baseScore < 0 || ruleSet.baseScore > 100)) {
+    errors.push({ path: ['baseScore'], message: 'baseScore must be a number between 0 and 100', code: 'invalid_type' });
+  }
+
+  _validateRuleWeights(ruleSet.rules, ['rules'], errors);
+  _validateCustomRules(ruleSet.customRules, ['customRules'], errors);
+  _validateThresholds(ruleSet.thresholds, ['thresholds'], errors);
+  _validateNetworkThresholds(ruleSet.networkThresholds, ['networkThresholds'], errors);
+
+  for (const [propertyId, override] of Object.entries(ruleSet.properties || {})) {
+    const path = ['properties', propertyId];
+    if (override.baseScore !== undefined && (typeof override.baseScore !== 'number' || override.baseScore < 0 || override.baseScore > 100)) {
+      errors.push({ path: [...path, 'baseScore'], message: 'baseScore must be a number between 0 and 100', code: 'invalid_type' });
+    }
+    _validateRuleWeights(override.rules, [...path, 'rules'], errors);
+    _validateCustomRules(override.customRules, [...path, 'customRules'], errors);
+    _validateThresholds(override.thresholds, [...path, 'thresholds'], errors);
+    _validateNetworkThresholds(override.networkThresholds, [...path, 'networkThresholds'], errors);
+  }
+
+  return errors;
+}
+
+// ============================================================================
+// RESOLUTION
+// ============================================================================
+
+/**
+ * Flatten a rule set for one case. Precedence for thresholds, most specific
+ * first: property + network, property, network, global.
+ *
+ * @param {Object} ruleSet - Stored rule set
+ * @param {Object} [context]
+ * @param {string} [context.propertyId]
+ * @param {string} [context.cardBrand]
+ * @returns {Object} { baseScore, rules, thresholds, autoSubmitEnabled }
+ *   where rules maps rule id → { id, points, type, label, description, enabled, custom, ... }
+ */
+function resolveRuleSet(ruleSet, { propertyId, cardBrand } = {}) {
+  const base = ruleSet || getDefaultRuleSet();
+  const property = (propertyId && base.properties?.[propertyId]) || {};
+  const network = String(cardBrand || '').toUpperCase();
+
+  const rules = {};
+  for (const [id, definition] of Object.entries(BUILT_IN_RULES)) {
+    rules[id] = {
+      id,
+      ...definition,
+      enabled: true,
+      ...(base.rules?.[id] || {}),
+      ...(property.rules?.[id] || {}),
+      custom: false
+    };
+  }
+
+  for (const rule of [...(base.customRules || []), ...(property.customRules || [])]) {
+    rules[rule.id] = {
+      enabled: true,
+      description: '',
+      ...rule,
+      type: rule.type || (rule.points >= 0 ? 'positive' : 'negative'),
+      custom: true
+    };
+  }
+
+  const thresholds = {
+    ...DEFAULT_THRESHOLDS,
+    ...(base.thresholds || {}),
+    ...(base.networkThresholds?.[network] || {}),
+    ...(property.thresholds || {}),
+    ...(property.networkThresholds?.[network] || {})
+  };
+
+  return {
+    baseScore: property.baseScore ?? base.baseScore ?? DEFAULT_BASE_SCORE,
+    autoSubmitEnabled: Boolean(property.autoSubmitEnabled ?? base.autoSubmitEnabled),
+    rules,
+    thresholds
+  };
+}
+
+// ============================================================================
+// STORAGE & VERSIONING
+// ============================================================================
+
+function _defaultActive() {
+  return { version: 0, ruleSet: getDefaultRuleSet(), note: 'Built-in defaults', createdAt: null, createdBy: null, isDefault: true };
+}
+
+function _parseValue(value) {
+  return typeof value === 'string' ? JSON.parse(value) : value;
+}
+
+/**
+ * The live rule set (cached for a minute). Falls back to defaults when no
+ * version has been saved or the database is unavailable.
+ *
+ * @returns {Object} { version, ruleSet, note, createdAt, createdBy, isDefault? }
+ */
+async function getActiveRuleSet({ fresh = false } = {}) {
+  if (!fresh && cache && Date.now() - cache.loadedAt < CACHE_TTL_MS) {
+    return cache.active;
+  }
+
+  let active;
+  try {
+    const pointer = await prisma.systemConfig.findUnique({ where: { key: ACTIVE_KEY } });
+    active = pointer ? await getRuleSetVersion(_parseValue(pointer.value).version) : null;
+  } catch (error) {
+    logger.warn('Scoring rules: database unavailable, using built-in defaults');
+  }
+
+  cache = { loadedAt: Date.now(), active: active || _defaultActive() };
+  return cache.active;
+}
+
+/**
+ * Load one stored version.
+ *
+ * @param {number} version
+ * @returns {Object|null}
+ */
+async function getRuleSetVersion(version) {
+  if (Number(version) === 0) return _defaultActive();
+
+  const record = await prisma.systemConfig.findUnique({
+    where: { key: `${VERSION_KEY_PREFIX}${Number(version)}` }
+  });
+  return record ? _parseValue(record.value) : null;
+}
+
+/**
+ * All stored versions, newest first.
+ */
+async function listRuleSetVersions() {
+  const [records, active] = await Promise.all([
+    prisma.systemConfig.findMany({ where: { key: { startsWith: VERSION_KEY_PREFIX } } }),
+    getActiveRuleSet({ fresh: true })
+  ]);
+
+  return records
+    .map((record) => _parseValue(record.value))
+    .sort((a, b) => b.version - a.version)
+    .map(({ version, note, createdAt, createdBy }) => ({
+      version,
+      note,
+      createdAt,
+      createdBy,
+      active: version === active.version
+    }));
+}
+
+/**
+ * Save a rule set as a new version and make it live.
+ *
+ * @param {Object} ruleSet - Validated rule set
+ * @param {Object} [meta]
+ * @param {string} [meta.userId] - Author
+ * @param {string} [meta.note] - Change description
+ * @returns {Object} The stored version
+ */
+async function saveRuleSet(ruleSet, { userId = null, note = '' } = {}) {
+  const records = await prisma.systemConfig.findMany({
+    where: { key: { startsWith: VERSION_KEY_PREFIX } },
+    select: { key: true }
+  });
+  const latest = records.reduce((max, r) => Math.max(max, parseInt(r.key.slice(VERSION_KEY_PREFIX.length), 10) || 0), 0);
+
+  const stored = {
+    version: latest + 1,
+    ruleSet: { ...getDefaultRuleSet(), ...ruleSet },
+    note,
+    createdAt: new Date().toISOString(),
+    createdBy: userId
+  };
+
+  // create (not upsert) so two concurrent saves can't share a version number
+  await prisma.systemConfig.create({
+    data: {
+      key: `${VERSION_KEY_PREFIX}${stored.version}`,
+      value: stored,
+      description: note || `Fraud scoring rules v${stored.version}`,
+      updatedBy: userId
+    }
+  });
+
+  await _setActiveVersion(stored.version, userId);
+  cache = { loadedAt: Date.now(), active: stored };
+
+  logger.info(`Scoring rules v${stored.version} saved${userId ? ` by ${userId}` : ''}`);
+  return stored;
+}
+
+/**
+ * Make an existing version live again (rollback).
+ *
+ * @param {number} version
+ * @param {Object} [meta]
+ * @param {string} [meta.userId]
+ * @returns {Object} The activated version
+ */
+async function activateRuleSetVersion(version, { userId = null } = {}) {
+  const stored = await getRuleSetVersion(version);
+  if (!stored) {
+    const error = new Error(`Scoring rules version ${version} not found`);
+    error.code = 'NOT_FOUND';
+    throw error;
+  }
+
+  await _setActiveVersion(stored.version, userId);
+  cache = { loadedAt: Date.now(), active: stored };
+
+  logger.info(`Scoring rules v${stored.version} activated${userId ? ` by ${userId}` : ''}`);
+  return stored;
+}
+
+async function _setActiveVersion(version, userId) {
+  await prisma.systemConfig.upsert({
+    where: { key: ACTIVE_KEY },
+    update: { value: { version }, updatedBy: userId },
+    create: { key: ACTIVE_KEY, value: { version }, description: 'Active fraud scoring rules version', updatedBy: userId }
+  });
+}
+
+/**
+ * Effective auto-submit/review thresholds for a property and card network.
+ *
+ * @param {Object} [context] - { propertyId, cardBrand }
+ */
+async function getConfig(context = {}) {
+  const { version, ruleSet } = await getActiveRuleSet();
+  const resolved = resolveRuleSet(ruleSet, context);
+
+  return {
+    ruleSetVersion: version,
+    autoSubmitThreshold: resolved.thresholds.autoSubmit,
+    reviewThreshold: resolved.thresholds.review,
+    gatherMoreEvidenceThreshold: resolved.thresholds.gatherMoreEvidence,
+    autoSubmitEnabled: resolved.autoSubmitEnabled
+  };
+}
+
 module.exports = {
-  getConfig: () => ({
-    autoSubmitThreshold: 85,
-    reviewThreshold: 70,
-    autoSubmitEnabled: false
-  }),
-  updateConfig: async (config) => config
+  BUILT_IN_RULES,
+  CARD_NETWORKS,
+  CONDITION_FACTS,
+  CONDITION_OPERATORS,
+  getDefaultRuleSet,
+  validateRuleSet,
+  resolveRuleSet,
+  getActiveRuleSet,
+  getRuleSetVersion,
+  listRuleSetVersions,
+  saveRuleSet,
+  activateRuleSetVersion,
+  getConfig
 };
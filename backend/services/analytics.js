@@ -0,0 +1,983 @@
+/**
+ * DisputeAI - Case Analytics
+ *
+ * Dashboard figures and monthly trends aggregated from Chargeback, scoped to
+ * the caller's properties (req.propertyFilter) and narrowed by the filters in
+ * parseAnalyticsFilters(): a date range, property, card network and reason
+ * code.
+ *
+ * The dashboard comes from one groupBy over property, card brand, reason
+ * code, status and liability reason, reduced here into the totals and the
+ * per-property, per-network and per-reason-code breakdowns. Its date range
+ * is on when the case was opened (createdAt). Trends bucket each month's new
+ * cases by createdAt and its outcomes by resolvedAt, reading the nightly
+ * AnalyticsSnapshot rollup where it covers the range (see
+ * analyticsSnapshots.js).
+ *
+ * Win rate counts only cases that were fought: accepted liability (see
+ * caseActions.acceptLiability) is a deliberate loss and is reported on its
+ * own, as in GET /api/cases/stats.
+ *
+ * getWinRateDrivers() conditions the win rate of fought cases on evidence
+ * present, reason code, booking source, card network and the scoring rules
+ * that fired, each with a 95% Wilson score interval so that a 3-for-3 group
+ * isn't read as a sure thing.
+ *
+ * getReportFigures() gathers what the scheduled email reports show for a
+ * period.
+ *
+ * Without a database the routes use getDemoDashboard()/getDemoTrends(),
+ * which run a fixed set of demo case groups through the same reduction.
+ */
+
+const { prisma } = require('../config/database');
+const { autoclerk } = require('./autoclerkEmulator');
+const { OPEN_STATUSES } = require('./deadlines');
+const { NETWORK_ALIASES, EVIDENCE_TYPE_LABELS, normalizeCardNetwork, getReasonCode } = require('./reasonCodes');
+const { OTA_SOURCES } = require('./fraudDetection');
+const { BUILT_IN_RULES } = require('./aiDefenseConfig');
+const { startOfDay, getLatestSnapshotDate } = require('./analyticsSnapshots');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Open cases due within this many days count as urgent
+const URGENT_WITHIN_DAYS = 3;
+
+// Without a date range, the dashboard's trend arrows compare this many days
+// with the same number of days before
+const DEFAULT_COMPARISON_DAYS = 30;
+
+const DEFAULT_TREND_MONTHS = 6;
+const MAX_TREND_MONTHS = 24;
+
+const RECENT_CASES = 5;
+
+// Reports: cases still to be decided count as at risk
+const UNRESOLVED_STATUSES = ['PENDING', 'IN_REVIEW', 'SUBMITTED'];
+const REPORT_DEADLINES = 10;
+const TOP_REASON_CODES = 5;
+
+// Win rate drivers: most recent fought cases analysed, the z-score for the
+// confidence interval (95%) and the group size under which results are flagged
+const MAX_DRIVER_CASES = 10000;
+const CONFIDENCE_Z = 1.96;
+const MIN_SAMPLE = 10;
+
+const DIRECT_BOOKING_PATTERN = /direct|website|phone|walk[- ]?in|front desk/i;
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// ============================================================================
+// FILTERS
+// ============================================================================
+
+function _parseDate(value, { endOfDay = false } = {}) {
+  const text = String(value).trim();
+  if (DATE_PATTERN.test(text)) {
+    const date = new Date(`${text}T00:00:00.000Z`);
+    if (Number.isNaN(date.getTime())) return null;
+    return endOfDay ? new Date(date.getTime() + DAY_MS - 1) : date;
+  }
+  const date = new Date(text);
+  return Number.isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * Read analytics filters from a query string.
+ *
+ * @param {Object} query - { dateFrom?, dateTo?, propertyId?, network?, reasonCode?, months? }
+ *   Dates are YYYY-MM-DD (dateTo inclusive) or ISO timestamps. network is a
+ *   card network or alias (VISA, MC, AMEX...). months sets the trend window
+ *   when no date range is given.
+ * @returns {Object} { filters, errors: [{ path, message, code }] }
+ */
+function parseAnalyticsFilters(query = {}) {
+  const errors = [];
+  const filters = {};
+
+  if (query.dateFrom) {
+    filters.dateFrom = _parseDate(query.dateFrom);
+    if (!filters.dateFrom) errors.push({ path: 'dateFrom', message: 'dateFrom must be a date (YYYY-MM-DD)', code: 'invalid_date' });
+  }
+  if (query.dateTo) {
+    filters.dateTo = _parseDate(query.dateTo, { endOfDay: true });
+    if (!filters.dateTo) errors.push({ path: 'dateTo', message: 'dateTo must be a date (YYYY-MM-DD)', code: 'invalid_date' });
+  }
+  if (filters.dateFrom && filters.dateTo && filters.dateFrom > filters.dateTo) {
+    errors.push({ path: 'dateTo', message: 'dateTo must be on or after dateFrom', code: 'invalid_range' });
+  }
+
+  if (query.propertyId) filters.propertyId = String(query.propertyId);
+
+  if (query.network) {
+    filters.network = normalizeCardNetwork(query.network);
+    if (!filters.network) {
+      errors.push({ path: 'network', message: `network must be one of ${[...new Set(Object.values(NETWORK_ALIASES))].join(', ')}`, code: 'invalid_enum_value' });
+    }
+  }
+
+  if (query.reasonCode) filters.reasonCode = String(query.reasonCode).trim().toUpperCase();
+
+  if (query.months !== undefined) {
+    const months = Number(query.months);
+    if (!Number.isInteger(months) || months < 1 || months > MAX_TREND_MONTHS) {
+      errors.push({ path: 'months', message: `months must be a whole number from 1 to ${MAX_TREND_MONTHS}`, code: 'invalid_type' });
+    } else {
+      filters.months = months;
+    }
+  }
+
+  return { filters, errors };
+}
+
+/** Card brand spellings stored for a network (VISA; MC, Master Card...) */
+function _networkBrandFilter(network) {
+  const spellings = Object.keys(NETWORK_ALIASES)
+    .filter((alias) => NETWORK_ALIASES[alias] === network)
+    .flatMap((alias) => [alias, alias.replace(/_/g, ' '), alias.replace(/_/g, '-')]);
+  return {
+    OR: [...new Set(spellings)].map((spelling) => ({ cardBrand: { equals: spelling, mode: 'insensitive' } }))
+  };
+}
+
+/**
+ * Chargeback where clause for the filters (all but the date range), with
+ * the caller's property scope applied last so it can't be widened.
+ */
+function _scopeWhere(filters, propertyFilter) {
+  return {
+    ...(filters.propertyId && { propertyId: filters.propertyId }),
+    ...(filters.network && _networkBrandFilter(filters.network)),
+    ...(filters.reasonCode && { reasonCode: { equals: filters.reasonCode, mode: 'insensitive' } }),
+    ...propertyFilter
+  };
+}
+
+function _dateRange(from, to) {
+  const range = {};
+  if (from) range.gte = from;
+  if (to) range.lte = to;
+  return Object.keys(range).length ? range : null;
+}
+
+// ============================================================================
+// REDUCTION
+// ============================================================================
+
+function _emptyBucket() {
+  return { count: 0, amount: 0, won: 0, lostAfterFighting: 0, acceptedLiability: 0, recoveredAmount: 0 };
+}
+
+function _addGroup(bucket, group) {
+  bucket.count += group.count;
+  bucket.amount += group.amount;
+  if (group.status === 'WON') {
+    bucket.won += group.count;
+    bucket.recoveredAmount += group.amount;
+  }
+  if (group.status === 'LOST') {
+    if (group.liabilityReason) bucket.acceptedLiability += group.count;
+    else bucket.lostAfterFighting += group.count;
+  }
+}
+
+function _winRate(won, lostAfterFighting) {
+  const fought = won + lostAfterFighting;
+  return fought > 0 ? Math.round((won / fought) * 1000) / 10 : 0;
+}
+
+function _round(amount) {
+  return Math.round(amount * 100) / 100;
+}
+
+function _finishBucket(bucket) {
+  return {
+    ...bucket,
+    amount: _round(bucket.amount),
+    recoveredAmount: _round(bucket.recoveredAmount),
+    winRate: _winRate(bucket.won, bucket.lostAfterFighting)
+  };
+}
+
+function _breakdown(groups, keyOf, labelOf) {
+  const buckets = new Map();
+  for (const group of groups) {
+    const key = keyOf(group);
+    if (!buckets.has(key)) buckets.set(key, _emptyBucket());
+    _addGroup(buckets.get(key), group);
+  }
+  return [...buckets.entries()]
+    .map(([key, bucket]) => ({ key, label: labelOf(key), ..._finishBucket(bucket) }))
+    .sort((a, b) => b.count - a.count || b.amount - a.amount);
+}
+
+/**
+ * Reduce case groups ({ propertyId, cardBrand, reasonCode, status,
+ * liabilityReason, count, amount }) to the dashboard's totals and
+ * breakdowns.
+ */
+function _summarizeGroups(groups, propertyNames = {}) {
+  const total = _emptyBucket();
+  const statusBreakdown = {};
+  const concededByReason = {};
+
+  for (const group of groups) {
+    _addGroup(total, group);
+
+    statusBreakdown[group.status] = statusBreakdown[group.status] || { count: 0, amount: 0 };
+    statusBreakdown[group.status].count += group.count;
+    statusBreakdown[group.status].amount += group.amount;
+
+    if (group.status === 'LOST' && group.liabilityReason) {
+      concededByReason[group.liabilityReason] = concededByReason[group.liabilityReason] || { count: 0, amount: 0 };
+      concededByReason[group.liabilityReason].count += group.count;
+      concededByReason[group.liabilityReason].amount += group.amount;
+    }
+  }
+
+  for (const entry of [...Object.values(statusBreakdown), ...Object.values(concededByReason)]) {
+    entry.amount = _round(entry.amount);
+  }
+
+  return {
+    totals: _finishBucket(total),
+    statusBreakdown,
+    outcomes: {
+      won: total.won,
+      lostAfterFighting: total.lostAfterFighting,
+      acceptedLiability: total.acceptedLiability
+    },
+    acceptedLiability: {
+      count: total.acceptedLiability,
+      amount: _round(Object.values(concededByReason).reduce((sum, entry) => sum + entry.amount, 0)),
+      byReason: concededByReason
+    },
+    breakdowns: {
+      byProperty: _breakdown(groups, (g) => g.propertyId, (id) => propertyNames[id] || id),
+      byNetwork: _breakdown(groups, (g) => normalizeCardNetwork(g.cardBrand) || 'OTHER', (network) => network),
+      byReasonCode: _breakdown(
+        groups,
+        (g) => String(g.reasonCode || '').toUpperCase() || 'UNKNOWN',
+        (code) => getReasonCode(code)?.description || code
+      )
+    }
+  };
+}
+
+function _percentChange(current, previous) {
+  if (!previous) return current ? 100 : 0;
+  return Math.round(((current - previous) / previous) * 100);
+}
+
+/**
+ * The window the trend arrows describe and the one just before it: the
+ * requested date range, or the last DEFAULT_COMPARISON_DAYS days.
+ */
+function _comparisonWindows(filters, now) {
+  const to = filters.dateTo || now;
+  const from = filters.dateFrom || new Date(to.getTime() - DEFAULT_COMPARISON_DAYS * DAY_MS);
+  const length = to.getTime() - from.getTime();
+  return {
+    current: { gte: from, lte: to },
+    previous: { gte: new Date(from.getTime() - length), lt: from }
+  };
+}
+
+// ============================================================================
+// DASHBOARD
+// ============================================================================
+
+/**
+ * Dashboard analytics from the database.
+ *
+ * @param {Object} filters - From parseAnalyticsFilters()
+ * @param {Object} [propertyFilter] - req.propertyFilter
+ * @param {Object} [options]
+ * @param {Date} [options.now]
+ * @returns {Promise<Object>} { summary, statusBreakdown, outcomes, acceptedLiability,
+ *   breakdowns: { byProperty, byNetwork, byReasonCode }, recentCases, evidenceSummary,
+ *   pmsStatus, filters }
+ */
+async function getDashboard(filters = {}, propertyFilter = {}, { now = new Date() } = {}) {
+  const scope = _scopeWhere(filters, propertyFilter);
+  const createdAt = _dateRange(filters.dateFrom, filters.dateTo);
+  const where = { ...scope, ...(createdAt && { createdAt }) };
+  const windows = _comparisonWindows(filters, now);
+
+  const [grouped, urgentCases, recentCases, evidenceByType, casesWithEvidence, currentPeriod, previousPeriod] = await Promise.all([
+    prisma.chargeback.groupBy({
+      by: ['propertyId', 'cardBrand', 'reasonCode', 'status', 'liabilityReason'],
+      where,
+      _count: { _all: true },
+      _sum: { amount: true }
+    }),
+
+    prisma.chargeback.count({
+      where: {
+        ...where,
+        status: { in: OPEN_STATUSES },
+        dueDate: { not: null, lte: new Date(now.getTime() + URGENT_WITHIN_DAYS * DAY_MS) }
+      }
+    }),
+
+    prisma.chargeback.findMany({
+      where,
+      select: { id: true, caseNumber: true, guestName: true, amount: true, status: true, confidenceScore: true, createdAt: true },
+      orderBy: { createdAt: 'desc' },
+      take: RECENT_CASES
+    }),
+
+    prisma.evidence.groupBy({
+      by: ['type'],
+      where: { chargeback: where },
+      _count: { _all: true }
+    }),
+
+    prisma.chargeback.count({ where: { ...where, evidence: { some: {} } } }),
+
+    prisma.chargeback.aggregate({ where: { ...scope, createdAt: windows.current }, _count: { _all: true }, _sum: { amount: true } }),
+    prisma.chargeback.aggregate({ where: { ...scope, createdAt: windows.previous }, _count: { _all: true }, _sum: { amount: true } })
+  ]);
+
+  const groups = grouped.map((g) => ({
+    propertyId: g.propertyId,
+    cardBrand: g.cardBrand,
+    reasonCode: g.reasonCode,
+    status: g.status,
+    liabilityReason: g.liabilityReason,
+    count: g._count._all,
+    amount: Number(g._sum.amount || 0)
+  }));
+
+  const propertyIds = [...new Set(groups.map((g) => g.propertyId))];
+  const properties = propertyIds.length
+    ? await prisma.property.findMany({ where: { id: { in: propertyIds } }, select: { id: true, name: true } })
+    : [];
+  const propertyNames = Object.fromEntries(properties.map((p) => [p.id, p.name]));
+
+  const evidenceTotal = evidenceByType.reduce((sum, e) => sum + e._count._all, 0);
+
+  return _dashboardResponse(_summarizeGroups(groups, propertyNames), {
+    filters,
+    urgentCases,
+    trends: {
+      cases: _percentChange(currentPeriod._count._all, previousPeriod._count._all),
+      amount: _percentChange(Number(currentPeriod._sum.amount || 0), Number(previousPeriod._sum.amount || 0))
+    },
+    recentCases: recentCases.map((c) => ({ ...c, amount: Number(c.amount) })),
+    evidenceSummary: {
+      total: evidenceTotal,
+      byType: Object.fromEntries(evidenceByType.map((e) => [e.type, e._count._all])),
+      casesWithEvidence
+    }
+  });
+}
+
+function _dashboardResponse(summary, { filters, urgentCases, trends, recentCases, evidenceSummary }) {
+  const { totals } = summary;
+  return {
+    summary: {
+      totalCases: totals.count,
+      totalAmount: totals.amount,
+      winRate: totals.winRate,
+      urgentCases,
+      recoveredAmount: totals.recoveredAmount,
+      trends,
+      evidenceCollected: evidenceSummary.total,
+      casesWithEvidence: evidenceSummary.casesWithEvidence
+    },
+    statusBreakdown: summary.statusBreakdown,
+    outcomes: summary.outcomes,
+    acceptedLiability: summary.acceptedLiability,
+    breakdowns: summary.breakdowns,
+    recentCases,
+    pmsStatus: autoclerk.getStatus(),
+    evidenceSummary,
+    filters: _describeFilters(filters)
+  };
+}
+
+function _describeFilters(filters) {
+  return {
+    dateFrom: filters.dateFrom ? filters.dateFrom.toISOString() : null,
+    dateTo: filters.dateTo ? filters.dateTo.toISOString() : null,
+    propertyId: filters.propertyId || null,
+    network: filters.network || null,
+    reasonCode: filters.reasonCode || null
+  };
+}
+
+// ============================================================================
+// TRENDS
+// ============================================================================
+
+function _monthKey(date) {
+  return `${date.getUTCFullYear()}-${String(date.getUTCMonth() + 1).padStart(2, '0')}`;
+}
+
+function _monthLabel(date) {
+  return date.toLocaleString('en-US', { month: 'short', year: 'numeric', timeZone: 'UTC' });
+}
+
+/** Calendar months (UTC) covering the date range, or the last `months` months */
+function _trendMonths(filters, now) {
+  const end = filters.dateTo || now;
+  const monthsBack = (count) => new Date(Date.UTC(end.getUTCFullYear(), end.getUTCMonth() - (count - 1), 1));
+
+  // A range longer than MAX_TREND_MONTHS keeps its most recent months
+  let start = filters.dateFrom || monthsBack(filters.months || DEFAULT_TREND_MONTHS);
+  if (start < monthsBack(MAX_TREND_MONTHS)) start = monthsBack(MAX_TREND_MONTHS);
+
+  const months = [];
+  let cursor = new Date(Date.UTC(start.getUTCFullYear(), start.getUTCMonth(), 1));
+  while (cursor <= end) {
+    months.push({ key: _monthKey(cursor), month: _monthLabel(cursor), cases: 0, won: 0, lost: 0, acceptedLiability: 0, recovered: 0 });
+    cursor = new Date(Date.UTC(cursor.getUTCFullYear(), cursor.getUTCMonth() + 1, 1));
+  }
+
+  return { months, from: start, to: end };
+}
+
+function _trendsResponse(months, filters) {
+  return {
+    trends: months.map((m) => ({ ...m, recovered: _round(m.recovered) })),
+    period: filters.dateFrom || filters.dateTo ? 'custom' : `${filters.months || DEFAULT_TREND_MONTHS}m`,
+    filters: _describeFilters(filters)
+  };
+}
+
+/** Add cases opened and resolved between `from` and `to` to their months */
+async function _addCaseActivity(byKey, scope, from, to) {
+  const [opened, resolved] = await Promise.all([
+    prisma.chargeback.findMany({
+      where: { ...scope, createdAt: { gte: from, lte: to } },
+      select: { createdAt: true }
+    }),
+    prisma.chargeback.findMany({
+      where: { ...scope, status: { in: ['WON', 'LOST'] }, resolvedAt: { gte: from, lte: to } },
+      select: { status: true, amount: true, liabilityReason: true, resolvedAt: true }
+    })
+  ]);
+
+  for (const c of opened) {
+    const month = byKey.get(_monthKey(c.createdAt));
+    if (month) month.cases += 1;
+  }
+  for (const c of resolved) {
+    const month = byKey.get(_monthKey(c.resolvedAt));
+    if (!month) continue;
+    if (c.status === 'WON') {
+      month.won += 1;
+      month.recovered += Number(c.amount);
+    } else if (c.liabilityReason) {
+      month.acceptedLiability += 1;
+    } else {
+      month.lost += 1;
+    }
+  }
+}
+
+/** Add daily snapshots from `fromDay` through `toDay` to their months */
+async function _addSnapshots(byKey, propertyId, fromDay, toDay) {
+  const days = await prisma.analyticsSnapshot.groupBy({
+    by: ['date'],
+    where: { date: { gte: fromDay, lte: toDay }, ...(propertyId && { propertyId }) },
+    _sum: { totalCases: true, wonCases: true, lostCases: true, acceptedCases: true, recoveredAmt: true }
+  });
+
+  for (const { date, _sum } of days) {
+    const month = byKey.get(_monthKey(date));
+    if (!month) continue;
+    month.cases += _sum.totalCases || 0;
+    month.won += _sum.wonCases || 0;
+    month.lost += _sum.lostCases || 0;
+    month.acceptedLiability += _sum.acceptedCases || 0;
+    month.recovered += Number(_sum.recoveredAmt || 0);
+  }
+}
+
+/**
+ * Monthly trends from the database. `lost` is cases lost after fighting;
+ * accepted liability is counted apart.
+ *
+ * Days covered by AnalyticsSnapshot are read from the snapshots and only the
+ * days since the last rollup from chargebacks. Snapshots are per property,
+ * so with a network or reason code filter every day comes from chargebacks.
+ *
+ * @param {Object} filters - From parseAnalyticsFilters()
+ * @param {Object} [propertyFilter] - req.propertyFilter
+ * @param {Object} [options]
+ * @param {Date} [options.now]
+ * @returns {Promise<Object>} { trends: [{ key, month, cases, won, lost, acceptedLiability, recovered }],
+ *   period, filters, source: 'snapshots' | 'cases' }
+ */
+async function getTrends(filters = {}, propertyFilter = {}, { now = new Date() } = {}) {
+  const scope = _scopeWhere(filters, propertyFilter);
+  const { months, from, to } = _trendMonths(filters, now);
+  const byKey = new Map(months.map((m) => [m.key, m]));
+
+  const latest = filters.network || filters.reasonCode ? null : await getLatestSnapshotDate();
+  const fromDay = startOfDay(from);
+  const useSnapshots = Boolean(latest && latest >= fromDay);
+
+  let casesFrom = from;
+  if (useSnapshots) {
+    const toDay = latest < startOfDay(to) ? latest : startOfDay(to);
+    await _addSnapshots(byKey, scope.propertyId, fromDay, toDay);
+    casesFrom = new Date(toDay.getTime() + DAY_MS);
+  }
+  if (casesFrom <= to) {
+    await _addCaseActivity(byKey, scope, casesFrom, to);
+  }
+
+  return { ..._trendsResponse(months, filters), source: useSnapshots ? 'snapshots' : 'cases' };
+}
+
+// ============================================================================
+// WIN RATE DRIVERS
+// ============================================================================
+
+/**
+ * Wilson score interval for a win rate, in percent. Unlike the normal
+ * approximation it stays inside 0-100 and widens properly for small groups.
+ */
+function _wilsonInterval(won, cases, z = CONFIDENCE_Z) {
+  if (!cases) return null;
+  const p = won / cases;
+  const z2 = z * z;
+  const denominator = 1 + z2 / cases;
+  const centre = (p + z2 / (2 * cases)) / denominator;
+  const margin = (z * Math.sqrt((p * (1 - p)) / cases + z2 / (4 * cases * cases))) / denominator;
+  return {
+    low: Math.round(Math.max(0, centre - margin) * 1000) / 10,
+    high: Math.round(Math.min(1, centre + margin) * 1000) / 10
+  };
+}
+
+function _emptyOutcome() {
+  return { cases: 0, won: 0, lost: 0, disputedAmount: 0, recoveredAmount: 0 };
+}
+
+function _addOutcome(stats, c) {
+  stats.cases += 1;
+  stats.disputedAmount += c.amount;
+  if (c.won) {
+    stats.won += 1;
+    stats.recoveredAmount += c.amount;
+  } else {
+    stats.lost += 1;
+  }
+}
+
+function _finishOutcome(stats) {
+  return {
+    ...stats,
+    disputedAmount: _round(stats.disputedAmount),
+    recoveredAmount: _round(stats.recoveredAmount),
+    winRate: stats.cases ? Math.round((stats.won / stats.cases) * 1000) / 10 : null,
+    confidenceInterval: _wilsonInterval(stats.won, stats.cases),
+    lowSample: stats.cases < MIN_SAMPLE
+  };
+}
+
+/** Group cases by one or more keys each, with win rate and interval per group */
+function _driverBreakdown(cases, keysOf, labelOf = (key) => key) {
+  const groups = new Map();
+  for (const c of cases) {
+    for (const key of keysOf(c)) {
+      if (!groups.has(key)) groups.set(key, _emptyOutcome());
+      _addOutcome(groups.get(key), c);
+    }
+  }
+  return [...groups.entries()]
+    .map(([key, stats]) => ({ key, label: labelOf(key), ..._finishOutcome(stats) }))
+    .sort((a, b) => b.cases - a.cases || a.key.localeCompare(b.key));
+}
+
+/** 'Direct' for the hotel's own channels, the OTA's name, or the source as given */
+function _bookingSourceKey(source) {
+  const text = String(source || '').trim();
+  if (!text) return 'Unknown';
+  const ota = OTA_SOURCES.find((name) => name.toLowerCase() === text.toLowerCase());
+  if (ota) return ota;
+  if (DIRECT_BOOKING_PATTERN.test(text)) return 'Direct';
+  return text;
+}
+
+/**
+ * Scoring rules that fired for a case, from the stored analysis (appliedRules)
+ * or, for older analyses, its fraud signals.
+ */
+function _firedRules(c) {
+  const applied = c.aiAnalysis?.appliedRules;
+  const indicators = c.aiAnalysis?.fraudIndicators || c.fraudIndicators || {};
+  const rules = Array.isArray(applied)
+    ? applied
+    : [...(indicators.positiveSignals || []), ...(indicators.negativeSignals || [])];
+  // Older analyses may not carry label/type; fall back to the built-in rule
+  return rules
+    .filter((r) => r && r.rule)
+    .map((r) => ({
+      rule: r.rule,
+      label: r.label || BUILT_IN_RULES[r.rule]?.label || r.rule,
+      type: r.type || BUILT_IN_RULES[r.rule]?.type || null
+    }));
+}
+
+/**
+ * Reduce fought cases ({ amount, won, reasonCode, cardBrand, bookingSource,
+ * evidenceTypes, rules }) to the win rate drivers.
+ */
+function _summarizeDrivers(cases) {
+  const overall = _emptyOutcome();
+  for (const c of cases) _addOutcome(overall, c);
+
+  const byEvidenceType = Object.keys(EVIDENCE_TYPE_LABELS).map((type) => {
+    const present = _emptyOutcome();
+    const absent = _emptyOutcome();
+    for (const c of cases) _addOutcome(c.evidenceTypes.includes(type) ? present : absent, c);
+    const withType = _finishOutcome(present);
+    const withoutType = _finishOutcome(absent);
+    return {
+      key: type,
+      label: EVIDENCE_TYPE_LABELS[type],
+      present: withType,
+      absent: withoutType,
+      // Percentage points gained when the evidence is on file
+      lift: withType.winRate !== null && withoutType.winRate !== null
+        ? Math.round((withType.winRate - withoutType.winRate) * 10) / 10
+        : null
+    };
+  }).filter((row) => row.present.cases > 0)
+    .sort((a, b) => (b.lift ?? -Infinity) - (a.lift ?? -Infinity));
+
+  const ruleLabels = {};
+  for (const c of cases) {
+    for (const r of c.rules) ruleLabels[r.rule] = ruleLabels[r.rule] || { label: r.label || r.rule, type: r.type || null };
+  }
+
+  return {
+    overall: _finishOutcome(overall),
+    byEvidenceType,
+    byReasonCode: _driverBreakdown(
+      cases,
+      (c) => [String(c.reasonCode || '').toUpperCase() || 'UNKNOWN'],
+      (code) => getReasonCode(code)?.description || code
+    ),
+    byBookingSource: _driverBreakdown(cases, (c) => [_bookingSourceKey(c.bookingSource)]),
+    byCardBrand: _driverBreakdown(cases, (c) => [normalizeCardNetwork(c.cardBrand) || 'OTHER']),
+    byRule: _driverBreakdown(cases, (c) => [...new Set(c.rules.map((r) => r.rule))], (rule) => ruleLabels[rule].label)
+      .map((row) => ({ ...row, type: ruleLabels[row.key].type })),
+    confidenceLevel: 95,
+    minSample: MIN_SAMPLE
+  };
+}
+
+/**
+ * What wins: the win rate and recovered amount of fought cases (WON, or LOST
+ * without accepting liability) conditioned on each evidence type being on
+ * file, reason code, booking source (direct vs each OTA), card network and
+ * each scoring rule that fired. The date range is on resolvedAt.
+ *
+ * @param {Object} filters - From parseAnalyticsFilters()
+ * @param {Object} [propertyFilter] - req.propertyFilter
+ * @returns {Promise<Object>} { overall, byEvidenceType: [{ key, label, present, absent, lift }],
+ *   byReasonCode, byBookingSource, byCardBrand, byRule, confidenceLevel, minSample, truncated, filters }
+ *   Each group has { cases, won, lost, winRate, confidenceInterval: { low, high },
+ *   disputedAmount, recoveredAmount, lowSample }.
+ */
+async function getWinRateDrivers(filters = {}, propertyFilter = {}) {
+  const resolvedAt = _dateRange(filters.dateFrom, filters.dateTo);
+  const chargebacks = await prisma.chargeback.findMany({
+    where: {
+      ..._scopeWhere(filters, propertyFilter),
+      status: { in: ['WON', 'LOST'] },
+      liabilityReason: null,
+      ...(resolvedAt && { resolvedAt })
+    },
+    select: {
+      amount: true,
+      status: true,
+      reasonCode: true,
+      cardBrand: true,
+      fraudIndicators: true,
+      aiAnalysis: true,
+      evidence: { select: { type: true } },
+      reservation: { select: { bookingSource: true } }
+    },
+    orderBy: { resolvedAt: 'desc' },
+    take: MAX_DRIVER_CASES
+  });
+
+  const cases = chargebacks.map((c) => ({
+    amount: Number(c.amount),
+    won: c.status === 'WON',
+    reasonCode: c.reasonCode,
+    cardBrand: c.cardBrand,
+    bookingSource: c.reservation?.bookingSource || null,
+    evidenceTypes: [...new Set(c.evidence.map((e) => e.type))],
+    rules: _firedRules(c)
+  }));
+
+  return {
+    ..._summarizeDrivers(cases),
+    truncated: chargebacks.length === MAX_DRIVER_CASES,
+    filters: _describeFilters(filters)
+  };
+}
+
+// ============================================================================
+// REPORTS
+// ============================================================================
+
+/**
+ * Figures for an emailed summary (see scheduledReports.js): cases opened in
+ * the period and their top reason codes, outcomes resolved in the period,
+ * what is still at risk, and open cases due within `upcomingDays`.
+ *
+ * @param {Object} filters - From parseAnalyticsFilters(); the date range is the report period
+ * @param {Object} [propertyFilter]
+ * @param {Object} [options]
+ * @param {Date} [options.now]
+ * @param {number} [options.upcomingDays=7]
+ * @returns {Promise<Object>} { newDisputes, outcomes, atRisk, upcomingDeadlines, topReasonCodes, filters }
+ */
+async function getReportFigures(filters = {}, propertyFilter = {}, { now = new Date(), upcomingDays = 7 } = {}) {
+  const scope = _scopeWhere(filters, propertyFilter);
+  const period = _dateRange(filters.dateFrom, filters.dateTo);
+  const dueSoon = {
+    ...scope,
+    status: { in: OPEN_STATUSES },
+    dueDate: { gte: now, lte: new Date(now.getTime() + upcomingDays * DAY_MS) }
+  };
+
+  const [opened, resolved, unresolved, dueCount, dueCases] = await Promise.all([
+    prisma.chargeback.groupBy({
+      by: ['reasonCode'],
+      where: { ...scope, ...(period && { createdAt: period }) },
+      _count: { _all: true },
+      _sum: { amount: true }
+    }),
+    prisma.chargeback.groupBy({
+      by: ['status', 'liabilityReason'],
+      where: { ...scope, status: { in: ['WON', 'LOST'] }, ...(period && { resolvedAt: period }) },
+      _count: { _all: true },
+      _sum: { amount: true }
+    }),
+    prisma.chargeback.groupBy({
+      by: ['status'],
+      where: { ...scope, status: { in: UNRESOLVED_STATUSES } },
+      _count: { _all: true },
+      _sum: { amount: true }
+    }),
+    prisma.chargeback.count({ where: dueSoon }),
+    prisma.chargeback.findMany({
+      where: dueSoon,
+      select: { id: true, caseNumber: true, guestName: true, amount: true, status: true, reasonCode: true, dueDate: true },
+      orderBy: { dueDate: 'asc' },
+      take: REPORT_DEADLINES
+    })
+  ]);
+
+  const toGroup = (g) => ({ ...g, count: g._count._all, amount: Number(g._sum.amount || 0) });
+  return _reportResponse({
+    opened: opened.map(toGroup),
+    resolved: resolved.map(toGroup),
+    unresolved: unresolved.map(toGroup),
+    upcomingDeadlines: {
+      count: dueCount,
+      cases: dueCases.map((c) => ({ ...c, amount: Number(c.amount) }))
+    },
+    filters
+  });
+}
+
+function _reportResponse({ opened, resolved, unresolved, upcomingDeadlines, filters }) {
+  const newDisputes = _emptyBucket();
+  for (const g of opened) _addGroup(newDisputes, { count: g.count, amount: g.amount });
+  const outcomes = _emptyBucket();
+  for (const g of resolved) _addGroup(outcomes, g);
+  const { won, lostAfterFighting, acceptedLiability, recoveredAmount, winRate } = _finishBucket(outcomes);
+
+  return {
+    newDisputes: { count: newDisputes.count, amount: _round(newDisputes.amount) },
+    outcomes: { won, lostAfterFighting, acceptedLiability, recoveredAmount, winRate },
+    atRisk: {
+      count: unresolved.reduce((sum, g) => sum + g.count, 0),
+      amount: _round(unresolved.reduce((sum, g) => sum + g.amount, 0)),
+      byStatus: Object.fromEntries(unresolved.map((g) => [g.status, { count: g.count, amount: _round(g.amount) }]))
+    },
+    upcomingDeadlines,
+    topReasonCodes: _breakdown(
+      opened,
+      (g) => String(g.reasonCode || '').toUpperCase() || 'UNKNOWN',
+      (code) => getReasonCode(code)?.description || code
+    ).slice(0, TOP_REASON_CODES).map(({ key, label, count, amount }) => ({ key, label, count, amount })),
+    filters: _describeFilters(filters)
+  };
+}
+
+// ============================================================================
+// DEMO MODE
+// ============================================================================
+
+const DEMO_PROPERTIES = {
+  'demo-property-1': 'DisputeAI Demo Hotel',
+  'demo-property-2': 'DisputeAI Beach Resort'
+};
+
+// 24 demo cases, grouped as the dashboard's groupBy returns them
+const DEMO_CASE_GROUPS = [
+  { propertyId: 'demo-property-1', cardBrand: 'VISA', reasonCode: '10.4', status: 'PENDING', count: 2, amount: 5200 },
+  { propertyId: 'demo-property-1', cardBrand: 'MASTERCARD', reasonCode: '4853', status: 'PENDING', count: 1, amount: 2400 },
+  { propertyId: 'demo-property-2', cardBrand: 'AMEX', reasonCode: 'C08', status: 'PENDING', count: 1, amount: 3200 },
+  { propertyId: 'demo-property-2', cardBrand: 'VISA', reasonCode: '13.1', status: 'PENDING', count: 1, amount: 1700 },
+  { propertyId: 'demo-property-1', cardBrand: 'MASTERCARD', reasonCode: '4837', status: 'IN_REVIEW', count: 2, amount: 3900 },
+  { propertyId: 'demo-property-2', cardBrand: 'VISA', reasonCode: '10.4', status: 'IN_REVIEW', count: 1, amount: 2850 },
+  { propertyId: 'demo-property-1', cardBrand: 'DISCOVER', reasonCode: 'UA02', status: 'IN_REVIEW', count: 1, amount: 1450 },
+  { propertyId: 'demo-property-1', cardBrand: 'VISA', reasonCode: '13.1', status: 'SUBMITTED', count: 2, amount: 4100 },
+  { propertyId: 'demo-property-1', cardBrand: 'AMEX', reasonCode: 'C08', status: 'SUBMITTED', count: 1, amount: 2300 },
+  { propertyId: 'demo-property-2', cardBrand: 'MASTERCARD', reasonCode: '4853', status: 'SUBMITTED', count: 1, amount: 1400 },
+  { propertyId: 'demo-property-1', cardBrand: 'VISA', reasonCode: '10.4', status: 'WON', count: 3, amount: 6900 },
+  { propertyId: 'demo-property-2', cardBrand: 'VISA', reasonCode: '13.1', status: 'WON', count: 1, amount: 1850 },
+  { propertyId: 'demo-property-1', cardBrand: 'MASTERCARD', reasonCode: '4853', status: 'WON', count: 2, amount: 3950 },
+  { propertyId: 'demo-property-2', cardBrand: 'AMEX', reasonCode: 'C08', status: 'WON', count: 1, amount: 2300 },
+  { propertyId: 'demo-property-1', cardBrand: 'VISA', reasonCode: '13.1', status: 'LOST', count: 1, amount: 1150 },
+  { propertyId: 'demo-property-2', cardBrand: 'MASTERCARD', reasonCode: '4853', status: 'LOST', count: 1, amount: 750 },
+  { propertyId: 'demo-property-1', cardBrand: 'VISA', reasonCode: '10.4', status: 'LOST', liabilityReason: 'AMOUNT_TOO_SMALL', count: 1, amount: 350 },
+  { propertyId: 'demo-property-2', cardBrand: 'DISCOVER', reasonCode: 'UA02', status: 'EXPIRED', count: 1, amount: 1500 }
+].map((group) => ({ liabilityReason: null, ...group }));
+
+// Monthly figures for the demo trends, oldest first
+const DEMO_MONTHLY = [
+  { cases: 3, won: 1, lost: 0, acceptedLiability: 0, recovered: 1850 },
+  { cases: 4, won: 1, lost: 1, acceptedLiability: 0, recovered: 2300 },
+  { cases: 3, won: 1, lost: 0, acceptedLiability: 1, recovered: 2150 },
+  { cases: 5, won: 2, lost: 0, acceptedLiability: 0, recovered: 4200 },
+  { cases: 4, won: 1, lost: 1, acceptedLiability: 0, recovered: 2450 },
+  { cases: 5, won: 1, lost: 0, acceptedLiability: 0, recovered: 2050 }
+];
+
+function _matchesDemoFilters(group, filters, propertyFilter) {
+  const propertyId = propertyFilter.propertyId || filters.propertyId;
+  if (propertyId && group.propertyId !== propertyId) return false;
+  if (filters.network && normalizeCardNetwork(group.cardBrand) !== filters.network) return false;
+  if (filters.reasonCode && group.reasonCode !== filters.reasonCode) return false;
+  return true;
+}
+
+/**
+ * Demo dashboard for when no database is configured. Property, network and
+ * reason code filters apply; the date range does not.
+ */
+function getDemoDashboard(filters = {}, propertyFilter = {}) {
+  const groups = DEMO_CASE_GROUPS.filter((g) => _matchesDemoFilters(g, filters, propertyFilter));
+  const summary = _summarizeGroups(groups, DEMO_PROPERTIES);
+  const filtered = groups.length < DEMO_CASE_GROUPS.length;
+
+  // Evidence collected from the PMS emulator
+  const allEvidence = autoclerk.getAllEvidence();
+  const byType = {};
+  for (const e of allEvidence) byType[e.type] = (byType[e.type] || 0) + 1;
+
+  return _dashboardResponse(summary, {
+    filters,
+    urgentCases: filtered ? 0 : 3,
+    trends: filtered ? { cases: 0, amount: 0 } : { cases: 12, amount: -5 },
+    recentCases: [
+      { id: 'demo-1', caseNumber: 'CB-2026-0247', guestName: 'James Wilson', amount: 1250.00, status: 'PENDING', confidenceScore: 87, createdAt: new Date(Date.now() - 2 * 3600000).toISOString() },
+      { id: 'demo-2', caseNumber: 'CB-2026-0246', guestName: 'Sarah Chen', amount: 890.50, status: 'IN_REVIEW', confidenceScore: 72, createdAt: new Date(Date.now() - 8 * 3600000).toISOString() },
+      { id: 'demo-3', caseNumber: 'CB-2026-0245', guestName: 'Michael Brown', amount: 2100.00, status: 'WON', confidenceScore: 94, createdAt: new Date(Date.now() - 24 * 3600000).toISOString() },
+      { id: 'demo-4', caseNumber: 'CB-2026-0244', guestName: 'Emily Rodriguez', amount: 475.25, status: 'SUBMITTED', confidenceScore: 81, createdAt: new Date(Date.now() - 48 * 3600000).toISOString() },
+      { id: 'demo-5', caseNumber: 'CB-2026-0243', guestName: 'David Thompson', amount: 3200.00, status: 'PENDING', confidenceScore: 65, createdAt: new Date(Date.now() - 72 * 3600000).toISOString() }
+    ],
+    evidenceSummary: {
+      total: allEvidence.length,
+      byType,
+      casesWithEvidence: new Set(allEvidence.map((e) => e.caseId)).size
+    }
+  });
+}
+
+// Demo fought cases for the win rate drivers: [reasonCode, cardBrand,
+// bookingSource, amount, won, evidence types], each row standing for `count` cases
+const DEMO_FOUGHT_CASES = [
+  ['10.4', 'VISA', 'Direct Website', 1250, true, ['ID_SCAN', 'AUTH_SIGNATURE', 'FOLIO', 'RESERVATION_CONFIRMATION'], 9],
+  ['10.4', 'VISA', 'Booking.com', 980, true, ['ID_SCAN', 'FOLIO', 'RESERVATION_CONFIRMATION'], 4],
+  ['10.4', 'VISA', 'Expedia', 1430, false, ['FOLIO'], 3],
+  ['13.1', 'MASTERCARD', 'Direct Website', 760, true, ['FOLIO', 'KEY_CARD_LOG', 'AUTH_SIGNATURE'], 5],
+  ['13.1', 'VISA', 'Expedia', 540, false, ['FOLIO', 'RESERVATION_CONFIRMATION'], 4],
+  ['4853', 'MASTERCARD', 'Phone Reservation', 1820, true, ['FOLIO', 'CORRESPONDENCE', 'KEY_CARD_LOG'], 3],
+  ['4853', 'MASTERCARD', 'Booking.com', 690, false, ['FOLIO'], 2],
+  ['C08', 'AMEX', 'Direct Website', 2300, true, ['ID_SCAN', 'AUTH_SIGNATURE', 'FOLIO'], 2],
+  ['13.2', 'VISA', 'Expedia', 410, true, ['CANCELLATION_POLICY', 'RESERVATION_CONFIRMATION'], 2],
+  ['13.2', 'VISA', 'Booking.com', 385, false, ['RESERVATION_CONFIRMATION'], 2],
+  ['UA02', 'DISCOVER', 'Airbnb', 1150, false, ['FOLIO'], 1]
+];
+
+// Scoring rules the demo cases' evidence would fire (see fraudDetection._calculateScore)
+const DEMO_EVIDENCE_RULES = {
+  ID_SCAN: 'VALID_ID_SCAN',
+  AUTH_SIGNATURE: 'SIGNED_REGISTRATION',
+  FOLIO: 'GUEST_FOLIO',
+  RESERVATION_CONFIRMATION: 'RESERVATION_CONFIRM'
+};
+
+function _demoRule(rule) {
+  return { rule, label: BUILT_IN_RULES[rule].label, type: BUILT_IN_RULES[rule].type };
+}
+
+/** Demo win rate drivers for when no database is configured, ignoring filters */
+function getDemoWinRateDrivers() {
+  const cases = DEMO_FOUGHT_CASES.flatMap(([reasonCode, cardBrand, bookingSource, amount, won, evidenceTypes, count]) => {
+    const rules = evidenceTypes.filter((type) => DEMO_EVIDENCE_RULES[type]).map((type) => _demoRule(DEMO_EVIDENCE_RULES[type]));
+    if (OTA_SOURCES.includes(bookingSource)) rules.push(_demoRule('OTA_BOOKING'));
+    return Array.from({ length: count }, () => ({ amount, won, reasonCode, cardBrand, bookingSource, evidenceTypes, rules }));
+  });
+  return { ..._summarizeDrivers(cases), truncated: false, filters: _describeFilters({}) };
+}
+
+/** Demo report figures for a property (or all demo properties), ignoring the period */
+function getDemoReportFigures(filters = {}, { now = new Date() } = {}) {
+  const groups = DEMO_CASE_GROUPS.filter((g) => _matchesDemoFilters(g, filters, {}));
+  // [propertyId, days until due, case]
+  const dueCases = [
+    ['demo-property-1', 2, { id: 'demo-1', caseNumber: 'CB-2026-0247', guestName: 'James Wilson', amount: 1250.00, status: 'PENDING', reasonCode: '10.4' }],
+    ['demo-property-2', 4, { id: 'demo-2', caseNumber: 'CB-2026-0246', guestName: 'Sarah Chen', amount: 890.50, status: 'IN_REVIEW', reasonCode: '13.1' }],
+    ['demo-property-1', 6, { id: 'demo-5', caseNumber: 'CB-2026-0243', guestName: 'David Thompson', amount: 3200.00, status: 'PENDING', reasonCode: '4853' }]
+  ].filter(([propertyId]) => !filters.propertyId || propertyId === filters.propertyId)
+    .map(([, days, c]) => ({ ...c, dueDate: new Date(now.getTime() + days * DAY_MS) }));
+
+  return _reportResponse({
+    opened: groups,
+    resolved: groups.filter((g) => g.status === 'WON' || g.status === 'LOST'),
+    unresolved: UNRESOLVED_STATUSES.map((status) => {
+      const matching = groups.filter((g) => g.status === status);
+      return { status, count: matching.reduce((sum, g) => sum + g.count, 0), amount: matching.reduce((sum, g) => sum + g.amount, 0) };
+    }).filter((g) => g.count > 0),
+    upcomingDeadlines: { count: dueCases.length, cases: dueCases },
+    filters
+  });
+}
+
+/** Demo monthly trends for the last six months, ignoring filters */
+function getDemoTrends({ now = new Date() } = {}) {
+  const months = DEMO_MONTHLY.map((figures, i) => {
+    const date = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() - (DEMO_MONTHLY.length - 1 - i), 1));
+    return { key: _monthKey(date), month: _monthLabel(date), ...figures };
+  });
+  return _trendsResponse(months, { months: DEMO_MONTHLY.length });
+}
+
+module.exports = {
+  parseAnalyticsFilters,
+  getDashboard,
+  getTrends,
+  getWinRateDrivers,
+  getReportFigures,
+  getDemoDashboard,
+  getDemoTrends,
+  getDemoWinRateDrivers,
+  getDemoReportFigures,
+  DEMO_PROPERTIES
+};
@@ -0,0 +1,225 @@
+/**
+ * DisputeAI - Analytics Snapshots
+ *
+ * Rolls chargebacks up into AnalyticsSnapshot: one row per property per UTC
+ * day with the day's activity (cases opened and their disputed amount, cases
+ * won, lost after fighting and conceded, and the amount recovered) plus the
+ * cases still unresolved at the end of the day. GET /api/analytics/trends
+ * reads these instead of scanning chargebacks (see analytics.getTrends).
+ *
+ * The `analytics-snapshots` job on the `analytics` queue runs nightly
+ * (ANALYTICS_SNAPSHOT_CRON) and once at startup. Each run writes every day
+ * after the latest snapshot through yesterday, starting from the first
+ * chargeback when there are no snapshots yet, and rewrites the last
+ * REFRESH_DAYS days to pick up late changes. Rows are upserted on
+ * @@unique([date, propertyId]), so a run can be repeated safely.
+ */
+
+const { prisma, isDatabaseUnavailable } = require('../config/database');
+const { getQueue } = require('./queue/queueManager');
+const logger = require('../utils/logger');
+
+const ANALYTICS_QUEUE = 'analytics';
+const SNAPSHOT_CRON = process.env.ANALYTICS_SNAPSHOT_CRON || '30 0 * * *';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Days before yesterday that every run recomputes
+const REFRESH_DAYS = 3;
+
+// Upserts per transaction
+const WRITE_BATCH = 200;
+
+// ============================================================================
+// DAYS
+// ============================================================================
+
+function startOfDay(date) {
+  return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+}
+
+function _addDays(date, days) {
+  return new Date(date.getTime() + days * DAY_MS);
+}
+
+function _dayKey(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+/**
+ * Latest day with snapshots, or null before the first rollup.
+ */
+async function getLatestSnapshotDate() {
+  const { _max } = await prisma.analyticsSnapshot.aggregate({ _max: { date: true } });
+  return _max.date ? startOfDay(_max.date) : null;
+}
+
+// ============================================================================
+// ROLLUP
+// ============================================================================
+
+function _emptyRow() {
+  return { totalCases: 0, pendingCases: 0, wonCases: 0, lostCases: 0, acceptedCases: 0, totalAmount: 0, recoveredAmt: 0 };
+}
+
+/**
+ * Snapshot rows for one UTC day, keyed by property. Every property that
+ * existed by the end of the day gets a row.
+ */
+async function _computeDay(day) {
+  const dayEnd = new Date(_addDays(day, 1).getTime() - 1);
+
+  const [properties, opened, resolved, pending] = await Promise.all([
+    prisma.property.findMany({ where: { createdAt: { lte: dayEnd } }, select: { id: true } }),
+    prisma.chargeback.groupBy({
+      by: ['propertyId'],
+      where: { createdAt: { gte: day, lte: dayEnd } },
+      _count: { _all: true },
+      _sum: { amount: true }
+    }),
+    prisma.chargeback.groupBy({
+      by: ['propertyId', 'status', 'liabilityReason'],
+      where: { status: { in: ['WON', 'LOST'] }, resolvedAt: { gte: day, lte: dayEnd } },
+      _count: { _all: true },
+      _sum: { amount: true }
+    }),
+    prisma.chargeback.groupBy({
+      by: ['propertyId'],
+      where: {
+        createdAt: { lte: dayEnd },
+        status: { not: 'CANCELLED' },
+        OR: [{ resolvedAt: null }, { resolvedAt: { gt: dayEnd } }]
+      },
+      _count: { _all: true }
+    })
+  ]);
+
+  const rows = new Map(properties.map((p) => [p.id, _emptyRow()]));
+  const rowFor = (propertyId) => {
+    if (!rows.has(propertyId)) rows.set(propertyId, _emptyRow());
+    return rows.get(propertyId);
+  };
+
+  for (const g of opened) {
+    const row = rowFor(g.propertyId);
+    row.totalCases = g._count._all;
+    row.totalAmount = Number(g._sum.amount || 0);
+  }
+  for (const g of resolved) {
+    const row = rowFor(g.propertyId);
+    if (g.status === 'WON') {
+      row.wonCases += g._count._all;
+      row.recoveredAmt += Number(g._sum.amount || 0);
+    } else if (g.liabilityReason) {
+      row.acceptedCases += g._count._all;
+    } else {
+      row.lostCases += g._count._all;
+    }
+  }
+  for (const g of pending) {
+    rowFor(g.propertyId).pendingCases = g._count._all;
+  }
+
+  for (const row of rows.values()) {
+    const fought = row.wonCases + row.lostCases;
+    row.winRate = fought > 0 ? Math.round((row.wonCases / fought) * 10000) / 100 : null;
+  }
+  return rows;
+}
+
+async function _writeDay(day, rows) {
+  const operations = [...rows.entries()].map(([propertyId, row]) => prisma.analyticsSnapshot.upsert({
+    where: { date_propertyId: { date: day, propertyId } },
+    create: { date: day, propertyId, ...row },
+    update: row
+  }));
+
+  for (let i = 0; i < operations.length; i += WRITE_BATCH) {
+    await prisma.$transaction(operations.slice(i, i + WRITE_BATCH));
+  }
+  return operations.length;
+}
+
+/**
+ * Write snapshots for every day that is missing or due a refresh, through
+ * yesterday.
+ *
+ * @param {Object} [options]
+ * @param {Date} [options.now]
+ * @param {Date|string} [options.from] - Recompute from this day regardless
+ *   of what is already stored (rebuilds after a data fix)
+ * @returns {Promise<Object>} { from, to, days, snapshots, backfill } or { skipped, reason }
+ */
+async function rollupAnalyticsSnapshots({ now = new Date(), from } = {}) {
+  const yesterday = _addDays(startOfDay(now), -1);
+
+  let latest;
+  try {
+    latest = await getLatestSnapshotDate();
+  } catch (error) {
+    if (!isDatabaseUnavailable(error)) throw error;
+    logger.info('Analytics snapshots: database unavailable, skipping rollup');
+    return { skipped: true, reason: 'Database not available' };
+  }
+
+  let start;
+  if (from) {
+    start = startOfDay(new Date(from));
+  } else if (latest) {
+    const refreshFrom = _addDays(yesterday, -REFRESH_DAYS);
+    const next = _addDays(latest, 1);
+    start = next < refreshFrom ? next : refreshFrom;
+  } else {
+    // First run: backfill from the first chargeback
+    const { _min } = await prisma.chargeback.aggregate({ _min: { createdAt: true } });
+    start = _min.createdAt ? startOfDay(_min.createdAt) : yesterday;
+  }
+
+  let days = 0;
+  let snapshots = 0;
+  for (let day = start; day <= yesterday; day = _addDays(day, 1)) {
+    snapshots += await _writeDay(day, await _computeDay(day));
+    days += 1;
+  }
+
+  const result = { from: _dayKey(start), to: _dayKey(yesterday), days, snapshots, backfill: !latest };
+  logger.info(`Analytics snapshots: ${snapshots} written for ${days} days (${result.from} to ${result.to})${result.backfill ? ', backfill' : ''}`);
+  return result;
+}
+
+// ============================================================================
+// SCHEDULING
+// ============================================================================
+
+/**
+ * Register the nightly rollup and queue a run now, which backfills history
+ * on first start and catches up on nights missed while the server was down.
+ */
+async function initializeAnalyticsJobs() {
+  const queue = getQueue(ANALYTICS_QUEUE);
+  await queue.upsertJobScheduler(
+    'analytics-snapshots',
+    { pattern: SNAPSHOT_CRON },
+    { name: 'analytics-snapshots', data: {} }
+  );
+  await queue.add('analytics-snapshots', {});
+  logger.info(`Analytics snapshots scheduled (${SNAPSHOT_CRON})`);
+}
+
+/**
+ * Queue a rollup that recomputes from `from` (YYYY-MM-DD).
+ *
+ * @returns {Promise<Object>} The queued job
+ */
+async function queueSnapshotRebuild(from) {
+  return getQueue(ANALYTICS_QUEUE).add('analytics-snapshots', { from }, { attempts: 1 });
+}
+
+module.exports = {
+  ANALYTICS_QUEUE,
+  startOfDay,
+  getLatestSnapshotDate,
+  rollupAnalyticsSnapshots,
+  initializeAnalyticsJobs,
+  queueSnapshotRebuild
+};
@@ -4,8 +4,6 @@
  * Provides realistic hotel reservation data, folios, signatures, IDs, and audit trails
  */
 
-const crypto = require('crypto');
-
 // ============================================================================
 // GUEST DATABASE - Realistic hotel guests tied to chargeback cases
 // ============================================================================
@@ -382,7 +380,6 @@ function generateFolio(reservation, guest) {
   const checkIn = new Date(reservation.checkIn);
   const checkOut = new Date(reservation.checkOut);
   const nights = Math.ceil((checkOut - checkIn) / (1000 * 60 * 60 * 24));
-  const roomTotal = reservation.ratePerNight * nights;
 
   const charges = [];
   let lineNum = 1;
@@ -1031,4 +1028,4 @@ class AutoClerkEmulator {
 // Singleton instance
 const autoclerk = new AutoClerkEmulator();
 
-module.exports = { AutoClerkEmulator, autoclerk };
+module.exports = { AutoClerkEmulator, autoclerk, generateFolio };
@@ -0,0 +1,358 @@
+/**
+ * DisputeAI - Bulk Case Actions
+ *
+ * Runs one action across many cases as a job on the `bulk-actions` queue, so
+ * a peak week's worth of small disputes can be worked from the Cases list:
+ *   - collect_and_analyze  Match the reservation, collect PMS evidence and score
+ *   - change_status        Move every case to one status
+ *   - accept_liability     Concede open cases at or under an amount, with a
+ *                          liability reason (AMOUNT_TOO_SMALL by default)
+ *   - submit               Submit open cases scoring at or above the
+ *                          auto-submit threshold (or params.minScore)
+ *
+ * Cases are worked one at a time. Each gets a result (succeeded, skipped with
+ * the reason it didn't qualify, or failed) that is written to the job's
+ * progress as it goes, so GET /api/cases/bulk-actions/:jobId can show it live.
+ * Jobs run once: retrying could submit a case twice.
+ */
+
+const { prisma } = require('../config/database');
+const { getQueue } = require('./queue/queueManager');
+const { OPEN_STATUSES } = require('./deadlines');
+const { LIABILITY_REASONS, SUBMIT_INCLUDE, changeCaseStatus, submitCase, acceptLiability } = require('./caseActions');
+const { runIntakePipeline } = require('./disputeIntake');
+const { collectEvidenceForCase } = require('./autoEvidenceCollector');
+const { getDemoCaseData } = require('./fraudDetection');
+const { getConfig } = require('./aiDefenseConfig');
+const { createNotification } = require('../controllers/notificationsController');
+const logger = require('../utils/logger');
+
+const BULK_QUEUE = 'bulk-actions';
+const MAX_BULK_CASES = 500;
+
+const BULK_ACTIONS = {
+  collect_and_analyze: { label: 'Auto-collect evidence and analyze', roles: ['ADMIN', 'MANAGER', 'STAFF'] },
+  change_status: { label: 'Change status', roles: ['ADMIN', 'MANAGER'] },
+  accept_liability: { label: 'Accept liability', roles: ['ADMIN', 'MANAGER'] },
+  submit: { label: 'Submit above auto-submit score', roles: ['ADMIN', 'MANAGER', 'STAFF'] }
+};
+
+const CASE_STATUSES = ['PENDING', 'IN_REVIEW', 'SUBMITTED', 'WON', 'LOST', 'EXPIRED', 'CANCELLED'];
+
+const JOB_STATES = ['waiting', 'delayed', 'active', 'completed', 'failed'];
+
+// ============================================================================
+// VALIDATION
+// ============================================================================
+
+/**
+ * Check an action and its parameters.
+ *
+ * @param {string} action - Key of BULK_ACTIONS
+ * @param {Object} [params]
+ * @returns {Array<Object>} [{ path, message, code }], empty when valid
+ */
+function validateBulkAction(action, params = {}) {
+  const errors = [];
+
+  if (!BULK_ACTIONS[action]) {
+    errors.push({ path: 'action', message: `action must be one of ${Object.keys(BULK_ACTIONS).join(', ')}`, code: 'invalid_enum_value' });
+    return errors;
+  }
+  if (params === null || typeof params !== 'object' || Array.isArray(params)) {
+    errors.push({ path: 'params', message: 'params must be an object', code: 'invalid_type' });
+    return errors;
+  }
+  if (params.notes !== undefined && typeof params.notes !== 'string') {
+    errors.push({ path: 'params.notes', message: 'notes must be a string', code: 'invalid_type' });
+  }
+
+  if (action === 'change_status' && !CASE_STATUSES.includes(params.status)) {
+    errors.push({ path: 'params.status', message: `status must be one of ${CASE_STATUSES.join(', ')}`, code: 'invalid_enum_value' });
+  }
+
+  if (action === 'accept_liability') {
+    if (!(typeof params.maxAmount === 'number' && params.maxAmount > 0)) {
+      errors.push({ path: 'params.maxAmount', message: 'maxAmount must be a positive number', code: 'invalid_type' });
+    }
+    if (params.reason !== undefined && !LIABILITY_REASONS[params.reason]) {
+      errors.push({ path: 'params.reason', message: `reason must be one of ${Object.keys(LIABILITY_REASONS).join(', ')}`, code: 'invalid_enum_value' });
+    }
+    if (params.reason === 'OTHER' && !params.notes) {
+      errors.push({ path: 'params.notes', message: 'notes are required when the reason is OTHER', code: 'custom' });
+    }
+  }
+
+  if (action === 'submit' && params.minScore !== undefined &&
+      !(Number.isInteger(params.minScore) && params.minScore >= 0 && params.minScore <= 100)) {
+    errors.push({ path: 'params.minScore', message: 'minScore must be an integer from 0 to 100', code: 'too_small' });
+  }
+
+  return errors;
+}
+
+// ============================================================================
+// JOBS
+// ============================================================================
+
+/**
+ * Queue a bulk action.
+ *
+ * @param {Object} request
+ * @param {string} request.action - Key of BULK_ACTIONS
+ * @param {Object} [request.params]
+ * @param {string[]} request.caseIds - Cases to act on, in order
+ * @param {Object} request.user - Requesting user
+ * @param {Object} [request.propertyFilter] - Property scope re-applied to every case
+ * @param {Array<Object>} [request.demoCases] - Case snapshots to simulate against when there is no database
+ * @returns {Promise<Object>} The queued job
+ */
+async function startBulkAction({ action, params = {}, caseIds, user, propertyFilter = {}, demoCases = null }) {
+  const job = await getQueue(BULK_QUEUE).add(action, {
+    action,
+    params,
+    caseIds,
+    propertyFilter,
+    requestedBy: {
+      id: user.id,
+      email: user.email,
+      firstName: user.firstName,
+      lastName: user.lastName,
+      role: user.role
+    },
+    ...(demoCases && { demo: true, demoCases })
+  }, { attempts: 1 });
+
+  logger.info(`[BulkActions] ${action} queued for ${caseIds.length} cases by ${user.email} (job ${job.id})`);
+  return job;
+}
+
+function _canView(job, user) {
+  return user.role === 'ADMIN' || job.data?.requestedBy?.id === user.id;
+}
+
+/**
+ * Status and per-case results of a bulk job.
+ *
+ * @param {Object} job - BullMQ or in-process job
+ * @returns {Promise<Object>}
+ */
+async function describeBulkJob(job) {
+  const state = await job.getState();
+  const progress = job.progress && typeof job.progress === 'object' ? job.progress : {};
+  const { action, params, caseIds = [], requestedBy, demo } = job.data;
+
+  return {
+    id: job.id,
+    action,
+    label: BULK_ACTIONS[action]?.label || action,
+    params,
+    state,
+    total: caseIds.length,
+    processed: progress.processed || 0,
+    succeeded: progress.succeeded || 0,
+    skipped: progress.skipped || 0,
+    failed: progress.failed || 0,
+    results: progress.results || [],
+    requestedBy,
+    createdAt: new Date(job.timestamp).toISOString(),
+    finishedAt: job.finishedOn ? new Date(job.finishedOn).toISOString() : null,
+    error: state === 'failed' ? job.failedReason : null,
+    ...(demo && { isDemo: true })
+  };
+}
+
+/**
+ * A bulk job the user may see: their own, or any for admins.
+ *
+ * @returns {Promise<Object|null>} describeBulkJob() output, or null when missing or not theirs
+ */
+async function getBulkJob(jobId, user) {
+  const job = await getQueue(BULK_QUEUE).getJob(jobId);
+  if (!job || !_canView(job, user)) return null;
+  return describeBulkJob(job);
+}
+
+/**
+ * The user's most recent bulk jobs (everyone's for admins), newest first.
+ */
+async function listBulkJobs(user, { limit = 10 } = {}) {
+  const jobs = await getQueue(BULK_QUEUE).getJobs(JOB_STATES, 0, 199);
+  const visible = jobs
+    .filter((job) => job && _canView(job, user))
+    .sort((a, b) => b.timestamp - a.timestamp)
+    .slice(0, limit);
+  return Promise.all(visible.map(describeBulkJob));
+}
+
+// ============================================================================
+// PROCESSING
+// ============================================================================
+
+function _formatAmount(amount) {
+  return `$${Number(amount).toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+}
+
+/**
+ * Why a case doesn't qualify for the action, or null when it does.
+ */
+async function _skipReason(action, chargeback, params) {
+  switch (action) {
+    case 'change_status':
+      return chargeback.status === params.status ? `Already ${params.status}` : null;
+
+    case 'collect_and_analyze':
+      return OPEN_STATUSES.includes(chargeback.status) ? null : `Case is ${chargeback.status}`;
+
+    case 'accept_liability':
+      if (!OPEN_STATUSES.includes(chargeback.status)) return `Case is ${chargeback.status}`;
+      if (Number(chargeback.amount) > params.maxAmount) {
+        return `${_formatAmount(chargeback.amount)} is over the ${_formatAmount(params.maxAmount)} limit`;
+      }
+      return null;
+
+    case 'submit': {
+      if (!OPEN_STATUSES.includes(chargeback.status)) return `Case is ${chargeback.status}`;
+      if (chargeback.confidenceScore == null) return 'Not analyzed yet';
+      const threshold = params.minScore ?? (await getConfig({
+        propertyId: chargeback.propertyId,
+        cardBrand: chargeback.cardBrand
+      })).autoSubmitThreshold;
+      return chargeback.confidenceScore < threshold
+        ? `Score ${chargeback.confidenceScore} is below ${threshold}`
+        : null;
+    }
+
+    default:
+      return `Unknown action ${action}`;
+  }
+}
+
+async function _runAction(action, chargeback, params, user, jobId) {
+  const actor = [user.firstName, user.lastName].filter(Boolean).join(' ') || user.email;
+
+  switch (action) {
+    case 'collect_and_analyze': {
+      const result = await runIntakePipeline(chargeback.id);
+      if (!result.success) throw new Error(result.error || 'Evidence collection failed');
+      return result.analysis
+        ? `${result.evidenceCollected} evidence documents, score ${result.analysis.confidenceScore}`
+        : `${result.evidenceCollected} evidence documents`;
+    }
+
+    case 'change_status':
+      await changeCaseStatus(chargeback, params.status, {
+        user,
+        notes: params.notes || `Status changed in bulk by ${actor}`,
+        metadata: { bulkJobId: jobId }
+      });
+      return `${chargeback.status} → ${params.status}`;
+
+    case 'accept_liability': {
+      const { portal } = await acceptLiability(chargeback, {
+        user,
+        reason: params.reason || 'AMOUNT_TOO_SMALL',
+        notes: params.notes || `Accepted in bulk with disputes up to ${_formatAmount(params.maxAmount)}`,
+        metadata: { bulkJobId: jobId }
+      });
+      return `Liability accepted for ${_formatAmount(chargeback.amount)}. ${portal.message}`;
+    }
+
+    case 'submit': {
+      const { packet } = await submitCase(chargeback, { user, notes: params.notes });
+      return `Submitted with a ${packet.pageCount}-page packet`;
+    }
+
+    default:
+      throw new Error(`Unknown action ${action}`);
+  }
+}
+
+/**
+ * Demo mode: qualifying cases are reported as done without writing anything,
+ * except evidence collection, which runs against the PMS emulator.
+ */
+async function _runDemoAction(action, chargeback, params) {
+  if (action === 'collect_and_analyze') {
+    const result = await collectEvidenceForCase(getDemoCaseData(chargeback.id) || chargeback);
+    return `${result.evidenceCollected} evidence documents, score ${result.analysis?.confidenceScore ?? 0} (Demo Mode)`;
+  }
+  if (action === 'change_status') return `${chargeback.status} → ${params.status} (Demo Mode)`;
+  if (action === 'accept_liability') return `Liability accepted for ${_formatAmount(chargeback.amount)} (Demo Mode)`;
+  return 'Submitted (Demo Mode)';
+}
+
+async function _loadCase(caseId, { propertyFilter, demoCases }) {
+  if (demoCases) return demoCases.find((c) => c.id === caseId) || null;
+  return prisma.chargeback.findFirst({
+    where: { id: caseId, ...propertyFilter },
+    include: SUBMIT_INCLUDE
+  });
+}
+
+/**
+ * Work through a bulk job's cases, recording a result for each one.
+ *
+ * @param {Object} job - Job queued by startBulkAction()
+ * @returns {Promise<Object>} { total, processed, succeeded, skipped, failed, results }
+ */
+async function runBulkAction(job) {
+  const { action, params = {}, caseIds, propertyFilter = {}, requestedBy, demoCases = null } = job.data;
+  const progress = { total: caseIds.length, processed: 0, succeeded: 0, skipped: 0, failed: 0, results: [] };
+
+  for (const caseId of caseIds) {
+    const result = { caseId, caseNumber: null };
+
+    try {
+      const chargeback = await _loadCase(caseId, { propertyFilter, demoCases });
+      if (!chargeback) {
+        Object.assign(result, { outcome: 'failed', message: 'Case not found' });
+      } else {
+        result.caseNumber = chargeback.caseNumber;
+        const skipReason = await _skipReason(action, chargeback, params);
+        if (skipReason) {
+          Object.assign(result, { outcome: 'skipped', message: skipReason });
+        } else {
+          const message = demoCases
+            ? await _runDemoAction(action, chargeback, params)
+            : await _runAction(action, chargeback, params, requestedBy, job.id);
+          Object.assign(result, { outcome: 'succeeded', message });
+        }
+      }
+    } catch (error) {
+      logger.warn(`[BulkActions] ${action} failed for ${caseId}: ${error.message}`);
+      Object.assign(result, { outcome: 'failed', message: error.message });
+    }
+
+    progress.processed++;
+    progress[result.outcome]++;
+    progress.results.push(result);
+    await job.updateProgress({ ...progress });
+  }
+
+  const label = BULK_ACTIONS[action]?.label || action;
+  await createNotification(requestedBy.id, {
+    type: 'CASE_UPDATE',
+    priority: progress.failed > 0 ? 'HIGH' : 'MEDIUM',
+    title: `Bulk action finished: ${label}`,
+    message: `${progress.succeeded} of ${progress.total} cases done` +
+      `${progress.skipped ? `, ${progress.skipped} skipped` : ''}${progress.failed ? `, ${progress.failed} failed` : ''}.`,
+    link: '/cases',
+    metadata: { bulkJobId: job.id, action }
+  });
+
+  logger.info(`[BulkActions] ${action} job ${job.id}: ${progress.succeeded} succeeded, ${progress.skipped} skipped, ${progress.failed} failed`);
+  return progress;
+}
+
+module.exports = {
+  BULK_QUEUE,
+  BULK_ACTIONS,
+  MAX_BULK_CASES,
+  validateBulkAction,
+  startBulkAction,
+  describeBulkJob,
+  getBulkJob,
+  listBulkJobs,
+  runBulkAction
+};
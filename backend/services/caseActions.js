@@ -0,0 +1,239 @@
+/**
+ * DisputeAI - Case Actions
+ * Status changes, submissions and accepted liability shared by the case
+ * routes and the bulk action worker (see bulkActions.js), so a case changed
+ * on its own and one changed in a batch of fifty leave the same records and
+ * timeline behind.
+ *
+ * Accepting liability closes the case as LOST with a structured reason. It is
+ * a deliberate loss: analytics report it apart from cases lost after fighting.
+ * When the case's portal adapter has acceptDispute() and an active
+ * integration, an ACCEPT_DISPUTE job tells the processor on the
+ * dispute-outbound queue.
+ */
+
+const { prisma } = require('../config/database');
+const { buildAndStorePacket } = require('./rebuttalPacket');
+const { OPEN_STATUSES } = require('./deadlines');
+const { getQueue } = require('./queue/queueManager');
+const { createDisputeAdapter, normalizePortalType } = require('./disputes/DisputeAdapterFactory');
+const logger = require('../utils/logger');
+
+const RESOLVED_STATUSES = ['WON', 'LOST', 'EXPIRED'];
+
+const LIABILITY_REASONS = {
+  AMOUNT_TOO_SMALL: 'Amount too small to fight',
+  NO_EVIDENCE: 'No evidence to contest',
+  VALID_GUEST_COMPLAINT: 'Valid guest complaint',
+  OTHER: 'Other'
+};
+
+/** Include needed by submitCase() */
+const SUBMIT_INCLUDE = {
+  provider: true,
+  property: true,
+  evidence: true
+};
+
+function _displayName(user) {
+  return [user.firstName, user.lastName].filter(Boolean).join(' ') || user.email;
+}
+
+/**
+ * Move a case to a new status, stamping resolvedAt for outcomes and the
+ * written-off amount for expiry, and record it on the timeline.
+ *
+ * @param {Object} chargeback - Existing chargeback ({ id, caseNumber, amount })
+ * @param {string} status - New ChargebackStatus
+ * @param {Object} options
+ * @param {Object} options.user - Acting user ({ firstName, lastName, email })
+ * @param {string} [options.notes] - Timeline description (defaults to who changed it)
+ * @param {Object} [options.metadata] - Extra timeline metadata
+ * @returns {Promise<Object>} Updated chargeback
+ */
+async function changeCaseStatus(chargeback, status, { user, notes, metadata } = {}) {
+  const updated = await prisma.chargeback.update({
+    where: { id: chargeback.id },
+    data: {
+      status,
+      ...(RESOLVED_STATUSES.includes(status) ? { resolvedAt: new Date() } : {}),
+      ...(status === 'EXPIRED' ? { lostAmount: chargeback.amount } : {}),
+      // Any other status, LOST included, is no longer a conceded case
+      ...(chargeback.liabilityReason ? { liabilityReason: null, liabilityNotes: null, liabilityAcceptedAt: null } : {})
+    }
+  });
+
+  let eventType = 'USER_ACTION';
+  if (status === 'WON') eventType = 'WON';
+  if (status === 'LOST') eventType = 'LOST';
+
+  await prisma.timelineEvent.create({
+    data: {
+      chargebackId: chargeback.id,
+      eventType,
+      title: `Status Changed to ${status}`,
+      description: notes || `Status updated by ${_displayName(user)}`,
+      ...(metadata && { metadata })
+    }
+  });
+
+  logger.info(`Case status updated: ${updated.caseNumber} -> ${status} by ${user.email}`);
+  return updated;
+}
+
+/**
+ * Build and store the rebuttal packet, record the submission and mark the
+ * case SUBMITTED.
+ *
+ * @param {Object} chargeback - Chargeback loaded with SUBMIT_INCLUDE
+ * @param {Object} options
+ * @param {Object} options.user - Submitting user ({ firstName, lastName, email })
+ * @param {string} [options.notes]
+ * @returns {Promise<Object>} { chargeback, submission, packet }
+ * @throws {Error} code INVALID_STATE when the case is not PENDING or IN_REVIEW
+ */
+async function submitCase(chargeback, { user, notes } = {}) {
+  if (!OPEN_STATUSES.includes(chargeback.status)) {
+    const error = new Error('Case has already been submitted or resolved');
+    error.code = 'INVALID_STATE';
+    throw error;
+  }
+
+  const packet = await buildAndStorePacket(chargeback, { preparedBy: _displayName(user) });
+
+  const submission = await prisma.disputeSubmission.create({
+    data: {
+      chargebackId: chargeback.id,
+      status: 'SENT',
+      packetKey: packet.key,
+      packetPageCount: packet.pageCount,
+      packetSize: packet.size,
+      requestJson: {
+        caseNumber: chargeback.caseNumber,
+        processor: chargeback.provider?.name || null,
+        processorDisputeId: chargeback.processorDisputeId,
+        amount: parseFloat(chargeback.amount),
+        evidenceCount: chargeback.evidence.length,
+        packet: { fileName: packet.fileName, pageCount: packet.pageCount, sections: packet.sections },
+        submittedBy: user.email,
+        notes
+      }
+    }
+  });
+
+  const updated = await prisma.chargeback.update({
+    where: { id: chargeback.id },
+    data: { status: 'SUBMITTED' },
+    include: {
+      property: { select: { id: true, name: true } },
+      provider: { select: { id: true, name: true } }
+    }
+  });
+
+  await prisma.timelineEvent.create({
+    data: {
+      chargebackId: chargeback.id,
+      eventType: 'SYSTEM',
+      title: 'Case Submitted',
+      description: `Submitted to ${chargeback.provider?.name || 'processor'} by ${_displayName(user)} with a ${packet.pageCount}-page rebuttal packet`,
+      metadata: { submissionId: submission.id, packetKey: packet.key }
+    }
+  });
+
+  logger.info(`Case submitted: ${chargeback.caseNumber} by ${user.email}`);
+  return { chargeback: updated, submission, packet };
+}
+
+/**
+ * Concede a case: close it as LOST with the reason, then queue the
+ * acceptance to the processor where the portal supports it.
+ *
+ * @param {Object} chargeback - Chargeback loaded with { provider }
+ * @param {Object} options
+ * @param {Object} options.user - Acting user ({ firstName, lastName, email })
+ * @param {string} options.reason - Key of LIABILITY_REASONS
+ * @param {string} [options.notes]
+ * @param {Object} [options.metadata] - Extra timeline metadata
+ * @returns {Promise<Object>} { chargeback, portal: { status, message, jobId? } }
+ * @throws {Error} code INVALID_STATE when the case is not PENDING or IN_REVIEW
+ */
+async function acceptLiability(chargeback, { user, reason, notes = null, metadata } = {}) {
+  if (!OPEN_STATUSES.includes(chargeback.status)) {
+    const error = new Error('Only open cases can be conceded');
+    error.code = 'INVALID_STATE';
+    throw error;
+  }
+
+  const now = new Date();
+  const updated = await prisma.chargeback.update({
+    where: { id: chargeback.id },
+    data: {
+      status: 'LOST',
+      resolvedAt: now,
+      liabilityReason: reason,
+      liabilityNotes: notes,
+      liabilityAcceptedAt: now
+    }
+  });
+
+  const portal = await _queuePortalAcceptance(chargeback, reason);
+
+  await prisma.timelineEvent.create({
+    data: {
+      chargebackId: chargeback.id,
+      eventType: 'LOST',
+      title: 'Liability Accepted',
+      description: `${LIABILITY_REASONS[reason]}${notes ? `: ${notes}` : ''} (accepted by ${_displayName(user)}). ${portal.message}`,
+      metadata: { ...metadata, liabilityReason: reason, portal }
+    }
+  });
+
+  logger.info(`Liability accepted: ${chargeback.caseNumber} (${reason}) by ${user.email}; portal ${portal.status}`);
+  return { chargeback: updated, portal };
+}
+
+/**
+ * Queue ACCEPT_DISPUTE for the case's portal. Never throws: the case is
+ * already conceded locally, so a portal that can't be told is reported back.
+ */
+async function _queuePortalAcceptance(chargeback, reason) {
+  const portalName = chargeback.provider?.name || 'the processor';
+  const portalType = normalizePortalType(chargeback.provider?.name);
+
+  if (!chargeback.processorDisputeId) {
+    return { status: 'not_sent', message: 'No processor dispute ID on file; accept it on the processor portal.' };
+  }
+
+  const adapter = portalType ? createDisputeAdapter(portalType) : null;
+  if (!adapter || typeof adapter.acceptDispute !== 'function') {
+    return { status: 'unsupported', message: `${portalName} can't accept disputes through its API; accept it on the portal.` };
+  }
+
+  try {
+    const integration = await prisma.integration.findFirst({
+      where: { type: { in: [portalType, portalType.toLowerCase(), chargeback.provider.name] }, status: 'active' }
+    });
+    if (!integration) {
+      return { status: 'not_sent', message: `No active ${portalName} integration; accept it on the portal.` };
+    }
+
+    const job = await getQueue('dispute-outbound').add('accept-dispute', {
+      portalType,
+      integrationId: integration.id,
+      action: 'ACCEPT_DISPUTE',
+      data: { disputeId: chargeback.processorDisputeId, chargebackId: chargeback.id, reason }
+    });
+    return { status: 'queued', message: `${portalName} is being notified.`, jobId: job.id };
+  } catch (error) {
+    logger.warn(`Accept liability: could not queue ${portalName} notification for ${chargeback.caseNumber}: ${error.message}`);
+    return { status: 'not_sent', message: `${portalName} could not be notified (${error.message}); accept it on the portal.` };
+  }
+}
+
+module.exports = {
+  LIABILITY_REASONS,
+  SUBMIT_INCLUDE,
+  changeCaseStatus,
+  submitCase,
+  acceptLiability
+};
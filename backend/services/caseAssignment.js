@@ -0,0 +1,547 @@
+/**
+ * DisputeAI - Case Assignment
+ * Who owns each case: manual assignment, rule-based auto-assignment of new
+ * cases, bulk reassignment and per-person workload.
+ *
+ * Every change of owner is stored as a CaseAssignment row (the history) and
+ * noted on the case timeline; the new owner gets a CASE_ASSIGNED notification.
+ *
+ * Auto-assignment runs when a case is created, using one of two strategies:
+ *   - round_robin  Rotate through the pool, continuing after whoever was
+ *                  auto-assigned last.
+ *   - skill        The first rule whose property / card network / amount tier
+ *                  criteria all match picks the candidates (the pool when no
+ *                  rule matches); the one with the fewest open cases gets it,
+ *                  ties going to the next in round-robin order.
+ * Candidates must be active, not READONLY, and able to see the case's
+ * property. Settings live in SystemConfig under `assignment_settings`.
+ */
+
+const { prisma } = require('../config/database');
+const logger = require('../utils/logger');
+const { normalizeCardNetwork } = require('./reasonCodes');
+const { createNotification } = require('../controllers/notificationsController');
+
+const SETTINGS_KEY = 'assignment_settings';
+const CACHE_TTL_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const STRATEGIES = ['round_robin', 'skill'];
+const AMOUNT_TIERS = ['small', 'medium', 'large'];
+const AUTO_METHODS = ['round_robin', 'skill'];
+
+// Statuses where the owner still has work to do
+const OPEN_STATUSES = ['PENDING', 'IN_REVIEW'];
+
+const DEFAULT_SETTINGS = {
+  // Assign new cases automatically
+  enabled: true,
+  strategy: 'round_robin',
+  // User IDs that take new cases, in rotation order; empty means every
+  // active STAFF and MANAGER user
+  pool: [],
+  // Upper bounds of the small and medium tiers; anything above is large
+  amountTiers: { small: 500, medium: 2500 },
+  // Skill rules, checked in order:
+  // { id, name, assigneeIds, propertyIds?, networks?, amountTiers? }
+  rules: []
+};
+
+let cache = null;
+
+// ============================================================================
+// SETTINGS
+// ============================================================================
+
+function _parseValue(value) {
+  return typeof value === 'string' ? JSON.parse(value) : value;
+}
+
+/**
+ * Validate an assignment settings payload.
+ *
+ * @param {Object} settings
+ * @returns {Array<Object>} [{ path, message, code }], empty when valid
+ */
+function validateAssignmentSettings(settings) {
+  const errors = [];
+  if (!settings || typeof settings !== 'object' || Array.isArray(settings)) {
+    return [{ path: [], message: 'settings must be an object', code: 'invalid_type' }];
+  }
+
+  const isStringArray = (value) => Array.isArray(value) && value.every((v) => typeof v === 'string' && v.length > 0);
+
+  if (settings.enabled !== undefined && typeof settings.enabled !== 'boolean') {
+    errors.push({ path: ['enabled'], message: 'enabled must be a boolean', code: 'invalid_type' });
+  }
+  if (settings.strategy !== undefined && !STRATEGIES.includes(settings.strategy)) {
+    errors.push({ path: ['strategy'], message: `strategy must be one of: ${STRATEGIES.join(', ')}`, code: 'invalid_enum_value' });
+  }
+  if (settings.pool !== undefined && !isStringArray(settings.pool)) {
+    errors.push({ path: ['pool'], message: 'pool must be an array of user IDs', code: 'invalid_type' });
+  }
+  if (settings.amountTiers !== undefined) {
+    const { small, medium } = settings.amountTiers || {};
+    if (!(typeof small === 'number' && typeof medium === 'number' && small > 0 && medium > small)) {
+      errors.push({ path: ['amountTiers'], message: 'amountTiers needs positive small and medium bounds, with medium above small', code: 'invalid_type' });
+    }
+  }
+  if (settings.rules !== undefined) {
+    if (!Array.isArray(settings.rules)) {
+      errors.push({ path: ['rules'], message: 'rules must be an array', code: 'invalid_type' });
+    } else {
+      const ids = new Set();
+      settings.rules.forEach((rule, index) => {
+        if (!rule || typeof rule.id !== 'string' || !rule.id) {
+          errors.push({ path: ['rules', index, 'id'], message: 'Each rule needs an id', code: 'invalid_type' });
+        } else if (ids.has(rule.id)) {
+          errors.push({ path: ['rules', index, 'id'], message: `Duplicate rule id "${rule.id}"`, code: 'custom' });
+        } else {
+          ids.add(rule.id);
+        }
+        if (!isStringArray(rule?.assigneeIds) || rule.assigneeIds.length === 0) {
+          errors.push({ path: ['rules', index, 'assigneeIds'], message: 'assigneeIds must list at least one user ID', code: 'invalid_type' });
+        }
+        if (rule?.propertyIds !== undefined && !isStringArray(rule.propertyIds)) {
+          errors.push({ path: ['rules', index, 'propertyIds'], message: 'propertyIds must be an array of property IDs', code: 'invalid_type' });
+        }
+        if (rule?.networks !== undefined && !(isStringArray(rule.networks) && rule.networks.every((n) => normalizeCardNetwork(n)))) {
+          errors.push({ path: ['rules', index, 'networks'], message: 'networks must list card networks, e.g. VISA, MASTERCARD', code: 'invalid_type' });
+        }
+        if (rule?.amountTiers !== undefined && !(Array.isArray(rule.amountTiers) && rule.amountTiers.every((t) => AMOUNT_TIERS.includes(t)))) {
+          errors.push({ path: ['rules', index, 'amountTiers'], message: `amountTiers must list tiers from: ${AMOUNT_TIERS.join(', ')}`, code: 'invalid_enum_value' });
+        }
+      });
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Current assignment settings merged over the defaults (cached for a minute).
+ *
+ * @returns {Promise<Object>} { enabled, strategy, pool, amountTiers, rules, isDefault? }
+ */
+async function getAssignmentSettings({ fresh = false } = {}) {
+  if (!fresh && cache && Date.now() - cache.loadedAt < CACHE_TTL_MS) {
+    return cache.settings;
+  }
+
+  let settings;
+  try {
+    const record = await prisma.systemConfig.findUnique({ where: { key: SETTINGS_KEY } });
+    settings = record ? { ...DEFAULT_SETTINGS, ..._parseValue(record.value) } : null;
+  } catch (error) {
+    logger.warn('Assignment settings: database unavailable, using defaults');
+  }
+
+  cache = { loadedAt: Date.now(), settings: settings || { ...DEFAULT_SETTINGS, isDefault: true } };
+  return cache.settings;
+}
+
+/**
+ * Save assignment settings. Callers validate first (validateAssignmentSettings).
+ *
+ * @param {Object} settings
+ * @param {Object} [options]
+ * @param {string} [options.userId]
+ * @returns {Promise<Object>} The merged settings now in effect
+ */
+async function saveAssignmentSettings(settings, { userId = null } = {}) {
+  const value = {
+    ...settings,
+    rules: (settings.rules || []).map((rule) => ({
+      ...rule,
+      ...(rule.networks && { networks: rule.networks.map(normalizeCardNetwork) })
+    }))
+  };
+
+  await prisma.systemConfig.upsert({
+    where: { key: SETTINGS_KEY },
+    update: { value, updatedBy: userId },
+    create: { key: SETTINGS_KEY, value, description: 'Case auto-assignment: strategy, pool and skill rules', updatedBy: userId }
+  });
+
+  cache = null;
+  return getAssignmentSettings({ fresh: true });
+}
+
+// ============================================================================
+// RULES
+// ============================================================================
+
+/**
+ * Amount tier of a case: small, medium or large.
+ */
+function getAmountTier(amount, settings = DEFAULT_SETTINGS) {
+  const value = Number(amount) || 0;
+  if (value <= settings.amountTiers.small) return 'small';
+  if (value <= settings.amountTiers.medium) return 'medium';
+  return 'large';
+}
+
+/**
+ * First skill rule whose criteria all match the case; omitted criteria match
+ * anything.
+ *
+ * @param {Object} chargeback - { propertyId, cardBrand, amount }
+ * @param {Object} [settings]
+ * @returns {Object|null} The rule
+ */
+function matchAssignmentRule(chargeback, settings = DEFAULT_SETTINGS) {
+  const network = normalizeCardNetwork(chargeback.cardBrand);
+  const tier = getAmountTier(chargeback.amount, settings);
+
+  return settings.rules.find((rule) =>
+    (!rule.propertyIds?.length || rule.propertyIds.includes(chargeback.propertyId)) &&
+    (!rule.networks?.length || rule.networks.includes(network)) &&
+    (!rule.amountTiers?.length || rule.amountTiers.includes(tier))
+  ) || null;
+}
+
+function _canWorkCase(user, chargeback) {
+  return user.isActive && user.role !== 'READONLY' &&
+    (user.role === 'ADMIN' || user.propertyId === chargeback.propertyId);
+}
+
+// Candidates in rotation order, starting after whoever was auto-assigned last
+async function _rotation(candidates) {
+  const last = await prisma.caseAssignment.findFirst({
+    where: { method: { in: AUTO_METHODS }, assigneeId: { not: null } },
+    orderBy: { createdAt: 'desc' },
+    select: { assigneeId: true }
+  });
+  const index = last ? candidates.findIndex((u) => u.id === last.assigneeId) : -1;
+  return [...candidates.slice(index + 1), ...candidates.slice(0, index + 1)];
+}
+
+/**
+ * Pick an owner for a case under the current strategy.
+ *
+ * @param {Object} chargeback - { id?, propertyId, cardBrand, amount }
+ * @param {Object} [options]
+ * @param {Object} [options.settings] - getAssignmentSettings() output
+ * @returns {Promise<Object|null>} { assigneeId, method, ruleId, reason }, or null when nobody can take it
+ */
+async function chooseAssignee(chargeback, { settings } = {}) {
+  settings = settings || await getAssignmentSettings();
+
+  const users = await prisma.user.findMany({
+    where: settings.pool.length
+      ? { id: { in: settings.pool } }
+      : { role: { in: ['STAFF', 'MANAGER'] }, isActive: true },
+    select: { id: true, role: true, isActive: true, propertyId: true, firstName: true, lastName: true },
+    orderBy: { createdAt: 'asc' }
+  });
+  const byId = new Map(users.map((u) => [u.id, u]));
+  const pool = settings.pool.length ? settings.pool.map((id) => byId.get(id)).filter(Boolean) : users;
+
+  let candidates = pool;
+  let rule = null;
+  if (settings.strategy === 'skill') {
+    rule = matchAssignmentRule(chargeback, settings);
+    if (rule) {
+      const ruleUsers = await prisma.user.findMany({
+        where: { id: { in: rule.assigneeIds } },
+        select: { id: true, role: true, isActive: true, propertyId: true, firstName: true, lastName: true }
+      });
+      const ruleById = new Map(ruleUsers.map((u) => [u.id, u]));
+      candidates = rule.assigneeIds.map((id) => ruleById.get(id)).filter(Boolean);
+    }
+  }
+
+  const rotation = await _rotation(candidates.filter((u) => _canWorkCase(u, chargeback)));
+  if (rotation.length === 0) return null;
+
+  if (settings.strategy === 'round_robin') {
+    return { assigneeId: rotation[0].id, method: 'round_robin', ruleId: null, reason: null };
+  }
+
+  const loads = await prisma.chargeback.groupBy({
+    by: ['assigneeId'],
+    where: { assigneeId: { in: rotation.map((u) => u.id) }, status: { in: OPEN_STATUSES } },
+    _count: { _all: true }
+  });
+  const openCases = new Map(loads.map((l) => [l.assigneeId, l._count._all]));
+  const chosen = rotation.reduce((best, user) =>
+    (openCases.get(user.id) || 0) < (openCases.get(best.id) || 0) ? user : best
+  );
+  const load = openCases.get(chosen.id) || 0;
+
+  return {
+    assigneeId: chosen.id,
+    method: 'skill',
+    ruleId: rule?.id || null,
+    reason: `${rule ? `Rule "${rule.name || rule.id}"` : 'No rule matched, default pool'}; ${load} open case${load === 1 ? '' : 's'}`
+  };
+}
+
+// ============================================================================
+// ASSIGNMENT
+// ============================================================================
+
+function _displayName(user) {
+  return [user.firstName, user.lastName].filter(Boolean).join(' ') || user.email || user.id;
+}
+
+function _assignmentError(message, code) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+/**
+ * Give a case to a user (or unassign it with assigneeId null), recording the
+ * history row and timeline event and notifying the new owner.
+ *
+ * @param {string} chargebackId
+ * @param {string|null} assigneeId
+ * @param {Object} [options]
+ * @param {Object} [options.assignedBy] - Acting user ({ id, firstName, lastName }); omit for rules
+ * @param {string} [options.method='manual'] - manual, round_robin, skill or bulk
+ * @param {string} [options.ruleId]
+ * @param {string} [options.reason]
+ * @returns {Promise<Object>} { chargeback, assignment, changed }
+ * @throws {Error} code NOT_FOUND for an unknown case, INVALID_ASSIGNEE when the
+ *   user can't own it
+ */
+async function assignCase(chargebackId, assigneeId, { assignedBy = null, method = 'manual', ruleId = null, reason = null } = {}) {
+  const chargeback = await prisma.chargeback.findUnique({
+    where: { id: chargebackId },
+    select: { id: true, caseNumber: true, guestName: true, propertyId: true, assigneeId: true }
+  });
+  if (!chargeback) throw _assignmentError(`Case ${chargebackId} not found`, 'NOT_FOUND');
+
+  let assignee = null;
+  if (assigneeId) {
+    assignee = await prisma.user.findUnique({
+      where: { id: assigneeId },
+      select: { id: true, email: true, firstName: true, lastName: true, role: true, isActive: true, propertyId: true }
+    });
+    if (!assignee || !_canWorkCase(assignee, chargeback)) {
+      throw _assignmentError(`${assignee ? _displayName(assignee) : 'That user'} can't be assigned ${chargeback.caseNumber}`, 'INVALID_ASSIGNEE');
+    }
+  }
+
+  if ((chargeback.assigneeId || null) === (assigneeId || null)) {
+    return { chargeback, assignment: null, changed: false };
+  }
+
+  const now = new Date();
+  const updated = await prisma.chargeback.update({
+    where: { id: chargeback.id },
+    data: { assigneeId: assigneeId || null, assignedAt: assigneeId ? now : null },
+    include: { assignee: { select: { id: true, firstName: true, lastName: true, email: true } } }
+  });
+  const assignment = await prisma.caseAssignment.create({
+    data: {
+      chargebackId: chargeback.id,
+      assigneeId: assigneeId || null,
+      previousAssigneeId: chargeback.assigneeId,
+      assignedById: assignedBy?.id || null,
+      method,
+      ruleId,
+      reason
+    }
+  });
+  await prisma.timelineEvent.create({
+    data: {
+      chargebackId: chargeback.id,
+      eventType: assignedBy ? 'USER_ACTION' : 'SYSTEM',
+      title: assignee ? `Assigned to ${_displayName(assignee)}` : 'Case Unassigned',
+      description: assignedBy
+        ? `${method === 'bulk' ? 'Reassigned in bulk' : 'Assigned'} by ${_displayName(assignedBy)}${reason ? `: ${reason}` : ''}`
+        : `Auto-assigned (${method.replace('_', '-')})${reason ? `: ${reason}` : ''}`,
+      metadata: { assigneeId: assigneeId || null, previousAssigneeId: chargeback.assigneeId, method, ruleId }
+    }
+  });
+
+  if (assignee && assignee.id !== assignedBy?.id) {
+    await createNotification(assignee.id, {
+      type: 'CASE_ASSIGNED',
+      priority: 'MEDIUM',
+      title: `Case assigned: ${chargeback.caseNumber}`,
+      message: `${chargeback.caseNumber} (${chargeback.guestName}) is now yours${assignedBy ? `, assigned by ${_displayName(assignedBy)}` : ''}.`,
+      link: `/cases/${chargeback.id}`,
+      metadata: { caseId: chargeback.id, caseNumber: chargeback.caseNumber, method }
+    });
+  }
+
+  logger.info(`[Assignment] ${chargeback.caseNumber} → ${assignee ? assignee.email : 'unassigned'} (${method})`);
+  return { chargeback: updated, assignment, changed: true };
+}
+
+/**
+ * Auto-assign a newly created case if assignment is enabled and it has no
+ * owner yet. Failures are logged, never thrown, so intake carries on.
+ *
+ * @param {Object} chargeback - { id, propertyId, cardBrand, amount, assigneeId? }
+ * @returns {Promise<Object|null>} chooseAssignee() output, or null when not assigned
+ */
+async function autoAssignCase(chargeback) {
+  try {
+    const settings = await getAssignmentSettings();
+    if (!settings.enabled || chargeback.assigneeId) return null;
+
+    const choice = await chooseAssignee(chargeback, { settings });
+    if (!choice) {
+      logger.warn(`[Assignment] No eligible assignee for ${chargeback.caseNumber || chargeback.id}`);
+      return null;
+    }
+
+    await assignCase(chargeback.id, choice.assigneeId, choice);
+    return choice;
+  } catch (error) {
+    logger.warn(`[Assignment] Auto-assign failed for ${chargeback.caseNumber || chargeback.id}: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Reassign several cases to one user (or unassign them).
+ *
+ * @param {string[]} chargebackIds
+ * @param {string|null} assigneeId
+ * @param {Object} options
+ * @param {Object} options.assignedBy - Acting user
+ * @param {Object} [options.propertyFilter] - Restricts which cases may be touched
+ * @param {string} [options.reason]
+ * @returns {Promise<Object>} { reassigned: [id], unchanged: [id], failed: [{ id, error }] }
+ */
+async function reassignCases(chargebackIds, assigneeId, { assignedBy, propertyFilter = {}, reason = null }) {
+  const visible = await prisma.chargeback.findMany({
+    where: { id: { in: chargebackIds }, ...propertyFilter },
+    select: { id: true }
+  });
+  const visibleIds = new Set(visible.map((c) => c.id));
+
+  const result = { reassigned: [], unchanged: [], failed: [] };
+  for (const id of chargebackIds) {
+    if (!visibleIds.has(id)) {
+      result.failed.push({ id, error: 'Case not found' });
+      continue;
+    }
+    try {
+      const { changed } = await assignCase(id, assigneeId, { assignedBy, method: 'bulk', reason });
+      (changed ? result.reassigned : result.unchanged).push(id);
+    } catch (error) {
+      if (!error.code) throw error;
+      result.failed.push({ id, error: error.message });
+    }
+  }
+
+  logger.info(`[Assignment] Bulk reassign by ${assignedBy.email || assignedBy.id}: ${result.reassigned.length} reassigned, ${result.failed.length} failed`);
+  return result;
+}
+
+// ============================================================================
+// HISTORY & WORKLOAD
+// ============================================================================
+
+/**
+ * Assignment history of a case, newest first.
+ */
+async function getAssignmentHistory(chargebackId) {
+  return prisma.caseAssignment.findMany({
+    where: { chargebackId },
+    include: {
+      assignee: { select: { id: true, firstName: true, lastName: true, email: true } },
+      assignedBy: { select: { id: true, firstName: true, lastName: true, email: true } }
+    },
+    orderBy: { createdAt: 'desc' }
+  });
+}
+
+/**
+ * Summarise open cases per owner: counts, overdue, due within `days`, and
+ * the soonest deadlines.
+ *
+ * @param {Array<Object>} cases - Open cases { id, caseNumber, guestName, amount, status, dueDate, assigneeId }
+ * @param {Array<Object>} users - Team members { id, firstName, lastName, email, role }
+ * @param {Object} [options]
+ * @param {number} [options.days=7]
+ * @param {Date} [options.now]
+ * @returns {Array<Object>} One row per user plus an `unassigned` row (user null)
+ */
+function summarizeWorkload(cases, users, { days = 7, now = new Date() } = {}) {
+  const horizon = now.getTime() + days * DAY_MS;
+  const rows = new Map(users.map((u) => [u.id, { user: u, cases: [] }]));
+  rows.set(null, { user: null, cases: [] });
+
+  // Cases owned by someone no longer on the team count as unassigned
+  for (const chargeback of cases) {
+    const row = rows.get(chargeback.assigneeId || null) || rows.get(null);
+    row.cases.push(chargeback);
+  }
+
+  return [...rows.values()].map(({ user, cases: owned }) => {
+    const dated = owned.filter((c) => c.dueDate).sort((a, b) => new Date(a.dueDate) - new Date(b.dueDate));
+    return {
+      user,
+      openCases: owned.length,
+      openAmount: Math.round(owned.reduce((sum, c) => sum + Number(c.amount), 0) * 100) / 100,
+      overdue: dated.filter((c) => new Date(c.dueDate).getTime() < now.getTime()).length,
+      dueSoon: dated.filter((c) => {
+        const due = new Date(c.dueDate).getTime();
+        return due >= now.getTime() && due <= horizon;
+      }).length,
+      upcoming: dated.slice(0, 5).map((c) => ({
+        id: c.id,
+        caseNumber: c.caseNumber,
+        guestName: c.guestName,
+        amount: c.amount,
+        status: c.status,
+        dueDate: c.dueDate
+      }))
+    };
+  });
+}
+
+/**
+ * Workload of everyone who can own cases in scope.
+ *
+ * @param {Object} [options]
+ * @param {Object} [options.propertyFilter] - { propertyId } for non-admins
+ * @param {number} [options.days=7] - Window for `dueSoon`
+ * @returns {Promise<Array<Object>>} summarizeWorkload() output
+ */
+async function getWorkload({ propertyFilter = {}, days = 7 } = {}) {
+  const [cases, users] = await Promise.all([
+    prisma.chargeback.findMany({
+      where: { ...propertyFilter, status: { in: OPEN_STATUSES } },
+      select: { id: true, caseNumber: true, guestName: true, amount: true, status: true, dueDate: true, assigneeId: true }
+    }),
+    prisma.user.findMany({
+      where: {
+        isActive: true,
+        role: { not: 'READONLY' },
+        ...(propertyFilter.propertyId && { OR: [{ role: 'ADMIN' }, { propertyId: propertyFilter.propertyId }] })
+      },
+      select: { id: true, firstName: true, lastName: true, email: true, role: true },
+      orderBy: { firstName: 'asc' }
+    })
+  ]);
+
+  // Admins only appear when they own something
+  const owners = new Set(cases.map((c) => c.assigneeId));
+  return summarizeWorkload(cases, users.filter((u) => u.role !== 'ADMIN' || owners.has(u.id)), { days });
+}
+
+module.exports = {
+  DEFAULT_SETTINGS,
+  STRATEGIES,
+  AMOUNT_TIERS,
+  getAssignmentSettings,
+  saveAssignmentSettings,
+  validateAssignmentSettings,
+  getAmountTier,
+  matchAssignmentRule,
+  chooseAssignee,
+  assignCase,
+  autoAssignCase,
+  reassignCases,
+  getAssignmentHistory,
+  summarizeWorkload,
+  getWorkload
+};
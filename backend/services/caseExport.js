@@ -0,0 +1,247 @@
+/**
+ * DisputeAI - Case Export
+ *
+ * Writes chargebacks out as CSV or XLSX for reconciling against processor
+ * statements (GET /api/cases/export). Cases are read in batches of
+ * EXPORT_BATCH with a cursor and written to the response as they arrive, so
+ * a year of cases never sits in memory at once.
+ *
+ * Each column in EXPORT_COLUMNS has a header, a kind (text, amount, date or
+ * number) that decides how it is formatted, and a value(case) read from a
+ * chargeback loaded with EXPORT_INCLUDE. Recovered and lost amounts are only
+ * filled in once a case is resolved; accepted liability shows up as its own
+ * outcome rather than as a loss.
+ */
+
+const { once } = require('events');
+const ExcelJS = require('exceljs');
+const { prisma } = require('../config/database');
+
+const EXPORT_BATCH = 500;
+
+const EXPORT_FORMATS = {
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+  xlsx: { contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', extension: 'xlsx' }
+};
+
+const EXPORT_INCLUDE = {
+  property: { select: { name: true } },
+  provider: { select: { name: true } },
+  assignee: { select: { firstName: true, lastName: true } },
+  evidence: { select: { type: true } }
+};
+
+const RESOLVED_STATUSES = ['WON', 'LOST', 'EXPIRED', 'CANCELLED'];
+
+// ============================================================================
+// COLUMNS
+// ============================================================================
+
+function _outcome(c) {
+  if (c.status === 'WON') return 'Won';
+  if (c.status === 'LOST') return c.liabilityReason ? 'Accepted liability' : 'Lost';
+  if (c.status === 'EXPIRED') return 'Expired';
+  if (c.status === 'CANCELLED') return 'Cancelled';
+  return 'Open';
+}
+
+function _recoveredAmount(c) {
+  if (!RESOLVED_STATUSES.includes(c.status)) return null;
+  return c.status === 'WON' ? c.amount : 0;
+}
+
+function _lostAmount(c) {
+  if (c.status === 'LOST') return c.amount;
+  if (c.status === 'EXPIRED') return c.lostAmount ?? c.amount;
+  return RESOLVED_STATUSES.includes(c.status) ? 0 : null;
+}
+
+function _evidenceTypes(c) {
+  return [...new Set((c.evidence || []).map((e) => e.type))].sort().join('; ');
+}
+
+const EXPORT_COLUMNS = {
+  caseNumber: { header: 'Case Number', kind: 'text', value: (c) => c.caseNumber },
+  processorDisputeId: { header: 'Processor Dispute ID', kind: 'text', value: (c) => c.processorDisputeId },
+  transactionId: { header: 'Transaction ID', kind: 'text', value: (c) => c.transactionId },
+  status: { header: 'Status', kind: 'text', value: (c) => c.status },
+  outcome: { header: 'Outcome', kind: 'text', value: _outcome },
+  guestName: { header: 'Guest Name', kind: 'text', value: (c) => c.guestName },
+  guestEmail: { header: 'Guest Email', kind: 'text', value: (c) => c.guestEmail },
+  confirmationNumber: { header: 'Confirmation Number', kind: 'text', value: (c) => c.confirmationNumber },
+  property: { header: 'Property', kind: 'text', value: (c) => c.property?.name },
+  provider: { header: 'Provider', kind: 'text', value: (c) => c.provider?.name },
+  cardBrand: { header: 'Card Brand', kind: 'text', value: (c) => c.cardBrand },
+  cardLastFour: { header: 'Card Last Four', kind: 'text', value: (c) => c.cardLastFour },
+  reasonCode: { header: 'Reason Code', kind: 'text', value: (c) => c.reasonCode },
+  reasonDescription: { header: 'Reason Description', kind: 'text', value: (c) => c.reasonDescription },
+  amount: { header: 'Amount', kind: 'amount', value: (c) => c.amount },
+  currency: { header: 'Currency', kind: 'text', value: (c) => c.currency || 'USD' },
+  recoveredAmount: { header: 'Recovered Amount', kind: 'amount', value: _recoveredAmount },
+  lostAmount: { header: 'Lost Amount', kind: 'amount', value: _lostAmount },
+  liabilityReason: { header: 'Liability Reason', kind: 'text', value: (c) => c.liabilityReason },
+  disputeDate: { header: 'Dispute Date', kind: 'date', value: (c) => c.disputeDate },
+  createdAt: { header: 'Opened', kind: 'date', value: (c) => c.createdAt },
+  dueDate: { header: 'Due Date', kind: 'date', value: (c) => c.dueDate },
+  resolvedAt: { header: 'Resolution Date', kind: 'date', value: (c) => c.resolvedAt },
+  checkInDate: { header: 'Check-in', kind: 'date', value: (c) => c.checkInDate },
+  checkOutDate: { header: 'Check-out', kind: 'date', value: (c) => c.checkOutDate },
+  evidenceTypes: { header: 'Evidence Types', kind: 'text', value: _evidenceTypes },
+  evidenceCount: { header: 'Evidence Count', kind: 'number', value: (c) => (c.evidence ? c.evidence.length : c._count?.evidence) },
+  confidenceScore: { header: 'Confidence Score', kind: 'number', value: (c) => c.confidenceScore },
+  recommendation: { header: 'Recommendation', kind: 'text', value: (c) => c.recommendation },
+  assignee: { header: 'Assignee', kind: 'text', value: (c) => (c.assignee ? `${c.assignee.firstName} ${c.assignee.lastName}` : null) }
+};
+
+// What finance needs to match a case against a processor statement line
+const DEFAULT_EXPORT_COLUMNS = [
+  'caseNumber', 'processorDisputeId', 'transactionId', 'status', 'outcome', 'guestName', 'property',
+  'cardBrand', 'reasonCode', 'amount', 'currency', 'disputeDate', 'resolvedAt', 'recoveredAmount', 'evidenceTypes'
+];
+
+/**
+ * Read `format` and `columns` (comma-separated keys of EXPORT_COLUMNS) from
+ * the export query.
+ *
+ * @returns {Object} { format, columns, errors }
+ */
+function parseExportOptions({ format = 'csv', columns } = {}) {
+  const errors = [];
+
+  const fmt = String(format).toLowerCase();
+  if (!EXPORT_FORMATS[fmt]) {
+    errors.push({ path: ['format'], message: `format must be one of: ${Object.keys(EXPORT_FORMATS).join(', ')}`, code: 'invalid_enum_value' });
+  }
+
+  let keys = DEFAULT_EXPORT_COLUMNS;
+  if (columns !== undefined) {
+    keys = [...new Set(String(columns).split(',').map((k) => k.trim()).filter(Boolean))];
+    const unknown = keys.filter((k) => !EXPORT_COLUMNS[k]);
+    if (unknown.length) {
+      errors.push({ path: ['columns'], message: `Unknown columns: ${unknown.join(', ')}`, code: 'invalid_enum_value' });
+    } else if (!keys.length) {
+      errors.push({ path: ['columns'], message: 'Select at least one column', code: 'too_small' });
+    }
+  }
+
+  return { format: fmt, columns: keys, errors };
+}
+
+function exportFileName(format, now = new Date()) {
+  return `chargebacks-${now.toISOString().slice(0, 10)}.${EXPORT_FORMATS[format].extension}`;
+}
+
+// ============================================================================
+// READING
+// ============================================================================
+
+/**
+ * Every case matching `where`, in list order, fetched a batch at a time.
+ * The case ID breaks ties so the cursor is stable under a non-unique sort.
+ */
+async function* iterateExportCases(where, { sortBy = 'createdAt', sortOrder = 'desc' } = {}) {
+  let cursor = null;
+  for (;;) {
+    const batch = await prisma.chargeback.findMany({
+      where,
+      include: EXPORT_INCLUDE,
+      orderBy: [{ [sortBy]: sortOrder }, { id: 'asc' }],
+      take: EXPORT_BATCH,
+      ...(cursor && { cursor: { id: cursor }, skip: 1 })
+    });
+    yield* batch;
+    if (batch.length < EXPORT_BATCH) return;
+    cursor = batch[batch.length - 1].id;
+  }
+}
+
+// ============================================================================
+// WRITING
+// ============================================================================
+
+function _toDate(value) {
+  if (!value) return null;
+  const date = value instanceof Date ? value : new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+}
+
+function _cellValue(column, c) {
+  const value = column.value(c);
+  if (value === null || value === undefined || value === '') return null;
+  if (column.kind === 'amount' || column.kind === 'number') return Number(value);
+  if (column.kind === 'date') return _toDate(value);
+  return String(value);
+}
+
+// Spreadsheet apps run cells starting with these as formulas
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+function _csvField(column, value) {
+  if (value === null) return '';
+  if (column.kind === 'amount') return value.toFixed(2);
+  if (column.kind === 'date') return value.toISOString().slice(0, 10);
+  if (column.kind === 'number') return String(value);
+
+  const text = FORMULA_PREFIX.test(value) ? `'${value}` : value;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+async function _write(stream, chunk) {
+  if (!stream.write(chunk)) await once(stream, 'drain');
+}
+
+async function _writeCsv(stream, cases, columns) {
+  // The BOM makes Excel read the file as UTF-8
+  await _write(stream, `\uFEFF${columns.map((col) => _csvField({ kind: 'text' }, col.header)).join(',')}\r\n`);
+  for await (const c of cases) {
+    await _write(stream, `${columns.map((col) => _csvField(col, _cellValue(col, c))).join(',')}\r\n`);
+  }
+  stream.end();
+}
+
+const XLSX_FORMATS = { amount: '#,##0.00', date: 'yyyy-mm-dd' };
+
+async function _writeXlsx(stream, cases, columns) {
+  const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream, useStyles: true });
+  const sheet = workbook.addWorksheet('Chargebacks', { views: [{ state: 'frozen', ySplit: 1 }] });
+  sheet.columns = columns.map((col) => ({
+    header: col.header,
+    key: col.key,
+    width: Math.max(col.header.length + 2, col.kind === 'text' ? 18 : 12),
+    ...(XLSX_FORMATS[col.kind] && { style: { numFmt: XLSX_FORMATS[col.kind] } })
+  }));
+  sheet.getRow(1).font = { bold: true };
+  sheet.getRow(1).commit();
+
+  for await (const c of cases) {
+    sheet.addRow(Object.fromEntries(columns.map((col) => [col.key, _cellValue(col, c)]))).commit();
+  }
+  sheet.commit();
+  await workbook.commit();
+}
+
+/**
+ * Write cases to a stream (usually the response) and end it.
+ *
+ * @param {stream.Writable} stream
+ * @param {AsyncIterable<Object>|Iterable<Object>} cases - e.g. iterateExportCases()
+ * @param {Object} options - { format, columns } from parseExportOptions
+ */
+async function writeCaseExport(stream, cases, { format, columns }) {
+  const selected = columns.map((key) => ({ key, ...EXPORT_COLUMNS[key] }));
+  if (format === 'xlsx') {
+    await _writeXlsx(stream, cases, selected);
+  } else {
+    await _writeCsv(stream, cases, selected);
+  }
+}
+
+module.exports = {
+  EXPORT_FORMATS,
+  EXPORT_COLUMNS,
+  DEFAULT_EXPORT_COLUMNS,
+  parseExportOptions,
+  exportFileName,
+  iterateExportCases,
+  writeCaseExport
+};
@@ -0,0 +1,725 @@
+/**
+ * DisputeAI - Historical Case Import
+ *
+ * Loads a property's past disputes from a processor's CSV dispute report so
+ * analytics and scoring backtests have history from the day it is onboarded
+ * (POST /api/cases/import/preview, then POST /api/cases/import).
+ *
+ * Each file is read with a column mapping: which CSV header feeds each field
+ * in IMPORT_FIELDS. IMPORT_PRESETS suggest one from the headers that Shift4,
+ * Elavon and Fiserv dispute reports commonly use; anything they miss is
+ * mapped by hand in the wizard. Every row is checked against createCaseSchema
+ * plus the import's own rules (a transaction or dispute ID, a known status,
+ * readable dates and amounts), then against the property's existing cases and
+ * earlier rows:
+ *   - the same processorDisputeId is always a duplicate
+ *   - the same transactionId is a duplicate unless both sides carry different
+ *     dispute IDs (one transaction can be disputed more than once)
+ *
+ * Reports differ in how they write dates and amounts. A preset may fix the
+ * date order (MDY or DMY) and decimal separator, and the request can set
+ * either; otherwise each value is read by its shape, and one that reads two
+ * ways (03/04/2026, 1,234) is rejected rather than guessed.
+ *
+ * Cases keep their historical status. createdAt is set to the dispute date
+ * and resolvedAt to the report's resolution date, so period analytics count
+ * them when they happened; disputes the processor shows as accepted become
+ * accepted liability rather than losses. Imported cases are not auto-assigned
+ * or scored. Analytics snapshots are rebuilt from the earliest dispute.
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const { prisma } = require('../config/database');
+const { createCaseSchema } = require('../utils/validators');
+const { resolveProvider } = require('./disputeIntake');
+const { resolveCaseDeadline } = require('./deadlines');
+const { queueSnapshotRebuild } = require('./analyticsSnapshots');
+const logger = require('../utils/logger');
+
+const MAX_IMPORT_ROWS = 5000;
+const IMPORT_BATCH = 200;
+const LOOKUP_BATCH = 1000;
+
+// Rows returned in a preview and row errors/duplicates listed in a response
+const PREVIEW_ROWS = 20;
+const MAX_LISTED_ROWS = 100;
+
+const IMPORT_FIELDS = {
+  processorDisputeId: { label: 'Processor dispute ID' },
+  transactionId: { label: 'Transaction ID' },
+  guestName: { label: 'Guest / cardholder name' },
+  guestEmail: { label: 'Guest email' },
+  amount: { label: 'Amount', required: true },
+  currency: { label: 'Currency' },
+  reasonCode: { label: 'Reason code', required: true },
+  reasonDescription: { label: 'Reason description' },
+  cardBrand: { label: 'Card brand' },
+  cardLastFour: { label: 'Card number / last four' },
+  transactionDate: { label: 'Transaction date' },
+  disputeDate: { label: 'Dispute date', required: true },
+  dueDate: { label: 'Response due date' },
+  checkInDate: { label: 'Check-in date' },
+  checkOutDate: { label: 'Check-out date' },
+  confirmationNumber: { label: 'Confirmation number' },
+  status: { label: 'Status' },
+  resolvedAt: { label: 'Resolution date' }
+};
+
+const DATE_FIELDS = ['transactionDate', 'disputeDate', 'dueDate', 'checkInDate', 'checkOutDate', 'resolvedAt'];
+
+const DATE_ORDERS = ['MDY', 'DMY'];
+const DECIMAL_SEPARATORS = ['.', ','];
+
+const IMPORT_PRESETS = {
+  shift4: {
+    label: 'Shift4',
+    processor: 'Shift4',
+    dateOrder: 'MDY',
+    decimalSeparator: '.',
+    columns: {
+      processorDisputeId: ['Dispute ID', 'Chargeback ID', 'Case Number'],
+      transactionId: ['Transaction ID', 'Charge ID'],
+      guestName: ['Cardholder Name', 'Customer Name'],
+      guestEmail: ['Customer Email'],
+      amount: ['Dispute Amount', 'Chargeback Amount', 'Amount'],
+      reasonDescription: ['Reason', 'Reason Description'],
+      cardBrand: ['Card Brand', 'Card Type'],
+      cardLastFour: ['Card Last 4', 'Last 4', 'Card Number'],
+      transactionDate: ['Transaction Date', 'Charge Date'],
+      disputeDate: ['Dispute Date', 'Created Date', 'Received Date'],
+      dueDate: ['Respond By', 'Response Due Date', 'Due Date'],
+      confirmationNumber: ['Invoice', 'Invoice Number'],
+      status: ['Dispute Status', 'Status'],
+      resolvedAt: ['Resolved Date', 'Closed Date']
+    },
+    statuses: { under_review: 'SUBMITTED', warning_under_review: 'IN_REVIEW' }
+  },
+  elavon: {
+    label: 'Elavon',
+    processor: 'Elavon',
+    // Elavon's US and European reports write dates and amounts differently
+    dateOrder: null,
+    decimalSeparator: null,
+    columns: {
+      processorDisputeId: ['Case Number', 'Case ID', 'Chargeback Reference'],
+      transactionId: ['ARN', 'Acquirer Reference Number', 'Transaction ID'],
+      guestName: ['Cardholder Name'],
+      amount: ['Chargeback Amount', 'Dispute Amount', 'Amount'],
+      cardBrand: ['Card Type', 'Card Brand', 'Network'],
+      cardLastFour: ['Card Number', 'Cardholder Account Number'],
+      transactionDate: ['Transaction Date'],
+      disputeDate: ['Date Received', 'Case Date', 'Chargeback Date'],
+      dueDate: ['Reply By Date', 'Due Date'],
+      confirmationNumber: ['Merchant Reference', 'Invoice Number'],
+      status: ['Case Status', 'Status'],
+      resolvedAt: ['Closed Date', 'Resolution Date']
+    },
+    statuses: {}
+  },
+  fiserv: {
+    label: 'Fiserv',
+    processor: 'Fiserv',
+    dateOrder: 'MDY',
+    decimalSeparator: '.',
+    columns: {
+      processorDisputeId: ['Chargeback ID', 'Case Number', 'Dispute ID'],
+      transactionId: ['Transaction ID', 'ARN', 'Reference Number'],
+      guestName: ['Cardholder Name'],
+      amount: ['Chargeback Amount', 'Dispute Amount', 'Amount'],
+      reasonDescription: ['Reason Description', 'Reason'],
+      cardBrand: ['Card Type', 'Card Brand'],
+      cardLastFour: ['Card Number', 'Account Number'],
+      transactionDate: ['Transaction Date'],
+      disputeDate: ['Received Date', 'Chargeback Date', 'Dispute Date'],
+      dueDate: ['Response Due Date', 'Due Date'],
+      status: ['Chargeback Status', 'Status'],
+      resolvedAt: ['Resolution Date', 'Closed Date', 'Status Date']
+    },
+    statuses: { under_review: 'IN_REVIEW' }
+  },
+  generic: {
+    label: 'Other processor',
+    processor: null,
+    dateOrder: null,
+    decimalSeparator: null,
+    columns: {},
+    statuses: {}
+  }
+};
+
+// Report status wording (normalized, see _key) -> ChargebackStatus
+const STATUS_ALIASES = {
+  PENDING: ['new', 'open', 'pending', 'received', 'needs_response', 'warning_needs_response', 'awaiting_response', 'action_required'],
+  IN_REVIEW: ['in_review', 'in_progress', 'documents_received'],
+  SUBMITTED: ['submitted', 'responded', 'represented', 'under_review', 'pending_issuer'],
+  WON: ['won', 'win', 'merchant_won', 'reversed', 'chargeback_reversed', 'closed_won'],
+  LOST: ['lost', 'loss', 'merchant_lost', 'second_chargeback', 'closed_lost'],
+  EXPIRED: ['expired', 'no_response'],
+  CANCELLED: ['cancelled', 'canceled', 'withdrawn', 'closed']
+};
+
+// Disputes the merchant conceded at the processor
+const ACCEPTED_STATUSES = ['accepted', 'accepted_liability', 'merchant_accepted', 'conceded'];
+
+const RESOLVED_STATUSES = ['WON', 'LOST', 'EXPIRED', 'CANCELLED'];
+
+const CARD_BRANDS = {
+  visa: 'VISA',
+  mastercard: 'MASTERCARD',
+  master_card: 'MASTERCARD',
+  mc: 'MASTERCARD',
+  amex: 'AMEX',
+  american_express: 'AMEX',
+  discover: 'DISCOVER'
+};
+
+// ============================================================================
+// CSV
+// ============================================================================
+
+/**
+ * Parse CSV text (RFC 4180 quoting) into rows of strings. The delimiter is
+ * whichever of comma, semicolon or tab appears most in the first line.
+ */
+function parseCsv(text) {
+  const input = text.replace(/^\uFEFF/, '');
+  const firstLine = input.slice(0, input.search(/\r?\n|$/));
+  const delimiter = [',', ';', '\t'].reduce((best, d) => (firstLine.split(d).length > firstLine.split(best).length ? d : best), ',');
+
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < input.length; i++) {
+    const ch = input[i];
+    if (quoted) {
+      if (ch === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        field += ch;
+      }
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && input[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += ch;
+    }
+  }
+  if (field || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  // Blank lines, including the trailing newline most exports end with
+  return rows.filter((r) => r.some((v) => v.trim()));
+}
+
+// ============================================================================
+// MAPPING
+// ============================================================================
+
+// Lowercase with runs of anything but letters and digits as one underscore
+function _key(value) {
+  return String(value).toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, '');
+}
+
+/**
+ * Column mapping suggested by a preset: for each field, the first header
+ * matching one of the preset's names, or the field's own name or label.
+ *
+ * @returns {Object} { [field]: header }
+ */
+function suggestMapping(headers, presetKey) {
+  const preset = IMPORT_PRESETS[presetKey] || IMPORT_PRESETS.generic;
+  const byKey = new Map(headers.map((h) => [_key(h), h]));
+  const mapping = {};
+
+  for (const [field, { label }] of Object.entries(IMPORT_FIELDS)) {
+    const names = [...(preset.columns[field] || []), field, label];
+    const match = names.map(_key).find((k) => byKey.has(k));
+    if (match) mapping[field] = byKey.get(match);
+  }
+  return mapping;
+}
+
+/**
+ * Check the import request body:
+ * { csv, preset, propertyId, mapping?, processor?, dateOrder?, decimalSeparator? }.
+ * `processor` names the processor for the generic preset; `dateOrder` and
+ * `decimalSeparator` override the preset's.
+ *
+ * @returns {Object} { options, errors }
+ */
+function parseImportOptions(body = {}) {
+  const errors = [];
+  const { csv, preset = 'generic', propertyId, mapping, processor, dateOrder, decimalSeparator } = body;
+
+  if (typeof csv !== 'string' || !csv.trim()) {
+    errors.push({ path: ['csv'], message: 'A CSV file is required', code: 'required' });
+  }
+  if (!IMPORT_PRESETS[preset]) {
+    errors.push({ path: ['preset'], message: `preset must be one of: ${Object.keys(IMPORT_PRESETS).join(', ')}`, code: 'invalid_enum_value' });
+  }
+  if (!propertyId) {
+    errors.push({ path: ['propertyId'], message: 'Property ID is required', code: 'required' });
+  }
+  if (mapping !== undefined && (typeof mapping !== 'object' || mapping === null || Array.isArray(mapping))) {
+    errors.push({ path: ['mapping'], message: 'mapping must be an object of field to column header', code: 'invalid_type' });
+  } else if (mapping) {
+    const unknown = Object.keys(mapping).filter((field) => !IMPORT_FIELDS[field]);
+    if (unknown.length) {
+      errors.push({ path: ['mapping'], message: `Unknown fields: ${unknown.join(', ')}`, code: 'invalid_enum_value' });
+    }
+  }
+
+  if (dateOrder && !DATE_ORDERS.includes(dateOrder)) {
+    errors.push({ path: ['dateOrder'], message: `dateOrder must be one of: ${DATE_ORDERS.join(', ')}`, code: 'invalid_enum_value' });
+  }
+  if (decimalSeparator && !DECIMAL_SEPARATORS.includes(decimalSeparator)) {
+    errors.push({ path: ['decimalSeparator'], message: 'decimalSeparator must be "." or ","', code: 'invalid_enum_value' });
+  }
+
+  const processorName = IMPORT_PRESETS[preset]?.processor || (typeof processor === 'string' ? processor.trim() : '');
+  if (IMPORT_PRESETS[preset] && !processorName) {
+    errors.push({ path: ['processor'], message: 'Name the processor the report came from', code: 'required' });
+  }
+
+  return {
+    options: {
+      csv,
+      preset,
+      propertyId,
+      mapping,
+      processor: processorName,
+      dateOrder: dateOrder || IMPORT_PRESETS[preset]?.dateOrder || null,
+      decimalSeparator: decimalSeparator || IMPORT_PRESETS[preset]?.decimalSeparator || null
+    },
+    errors
+  };
+}
+
+// ============================================================================
+// ROWS
+// ============================================================================
+
+const NUMERIC_DATE = /^(\d{1,2})[/.-](\d{1,2})[/.-](\d{2}|\d{4})\b/;
+
+/**
+ * Order of a numeric date's parts when only one reading is a real date:
+ * 'DMY' for 25/03/2026, 'MDY' for 03/25/2026 or 03/03/2026, null when it
+ * reads both ways (03/04/2026). YYYY-MM-DD needs no order and gives 'MDY'.
+ */
+function _dateOrder(value) {
+  const parts = NUMERIC_DATE.exec(value);
+  if (!parts) return 'MDY';
+  const [, first, second] = parts.map(Number);
+  if (first > 12) return 'DMY';
+  if (second > 12 || first === second) return 'MDY';
+  return null;
+}
+
+/**
+ * Read a report date: YYYY-MM-DD (optionally with a time), or D/M/Y parts
+ * separated by '/', '.' or '-' in the given order, with a two- or four-digit
+ * year. Returns null when unreadable.
+ */
+function _parseDate(value, order) {
+  if (/^\d{4}-\d{2}-\d{2}/.test(value)) {
+    const date = new Date(/^\d{4}-\d{2}-\d{2}$/.test(value) ? `${value}T00:00:00Z` : value);
+    return Number.isNaN(date.getTime()) ? null : date;
+  }
+
+  const parts = NUMERIC_DATE.exec(value);
+  if (parts) {
+    const [, first, second, y] = parts.map(Number);
+    const [month, day] = order === 'DMY' ? [second, first] : [first, second];
+    const year = y < 100 ? 2000 + y : y;
+    const date = new Date(Date.UTC(year, month - 1, day));
+    return date.getUTCMonth() === month - 1 && date.getUTCDate() === day ? date : null;
+  }
+  return null;
+}
+
+/**
+ * Decimal separator of an amount when its shape gives it away: the later of
+ * '.' and ',' when both appear, the other one when a single kind repeats
+ * (1,234,567), and a lone one unless exactly three digits follow it. Null
+ * when it reads both ways (1,234 or 1.234).
+ */
+function _decimalSeparator(value) {
+  const digits = value.replace(/[^0-9.,]/g, '');
+  const lastDot = digits.lastIndexOf('.');
+  const lastComma = digits.lastIndexOf(',');
+  if (lastDot === -1 && lastComma === -1) return '.';
+  if (lastDot !== -1 && lastComma !== -1) return lastDot > lastComma ? '.' : ',';
+
+  const separator = lastDot !== -1 ? '.' : ',';
+  if (digits.split(separator).length > 2) return separator === '.' ? ',' : '.';
+  return /^\d{3}$/.test(digits.slice(digits.lastIndexOf(separator) + 1)) ? null : separator;
+}
+
+// "$1,250.00", "(1,250.00)", "-1250" and, with ',' as the decimal
+// separator, "1.250,00 €" are all a 1250.00 dispute
+function _parseAmount(value, separator) {
+  const grouping = separator === ',' ? '.' : ',';
+  const digits = value.replace(/[^0-9.,]/g, '').split(grouping).join('').replace(separator, '.');
+  const amount = /^\d*\.?\d+$/.test(digits) ? parseFloat(digits) : NaN;
+  return Number.isFinite(amount) ? Math.round(amount * 100) / 100 : null;
+}
+
+function _parseStatus(value, preset) {
+  const key = _key(value);
+  if (ACCEPTED_STATUSES.includes(key)) return { status: 'LOST', accepted: true };
+  const status = preset.statuses[key] || Object.keys(STATUS_ALIASES).find((s) => STATUS_ALIASES[s].includes(key));
+  return status ? { status, accepted: false } : null;
+}
+
+/**
+ * Turn one CSV record into case data, with the row's own errors.
+ *
+ * @param {Array<string>} record
+ * @param {Object} columnIndex - { [field]: column index }
+ * @param {Object} options - From parseImportOptions
+ */
+function _readRow(record, columnIndex, options) {
+  const preset = IMPORT_PRESETS[options.preset];
+  const get = (field) => {
+    const index = columnIndex[field];
+    const value = index === undefined ? '' : (record[index] || '').trim();
+    return value || undefined;
+  };
+  const errors = [];
+  const error = (field, message, code = 'invalid_string') => errors.push({ path: [field], message, code });
+
+  const dates = {};
+  for (const field of DATE_FIELDS) {
+    const raw = get(field);
+    if (!raw) continue;
+    const order = options.dateOrder || _dateOrder(raw);
+    if (!order) {
+      error(field, `${IMPORT_FIELDS[field].label} "${raw}" could be month/day or day/month; choose the report's date order`, 'invalid_date');
+      continue;
+    }
+    dates[field] = _parseDate(raw, order);
+    if (!dates[field]) error(field, `${IMPORT_FIELDS[field].label} "${raw}" is not a date`, 'invalid_date');
+  }
+
+  const rawAmount = get('amount');
+  const separator = rawAmount && (options.decimalSeparator || _decimalSeparator(rawAmount));
+  const amount = rawAmount && separator ? _parseAmount(rawAmount, separator) : undefined;
+  if (rawAmount && !separator) {
+    error('amount', `Amount "${rawAmount}" could be read with "." or "," as the decimal separator; choose the report's`, 'invalid_type');
+  } else if (rawAmount && amount === null) {
+    error('amount', `Amount "${rawAmount}" is not a number`, 'invalid_type');
+  }
+
+  let status = { status: 'PENDING', accepted: false };
+  const rawStatus = get('status');
+  if (rawStatus) {
+    status = _parseStatus(rawStatus, preset);
+    if (!status) error('status', `Unknown status "${rawStatus}"`, 'invalid_enum_value');
+  }
+
+  const rawBrand = get('cardBrand');
+  const digits = (get('cardLastFour') || '').replace(/\D/g, '');
+  const processorDisputeId = get('processorDisputeId');
+  const transactionId = get('transactionId') || processorDisputeId;
+  if (!transactionId) {
+    error('transactionId', 'A transaction ID or processor dispute ID is needed to check for duplicates', 'required');
+  }
+
+  // As with webhook intake, the transaction date stands in for unknown stay dates
+  const stayDate = dates.transactionDate || dates.disputeDate;
+  const iso = (date) => (date ? date.toISOString() : undefined);
+
+  const validation = createCaseSchema.safeParse({
+    propertyId: options.propertyId,
+    guestName: get('guestName') || 'Unknown Guest',
+    guestEmail: get('guestEmail'),
+    amount,
+    currency: get('currency') ? get('currency').toUpperCase() : undefined,
+    reasonCode: get('reasonCode'),
+    reasonDescription: get('reasonDescription'),
+    cardBrand: rawBrand ? CARD_BRANDS[_key(rawBrand)] || 'OTHER' : undefined,
+    cardLastFour: digits ? digits.slice(-4) : undefined,
+    transactionId,
+    processorDisputeId,
+    confirmationNumber: get('confirmationNumber'),
+    disputeDate: iso(dates.disputeDate),
+    dueDate: iso(dates.dueDate),
+    checkInDate: iso(dates.checkInDate || stayDate),
+    checkOutDate: iso(dates.checkOutDate || dates.checkInDate || stayDate)
+  });
+  if (!validation.success) {
+    // Fields already explained above are reported once, and stay dates
+    // borrowed from the dispute date aren't reported at all
+    const borrowed = !dates.checkInDate && !dates.checkOutDate ? ['checkInDate', 'checkOutDate'] : [];
+    errors.push(...validation.error.errors.filter((e) =>
+      !borrowed.includes(e.path[0]) && !errors.some((x) => x.path[0] === e.path[0])));
+  }
+
+  const data = validation.success ? validation.data : null;
+  if (data && RESOLVED_STATUSES.includes(status.status)) {
+    data.resolvedAt = dates.resolvedAt || dates.dueDate || dates.disputeDate;
+  }
+  return { data: data && { ...data, ...status }, errors };
+}
+
+// ============================================================================
+// DUPLICATES
+// ============================================================================
+
+function _addToIndex(index, c) {
+  if (c.processorDisputeId) index.byDisputeId.set(c.processorDisputeId, c);
+  if (!index.byTransactionId.has(c.transactionId)) index.byTransactionId.set(c.transactionId, []);
+  index.byTransactionId.get(c.transactionId).push(c);
+  return index;
+}
+
+function _index(cases) {
+  return cases.reduce(_addToIndex, { byDisputeId: new Map(), byTransactionId: new Map() });
+}
+
+function _findDuplicate(data, { byDisputeId, byTransactionId }) {
+  if (data.processorDisputeId && byDisputeId.has(data.processorDisputeId)) {
+    return byDisputeId.get(data.processorDisputeId);
+  }
+  return (byTransactionId.get(data.transactionId) || [])
+    .find((c) => !c.processorDisputeId || !data.processorDisputeId) || null;
+}
+
+/**
+ * The property's existing cases sharing a transaction or dispute ID with the
+ * rows. Another property's case with the same IDs is not a duplicate.
+ */
+async function _loadExistingCases(rows, propertyId) {
+  const disputeIds = [...new Set(rows.map((r) => r.processorDisputeId).filter(Boolean))];
+  const transactionIds = [...new Set(rows.map((r) => r.transactionId))];
+  const existing = [];
+
+  for (let i = 0; i < Math.max(disputeIds.length, transactionIds.length); i += LOOKUP_BATCH) {
+    existing.push(...await prisma.chargeback.findMany({
+      where: {
+        propertyId,
+        OR: [
+          { processorDisputeId: { in: disputeIds.slice(i, i + LOOKUP_BATCH) } },
+          { transactionId: { in: transactionIds.slice(i, i + LOOKUP_BATCH) } }
+        ]
+      },
+      select: { caseNumber: true, transactionId: true, processorDisputeId: true }
+    }));
+  }
+  return existing;
+}
+
+// ============================================================================
+// PREPARE
+// ============================================================================
+
+/**
+ * Parse, map, validate and dedupe an import without writing anything.
+ *
+ * @param {Object} options - From parseImportOptions
+ * @param {Object} [settings]
+ * @param {boolean} [settings.checkExisting=true] - Also dedupe against stored
+ *   cases (off in demo mode)
+ * @returns {Promise<Object>} { headers, mapping, rows, summary } or { errors }
+ *   for a file that can't be read at all. Each row is
+ *   { row, status: valid|duplicate|invalid, data, errors, duplicateOf }.
+ */
+async function prepareImport(options, { checkExisting = true } = {}) {
+  const [headerRow, ...records] = parseCsv(options.csv);
+  if (!headerRow || !records.length) {
+    return { errors: [{ path: ['csv'], message: 'The file needs a header row and at least one data row', code: 'too_small' }] };
+  }
+  if (records.length > MAX_IMPORT_ROWS) {
+    return { errors: [{ path: ['csv'], message: `Import at most ${MAX_IMPORT_ROWS} rows at a time (this file has ${records.length})`, code: 'too_big' }] };
+  }
+
+  const headers = headerRow.map((h) => h.trim());
+  const mapping = options.mapping
+    ? Object.fromEntries(Object.entries(options.mapping).filter(([, header]) => header))
+    : suggestMapping(headers, options.preset);
+
+  const missing = Object.entries(mapping).filter(([, header]) => !headers.includes(header));
+  if (missing.length) {
+    return { errors: missing.map(([field, header]) => ({ path: ['mapping', field], message: `Column "${header}" is not in the file`, code: 'invalid_enum_value' })) };
+  }
+
+  const columnIndex = Object.fromEntries(Object.entries(mapping).map(([field, header]) => [field, headers.indexOf(header)]));
+
+  // Spreadsheet row numbers: the header is row 1
+  const rows = records.map((record, i) => ({ row: i + 2, ..._readRow(record, columnIndex, options) }));
+  const valid = rows.filter((r) => !r.errors.length).map((r) => r.data);
+
+  const stored = _index(checkExisting && valid.length ? await _loadExistingCases(valid, options.propertyId) : []);
+  const seen = _index([]);
+  for (const r of rows) {
+    if (r.errors.length) {
+      r.status = 'invalid';
+      continue;
+    }
+    const existing = _findDuplicate(r.data, stored);
+    const earlier = existing ? null : _findDuplicate(r.data, seen);
+    if (existing || earlier) {
+      r.status = 'duplicate';
+      r.duplicateOf = existing ? existing.caseNumber : `row ${earlier.row}`;
+    } else {
+      r.status = 'valid';
+      _addToIndex(seen, { ...r.data, row: r.row });
+    }
+  }
+
+  const count = (status) => rows.filter((r) => r.status === status).length;
+  return {
+    headers,
+    mapping,
+    rows,
+    summary: { total: rows.length, valid: count('valid'), duplicates: count('duplicate'), invalid: count('invalid') }
+  };
+}
+
+/**
+ * Rows worth showing from a prepared import: the first few, every invalid
+ * one and every duplicate (up to MAX_LISTED_ROWS each).
+ */
+function describeImport(prepared) {
+  const brief = ({ row, status, data, errors, duplicateOf }) => ({ row, status, data, errors, duplicateOf });
+  return {
+    headers: prepared.headers,
+    mapping: prepared.mapping,
+    summary: prepared.summary,
+    preview: prepared.rows.slice(0, PREVIEW_ROWS).map(brief),
+    invalid: prepared.rows.filter((r) => r.status === 'invalid').slice(0, MAX_LISTED_ROWS).map(({ row, errors }) => ({ row, errors })),
+    duplicates: prepared.rows.filter((r) => r.status === 'duplicate').slice(0, MAX_LISTED_ROWS).map(({ row, duplicateOf }) => ({ row, duplicateOf }))
+  };
+}
+
+// ============================================================================
+// IMPORT
+// ============================================================================
+
+async function _nextCaseNumbers() {
+  const prefix = `CB-${new Date().getFullYear()}-`;
+  const last = await prisma.chargeback.findFirst({
+    where: { caseNumber: { startsWith: prefix } },
+    orderBy: { caseNumber: 'desc' },
+    select: { caseNumber: true }
+  });
+  let next = last ? parseInt(last.caseNumber.split('-')[2], 10) + 1 : 1;
+  return () => `${prefix}${(next++).toString().padStart(4, '0')}`;
+}
+
+function _caseData(data, { id, caseNumber, property, provider }) {
+  const { status, accepted, ...fields } = data;
+  const disputeDate = new Date(fields.disputeDate);
+  return {
+    ...fields,
+    id,
+    caseNumber,
+    status,
+    disputeDate,
+    dueDate: fields.dueDate ? new Date(fields.dueDate) : null,
+    checkInDate: new Date(fields.checkInDate),
+    checkOutDate: new Date(fields.checkOutDate),
+    createdAt: disputeDate,
+    ...(status === 'EXPIRED' && { lostAmount: fields.amount }),
+    ...(accepted && {
+      liabilityReason: 'OTHER',
+      liabilityNotes: `Accepted at ${provider.name} before import`,
+      liabilityAcceptedAt: fields.resolvedAt
+    }),
+    propertyId: property.id,
+    providerId: provider.id
+  };
+}
+
+/**
+ * Create a case for every valid row of a prepared import.
+ *
+ * @param {Object} prepared - From prepareImport
+ * @param {Object} context - { processor, propertyId, user }
+ * @returns {Promise<Object>} { created, provider, snapshotsFrom }
+ */
+async function importCases(prepared, { processor, propertyId, user }) {
+  const property = await prisma.property.findUnique({ where: { id: propertyId }, select: { id: true, name: true, timezone: true } });
+  if (!property) {
+    const error = new Error(`Property ${propertyId} not found`);
+    error.code = 'PROPERTY_NOT_FOUND';
+    throw error;
+  }
+
+  const provider = await resolveProvider(processor);
+  const nextCaseNumber = await _nextCaseNumbers();
+  const rows = prepared.rows.filter((r) => r.status === 'valid');
+  const importedBy = `${user.firstName} ${user.lastName}`;
+
+  let created = 0;
+  for (let i = 0; i < rows.length; i += IMPORT_BATCH) {
+    const cases = [];
+    for (const { row, data } of rows.slice(i, i + IMPORT_BATCH)) {
+      const c = _caseData(data, { id: uuidv4(), caseNumber: nextCaseNumber(), property, provider });
+
+      // Open cases get a deadline like any new case when the report has none
+      if (!c.dueDate && !RESOLVED_STATUSES.includes(c.status)) {
+        c.dueDate = (await resolveCaseDeadline({ ...c, property, provider }))?.dueDate || null;
+      }
+      cases.push({ row, data: c });
+    }
+
+    await prisma.$transaction([
+      prisma.chargeback.createMany({ data: cases.map((c) => c.data) }),
+      prisma.timelineEvent.createMany({
+        data: cases.map(({ row, data }) => ({
+          chargebackId: data.id,
+          eventType: 'SYSTEM',
+          title: 'Case Imported',
+          description: `Imported as ${data.status} from a ${provider.name} report by ${importedBy}`,
+          metadata: { source: 'csv_import', row, processorDisputeId: data.processorDisputeId || null }
+        }))
+      })
+    ]);
+    created += cases.length;
+  }
+
+  const snapshotsFrom = await _rebuildSnapshots(rows.map((r) => r.data.disputeDate));
+  logger.info(`Case import: ${created} ${provider.name} cases for ${property.name} by ${user.email}`);
+  return { created, provider: { id: provider.id, name: provider.name }, snapshotsFrom };
+}
+
+// Recompute analytics snapshots from the earliest imported dispute
+async function _rebuildSnapshots(disputeDates) {
+  if (!disputeDates.length) return null;
+  const from = disputeDates.reduce((min, d) => (d < min ? d : min)).slice(0, 10);
+  try {
+    await queueSnapshotRebuild(from);
+    return from;
+  } catch (error) {
+    logger.warn(`Case import: could not queue snapshot rebuild from ${from}: ${error.message}`);
+    return null;
+  }
+}
+
+module.exports = {
+  MAX_IMPORT_ROWS,
+  IMPORT_FIELDS,
+  IMPORT_PRESETS,
+  parseCsv,
+  suggestMapping,
+  parseImportOptions,
+  prepareImport,
+  describeImport,
+  importCases
+};
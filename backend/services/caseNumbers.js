@@ -0,0 +1,64 @@
+/**
+ * DisputeAI - Case Numbers
+ * CB-<year>-<nnnn> numbers for chargebacks created by the intake pipelines.
+ *
+ * The next number is read from the highest one issued this year, so two
+ * writers can pick the same number. Chargeback.caseNumber is unique, so the
+ * loser's insert fails; createWithCaseNumber then retries with a fresh number.
+ */
+
+const { prisma } = require('../config/database');
+const logger = require('../utils/logger');
+
+const MAX_ATTEMPTS = 5;
+
+/**
+ * Next unused case number for the current year.
+ *
+ * @returns {Promise<string>} e.g. CB-2026-0042
+ */
+async function nextCaseNumber() {
+  const prefix = `CB-${new Date().getFullYear()}-`;
+
+  const lastCase = await prisma.chargeback.findFirst({
+    where: { caseNumber: { startsWith: prefix } },
+    orderBy: { caseNumber: 'desc' },
+    select: { caseNumber: true }
+  });
+
+  const nextNumber = lastCase ? parseInt(lastCase.caseNumber.split('-')[2], 10) + 1 : 1;
+  return `${prefix}${nextNumber.toString().padStart(4, '0')}`;
+}
+
+/**
+ * True for a unique-constraint violation on Chargeback.caseNumber.
+ */
+function _isCaseNumberTaken(error) {
+  if (error?.code !== 'P2002') return false;
+  const target = error.meta?.target;
+  return [].concat(target || []).some((field) => /case_?number/i.test(String(field)));
+}
+
+/**
+ * Create a chargeback under a fresh case number, retrying when another
+ * writer took the number first.
+ *
+ * @param {Function} create - async (caseNumber) => created chargeback
+ * @returns {Promise<Object>} Whatever `create` returns
+ */
+async function createWithCaseNumber(create) {
+  for (let attempt = 1; ; attempt++) {
+    const caseNumber = await nextCaseNumber();
+    try {
+      return await create(caseNumber);
+    } catch (error) {
+      if (!_isCaseNumberTaken(error) || attempt >= MAX_ATTEMPTS) throw error;
+      logger.warn(`Case number ${caseNumber} already taken, retrying (attempt ${attempt}/${MAX_ATTEMPTS})`);
+    }
+  }
+}
+
+module.exports = {
+  nextCaseNumber,
+  createWithCaseNumber
+};
@@ -0,0 +1,343 @@
+/**
+ * DisputeAI - Visa Compelling Evidence 3.0 Eligibility
+ *
+ * A Visa 10.4 (card-absent fraud) dispute can be defeated under CE3.0 when
+ * the same card was used in at least two earlier, undisputed transactions
+ * with the merchant that:
+ *   - are between 120 and 365 days older than the disputed transaction, and
+ *   - share at least two of: device ID, IP address, shipping/billing
+ *     address, account login — with the disputed transaction.
+ *
+ * Prior transactions come from the property's Reservation history (and the
+ * card payments posted to their GuestFolioItems). Identifiers are read from
+ * the PMS payloads stored in rawPmsData and from the linked GuestProfile.
+ */
+
+const { prisma } = require('../config/database');
+const { normalizeCardNetwork } = require('./reasonCodes');
+const logger = require('../utils/logger');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const CE3_RULES = {
+  reasonCodes: ['10.4'],
+  minimumPriorTransactions: 2,
+  minimumMatchingFields: 2,
+  minAgeDays: 120,
+  maxAgeDays: 365
+};
+
+const MATCH_FIELDS = {
+  deviceId: 'Device ID',
+  ipAddress: 'IP address',
+  address: 'Shipping/billing address',
+  accountLogin: 'Account login'
+};
+
+// Key names PMS payloads use for each identifier
+const IDENTIFIER_KEYS = {
+  deviceId: ['deviceId', 'deviceFingerprint', 'device_id', 'device_fingerprint', 'fingerprint'],
+  ipAddress: ['ipAddress', 'ip', 'ip_address', 'clientIp', 'bookingIp', 'customerIp'],
+  address: ['billingAddress', 'shippingAddress', 'billing_address', 'shipping_address', 'address'],
+  accountLogin: ['accountLogin', 'accountId', 'login', 'username', 'userId', 'account_id', 'user_id']
+};
+
+const EXCLUDED_RESERVATION_STATUSES = ['cancelled', 'no_show'];
+
+// ============================================================================
+// IDENTIFIERS
+// ============================================================================
+
+/**
+ * Depth-limited search of a PMS payload for the first value under any of
+ * the given keys.
+ */
+function _findValue(data, keys, depth = 3) {
+  if (!data || typeof data !== 'object' || depth < 0) return null;
+
+  for (const key of keys) {
+    const value = data[key];
+    if (value !== undefined && value !== null && value !== '') return value;
+  }
+  for (const nested of Object.values(data)) {
+    if (nested && typeof nested === 'object') {
+      const found = _findValue(nested, keys, depth - 1);
+      if (found !== null) return found;
+    }
+  }
+  return null;
+}
+
+function _formatAddress(value) {
+  if (!value) return null;
+  if (typeof value === 'string') return value;
+  return [
+    value.line1 || value.street || value.address1 || value.addressLine1,
+    value.line2 || value.address2,
+    value.city,
+    value.state || value.region,
+    value.postalCode || value.zip || value.postcode,
+    value.country
+  ].filter(Boolean).join(', ') || null;
+}
+
+function _normalize(field, value) {
+  if (value === null || value === undefined) return null;
+  const text = String(field === 'address' ? _formatAddress(value) || '' : value).trim().toLowerCase();
+  if (!text) return null;
+  return field === 'address' ? text.replace(/[^a-z0-9]+/g, ' ').trim() : text;
+}
+
+/**
+ * Read the CE3.0 identifiers recorded for a reservation.
+ *
+ * @param {Object} reservation - Reservation with optional guestProfile
+ * @returns {Object} { deviceId, ipAddress, address, accountLogin } (raw values, null when unknown)
+ */
+function extractIdentifiers(reservation) {
+  const raw = reservation?.rawPmsData || {};
+  const profile = reservation?.guestProfile;
+
+  const profileAddress = profile && _formatAddress({
+    line1: profile.address, city: profile.city, state: profile.state,
+    postalCode: profile.postalCode, country: profile.country
+  });
+
+  return {
+    deviceId: _findValue(raw, IDENTIFIER_KEYS.deviceId),
+    ipAddress: _findValue(raw, IDENTIFIER_KEYS.ipAddress),
+    address: _formatAddress(_findValue(raw, IDENTIFIER_KEYS.address)) || (profile?.address ? profileAddress : null),
+    accountLogin: _findValue(raw, IDENTIFIER_KEYS.accountLogin) || reservation?.loyaltyNumber || profile?.loyaltyNumber || null
+  };
+}
+
+function _matchingFields(disputed, prior) {
+  return Object.keys(MATCH_FIELDS).filter(field => {
+    const a = _normalize(field, disputed[field]);
+    return a !== null && a === _normalize(field, prior[field]);
+  });
+}
+
+// ============================================================================
+// TRANSACTIONS
+// ============================================================================
+
+/**
+ * The card payment on a reservation's folio, or the reservation itself
+ * when the folio carries no payment for that card.
+ */
+function _toTransaction(reservation, cardLastFour) {
+  const payment = (reservation.folioItems || [])
+    .filter(item => item.category === 'payment' && (!item.cardLastFour || item.cardLastFour === cardLastFour))
+    .sort((a, b) => new Date(b.postDate) - new Date(a.postDate))[0];
+
+  return {
+    reservationId: reservation.id,
+    confirmationNumber: reservation.confirmationNumber,
+    transactionId: payment?.pmsFolioId || payment?.transactionCode || reservation.pmsReservationId || reservation.confirmationNumber,
+    transactionDate: new Date(payment?.postDate || reservation.actualCheckOut || reservation.checkOutDate),
+    amount: Math.abs(parseFloat(payment?.amount ?? reservation.totalAmount) || 0),
+    currency: payment?.currency || reservation.currency || 'USD',
+    authorizationCode: payment?.authCode || null
+  };
+}
+
+/**
+ * Date of the disputed transaction: the card payment on the disputed
+ * reservation's folio, falling back to checkout.
+ */
+function _disputedTransactionDate(chargeback) {
+  if (chargeback.reservation) {
+    return _toTransaction(chargeback.reservation, chargeback.cardLastFour).transactionDate;
+  }
+  return new Date(chargeback.checkOutDate || chargeback.checkInDate || chargeback.disputeDate);
+}
+
+async function _loadCardHistory(chargeback, disputedDate) {
+  const earliest = new Date(disputedDate.getTime() - (CE3_RULES.maxAgeDays + 30) * DAY_MS);
+
+  return prisma.reservation.findMany({
+    where: {
+      propertyId: chargeback.propertyId,
+      ...(chargeback.reservationId && { id: { not: chargeback.reservationId } }),
+      status: { notIn: EXCLUDED_RESERVATION_STATUSES },
+      checkOutDate: { gte: earliest, lte: disputedDate },
+      chargebacks: { none: {} },
+      OR: [
+        { cardLastFour: chargeback.cardLastFour },
+        { folioItems: { some: { category: 'payment', cardLastFour: chargeback.cardLastFour } } }
+      ]
+    },
+    include: {
+      guestProfile: true,
+      folioItems: { where: { category: 'payment' } }
+    },
+    orderBy: { checkOutDate: 'desc' },
+    take: 200
+  });
+}
+
+// ============================================================================
+// EVALUATION
+// ============================================================================
+
+/**
+ * Evaluate CE3.0 eligibility for a chargeback against a list of candidate
+ * prior reservations.
+ *
+ * @param {Object} chargeback - Chargeback with reservation (rawPmsData, guestProfile, folioItems)
+ * @param {Array<Object>} history - Prior reservations paid with the same card
+ * @param {Date} [asOf] - Evaluation time
+ * @returns {Object} Eligibility result (see evaluateCE3Eligibility)
+ */
+function assessCE3(chargeback, history, asOf = new Date()) {
+  const network = normalizeCardNetwork(chargeback.cardBrand);
+  const reasonCodeEligible = network === 'VISA' && CE3_RULES.reasonCodes.includes(String(chargeback.reasonCode));
+  const disputedDate = _disputedTransactionDate(chargeback);
+  const disputed = extractIdentifiers(chargeback.reservation);
+
+  const window = {
+    from: new Date(disputedDate.getTime() - CE3_RULES.maxAgeDays * DAY_MS).toISOString(),
+    to: new Date(disputedDate.getTime() - CE3_RULES.minAgeDays * DAY_MS).toISOString()
+  };
+
+  const qualifyingTransactions = [];
+  const rejectedTransactions = [];
+
+  for (const reservation of history) {
+    const transaction = _toTransaction(reservation, chargeback.cardLastFour);
+    const ageDays = Math.floor((disputedDate - transaction.transactionDate) / DAY_MS);
+    const identifiers = extractIdentifiers(reservation);
+    const matchedFields = _matchingFields(disputed, identifiers);
+
+    const entry = {
+      ...transaction,
+      transactionDate: transaction.transactionDate.toISOString(),
+      ageDays,
+      ipAddress: identifiers.ipAddress,
+      deviceId: identifiers.deviceId,
+      shippingAddress: identifiers.address,
+      accountLogin: identifiers.accountLogin,
+      matchedFields
+    };
+
+    if (ageDays < CE3_RULES.minAgeDays || ageDays > CE3_RULES.maxAgeDays) {
+      rejectedTransactions.push({ ...entry, reason: `Outside the ${CE3_RULES.minAgeDays}–${CE3_RULES.maxAgeDays} day window (${ageDays} days)` });
+    } else if (matchedFields.length < CE3_RULES.minimumMatchingFields) {
+      rejectedTransactions.push({ ...entry, reason: `Only ${matchedFields.length} matching identifier(s)` });
+    } else {
+      qualifyingTransactions.push(entry);
+    }
+  }
+
+  const disputedFieldsKnown = Object.keys(MATCH_FIELDS).filter(field => _normalize(field, disputed[field]) !== null);
+  const reasons = [];
+  if (!reasonCodeEligible) {
+    reasons.push(`CE3.0 only applies to Visa reason code ${CE3_RULES.reasonCodes.join('/')}`);
+  }
+  if (disputedFieldsKnown.length < CE3_RULES.minimumMatchingFields) {
+    reasons.push(`Disputed transaction records ${disputedFieldsKnown.length} of the identifiers CE3.0 matches on`);
+  }
+  if (qualifyingTransactions.length < CE3_RULES.minimumPriorTransactions) {
+    reasons.push(`${qualifyingTransactions.length} of ${CE3_RULES.minimumPriorTransactions} required qualifying prior transactions found`);
+  }
+
+  return {
+    eligible: reasons.length === 0,
+    reasonCodeEligible,
+    network,
+    reasons,
+    rules: CE3_RULES,
+    disputedTransaction: {
+      transactionId: chargeback.transactionId,
+      transactionDate: disputedDate.toISOString(),
+      amount: parseFloat(chargeback.amount) || 0,
+      ipAddress: disputed.ipAddress,
+      deviceId: disputed.deviceId,
+      shippingAddress: disputed.address,
+      accountLogin: disputed.accountLogin
+    },
+    window,
+    candidatesReviewed: history.length,
+    qualifyingTransactions,
+    rejectedTransactions,
+    evaluatedAt: asOf.toISOString()
+  };
+}
+
+/**
+ * Load a chargeback's card history and evaluate CE3.0 eligibility.
+ *
+ * @param {string} chargebackId - Chargeback ID
+ * @returns {Promise<Object>} { eligible, reasonCodeEligible, network, reasons, rules,
+ *   disputedTransaction, window, candidatesReviewed, qualifyingTransactions,
+ *   rejectedTransactions, evaluatedAt }
+ */
+async function evaluateCE3Eligibility(chargebackId) {
+  const chargeback = await prisma.chargeback.findUnique({
+    where: { id: chargebackId },
+    include: {
+      reservation: {
+        include: {
+          guestProfile: true,
+          folioItems: { where: { category: 'payment' } }
+        }
+      }
+    }
+  });
+
+  if (!chargeback) {
+    throw new Error(`Chargeback ${chargebackId} not found`);
+  }
+
+  let history = [];
+  if (chargeback.cardLastFour) {
+    history = await _loadCardHistory(chargeback, _disputedTransactionDate(chargeback));
+  }
+
+  const result = assessCE3(chargeback, history);
+  logger.info(`CE3.0 check for ${chargeback.caseNumber}: ${result.eligible ? 'eligible' : 'not eligible'} (${result.qualifyingTransactions.length}/${history.length} qualifying)`);
+  return result;
+}
+
+/**
+ * Shape an eligible result into the ce3Data accepted by
+ * VisaVROLAdapter.submitCE3Evidence.
+ */
+function toCE3SubmissionData(result) {
+  const matched = new Set(result.qualifyingTransactions.flatMap(t => t.matchedFields));
+  const disputed = result.disputedTransaction;
+
+  return {
+    disputedTransactionId: disputed.transactionId,
+    disputedTransactionDate: disputed.transactionDate,
+    disputedAmount: disputed.amount,
+    disputedIP: disputed.ipAddress,
+    disputedDeviceId: disputed.deviceId,
+    disputedShippingAddress: disputed.shippingAddress,
+    priorTransactions: result.qualifyingTransactions.map(t => ({
+      transactionId: t.transactionId,
+      transactionDate: t.transactionDate,
+      amount: t.amount,
+      ipAddress: t.ipAddress,
+      deviceFingerprint: t.deviceId,
+      shippingAddress: t.shippingAddress,
+      authorizationCode: t.authorizationCode,
+      outcome: 'settled'
+    })),
+    ipAddressMatch: matched.has('ipAddress'),
+    deviceFingerprintMatch: matched.has('deviceId'),
+    shippingAddressMatch: matched.has('address'),
+    narrative: `CE3.0 evidence: ${result.qualifyingTransactions.length} prior undisputed transactions on the same card ` +
+      `sharing ${[...matched].map(f => MATCH_FIELDS[f].replace(/^[A-Z](?=[a-z])/, c => c.toLowerCase())).join(', ')} with the disputed transaction.`
+  };
+}
+
+module.exports = {
+  CE3_RULES,
+  MATCH_FIELDS,
+  extractIdentifiers,
+  assessCE3,
+  evaluateCE3Eligibility,
+  toCE3SubmissionData
+};
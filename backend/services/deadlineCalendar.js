@@ -0,0 +1,152 @@
+/**
+ * DisputeAI - Deadline Calendar Feed
+ * Per-user iCalendar (RFC 5545) feed of open case due dates, so coordinators
+ * can subscribe from Google Calendar, Outlook or Apple Calendar.
+ *
+ * Calendar apps can't send a Bearer token, so the feed URL carries its own
+ * credential: an HMAC of the user ID keyed with CALENDAR_FEED_SECRET (falling
+ * back to JWT_SECRET). Rotating the secret revokes every subscription.
+ */
+
+const crypto = require('crypto');
+
+const API_BASE_URL = process.env.API_BASE_URL || 'http://localhost:8000';
+const FRONTEND_URL = process.env.FRONTEND_URL || 'http://localhost:3000';
+
+// ============================================================================
+// FEED TOKENS
+// ============================================================================
+
+function _feedSecret() {
+  const secret = process.env.CALENDAR_FEED_SECRET || process.env.JWT_SECRET;
+  if (!secret) throw new Error('CALENDAR_FEED_SECRET or JWT_SECRET must be set to issue calendar feeds');
+  return secret;
+}
+
+/**
+ * Token that authorizes a user's calendar feed.
+ *
+ * @param {string} userId
+ * @returns {string} 32 hex characters
+ */
+function calendarFeedToken(userId) {
+  return crypto.createHmac('sha256', _feedSecret()).update(`calendar:${userId}`).digest('hex').slice(0, 32);
+}
+
+/**
+ * Check a feed token in constant time.
+ */
+function verifyCalendarFeedToken(userId, token) {
+  const expected = Buffer.from(calendarFeedToken(userId));
+  const given = Buffer.from(String(token || ''));
+  return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+}
+
+/**
+ * Subscription URL for a user's feed.
+ */
+function calendarFeedUrl(userId) {
+  return `${API_BASE_URL}/api/deadlines/calendar/${encodeURIComponent(userId)}/${calendarFeedToken(userId)}.ics`;
+}
+
+// ============================================================================
+// ICALENDAR
+// ============================================================================
+
+function _escape(text) {
+  return String(text ?? '')
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+function _stamp(date) {
+  return new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+// Lines longer than 75 octets continue on the next line after a space
+function _fold(line) {
+  const chunks = [];
+  let rest = Buffer.from(line);
+  while (rest.length > 75) {
+    let cut = chunks.length === 0 ? 75 : 74;
+    while ((rest[cut] & 0xc0) === 0x80) cut--; // don't split a UTF-8 sequence
+    chunks.push(rest.subarray(0, cut).toString());
+    rest = rest.subarray(cut);
+  }
+  chunks.push(rest.toString());
+  return chunks.join('\r\n ');
+}
+
+/**
+ * Build an iCalendar feed with one event per case due date. Each event ends
+ * at the due date and carries a reminder at every warning offset.
+ *
+ * @param {Array<Object>} cases - { id, caseNumber, guestName, amount, currency, reasonCode, cardBrand, disputeStage, status, dueDate, property? }
+ * @param {Object} [options]
+ * @param {string} [options.name='DisputeAI Deadlines'] - Calendar name
+ * @param {number[]} [options.warningOffsets=[]] - Reminder offsets in days
+ * @param {Date} [options.now]
+ * @returns {string} text/calendar body
+ */
+function buildICalFeed(cases, { name = 'DisputeAI Deadlines', warningOffsets = [], now = new Date() } = {}) {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//DisputeAI//Deadline Calendar//EN',
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${_escape(name)}`,
+    'X-PUBLISHED-TTL:PT1H',
+    'REFRESH-INTERVAL;VALUE=DURATION:PT1H'
+  ];
+
+  for (const chargeback of cases) {
+    if (!chargeback.dueDate) continue;
+    const due = new Date(chargeback.dueDate);
+    const link = `${FRONTEND_URL}/cases/${chargeback.id}`;
+    const amount = `${chargeback.currency || 'USD'} ${Number(chargeback.amount || 0).toFixed(2)}`;
+
+    lines.push(
+      'BEGIN:VEVENT',
+      `UID:${chargeback.id}@deadlines.disputeai`,
+      `DTSTAMP:${_stamp(now)}`,
+      `DTSTART:${_stamp(due.getTime() - 30 * 60 * 1000)}`,
+      `DTEND:${_stamp(due)}`,
+      `SUMMARY:${_escape(`Response due: ${chargeback.caseNumber} — ${chargeback.guestName}`)}`,
+      `DESCRIPTION:${_escape([
+        `${chargeback.cardBrand || 'Card'} ${chargeback.reasonCode || ''} dispute for ${amount}`.replace(/\s+/g, ' '),
+        chargeback.disputeStage ? `Stage: ${chargeback.disputeStage.replace(/_/g, ' ')}` : null,
+        chargeback.property?.name ? `Property: ${chargeback.property.name}` : null,
+        `Status: ${chargeback.status}`,
+        link
+      ].filter(Boolean).join('\n'))}`,
+      `URL:${link}`,
+      'STATUS:CONFIRMED',
+      'TRANSP:TRANSPARENT'
+    );
+
+    for (const days of warningOffsets) {
+      lines.push(
+        'BEGIN:VALARM',
+        'ACTION:DISPLAY',
+        `TRIGGER;RELATED=END:-P${days}D`,
+        `DESCRIPTION:${_escape(`${chargeback.caseNumber} response due in ${days} day${days === 1 ? '' : 's'}`)}`,
+        'END:VALARM'
+      );
+    }
+
+    lines.push('END:VEVENT');
+  }
+
+  lines.push('END:VCALENDAR');
+  return lines.map(_fold).join('\r\n') + '\r\n';
+}
+
+module.exports = {
+  calendarFeedToken,
+  verifyCalendarFeedToken,
+  calendarFeedUrl,
+  buildICalFeed
+};
@@ -0,0 +1,735 @@
+/**
+ * DisputeAI - Deadline Engine
+ * Works out when a case's response is due and warns people before it is.
+ *
+ * A case's network deadline is either the reply-by date the portal reported
+ * (already the processor's own cut-off) or the card network's response window
+ * counted from the start of the current stage: the reason code's window for a
+ * first chargeback, a fixed window for later stages (see STAGE_RESPONSE_DAYS).
+ * The internal due date (Chargeback.dueDate) is that deadline less the
+ * processor's buffer in business days, rolled back off weekends and holidays
+ * to end of business in the property's timezone.
+ *
+ * Settings (warning offsets, buffers, business calendar) live in SystemConfig
+ * under `deadline_settings`; without a database the defaults below are used.
+ * Two repeatable jobs on the `deadlines` queue (see workers/deadlineWorker.js):
+ * `deadline-warnings` sends DEADLINE_WARNING notifications as each case
+ * crosses a warning offset, and `expire-overdue` moves cases still open past
+ * their due date (plus expiryGraceDays) to EXPIRED, writing the disputed
+ * amount off to Chargeback.lostAmount.
+ */
+
+const { prisma } = require('../config/database');
+const logger = require('../utils/logger');
+const { normalizeCardNetwork, getReasonCode, getNetworkResponseDays, getEvidenceRequirements } = require('./reasonCodes');
+const { getQueue } = require('./queue/queueManager');
+const { createBulkNotifications } = require('../controllers/notificationsController');
+
+const SETTINGS_KEY = 'deadline_settings';
+const CACHE_TTL_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const DEFAULT_TIMEZONE = 'America/New_York';
+const DEFAULT_RESPONSE_DAYS = 30;
+
+// Statuses that still need a response from the hotel
+const OPEN_STATUSES = ['PENDING', 'IN_REVIEW'];
+
+// Stages where the issuer has the next move, so the merchant has no deadline
+const AWAITING_ISSUER_STAGES = ['representment', 'second_presentment'];
+
+// Merchant response windows (calendar days from the stage's start) for stages
+// whose window doesn't come from the reason code. First chargebacks and
+// chargeback phases use the reason code's responseDays.
+const STAGE_RESPONSE_DAYS = {
+  VISA: { pre_arbitration: 30, arbitration: 10, compliance: 45 },
+  MASTERCARD: { claim: 30, pre_arbitration: 30, arbitration: 10 },
+  AMEX: { inquiry: 20 },
+  DISCOVER: { inquiry: 30, arbitration: 10 }
+};
+
+const DEFAULT_SETTINGS = {
+  // Days before the due date at which DEADLINE_WARNING notifications go out
+  warningOffsets: [7, 3, 1],
+  // Business days held back from the network deadline for the processor to
+  // forward the response; keyed by provider name, upper-cased, alphanumerics only
+  defaultBufferDays: 2,
+  processorBufferDays: {
+    STRIPE: 1,
+    ADYEN: 2,
+    SHIFT4: 3,
+    ELAVON: 3,
+    FISERV: 3
+  },
+  endOfBusinessHour: 17,
+  weekendDays: [0, 6],
+  // 'YYYY-MM-DD' dates that are not business days
+  holidays: [],
+  // Days past the due date before an unanswered case is marked EXPIRED
+  expiryGraceDays: 0
+};
+
+// Cases due further out than this carry no time risk
+const RISK_HORIZON_DAYS = 14;
+
+let cache = null;
+
+// ============================================================================
+// SETTINGS
+// ============================================================================
+
+function _parseValue(value) {
+  return typeof value === 'string' ? JSON.parse(value) : value;
+}
+
+function _processorKey(name) {
+  return String(name || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+}
+
+function _mergeSettings(stored = {}) {
+  const processorBufferDays = { ...DEFAULT_SETTINGS.processorBufferDays };
+  for (const [name, days] of Object.entries(stored.processorBufferDays || {})) {
+    processorBufferDays[_processorKey(name)] = days;
+  }
+  return {
+    ...DEFAULT_SETTINGS,
+    ...stored,
+    processorBufferDays,
+    warningOffsets: [...new Set(stored.warningOffsets || DEFAULT_SETTINGS.warningOffsets)].sort((a, b) => b - a)
+  };
+}
+
+/**
+ * Validate a deadline settings payload.
+ *
+ * @param {Object} settings
+ * @returns {Array<Object>} [{ path, message, code }], empty when valid
+ */
+function validateDeadlineSettings(settings) {
+  const errors = [];
+  if (!settings || typeof settings !== 'object' || Array.isArray(settings)) {
+    return [{ path: [], message: 'settings must be an object', code: 'invalid_type' }];
+  }
+
+  const isInt = (value, min, max) => Number.isInteger(value) && value >= min && value <= max;
+
+  if (settings.warningOffsets !== undefined) {
+    if (!Array.isArray(settings.warningOffsets) || settings.warningOffsets.length === 0) {
+      errors.push({ path: ['warningOffsets'], message: 'warningOffsets must be a non-empty array', code: 'invalid_type' });
+    } else if (!settings.warningOffsets.every((days) => isInt(days, 1, 60))) {
+      errors.push({ path: ['warningOffsets'], message: 'Each warning offset must be a whole number of days between 1 and 60', code: 'invalid_type' });
+    }
+  }
+  if (settings.defaultBufferDays !== undefined && !isInt(settings.defaultBufferDays, 0, 10)) {
+    errors.push({ path: ['defaultBufferDays'], message: 'defaultBufferDays must be between 0 and 10', code: 'invalid_type' });
+  }
+  if (settings.processorBufferDays !== undefined) {
+    if (!settings.processorBufferDays || typeof settings.processorBufferDays !== 'object' || Array.isArray(settings.processorBufferDays)) {
+      errors.push({ path: ['processorBufferDays'], message: 'processorBufferDays must be an object of processor name to days', code: 'invalid_type' });
+    } else {
+      for (const [name, days] of Object.entries(settings.processorBufferDays)) {
+        if (!isInt(days, 0, 10)) {
+          errors.push({ path: ['processorBufferDays', name], message: 'Buffer days must be between 0 and 10', code: 'invalid_type' });
+        }
+      }
+    }
+  }
+  if (settings.endOfBusinessHour !== undefined && !isInt(settings.endOfBusinessHour, 0, 23)) {
+    errors.push({ path: ['endOfBusinessHour'], message: 'endOfBusinessHour must be an hour between 0 and 23', code: 'invalid_type' });
+  }
+  if (settings.weekendDays !== undefined) {
+    if (!Array.isArray(settings.weekendDays) || !settings.weekendDays.every((day) => isInt(day, 0, 6)) || settings.weekendDays.length > 5) {
+      errors.push({ path: ['weekendDays'], message: 'weekendDays must list at most 5 weekdays (0 = Sunday … 6 = Saturday)', code: 'invalid_type' });
+    }
+  }
+  if (settings.expiryGraceDays !== undefined && !isInt(settings.expiryGraceDays, 0, 30)) {
+    errors.push({ path: ['expiryGraceDays'], message: 'expiryGraceDays must be between 0 and 30', code: 'invalid_type' });
+  }
+  if (settings.holidays !== undefined) {
+    if (!Array.isArray(settings.holidays)) {
+      errors.push({ path: ['holidays'], message: 'holidays must be an array of YYYY-MM-DD dates', code: 'invalid_type' });
+    } else {
+      settings.holidays.forEach((date, index) => {
+        if (!/^\d{4}-\d{2}-\d{2}$/.test(date) || Number.isNaN(Date.parse(`${date}T00:00:00Z`))) {
+          errors.push({ path: ['holidays', index], message: `Invalid date "${date}"`, code: 'invalid_string' });
+        }
+      });
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Current deadline settings merged over the defaults (cached for a minute).
+ *
+ * @returns {Promise<Object>} { warningOffsets, defaultBufferDays, processorBufferDays, endOfBusinessHour, weekendDays, holidays, expiryGraceDays, isDefault? }
+ */
+async function getDeadlineSettings({ fresh = false } = {}) {
+  if (!fresh && cache && Date.now() - cache.loadedAt < CACHE_TTL_MS) {
+    return cache.settings;
+  }
+
+  let settings;
+  try {
+    const record = await prisma.systemConfig.findUnique({ where: { key: SETTINGS_KEY } });
+    settings = record ? _mergeSettings(_parseValue(record.value)) : null;
+  } catch (error) {
+    logger.warn('Deadline settings: database unavailable, using defaults');
+  }
+
+  cache = { loadedAt: Date.now(), settings: settings || { ..._mergeSettings(), isDefault: true } };
+  return cache.settings;
+}
+
+/**
+ * Save deadline settings. Callers validate first (validateDeadlineSettings).
+ *
+ * @param {Object} settings
+ * @param {Object} [options]
+ * @param {string} [options.userId]
+ * @returns {Promise<Object>} The merged settings now in effect
+ */
+async function saveDeadlineSettings(settings, { userId = null } = {}) {
+  await prisma.systemConfig.upsert({
+    where: { key: SETTINGS_KEY },
+    update: { value: settings, updatedBy: userId },
+    create: { key: SETTINGS_KEY, value: settings, description: 'Deadline engine: warning offsets, processor buffers, business calendar', updatedBy: userId }
+  });
+
+  cache = null;
+  return getDeadlineSettings({ fresh: true });
+}
+
+// ============================================================================
+// BUSINESS CALENDAR
+// ============================================================================
+
+function _safeTimeZone(timeZone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timeZone || DEFAULT_TIMEZONE });
+    return timeZone || DEFAULT_TIMEZONE;
+  } catch (error) {
+    logger.warn(`Deadlines: unknown timezone "${timeZone}", using ${DEFAULT_TIMEZONE}`);
+    return DEFAULT_TIMEZONE;
+  }
+}
+
+function _zonedParts(date, timeZone) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit'
+  }).formatToParts(date);
+  const get = (type) => parseInt(parts.find((p) => p.type === type).value, 10);
+  return { year: get('year'), month: get('month'), day: get('day'), hour: get('hour'), minute: get('minute'), second: get('second') };
+}
+
+function _offsetMs(date, timeZone) {
+  const p = _zonedParts(date, timeZone);
+  return Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second) - Math.floor(date.getTime() / 1000) * 1000;
+}
+
+/** Calendar date ('YYYY-MM-DD') of an instant in a timezone */
+function _localDate(date, timeZone) {
+  const { year, month, day } = _zonedParts(date, timeZone);
+  return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+}
+
+/** The instant a local wall-clock hour occurs on a date in a timezone */
+function _zonedTime(localDate, hour, timeZone) {
+  const [year, month, day] = localDate.split('-').map(Number);
+  const guess = Date.UTC(year, month - 1, day, hour);
+  // Second pass settles dates on which the offset changes (DST)
+  const first = guess - _offsetMs(new Date(guess), timeZone);
+  return new Date(guess - _offsetMs(new Date(first), timeZone));
+}
+
+function _shiftDate(localDate, days) {
+  const date = new Date(`${localDate}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + days);
+  return date.toISOString().slice(0, 10);
+}
+
+function isBusinessDay(localDate, settings = DEFAULT_SETTINGS) {
+  const weekday = new Date(`${localDate}T00:00:00Z`).getUTCDay();
+  return !settings.weekendDays.includes(weekday) && !settings.holidays.includes(localDate);
+}
+
+function _previousBusinessDay(localDate, settings) {
+  let date = localDate;
+  while (!isBusinessDay(date, settings)) date = _shiftDate(date, -1);
+  return date;
+}
+
+/**
+ * The business day `days` business days before a date ('YYYY-MM-DD').
+ */
+function subtractBusinessDays(localDate, days, settings = DEFAULT_SETTINGS) {
+  let date = localDate;
+  for (let i = 0; i < days; i++) {
+    date = _previousBusinessDay(_shiftDate(date, -1), settings);
+  }
+  return date;
+}
+
+// ============================================================================
+// CALCULATION
+// ============================================================================
+
+/**
+ * Merchant response window in calendar days for a network, reason code and stage.
+ *
+ * @param {Object} input - { cardBrand, reasonCode, stage }
+ * @returns {number}
+ */
+function getResponseDays({ cardBrand, reasonCode, stage } = {}) {
+  const reason = getReasonCode(reasonCode, cardBrand);
+  const network = normalizeCardNetwork(cardBrand) || reason?.network || null;
+
+  const stageDays = network && stage ? STAGE_RESPONSE_DAYS[network]?.[stage] : null;
+  if (stageDays) return stageDays;
+
+  return reason?.responseDays || getNetworkResponseDays(network) || DEFAULT_RESPONSE_DAYS;
+}
+
+/**
+ * Network deadline counted in calendar days from the start of a stage.
+ *
+ * @param {Object} input - { cardBrand, reasonCode, stage, openedAt }
+ * @returns {Date}
+ */
+function calculateNetworkDeadline({ cardBrand, reasonCode, stage, openedAt } = {}) {
+  const deadline = new Date(openedAt || Date.now());
+  deadline.setTime(deadline.getTime() + getResponseDays({ cardBrand, reasonCode, stage }) * DAY_MS);
+  return deadline;
+}
+
+/**
+ * Business days held back for a processor.
+ *
+ * @param {string} processor - Provider name, e.g. 'Shift4'
+ * @param {Object} [settings]
+ * @returns {number}
+ */
+function getProcessorBufferDays(processor, settings = DEFAULT_SETTINGS) {
+  const days = settings.processorBufferDays[_processorKey(processor)];
+  return Number.isInteger(days) ? days : settings.defaultBufferDays;
+}
+
+/**
+ * Calculate a response due date.
+ *
+ * @param {Object} input
+ * @param {string} [input.cardBrand]
+ * @param {string} [input.reasonCode]
+ * @param {string} [input.stage] - Portal lifecycle stage (Chargeback.disputeStage)
+ * @param {Date|string} [input.openedAt] - When the stage began (the dispute date for a first chargeback)
+ * @param {Date|string} [input.portalDueDate] - Reply-by date the portal reported; used as-is as the deadline
+ * @param {string} [input.processor] - Provider name, selects the buffer
+ * @param {string} [input.timezone] - Property IANA timezone
+ * @param {Object} [settings] - getDeadlineSettings() output
+ * @returns {Object|null} { dueDate, networkDeadline, source, responseDays, bufferDays, timezone }, or
+ *   null when the stage is waiting on the issuer
+ */
+function calculateDueDate(input = {}, settings = DEFAULT_SETTINGS) {
+  if (input.stage && AWAITING_ISSUER_STAGES.includes(input.stage)) return null;
+
+  const timezone = _safeTimeZone(input.timezone);
+  const fromPortal = Boolean(input.portalDueDate);
+  const responseDays = fromPortal ? null : getResponseDays(input);
+  const networkDeadline = fromPortal
+    ? new Date(input.portalDueDate)
+    : calculateNetworkDeadline(input);
+  if (Number.isNaN(networkDeadline.getTime())) return null;
+
+  const bufferDays = fromPortal ? 0 : getProcessorBufferDays(input.processor, settings);
+  const dueDay = _previousBusinessDay(
+    subtractBusinessDays(_localDate(networkDeadline, timezone), bufferDays, settings),
+    settings
+  );
+
+  let dueDate = _zonedTime(dueDay, settings.endOfBusinessHour, timezone);
+  if (dueDate > networkDeadline) dueDate = networkDeadline;
+
+  return {
+    dueDate,
+    networkDeadline,
+    source: fromPortal ? 'portal' : 'network',
+    responseDays,
+    bufferDays,
+    timezone
+  };
+}
+
+/**
+ * Work out a case's due date, loading its property timezone and processor
+ * name when the record doesn't include them.
+ *
+ * @param {Object} chargeback - Chargeback, or the data about to create one
+ *   (cardBrand, reasonCode, disputeStage, disputeDate, propertyId, providerId)
+ * @param {Object} [options]
+ * @param {string} [options.stage] - Defaults to chargeback.disputeStage
+ * @param {Date|string} [options.openedAt] - Defaults to chargeback.disputeDate
+ * @param {Date|string} [options.portalDueDate]
+ * @returns {Promise<Object|null>} calculateDueDate() output
+ */
+async function resolveCaseDeadline(chargeback, { stage, openedAt, portalDueDate } = {}) {
+  const settings = await getDeadlineSettings();
+  let timezone = chargeback.property?.timezone;
+  let processor = chargeback.provider?.name;
+
+  try {
+    if (!timezone && chargeback.propertyId) {
+      timezone = (await prisma.property.findUnique({ where: { id: chargeback.propertyId }, select: { timezone: true } }))?.timezone;
+    }
+    if (!processor && chargeback.providerId) {
+      processor = (await prisma.provider.findUnique({ where: { id: chargeback.providerId }, select: { name: true } }))?.name;
+    }
+  } catch (error) {
+    logger.warn(`Deadlines: property/provider lookup failed, using defaults: ${error.message}`);
+  }
+
+  return calculateDueDate({
+    cardBrand: chargeback.cardBrand,
+    reasonCode: chargeback.reasonCode,
+    stage: stage !== undefined ? stage : chargeback.disputeStage,
+    openedAt: openedAt || chargeback.disputeDate,
+    portalDueDate,
+    processor,
+    timezone
+  }, settings);
+}
+
+/**
+ * Recalculate and store a case's due date from its network, reason code and
+ * stage (a portal-reported date on the case is replaced), noting the change
+ * on the timeline.
+ *
+ * @param {string} chargebackId
+ * @param {Object} [options] - resolveCaseDeadline() options
+ * @returns {Promise<Object>} { chargeback, deadline, changed }
+ */
+async function recalculateCaseDeadline(chargebackId, options = {}) {
+  const chargeback = await prisma.chargeback.findUnique({
+    where: { id: chargebackId },
+    include: { property: { select: { timezone: true } }, provider: { select: { name: true } } }
+  });
+  if (!chargeback) {
+    const error = new Error(`Case ${chargebackId} not found`);
+    error.code = 'NOT_FOUND';
+    throw error;
+  }
+
+  const deadline = await resolveCaseDeadline(chargeback, options);
+  const dueDate = deadline?.dueDate || null;
+  if ((chargeback.dueDate?.getTime() ?? null) === (dueDate?.getTime() ?? null)) {
+    return { chargeback, deadline, changed: false };
+  }
+
+  const updated = await prisma.chargeback.update({ where: { id: chargeback.id }, data: { dueDate } });
+  await prisma.timelineEvent.create({
+    data: {
+      chargebackId: chargeback.id,
+      eventType: 'SYSTEM',
+      title: 'Response deadline recalculated',
+      description: dueDate
+        ? `Respond by ${formatDueDate(dueDate, deadline.timezone)} (${deadline.responseDays ? `${deadline.responseDays}-day window` : 'portal deadline'}, ${deadline.bufferDays} business day buffer)`
+        : 'Waiting on the issuer; no response due',
+      metadata: { previousDueDate: chargeback.dueDate, dueDate, networkDeadline: deadline?.networkDeadline || null, source: deadline?.source || null }
+    }
+  });
+
+  logger.info(`[Deadlines] ${chargeback.caseNumber} due date ${chargeback.dueDate?.toISOString() || 'unset'} → ${dueDate?.toISOString() || 'unset'}`);
+  return { chargeback: updated, deadline, changed: true };
+}
+
+/**
+ * A due date as the property sees it, e.g. "Fri, Oct 23, 5:00 PM EDT".
+ */
+function formatDueDate(date, timezone) {
+  return new Intl.DateTimeFormat('en-US', {
+    timeZone: _safeTimeZone(timezone),
+    weekday: 'short',
+    month: 'short',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: '2-digit',
+    timeZoneName: 'short'
+  }).format(new Date(date));
+}
+
+// ============================================================================
+// WARNINGS
+// ============================================================================
+
+function _warningPriority(offsetDays) {
+  if (offsetDays <= 1) return 'URGENT';
+  if (offsetDays <= 3) return 'HIGH';
+  return 'MEDIUM';
+}
+
+/**
+ * Send DEADLINE_WARNING notifications for open cases that have crossed a
+ * warning offset. Each case gets one warning per offset per due date (the
+ * tightest offset crossed), so a recalculated deadline warns again.
+ * Admins are notified for every case, other users for their property's.
+ *
+ * @param {Object} [options]
+ * @param {Date} [options.now]
+ * @returns {Promise<Object>} { checked, sent }
+ */
+async function sendDeadlineWarnings({ now = new Date() } = {}) {
+  const settings = await getDeadlineSettings();
+  const offsets = [...settings.warningOffsets].sort((a, b) => a - b);
+  const horizon = new Date(now.getTime() + offsets[offsets.length - 1] * DAY_MS);
+
+  const cases = await prisma.chargeback.findMany({
+    where: { status: { in: OPEN_STATUSES }, dueDate: { gt: now, lte: horizon } },
+    select: {
+      id: true,
+      caseNumber: true,
+      guestName: true,
+      amount: true,
+      currency: true,
+      dueDate: true,
+      propertyId: true,
+      property: { select: { name: true, timezone: true } }
+    },
+    orderBy: { dueDate: 'asc' }
+  });
+  if (cases.length === 0) return { checked: 0, sent: 0 };
+
+  const users = await prisma.user.findMany({
+    where: { isActive: true, role: { not: 'READONLY' } },
+    select: { id: true, role: true, propertyId: true }
+  });
+
+  let sent = 0;
+  for (const chargeback of cases) {
+    const daysLeft = (chargeback.dueDate.getTime() - now.getTime()) / DAY_MS;
+    const offsetDays = offsets.find((days) => daysLeft <= days);
+    const warningKey = `${chargeback.id}:${chargeback.dueDate.toISOString()}:${offsetDays}`;
+
+    const existing = await prisma.notification.findFirst({
+      where: { type: 'DEADLINE_WARNING', metadata: { path: ['warningKey'], equals: warningKey } },
+      select: { id: true }
+    });
+    if (existing) continue;
+
+    const recipients = users
+      .filter((u) => u.role === 'ADMIN' || u.propertyId === chargeback.propertyId)
+      .map((u) => u.id);
+    if (recipients.length === 0) continue;
+
+    const days = Math.ceil(daysLeft);
+    await createBulkNotifications(recipients, {
+      type: 'DEADLINE_WARNING',
+      priority: _warningPriority(offsetDays),
+      title: `Response due in ${days} day${days === 1 ? '' : 's'}: ${chargeback.caseNumber}`,
+      message: `${chargeback.caseNumber} (${chargeback.guestName}, ${chargeback.currency} ${Number(chargeback.amount).toFixed(2)}) must be answered by ${formatDueDate(chargeback.dueDate, chargeback.property?.timezone)}.`,
+      link: `/cases/${chargeback.id}`,
+      metadata: { caseId: chargeback.id, caseNumber: chargeback.caseNumber, dueDate: chargeback.dueDate, offsetDays, daysLeft: days, warningKey }
+    });
+    sent++;
+  }
+
+  logger.info(`[Deadlines] Checked ${cases.length} upcoming deadlines, sent ${sent} warnings`);
+  return { checked: cases.length, sent };
+}
+
+// ============================================================================
+// EXPIRY
+// ============================================================================
+
+/**
+ * Move open cases whose due date (plus expiryGraceDays) has passed to
+ * EXPIRED. The disputed amount is recorded as Chargeback.lostAmount, the
+ * timeline notes the missed deadline, and admins plus the property's
+ * managers get an URGENT notification.
+ *
+ * @param {Object} [options]
+ * @param {Date} [options.now]
+ * @returns {Promise<Object>} { expired, lostAmount }
+ */
+async function expireOverdueCases({ now = new Date() } = {}) {
+  const settings = await getDeadlineSettings();
+  const cutoff = new Date(now.getTime() - settings.expiryGraceDays * DAY_MS);
+
+  const cases = await prisma.chargeback.findMany({
+    where: { status: { in: OPEN_STATUSES }, dueDate: { lt: cutoff } },
+    select: {
+      id: true,
+      caseNumber: true,
+      status: true,
+      guestName: true,
+      amount: true,
+      currency: true,
+      dueDate: true,
+      propertyId: true,
+      property: { select: { name: true, timezone: true } }
+    },
+    orderBy: { dueDate: 'asc' }
+  });
+  if (cases.length === 0) return { expired: 0, lostAmount: 0 };
+
+  const managers = await prisma.user.findMany({
+    where: { isActive: true, role: { in: ['ADMIN', 'MANAGER'] } },
+    select: { id: true, role: true, propertyId: true }
+  });
+
+  let expired = 0;
+  let lostAmount = 0;
+  for (const chargeback of cases) {
+    // Guarded on the open statuses so a response submitted meanwhile wins
+    const { count } = await prisma.chargeback.updateMany({
+      where: { id: chargeback.id, status: { in: OPEN_STATUSES } },
+      data: { status: 'EXPIRED', resolvedAt: now, lostAmount: chargeback.amount }
+    });
+    if (count === 0) continue;
+
+    const amount = `${chargeback.currency} ${Number(chargeback.amount).toFixed(2)}`;
+    const dueLabel = formatDueDate(chargeback.dueDate, chargeback.property?.timezone);
+
+    await prisma.timelineEvent.create({
+      data: {
+        chargebackId: chargeback.id,
+        eventType: 'LOST',
+        title: 'Case Expired: Response Deadline Missed',
+        description: `No response was submitted by ${dueLabel}; ${amount} written off`,
+        metadata: {
+          source: 'deadline_expiry',
+          previousStatus: chargeback.status,
+          dueDate: chargeback.dueDate,
+          lostAmount: Number(chargeback.amount),
+          graceDays: settings.expiryGraceDays
+        }
+      }
+    });
+
+    const recipients = managers
+      .filter((u) => u.role === 'ADMIN' || u.propertyId === chargeback.propertyId)
+      .map((u) => u.id);
+    if (recipients.length > 0) {
+      await createBulkNotifications(recipients, {
+        type: 'DEADLINE_WARNING',
+        priority: 'URGENT',
+        title: `Case expired: ${chargeback.caseNumber}`,
+        message: `${chargeback.caseNumber} (${chargeback.guestName}, ${amount}) was not answered by ${dueLabel} and has expired. The amount is recorded as lost.`,
+        link: `/cases/${chargeback.id}`,
+        metadata: { caseId: chargeback.id, caseNumber: chargeback.caseNumber, dueDate: chargeback.dueDate, expired: true, lostAmount: Number(chargeback.amount) }
+      });
+    }
+
+    expired++;
+    lostAmount += Number(chargeback.amount);
+    logger.warn(`[Deadlines] ${chargeback.caseNumber} expired (due ${chargeback.dueDate.toISOString()}), ${amount} lost`);
+  }
+
+  lostAmount = Math.round(lostAmount * 100) / 100;
+  logger.info(`[Deadlines] Expired ${expired} overdue cases, ${lostAmount.toFixed(2)} written off`);
+  return { expired, lostAmount };
+}
+
+// ============================================================================
+// EXPIRY RISK
+// ============================================================================
+
+function _riskLevel(score) {
+  if (score >= 70) return 'HIGH';
+  if (score >= 40) return 'MEDIUM';
+  return 'LOW';
+}
+
+/**
+ * How likely an open case is to expire unanswered, from the time left before
+ * its due date and how much of the reason code's required evidence is on
+ * file. Time counts for 60 points (rising as the due date nears, full once
+ * it has passed), missing evidence for 40, and a case nobody has picked up
+ * (PENDING) inside three days adds 10.
+ *
+ * @param {Object} chargeback - { status, dueDate, reasonCode, cardBrand }
+ * @param {Array<Object|string>} evidence - Evidence records (or types) on file
+ * @param {Object} [options]
+ * @param {Date} [options.now]
+ * @returns {Object} { score, level, daysLeft, overdue, completeness, missingRequired, reasons }
+ */
+function assessExpiryRisk(chargeback, evidence = [], { now = new Date() } = {}) {
+  const { completeness, missingRequired } = getEvidenceRequirements(chargeback, evidence);
+  const daysLeft = (new Date(chargeback.dueDate).getTime() - now.getTime()) / DAY_MS;
+  const overdue = daysLeft < 0;
+
+  const timeRisk = overdue ? 1 : Math.max(0, 1 - daysLeft / RISK_HORIZON_DAYS);
+  const evidenceGap = (100 - completeness) / 100;
+  const untouched = chargeback.status === 'PENDING' && daysLeft <= 3;
+  const score = Math.min(100, Math.round(60 * timeRisk + 40 * evidenceGap + (untouched ? 10 : 0)));
+
+  const reasons = [];
+  if (overdue) reasons.push('Past the response due date');
+  else if (daysLeft <= RISK_HORIZON_DAYS) reasons.push(`Due in ${Math.ceil(daysLeft)} day${Math.ceil(daysLeft) === 1 ? '' : 's'}`);
+  if (missingRequired.length > 0) reasons.push(`${missingRequired.length} required evidence item${missingRequired.length === 1 ? '' : 's'} missing`);
+  if (untouched) reasons.push('Not yet picked up for review');
+
+  return {
+    score,
+    level: _riskLevel(score),
+    daysLeft: Math.ceil(daysLeft),
+    overdue,
+    completeness,
+    missingRequired,
+    reasons
+  };
+}
+
+// ============================================================================
+// SCHEDULING
+// ============================================================================
+
+const DEADLINE_QUEUE = 'deadlines';
+const WARNING_CRON = process.env.DEADLINE_WARNING_CRON || '0 * * * *';
+const EXPIRY_CRON = process.env.DEADLINE_EXPIRY_CRON || '15 * * * *';
+
+/**
+ * Register the repeatable deadline warning and expiry jobs.
+ */
+async function initializeDeadlineJobs() {
+  const queue = getQueue(DEADLINE_QUEUE);
+  await queue.upsertJobScheduler(
+    'deadline-warnings',
+    { pattern: WARNING_CRON },
+    { name: 'deadline-warnings', data: {} }
+  );
+  await queue.upsertJobScheduler(
+    'expire-overdue',
+    { pattern: EXPIRY_CRON },
+    { name: 'expire-overdue', data: {} }
+  );
+  logger.info(`Deadline warnings scheduled (${WARNING_CRON}), overdue expiry scheduled (${EXPIRY_CRON})`);
+}
+
+module.exports = {
+  DEFAULT_SETTINGS,
+  STAGE_RESPONSE_DAYS,
+  OPEN_STATUSES,
+  getDeadlineSettings,
+  saveDeadlineSettings,
+  validateDeadlineSettings,
+  isBusinessDay,
+  subtractBusinessDays,
+  getResponseDays,
+  getProcessorBufferDays,
+  calculateNetworkDeadline,
+  calculateDueDate,
+  resolveCaseDeadline,
+  recalculateCaseDeadline,
+  formatDueDate,
+  sendDeadlineWarnings,
+  expireOverdueCases,
+  assessExpiryRisk,
+  initializeDeadlineJobs
+};
@@ -11,6 +11,8 @@
 
 const { prisma } = require('../config/database');
 const logger = require('../utils/logger');
+const { resolveCaseDeadline } = require('./deadlines');
+const { autoAssignCase } = require('./caseAssignment');
 const crypto = require('crypto');
 const axios = require('axios');
 
@@ -836,20 +838,28 @@ class DisputeCompanyService {
       let result;
 
       switch (companyId) {
-        case 'MERLINK':
+        case 'MERLINK': {
           const merlinkService = new MerlinkService(credentials);
           result = await merlinkService.testConnection();
           break;
+        }
         // Add other company connections...
         default:
           result = { success: true, message: `${integration.name} connection test not implemented` };
       }
 
       if (result.success) {
-        await prisma.integration.update({
+        const activated = await prisma.integration.update({
           where: { id: integrationId },
           data: { status: 'active', syncErrors: 0 }
         });
+
+        try {
+          const { scheduleIntegration } = require('./queue/scheduledSync');
+          await scheduleIntegration(activated);
+        } catch (scheduleError) {
+          logger.warn(`Sync schedule not updated for integration ${integrationId}:`, scheduleError.message);
+        }
       }
 
       return result;
@@ -969,6 +979,12 @@ class DisputeCompanyService {
       : 1;
     const caseNumber = `CB-${year}-${nextNumber.toString().padStart(4, '0')}`;
 
+    const disputeDate = new Date(dispute.disputeDate);
+    const deadline = await resolveCaseDeadline(
+      { cardBrand: dispute.cardBrand, reasonCode: dispute.reasonCode, disputeDate, property, provider },
+      { portalDueDate: dispute.responseDeadline }
+    );
+
     // Create new chargeback
     const chargeback = await prisma.chargeback.create({
       data: {
@@ -983,8 +999,8 @@ class DisputeCompanyService {
         cardBrand: dispute.cardBrand,
         reasonCode: dispute.reasonCode,
         reasonDescription: dispute.reasonDescription,
-        disputeDate: new Date(dispute.disputeDate),
-        dueDate: dispute.responseDeadline ? new Date(dispute.responseDeadline) : null,
+        disputeDate,
+        dueDate: deadline?.dueDate || null,
         processorDisputeId: dispute.id,
         checkInDate: dispute.checkInDate ? new Date(dispute.checkInDate) : new Date(),
         checkOutDate: dispute.checkOutDate ? new Date(dispute.checkOutDate) : new Date(),
@@ -1008,6 +1024,8 @@ class DisputeCompanyService {
       }
     });
 
+    await autoAssignCase(chargeback);
+
     // Create notification for users
     const admins = await prisma.user.findMany({
       where: { role: 'ADMIN' }
@@ -0,0 +1,389 @@
+/**
+ * DisputeAI - Dispute Intake Service
+ * Turns verified processor webhooks into chargeback cases.
+ *
+ * Pipeline: Upsert Chargeback + TimelineEvent →
+ *           Match Reservation → Auto-Collect Evidence → Score Confidence
+ *
+ * The steps after the upsert run as an `intake-pipeline` job on the
+ * evidence-collection queue, so they retry and survive a restart.
+ *
+ * A new dispute whose property can't be worked out is held for triage rather
+ * than filed under an arbitrary property: no case is created, admins are
+ * notified, and the webhook event stays unprocessed so it can be replayed
+ * once the processor metadata or integration names the property.
+ *
+ * Falls back to demo notifications + the AutoClerk emulator pipeline when
+ * the database is unavailable.
+ */
+
+const { prisma, isDatabaseUnavailable } = require('../config/database');
+const { collectEvidenceForCase } = require('./autoEvidenceCollector');
+const { addDemoNotification, createBulkNotifications } = require('../controllers/notificationsController');
+const { resolveCaseDeadline } = require('./deadlines');
+const { autoAssignCase } = require('./caseAssignment');
+const { createWithCaseNumber } = require('./caseNumbers');
+const { getQueue } = require('./queue/queueManager');
+const logger = require('../utils/logger');
+
+// Status progression — portal updates never move a case backwards
+const STATUS_RANK = {
+  PENDING: 0,
+  IN_REVIEW: 1,
+  SUBMITTED: 2,
+  WON: 3,
+  LOST: 3,
+  EXPIRED: 3,
+  CANCELLED: 3
+};
+
+const RESOLVED_STATUSES = ['WON', 'LOST', 'EXPIRED', 'CANCELLED'];
+
+const INTAKE_PIPELINE_JOB = 'intake-pipeline';
+
+// Display names for provider records created on first webhook
+const PROVIDER_NAMES = {
+  stripe: 'Stripe',
+  adyen: 'Adyen',
+  shift4: 'Shift4'
+};
+
+/**
+ * Ingest a normalized dispute from a processor webhook.
+ *
+ * @param {string} source - Processor key (stripe, adyen, shift4)
+ * @param {Object} dispute - Normalized dispute (adapter normalizeDispute shape)
+ * @param {Object} [options]
+ * @param {string} [options.eventType] - Processor event type
+ * @returns {Promise<Object>} { action, chargebackId, caseNumber, isDemo? } where action
+ *   is created, updated or unchanged, or { action: 'triage', message } when
+ *   the dispute was held for triage
+ */
+async function ingestDispute(source, dispute, options = {}) {
+  const eventType = options.eventType || 'dispute';
+
+  try {
+    const provider = await resolveProvider(source);
+
+    const existing = dispute.disputeId
+      ? await prisma.chargeback.findFirst({ where: { processorDisputeId: dispute.disputeId } })
+      : null;
+
+    return existing
+      ? await _updateChargeback(existing, dispute, source, eventType)
+      : await _createChargeback(dispute, source, eventType, provider);
+  } catch (error) {
+    if (!isDatabaseUnavailable(error)) throw error;
+
+    logger.warn(`Webhook intake: database unavailable, running demo pipeline for ${source} dispute ${dispute.disputeId}`);
+    return _ingestDemo(source, dispute);
+  }
+}
+
+/**
+ * Resolve the Provider row for a processor, creating it on first use.
+ */
+async function resolveProvider(source) {
+  const name = PROVIDER_NAMES[source] || source;
+
+  let provider = await prisma.provider.findFirst({
+    where: { name: { equals: name, mode: 'insensitive' }, type: 'PAYMENT_PROCESSOR' }
+  });
+
+  if (!provider) {
+    provider = await prisma.provider.create({
+      data: { name, type: 'PAYMENT_PROCESSOR', enabled: true }
+    });
+    logger.info(`Webhook intake: created provider record for ${name}`);
+  }
+
+  return provider;
+}
+
+/**
+ * Pick the property a new dispute belongs to: processor metadata first, then
+ * the active integration's configured property. Null when neither names one.
+ */
+async function _resolvePropertyId(source, dispute) {
+  if (dispute.propertyId) {
+    const property = await prisma.property.findUnique({ where: { id: dispute.propertyId } });
+    if (property) return property.id;
+    logger.warn(`Webhook intake: property ${dispute.propertyId} from ${source} metadata not found`);
+  }
+
+  const integration = await prisma.integration.findFirst({
+    where: { type: source, status: 'active' }
+  });
+  return integration?.config?.propertyId || null;
+}
+
+/**
+ * Hold a dispute that no property claims: tell the admins and leave the
+ * webhook event for replay instead of creating a case.
+ *
+ * @param {Object} dispute - Normalized dispute
+ * @param {string} source - Processor or portal key
+ * @param {Object} provider - Provider row
+ * @returns {Promise<Object>} { action: 'triage', message }
+ */
+async function holdForTriage(dispute, source, provider) {
+  const message = `No property for ${provider.name} dispute ${dispute.disputeId}: set the property in the processor metadata or the ${source} integration, then replay the webhook event`;
+
+  const admins = await prisma.user.findMany({ where: { role: 'ADMIN', isActive: true }, select: { id: true } });
+  if (admins.length) {
+    await createBulkNotifications(admins.map((admin) => admin.id), {
+      type: 'SYSTEM_ALERT',
+      priority: 'HIGH',
+      title: 'Dispute Needs Triage',
+      message: `A ${provider.name} dispute for ${dispute.currency || 'USD'} ${Number(dispute.amount || 0).toFixed(2)} (${dispute.reasonCode || 'UNKNOWN'}) could not be matched to a property.`,
+      link: '/settings',
+      metadata: { source, processorDisputeId: dispute.disputeId }
+    });
+  }
+
+  logger.warn(`Webhook intake: ${message}`);
+  return { action: 'triage', message };
+}
+
+async function _createChargeback(dispute, source, eventType, provider) {
+  const propertyId = await _resolvePropertyId(source, dispute);
+  if (!propertyId) return holdForTriage(dispute, source, provider);
+
+  const disputeDate = dispute.disputeDate ? new Date(dispute.disputeDate) : new Date();
+
+  // Stay dates are unknown until a reservation is matched; the transaction
+  // date is the best placeholder.
+  const stayDate = dispute.transactionDate ? new Date(dispute.transactionDate) : disputeDate;
+
+  const deadline = await resolveCaseDeadline(
+    { cardBrand: dispute.cardBrand, reasonCode: dispute.reasonCode, disputeDate, propertyId, provider },
+    { stage: dispute.chargebackStage || null, portalDueDate: dispute.dueDate }
+  );
+
+  const chargeback = await createWithCaseNumber((caseNumber) => prisma.chargeback.create({
+    data: {
+      caseNumber,
+      status: STATUS_RANK[dispute.status] !== undefined ? dispute.status : 'PENDING',
+      guestName: dispute.guestName || 'Unknown Guest',
+      guestEmail: dispute.guestEmail || null,
+      amount: dispute.amount,
+      currency: dispute.currency || 'USD',
+      transactionId: dispute.transactionId || dispute.disputeId,
+      cardLastFour: dispute.cardLastFour || null,
+      cardBrand: dispute.cardBrand || null,
+      reasonCode: dispute.reasonCode || 'UNKNOWN',
+      reasonDescription: dispute.reasonDescription || null,
+      disputeDate,
+      dueDate: deadline?.dueDate || null,
+      processorDisputeId: dispute.disputeId,
+      checkInDate: dispute.checkInDate ? new Date(dispute.checkInDate) : stayDate,
+      checkOutDate: dispute.checkOutDate ? new Date(dispute.checkOutDate) : stayDate,
+      confirmationNumber: dispute.confirmationNumber || null,
+      propertyId,
+      providerId: provider.id
+    }
+  }));
+  const { caseNumber } = chargeback;
+
+  await prisma.timelineEvent.create({
+    data: {
+      chargebackId: chargeback.id,
+      eventType: 'ALERT',
+      title: `Dispute Received from ${provider.name}`,
+      description: `New ${dispute.reasonCode || 'UNKNOWN'} dispute for ${dispute.currency || 'USD'} ${Number(dispute.amount).toFixed(2)}${dispute.reasonDescription ? ` — ${dispute.reasonDescription}` : ''}`,
+      metadata: { source, eventType, processorDisputeId: dispute.disputeId, stage: dispute.chargebackStage || null }
+    }
+  });
+
+  await autoAssignCase(chargeback);
+
+  logger.info(`Webhook intake: created ${caseNumber} from ${source} dispute ${dispute.disputeId}`);
+
+  // Matching and evidence collection run after the webhook is acknowledged
+  try {
+    await getQueue('evidence-collection').add(INTAKE_PIPELINE_JOB, { chargebackId: chargeback.id, caseNumber });
+  } catch (error) {
+    logger.error(`Webhook intake: could not queue the intake pipeline for ${caseNumber}:`, error.message);
+  }
+
+  return { action: 'created', chargebackId: chargeback.id, caseNumber };
+}
+
+async function _updateChargeback(existing, dispute, source, eventType) {
+  const data = {};
+
+  if (dispute.status && STATUS_RANK[dispute.status] > STATUS_RANK[existing.status]) {
+    data.status = dispute.status;
+    if (RESOLVED_STATUSES.includes(dispute.status)) data.resolvedAt = new Date();
+    if (dispute.status === 'EXPIRED') data.lostAmount = dispute.amount || existing.amount;
+  }
+  if (dispute.dueDate) {
+    const deadline = await resolveCaseDeadline(existing, { portalDueDate: dispute.dueDate });
+    if (deadline && deadline.dueDate.getTime() !== existing.dueDate?.getTime()) {
+      data.dueDate = deadline.dueDate;
+    }
+  }
+  if (dispute.amount && Number(dispute.amount) !== Number(existing.amount)) {
+    data.amount = dispute.amount;
+  }
+
+  if (Object.keys(data).length === 0) {
+    logger.info(`Webhook intake: ${existing.caseNumber} unchanged by ${source} ${eventType}`);
+    return { action: 'unchanged', chargebackId: existing.id, caseNumber: existing.caseNumber };
+  }
+
+  await prisma.chargeback.update({ where: { id: existing.id }, data });
+
+  const resolved = data.status && RESOLVED_STATUSES.includes(data.status);
+  await prisma.timelineEvent.create({
+    data: {
+      chargebackId: existing.id,
+      eventType: resolved && (data.status === 'WON' || data.status === 'LOST') ? data.status : 'INFO',
+      title: data.status ? `Status Updated by ${PROVIDER_NAMES[source] || source}: ${data.status}` : `Dispute Updated by ${PROVIDER_NAMES[source] || source}`,
+      description: `${eventType} received${dispute.portalStatus ? ` (portal status: ${dispute.portalStatus})` : ''}`,
+      metadata: { source, eventType, changes: Object.keys(data), portalStatus: dispute.portalStatus || null }
+    }
+  });
+
+  logger.info(`Webhook intake: updated ${existing.caseNumber} from ${source} ${eventType}`);
+
+  return { action: 'updated', chargebackId: existing.id, caseNumber: existing.caseNumber };
+}
+
+/**
+ * Match a new case to a stored reservation, then run auto evidence collection
+ * and scoring, writing each step to the case timeline.
+ *
+ * @param {string} chargebackId
+ * @returns {Promise<Object>} Auto-collect pipeline result
+ */
+async function runIntakePipeline(chargebackId) {
+  let chargeback = await prisma.chargeback.findUnique({ where: { id: chargebackId } });
+  if (!chargeback) throw new Error(`Chargeback ${chargebackId} not found`);
+
+  const reservation = await _matchStoredReservation(chargeback);
+  if (reservation) {
+    chargeback = await prisma.chargeback.update({
+      where: { id: chargeback.id },
+      data: {
+        reservationId: reservation.id,
+        confirmationNumber: reservation.confirmationNumber,
+        checkInDate: reservation.checkInDate,
+        checkOutDate: reservation.checkOutDate,
+        roomNumber: reservation.roomNumber,
+        roomType: reservation.roomType,
+        guestEmail: chargeback.guestEmail || reservation.guestEmail,
+        guestPhone: chargeback.guestPhone || reservation.guestPhone,
+        guestName: chargeback.guestName === 'Unknown Guest' ? reservation.guestName : chargeback.guestName
+      }
+    });
+
+    await prisma.timelineEvent.create({
+      data: {
+        chargebackId: chargeback.id,
+        eventType: 'SUCCESS',
+        title: 'Reservation Matched',
+        description: `Matched to reservation ${reservation.confirmationNumber} (${reservation.guestName}, room ${reservation.roomNumber || 'n/a'})`,
+        metadata: { source: 'intake_pipeline', reservationId: reservation.id }
+      }
+    });
+  }
+
+  const result = await collectEvidenceForCase({
+    ...chargeback,
+    amount: Number(chargeback.amount)
+  });
+
+  // The stored reservation match supersedes the emulator's "no match" warning
+  const timeline = reservation
+    ? result.timeline.filter((event) => event.title !== 'No Reservation Match Found')
+    : result.timeline;
+
+  for (const event of timeline) {
+    await prisma.timelineEvent.create({
+      data: {
+        chargebackId: chargeback.id,
+        eventType: event.eventType,
+        title: event.title,
+        description: event.description,
+        metadata: { source: 'intake_pipeline' }
+      }
+    });
+  }
+
+  if (result.analysis) {
+    await prisma.chargeback.update({
+      where: { id: chargeback.id },
+      data: {
+        confidenceScore: result.analysis.confidenceScore,
+        recommendation: result.analysis.recommendation,
+        fraudIndicators: result.analysis.fraudIndicators,
+        aiAnalysis: result.analysis
+      }
+    });
+  }
+
+  return result;
+}
+
+/**
+ * Look for the disputed stay among reservations synced from the PMS.
+ * Confirmation number wins; otherwise card last four with a checkout on or
+ * before the dispute date.
+ */
+async function _matchStoredReservation(chargeback) {
+  if (chargeback.confirmationNumber) {
+    const byConfirmation = await prisma.reservation.findFirst({
+      where: { propertyId: chargeback.propertyId, confirmationNumber: chargeback.confirmationNumber }
+    });
+    if (byConfirmation) return byConfirmation;
+  }
+
+  if (!chargeback.cardLastFour) return null;
+
+  const candidates = await prisma.reservation.findMany({
+    where: {
+      propertyId: chargeback.propertyId,
+      cardLastFour: chargeback.cardLastFour,
+      checkOutDate: { lte: chargeback.disputeDate }
+    },
+    orderBy: { checkOutDate: 'desc' },
+    take: 5
+  });
+
+  const lastName = (chargeback.guestName || '').trim().split(/\s+/).pop()?.toLowerCase();
+  const byName = lastName && lastName !== 'guest'
+    ? candidates.find((r) => r.guestName.toLowerCase().includes(lastName))
+    : null;
+
+  return byName || (candidates.length === 1 ? candidates[0] : null);
+}
+
+/**
+ * Demo mode: notify and run the emulator pipeline without persisting.
+ */
+async function _ingestDemo(source, dispute) {
+  const caseId = `demo-${Date.now()}`;
+  const caseNumber = `CB-${new Date().getFullYear()}-${String(Math.floor(Math.random() * 10000)).padStart(4, '0')}`;
+
+  addDemoNotification({
+    type: 'CHARGEBACK_ALERT',
+    priority: 'HIGH',
+    title: 'New Chargeback Alert',
+    message: `A new ${PROVIDER_NAMES[source] || source} dispute for $${Number(dispute.amount || 0).toFixed(2)} (${dispute.reasonCode || 'UNKNOWN'}) has been received.`,
+    link: `/cases/${caseId}`,
+    metadata: { caseId, source, processorDisputeId: dispute.disputeId }
+  });
+
+  const result = await collectEvidenceForCase({ ...dispute, id: caseId, caseNumber });
+
+  return { action: 'created', chargebackId: caseId, caseNumber, pipeline: result.pipeline, isDemo: true };
+}
+
+module.exports = {
+  INTAKE_PIPELINE_JOB,
+  ingestDispute,
+  runIntakePipeline,
+  resolveProvider,
+  holdForTriage
+};
@@ -0,0 +1,144 @@
+/**
+ * DisputeAI - Dispute Stage Tracking
+ * Keeps a case's lifecycle stage (Chargeback.disputeStage) and response
+ * deadline in step with what the dispute portal reports.
+ *
+ * Stages are the portal adapters' own vocabulary, e.g. Amex
+ * inquiry → chargeback, Mastercom claim → first_chargeback →
+ * second_presentment → pre_arbitration → arbitration. Each move is recorded
+ * on the case timeline.
+ *
+ * Some portals open a new dispute record when a stage changes (Amex issues a
+ * new case number when an inquiry converts to a chargeback). Adapters expose
+ * the earlier record as normalized.relatedDisputeId so the existing case can
+ * be carried forward instead of opening a duplicate.
+ */
+
+const { prisma } = require('../config/database');
+const logger = require('../utils/logger');
+const { resolveCaseDeadline, formatDueDate } = require('./deadlines');
+
+const STAGE_LABELS = {
+  inquiry: 'Inquiry',
+  claim: 'Claim',
+  chargeback: 'Chargeback',
+  first_chargeback: 'First Chargeback',
+  second_presentment: 'Second Presentment',
+  representment: 'Representment',
+  pre_arbitration: 'Pre-Arbitration',
+  arbitration: 'Arbitration'
+};
+
+function stageLabel(stage) {
+  return STAGE_LABELS[stage] || (stage ? stage.replace(/_/g, ' ') : 'Unknown');
+}
+
+/**
+ * Update a case's stage and due date from a normalized portal dispute,
+ * adding a timeline event when the stage moves. The due date comes from the
+ * deadline engine: the portal's reply-by date when it sends one, otherwise
+ * recalculated from the network rules whenever the stage changes.
+ *
+ * @param {Object} chargeback  - Existing Chargeback record
+ * @param {Object} normalized  - adapter.normalizeDispute() output
+ * @param {string} portalType  - e.g. 'AMEX'
+ * @returns {Promise<boolean>} true when anything changed
+ */
+async function applyStageChange(chargeback, normalized, portalType) {
+  const data = {};
+  const stage = normalized.disputeStage || null;
+  const stageChanged = Boolean(stage) && stage !== chargeback.disputeStage;
+
+  let dueDate = chargeback.dueDate || null;
+  let deadline = null;
+  if (stageChanged || normalized.dueDate) {
+    deadline = await resolveCaseDeadline(chargeback, {
+      stage: stage || chargeback.disputeStage,
+      // A new stage starts its window now; a case's first known stage dates from the dispute
+      openedAt: stageChanged && chargeback.disputeStage ? new Date() : chargeback.disputeDate,
+      portalDueDate: normalized.dueDate
+    });
+    dueDate = deadline ? deadline.dueDate : null;
+  }
+
+  if (stageChanged) data.disputeStage = stage;
+  if ((chargeback.dueDate?.getTime() ?? null) !== (dueDate?.getTime() ?? null)) data.dueDate = dueDate;
+  if (Object.keys(data).length === 0) return false;
+
+  await prisma.chargeback.update({ where: { id: chargeback.id }, data });
+
+  if (data.disputeStage) {
+    await prisma.timelineEvent.create({
+      data: {
+        chargebackId: chargeback.id,
+        eventType: normalized.awaiting === 'issuer' ? 'INFO' : 'WARNING',
+        title: `${portalType} case moved to ${stageLabel(stage)}`,
+        description: [
+          chargeback.disputeStage ? `${stageLabel(chargeback.disputeStage)} → ${stageLabel(stage)}` : null,
+          normalized.stageAction || null,
+          dueDate ? `Respond by ${formatDueDate(dueDate, deadline?.timezone)}` : null
+        ].filter(Boolean).join(' · '),
+        metadata: { source: portalType, fromStage: chargeback.disputeStage || null, toStage: stage, dueDate }
+      }
+    });
+  }
+
+  return true;
+}
+
+/**
+ * Carry an existing case forward when the portal re-issued the dispute under
+ * a new ID (e.g. an Amex inquiry converted to a chargeback).
+ *
+ * @param {Object} normalized - adapter.normalizeDispute() output with relatedDisputeId
+ * @param {string} portalType
+ * @returns {Promise<Object|null>} The promoted case, or null when there is no related case
+ */
+async function promoteRelatedCase(normalized, portalType) {
+  if (!normalized.relatedDisputeId) return null;
+
+  const related = await prisma.chargeback.findFirst({
+    where: { processorDisputeId: normalized.relatedDisputeId }
+  });
+  if (!related) return null;
+
+  const previousStage = related.disputeStage;
+  const promoted = await prisma.chargeback.update({
+    where: { id: related.id },
+    data: {
+      processorDisputeId: normalized.disputeId,
+      reasonCode: normalized.reasonCode || related.reasonCode,
+      reasonDescription: normalized.reasonDescription || related.reasonDescription,
+      amount: normalized.amount || related.amount,
+      status: 'PENDING',
+      resolvedAt: null
+    }
+  });
+
+  await prisma.timelineEvent.create({
+    data: {
+      chargebackId: related.id,
+      eventType: 'ALERT',
+      title: `${portalType} ${stageLabel(previousStage).toLowerCase()} converted to ${stageLabel(normalized.disputeStage).toLowerCase()}`,
+      description: `${portalType} opened ${normalized.disputeId} (${normalized.reasonCode}${normalized.reasonDescription ? ` — ${normalized.reasonDescription}` : ''}) from ${normalized.relatedDisputeId}`,
+      metadata: {
+        source: portalType,
+        previousDisputeId: normalized.relatedDisputeId,
+        disputeId: normalized.disputeId,
+        reasonCode: normalized.reasonCode
+      }
+    }
+  });
+
+  await applyStageChange(promoted, normalized, portalType);
+
+  logger.info(`[DisputeStages] Case ${related.caseNumber} carried forward from ${normalized.relatedDisputeId} to ${normalized.disputeId}`);
+  return promoted;
+}
+
+module.exports = {
+  STAGE_LABELS,
+  stageLabel,
+  applyStageChange,
+  promoteRelatedCase
+};
@@ -0,0 +1,314 @@
+/**
+ * DisputeAI - AI-Powered Chargeback Defense Platform
+ * Adyen Disputes Adapter
+ *
+ * Handles Adyen's dispute notification webhooks:
+ *   - Verify the per-item HMAC signature (additionalData.hmacSignature)
+ *   - Normalize NOTIFICATION_OF_CHARGEBACK / CHARGEBACK / SECOND_CHARGEBACK /
+ *     PREARBITRATION_* items into DisputeAI's dispute format
+ *
+ * Auth: Webhook HMAC key (hex) from the Adyen Customer Area, configured via
+ *       credentials.hmacKey or the ADYEN_HMAC_KEY env var.
+ *
+ * Adyen batches notifications: one request may carry several
+ * NotificationRequestItem entries, each signed individually.
+ */
+
+const crypto = require('crypto');
+const logger = require('../../utils/logger');
+const BaseDisputeAdapter = require('./BaseDisputeAdapter');
+
+// =============================================================================
+// ADYEN EVENT MAPPINGS
+// =============================================================================
+
+// Adyen dispute eventCode -> DisputeAI internal status
+const STATUS_MAP_FROM_ADYEN = {
+  'NOTIFICATION_OF_CHARGEBACK': 'PENDING',
+  'REQUEST_FOR_INFORMATION': 'PENDING',
+  'CHARGEBACK': 'PENDING',
+  'INFORMATION_SUPPLIED': 'SUBMITTED',
+  'CHARGEBACK_REVERSED': 'WON',
+  'PREARBITRATION_WON': 'WON',
+  'SECOND_CHARGEBACK': 'LOST',
+  'PREARBITRATION_LOST': 'LOST',
+  'DISPUTE_DEFENSE_PERIOD_ENDED': 'EXPIRED'
+};
+
+// additionalData.disputeStatus overrides the event-level status when present
+const DISPUTE_STATUS_MAP = {
+  'undefended': 'PENDING',
+  'pending': 'PENDING',
+  'unresponded': 'PENDING',
+  'responded': 'SUBMITTED',
+  'won': 'WON',
+  'lost': 'LOST',
+  'accepted': 'LOST',
+  'expired': 'EXPIRED'
+};
+
+// Adyen notification eventCodes that concern disputes
+const DISPUTE_EVENT_CODES = Object.keys(STATUS_MAP_FROM_ADYEN);
+
+// Adyen chargeback stage per eventCode
+const STAGE_MAP = {
+  'NOTIFICATION_OF_CHARGEBACK': 'first_chargeback',
+  'REQUEST_FOR_INFORMATION': 'inquiry',
+  'CHARGEBACK': 'first_chargeback',
+  'SECOND_CHARGEBACK': 'second_chargeback',
+  'PREARBITRATION_WON': 'pre_arbitration',
+  'PREARBITRATION_LOST': 'pre_arbitration'
+};
+
+// Adyen dispute eventCode -> standard webhook event type
+const WEBHOOK_EVENT_TYPES = {
+  'NOTIFICATION_OF_CHARGEBACK': 'dispute.created',
+  'REQUEST_FOR_INFORMATION': 'dispute.created',
+  'CHARGEBACK': 'dispute.updated',
+  'INFORMATION_SUPPLIED': 'dispute.updated',
+  'SECOND_CHARGEBACK': 'dispute.updated',
+  'DISPUTE_DEFENSE_PERIOD_ENDED': 'dispute.updated',
+  'CHARGEBACK_REVERSED': 'dispute.resolved',
+  'PREARBITRATION_WON': 'dispute.resolved',
+  'PREARBITRATION_LOST': 'dispute.resolved'
+};
+
+// Currencies with no minor unit
+const ZERO_DECIMAL_CURRENCIES = ['CVE', 'IDR', 'ISK', 'JPY', 'KRW', 'PYG', 'RWF', 'UGX', 'VND', 'XAF', 'XOF', 'XPF'];
+
+
+class AdyenDisputeAdapter extends BaseDisputeAdapter {
+  /**
+   * @param {Object} [config]
+   * @param {Object} [config.credentials]
+   * @param {string} [config.credentials.hmacKey]         - Webhook HMAC key (hex)
+   * @param {string} [config.credentials.merchantAccount] - Adyen merchant account code
+   */
+  constructor(config = {}) {
+    super({
+      ...config,
+      name: 'Adyen Disputes',
+      type: 'dispute',
+      portalType: config.portalType || 'ADYEN',
+      baseUrl: config.baseUrl || process.env.ADYEN_DISPUTE_API_URL || 'https://ca-test.adyen.com/ca/services/DisputeService/v30'
+    });
+
+    this.hmacKey = this.credentials.hmacKey || this.credentials.webhookSecret || process.env.ADYEN_HMAC_KEY || '';
+    this.merchantAccount = this.credentials.merchantAccount || process.env.ADYEN_MERCHANT_ACCOUNT || null;
+  }
+
+  // ===========================================================================
+  // WEBHOOK MANAGEMENT
+  // ===========================================================================
+
+  /**
+   * Verify the HMAC signature of a single NotificationRequestItem.
+   *
+   * @param {Object} item - NotificationRequestItem
+   * @param {string} [hmacKey] - Hex HMAC key; defaults to the configured one
+   * @returns {boolean}
+   */
+  verifyNotificationItem(item, hmacKey = this.hmacKey) {
+    const signature = item?.additionalData?.hmacSignature;
+    if (!signature || !hmacKey) return false;
+
+    const signingString = [
+      item.pspReference || '',
+      item.originalReference || '',
+      item.merchantAccountCode || '',
+      item.merchantReference || '',
+      item.amount?.value ?? '',
+      item.amount?.currency || '',
+      item.eventCode || '',
+      item.success || ''
+    ].join(':');
+
+    const expected = crypto
+      .createHmac('sha256', Buffer.from(hmacKey, 'hex'))
+      .update(signingString, 'utf8')
+      .digest('base64');
+
+    const expectedBuf = Buffer.from(expected);
+    const providedBuf = Buffer.from(signature);
+    if (expectedBuf.length !== providedBuf.length) return false;
+
+    return crypto.timingSafeEqual(expectedBuf, providedBuf);
+  }
+
+  /**
+   * Parse an Adyen notification request. Every item must carry a valid HMAC
+   * signature; without a configured HMAC key every delivery is refused.
+   *
+   * The top-level event describes the first notification item; a batch can
+   * carry several, so every item is also returned with its own type.
+   *
+   * @param {string|Buffer|Object} payload - Raw request body
+   * @param {Object} [headers] - Request headers
+   * @param {Object} [options]
+   * @param {boolean} [options.verify=true] - false only for replaying a stored, already verified event
+   * @returns {Object} { type, data, eventId, timestamp, rawEventType, items: [{ type, eventCode, eventId, isDispute, dispute, item }], live, rawData }
+   */
+  parseWebhookPayload(payload, headers = {}, { verify = true } = {}) {
+    let parsed;
+
+    if (typeof payload === 'string' || Buffer.isBuffer(payload)) {
+      try {
+        parsed = JSON.parse(payload.toString('utf-8'));
+      } catch (err) {
+        logger.error('[Adyen] Failed to parse webhook payload as JSON:', err.message);
+        throw new Error('Invalid Adyen webhook payload: not valid JSON');
+      }
+    } else {
+      parsed = payload;
+    }
+
+    const items = (parsed.notificationItems || [])
+      .map((entry) => entry.NotificationRequestItem || entry)
+      .filter(Boolean);
+
+    if (verify) {
+      if (!this.hmacKey) {
+        logger.warn('[Adyen] Webhook refused: no HMAC key configured');
+        throw new Error('Webhook signing secret not configured');
+      }
+
+      const invalid = items.find((item) => !this.verifyNotificationItem(item));
+      if (invalid) {
+        logger.warn(`[Adyen] Webhook HMAC verification failed for ${invalid.pspReference}`);
+        throw new Error('Invalid webhook signature');
+      }
+    }
+
+    const events = items.map((item) => {
+      const isDispute = DISPUTE_EVENT_CODES.includes(item.eventCode);
+      return {
+        type: WEBHOOK_EVENT_TYPES[item.eventCode] || 'dispute.updated',
+        eventCode: item.eventCode,
+        eventId: `${item.pspReference}:${item.eventCode}:${item.eventDate || ''}`,
+        isDispute,
+        dispute: isDispute ? this.normalizeDispute(item) : null,
+        item
+      };
+    });
+    const first = events[0];
+
+    return {
+      type: first?.type || 'dispute.updated',
+      data: first?.item || {},
+      eventId: first?.eventId,
+      timestamp: first?.item.eventDate || new Date().toISOString(),
+      rawEventType: first?.eventCode,
+      items: events,
+      live: parsed.live === 'true' || parsed.live === true,
+      rawData: parsed
+    };
+  }
+
+  // ===========================================================================
+  // NORMALIZATION
+  // ===========================================================================
+
+  /**
+   * Normalize an Adyen dispute NotificationRequestItem into DisputeAI's
+   * standard format. The original payment's pspReference identifies the
+   * dispute across its lifecycle.
+   *
+   * @param {Object} item - NotificationRequestItem
+   * @returns {Object} Normalized dispute object
+   */
+  normalizeDispute(item) {
+    const additional = item.additionalData || {};
+    const paymentReference = item.originalReference || item.pspReference;
+    const currency = (item.amount?.currency || 'USD').toUpperCase();
+    const reasonCode = additional.chargebackReasonCode || '';
+    const reasonInfo = this.normalizeReasonCode(reasonCode, additional.chargebackSchemeCode || item.paymentMethod, item.reason);
+
+    return {
+      disputeId: paymentReference,
+      caseNumber: null,
+      amount: this._fromMinorUnits(item.amount?.value, currency),
+      currency,
+      cardLastFour: additional.cardSummary || '',
+      cardBrand: this._normalizeCardBrand(additional.chargebackSchemeCode || item.paymentMethod),
+      guestName: additional.cardHolderName || additional.shopperName || '',
+      guestEmail: additional.shopperEmail || '',
+      reasonCode: reasonInfo.code,
+      reasonCategory: reasonInfo.category,
+      reasonDescription: reasonInfo.description,
+      disputeDate: item.eventDate || new Date().toISOString(),
+      dueDate: additional.defensePeriodEndsAt || additional.defendableUntil || null,
+      status: this.normalizeDisputeStatus(item.eventCode, additional.disputeStatus),
+      portalStatus: additional.disputeStatus || item.eventCode,
+      chargebackStage: STAGE_MAP[item.eventCode] || 'first_chargeback',
+      transactionId: paymentReference,
+      transactionDate: null,
+      merchantDescriptor: item.merchantAccountCode || '',
+      merchantReference: item.merchantReference || null,
+      propertyId: additional['metadata.propertyId'] || null,
+      portalType: 'ADYEN',
+      rawData: item
+    };
+  }
+
+  /**
+   * Map an Adyen eventCode (and optional disputeStatus) to DisputeAI status.
+   */
+  normalizeDisputeStatus(eventCode, disputeStatus) {
+    if (disputeStatus && DISPUTE_STATUS_MAP[String(disputeStatus).toLowerCase()]) {
+      return DISPUTE_STATUS_MAP[String(disputeStatus).toLowerCase()];
+    }
+    return STATUS_MAP_FROM_ADYEN[eventCode] || 'PENDING';
+  }
+
+  /**
+   * Map a scheme reason code to a structured object. Adyen passes the card
+   * network's own code, so only the category is derived here.
+   */
+  normalizeReasonCode(code, scheme, reasonText) {
+    if (!code) {
+      return { code: 'UNKNOWN', category: 'UNKNOWN', description: reasonText || 'Unknown reason code' };
+    }
+
+    const normalized = String(code).trim();
+    const description = reasonText || `Reason Code ${normalized}`;
+
+    if (normalized.startsWith('10.') || ['4837', '4840', '4863', '4870', '4871', 'F24', 'F29', 'UA01', 'UA02'].includes(normalized)) {
+      return { code: normalized, category: 'FRAUD', description };
+    }
+    if (normalized.startsWith('12.') || ['4834', '4831', 'P01', 'P08'].includes(normalized)) {
+      return { code: normalized, category: 'PROCESSING_ERROR', description };
+    }
+    if (normalized.startsWith('11.')) {
+      return { code: normalized, category: 'AUTHORIZATION', description };
+    }
+    if (normalized.startsWith('13.') || normalized.startsWith('48') || normalized.startsWith('C')) {
+      return { code: normalized, category: 'CONSUMER_DISPUTE', description };
+    }
+
+    return { code: normalized, category: 'UNKNOWN', description };
+  }
+
+  getFeatures() {
+    return ['status_tracking', 'webhook_notifications'];
+  }
+
+  // ===========================================================================
+  // HELPERS
+  // ===========================================================================
+
+  _fromMinorUnits(value, currency) {
+    const amount = Number(value || 0);
+    return ZERO_DECIMAL_CURRENCIES.includes(currency) ? amount : amount / 100;
+  }
+
+  _normalizeCardBrand(scheme) {
+    const value = (scheme || '').toLowerCase();
+    if (value.startsWith('visa')) return 'VISA';
+    if (value.startsWith('mc') || value.startsWith('mastercard')) return 'MASTERCARD';
+    if (value.startsWith('amex')) return 'AMEX';
+    if (value.startsWith('discover')) return 'DISCOVER';
+    return value ? 'OTHER' : 'UNKNOWN';
+  }
+}
+
+module.exports = AdyenDisputeAdapter;
@@ -1,13 +1,732 @@
+/**
+ * DisputeAI - AI-Powered Chargeback Defense Platform
+ * American Express Merchant Disputes Adapter
+ *
+ * Implements two-way integration with the American Express merchant dispute
+ * API. Amex runs as its own acquirer, so disputes come straight from Amex
+ * rather than through a processor, in two phases:
+ *
+ *   INQUIRY → CHARGEBACK
+ *
+ *   - An inquiry is a request for information on a charge. The merchant has a
+ *     fixed window to reply; an inquiry left unanswered is converted into a
+ *     chargeback automatically (reason R13 "No Reply") with no further recourse
+ *     for the information that was requested.
+ *   - A chargeback debits the merchant. It can be contested with supporting
+ *     documents within its own response window, or accepted.
+ *
+ * Converted chargebacks carry a new case number; the originating inquiry is
+ * referenced in inquiryCaseNumber and surfaced as relatedDisputeId so the
+ * existing DisputeAI case is carried forward instead of duplicated.
+ *
+ * Auth: HMAC "MAC" Authorization header (client ID + secret) plus X-AMEX-API-KEY.
+ * Base URL: https://api.qa.americanexpress.com (configurable via AMEX_DISPUTES_API_URL env var)
+ */
+
+const crypto = require('crypto');
+const axios = require('axios');
+const logger = require('../../utils/logger');
 const BaseDisputeAdapter = require('./BaseDisputeAdapter');
 
+// =============================================================================
+// AMEX REASON CODE MAPPINGS
+// =============================================================================
+
+const AMEX_REASON_CODES = {
+  // Authorization
+  'A01': { code: 'A01', category: 'AUTHORIZATION', description: 'Charge Amount Exceeds Authorization Amount' },
+  'A02': { code: 'A02', category: 'AUTHORIZATION', description: 'No Valid Authorization' },
+  'A08': { code: 'A08', category: 'AUTHORIZATION', description: 'Authorization Approval Expired' },
+
+  // Card member disputes
+  'C02': { code: 'C02', category: 'CONSUMER_DISPUTE', description: 'Credit Not Processed' },
+  'C04': { code: 'C04', category: 'CONSUMER_DISPUTE', description: 'Goods/Services Returned or Refused' },
+  'C05': { code: 'C05', category: 'CONSUMER_DISPUTE', description: 'Goods/Services Cancelled' },
+  'C08': { code: 'C08', category: 'CONSUMER_DISPUTE', description: 'Goods/Services Not Received or Only Partially Received' },
+  'C14': { code: 'C14', category: 'CONSUMER_DISPUTE', description: 'Paid by Other Means' },
+  'C18': { code: 'C18', category: 'CONSUMER_DISPUTE', description: '"No Show" or CARDeposit Cancelled' },
+  'C28': { code: 'C28', category: 'CONSUMER_DISPUTE', description: 'Cancelled Recurring Billing' },
+  'C31': { code: 'C31', category: 'CONSUMER_DISPUTE', description: 'Goods/Services Not as Described' },
+  'C32': { code: 'C32', category: 'CONSUMER_DISPUTE', description: 'Goods/Services Damaged or Defective' },
+  'M10': { code: 'M10', category: 'CONSUMER_DISPUTE', description: 'Vehicle Rental - Capital Damages' },
+  'M49': { code: 'M49', category: 'CONSUMER_DISPUTE', description: 'Vehicle Rental - Theft or Loss of Use' },
+
+  // Fraud
+  'F10': { code: 'F10', category: 'FRAUD', description: 'Missing Imprint' },
+  'F14': { code: 'F14', category: 'FRAUD', description: 'Missing Signature' },
+  'F24': { code: 'F24', category: 'FRAUD', description: 'No Card Member Authorization' },
+  'F29': { code: 'F29', category: 'FRAUD', description: 'Card Not Present' },
+  'F30': { code: 'F30', category: 'FRAUD', description: 'EMV Counterfeit' },
+  'F31': { code: 'F31', category: 'FRAUD', description: 'EMV Lost/Stolen/Non-Received' },
+  'FR2': { code: 'FR2', category: 'FRAUD', description: 'Fraud Full Recourse Program' },
+  'FR4': { code: 'FR4', category: 'FRAUD', description: 'Immediate Chargeback Program' },
+  'FR6': { code: 'FR6', category: 'FRAUD', description: 'Partial Immediate Chargeback Program' },
+
+  // Processing errors
+  'P01': { code: 'P01', category: 'PROCESSING_ERROR', description: 'Unassigned Card Number' },
+  'P03': { code: 'P03', category: 'PROCESSING_ERROR', description: 'Credit Processed as Charge' },
+  'P04': { code: 'P04', category: 'PROCESSING_ERROR', description: 'Charge Processed as Credit' },
+  'P05': { code: 'P05', category: 'PROCESSING_ERROR', description: 'Incorrect Charge Amount' },
+  'P07': { code: 'P07', category: 'PROCESSING_ERROR', description: 'Late Submission' },
+  'P08': { code: 'P08', category: 'PROCESSING_ERROR', description: 'Duplicate Charge' },
+  'P22': { code: 'P22', category: 'PROCESSING_ERROR', description: 'Non-Matching Card Number' },
+  'P23': { code: 'P23', category: 'PROCESSING_ERROR', description: 'Currency Discrepancy' },
+
+  // Inquiry outcomes (chargebacks raised from an inquiry)
+  'R03': { code: 'R03', category: 'PROCESSING_ERROR', description: 'Insufficient Reply' },
+  'R13': { code: 'R13', category: 'PROCESSING_ERROR', description: 'No Reply' },
+  'M01': { code: 'M01', category: 'PROCESSING_ERROR', description: 'Chargeback Authorization' }
+};
+
+// =============================================================================
+// CASE PHASES
+// =============================================================================
+
+const CASE_PHASES = {
+  INQUIRY: 'inquiry',
+  CHARGEBACK: 'chargeback'
+};
+
+// Merchant response windows in calendar days from the date Amex sent the case.
+// Amex sends a replyByDate on each case; these are used when it is absent.
+const PHASE_RULES = {
+  [CASE_PHASES.INQUIRY]: {
+    deadlineDays: 20,
+    action: 'Reply to inquiry with supporting documents or a credit',
+    consequence: 'Unanswered inquiries convert to an R13 "No Reply" chargeback'
+  },
+  [CASE_PHASES.CHARGEBACK]: {
+    deadlineDays: 20,
+    action: 'Contest the chargeback with supporting documents or accept it',
+    consequence: 'Unanswered chargebacks are closed in the card member\'s favor'
+  }
+};
+
+// Amex case status -> DisputeAI internal status
+const STATUS_MAP_FROM_AMEX = {
+  'open': 'PENDING',
+  'new': 'PENDING',
+  'pending_merchant': 'PENDING',
+  'in_review': 'IN_REVIEW',
+  'responded': 'SUBMITTED',
+  'pending_amex': 'SUBMITTED',
+  'resolved_in_merchant_favor': 'WON',
+  'reversed': 'WON',
+  'closed_no_action': 'WON',
+  'resolved_in_card_member_favor': 'LOST',
+  'accepted': 'LOST',
+  'converted_to_chargeback': 'LOST',
+  'expired': 'EXPIRED',
+  'withdrawn': 'CANCELLED'
+};
+
+// Inquiry reply types accepted by Amex
+const INQUIRY_RESPONSE_TYPES = ['SUPPORTING_DOCUMENTS', 'CREDIT_ISSUED', 'CREDIT_TO_BE_ISSUED', 'CARD_MEMBER_CONTACTED'];
+
+// Amex webhook notification types -> internal event types
+const WEBHOOK_EVENTS = {
+  'INQUIRY_CREATED': 'dispute.created',
+  'CHARGEBACK_CREATED': 'dispute.created',
+  'INQUIRY_UPDATED': 'dispute.updated',
+  'CHARGEBACK_UPDATED': 'dispute.updated',
+  'DOCUMENTS_REQUESTED': 'evidence.requested',
+  'CASE_CLOSED': 'dispute.closed',
+  'CASE_RESOLVED': 'dispute.resolved'
+};
+
+const API_PREFIX = '/merchant/disputes/v1';
+const MAX_DOCUMENT_BYTES = 10 * 1024 * 1024;
+const CASE_COLLECTIONS = { inquiry: 'inquiries', chargeback: 'chargebacks' };
+
+
 class AmexMerchantAdapter extends BaseDisputeAdapter {
+  /**
+   * @param {Object} config
+   * @param {Object} config.credentials
+   * @param {string} config.credentials.clientId      - Amex developer client ID (also the API key)
+   * @param {string} config.credentials.clientSecret  - Amex developer client secret (MAC key)
+   * @param {string} [config.credentials.seNumber]    - Service Establishment (merchant) number
+   * @param {string} [config.baseUrl]                 - Override default API base URL
+   */
   constructor(config = {}) {
-    super({ ...config, name: 'Amex Merchant', type: 'dispute' });
+    super({
+      ...config,
+      name: 'Amex Merchant',
+      type: 'dispute',
+      portalType: config.portalType || 'AMEX',
+      baseUrl: config.baseUrl || process.env.AMEX_DISPUTES_API_URL || 'https://api.qa.americanexpress.com'
+    });
+
+    this.clientId = this.credentials.clientId;
+    this.clientSecret = this.credentials.clientSecret;
+    this.seNumber = this.credentials.seNumber || null;
+
+    this._initHttpClient({
+      'X-AMEX-API-KEY': this.clientId || '',
+      ...(this.seNumber ? { 'X-AMEX-SE-NUMBER': this.seNumber } : {})
+    });
+
+    // Sign every request with the MAC scheme
+    this.httpClient.interceptors.request.use((reqConfig) => {
+      const url = new URL(this.httpClient.getUri(reqConfig));
+      const body = reqConfig.data === undefined ? '' :
+        (typeof reqConfig.data === 'string' ? reqConfig.data : JSON.stringify(reqConfig.data));
+      reqConfig.data = body || undefined;
+      reqConfig.headers['Authorization'] = this._buildMacHeader(reqConfig.method.toUpperCase(), url, body);
+      return reqConfig;
+    });
   }
 
   getFeatures() {
-    return ['dispute_submission', 'status_tracking', 'evidence_upload', 'webhook_notifications'];
+    return [
+      'dispute_submission', 'status_tracking', 'evidence_upload', 'webhook_notifications',
+      'inquiries', 'inquiry_response', 'chargeback_response'
+    ];
+  }
+
+  // ===========================================================================
+  // AUTHENTICATION
+  // ===========================================================================
+
+  /**
+   * Build the Amex MAC Authorization header.
+   *
+   * @param {string} method - HTTP method
+   * @param {URL} url       - Request URL
+   * @param {string} body   - Request body as sent
+   * @returns {string} Authorization header value
+   * @private
+   */
+  _buildMacHeader(method, url, body = '') {
+    if (!this.clientId || !this.clientSecret) {
+      throw new Error('Amex credentials missing: clientId and clientSecret are required');
+    }
+
+    const ts = String(Date.now());
+    const nonce = crypto.randomUUID();
+    const bodyHash = crypto.createHmac('sha256', this.clientSecret).update(body, 'utf8').digest('base64');
+    const mac = crypto
+      .createHmac('sha256', this.clientSecret)
+      .update(AmexMerchantAdapter.macBaseString({ ts, nonce, method, url, bodyHash }))
+      .digest('base64');
+
+    return `MAC id="${this.clientId}",ts="${ts}",nonce="${nonce}",bodyhash="${bodyHash}",mac="${mac}"`;
+  }
+
+  /**
+   * MAC base string: ts, nonce, method, path+query, host, port and body hash,
+   * newline-separated. Shared with the Amex mock so it can verify requests.
+   *
+   * @param {Object} parts - { ts, nonce, method, url (URL), bodyHash }
+   * @returns {string}
+   */
+  static macBaseString({ ts, nonce, method, url, bodyHash }) {
+    const port = url.port || (url.protocol === 'https:' ? '443' : '80');
+    return [ts, nonce, method.toUpperCase(), `${url.pathname}${url.search}`, url.hostname, port, bodyHash, ''].join('\n');
+  }
+
+  // ===========================================================================
+  // INBOUND: Receive FROM Amex
+  // ===========================================================================
+
+  /**
+   * Receive and normalize an inquiry or chargeback payload from Amex.
+   *
+   * @param {Object} caseData - Raw Amex case
+   * @returns {Promise<Object>} Normalized dispute object
+   */
+  async receiveDispute(caseData) {
+    const normalized = this.normalizeDispute(caseData);
+    logger.info(`[Amex] ${normalized.disputeStage} normalized: ${normalized.disputeId} | Reason: ${normalized.reasonCode} | Reply by: ${normalized.dueDate}`);
+    return normalized;
+  }
+
+  /**
+   * Retrieve one case. Amex keeps inquiries and chargebacks in separate
+   * collections; when the phase is unknown the chargeback is tried first.
+   *
+   * @param {string} caseNumber - Amex case number
+   * @param {string} [phase]    - 'inquiry' | 'chargeback'
+   * @returns {Promise<Object>} Normalized dispute
+   */
+  async getCase(caseNumber, phase) {
+    const phases = phase ? [phase] : [CASE_PHASES.CHARGEBACK, CASE_PHASES.INQUIRY];
+
+    for (const candidate of phases) {
+      try {
+        const response = await this._withRetry(() =>
+          this.httpClient.get(`${API_PREFIX}/${CASE_COLLECTIONS[candidate]}/${caseNumber}`)
+        );
+        return this.normalizeDispute({ caseType: candidate.toUpperCase(), ...response.data });
+      } catch (error) {
+        if (error.response?.status !== 404 || candidate === phases[phases.length - 1]) throw error;
+      }
+    }
+  }
+
+  /**
+   * Query Amex for the current status of a case.
+   *
+   * @param {string} caseNumber - Amex case number
+   * @param {string} [phase]    - 'inquiry' | 'chargeback'
+   * @returns {Promise<Object>} Status details
+   */
+  async getDisputeStatus(caseNumber, phase) {
+    const record = await this.getCase(caseNumber, phase);
+
+    return {
+      disputeId: caseNumber,
+      status: record.status,
+      portalStatus: record.portalStatus,
+      stage: record.disputeStage,
+      dueDate: record.dueDate,
+      lastUpdated: record.rawData.lastUpdatedDate || null,
+      outcome: record.rawData.resolution || null,
+      relatedDisputeId: record.relatedDisputeId
+    };
+  }
+
+  /**
+   * List inquiries updated since a date.
+   *
+   * @param {Object} params - { since, status, page, limit }
+   * @returns {Promise<Object>} { disputes, totalCount, hasMore, page }
+   */
+  async listInquiries(params = {}) {
+    return this._listCases(CASE_PHASES.INQUIRY, params);
+  }
+
+  /**
+   * List chargebacks updated since a date.
+   *
+   * @param {Object} params - { since, status, page, limit }
+   * @returns {Promise<Object>} { disputes, totalCount, hasMore, page }
+   */
+  async listChargebacks(params = {}) {
+    return this._listCases(CASE_PHASES.CHARGEBACK, params);
+  }
+
+  /**
+   * Pull inquiries and chargebacks together (used by scheduled sync).
+   * Inquiries come first so a converted chargeback in the same batch finds
+   * the case its inquiry created.
+   *
+   * @param {Object} params - { since, status, page, limit }
+   * @returns {Promise<Object>} { disputes (raw cases tagged with caseType), totalCount, hasMore, page }
+   */
+  async fetchDisputes(params = {}) {
+    const [inquiries, chargebacks] = await Promise.all([
+      this.listInquiries(params),
+      this.listChargebacks(params)
+    ]);
+
+    return {
+      disputes: [...inquiries.disputes, ...chargebacks.disputes],
+      totalCount: inquiries.totalCount + chargebacks.totalCount,
+      hasMore: inquiries.hasMore || chargebacks.hasMore,
+      page: params.page || 1
+    };
+  }
+
+  /**
+   * Normalized cases updated since a date.
+   *
+   * @param {Date|string} since
+   * @returns {Promise<Array<Object>>}
+   */
+  async getUpdates(since) {
+    const { disputes } = await this.fetchDisputes({ since });
+    return disputes.map((record) => this.normalizeDispute(record));
+  }
+
+  // ===========================================================================
+  // OUTBOUND: Send TO Amex
+  // ===========================================================================
+
+  /**
+   * Upload a response document to an inquiry or chargeback.
+   *
+   * @param {string} phase      - 'inquiry' | 'chargeback'
+   * @param {string} caseNumber - Amex case number
+   * @param {Object} file       - { fileName, mimeType, data (Buffer|base64) | url, description }
+   * @returns {Promise<Object>} { documentId, fileName }
+   */
+  async uploadDocument(phase, caseNumber, file) {
+    const content = await this._resolveFileContent(file);
+    if (content.length > MAX_DOCUMENT_BYTES) {
+      throw new Error(`Amex document ${file.fileName} exceeds the ${MAX_DOCUMENT_BYTES / 1024 / 1024}MB limit`);
+    }
+
+    const response = await this._withRetry(() =>
+      this.httpClient.post(`${API_PREFIX}/${CASE_COLLECTIONS[phase]}/${caseNumber}/documents`, {
+        fileName: file.fileName,
+        contentType: file.mimeType || 'application/pdf',
+        description: file.description || '',
+        content: content.toString('base64')
+      })
+    );
+
+    return {
+      documentId: response.data.documentId || response.data.id,
+      fileName: file.fileName
+    };
+  }
+
+  /**
+   * Reply to an inquiry. Documents are uploaded first and referenced in the reply.
+   *
+   * @param {string} caseNumber - Amex inquiry case number
+   * @param {Object} data
+   * @param {string} [data.responseType] - One of INQUIRY_RESPONSE_TYPES (default SUPPORTING_DOCUMENTS)
+   * @param {string} [data.memo]         - Merchant explanation
+   * @param {number} [data.creditAmount] - Required for CREDIT_ISSUED / CREDIT_TO_BE_ISSUED
+   * @param {Array<Object>} [data.files] - Documents (see uploadDocument)
+   * @returns {Promise<Object>} { submissionId, documentIds, status, stage, message, timestamp }
+   */
+  async respondToInquiry(caseNumber, data = {}) {
+    const responseType = data.responseType || 'SUPPORTING_DOCUMENTS';
+    if (!INQUIRY_RESPONSE_TYPES.includes(responseType)) {
+      throw new Error(`Invalid Amex inquiry response type ${responseType}`);
+    }
+    if (responseType.startsWith('CREDIT') && !data.creditAmount) {
+      throw new Error(`${responseType} requires creditAmount`);
+    }
+
+    const documentIds = await this._uploadAll(CASE_PHASES.INQUIRY, caseNumber, data.files);
+    if (responseType === 'SUPPORTING_DOCUMENTS' && documentIds.length === 0) {
+      throw new Error('Inquiry reply with SUPPORTING_DOCUMENTS requires at least one document');
+    }
+
+    // Built once so every retry carries the same idempotency key
+    const reply = {
+      responseType,
+      memo: (data.memo || '').slice(0, 2000),
+      creditAmount: data.creditAmount,
+      documentIds,
+      idempotencyKey: this._generateIdempotencyKey('amex_inq')
+    };
+    const response = await this._withRetry(() =>
+      this.httpClient.post(`${API_PREFIX}/inquiries/${caseNumber}/response`, reply)
+    );
+
+    logger.info(`[Amex] Inquiry ${caseNumber} answered (${responseType}, ${documentIds.length} documents)`);
+
+    return this._submissionResult(response.data, documentIds, CASE_PHASES.INQUIRY, 'Inquiry reply submitted');
+  }
+
+  /**
+   * Contest a chargeback with supporting documents.
+   *
+   * @param {string} caseNumber - Amex chargeback case number
+   * @param {Object} data       - { memo, files }
+   * @returns {Promise<Object>} { submissionId, documentIds, status, stage, message, timestamp }
+   */
+  async contestChargeback(caseNumber, data = {}) {
+    const documentIds = await this._uploadAll(CASE_PHASES.CHARGEBACK, caseNumber, data.files);
+    if (documentIds.length === 0) {
+      throw new Error('Contesting an Amex chargeback requires at least one document');
+    }
+
+    const contest = {
+      action: 'CONTEST',
+      memo: (data.memo || '').slice(0, 2000),
+      documentIds,
+      idempotencyKey: this._generateIdempotencyKey('amex_cb')
+    };
+    const response = await this._withRetry(() =>
+      this.httpClient.post(`${API_PREFIX}/chargebacks/${caseNumber}/response`, contest)
+    );
+
+    logger.info(`[Amex] Chargeback ${caseNumber} contested (${documentIds.length} documents)`);
+
+    return this._submissionResult(response.data, documentIds, CASE_PHASES.CHARGEBACK, 'Chargeback response submitted');
+  }
+
+  /**
+   * Submit an evidence package (disputeOutboundWorker SUBMIT_EVIDENCE).
+   * Answers the inquiry or contests the chargeback depending on the phase.
+   *
+   * @param {string} caseNumber - Amex case number
+   * @param {Object} evidence   - { files, metadata: { notes, disputeStage } }
+   * @returns {Promise<Object>} Submission result
+   */
+  async submitEvidence(caseNumber, evidence = {}) {
+    const phase = evidence.metadata?.disputeStage || (await this.getCase(caseNumber)).disputeStage;
+    const data = {
+      files: evidence.files || [],
+      memo: evidence.metadata?.notes || evidence.metadata?.narrative || ''
+    };
+
+    return phase === CASE_PHASES.INQUIRY
+      ? this.respondToInquiry(caseNumber, data)
+      : this.contestChargeback(caseNumber, data);
+  }
+
+  /**
+   * Accept a chargeback (or agree to an inquiry, which Amex converts to an
+   * M01 chargeback).
+   *
+   * @param {string} caseNumber - Amex case number
+   * @returns {Promise<Object>} Acceptance result
+   */
+  async acceptDispute(caseNumber) {
+    const record = await this.getCase(caseNumber);
+    const path = record.disputeStage === CASE_PHASES.INQUIRY
+      ? `${API_PREFIX}/inquiries/${caseNumber}/response`
+      : `${API_PREFIX}/chargebacks/${caseNumber}/response`;
+
+    const acceptance = {
+      action: 'ACCEPT',
+      memo: 'Liability accepted by merchant via DisputeAI',
+      idempotencyKey: this._generateIdempotencyKey('amex_accept')
+    };
+    const response = await this._withRetry(() => this.httpClient.post(path, acceptance));
+
+    logger.info(`[Amex] ${record.disputeStage} ${caseNumber} accepted (liability acknowledged)`);
+
+    return {
+      accepted: true,
+      disputeId: caseNumber,
+      responseId: response.data.responseId || response.data.id,
+      message: response.data.message || 'Liability accepted'
+    };
+  }
+
+  // ===========================================================================
+  // WEBHOOKS
+  // ===========================================================================
+
+  /**
+   * Parse an Amex dispute notification into a standardized event.
+   *
+   * @param {Object|string} payload - Raw webhook body
+   * @returns {Object} { type, data, eventId, timestamp, rawEventType }
+   */
+  parseWebhookPayload(payload) {
+    const event = typeof payload === 'string' ? JSON.parse(payload) : payload;
+    const rawType = event.notificationType || event.eventType;
+    const caseRecord = event.case || event.data || {};
+
+    return {
+      type: WEBHOOK_EVENTS[rawType] || 'dispute.updated',
+      data: {
+        caseType: rawType?.startsWith('INQUIRY') ? 'INQUIRY' : caseRecord.caseType,
+        ...caseRecord
+      },
+      eventId: event.notificationId || event.id,
+      timestamp: event.timestamp || new Date().toISOString(),
+      rawEventType: rawType
+    };
+  }
+
+  // ===========================================================================
+  // NORMALIZATION
+  // ===========================================================================
+
+  /**
+   * Normalize an Amex inquiry or chargeback into DisputeAI's standard format.
+   *
+   * @param {Object} record - Raw Amex case
+   * @returns {Object} Normalized dispute object
+   */
+  normalizeDispute(record) {
+    const phase = String(record.caseType || '').toUpperCase() === 'INQUIRY'
+      ? CASE_PHASES.INQUIRY
+      : CASE_PHASES.CHARGEBACK;
+    const reasonInfo = this.normalizeReasonCode(record.reasonCode);
+    const receivedDate = record.caseReceivedDate || record.createdDate;
+    const rule = PHASE_RULES[phase];
+
+    return {
+      disputeId: record.caseNumber,
+      caseNumber: record.caseNumber,
+      relatedDisputeId: record.inquiryCaseNumber || null,
+      amount: parseFloat(record.disputeAmount ?? record.chargeAmount ?? 0),
+      currency: record.currency || 'USD',
+      cardLastFour: record.cardNumberLast4 || '',
+      cardBrand: 'AMEX',
+      guestName: record.cardMemberName || '',
+      reasonCode: reasonInfo.code,
+      reasonCategory: reasonInfo.category,
+      reasonDescription: reasonInfo.description,
+      disputeDate: receivedDate,
+      dueDate: record.replyByDate || (receivedDate ? this.calculatePhaseDeadline(phase, receivedDate) : null),
+      status: this.normalizeDisputeStatus(record.status),
+      portalStatus: record.status,
+      disputeStage: phase,
+      stageAction: rule.action,
+      stageConsequence: rule.consequence,
+      alertType: phase === CASE_PHASES.INQUIRY ? 'INQUIRY' : 'DISPUTE',
+      isPreChargeback: phase === CASE_PHASES.INQUIRY,
+      transactionId: record.chargeReferenceNumber || '',
+      transactionDate: record.chargeDate || null,
+      authorizationCode: record.approvalCode || '',
+      merchantDescriptor: record.merchantName || '',
+      confirmationNumber: record.supplementalData?.folioNumber || record.supplementalData?.reservationNumber || null,
+      checkInDate: record.supplementalData?.checkInDate || null,
+      checkOutDate: record.supplementalData?.checkOutDate || null,
+      requestedDocuments: record.requestedDocuments || [],
+      portalType: 'AMEX',
+      rawData: record
+    };
+  }
+
+  /**
+   * Reply-by date for a phase when Amex did not send one.
+   *
+   * @param {string} phase - CASE_PHASES value
+   * @param {Date|string} receivedDate - Date Amex sent the case
+   * @returns {string} ISO deadline
+   */
+  calculatePhaseDeadline(phase, receivedDate) {
+    const deadline = new Date(receivedDate);
+    deadline.setDate(deadline.getDate() + (PHASE_RULES[phase] || PHASE_RULES[CASE_PHASES.CHARGEBACK]).deadlineDays);
+    return deadline.toISOString();
+  }
+
+  /**
+   * Map an Amex status string to DisputeAI internal status.
+   *
+   * @param {string} portalStatus - Amex status value
+   * @returns {string} DisputeAI status
+   */
+  normalizeDisputeStatus(portalStatus) {
+    if (!portalStatus) return 'PENDING';
+    return STATUS_MAP_FROM_AMEX[String(portalStatus).toLowerCase()] || 'PENDING';
+  }
+
+  /**
+   * Map an Amex reason code to a structured object with category and description.
+   *
+   * @param {string} portalCode - Amex reason code (e.g. 'C08')
+   * @returns {Object} { code, category, description }
+   */
+  normalizeReasonCode(portalCode) {
+    if (!portalCode) {
+      return { code: 'UNKNOWN', category: 'UNKNOWN', description: 'Unknown reason code' };
+    }
+
+    const normalized = String(portalCode).trim().toUpperCase();
+    const known = AMEX_REASON_CODES[normalized];
+    if (known) {
+      return { code: known.code, category: known.category, description: known.description };
+    }
+
+    return { code: normalized, category: 'UNKNOWN', description: `Amex Reason Code ${normalized}` };
+  }
+
+  // ===========================================================================
+  // HEALTH CHECK
+  // ===========================================================================
+
+  /**
+   * Verify connectivity and request signing with the Amex disputes API.
+   *
+   * @returns {Promise<Object>} Health check result
+   */
+  async healthCheck() {
+    const startTime = Date.now();
+
+    try {
+      const response = await this.httpClient.get(`${API_PREFIX}/healthcheck`, { timeout: 10000 });
+
+      return {
+        healthy: true,
+        latencyMs: Date.now() - startTime,
+        message: 'Amex disputes API is reachable and authenticated',
+        details: {
+          portalType: 'AMEX',
+          seNumber: this.seNumber,
+          responseStatus: response.status,
+          authenticated: true
+        }
+      };
+    } catch (error) {
+      return {
+        healthy: false,
+        latencyMs: Date.now() - startTime,
+        message: `Amex health check failed: ${this._extractErrorMessage(error)}`,
+        details: {
+          portalType: 'AMEX',
+          errorStatus: error.response?.status,
+          errorMessage: this._extractErrorMessage(error)
+        }
+      };
+    }
+  }
+
+  async testConnection() {
+    const result = await this.healthCheck();
+    return { success: result.healthy, message: result.message };
+  }
+
+  // ===========================================================================
+  // PRIVATE HELPERS
+  // ===========================================================================
+
+  async _listCases(phase, params) {
+    const queryParams = {
+      updated_since: params.since ? new Date(params.since).toISOString() : undefined,
+      status: params.status && params.status !== 'all' ? params.status : undefined,
+      se_number: this.seNumber || undefined,
+      page: params.page || 1,
+      page_size: Math.min(params.limit || 50, 100)
+    };
+
+    Object.keys(queryParams).forEach(key => {
+      if (queryParams[key] === undefined) delete queryParams[key];
+    });
+
+    const response = await this._withRetry(() =>
+      this.httpClient.get(`${API_PREFIX}/${CASE_COLLECTIONS[phase]}`, { params: queryParams })
+    );
+
+    const data = response.data;
+    const records = (data.cases || data.data || []).map((record) => ({ caseType: phase.toUpperCase(), ...record }));
+
+    return {
+      disputes: records,
+      totalCount: data.totalCount ?? records.length,
+      hasMore: Boolean(data.hasMore),
+      page: data.page || queryParams.page
+    };
+  }
+
+  async _uploadAll(phase, caseNumber, files = []) {
+    const documentIds = [];
+    for (const file of files || []) {
+      const uploaded = await this.uploadDocument(phase, caseNumber, file);
+      documentIds.push(uploaded.documentId);
+    }
+    return documentIds;
+  }
+
+  _submissionResult(data, documentIds, phase, fallbackMessage) {
+    return {
+      submissionId: data.responseId || data.id,
+      documentIds,
+      status: data.status || 'submitted',
+      stage: phase,
+      message: data.message || fallbackMessage,
+      timestamp: data.timestamp || new Date().toISOString()
+    };
+  }
+
+  /**
+   * File content as a Buffer from inline data or a (presigned) URL.
+   */
+  async _resolveFileContent(file) {
+    if (Buffer.isBuffer(file.data)) return file.data;
+    if (typeof file.data === 'string') return Buffer.from(file.data, 'base64');
+    if (file.url) {
+      const response = await axios.get(file.url, { responseType: 'arraybuffer', timeout: this.timeout });
+      return Buffer.from(response.data);
+    }
+    throw new Error(`Document ${file.fileName || ''} has no data or url`);
   }
 }
 
 module.exports = AmexMerchantAdapter;
+module.exports.AMEX_REASON_CODES = AMEX_REASON_CODES;
+module.exports.CASE_PHASES = CASE_PHASES;
+module.exports.PHASE_RULES = PHASE_RULES;
@@ -2,6 +2,13 @@
  * DisputeAI - Base Dispute Adapter
  * All dispute/payment processor adapters extend this class
  */
+const crypto = require('crypto');
+const axios = require('axios');
+const logger = require('../../utils/logger');
+
+// Status codes worth retrying: rate limiting and transient upstream failures
+const RETRYABLE_STATUS_CODES = [408, 409, 425, 429, 500, 502, 503, 504];
+
 class BaseDisputeAdapter {
   constructor(config = {}) {
     this.name = config.name || 'Unknown';
@@ -10,6 +17,13 @@ class BaseDisputeAdapter {
     this.apiEndpoint = config.apiEndpoint || '';
     this.credentials = config.credentials || {};
     this.webhookUrl = config.webhookUrl || '';
+    this.portalType = config.portalType || null;
+    this.baseUrl = config.baseUrl || this.apiEndpoint || '';
+    this.integrationId = config.integrationId || null;
+    this.timeout = config.timeout || 30000;
+    this.maxRetries = config.maxRetries !== undefined ? config.maxRetries : 3;
+    this.retryBaseDelayMs = config.retryBaseDelayMs !== undefined ? config.retryBaseDelayMs : 1000;
+    this.httpClient = null;
   }
 
   async testConnection() {
@@ -32,6 +46,22 @@ class BaseDisputeAdapter {
     return [];
   }
 
+  /**
+   * Verify an HMAC-SHA256 webhook signature. Adapters whose portal uses a
+   * different signing scheme override this.
+   *
+   * @param {string|Buffer|Object} payload - Raw webhook body
+   * @param {string} signature - Signature header value
+   * @param {string} secret - Shared webhook secret
+   * @returns {boolean}
+   */
+  verifyWebhookSignature(payload, signature, secret) {
+    const rawBody = typeof payload === 'string' || Buffer.isBuffer(payload)
+      ? payload
+      : JSON.stringify(payload);
+    return this._verifySignature(rawBody, signature, secret);
+  }
+
   getInfo() {
     return {
       name: this.name,
@@ -44,6 +74,116 @@ class BaseDisputeAdapter {
   getFeatures() {
     return ['dispute_submission', 'status_tracking', 'evidence_upload'];
   }
+
+  // ===========================================================================
+  // SHARED HELPERS
+  // ===========================================================================
+
+  /**
+   * Create the axios instance used for portal API calls.
+   *
+   * @param {Object} [headers] - Default headers sent with every request
+   * @returns {import('axios').AxiosInstance}
+   */
+  _initHttpClient(headers = {}) {
+    this.httpClient = axios.create({
+      baseURL: this.baseUrl,
+      timeout: this.timeout,
+      headers: {
+        'Content-Type': 'application/json',
+        'Accept': 'application/json',
+        'User-Agent': 'DisputeAI/1.0',
+        ...headers
+      }
+    });
+    return this.httpClient;
+  }
+
+  /**
+   * Run a request with exponential backoff on network errors, 429 and 5xx.
+   * Honors Retry-After when the portal sends it.
+   *
+   * @param {Function} fn - Async function performing the request
+   * @param {number} [maxRetries] - Override the adapter's retry count
+   * @returns {Promise<*>}
+   */
+  async _withRetry(fn, maxRetries = this.maxRetries) {
+    let attempt = 0;
+
+    for (;;) {
+      try {
+        return await fn();
+      } catch (error) {
+        const status = error.response?.status;
+        const retryable = !error.response || RETRYABLE_STATUS_CODES.includes(status);
+
+        if (!retryable || attempt >= maxRetries) {
+          throw error;
+        }
+
+        const retryAfter = parseInt(error.response?.headers?.['retry-after'], 10);
+        const delay = Number.isFinite(retryAfter)
+          ? retryAfter * 1000
+          : this.retryBaseDelayMs * Math.pow(2, attempt);
+
+        attempt++;
+        logger.warn(`[${this.name}] Request failed (${status || error.code || 'network'}), retry ${attempt}/${maxRetries} in ${delay}ms`);
+        await new Promise((resolve) => setTimeout(resolve, delay));
+      }
+    }
+  }
+
+  /**
+   * Constant-time comparison of a hex HMAC-SHA256 signature.
+   * Accepts an optional "sha256=" prefix on the signature.
+   *
+   * @param {string|Buffer} rawBody - Exact bytes that were signed
+   * @param {string} signature - Signature to check
+   * @param {string} secret - Shared secret
+   * @returns {boolean}
+   */
+  _verifySignature(rawBody, signature, secret) {
+    if (!signature || !secret) return false;
+
+    const provided = String(signature).replace(/^sha256=/i, '').trim();
+    const expected = crypto
+      .createHmac('sha256', secret)
+      .update(rawBody)
+      .digest('hex');
+
+    const providedBuf = Buffer.from(provided, 'utf8');
+    const expectedBuf = Buffer.from(expected, 'utf8');
+    if (providedBuf.length !== expectedBuf.length) return false;
+
+    return crypto.timingSafeEqual(providedBuf, expectedBuf);
+  }
+
+  /**
+   * Generate a unique idempotency key for write requests.
+   *
+   * @param {string} [prefix]
+   * @returns {string}
+   */
+  _generateIdempotencyKey(prefix = 'req') {
+    return `${prefix}_${Date.now()}_${crypto.randomBytes(8).toString('hex')}`;
+  }
+
+  /**
+   * Pull the most useful message out of an axios or plain error.
+   *
+   * @param {Error} error
+   * @returns {string}
+   */
+  _extractErrorMessage(error) {
+    const data = error?.response?.data;
+    if (data) {
+      if (typeof data === 'string') return data;
+      if (data.error?.message) return data.error.message;
+      if (typeof data.error === 'string') return data.error_description || data.error;
+      if (data.message) return data.message;
+    }
+    return error?.message || 'Unknown error';
+  }
 }
 
 module.exports = BaseDisputeAdapter;
@@ -1,13 +1,654 @@
+/**
+ * DisputeAI - AI-Powered Chargeback Defense Platform
+ * Discover Global Network Dispute Adapter
+ *
+ * Implements two-way integration with the Discover dispute management API.
+ * Discover disputes move through:
+ *
+ *   INQUIRY → CHARGEBACK → REPRESENTMENT → ARBITRATION
+ *
+ *   - An inquiry (ticket retrieval request) asks the merchant for transaction
+ *     documentation before any funds move
+ *   - A chargeback debits the merchant under a Discover dispute reason code
+ *   - The merchant answers with a representment and supporting documents
+ *   - The issuer may take a represented chargeback to arbitration
+ *
+ * Auth: OAuth2 client_credentials (Bearer token, cached until expiry).
+ * Base URL: https://apis.discover.com (configurable via DISCOVER_DISPUTES_API_URL env var)
+ */
+
+const axios = require('axios');
+const logger = require('../../utils/logger');
 const BaseDisputeAdapter = require('./BaseDisputeAdapter');
 
+// =============================================================================
+// DISCOVER REASON CODE MAPPINGS
+// =============================================================================
+
+const DISCOVER_REASON_CODES = {
+  // Fraud
+  'UA01': { code: 'UA01', category: 'FRAUD', description: 'Fraud - Card Present Transaction' },
+  'UA02': { code: 'UA02', category: 'FRAUD', description: 'Fraud - Card Not Present Transaction' },
+  'UA05': { code: 'UA05', category: 'FRAUD', description: 'Fraud - Chip Counterfeit Transaction' },
+  'UA06': { code: 'UA06', category: 'FRAUD', description: 'Fraud - Chip and PIN Transaction' },
+  'UA10': { code: 'UA10', category: 'FRAUD', description: 'Swipe Transaction Fraud' },
+  'UA11': { code: 'UA11', category: 'FRAUD', description: 'Cardholder Claims Fraud (Swiped Transaction, No Signature)' },
+  'AA': { code: 'AA', category: 'FRAUD', description: 'Does Not Recognize' },
+
+  // Authorization
+  'AT': { code: 'AT', category: 'AUTHORIZATION', description: 'Authorization Noncompliance' },
+  'DA': { code: 'DA', category: 'AUTHORIZATION', description: 'Declined Authorization' },
+  'NA': { code: 'NA', category: 'AUTHORIZATION', description: 'No Authorization' },
+  'EX': { code: 'EX', category: 'AUTHORIZATION', description: 'Expired Card' },
+
+  // Processing errors
+  'AW': { code: 'AW', category: 'PROCESSING_ERROR', description: 'Altered Amount' },
+  'CD': { code: 'CD', category: 'PROCESSING_ERROR', description: 'Credit Posted as Card Sale' },
+  'DP': { code: 'DP', category: 'PROCESSING_ERROR', description: 'Duplicate Processing' },
+  'IC': { code: 'IC', category: 'PROCESSING_ERROR', description: 'Illegible Sales Data' },
+  'IN': { code: 'IN', category: 'PROCESSING_ERROR', description: 'Invalid Card Number' },
+  'LP': { code: 'LP', category: 'PROCESSING_ERROR', description: 'Late Presentment' },
+  'PM': { code: 'PM', category: 'PROCESSING_ERROR', description: 'Paid by Other Means' },
+  '4534': { code: '4534', category: 'PROCESSING_ERROR', description: 'Multiple Processing' },
+
+  // Cardholder disputes
+  'AP': { code: 'AP', category: 'CONSUMER_DISPUTE', description: 'Cancelled Recurring Payments' },
+  'CR': { code: 'CR', category: 'CONSUMER_DISPUTE', description: 'Cancelled Reservation' },
+  'NC': { code: 'NC', category: 'CONSUMER_DISPUTE', description: 'Not Classified' },
+  'NF': { code: 'NF', category: 'CONSUMER_DISPUTE', description: 'Non-Receipt of Cash from ATM' },
+  'RG': { code: 'RG', category: 'CONSUMER_DISPUTE', description: 'Non-Receipt of Goods or Services' },
+  'RM': { code: 'RM', category: 'CONSUMER_DISPUTE', description: 'Quality Discrepancies' },
+  'RN2': { code: 'RN2', category: 'CONSUMER_DISPUTE', description: 'Credit Not Received' },
+  '4553': { code: '4553', category: 'CONSUMER_DISPUTE', description: 'Not as Described' },
+  '4755': { code: '4755', category: 'CONSUMER_DISPUTE', description: 'Non-Receipt of Goods or Services' },
+
+  // Inquiry (ticket retrieval) codes
+  'RR': { code: 'RR', category: 'PROCESSING_ERROR', description: 'Ticket Retrieval Request' },
+  'TF': { code: 'TF', category: 'PROCESSING_ERROR', description: 'Ticket Retrieval Not Fulfilled' }
+};
+
+// =============================================================================
+// LIFECYCLE
+// =============================================================================
+
+const DISPUTE_STAGES = {
+  INQUIRY: 'inquiry',
+  CHARGEBACK: 'chargeback',
+  REPRESENTMENT: 'representment',
+  ARBITRATION: 'arbitration'
+};
+
+// Response windows in calendar days from the date the stage began
+const STAGE_RULES = {
+  [DISPUTE_STAGES.INQUIRY]: { awaiting: 'merchant', deadlineDays: 30, action: 'Fulfil ticket retrieval request' },
+  [DISPUTE_STAGES.CHARGEBACK]: { awaiting: 'merchant', deadlineDays: 30, action: 'Represent the chargeback with documentation' },
+  [DISPUTE_STAGES.REPRESENTMENT]: { awaiting: 'issuer', deadlineDays: 30, action: 'Issuer may file arbitration' },
+  [DISPUTE_STAGES.ARBITRATION]: { awaiting: 'merchant', deadlineDays: 10, action: 'Respond to arbitration' }
+};
+
+// Discover dispute status -> DisputeAI internal status
+const STATUS_MAP_FROM_DISCOVER = {
+  'open': 'PENDING',
+  'new': 'PENDING',
+  'awaiting_merchant': 'PENDING',
+  'in_review': 'IN_REVIEW',
+  'represented': 'SUBMITTED',
+  'responded': 'SUBMITTED',
+  'awaiting_issuer': 'SUBMITTED',
+  'closed_merchant_favor': 'WON',
+  'reversed': 'WON',
+  'closed_cardholder_favor': 'LOST',
+  'accepted': 'LOST',
+  'expired': 'EXPIRED',
+  'withdrawn': 'CANCELLED'
+};
+
+// Discover webhook event types -> internal event types
+const WEBHOOK_EVENTS = {
+  'DISPUTE_CREATED': 'dispute.created',
+  'INQUIRY_CREATED': 'dispute.created',
+  'DISPUTE_UPDATED': 'dispute.updated',
+  'DOCUMENTATION_REQUESTED': 'evidence.requested',
+  'DISPUTE_CLOSED': 'dispute.closed',
+  'DISPUTE_RESOLVED': 'dispute.resolved'
+};
+
+const API_PREFIX = '/dispute-management/v1';
+const TOKEN_PATH = '/auth/oauth/v2/token';
+const MAX_DOCUMENT_BYTES = 10 * 1024 * 1024;
+
+
 class DiscoverDisputeAdapter extends BaseDisputeAdapter {
+  /**
+   * @param {Object} config
+   * @param {Object} config.credentials
+   * @param {string} config.credentials.clientId       - Discover developer client ID
+   * @param {string} config.credentials.clientSecret   - Discover developer client secret
+   * @param {string} [config.credentials.merchantNumber] - Discover merchant number
+   * @param {string} [config.baseUrl]                  - Override default API base URL
+   */
   constructor(config = {}) {
-    super({ ...config, name: 'Discover Disputes', type: 'dispute' });
+    super({
+      ...config,
+      name: 'Discover Disputes',
+      type: 'dispute',
+      portalType: config.portalType || 'DISCOVER',
+      baseUrl: config.baseUrl || process.env.DISCOVER_DISPUTES_API_URL || 'https://apis.discover.com'
+    });
+
+    this.clientId = this.credentials.clientId;
+    this.clientSecret = this.credentials.clientSecret;
+    this.merchantNumber = this.credentials.merchantNumber || null;
+
+    // OAuth2 token cache
+    this._accessToken = null;
+    this._tokenExpiresAt = 0;
+
+    this._initHttpClient(this.merchantNumber ? { 'X-DFS-Merchant-Number': this.merchantNumber } : {});
+
+    this.httpClient.interceptors.request.use(async (reqConfig) => {
+      const token = await this._ensureAccessToken();
+      reqConfig.headers['Authorization'] = `Bearer ${token}`;
+      return reqConfig;
+    });
   }
 
   getFeatures() {
-    return ['dispute_submission', 'status_tracking', 'evidence_upload', 'webhook_notifications'];
+    return [
+      'dispute_submission', 'status_tracking', 'evidence_upload', 'webhook_notifications',
+      'inquiries', 'representment', 'arbitration'
+    ];
+  }
+
+  // ===========================================================================
+  // AUTHENTICATION
+  // ===========================================================================
+
+  /**
+   * Obtain an access token with the client_credentials grant. The token
+   * request bypasses the httpClient interceptor that attaches the token.
+   *
+   * @returns {Promise<Object>} { accessToken, expiresIn, tokenType }
+   */
+  async authenticate() {
+    if (!this.clientId || !this.clientSecret) {
+      throw new Error('Discover credentials missing: clientId and clientSecret are required');
+    }
+
+    const authHeader = Buffer.from(`${this.clientId}:${this.clientSecret}`).toString('base64');
+
+    try {
+      const response = await this._withRetry(() =>
+        axios.post(`${this.baseUrl}${TOKEN_PATH}`, 'grant_type=client_credentials&scope=DISPUTES', {
+          timeout: this.timeout,
+          headers: {
+            'Authorization': `Basic ${authHeader}`,
+            'Content-Type': 'application/x-www-form-urlencoded'
+          }
+        })
+      );
+
+      const data = response.data;
+      this._accessToken = data.access_token;
+      // Refresh 60 seconds before actual expiry
+      this._tokenExpiresAt = Date.now() + ((data.expires_in - 60) * 1000);
+
+      return {
+        accessToken: this._accessToken,
+        expiresIn: data.expires_in,
+        tokenType: data.token_type || 'Bearer'
+      };
+    } catch (error) {
+      logger.error('[Discover] Authentication failed:', this._extractErrorMessage(error));
+      throw new Error(`Discover OAuth2 authentication failed: ${this._extractErrorMessage(error)}`);
+    }
+  }
+
+  /**
+   * Ensure we have a valid access token, refreshing if expired.
+   *
+   * @returns {Promise<string>} Valid access token
+   * @private
+   */
+  async _ensureAccessToken() {
+    if (this._accessToken && Date.now() < this._tokenExpiresAt) {
+      return this._accessToken;
+    }
+    const auth = await this.authenticate();
+    return auth.accessToken;
+  }
+
+  // ===========================================================================
+  // INBOUND: Receive FROM Discover
+  // ===========================================================================
+
+  /**
+   * Receive and normalize an inquiry or dispute payload from Discover.
+   *
+   * @param {Object} disputeData - Raw Discover dispute
+   * @returns {Promise<Object>} Normalized dispute object
+   */
+  async receiveDispute(disputeData) {
+    const normalized = this.normalizeDispute(disputeData);
+    logger.info(`[Discover] Dispute normalized: ${normalized.disputeId} | Stage: ${normalized.disputeStage} | Reason: ${normalized.reasonCode} | Due: ${normalized.dueDate}`);
+    return normalized;
+  }
+
+  /**
+   * Retrieve one inquiry or dispute.
+   *
+   * @param {string} disputeId - Discover dispute ID
+   * @returns {Promise<Object>} Normalized dispute
+   */
+  async getDispute(disputeId) {
+    const response = await this._withRetry(() =>
+      this.httpClient.get(`${API_PREFIX}/disputes/${disputeId}`)
+    );
+    return this.normalizeDispute(response.data);
+  }
+
+  /**
+   * Query Discover for the current status of a dispute.
+   *
+   * @param {string} disputeId - Discover dispute ID
+   * @returns {Promise<Object>} Status details
+   */
+  async getDisputeStatus(disputeId) {
+    const record = await this.getDispute(disputeId);
+
+    return {
+      disputeId,
+      status: record.status,
+      portalStatus: record.portalStatus,
+      stage: record.disputeStage,
+      awaiting: record.awaiting,
+      dueDate: record.dueDate,
+      lastUpdated: record.rawData.lastUpdated || null,
+      outcome: record.rawData.outcome || null
+    };
+  }
+
+  /**
+   * List inquiries and chargebacks updated since a date (used by scheduled sync).
+   *
+   * @param {Object} params - { since, status, page, limit, type: 'INQUIRY' | 'CHARGEBACK' }
+   * @returns {Promise<Object>} { disputes, totalCount, hasMore, page }
+   */
+  async fetchDisputes(params = {}) {
+    const queryParams = {
+      updatedSince: params.since ? new Date(params.since).toISOString() : undefined,
+      status: params.status && params.status !== 'all' ? params.status : undefined,
+      type: params.type || undefined,
+      merchantNumber: this.merchantNumber || undefined,
+      page: params.page || 1,
+      pageSize: Math.min(params.limit || 50, 100)
+    };
+
+    Object.keys(queryParams).forEach(key => {
+      if (queryParams[key] === undefined) delete queryParams[key];
+    });
+
+    const response = await this._withRetry(() =>
+      this.httpClient.get(`${API_PREFIX}/disputes`, { params: queryParams })
+    );
+
+    const data = response.data;
+    const records = data.disputes || data.data || [];
+
+    return {
+      disputes: records,
+      totalCount: data.totalCount ?? records.length,
+      hasMore: Boolean(data.hasMore),
+      page: data.page || queryParams.page
+    };
+  }
+
+  /**
+   * Inquiries only (ticket retrieval requests).
+   */
+  async listInquiries(params = {}) {
+    return this.fetchDisputes({ ...params, type: 'INQUIRY' });
+  }
+
+  /**
+   * Chargebacks only, at any post-inquiry stage.
+   */
+  async listChargebacks(params = {}) {
+    return this.fetchDisputes({ ...params, type: 'CHARGEBACK' });
+  }
+
+  /**
+   * Normalized disputes updated since a date.
+   *
+   * @param {Date|string} since
+   * @returns {Promise<Array<Object>>}
+   */
+  async getUpdates(since) {
+    const { disputes } = await this.fetchDisputes({ since });
+    return disputes.map((record) => this.normalizeDispute(record));
+  }
+
+  // ===========================================================================
+  // OUTBOUND: Send TO Discover
+  // ===========================================================================
+
+  /**
+   * Upload a response document to a dispute.
+   *
+   * @param {string} disputeId - Discover dispute ID
+   * @param {Object} file      - { fileName, mimeType, data (Buffer|base64) | url, description }
+   * @returns {Promise<Object>} { documentId, fileName }
+   */
+  async uploadDocument(disputeId, file) {
+    const content = await this._resolveFileContent(file);
+    if (content.length > MAX_DOCUMENT_BYTES) {
+      throw new Error(`Discover document ${file.fileName} exceeds the ${MAX_DOCUMENT_BYTES / 1024 / 1024}MB limit`);
+    }
+
+    const response = await this._withRetry(() =>
+      this.httpClient.post(`${API_PREFIX}/disputes/${disputeId}/documents`, {
+        fileName: file.fileName,
+        mimeType: file.mimeType || 'application/pdf',
+        description: file.description || '',
+        content: content.toString('base64')
+      })
+    );
+
+    return {
+      documentId: response.data.documentId || response.data.id,
+      fileName: file.fileName
+    };
+  }
+
+  /**
+   * Respond to an inquiry (fulfil the retrieval request) or represent a
+   * chargeback, depending on the dispute's stage.
+   *
+   * @param {string} disputeId - Discover dispute ID
+   * @param {Object} data      - { memo, files }
+   * @returns {Promise<Object>} { submissionId, documentIds, status, stage, message, timestamp }
+   */
+  async respond(disputeId, data = {}) {
+    const record = await this.getDispute(disputeId);
+    const responseType = {
+      [DISPUTE_STAGES.INQUIRY]: 'INQUIRY_RESPONSE',
+      [DISPUTE_STAGES.CHARGEBACK]: 'REPRESENTMENT',
+      [DISPUTE_STAGES.ARBITRATION]: 'ARBITRATION_RESPONSE'
+    }[record.disputeStage];
+
+    if (!responseType) {
+      throw new Error(`Discover dispute ${disputeId} is awaiting the issuer (${record.disputeStage}); nothing to respond to`);
+    }
+
+    const documentIds = [];
+    for (const file of data.files || []) {
+      const uploaded = await this.uploadDocument(disputeId, file);
+      documentIds.push(uploaded.documentId);
+    }
+    if (documentIds.length === 0) {
+      throw new Error(`Discover ${responseType.toLowerCase()} requires at least one document`);
+    }
+
+    const response = await this._withRetry(() =>
+      this.httpClient.post(`${API_PREFIX}/disputes/${disputeId}/responses`, {
+        responseType,
+        memo: (data.memo || '').slice(0, 2000),
+        documentIds,
+        idempotencyKey: this._generateIdempotencyKey('dfs_resp')
+      })
+    );
+
+    logger.info(`[Discover] ${responseType} filed for ${disputeId} (${documentIds.length} documents)`);
+
+    return {
+      submissionId: response.data.responseId || response.data.id,
+      documentIds,
+      status: response.data.status || 'submitted',
+      stage: record.disputeStage,
+      message: response.data.message || `${responseType} submitted`,
+      timestamp: response.data.timestamp || new Date().toISOString()
+    };
+  }
+
+  /**
+   * Submit an evidence package (disputeOutboundWorker SUBMIT_EVIDENCE).
+   *
+   * @param {string} disputeId - Discover dispute ID
+   * @param {Object} evidence  - { files, metadata: { notes } }
+   * @returns {Promise<Object>} Submission result
+   */
+  async submitEvidence(disputeId, evidence = {}) {
+    return this.respond(disputeId, {
+      files: evidence.files || [],
+      memo: evidence.metadata?.notes || evidence.metadata?.narrative || ''
+    });
+  }
+
+  /**
+   * Accept liability for a dispute.
+   *
+   * @param {string} disputeId - Discover dispute ID
+   * @returns {Promise<Object>} Acceptance result
+   */
+  async acceptDispute(disputeId) {
+    const response = await this._withRetry(() =>
+      this.httpClient.post(`${API_PREFIX}/disputes/${disputeId}/responses`, {
+        responseType: 'ACCEPT',
+        memo: 'Liability accepted by merchant via DisputeAI',
+        idempotencyKey: this._generateIdempotencyKey('dfs_accept')
+      })
+    );
+
+    logger.info(`[Discover] Dispute ${disputeId} accepted (liability acknowledged)`);
+
+    return {
+      accepted: true,
+      disputeId,
+      responseId: response.data.responseId || response.data.id,
+      message: response.data.message || 'Liability accepted'
+    };
+  }
+
+  // ===========================================================================
+  // WEBHOOKS
+  // ===========================================================================
+
+  /**
+   * Parse a Discover dispute notification into a standardized event.
+   *
+   * @param {Object|string} payload - Raw webhook body
+   * @returns {Object} { type, data, eventId, timestamp, rawEventType }
+   */
+  parseWebhookPayload(payload) {
+    const event = typeof payload === 'string' ? JSON.parse(payload) : payload;
+    const rawType = event.eventType || event.type;
+
+    return {
+      type: WEBHOOK_EVENTS[rawType] || 'dispute.updated',
+      data: event.dispute || event.data || {},
+      eventId: event.eventId || event.id,
+      timestamp: event.eventTime || new Date().toISOString(),
+      rawEventType: rawType
+    };
+  }
+
+  // ===========================================================================
+  // NORMALIZATION
+  // ===========================================================================
+
+  /**
+   * Normalize a Discover inquiry or dispute into DisputeAI's standard format.
+   *
+   * @param {Object} record - Raw Discover dispute
+   * @returns {Object} Normalized dispute object
+   */
+  normalizeDispute(record) {
+    const stage = this._deriveStage(record);
+    const rule = STAGE_RULES[stage];
+    const stageStart = {
+      [DISPUTE_STAGES.INQUIRY]: record.inquiryDate || record.createdDate,
+      [DISPUTE_STAGES.CHARGEBACK]: record.chargebackDate || record.createdDate,
+      [DISPUTE_STAGES.REPRESENTMENT]: record.representmentDate,
+      [DISPUTE_STAGES.ARBITRATION]: record.arbitrationDate
+    }[stage];
+    const reasonInfo = this.normalizeReasonCode(record.reasonCode);
+
+    return {
+      disputeId: record.disputeId,
+      caseNumber: record.caseNumber || record.disputeId,
+      relatedDisputeId: record.inquiryId && record.inquiryId !== record.disputeId ? record.inquiryId : null,
+      amount: parseFloat(record.disputeAmount ?? record.transactionAmount ?? 0),
+      currency: record.currency || 'USD',
+      cardLastFour: record.cardLast4 || '',
+      cardBrand: 'DISCOVER',
+      guestName: record.cardholderName || '',
+      reasonCode: reasonInfo.code,
+      reasonCategory: reasonInfo.category,
+      reasonDescription: reasonInfo.description,
+      disputeDate: record.chargebackDate || record.inquiryDate || record.createdDate,
+      dueDate: rule.awaiting === 'merchant'
+        ? (record.responseDueDate || (stageStart ? this.calculateStageDeadline(stage, stageStart) : null))
+        : null,
+      status: this._deriveStatus(record, rule),
+      portalStatus: record.status,
+      disputeStage: stage,
+      awaiting: rule.awaiting,
+      stageAction: rule.action,
+      alertType: stage === DISPUTE_STAGES.INQUIRY ? 'INQUIRY' : 'DISPUTE',
+      isPreChargeback: stage === DISPUTE_STAGES.INQUIRY,
+      transactionId: record.transactionId || record.networkReferenceId || '',
+      transactionDate: record.transactionDate || null,
+      authorizationCode: record.authorizationCode || '',
+      merchantDescriptor: record.merchantName || '',
+      portalType: 'DISCOVER',
+      rawData: record
+    };
+  }
+
+  /**
+   * Response deadline for a stage.
+   *
+   * @param {string} stage - DISPUTE_STAGES value
+   * @param {Date|string} startedAt - Date the stage began
+   * @returns {string} ISO deadline
+   */
+  calculateStageDeadline(stage, startedAt) {
+    const deadline = new Date(startedAt);
+    deadline.setDate(deadline.getDate() + (STAGE_RULES[stage] || STAGE_RULES[DISPUTE_STAGES.CHARGEBACK]).deadlineDays);
+    return deadline.toISOString();
+  }
+
+  /**
+   * Map a Discover status string to DisputeAI internal status.
+   *
+   * @param {string} portalStatus - Discover status value
+   * @returns {string} DisputeAI status
+   */
+  normalizeDisputeStatus(portalStatus) {
+    if (!portalStatus) return 'PENDING';
+    return STATUS_MAP_FROM_DISCOVER[String(portalStatus).toLowerCase()] || 'PENDING';
+  }
+
+  /**
+   * Map a Discover reason code to a structured object with category and description.
+   *
+   * @param {string} portalCode - Discover reason code (e.g. 'UA02', 'RG')
+   * @returns {Object} { code, category, description }
+   */
+  normalizeReasonCode(portalCode) {
+    if (!portalCode) {
+      return { code: 'UNKNOWN', category: 'UNKNOWN', description: 'Unknown reason code' };
+    }
+
+    const normalized = String(portalCode).trim().toUpperCase();
+    const known = DISCOVER_REASON_CODES[normalized];
+    if (known) {
+      return { code: known.code, category: known.category, description: known.description };
+    }
+
+    return { code: normalized, category: 'UNKNOWN', description: `Discover Reason Code ${normalized}` };
+  }
+
+  // ===========================================================================
+  // HEALTH CHECK
+  // ===========================================================================
+
+  /**
+   * Verify connectivity and authentication with the Discover API.
+   *
+   * @returns {Promise<Object>} Health check result
+   */
+  async healthCheck() {
+    const startTime = Date.now();
+
+    try {
+      const response = await this.httpClient.get(`${API_PREFIX}/health`, { timeout: 10000 });
+
+      return {
+        healthy: true,
+        latencyMs: Date.now() - startTime,
+        message: 'Discover dispute API is reachable and authenticated',
+        details: {
+          portalType: 'DISCOVER',
+          merchantNumber: this.merchantNumber,
+          responseStatus: response.status,
+          authenticated: true
+        }
+      };
+    } catch (error) {
+      return {
+        healthy: false,
+        latencyMs: Date.now() - startTime,
+        message: `Discover health check failed: ${this._extractErrorMessage(error)}`,
+        details: {
+          portalType: 'DISCOVER',
+          errorStatus: error.response?.status,
+          errorMessage: this._extractErrorMessage(error)
+        }
+      };
+    }
+  }
+
+  async testConnection() {
+    const result = await this.healthCheck();
+    return { success: result.healthy, message: result.message };
+  }
+
+  // ===========================================================================
+  // PRIVATE HELPERS
+  // ===========================================================================
+
+  _deriveStage(record) {
+    const stage = String(record.stage || '').toLowerCase();
+    if (Object.values(DISPUTE_STAGES).includes(stage)) return stage;
+    if (String(record.disputeType).toUpperCase() === 'INQUIRY') return DISPUTE_STAGES.INQUIRY;
+    if (record.arbitrationDate) return DISPUTE_STAGES.ARBITRATION;
+    if (record.representmentDate) return DISPUTE_STAGES.REPRESENTMENT;
+    if (record.chargebackDate) return DISPUTE_STAGES.CHARGEBACK;
+    return DISPUTE_STAGES.INQUIRY;
+  }
+
+  _deriveStatus(record, rule) {
+    const mapped = this.normalizeDisputeStatus(record.status);
+    if (['WON', 'LOST', 'EXPIRED', 'CANCELLED'].includes(mapped)) return mapped;
+    return rule.awaiting === 'issuer' ? 'SUBMITTED' : mapped;
+  }
+
+  /**
+   * File content as a Buffer from inline data or a (presigned) URL.
+   */
+  async _resolveFileContent(file) {
+    if (Buffer.isBuffer(file.data)) return file.data;
+    if (typeof file.data === 'string') return Buffer.from(file.data, 'base64');
+    if (file.url) {
+      const response = await axios.get(file.url, { responseType: 'arraybuffer', timeout: this.timeout });
+      return Buffer.from(response.data);
+    }
+    throw new Error(`Document ${file.fileName || ''} has no data or url`);
   }
 }
 
 module.exports = DiscoverDisputeAdapter;
+module.exports.DISCOVER_REASON_CODES = DISCOVER_REASON_CODES;
+module.exports.DISPUTE_STAGES = DISPUTE_STAGES;
+module.exports.STAGE_RULES = STAGE_RULES;
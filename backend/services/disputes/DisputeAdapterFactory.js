@@ -4,7 +4,19 @@
  */
 const fs = require('fs');
 const path = require('path');
-const BaseDisputeAdapter = require('./BaseDisputeAdapter');
+
+// Portal type (Integration.type / webhook source) -> adapter module
+const PORTAL_ADAPTERS = {
+  STRIPE: 'StripeDisputeAdapter',
+  ADYEN: 'AdyenDisputeAdapter',
+  FISERV: 'FiservAdapter',
+  VISA_VROL: 'VisaVROLAdapter',
+  VROL: 'VisaVROLAdapter',
+  MASTERCOM: 'MastercomAdapter',
+  AMEX: 'AmexMerchantAdapter',
+  DISCOVER: 'DiscoverDisputeAdapter',
+  RISKIFIED: 'RiskifiedAdapter'
+};
 
 class DisputeAdapterFactory {
   constructor() {
@@ -21,7 +33,7 @@ class DisputeAdapterFactory {
     for (const file of files) {
       try {
         const AdapterClass = require(path.join(adapterDir, file));
-        const adapter = new AdapterClass();
+        const adapter = new AdapterClass({});
         this.adapters.set(adapter.name.toLowerCase().replace(/\s+/g, '_'), adapter);
       } catch (err) {
         // Skip adapters that fail to load
@@ -42,4 +54,42 @@ class DisputeAdapterFactory {
   }
 }
 
-module.exports = new DisputeAdapterFactory();
+/**
+ * Normalize a portal type ('stripe', 'visa-vrol', 'Authorize.Net') to a
+ * PORTAL_ADAPTERS key.
+ */
+function normalizePortalType(portalType) {
+  return String(portalType || '').toUpperCase().replace(/[^A-Z0-9]+/g, '_').replace(/^_|_$/g, '');
+}
+
+/**
+ * Create a configured adapter instance for a portal type.
+ *
+ * @param {string} portalType - Portal type, e.g. STRIPE, ADYEN, VISA_VROL
+ * @param {Object} [config] - { baseUrl, credentials, integrationId }
+ * @returns {BaseDisputeAdapter|null} null when no adapter exists for the type
+ */
+function createDisputeAdapter(portalType, config = {}) {
+  const key = normalizePortalType(portalType);
+  const moduleName = PORTAL_ADAPTERS[key];
+  if (!moduleName) return null;
+
+  const AdapterClass = require(path.join(__dirname, moduleName));
+  return new AdapterClass({
+    ...config,
+    portalType: key,
+    credentials: config.credentials || {}
+  });
+}
+
+function isPortalSupported(portalType) {
+  return Boolean(PORTAL_ADAPTERS[normalizePortalType(portalType)]);
+}
+
+const factory = new DisputeAdapterFactory();
+
+module.exports = factory;
+module.exports.createDisputeAdapter = createDisputeAdapter;
+module.exports.isPortalSupported = isPortalSupported;
+module.exports.normalizePortalType = normalizePortalType;
+module.exports.getSupportedPortalTypes = () => Object.keys(PORTAL_ADAPTERS);
@@ -73,6 +73,16 @@ const WEBHOOK_EVENTS = [
   'chargeback.second_presentment'
 ];
 
+// Fiserv webhook event → DisputeAI event type (keys are the upper-case form)
+const WEBHOOK_EVENT_TYPES = {
+  'CHARGEBACK_CREATED': 'dispute.created',
+  'CHARGEBACK_UPDATED': 'dispute.updated',
+  'CHARGEBACK_STATUS_CHANGED': 'dispute.updated',
+  'CHARGEBACK_SECOND_PRESENTMENT': 'dispute.updated',
+  'CHARGEBACK_EVIDENCE_DUE': 'evidence.requested',
+  'CHARGEBACK_RESOLVED': 'dispute.resolved'
+};
+
 
 class FiservAdapter extends BaseDisputeAdapter {
   /**
@@ -403,37 +413,37 @@ class FiservAdapter extends BaseDisputeAdapter {
   // ===========================================================================
 
   /**
-   * Parse a raw Fiserv webhook payload.
+   * Parse a raw Fiserv webhook payload into a standardized event.
    *
-   * @param {Object} headers - Request headers
-   * @param {string|Buffer|Object} body - Raw request body
-   * @returns {Object} { event, data, timestamp, rawData }
+   * @param {string|Buffer|Object} payload - Raw request body
+   * @param {Object} [headers] - Request headers
+   * @returns {Object} { type, data, eventId, timestamp, rawEventType }
    */
-  parseWebhookPayload(headers, body) {
+  parseWebhookPayload(payload, headers = {}) {
     let parsed;
 
-    if (typeof body === 'string') {
+    if (typeof payload === 'string') {
       try {
-        parsed = JSON.parse(body);
+        parsed = JSON.parse(payload);
       } catch (err) {
         logger.error('[Fiserv] Failed to parse webhook payload as JSON:', err.message);
         throw new Error('Invalid Fiserv webhook payload: not valid JSON');
       }
-    } else if (Buffer.isBuffer(body)) {
+    } else if (Buffer.isBuffer(payload)) {
       try {
-        parsed = JSON.parse(body.toString('utf-8'));
+        parsed = JSON.parse(payload.toString('utf-8'));
       } catch (err) {
         logger.error('[Fiserv] Failed to parse webhook buffer as JSON:', err.message);
         throw new Error('Invalid Fiserv webhook payload: not valid JSON');
       }
     } else {
-      parsed = body;
+      parsed = payload;
     }
 
     // Verify webhook signature
     const signature = headers['x-fiserv-signature'] || headers['X-Fiserv-Signature'];
     if (this.webhookSecret && signature) {
-      const rawBody = typeof body === 'string' ? body : JSON.stringify(parsed);
+      const rawBody = typeof payload === 'string' ? payload : JSON.stringify(parsed);
       const isValid = this._verifySignature(rawBody, signature, this.webhookSecret);
       if (!isValid) {
         logger.warn('[Fiserv] Webhook signature verification failed');
@@ -441,12 +451,14 @@ class FiservAdapter extends BaseDisputeAdapter {
       }
     }
 
+    const rawType = parsed.eventType || parsed.event || parsed.type;
+
     return {
-      event: parsed.eventType || parsed.event || parsed.type,
+      type: WEBHOOK_EVENT_TYPES[String(rawType || '').toUpperCase().replace(/\./g, '_')] || 'dispute.updated',
       data: parsed.data || parsed.payload || parsed,
+      eventId: parsed.webhookId || parsed.id || headers['x-fiserv-delivery-id'] || undefined,
       timestamp: parsed.timestamp || headers['x-fiserv-timestamp'] || new Date().toISOString(),
-      webhookId: parsed.webhookId || parsed.id || headers['x-fiserv-delivery-id'] || null,
-      rawData: parsed
+      rawEventType: rawType
     };
   }
 
@@ -522,6 +534,7 @@ class FiservAdapter extends BaseDisputeAdapter {
       dueDate: portalData.responseDeadline || portalData.dueDate || null,
       status: this.normalizeDisputeStatus(portalData.status),
       portalStatus: portalData.status,
+      outcome: portalData.outcome || null,
       chargebackStage: portalData.stage || portalData.chargebackStage || 'first_chargeback',
       transactionId: portalData.transactionId || portalData.arn || '',
       transactionDate: portalData.transactionDate || null,
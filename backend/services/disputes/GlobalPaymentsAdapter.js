@@ -1,13 +0,0 @@
-const BaseDisputeAdapter = require('./BaseDisputeAdapter');
-
-class GlobalPaymentsAdapter extends BaseDisputeAdapter {
-  constructor(config = {}) {
-    super({ ...config, name: 'Global Payments', type: 'dispute' });
-  }
-
-  getFeatures() {
-    return ['dispute_submission', 'status_tracking', 'evidence_upload', 'webhook_notifications'];
-  }
-}
-
-module.exports = GlobalPaymentsAdapter;
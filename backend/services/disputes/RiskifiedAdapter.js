@@ -124,24 +124,6 @@ const STATUS_MAP_FROM_RISKIFIED = {
   'guaranteed_covered': 'RESOLVED'
 };
 
-// DisputeAI status -> Riskified portal status
-const STATUS_MAP_TO_RISKIFIED = {
-  'PENDING': 'open',
-  'IN_REVIEW': 'review',
-  'SUBMITTED': 'submitted',
-  'WON': 'won',
-  'LOST': 'lost',
-  'EXPIRED': 'expired'
-};
-
-// Riskified decision types
-const DECISION_TYPES = {
-  APPROVE: 'approve',
-  DECLINE: 'decline',
-  REVIEW: 'review',
-  ESCALATE: 'escalate'
-};
-
 // Webhook event types
 const WEBHOOK_EVENTS = [
   'decision.created',
@@ -156,6 +138,15 @@ const WEBHOOK_EVENTS = [
   'order.linked'
 ];
 
+// Riskified webhook event → DisputeAI event type. Topics arrive as
+// chargeback.created or chargeback_created; keys are the upper-case form.
+const WEBHOOK_EVENT_TYPES = {
+  'CHARGEBACK_CREATED': 'dispute.created',
+  'CHARGEBACK_UPDATED': 'dispute.updated',
+  'CHARGEBACK_RESOLVED': 'dispute.resolved',
+  'EVIDENCE_REQUESTED': 'evidence.requested'
+};
+
 
 class RiskifiedAdapter extends BaseDisputeAdapter {
   /**
@@ -797,35 +788,38 @@ class RiskifiedAdapter extends BaseDisputeAdapter {
    * Parse a raw Riskified webhook payload into a structured event object.
    * Riskified signs webhooks using HMAC-SHA256 with the shop's API key.
    *
-   * @param {Object} headers - Request headers
-   * @param {string|Buffer|Object} body - Raw request body
-   * @returns {Object} { event, data, timestamp, webhookId, rawData }
+   * Decision, guarantee and abuse topics carry no chargeback and come back
+   * as dispute.updated, which only touches an existing case.
+   *
+   * @param {string|Buffer|Object} payload - Raw request body
+   * @param {Object} [headers] - Request headers
+   * @returns {Object} { type, data, eventId, timestamp, rawEventType }
    */
-  parseWebhookPayload(headers, body) {
+  parseWebhookPayload(payload, headers = {}) {
     let parsed;
 
-    if (typeof body === 'string') {
+    if (typeof payload === 'string') {
       try {
-        parsed = JSON.parse(body);
+        parsed = JSON.parse(payload);
       } catch (err) {
         logger.error('[Riskified] Failed to parse webhook payload as JSON:', err.message);
         throw new Error('Invalid Riskified webhook payload: not valid JSON');
       }
-    } else if (Buffer.isBuffer(body)) {
+    } else if (Buffer.isBuffer(payload)) {
       try {
-        parsed = JSON.parse(body.toString('utf-8'));
+        parsed = JSON.parse(payload.toString('utf-8'));
       } catch (err) {
         logger.error('[Riskified] Failed to parse webhook buffer as JSON:', err.message);
         throw new Error('Invalid Riskified webhook payload: not valid JSON');
       }
     } else {
-      parsed = body;
+      parsed = payload;
     }
 
     // Verify HMAC signature
     const signature = headers['x-riskified-hmac-sha256'] || headers['x-riskified-signature'];
     if (this.webhookSecret && signature) {
-      const rawBody = typeof body === 'string' ? body : JSON.stringify(parsed);
+      const rawBody = typeof payload === 'string' ? payload : JSON.stringify(parsed);
       const isValid = this._verifySignature(rawBody, signature, this.webhookSecret);
       if (!isValid) {
         logger.warn('[Riskified] Webhook signature verification failed');
@@ -833,12 +827,14 @@ class RiskifiedAdapter extends BaseDisputeAdapter {
       }
     }
 
+    const rawType = parsed.event || parsed.eventType || headers['x-riskified-topic'];
+
     return {
-      event: parsed.event || parsed.eventType || headers['x-riskified-topic'],
+      type: WEBHOOK_EVENT_TYPES[String(rawType || '').toUpperCase().replace(/\./g, '_')] || 'dispute.updated',
       data: parsed.data || parsed.payload || parsed,
+      eventId: parsed.webhookId || headers['x-riskified-webhook-id'] || undefined,
       timestamp: parsed.timestamp || headers['x-riskified-timestamp'] || new Date().toISOString(),
-      webhookId: parsed.webhookId || headers['x-riskified-webhook-id'] || null,
-      rawData: parsed
+      rawEventType: rawType
     };
   }
 
@@ -912,6 +908,7 @@ class RiskifiedAdapter extends BaseDisputeAdapter {
       dueDate: portalData.responseDeadline || portalData.dueDate || null,
       status: this.normalizeDisputeStatus(portalData.status),
       portalStatus: portalData.status,
+      outcome: portalData.outcome || null,
       decision: portalData.decision || null,
       decisionScore: portalData.decisionScore || null,
       guaranteeStatus: portalData.guaranteeStatus || null,
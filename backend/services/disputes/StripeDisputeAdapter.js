@@ -1,12 +1,818 @@
+/**
+ * DisputeAI - AI-Powered Chargeback Defense Platform
+ * Stripe Disputes Adapter
+ *
+ * Implements two-way integration with the Stripe Disputes API:
+ *   - List and retrieve disputes on the connected Stripe account
+ *   - Upload evidence files and submit Stripe's structured evidence fields
+ *   - Close (accept) disputes the property chooses not to fight
+ *   - Parse and verify charge.dispute.* webhook events
+ *
+ * Auth: Secret API key sent as a Bearer token. Write requests are form-encoded
+ *       and carry an Idempotency-Key header.
+ * Base URL: https://api.stripe.com/v1 (configurable via STRIPE_API_URL env var,
+ *           e.g. http://localhost:12111/v1 when running against stripe-mock)
+ *
+ * Stripe reports a reason string instead of a network reason code; the card
+ * network code is used when Stripe includes it, otherwise the reason is mapped
+ * to the closest code for the card brand.
+ */
+
+const axios = require('axios');
+const logger = require('../../utils/logger');
 const BaseDisputeAdapter = require('./BaseDisputeAdapter');
 
+// =============================================================================
+// STRIPE REASON MAPPINGS
+// =============================================================================
+
+// Stripe dispute reason -> category and closest network reason code per brand
+const STRIPE_REASON_CODES = {
+  'fraudulent':            { category: 'FRAUD', description: 'Cardholder claims the charge was not authorized', codes: { VISA: '10.4', MASTERCARD: '4837', AMEX: 'F29', DISCOVER: 'UA02' } },
+  'unrecognized':          { category: 'FRAUD', description: 'Cardholder does not recognize the charge', codes: { VISA: '10.4', MASTERCARD: '4863', AMEX: 'F29', DISCOVER: 'UA02' } },
+  'product_not_received':  { category: 'CONSUMER_DISPUTE', description: 'Services not provided', codes: { VISA: '13.1', MASTERCARD: '4855', AMEX: 'C08', DISCOVER: 'AA' } },
+  'product_unacceptable':  { category: 'CONSUMER_DISPUTE', description: 'Services not as described', codes: { VISA: '13.3', MASTERCARD: '4853', AMEX: 'C31', DISCOVER: 'RM' } },
+  'credit_not_processed':  { category: 'CONSUMER_DISPUTE', description: 'Credit not processed', codes: { VISA: '13.6', MASTERCARD: '4860', AMEX: 'C02', DISCOVER: 'RG' } },
+  'subscription_canceled': { category: 'CONSUMER_DISPUTE', description: 'Cancelled recurring transaction', codes: { VISA: '13.2', MASTERCARD: '4841', AMEX: 'C28', DISCOVER: 'AW' } },
+  'duplicate':             { category: 'PROCESSING_ERROR', description: 'Duplicate processing', codes: { VISA: '12.6.1', MASTERCARD: '4834', AMEX: 'P08', DISCOVER: 'DP' } },
+  'incorrect_account_details': { category: 'PROCESSING_ERROR', description: 'Incorrect account number', codes: { VISA: '12.3', MASTERCARD: '4834', AMEX: 'P01', DISCOVER: 'IN' } },
+  'insufficient_funds':    { category: 'PROCESSING_ERROR', description: 'Insufficient funds', codes: {} },
+  'bank_cannot_process':   { category: 'PROCESSING_ERROR', description: 'Bank cannot process the charge', codes: {} },
+  'debit_not_authorized':  { category: 'FRAUD', description: 'Debit not authorized', codes: {} },
+  'check_returned':        { category: 'PROCESSING_ERROR', description: 'Check returned', codes: {} },
+  'customer_initiated':    { category: 'CONSUMER_DISPUTE', description: 'Customer initiated the dispute', codes: {} },
+  'general':               { category: 'CONSUMER_DISPUTE', description: 'General dispute', codes: {} }
+};
+
+// Stripe dispute status -> DisputeAI internal status
+const STATUS_MAP_FROM_STRIPE = {
+  'warning_needs_response': 'PENDING',
+  'warning_under_review': 'IN_REVIEW',
+  'warning_closed': 'CANCELLED',
+  'needs_response': 'PENDING',
+  'under_review': 'SUBMITTED',
+  'charge_refunded': 'CANCELLED',
+  'won': 'WON',
+  'lost': 'LOST'
+};
+
+// Stripe webhook event types relevant to disputes
+const WEBHOOK_EVENTS = [
+  'charge.dispute.created',
+  'charge.dispute.updated',
+  'charge.dispute.closed',
+  'charge.dispute.funds_withdrawn',
+  'charge.dispute.funds_reinstated'
+];
+
+// Stripe event type -> standard webhook event type
+const WEBHOOK_EVENT_TYPES = {
+  'CHARGE_DISPUTE_CREATED': 'dispute.created',
+  'CHARGE_DISPUTE_UPDATED': 'dispute.updated',
+  'CHARGE_DISPUTE_FUNDS_WITHDRAWN': 'dispute.updated',
+  'CHARGE_DISPUTE_FUNDS_REINSTATED': 'dispute.updated',
+  'CHARGE_DISPUTE_CLOSED': 'dispute.resolved'
+};
+
+// DisputeAI EvidenceType -> Stripe evidence file field. Stripe accepts one file
+// per field; extra files of the same kind fall through to uncategorized_file.
+const EVIDENCE_FILE_FIELDS = {
+  ID_SCAN: 'customer_signature',
+  AUTH_SIGNATURE: 'customer_signature',
+  CHECKOUT_SIGNATURE: 'customer_signature',
+  FOLIO: 'receipt',
+  RESERVATION_CONFIRMATION: 'service_documentation',
+  NO_SHOW_DOCUMENTATION: 'service_documentation',
+  KEY_CARD_LOG: 'service_documentation',
+  CANCELLATION_POLICY: 'cancellation_policy',
+  CANCELLATION_POLICY_VIOLATION: 'cancellation_policy',
+  CORRESPONDENCE: 'customer_communication',
+  INCIDENT_REPORT: 'uncategorized_file',
+  DAMAGE_PHOTOS: 'uncategorized_file',
+  DAMAGE_ASSESSMENT: 'uncategorized_file',
+  POLICE_REPORT: 'uncategorized_file',
+  CCTV_FOOTAGE: 'uncategorized_file',
+  OTHER: 'uncategorized_file'
+};
+
+// Currencies Stripe reports in whole units rather than cents
+const ZERO_DECIMAL_CURRENCIES = ['bif', 'clp', 'djf', 'gnf', 'jpy', 'kmf', 'krw', 'mga', 'pyg', 'rwf', 'ugx', 'vnd', 'vuv', 'xaf', 'xof', 'xpf'];
+
+// Reject webhook timestamps older than this (replay protection)
+const WEBHOOK_TOLERANCE_SECONDS = 300;
+
+
 class StripeDisputeAdapter extends BaseDisputeAdapter {
+  /**
+   * @param {Object} [config]
+   * @param {Object} [config.credentials]
+   * @param {string} [config.credentials.secretKey]     - Stripe secret key (sk_live_... / sk_test_...)
+   * @param {string} [config.credentials.webhookSecret] - Endpoint signing secret (whsec_...)
+   * @param {string} [config.credentials.accountId]     - Connected account ID for Stripe Connect platforms
+   * @param {string} [config.baseUrl]  - Override default API base URL
+   * @param {string} [config.filesUrl] - Override file upload base URL
+   */
   constructor(config = {}) {
-    super({ ...config, name: 'Stripe Disputes', type: 'dispute' });
+    super({
+      ...config,
+      name: 'Stripe Disputes',
+      type: 'dispute',
+      portalType: config.portalType || 'STRIPE',
+      baseUrl: config.baseUrl || process.env.STRIPE_API_URL || 'https://api.stripe.com/v1'
+    });
+
+    this.secretKey = this.credentials.secretKey || this.credentials.apiKey || process.env.STRIPE_SECRET_KEY || '';
+    this.webhookSecret = this.credentials.webhookSecret || process.env.STRIPE_WEBHOOK_SECRET || '';
+    this.accountId = this.credentials.accountId || null;
+    this.filesUrl = config.filesUrl || process.env.STRIPE_FILES_URL || this.baseUrl.replace('://api.', '://files.');
+    this.isActive = !!this.secretKey;
+
+    const headers = { 'Content-Type': 'application/x-www-form-urlencoded' };
+    if (this.accountId) headers['Stripe-Account'] = this.accountId;
+
+    this._initHttpClient(headers);
+
+    // Inject the secret key per request so rotated credentials take effect immediately
+    this.httpClient.interceptors.request.use((reqConfig) => {
+      reqConfig.headers['Authorization'] = `Bearer ${this.secretKey}`;
+      return reqConfig;
+    });
+  }
+
+  // ===========================================================================
+  // AUTHENTICATION
+  // ===========================================================================
+
+  /**
+   * Stripe uses a static secret key; this verifies the key is accepted.
+   *
+   * @returns {Promise<Object>} { authenticated: boolean, accountId, message }
+   */
+  async authenticate() {
+    if (!this.secretKey) {
+      return { authenticated: false, accountId: this.accountId, message: 'Stripe secret key not configured' };
+    }
+
+    try {
+      const response = await this._withRetry(() => this.httpClient.get('/balance'));
+
+      logger.info('[Stripe] API key verified');
+
+      return {
+        authenticated: true,
+        accountId: this.accountId,
+        livemode: response.data.livemode,
+        message: 'Successfully authenticated with Stripe API'
+      };
+    } catch (error) {
+      logger.error(`[Stripe] Authentication failed: ${this._extractErrorMessage(error)}`);
+
+      return {
+        authenticated: false,
+        accountId: this.accountId,
+        message: `Authentication failed: ${this._extractErrorMessage(error)}`
+      };
+    }
+  }
+
+  async testConnection() {
+    const result = await this.authenticate();
+    return { success: result.authenticated, message: result.message };
+  }
+
+  // ===========================================================================
+  // INBOUND: Receive FROM Stripe
+  // ===========================================================================
+
+  /**
+   * Receive and normalize a dispute object pushed from Stripe.
+   *
+   * @param {Object} disputeData - Stripe dispute object
+   * @returns {Promise<Object>} Normalized dispute object
+   */
+  async receiveDispute(disputeData) {
+    logger.info(`[Stripe] Receiving dispute: ${disputeData.id}`);
+
+    const normalized = this.normalizeDispute(disputeData);
+
+    logger.info(`[Stripe] Dispute normalized: ${normalized.disputeId} (${normalized.reasonCode})`);
+    return normalized;
+  }
+
+  /**
+   * Fetch a page of normalized disputes from Stripe. Stripe paginates by
+   * cursor, so the ID of the last dispute is returned as nextCursor.
+   *
+   * @param {Object} params
+   * @param {string|Date} [params.since] - Only disputes created at or after this time
+   * @param {number} [params.limit] - Page size (max 100)
+   * @param {string} [params.startingAfter] - Cursor from a previous page
+   * @param {string} [params.chargeId] - Only disputes for this charge
+   * @returns {Promise<Object>} { disputes: [], totalCount, hasMore, nextCursor }
+   */
+  async listDisputes(params = {}) {
+    const page = await this._listDisputePage(params);
+    return { ...page, disputes: page.disputes.map((d) => this.normalizeDispute(d)) };
+  }
+
+  /**
+   * One page of raw Stripe dispute objects (see listDisputes for params).
+   */
+  async _listDisputePage(params = {}) {
+    const queryParams = {
+      limit: Math.min(params.limit || 50, 100),
+      starting_after: params.startingAfter || params.cursor || undefined,
+      charge: params.chargeId || undefined,
+      payment_intent: params.paymentIntentId || undefined,
+      'expand[]': 'data.charge'
+    };
+
+    if (params.since) {
+      queryParams['created[gte]'] = Math.floor(new Date(params.since).getTime() / 1000);
+    }
+
+    Object.keys(queryParams).forEach(key => {
+      if (queryParams[key] === undefined) delete queryParams[key];
+    });
+
+    const response = await this._withRetry(() =>
+      this.httpClient.get('/disputes', { params: queryParams })
+    );
+
+    const data = response.data;
+    const disputes = data.data || [];
+
+    return {
+      disputes,
+      totalCount: disputes.length,
+      hasMore: !!data.has_more,
+      nextCursor: disputes.length ? disputes[disputes.length - 1].id : null
+    };
+  }
+
+  /**
+   * Fetch every dispute created since params.since as raw Stripe objects,
+   * following cursors, for scheduled sync (which normalizes each one).
+   * Stripe has no page numbers, so params.page is ignored.
+   *
+   * @param {Object} [params] - { since, limit }
+   * @returns {Promise<Object>} { disputes: [], totalCount, hasMore: false }
+   */
+  async fetchDisputes(params = {}) {
+    const all = [];
+    let cursor;
+
+    do {
+      const page = await this._listDisputePage({ since: params.since, limit: params.limit || 100, startingAfter: cursor });
+      all.push(...page.disputes);
+      cursor = page.hasMore ? page.nextCursor : null;
+    } while (cursor);
+
+    return { disputes: all, totalCount: all.length, hasMore: false };
+  }
+
+  /**
+   * Normalized disputes created since a date.
+   *
+   * @param {Date|string} since
+   * @returns {Promise<Array<Object>>}
+   */
+  async getUpdates(since) {
+    const { disputes } = await this.fetchDisputes({ since });
+    return disputes.map((d) => this.normalizeDispute(d));
+  }
+
+  /**
+   * Query Stripe for the current status of a dispute.
+   *
+   * @param {string} disputeId - Stripe dispute ID (dp_...)
+   * @returns {Promise<Object>} { disputeId, status, lastUpdated, notes }
+   */
+  async getDisputeStatus(disputeId) {
+    const response = await this._withRetry(() =>
+      this.httpClient.get(`/disputes/${disputeId}`)
+    );
+
+    const data = response.data;
+    const details = data.evidence_details || {};
+
+    return {
+      disputeId,
+      status: this.normalizeDisputeStatus(data.status),
+      portalStatus: data.status,
+      lastUpdated: new Date().toISOString(),
+      notes: '',
+      outcome: data.status === 'won' || data.status === 'lost' ? data.status : null,
+      outcomeDate: null,
+      dueDate: details.due_by ? this._fromUnix(details.due_by) : null,
+      hasEvidence: !!details.has_evidence,
+      submissionCount: details.submission_count || 0,
+      chargebackStage: data.status?.startsWith('warning_') ? 'inquiry' : 'first_chargeback'
+    };
+  }
+
+  // ===========================================================================
+  // OUTBOUND: Send TO Stripe
+  // ===========================================================================
+
+  /**
+   * Upload evidence files and set Stripe's structured evidence fields.
+   *
+   * Each file is uploaded to Stripe Files (purpose dispute_evidence) and placed
+   * in the evidence field matching its EvidenceType. Text fields are built from
+   * the case metadata. Evidence is submitted immediately unless
+   * metadata.submit === false, in which case it is staged on the dispute.
+   *
+   * @param {string} disputeId - Stripe dispute ID
+   * @param {Object} evidence - { files: [{ type, fileName, mimeType, data|url, description }], metadata }
+   * @returns {Promise<Object>} { submissionId, status, message, evidenceFields, skippedFiles }
+   */
+  async submitEvidence(disputeId, evidence) {
+    const files = evidence.files || [];
+    const metadata = evidence.metadata || {};
+
+    const fields = this.buildEvidenceFields(metadata);
+    const skippedFiles = [];
+
+    for (const file of files) {
+      let field = EVIDENCE_FILE_FIELDS[file.type] || 'uncategorized_file';
+      if (fields[field]) field = 'uncategorized_file';
+      if (fields[field]) {
+        skippedFiles.push({ fileName: file.fileName, type: file.type, reason: 'No free Stripe evidence field' });
+        continue;
+      }
+
+      try {
+        const uploaded = await this.uploadFile(file);
+        fields[field] = uploaded.id;
+      } catch (error) {
+        logger.warn(`[Stripe] Failed to upload evidence file ${file.fileName}: ${this._extractErrorMessage(error)}`);
+        skippedFiles.push({ fileName: file.fileName, type: file.type, reason: this._extractErrorMessage(error) });
+      }
+    }
+
+    const submit = metadata.submit !== false;
+    const body = this._encodeForm({
+      evidence: fields,
+      submit,
+      metadata: metadata.caseNumber ? { disputeai_case: metadata.caseNumber } : undefined
+    });
+
+    // One key for every attempt, so a retry after a timeout can't submit twice
+    const idempotencyKey = this._generateIdempotencyKey('stripe_evidence');
+    const response = await this._withRetry(() =>
+      this.httpClient.post(`/disputes/${disputeId}`, body, {
+        headers: { 'Idempotency-Key': idempotencyKey }
+      })
+    );
+
+    logger.info(`[Stripe] Evidence ${submit ? 'submitted' : 'staged'} for dispute ${disputeId} (${Object.keys(fields).length} fields)`);
+
+    return {
+      submissionId: response.data.id,
+      status: submit ? 'submitted' : 'staged',
+      portalStatus: response.data.status,
+      message: submit ? 'Evidence submitted successfully' : 'Evidence saved without submitting',
+      evidenceFields: Object.keys(fields),
+      skippedFiles,
+      timestamp: new Date().toISOString()
+    };
+  }
+
+  /**
+   * Push a representment response. Stripe has no separate representment call,
+   * so the narrative and stay details are sent as evidence text fields.
+   *
+   * @param {string} disputeId - Stripe dispute ID
+   * @param {Object} responseData - Representment data
+   * @returns {Promise<Object>} { responseId, status, message }
+   */
+  async pushResponse(disputeId, responseData) {
+    const result = await this.submitEvidence(disputeId, {
+      files: [],
+      metadata: {
+        guestName: responseData.guestDetails?.name,
+        guestEmail: responseData.guestDetails?.email,
+        confirmationNumber: responseData.stayDetails?.confirmationNumber,
+        checkInDate: responseData.stayDetails?.checkInDate,
+        checkOutDate: responseData.stayDetails?.checkOutDate,
+        roomType: responseData.stayDetails?.roomType,
+        propertyName: responseData.stayDetails?.propertyName,
+        notes: responseData.narrative,
+        submit: responseData.submit
+      }
+    });
+
+    return {
+      responseId: result.submissionId,
+      status: result.status,
+      message: result.status === 'submitted' ? 'Representment submitted successfully' : 'Representment saved without submitting',
+      timestamp: result.timestamp
+    };
+  }
+
+  /**
+   * Accept liability on a dispute by closing it.
+   *
+   * @param {string} disputeId - Stripe dispute ID
+   * @returns {Promise<Object>} { accepted: true, disputeId }
+   */
+  async acceptDispute(disputeId) {
+    const idempotencyKey = this._generateIdempotencyKey('stripe_accept');
+    const response = await this._withRetry(() =>
+      this.httpClient.post(`/disputes/${disputeId}/close`, '', {
+        headers: { 'Idempotency-Key': idempotencyKey }
+      })
+    );
+
+    logger.info(`[Stripe] Dispute ${disputeId} closed (liability accepted)`);
+
+    return {
+      accepted: true,
+      disputeId,
+      responseId: response.data.id,
+      portalStatus: response.data.status,
+      message: 'Dispute closed'
+    };
+  }
+
+  /**
+   * Upload one evidence file to Stripe Files.
+   *
+   * @param {Object} file - { fileName, mimeType, data (Buffer|base64) | url }
+   * @returns {Promise<Object>} Stripe file object ({ id, ... })
+   */
+  async uploadFile(file) {
+    let content = file.data;
+    if (!content && file.url) {
+      const download = await axios.get(file.url, { responseType: 'arraybuffer', timeout: this.timeout });
+      content = Buffer.from(download.data);
+    } else if (typeof content === 'string') {
+      content = Buffer.from(content, 'base64');
+    }
+
+    if (!content) {
+      throw new Error(`No content for evidence file ${file.fileName}`);
+    }
+
+    const form = new FormData();
+    form.append('purpose', 'dispute_evidence');
+    form.append('file', new Blob([content], { type: file.mimeType || 'application/pdf' }), file.fileName || 'evidence.pdf');
+
+    const response = await this._withRetry(() =>
+      this.httpClient.post('/files', form, {
+        baseURL: this.filesUrl,
+        headers: { 'Content-Type': 'multipart/form-data' }
+      })
+    );
+
+    return response.data;
+  }
+
+  /**
+   * Build Stripe's text evidence fields from case metadata.
+   *
+   * @param {Object} metadata - Case metadata (guest, stay, narrative)
+   * @returns {Object} Stripe evidence fields
+   */
+  buildEvidenceFields(metadata = {}) {
+    const fields = {};
+    const set = (key, value) => {
+      if (value !== undefined && value !== null && value !== '') fields[key] = String(value);
+    };
+
+    set('customer_name', metadata.guestName);
+    set('customer_email_address', metadata.guestEmail);
+    set('customer_purchase_ip', metadata.customerIp);
+    set('billing_address', metadata.billingAddress);
+    set('service_date', this._formatDate(metadata.checkInDate));
+
+    const stay = [];
+    if (metadata.propertyName) stay.push(`Hotel stay at ${metadata.propertyName}`);
+    if (metadata.confirmationNumber) stay.push(`Confirmation ${metadata.confirmationNumber}`);
+    if (metadata.roomType || metadata.roomNumber) {
+      stay.push(`Room ${[metadata.roomType, metadata.roomNumber].filter(Boolean).join(' ')}`);
+    }
+    if (metadata.checkInDate || metadata.checkOutDate) {
+      stay.push(`Check-in ${this._formatDate(metadata.checkInDate) || 'n/a'}, check-out ${this._formatDate(metadata.checkOutDate) || 'n/a'}`);
+    }
+    if (stay.length) set('product_description', stay.join('. '));
+
+    set('access_activity_log', metadata.accessActivityLog);
+    set('cancellation_policy_disclosure', metadata.cancellationPolicyDisclosure);
+    set('cancellation_rebuttal', metadata.cancellationRebuttal);
+    set('refund_policy_disclosure', metadata.refundPolicyDisclosure);
+    set('refund_refusal_explanation', metadata.refundRefusalExplanation);
+    set('duplicate_charge_explanation', metadata.duplicateChargeExplanation);
+    set('duplicate_charge_id', metadata.duplicateChargeId);
+    set('uncategorized_text', metadata.notes);
+
+    return fields;
+  }
+
+  // ===========================================================================
+  // WEBHOOK MANAGEMENT
+  // ===========================================================================
+
+  /**
+   * Verify a Stripe-Signature header ("t=<ts>,v1=<sig>[,v1=<sig>]").
+   * The signed payload is "<ts>.<raw body>", so the raw bytes must be passed.
+   *
+   * @param {string|Buffer} payload - Raw request body
+   * @param {string} signature - Stripe-Signature header value
+   * @param {string} [secret] - Endpoint signing secret; defaults to the configured one
+   * @returns {boolean}
+   */
+  verifyWebhookSignature(payload, signature, secret = this.webhookSecret) {
+    if (!signature || !secret) return false;
+
+    const parts = String(signature).split(',').reduce((acc, part) => {
+      const [key, value] = part.split('=');
+      if (key && value) (acc[key.trim()] = acc[key.trim()] || []).push(value.trim());
+      return acc;
+    }, {});
+
+    const timestamp = parseInt(parts.t?.[0], 10);
+    const signatures = parts.v1 || [];
+    if (!Number.isFinite(timestamp) || !signatures.length) return false;
+
+    if (Math.abs(Math.floor(Date.now() / 1000) - timestamp) > WEBHOOK_TOLERANCE_SECONDS) {
+      logger.warn('[Stripe] Webhook timestamp outside tolerance window');
+      return false;
+    }
+
+    const rawBody = Buffer.isBuffer(payload) ? payload.toString('utf-8')
+      : typeof payload === 'string' ? payload : JSON.stringify(payload);
+
+    return signatures.some((sig) => this._verifySignature(`${timestamp}.${rawBody}`, sig, secret));
+  }
+
+  /**
+   * Parse a raw Stripe webhook payload. The Stripe-Signature header is always
+   * verified; without a configured signing secret every delivery is refused.
+   *
+   * @param {string|Buffer|Object} payload - Raw request body
+   * @param {Object} [headers] - Request headers
+   * @param {Object} [options]
+   * @param {boolean} [options.verify=true] - false only for replaying a stored, already verified event
+   * @returns {Object} { type, data, eventId, timestamp, rawEventType, dispute, rawData }
+   */
+  parseWebhookPayload(payload, headers = {}, { verify = true } = {}) {
+    let parsed;
+
+    if (typeof payload === 'string') {
+      try {
+        parsed = JSON.parse(payload);
+      } catch (err) {
+        logger.error('[Stripe] Failed to parse webhook payload as JSON:', err.message);
+        throw new Error('Invalid Stripe webhook payload: not valid JSON');
+      }
+    } else if (Buffer.isBuffer(payload)) {
+      try {
+        parsed = JSON.parse(payload.toString('utf-8'));
+      } catch (err) {
+        logger.error('[Stripe] Failed to parse webhook buffer as JSON:', err.message);
+        throw new Error('Invalid Stripe webhook payload: not valid JSON');
+      }
+    } else {
+      parsed = payload;
+    }
+
+    // Verify webhook signature
+    if (verify) {
+      if (!this.webhookSecret) {
+        logger.warn('[Stripe] Webhook refused: no signing secret configured');
+        throw new Error('Webhook signing secret not configured');
+      }
+
+      const signature = headers['stripe-signature'] || headers['Stripe-Signature'];
+      if (!signature || !this.verifyWebhookSignature(payload, signature)) {
+        logger.warn('[Stripe] Webhook signature verification failed');
+        throw new Error('Invalid webhook signature');
+      }
+    }
+
+    const object = parsed.data?.object || {};
+    const isDispute = object.object === 'dispute' || (parsed.type || '').startsWith('charge.dispute.');
+
+    return {
+      type: WEBHOOK_EVENT_TYPES[String(parsed.type || '').toUpperCase().replace(/\./g, '_')] || 'dispute.updated',
+      data: object,
+      eventId: parsed.id || undefined,
+      timestamp: parsed.created ? this._fromUnix(parsed.created) : new Date().toISOString(),
+      rawEventType: parsed.type,
+      dispute: isDispute ? this.normalizeDispute(object) : null,
+      rawData: parsed
+    };
+  }
+
+  /**
+   * Register a webhook endpoint with Stripe for dispute events.
+   *
+   * @param {Object|string} config - { callbackUrl, events } or the callback URL
+   * @returns {Promise<Object>} { webhookId, callbackUrl, events, active, secret }
+   */
+  async registerWebhook(config) {
+    const callbackUrl = config.callbackUrl || config;
+    const events = config.events || WEBHOOK_EVENTS;
+
+    const body = this._encodeForm({
+      url: callbackUrl,
+      enabled_events: events,
+      description: 'DisputeAI chargeback integration'
+    });
+
+    const idempotencyKey = this._generateIdempotencyKey('stripe_webhook');
+    const response = await this._withRetry(() =>
+      this.httpClient.post('/webhook_endpoints', body, {
+        headers: { 'Idempotency-Key': idempotencyKey }
+      })
+    );
+
+    logger.info(`[Stripe] Webhook registered: ${callbackUrl} for events: ${events.join(', ')}`);
+
+    return {
+      webhookId: response.data.id,
+      callbackUrl,
+      events,
+      active: response.data.status !== 'disabled',
+      secret: response.data.secret,
+      message: 'Webhook registered successfully'
+    };
+  }
+
+  // ===========================================================================
+  // NORMALIZATION
+  // ===========================================================================
+
+  /**
+   * Normalize a Stripe dispute object into DisputeAI's standard format.
+   *
+   * @param {Object} portalData - Stripe dispute object
+   * @returns {Object} Normalized dispute object
+   */
+  normalizeDispute(portalData) {
+    const charge = typeof portalData.charge === 'object' && portalData.charge ? portalData.charge : null;
+    const card = portalData.payment_method_details?.card || charge?.payment_method_details?.card || {};
+    const cardBrand = this._normalizeCardBrand(card.brand);
+    const reasonInfo = this.normalizeReasonCode(portalData.reason, cardBrand, card.network_reason_code);
+    const details = portalData.evidence_details || {};
+
+    return {
+      disputeId: portalData.id,
+      caseNumber: portalData.metadata?.disputeai_case || null,
+      amount: this._fromMinorUnits(portalData.amount, portalData.currency),
+      currency: (portalData.currency || 'usd').toUpperCase(),
+      cardLastFour: card.last4 || '',
+      cardBrand,
+      guestName: charge?.billing_details?.name || portalData.evidence?.customer_name || '',
+      guestEmail: charge?.billing_details?.email || charge?.receipt_email || portalData.evidence?.customer_email_address || '',
+      reasonCode: reasonInfo.code,
+      reasonCategory: reasonInfo.category,
+      reasonDescription: reasonInfo.description,
+      disputeDate: portalData.created ? this._fromUnix(portalData.created) : null,
+      dueDate: details.due_by ? this._fromUnix(details.due_by) : null,
+      status: this.normalizeDisputeStatus(portalData.status),
+      portalStatus: portalData.status,
+      chargebackStage: portalData.status?.startsWith('warning_') ? 'inquiry' : 'first_chargeback',
+      transactionId: charge?.id || portalData.charge || '',
+      paymentIntentId: typeof portalData.payment_intent === 'string' ? portalData.payment_intent : portalData.payment_intent?.id || null,
+      transactionDate: charge?.created ? this._fromUnix(charge.created) : null,
+      merchantDescriptor: charge?.calculated_statement_descriptor || charge?.statement_descriptor || '',
+      propertyId: portalData.metadata?.propertyId || charge?.metadata?.propertyId || null,
+      portalType: 'STRIPE',
+      rawData: portalData
+    };
+  }
+
+  /**
+   * Map a Stripe status string to DisputeAI internal status.
+   */
+  normalizeDisputeStatus(portalStatus) {
+    if (!portalStatus) return 'PENDING';
+    return STATUS_MAP_FROM_STRIPE[portalStatus.toLowerCase()] || 'PENDING';
+  }
+
+  /**
+   * Map a Stripe reason to a structured reason code. The network reason code
+   * is preferred when Stripe provides one.
+   *
+   * @param {string} reason - Stripe dispute reason (e.g. 'fraudulent')
+   * @param {string} [cardBrand] - Normalized card brand
+   * @param {string} [networkReasonCode] - Card network reason code from Stripe
+   */
+  normalizeReasonCode(reason, cardBrand, networkReasonCode) {
+    const known = STRIPE_REASON_CODES[(reason || '').toLowerCase()];
+
+    if (!known) {
+      return {
+        code: networkReasonCode || (reason ? String(reason).toUpperCase() : 'UNKNOWN'),
+        category: 'UNKNOWN',
+        description: reason ? `Stripe reason ${reason}` : 'Unknown reason code',
+        stripeReason: reason || null
+      };
+    }
+
+    return {
+      code: networkReasonCode || known.codes[cardBrand] || reason.toUpperCase(),
+      category: known.category,
+      description: known.description,
+      stripeReason: reason
+    };
+  }
+
+  // ===========================================================================
+  // HEALTH CHECK
+  // ===========================================================================
+
+  /**
+   * Verify connectivity and authentication with the Stripe API.
+   *
+   * @returns {Promise<Object>} { healthy: boolean, latencyMs, message, details }
+   */
+  async healthCheck() {
+    const startTime = Date.now();
+
+    try {
+      const response = await this.httpClient.get('/disputes', { params: { limit: 1 }, timeout: 10000 });
+      const latencyMs = Date.now() - startTime;
+
+      return {
+        healthy: true,
+        latencyMs,
+        message: 'Stripe API is reachable',
+        details: {
+          portalType: 'STRIPE',
+          accountId: this.accountId,
+          webhookSecretConfigured: !!this.webhookSecret,
+          responseStatus: response.status
+        }
+      };
+    } catch (error) {
+      const latencyMs = Date.now() - startTime;
+
+      return {
+        healthy: false,
+        latencyMs,
+        message: `Stripe API health check failed: ${this._extractErrorMessage(error)}`,
+        details: {
+          portalType: 'STRIPE',
+          accountId: this.accountId,
+          errorStatus: error.response?.status,
+          errorMessage: this._extractErrorMessage(error)
+        }
+      };
+    }
   }
 
   getFeatures() {
-    return ['dispute_submission', 'status_tracking', 'evidence_upload', 'webhook_notifications'];
+    return ['dispute_submission', 'status_tracking', 'evidence_upload', 'webhook_notifications', 'accept_dispute', 'structured_evidence'];
+  }
+
+  // ===========================================================================
+  // HELPERS
+  // ===========================================================================
+
+  /**
+   * Encode a nested object using Stripe's bracket form syntax
+   * (evidence[customer_name]=..., enabled_events[]=...).
+   */
+  _encodeForm(obj) {
+    const params = new URLSearchParams();
+
+    const append = (key, value) => {
+      if (value === undefined || value === null) return;
+      if (Array.isArray(value)) {
+        value.forEach((item) => append(`${key}[]`, item));
+      } else if (typeof value === 'object' && !(value instanceof Date)) {
+        Object.entries(value).forEach(([k, v]) => append(`${key}[${k}]`, v));
+      } else {
+        params.append(key, value instanceof Date ? Math.floor(value.getTime() / 1000) : String(value));
+      }
+    };
+
+    Object.entries(obj).forEach(([key, value]) => append(key, value));
+    return params.toString();
+  }
+
+  _fromUnix(seconds) {
+    return new Date(seconds * 1000).toISOString();
+  }
+
+  _fromMinorUnits(amount, currency) {
+    const value = Number(amount || 0);
+    return ZERO_DECIMAL_CURRENCIES.includes((currency || '').toLowerCase()) ? value : value / 100;
+  }
+
+  _formatDate(value) {
+    if (!value) return null;
+    const date = new Date(value);
+    return isNaN(date.getTime()) ? null : date.toISOString().slice(0, 10);
+  }
+
+  _normalizeCardBrand(brand) {
+    const map = { visa: 'VISA', mastercard: 'MASTERCARD', amex: 'AMEX', discover: 'DISCOVER' };
+    return map[(brand || '').toLowerCase()] || (brand ? 'OTHER' : 'UNKNOWN');
   }
 }
 
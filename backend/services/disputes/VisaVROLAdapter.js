@@ -19,6 +19,7 @@
 const crypto = require('crypto');
 const logger = require('../../utils/logger');
 const BaseDisputeAdapter = require('./BaseDisputeAdapter');
+const { calculateNetworkDeadline } = require('../deadlines');
 
 // =============================================================================
 // VISA REASON CODE MAPPINGS (Complete Set)
@@ -204,17 +205,6 @@ const STATUS_MAP_FROM_VROL = {
   'accepted_by_merchant': 'RESOLVED'
 };
 
-// DisputeAI status -> VROL portal status
-const STATUS_MAP_TO_VROL = {
-  'PENDING': 'open',
-  'IN_REVIEW': 'under_review',
-  'SUBMITTED': 'representment_filed',
-  'WON': 'merchant_won',
-  'LOST': 'merchant_lost',
-  'EXPIRED': 'expired',
-  'RESOLVED': 'closed'
-};
-
 // Webhook event types
 const WEBHOOK_EVENTS = [
   'dispute.created',
@@ -228,6 +218,18 @@ const WEBHOOK_EVENTS = [
   'compliance.case_opened'
 ];
 
+// VROL webhook event → DisputeAI event type. VROL sends either spelling
+// (dispute.created / DISPUTE_CREATED); keys are the upper-case form.
+const WEBHOOK_EVENT_TYPES = {
+  'DISPUTE_CREATED': 'dispute.created',
+  'DISPUTE_UPDATED': 'dispute.updated',
+  'DISPUTE_STATUS_CHANGED': 'dispute.updated',
+  'REPRESENTMENT_ACCEPTED': 'dispute.updated',
+  'REPRESENTMENT_DECLINED': 'dispute.updated',
+  'PRE_ARBITRATION_INITIATED': 'dispute.updated',
+  'ARBITRATION_INITIATED': 'dispute.updated'
+};
+
 
 class VisaVROLAdapter extends BaseDisputeAdapter {
   /**
@@ -822,39 +824,39 @@ class VisaVROLAdapter extends BaseDisputeAdapter {
   // ===========================================================================
 
   /**
-   * Parse a raw VROL webhook payload.
+   * Parse a raw VROL webhook payload into a standardized event.
    * VROL sends webhooks as JSON with structure:
    *   { eventType, caseId, data, timestamp, signature }
    *
-   * @param {Object} headers - HTTP request headers
-   * @param {string|Buffer|Object} body - Raw request body
-   * @returns {Object} Parsed webhook event
+   * @param {string|Buffer|Object} payload - Raw request body
+   * @param {Object} [headers] - HTTP request headers
+   * @returns {Object} { type, data, eventId, timestamp, rawEventType }
    */
-  parseWebhookPayload(headers, body) {
+  parseWebhookPayload(payload, headers = {}) {
     let parsed;
 
-    if (typeof body === 'string') {
+    if (typeof payload === 'string') {
       try {
-        parsed = JSON.parse(body);
+        parsed = JSON.parse(payload);
       } catch (err) {
         logger.error('[VROL] Failed to parse webhook payload as JSON:', err.message);
         throw new Error('Invalid VROL webhook payload: not valid JSON');
       }
-    } else if (Buffer.isBuffer(body)) {
+    } else if (Buffer.isBuffer(payload)) {
       try {
-        parsed = JSON.parse(body.toString('utf-8'));
+        parsed = JSON.parse(payload.toString('utf-8'));
       } catch (err) {
         logger.error('[VROL] Failed to parse webhook buffer as JSON:', err.message);
         throw new Error('Invalid VROL webhook payload: not valid JSON');
       }
     } else {
-      parsed = body;
+      parsed = payload;
     }
 
     // Verify signature if webhook secret is configured
     const signature = headers['x-visa-signature'] || headers['x-vrol-signature'];
     if (this.webhookSecret && signature) {
-      const rawBody = typeof body === 'string' ? body : JSON.stringify(body);
+      const rawBody = typeof payload === 'string' ? payload : JSON.stringify(payload);
       const isValid = this._verifySignature(rawBody, signature, this.webhookSecret);
       if (!isValid) {
         logger.warn('[VROL] Webhook signature verification failed');
@@ -862,13 +864,14 @@ class VisaVROLAdapter extends BaseDisputeAdapter {
       }
     }
 
+    const rawType = parsed.eventType || parsed.event;
+
     return {
-      event: parsed.eventType || parsed.event,
-      disputeId: parsed.caseId || parsed.disputeId,
+      type: WEBHOOK_EVENT_TYPES[String(rawType || '').toUpperCase().replace(/\./g, '_')] || 'dispute.updated',
       data: parsed.data || parsed.payload || parsed,
+      eventId: parsed.webhookId || headers['x-visa-webhook-id'] || undefined,
       timestamp: parsed.timestamp || headers['x-visa-timestamp'] || new Date().toISOString(),
-      webhookId: parsed.webhookId || headers['x-visa-webhook-id'] || null,
-      rawData: parsed
+      rawEventType: rawType
     };
   }
 
@@ -1135,7 +1138,9 @@ class VisaVROLAdapter extends BaseDisputeAdapter {
   }
 
   /**
-   * Calculate the response deadline based on dispute stage and reason code.
+   * Calculate the Visa response deadline for a dispute stage and reason code.
+   * The case's internal due date (processor buffer, business days, property
+   * timezone) is applied on top of this by services/deadlines.
    *
    * @param {string} disputeDate - ISO date of the dispute
    * @param {string} stage       - Dispute stage
@@ -1144,29 +1149,7 @@ class VisaVROLAdapter extends BaseDisputeAdapter {
    * @private
    */
   _calculateResponseDeadline(disputeDate, stage, reasonCode) {
-    const baseDate = new Date(disputeDate || Date.now());
-    const reasonInfo = VISA_REASON_CODES[reasonCode] || {};
-    let deadlineDays = reasonInfo.responseDeadlineDays || 30;
-
-    // Adjust deadline based on dispute stage
-    switch (stage) {
-      case DISPUTE_STAGES.PRE_ARBITRATION:
-        deadlineDays = 30;
-        break;
-      case DISPUTE_STAGES.ARBITRATION:
-        deadlineDays = 10;
-        break;
-      case DISPUTE_STAGES.COMPLIANCE:
-        deadlineDays = 45;
-        break;
-      default:
-        // First chargeback uses reason-code-specific deadline
-        break;
-    }
-
-    const deadline = new Date(baseDate);
-    deadline.setDate(deadline.getDate() + deadlineDays);
-    return deadline.toISOString();
+    return calculateNetworkDeadline({ cardBrand: 'VISA', reasonCode, stage, openedAt: disputeDate }).toISOString();
   }
 
   /**
@@ -1,57 +1,30 @@
 /**
  * DisputeAI - Fraud Detection & Confidence Scoring Service
- * Rule-based scoring engine for demo mode (no AI API required).
+ * Rule-based scoring engine (no AI API required). Weights and thresholds
+ * are configurable per property and card network via aiDefenseConfig.
  * Analyzes collected evidence and reservation data to calculate
  * a confidence score and recommendation for chargeback defense.
  */
 
 const { autoclerk } = require('./autoclerkEmulator');
+const { getActiveRuleSet, resolveRuleSet } = require('./aiDefenseConfig');
+const { getEvidenceRequirements, EVIDENCE_TYPE_LABELS } = require('./reasonCodes');
 const logger = require('../utils/logger');
 
-// ============================================================================
-// SCORING RULES — Evidence-based point system
-// ============================================================================
+// Rule weights, custom rules and thresholds come from the active versioned
+// rule set in aiDefenseConfig; the detection logic for built-in rules is below.
 
-const SCORING_RULES = {
-  // Positive evidence factors (increase confidence)
-  VALID_ID_SCAN:        { points: 15, type: 'positive', label: 'Valid Government ID on File',        description: 'Guest presented a valid government-issued photo ID at check-in' },
-  SIGNED_REGISTRATION:  { points: 15, type: 'positive', label: 'Signed Registration Card',           description: 'Guest signed the registration card with terms acknowledgment' },
-  PAYMENT_RECEIPT:      { points: 10, type: 'positive', label: 'Payment Authorization Proof',        description: 'Credit card authorization and payment receipt on file' },
-  GUEST_FOLIO:          { points: 10, type: 'positive', label: 'Guest Folio — Balance Settled',      description: 'Complete guest folio showing all charges and zero balance' },
-  AUDIT_TRAIL:          { points: 10, type: 'positive', label: 'Audit Trail Confirms Stay',          description: 'System audit trail shows booking through checkout activity' },
-  RESERVATION_CONFIRM:  { points: 10, type: 'positive', label: 'Reservation Confirmation',           description: 'Original reservation with terms acceptance timestamp' },
-  GUEST_SIGNATURE:      { points: 8,  type: 'positive', label: 'Digital Signature Verified',         description: 'Digital signature captured on tablet at check-in' },
-  KEY_CARD_ACCESS:      { points: 8,  type: 'positive', label: 'Key Card Access Logs',               description: 'Room key card access logs confirm guest presence' },
-  LOYALTY_MEMBER:       { points: 5,  type: 'positive', label: 'Loyalty Program Member',             description: 'Guest is an active loyalty program member' },
-  RETURN_GUEST:         { points: 5,  type: 'positive', label: 'Return Guest',                       description: 'Guest has stayed at the property before' },
-  DIRECT_BOOKING:       { points: 5,  type: 'positive', label: 'Direct Booking',                     description: 'Reservation was booked directly (not OTA)' },
-  FULL_STAY:            { points: 5,  type: 'positive', label: 'Full Stay Completed',                description: 'Guest completed all booked nights' },
-  CHIP_TRANSACTION:     { points: 5,  type: 'positive', label: 'EMV Chip Transaction',               description: 'Payment processed via EMV chip (no liability shift)' },
-  MATCHING_ADDRESS:     { points: 3,  type: 'positive', label: 'Address Matches Card',               description: 'Guest address on file matches billing address' },
-  WIFI_CONNECTED:       { points: 2,  type: 'positive', label: 'WiFi Connection Logged',             description: 'Guest device connected to hotel WiFi during stay' },
-
-  // Negative factors (decrease confidence)
-  NO_ID_SCAN:           { points: -15, type: 'negative', label: 'No ID Scan on File',                description: 'No government-issued photo ID was collected at check-in' },
-  NO_SIGNATURE:         { points: -15, type: 'negative', label: 'No Registration Signature',         description: 'No signed registration card on file' },
-  SWIPED_NOT_CHIP:      { points: -10, type: 'negative', label: 'Magnetic Stripe Used',              description: 'Card was swiped (not chip) — EMV liability shift to merchant' },
-  HIGH_AMOUNT:          { points: -8,  type: 'negative', label: 'High Transaction Amount',           description: 'Transaction amount exceeds typical threshold (>$2,000)' },
-  FIRST_TIME_GUEST:     { points: -5,  type: 'negative', label: 'First-Time Guest',                  description: 'No prior stay history at this property' },
-  MISMATCH_ADDRESS:     { points: -5,  type: 'negative', label: 'Address Mismatch',                  description: 'Guest address does not match card billing address' },
-  EARLY_CHECKOUT:       { points: -5,  type: 'negative', label: 'Early Checkout',                    description: 'Guest checked out before the scheduled date' },
-  DISPUTED_BEFORE:      { points: -8,  type: 'negative', label: 'Previous Dispute History',          description: 'Cardholder has filed disputes before' },
-  OTA_BOOKING:          { points: -3,  type: 'negative', label: 'OTA Booking',                       description: 'Reservation was booked via OTA (less direct evidence)' },
-  NO_RESERVATION_MATCH: { points: -20, type: 'negative', label: 'No Reservation Match Found',        description: 'Could not match chargeback to any PMS reservation' },
-};
+// Reservation booking sources that count as OTA bookings
+const OTA_SOURCES = ['Booking.com', 'Expedia', 'Hotels.com', 'Priceline', 'Agoda', 'Airbnb'];
 
-// Base score (start here, add/subtract)
-const BASE_SCORE = 50;
-
-// Recommendation thresholds
-const THRESHOLDS = {
-  AUTO_SUBMIT: 85,
-  REVIEW: 70,
-  GATHER_MORE_EVIDENCE: 50,
-  // Below 50 → UNLIKELY_TO_WIN
+// Stored evidence types mapped to the evidence types the scoring rules check
+const EVIDENCE_TYPE_MAP = {
+  ID_SCAN: 'id_scan',
+  AUTH_SIGNATURE: 'guest_signature',
+  CHECKOUT_SIGNATURE: 'registration_card',
+  FOLIO: 'folio',
+  RESERVATION_CONFIRMATION: 'reservation',
+  KEY_CARD_LOG: 'audit_trail'
 };
 
 // ============================================================================
@@ -60,12 +33,14 @@ const THRESHOLDS = {
 
 /**
  * Analyze a chargeback case and produce a confidence score.
- * Works entirely in demo mode using AutoClerk emulator data.
+ * Without inputs, evidence and the reservation come from the AutoClerk
+ * emulator and the result is marked as demo data.
  *
  * @param {string|Object} caseIdOrData - Case ID (matches demo case) or case data object
+ * @param {Object} [inputs] - { evidence, reservation } for a stored case (see scoringInputForCase)
  * @returns {Object} Analysis result
  */
-async function analyzeChargeback(caseIdOrData) {
+async function analyzeChargeback(caseIdOrData, inputs = null) {
   try {
     let caseData;
 
@@ -80,47 +55,34 @@ async function analyzeChargeback(caseIdOrData) {
       caseData = caseIdOrData;
     }
 
-    // Get evidence collected for this case
+    // Stored cases bring their own evidence and reservation; only demo cases read the emulator
     const caseId = caseData.id || caseIdOrData;
-    const evidence = autoclerk.getCaseEvidence(caseId);
-    const evidenceTypes = evidence.map(e => e.type);
-
-    // Get reservation match if available
-    let reservation = null;
-    if (caseData.confirmationNumber) {
-      const res = autoclerk.getReservation(caseData.confirmationNumber);
-      if (res) reservation = res;
-    }
+    const { evidence, reservation } = inputs || _demoScoringInputs(caseId, caseData);
 
-    // Calculate score
-    const { score, positiveSignals, negativeSignals, appliedRules } = _calculateScore(
-      caseData,
-      evidence,
-      evidenceTypes,
-      reservation
-    );
-
-    // Clamp to 0-100
-    const confidenceScore = Math.max(0, Math.min(100, score));
-
-    // Determine recommendation
-    let recommendation;
-    if (confidenceScore >= THRESHOLDS.AUTO_SUBMIT) {
-      recommendation = 'AUTO_SUBMIT';
-    } else if (confidenceScore >= THRESHOLDS.REVIEW) {
-      recommendation = 'REVIEW_RECOMMENDED';
-    } else if (confidenceScore >= THRESHOLDS.GATHER_MORE_EVIDENCE) {
-      recommendation = 'GATHER_MORE_EVIDENCE';
-    } else {
-      recommendation = 'UNLIKELY_TO_WIN';
-    }
+    // Score under the active rule set for this property and card network
+    const activeRuleSet = await getActiveRuleSet();
+    const {
+      confidenceScore,
+      recommendation,
+      positiveSignals,
+      negativeSignals,
+      appliedRules,
+      ruleSet
+    } = scoreCase(caseData, { evidence, reservation }, activeRuleSet);
+    const { thresholds } = ruleSet;
 
-    // Determine missing evidence
-    const allEvidenceTypes = ['folio', 'registration_card', 'payment_receipt', 'guest_signature', 'id_scan', 'reservation', 'audit_trail'];
-    const missingEvidence = allEvidenceTypes.filter(t => !evidenceTypes.includes(t));
+    // Determine missing evidence for this reason code
+    const requirements = getEvidenceRequirements(caseData, evidence);
+    const missingEvidence = requirements.missingRequired;
 
     // Generate strategy
-    const strategy = _generateStrategy(caseData, recommendation, positiveSignals, negativeSignals, missingEvidence);
+    const strategy = _generateStrategy(
+      caseData,
+      recommendation,
+      positiveSignals,
+      negativeSignals,
+      missingEvidence.map(type => EVIDENCE_TYPE_LABELS[type])
+    );
 
     const result = {
       confidenceScore,
@@ -128,19 +90,27 @@ async function analyzeChargeback(caseIdOrData) {
       fraudIndicators: {
         positive: positiveSignals.map(s => s.label),
         negative: negativeSignals.map(s => s.label),
-        positiveSignals: positiveSignals.map(s => ({ ...SCORING_RULES[s.rule], rule: s.rule })),
-        negativeSignals: negativeSignals.map(s => ({ ...SCORING_RULES[s.rule], rule: s.rule })),
+        positiveSignals: positiveSignals.map(s => _describeRule(ruleSet.rules[s.rule])),
+        negativeSignals: negativeSignals.map(s => _describeRule(ruleSet.rules[s.rule])),
       },
       missingEvidence,
-      evidenceCompleteness: Math.min(100, Math.round((evidenceTypes.length / 7) * 100)),
+      evidenceCompleteness: requirements.completeness,
+      evidenceRequirements: requirements,
       strategy,
       reasoning: _generateReasoning(confidenceScore, recommendation, positiveSignals, negativeSignals, caseData),
       appliedRules,
+      ruleSet: {
+        version: activeRuleSet.version,
+        propertyId: caseData.propertyId || null,
+        cardBrand: caseData.cardBrand || null,
+        baseScore: ruleSet.baseScore,
+        thresholds
+      },
       analyzedAt: new Date().toISOString(),
-      isDemo: true
+      ...(!inputs && { isDemo: true })
     };
 
-    logger.info(`Fraud analysis for ${caseId}: score=${confidenceScore}, rec=${recommendation}, evidence=${evidenceTypes.length}/7`);
+    logger.info(`Fraud analysis for ${caseId}: score=${confidenceScore}, rec=${recommendation}, evidence=${requirements.completeness}% of ${requirements.reasonCode || 'default'} requirements, rules=v${activeRuleSet.version}`);
 
     return result;
 
@@ -150,6 +120,90 @@ async function analyzeChargeback(caseIdOrData) {
   }
 }
 
+/**
+ * Score a case under a rule set without side effects. Shared by
+ * analyzeChargeback and the rule backtester so both produce identical
+ * scores for the same inputs.
+ *
+ * @param {Object} caseData - Chargeback fields (amount, cardBrand, propertyId, fraudIndicators, ...)
+ * @param {Object} inputs - { evidence: [{ type }], reservation }
+ * @param {Object} ruleSetVersion - { version, ruleSet } as returned by getActiveRuleSet
+ * @returns {Object} { confidenceScore, recommendation, positiveSignals, negativeSignals, appliedRules, evidenceTypes, ruleSet }
+ */
+function scoreCase(caseData, { evidence = [], reservation = null } = {}, ruleSetVersion) {
+  const evidenceTypes = evidence.map(e => e.type);
+
+  // Resolve the rule set for this property and card network
+  const ruleSet = resolveRuleSet(ruleSetVersion.ruleSet, {
+    propertyId: caseData.propertyId,
+    cardBrand: caseData.cardBrand
+  });
+
+  const { score, positiveSignals, negativeSignals, appliedRules } = _calculateScore(
+    caseData,
+    evidence,
+    evidenceTypes,
+    reservation,
+    ruleSet
+  );
+
+  // Clamp to 0-100
+  const confidenceScore = Math.max(0, Math.min(100, score));
+
+  return {
+    confidenceScore,
+    recommendation: getRecommendation(confidenceScore, ruleSet.thresholds),
+    positiveSignals,
+    negativeSignals,
+    appliedRules,
+    evidenceTypes,
+    ruleSet
+  };
+}
+
+/**
+ * Build the scoring inputs for a stored chargeback from its own evidence
+ * records and linked reservation. The AutoClerk emulator is not consulted.
+ *
+ * @param {Object} chargeback - Chargeback loaded with evidence ({ type }) and reservation
+ * @returns {Object} { caseData, evidence, reservation }
+ */
+function scoringInputForCase(chargeback) {
+  const evidence = (chargeback.evidence || [])
+    .filter(e => EVIDENCE_TYPE_MAP[e.type])
+    .map(e => ({ type: EVIDENCE_TYPE_MAP[e.type] }));
+
+  return {
+    caseData: { ...chargeback, amount: parseFloat(chargeback.amount) || 0 },
+    evidence,
+    reservation: chargeback.reservation || null
+  };
+}
+
+/**
+ * Scoring inputs for a demo case: evidence the AutoClerk emulator collected
+ * for it and the emulator's reservation for its confirmation number.
+ */
+function _demoScoringInputs(caseId, caseData) {
+  return {
+    evidence: autoclerk.getCaseEvidence(caseId),
+    reservation: (caseData.confirmationNumber && autoclerk.getReservation(caseData.confirmationNumber)) || null
+  };
+}
+
+/**
+ * Map a confidence score to a recommendation bucket.
+ *
+ * @param {number} confidenceScore - 0-100
+ * @param {Object} thresholds - { autoSubmit, review, gatherMoreEvidence }
+ */
+function getRecommendation(confidenceScore, thresholds) {
+  if (confidenceScore >= thresholds.autoSubmit) return 'AUTO_SUBMIT';
+  if (confidenceScore >= thresholds.review) return 'REVIEW_RECOMMENDED';
+  if (confidenceScore >= thresholds.gatherMoreEvidence) return 'GATHER_MORE_EVIDENCE';
+  return 'UNLIKELY_TO_WIN';
+}
+
 /**
  * Legacy API — analyze fraud from raw data.
  */
@@ -166,66 +220,59 @@ async function analyzeFraud(data) {
 }
 
 /**
- * Get all available fraud indicator definitions.
+ * Get all fraud indicator definitions from the active rule set.
+ *
+ * @param {Object} [context] - { propertyId, cardBrand } for overrides
  */
-async function getFraudIndicators() {
-  return Object.entries(SCORING_RULES).map(([key, rule]) => ({
-    id: key,
-    ...rule
-  }));
+async function getFraudIndicators(context = {}) {
+  const { ruleSet } = await getActiveRuleSet();
+  return Object.values(resolveRuleSet(ruleSet, context).rules).map(_describeRule);
 }
 
 // ============================================================================
 // SCORING ENGINE
 // ============================================================================
 
-function _calculateScore(caseData, evidence, evidenceTypes, reservation) {
-  let score = BASE_SCORE;
+function _calculateScore(caseData, evidence, evidenceTypes, reservation, ruleSet) {
+  const { rules } = ruleSet;
+  let score = ruleSet.baseScore;
   const positiveSignals = [];
   const negativeSignals = [];
   const appliedRules = [];
 
   // Extract case-level fraud indicator flags (set before evidence collection)
   const caseNegFlags = (caseData.fraudIndicators?.negative || []);
-  const casePosFlags = (caseData.fraudIndicators?.positive || []);
 
   // --- POSITIVE: Evidence-based scoring ---
   // Note: Case-level negative flags override evidence presence
   // (e.g., if case says NO_ID_SCAN, don't credit evidence even if AutoClerk generates it)
 
   if (evidenceTypes.includes('id_scan') && !caseNegFlags.includes('NO_ID_SCAN')) {
-    _applyRule('VALID_ID_SCAN', score, positiveSignals, appliedRules);
-    score += SCORING_RULES.VALID_ID_SCAN.points;
+    score += _applyRule(rules, 'VALID_ID_SCAN', positiveSignals, appliedRules);
   }
 
   if (evidenceTypes.includes('registration_card') && !caseNegFlags.includes('NO_SIGNATURE')) {
-    _applyRule('SIGNED_REGISTRATION', score, positiveSignals, appliedRules);
-    score += SCORING_RULES.SIGNED_REGISTRATION.points;
+    score += _applyRule(rules, 'SIGNED_REGISTRATION', positiveSignals, appliedRules);
   }
 
   if (evidenceTypes.includes('payment_receipt')) {
-    _applyRule('PAYMENT_RECEIPT', score, positiveSignals, appliedRules);
-    score += SCORING_RULES.PAYMENT_RECEIPT.points;
+    score += _applyRule(rules, 'PAYMENT_RECEIPT', positiveSignals, appliedRules);
   }
 
   if (evidenceTypes.includes('folio')) {
-    _applyRule('GUEST_FOLIO', score, positiveSignals, appliedRules);
-    score += SCORING_RULES.GUEST_FOLIO.points;
+    score += _applyRule(rules, 'GUEST_FOLIO', positiveSignals, appliedRules);
   }
 
   if (evidenceTypes.includes('audit_trail')) {
-    _applyRule('AUDIT_TRAIL', score, positiveSignals, appliedRules);
-    score += SCORING_RULES.AUDIT_TRAIL.points;
+    score += _applyRule(rules, 'AUDIT_TRAIL', positiveSignals, appliedRules);
   }
 
   if (evidenceTypes.includes('reservation')) {
-    _applyRule('RESERVATION_CONFIRM', score, positiveSignals, appliedRules);
-    score += SCORING_RULES.RESERVATION_CONFIRM.points;
+    score += _applyRule(rules, 'RESERVATION_CONFIRM', positiveSignals, appliedRules);
   }
 
   if (evidenceTypes.includes('guest_signature') && !caseNegFlags.includes('NO_SIGNATURE')) {
-    _applyRule('GUEST_SIGNATURE', score, positiveSignals, appliedRules);
-    score += SCORING_RULES.GUEST_SIGNATURE.points;
+    score += _applyRule(rules, 'GUEST_SIGNATURE', positiveSignals, appliedRules);
   }
 
   // --- POSITIVE: Reservation-based scoring ---
@@ -233,49 +280,42 @@ function _calculateScore(caseData, evidence, evidenceTypes, reservation) {
   if (reservation) {
     // Key card access (audit trail includes key card data)
     if (evidenceTypes.includes('audit_trail')) {
-      _applyRule('KEY_CARD_ACCESS', score, positiveSignals, appliedRules);
-      score += SCORING_RULES.KEY_CARD_ACCESS.points;
+      score += _applyRule(rules, 'KEY_CARD_ACCESS', positiveSignals, appliedRules);
     }
 
     // Loyalty member
     if (reservation.loyaltyNumber || reservation.loyaltyTier) {
       if (reservation.loyaltyTier && reservation.loyaltyTier !== 'Member') {
-        _applyRule('LOYALTY_MEMBER', score, positiveSignals, appliedRules);
-        score += SCORING_RULES.LOYALTY_MEMBER.points;
+        score += _applyRule(rules, 'LOYALTY_MEMBER', positiveSignals, appliedRules);
       }
     }
 
     // Direct booking
     const directSources = ['Direct Website', 'Phone Reservation', 'Loyalty Portal', 'Corporate Portal', 'Walk-In'];
     if (directSources.includes(reservation.bookingSource)) {
-      _applyRule('DIRECT_BOOKING', score, positiveSignals, appliedRules);
-      score += SCORING_RULES.DIRECT_BOOKING.points;
+      score += _applyRule(rules, 'DIRECT_BOOKING', positiveSignals, appliedRules);
     }
 
     // Full stay completed
     if (reservation.status === 'checked_out') {
-      _applyRule('FULL_STAY', score, positiveSignals, appliedRules);
-      score += SCORING_RULES.FULL_STAY.points;
+      score += _applyRule(rules, 'FULL_STAY', positiveSignals, appliedRules);
     }
 
     // Address matching (assume match if ID is on file)
     if (evidenceTypes.includes('id_scan')) {
-      _applyRule('MATCHING_ADDRESS', score, positiveSignals, appliedRules);
-      score += SCORING_RULES.MATCHING_ADDRESS.points;
+      score += _applyRule(rules, 'MATCHING_ADDRESS', positiveSignals, appliedRules);
     }
 
     // WiFi (audit trail shows WiFi connection)
     if (evidenceTypes.includes('audit_trail')) {
-      _applyRule('WIFI_CONNECTED', score, positiveSignals, appliedRules);
-      score += SCORING_RULES.WIFI_CONNECTED.points;
+      score += _applyRule(rules, 'WIFI_CONNECTED', positiveSignals, appliedRules);
     }
 
     // EMV chip (assume chip unless caseData says otherwise)
     const fraudIndicators = caseData.fraudIndicators || {};
     const negativeFlags = fraudIndicators.negative || [];
     if (!negativeFlags.includes('SWIPED_NOT_CHIP')) {
-      _applyRule('CHIP_TRANSACTION', score, positiveSignals, appliedRules);
-      score += SCORING_RULES.CHIP_TRANSACTION.points;
+      score += _applyRule(rules, 'CHIP_TRANSACTION', positiveSignals, appliedRules);
     }
   }
 
@@ -283,21 +323,18 @@ function _calculateScore(caseData, evidence, evidenceTypes, reservation) {
 
   if (!evidenceTypes.includes('id_scan') && evidence.length > 0) {
     // Only penalize if we tried to collect but don't have ID
-    _applyRule('NO_ID_SCAN', score, negativeSignals, appliedRules);
-    score += SCORING_RULES.NO_ID_SCAN.points;
+    score += _applyRule(rules, 'NO_ID_SCAN', negativeSignals, appliedRules);
   }
 
   if (!evidenceTypes.includes('registration_card') && !evidenceTypes.includes('guest_signature') && evidence.length > 0) {
-    _applyRule('NO_SIGNATURE', score, negativeSignals, appliedRules);
-    score += SCORING_RULES.NO_SIGNATURE.points;
+    score += _applyRule(rules, 'NO_SIGNATURE', negativeSignals, appliedRules);
   }
 
   // --- NEGATIVE: Case-based penalties ---
 
   const amount = parseFloat(caseData.amount) || 0;
-  if (amount > 2000) {
-    _applyRule('HIGH_AMOUNT', score, negativeSignals, appliedRules);
-    score += SCORING_RULES.HIGH_AMOUNT.points;
+  if (amount > (rules.HIGH_AMOUNT.threshold ?? 2000)) {
+    score += _applyRule(rules, 'HIGH_AMOUNT', negativeSignals, appliedRules);
   }
 
   // First-time guest check
@@ -307,59 +344,122 @@ function _calculateScore(caseData, evidence, evidenceTypes, reservation) {
 
   if (negativeFlags.includes('FIRST_TIME_GUEST') || (!positiveFlags.includes('RETURN_GUEST') && !positiveFlags.includes('LOYALTY_MEMBER'))) {
     if (!reservation || !reservation.loyaltyNumber) {
-      _applyRule('FIRST_TIME_GUEST', score, negativeSignals, appliedRules);
-      score += SCORING_RULES.FIRST_TIME_GUEST.points;
+      score += _applyRule(rules, 'FIRST_TIME_GUEST', negativeSignals, appliedRules);
     }
   }
 
   // Swiped not chip
   if (negativeFlags.includes('SWIPED_NOT_CHIP')) {
-    _applyRule('SWIPED_NOT_CHIP', score, negativeSignals, appliedRules);
-    score += SCORING_RULES.SWIPED_NOT_CHIP.points;
+    score += _applyRule(rules, 'SWIPED_NOT_CHIP', negativeSignals, appliedRules);
   }
 
   // Early checkout
   if (negativeFlags.includes('EARLY_CHECKOUT')) {
-    _applyRule('EARLY_CHECKOUT', score, negativeSignals, appliedRules);
-    score += SCORING_RULES.EARLY_CHECKOUT.points;
+    score += _applyRule(rules, 'EARLY_CHECKOUT', negativeSignals, appliedRules);
   }
 
   // Address mismatch
   if (negativeFlags.includes('MISMATCH_ADDRESS')) {
-    _applyRule('MISMATCH_ADDRESS', score, negativeSignals, appliedRules);
-    score += SCORING_RULES.MISMATCH_ADDRESS.points;
+    score += _applyRule(rules, 'MISMATCH_ADDRESS', negativeSignals, appliedRules);
   }
 
   // Previous dispute history
   if (negativeFlags.includes('DISPUTED_BEFORE')) {
-    _applyRule('DISPUTED_BEFORE', score, negativeSignals, appliedRules);
-    score += SCORING_RULES.DISPUTED_BEFORE.points;
+    score += _applyRule(rules, 'DISPUTED_BEFORE', negativeSignals, appliedRules);
   }
 
   // OTA booking
   if (reservation) {
-    const otaSources = ['Booking.com', 'Expedia', 'Hotels.com', 'Priceline', 'Agoda', 'Airbnb'];
-    if (otaSources.includes(reservation.bookingSource)) {
-      _applyRule('OTA_BOOKING', score, negativeSignals, appliedRules);
-      score += SCORING_RULES.OTA_BOOKING.points;
+    if (OTA_SOURCES.includes(reservation.bookingSource)) {
+      score += _applyRule(rules, 'OTA_BOOKING', negativeSignals, appliedRules);
     }
   }
 
   // No reservation match
   if (!reservation && evidence.length === 0) {
-    _applyRule('NO_RESERVATION_MATCH', score, negativeSignals, appliedRules);
-    score += SCORING_RULES.NO_RESERVATION_MATCH.points;
+    score += _applyRule(rules, 'NO_RESERVATION_MATCH', negativeSignals, appliedRules);
+  }
+
+  // --- CUSTOM RULES: configured conditions ---
+
+  const facts = _buildFacts(caseData, evidence, evidenceTypes, reservation);
+  for (const rule of Object.values(rules)) {
+    if (!rule.custom || !rule.enabled) continue;
+    if (rule.conditions.every(condition => _matchesCondition(facts, condition))) {
+      score += _applyRule(rules, rule.id, rule.type === 'negative' ? negativeSignals : positiveSignals, appliedRules);
+    }
   }
 
   return { score, positiveSignals, negativeSignals, appliedRules };
 }
 
-function _applyRule(ruleName, currentScore, signals, appliedRules) {
-  const rule = SCORING_RULES[ruleName];
-  if (!rule) return;
+/**
+ * Record a matched rule and return the points it contributes (0 when the
+ * rule is disabled in the active rule set).
+ */
+function _applyRule(rules, ruleName, signals, appliedRules) {
+  const rule = rules[ruleName];
+  if (!rule || !rule.enabled) return 0;
 
   signals.push({ rule: ruleName, label: rule.label, points: rule.points });
-  appliedRules.push({ rule: ruleName, label: rule.label, points: rule.points, type: rule.type });
+  appliedRules.push({ rule: ruleName, label: rule.label, points: rule.points, type: rule.type, custom: rule.custom });
+  return rule.points;
+}
+
+function _describeRule(rule) {
+  if (!rule) return null;
+  const { id, points, type, label, description, enabled, custom, threshold, conditions } = rule;
+  return {
+    rule: id, id, points, type, label, description, enabled, custom,
+    ...(threshold !== undefined && { threshold }),
+    ...(conditions && { conditions })
+  };
+}
+
+/**
+ * Facts available to custom rule conditions (see aiDefenseConfig.CONDITION_FACTS).
+ */
+function _buildFacts(caseData, evidence, evidenceTypes, reservation) {
+  const checkIn = reservation?.checkInDate || reservation?.checkIn || caseData.checkInDate;
+  const checkOut = reservation?.checkOutDate || reservation?.checkOut || caseData.checkOutDate;
+  const bookedAt = reservation?.bookingDate || caseData.bookingDate;
+
+  const hoursBetween = (from, to) => (from && to)
+    ? Math.round((new Date(to) - new Date(from)) / (60 * 60 * 1000))
+    : null;
+  const stayHours = hoursBetween(checkIn, checkOut);
+
+  return {
+    amount: parseFloat(caseData.amount) || 0,
+    bookingLeadHours: hoursBetween(bookedAt, checkIn),
+    nights: stayHours !== null ? Math.max(1, Math.round(stayHours / 24)) : null,
+    evidenceCount: evidence.length,
+    cardBrand: (caseData.cardBrand || '').toUpperCase() || null,
+    reasonCode: caseData.reasonCode || null,
+    bookingSource: reservation?.bookingSource || null,
+    roomType: reservation?.roomType || caseData.roomType || null,
+    evidenceTypes,
+    loyaltyMember: Boolean(reservation?.loyaltyNumber || reservation?.loyaltyTier)
+  };
+}
+
+function _matchesCondition(facts, { fact, operator, value }) {
+  const actual = facts[fact];
+  if (operator === 'exists') return value === false ? actual == null : actual != null;
+  if (actual === null || actual === undefined) return false;
+
+  switch (operator) {
+    case 'eq': return String(actual).toUpperCase() === String(value).toUpperCase();
+    case 'neq': return String(actual).toUpperCase() !== String(value).toUpperCase();
+    case 'gt': return Number(actual) > Number(value);
+    case 'gte': return Number(actual) >= Number(value);
+    case 'lt': return Number(actual) < Number(value);
+    case 'lte': return Number(actual) <= Number(value);
+    case 'in': return (value || []).map(v => String(v).toUpperCase()).includes(String(actual).toUpperCase());
+    case 'notIn': return !(value || []).map(v => String(v).toUpperCase()).includes(String(actual).toUpperCase());
+    case 'contains': return Array.isArray(actual) ? actual.includes(value) : String(actual).toLowerCase().includes(String(value).toLowerCase());
+    default: return false;
+  }
 }
 
 // ============================================================================
@@ -433,18 +533,24 @@ function _fallbackAnalysis(caseId) {
       positiveSignals: [],
       negativeSignals: [],
     },
-    missingEvidence: ['id_scan', 'registration_card', 'guest_signature'],
+    missingEvidence: ['ID_SCAN', 'AUTH_SIGNATURE'],
     evidenceCompleteness: 30,
     strategy: 'Additional evidence needed. Recommend collecting guest ID and signed registration card.',
     reasoning: `Confidence score: ${score}%. Limited evidence available for analysis.`,
     appliedRules: [],
+    ruleSet: null,
     analyzedAt: new Date().toISOString(),
     isDemo: true
   };
 }
 
 module.exports = {
+  OTA_SOURCES,
   analyzeChargeback,
   analyzeFraud,
-  getFraudIndicators
+  scoreCase,
+  scoringInputForCase,
+  getRecommendation,
+  getFraudIndicators,
+  getDemoCaseData: _getDemoCaseData
 };
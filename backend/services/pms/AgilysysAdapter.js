@@ -460,12 +460,12 @@ class AgilysysAdapter extends BasePMSAdapter {
 
   /**
    * Parse an incoming webhook payload into a normalized event.
+   * @param {Object|string} rawPayload - Raw webhook payload.
    * @param {Object} headers - HTTP request headers.
-   * @param {Object|string} body - Raw webhook payload.
    * @returns {Object} Normalized event.
    */
-  parseWebhookPayload(headers, body) {
-    const payload = typeof body === 'string' ? JSON.parse(body) : body;
+  parseWebhookPayload(rawPayload, headers) {
+    const payload = typeof rawPayload === 'string' ? JSON.parse(rawPayload) : rawPayload;
 
     const eventType = payload.eventType || payload.event || payload.type;
     const data = payload.data || payload.details || payload;
@@ -419,8 +419,8 @@ class EZeeAdapter extends BasePMSAdapter {
     };
   }
 
-  parseWebhookPayload(headers, body) {
-    const payload = typeof body === 'string' ? JSON.parse(body) : body;
+  parseWebhookPayload(rawPayload, headers) {
+    const payload = typeof rawPayload === 'string' ? JSON.parse(rawPayload) : rawPayload;
 
     const eventType = payload.event_type || payload.event || payload.type;
     const data = payload.data || payload.payload || payload;
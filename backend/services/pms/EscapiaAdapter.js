@@ -437,12 +437,12 @@ class EscapiaAdapter extends BasePMSAdapter {
 
   /**
    * Parse an incoming raw webhook payload.
+   * @param {Object|string} rawPayload
    * @param {Object} headers
-   * @param {Object|string} body
    * @returns {Object} Normalized event.
    */
-  parseWebhookPayload(headers, body) {
-    const payload = typeof body === 'string' ? JSON.parse(body) : body;
+  parseWebhookPayload(rawPayload, headers) {
+    const payload = typeof rawPayload === 'string' ? JSON.parse(rawPayload) : rawPayload;
 
     const eventType = payload.event_type || payload.event || payload.type;
     const data = payload.data || payload.reservation || payload.unit || {};
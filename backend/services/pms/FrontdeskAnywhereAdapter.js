@@ -506,12 +506,12 @@ class FrontdeskAnywhereAdapter extends BasePMSAdapter {
 
   /**
    * Parse an incoming raw webhook payload.
+   * @param {Object|string} rawPayload
    * @param {Object} headers
-   * @param {Object|string} body
    * @returns {Object} Normalized event.
    */
-  parseWebhookPayload(headers, body) {
-    const payload = typeof body === 'string' ? JSON.parse(body) : body;
+  parseWebhookPayload(rawPayload, headers) {
+    const payload = typeof rawPayload === 'string' ? JSON.parse(rawPayload) : rawPayload;
 
     const eventType = payload.event || payload.event_type || payload.type;
     const data = payload.data || payload.booking || payload.guest || {};
@@ -430,12 +430,12 @@ class HostawayAdapter extends BasePMSAdapter {
 
   /**
    * Parse an incoming raw webhook payload.
+   * @param {Object|string} rawPayload
    * @param {Object} headers
-   * @param {Object|string} body
    * @returns {Object} Normalized event.
    */
-  parseWebhookPayload(headers, body) {
-    const payload = typeof body === 'string' ? JSON.parse(body) : body;
+  parseWebhookPayload(rawPayload, headers) {
+    const payload = typeof rawPayload === 'string' ? JSON.parse(rawPayload) : rawPayload;
 
     const eventType = payload.event || payload.eventType || payload.type;
     const data = payload.data || payload.reservation || {};
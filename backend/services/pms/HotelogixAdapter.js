@@ -414,8 +414,8 @@ class HotelogixAdapter extends BasePMSAdapter {
     };
   }
 
-  parseWebhookPayload(headers, body) {
-    const payload = typeof body === 'string' ? JSON.parse(body) : body;
+  parseWebhookPayload(rawPayload, headers) {
+    const payload = typeof rawPayload === 'string' ? JSON.parse(rawPayload) : rawPayload;
 
     const eventType = payload.eventType || payload.event || payload.type;
     const data = payload.data || payload.payload || payload;
@@ -658,12 +658,12 @@ class HyattOperaAdapter extends BasePMSAdapter {
 
   /**
    * Parse an incoming Hyatt OPERA webhook payload into a normalized event.
+   * @param {Object|string} rawPayload - Raw webhook payload.
    * @param {Object} headers - HTTP request headers.
-   * @param {Object|string} body - Raw webhook payload.
    * @returns {Object} Normalized event.
    */
-  parseWebhookPayload(headers, body) {
-    const payload = typeof body === 'string' ? JSON.parse(body) : body;
+  parseWebhookPayload(rawPayload, headers) {
+    const payload = typeof rawPayload === 'string' ? JSON.parse(rawPayload) : rawPayload;
 
     const eventType = payload.eventType || payload.event || payload.type;
     const data = payload.data || payload.details || payload;
@@ -745,10 +745,10 @@ class HyattOperaAdapter extends BasePMSAdapter {
       '';
 
     const guestNameObj = primaryGuest.givenName || primaryGuest.name
-      ? {
+      ? normalizeGuestName({
           firstName: primaryGuest.givenName || primaryGuest.name?.givenName || primaryGuest.name?.firstName || '',
           lastName: primaryGuest.surname || primaryGuest.name?.surname || primaryGuest.name?.lastName || '',
-        }
+        })
       : normalizeGuestName(primaryGuest.nameTitle || primaryGuest);
 
     return {
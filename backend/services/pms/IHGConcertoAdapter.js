@@ -658,12 +658,12 @@ class IHGConcertoAdapter extends BasePMSAdapter {
 
   /**
    * Parse an incoming IHG Concerto webhook payload into a normalized event.
+   * @param {Object|string} rawPayload - Raw webhook payload.
    * @param {Object} headers - HTTP request headers.
-   * @param {Object|string} body - Raw webhook payload.
    * @returns {Object} Normalized event.
    */
-  parseWebhookPayload(headers, body) {
-    const payload = typeof body === 'string' ? JSON.parse(body) : body;
+  parseWebhookPayload(rawPayload, headers) {
+    const payload = typeof rawPayload === 'string' ? JSON.parse(rawPayload) : rawPayload;
 
     const eventType = payload.eventType || payload.event || payload.type;
     const data = payload.data || payload.details || payload;
@@ -736,10 +736,10 @@ class IHGConcertoAdapter extends BasePMSAdapter {
       '';
 
     const guestNameObj = guest.givenName || guest.name
-      ? {
+      ? normalizeGuestName({
           firstName: guest.givenName || guest.name?.firstName || guest.name?.givenName || '',
           lastName: guest.surname || guest.name?.lastName || guest.name?.surname || '',
-        }
+        })
       : normalizeGuestName(guest.fullName || guest);
 
     return {
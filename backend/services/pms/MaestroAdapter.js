@@ -453,12 +453,12 @@ class MaestroAdapter extends BasePMSAdapter {
 
   /**
    * Parse an incoming webhook payload.
+   * @param {Object|string} rawPayload
    * @param {Object} headers
-   * @param {Object|string} body
    * @returns {Object}
    */
-  parseWebhookPayload(headers, body) {
-    const payload = typeof body === 'string' ? JSON.parse(body) : body;
+  parseWebhookPayload(rawPayload, headers) {
+    const payload = typeof rawPayload === 'string' ? JSON.parse(rawPayload) : rawPayload;
 
     const eventType = payload.EventType || payload.eventType || payload.event;
     const data = payload.Data || payload.data || payload;
@@ -646,12 +646,12 @@ class MarriottGXPAdapter extends BasePMSAdapter {
 
   /**
    * Parse an incoming Marriott GXP webhook payload into a normalized event.
+   * @param {Object|string} rawPayload - Raw webhook payload.
    * @param {Object} headers - HTTP request headers.
-   * @param {Object|string} body - Raw webhook payload.
    * @returns {Object} Normalized event: { eventType, timestamp, data }
    */
-  parseWebhookPayload(headers, body) {
-    const payload = typeof body === 'string' ? JSON.parse(body) : body;
+  parseWebhookPayload(rawPayload, headers) {
+    const payload = typeof rawPayload === 'string' ? JSON.parse(rawPayload) : rawPayload;
 
     const eventType = payload.eventType || payload.event || payload.type;
     const data = payload.data || payload.details || payload;
@@ -722,10 +722,10 @@ class MarriottGXPAdapter extends BasePMSAdapter {
       '';
 
     const guestNameObj = guest.givenName || guest.name
-      ? {
+      ? normalizeGuestName({
           firstName: guest.givenName || guest.name?.givenName || guest.name?.firstName || '',
           lastName: guest.surname || guest.name?.surname || guest.name?.lastName || '',
-        }
+        })
       : normalizeGuestName(guest.fullName || guest);
 
     return {
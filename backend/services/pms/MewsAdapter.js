@@ -313,11 +313,6 @@ class MewsAdapter extends BasePMSAdapter {
   async pushNote(guestId, note) {
     this._ensureAuthenticated();
 
-    const mewsNote = this._baseBody({
-      CustomerId: guestId,
-      Notes: `[${note.category || 'DisputeAI'}] ${note.title}\n${note.content}`,
-    });
-
     const { result, durationMs } = await this._timed(async () => {
       // Mews uses customer update to add notes
       const response = await this.httpClient.post('/customers/update', {
@@ -396,7 +391,7 @@ class MewsAdapter extends BasePMSAdapter {
       '--- Generated by DisputeAI ---',
     ].join('\n');
 
-    const { result, durationMs } = await this._timed(async () => {
+    const { durationMs } = await this._timed(async () => {
       const response = await this.httpClient.post('/reservations/update', {
         ...this._baseBody(),
         ReservationUpdates: [{
@@ -431,7 +426,7 @@ class MewsAdapter extends BasePMSAdapter {
       '--- Generated by DisputeAI ---',
     ].join('\n');
 
-    const { result, durationMs } = await this._timed(async () => {
+    const { durationMs } = await this._timed(async () => {
       const response = await this.httpClient.post('/reservations/update', {
         ...this._baseBody(),
         ReservationUpdates: [{
@@ -581,10 +581,10 @@ class OperaCloudAdapter extends BasePMSAdapter {
       '';
 
     const guestNameObj = primaryGuest.givenName || primaryGuest.name
-      ? {
+      ? normalizeGuestName({
           firstName: primaryGuest.givenName || primaryGuest.name?.givenName || '',
           lastName: primaryGuest.surname || primaryGuest.name?.surname || '',
-        }
+        })
       : normalizeGuestName(primaryGuest.nameTitle || primaryGuest);
 
     return {
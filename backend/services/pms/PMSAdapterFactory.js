@@ -470,6 +470,15 @@ function isSupported(pmsType) {
   return !!ADAPTERS[pmsType?.toUpperCase()];
 }
 
+/**
+ * Signature an inbound PMS webhook was sent with, for verifyWebhookSignature().
+ * @param {Object} headers - Request headers (lower-cased, as Express gives them)
+ * @returns {string|null}
+ */
+function getWebhookSignature(headers = {}) {
+  return headers['x-webhook-signature'] || headers['x-pms-signature'] || null;
+}
+
 /**
  * Get metadata for a specific PMS type (display name, auth type, features, etc.).
  * @param {string} pmsType
@@ -502,6 +511,7 @@ module.exports = {
   createAdapter,
   getSupportedTypes,
   isSupported,
+  getWebhookSignature,
   getMetadata,
   getAllMetadata,
   getTypesByCategory,
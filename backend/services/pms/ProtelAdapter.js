@@ -427,8 +427,8 @@ class ProtelAdapter extends BasePMSAdapter {
     };
   }
 
-  parseWebhookPayload(headers, body) {
-    const payload = typeof body === 'string' ? JSON.parse(body) : body;
+  parseWebhookPayload(rawPayload, headers) {
+    const payload = typeof rawPayload === 'string' ? JSON.parse(rawPayload) : rawPayload;
 
     const eventType = payload.EventType || payload.eventType || payload.event;
     const data = payload.Data || payload.data || payload;
@@ -0,0 +1,125 @@
+/**
+ * DisputeAI - PMS Emulator Dataset
+ *
+ * The guests, reservations and folios every emulator dialect serves, built
+ * from the AutoClerk emulator's records so a reservation looks the same
+ * whether it is read through Opera Cloud, Mews, Cloudbeds or the built-in
+ * AutoClerk integration. Folios are generated once per dataset with
+ * deterministic payment references, so repeated reads (and re-runs) agree.
+ */
+
+const crypto = require('crypto');
+const { autoclerk, generateFolio } = require('../../autoclerkEmulator');
+
+/** Canonical reservation statuses the emulator can move a reservation to */
+const STATUSES = ['confirmed', 'checked_in', 'checked_out', 'cancelled', 'no_show'];
+
+/**
+ * Split an AutoClerk one-line address ("742 Evergreen Terrace, Springfield, IL 62704").
+ */
+function parseAddress(address) {
+  const parts = String(address || '').split(',').map((p) => p.trim());
+  const [state = '', postalCode = ''] = (parts[2] || '').split(/\s+/);
+  return { line1: parts[0] || '', city: parts[1] || '', state, postalCode, country: 'US' };
+}
+
+/**
+ * Flatten a generated folio into postings: one per charge, one per tax line
+ * and one per payment. Dialects map these onto their own transaction shapes.
+ */
+function _buildPostings(reservation, folio, guest, seed) {
+  const postings = [];
+  let sequence = 1;
+  const nextId = () => `${reservation.id}-T${String(sequence++).padStart(3, '0')}`;
+
+  for (const charge of folio.charges) {
+    postings.push({ id: nextId(), date: charge.date, description: charge.description, category: charge.category, amount: charge.amount });
+    if (charge.tax) {
+      postings.push({ id: nextId(), date: charge.date, description: `Tax - ${charge.description}`, category: 'tax', amount: charge.tax });
+    }
+  }
+
+  folio.payments.forEach((payment, i) => {
+    postings.push({
+      id: nextId(),
+      date: payment.date,
+      description: payment.method,
+      category: 'payment',
+      amount: -payment.amount,
+      cardBrand: guest.cardBrand,
+      cardLast4: guest.cardLast4,
+      authCode: `A${seed.slice(i * 5, i * 5 + 5).toUpperCase()}`
+    });
+  });
+
+  return postings;
+}
+
+/**
+ * Build a fresh dataset. Each emulator instance owns one, so status changes
+ * made while driving webhooks never leak between runs.
+ *
+ * @returns {Object} { records, guests, find, findGuest, search, setStatus }
+ */
+function buildDataset() {
+  const guests = new Map(autoclerk.guests.map((g) => [g.id, g]));
+
+  const records = autoclerk.reservations.map((reservation) => {
+    const guest = guests.get(reservation.guestId);
+    const seed = crypto.createHash('sha1').update(reservation.id).digest('hex');
+    const folio = generateFolio(reservation, guest);
+    const postings = _buildPostings(reservation, folio, guest, seed);
+
+    return {
+      id: reservation.id,
+      confirmationNumber: reservation.confirmationNumber,
+      status: reservation.status,
+      reservation,
+      guest,
+      address: parseAddress(guest.address),
+      totalAmount: folio.grandTotal,
+      currency: 'USD',
+      authCode: postings.find((p) => p.category === 'payment')?.authCode || null,
+      folioId: folio.folioNumber,
+      postings,
+      updatedAt: reservation.bookingDate
+    };
+  });
+
+  const find = (idOrConfirmation) => records.find((r) =>
+    r.id === String(idOrConfirmation) || r.confirmationNumber === String(idOrConfirmation)
+  ) || null;
+
+  /**
+   * Filter records the way the dialects' list endpoints need.
+   * @param {Object} filters - { confirmationNumber, guestName, arrivalFrom, departureTo, status }
+   */
+  const search = ({ confirmationNumber, guestName, arrivalFrom, departureTo, status } = {}) => records.filter((r) => {
+    if (confirmationNumber && r.confirmationNumber !== confirmationNumber && r.id !== confirmationNumber) return false;
+    if (guestName && !`${r.guest.firstName} ${r.guest.lastName}`.toLowerCase().includes(guestName.toLowerCase())) return false;
+    if (arrivalFrom && r.reservation.checkIn < arrivalFrom.slice(0, 10)) return false;
+    if (departureTo && r.reservation.checkOut > departureTo.slice(0, 10)) return false;
+    if (status && r.status !== status) return false;
+    return true;
+  });
+
+  const setStatus = (idOrConfirmation, status) => {
+    if (!STATUSES.includes(status)) throw new Error(`Unknown reservation status "${status}"`);
+    const record = find(idOrConfirmation);
+    if (!record) throw new Error(`Unknown reservation ${idOrConfirmation}`);
+    record.status = status;
+    record.updatedAt = new Date().toISOString();
+    return record;
+  };
+
+  return {
+    records,
+    guests,
+    find,
+    findGuest: (id) => guests.get(id) || null,
+    search,
+    setStatus
+  };
+}
+
+module.exports = { buildDataset, parseAddress, STATUSES };
@@ -0,0 +1,212 @@
+/**
+ * DisputeAI - PMS Emulator: Cloudbeds API v1.1 dialect
+ *
+ * OAuth refresh_token grant against /access_token, then flat GET resources
+ * keyed by reservationID / propertyID, every response wrapped in
+ * { success, data }. Webhooks are single flat events naming the reservation.
+ */
+
+const crypto = require('crypto');
+const express = require('express');
+const { normalizeReservationStatus } = require('../../normalizers');
+
+const STATUS_TO_CLOUDBEDS = {
+  confirmed: 'confirmed',
+  checked_in: 'checked_in',
+  checked_out: 'checked_out',
+  cancelled: 'canceled',
+  no_show: 'no_show'
+};
+
+const EVENT_TO_CLOUDBEDS = {
+  'reservation.created': 'reservation/created',
+  'reservation.updated': 'reservation/modified',
+  'reservation.cancelled': 'reservation/canceled',
+  'guest.checked_in': 'reservation/checkedIn',
+  'guest.checked_out': 'reservation/checkedOut',
+  'payment.received': 'payment/created',
+  'folio.updated': 'transaction/created'
+};
+
+const PROPERTY_ID = '190034';
+const CLIENT_ID = 'emulator-cloudbeds-client';
+const CLIENT_SECRET = 'emulator-cloudbeds-secret';
+const REFRESH_TOKEN = 'emulator-cloudbeds-refresh-token';
+
+function toGuest(guest, address) {
+  return {
+    guestID: guest.id,
+    guestFirstName: guest.firstName,
+    guestLastName: guest.lastName,
+    guestEmail: guest.email,
+    guestPhone: guest.phone,
+    guestAddress: address.line1,
+    guestCity: address.city,
+    guestState: address.state,
+    guestZip: address.postalCode,
+    guestCountry: address.country,
+    loyaltyMemberNumber: guest.loyaltyNumber || '',
+    loyaltyLevel: guest.loyaltyTier || ''
+  };
+}
+
+function toReservation(record) {
+  const { reservation, guest } = record;
+  return {
+    reservationID: record.id,
+    propertyID: PROPERTY_ID,
+    status: STATUS_TO_CLOUDBEDS[record.status] || record.status,
+    guestList: [toGuest(guest, record.address)],
+    checkIn: reservation.checkIn,
+    checkOut: reservation.checkOut,
+    roomName: reservation.roomNumber,
+    roomTypeName: reservation.roomType,
+    ratePlanName: reservation.rateCode,
+    total: record.totalAmount,
+    balance: 0,
+    currency: record.currency,
+    adults: reservation.adults,
+    children: reservation.children,
+    cardType: guest.cardBrand,
+    cardNumber: `xxxxxxxxxxxx${guest.cardLast4}`,
+    authorizationCode: record.authCode,
+    source: reservation.bookingSource,
+    dateCreated: reservation.bookingDate,
+    dateModified: record.updatedAt,
+    specialRequests: reservation.specialRequests || '',
+    loyaltyMemberNumber: guest.loyaltyNumber || ''
+  };
+}
+
+function toTransactions(record) {
+  return record.postings.map((p) => ({
+    transactionID: p.id,
+    reservationID: record.id,
+    transactionType: p.category === 'payment' ? 'payment' : p.category,
+    category: p.category,
+    description: p.description,
+    amount: p.amount,
+    currency: record.currency,
+    transactionDate: p.date,
+    ...(p.cardLast4 ? { cardNumber: `xxxxxxxxxxxx${p.cardLast4}`, authorizationCode: p.authCode } : {})
+  }));
+}
+
+const ok = (data) => ({ success: true, data });
+const fail = (message) => ({ success: false, message });
+
+/**
+ * Mount the Cloudbeds API resources.
+ *
+ * @param {Object} ctx - { dataset, subscriptions, notes }
+ * @returns {express.Router}
+ */
+function createRouter(ctx) {
+  const router = express.Router();
+  const tokens = new Set();
+
+  router.post('/access_token', express.urlencoded({ extended: false }), (req, res) => {
+    const { grant_type: grantType, client_id: clientId, client_secret: clientSecret, refresh_token: refreshToken } = req.body;
+    if (clientId !== CLIENT_ID || clientSecret !== CLIENT_SECRET || grantType !== 'refresh_token' || refreshToken !== REFRESH_TOKEN) {
+      return res.status(401).json({ error: 'invalid_grant' });
+    }
+    const accessToken = crypto.randomBytes(16).toString('hex');
+    tokens.add(accessToken);
+    res.json({ access_token: accessToken, refresh_token: REFRESH_TOKEN, token_type: 'Bearer', expires_in: 3600 });
+  });
+
+  router.use((req, res, next) => {
+    const token = (req.headers.authorization || '').replace(/^Bearer\s+/i, '');
+    if (!tokens.has(token)) return res.status(401).json(fail('Invalid or expired access token'));
+    next();
+  });
+  router.use(express.json());
+
+  router.use((req, res, next) => {
+    const propertyId = req.query.propertyID || req.body?.propertyID;
+    if (propertyId && String(propertyId) !== PROPERTY_ID) return res.json(fail(`Unknown propertyID ${propertyId}`));
+    next();
+  });
+
+  router.get('/getHotelDetails', (req, res) => {
+    res.json(ok({ propertyID: PROPERTY_ID, propertyName: 'DisputeAI Demo Hotel', propertyCurrency: { currencyCode: 'USD' } }));
+  });
+
+  router.get('/getReservation', (req, res) => {
+    const record = ctx.dataset.find(req.query.reservationID);
+    if (!record) return res.json(fail(`Reservation ${req.query.reservationID} not found`));
+    res.json(ok(toReservation(record)));
+  });
+
+  router.get('/getReservations', (req, res) => {
+    const { reservationID, guestName, checkInFrom, checkOutTo, status, resultsFrom, resultsTo } = req.query;
+    const matches = ctx.dataset.search({
+      confirmationNumber: reservationID,
+      guestName,
+      arrivalFrom: checkInFrom,
+      departureTo: checkOutTo,
+      status: status ? normalizeReservationStatus(status) : undefined
+    });
+    const page = matches.slice(parseInt(resultsFrom || '0', 10), parseInt(resultsTo || '100', 10));
+    res.json({ ...ok(page.map(toReservation)), count: page.length, total: matches.length });
+  });
+
+  router.get('/getTransactions', (req, res) => {
+    const record = ctx.dataset.find(req.query.reservationID);
+    res.json(ok(record ? toTransactions(record) : []));
+  });
+
+  router.get('/getGuest', (req, res) => {
+    const record = ctx.dataset.records.find((r) => r.guest.id === req.query.guestID);
+    if (!record) return res.json(fail(`Guest ${req.query.guestID} not found`));
+    res.json(ok(toGuest(record.guest, record.address)));
+  });
+
+  router.get('/getRates', (req, res) => {
+    const rateCodes = [...new Set(ctx.dataset.records.map((r) => r.reservation.rateCode))];
+    res.json(ok(rateCodes.map((code) => ({ ratePlanID: code, ratePlanName: code, currency: 'USD', isActive: true }))));
+  });
+
+  router.post('/postNote', (req, res) => {
+    const note = { type: 'CLOUDBEDS', id: `N-${ctx.notes.length + 1}`, entityId: req.body.reservationID, body: req.body };
+    ctx.notes.push(note);
+    res.json(ok({ noteID: note.id }));
+  });
+
+  router.post('/postWebhook', (req, res) => {
+    const { callbackUrl, events = [], secret } = req.body;
+    const subscription = { id: `WH-${ctx.subscriptions.length + 1}`, type: 'CLOUDBEDS', callbackUrl, events, secret };
+    ctx.subscriptions.push(subscription);
+    res.json(ok({ webhookID: subscription.id }));
+  });
+
+  router.post('/deleteWebhook', (req, res) => {
+    const index = ctx.subscriptions.findIndex((s) => s.id === req.body.webhookID);
+    if (index !== -1) ctx.subscriptions.splice(index, 1);
+    res.json(ok({}));
+  });
+
+  return router;
+}
+
+module.exports = {
+  type: 'CLOUDBEDS',
+  prefix: '/cloudbeds',
+  nativeEvent: (eventType) => EVENT_TO_CLOUDBEDS[eventType],
+  credentials: (baseUrl) => ({
+    clientId: CLIENT_ID,
+    clientSecret: CLIENT_SECRET,
+    refreshToken: REFRESH_TOKEN,
+    propertyId: PROPERTY_ID,
+    baseUrl,
+    tokenUrl: `${baseUrl}/access_token`
+  }),
+  createRouter,
+  webhookPayload: (eventType, record) => ({
+    event: EVENT_TO_CLOUDBEDS[eventType],
+    reservationID: record.id,
+    guestID: record.guest.id,
+    propertyID: PROPERTY_ID,
+    timestamp: new Date().toISOString()
+  })
+};
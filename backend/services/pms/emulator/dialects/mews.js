@@ -0,0 +1,215 @@
+/**
+ * DisputeAI - PMS Emulator: Mews Connector API dialect
+ *
+ * Every call is a POST whose body carries ClientToken / AccessToken / Client.
+ * Reservations come back with their Customers alongside, bills and payments
+ * are separate resources, and webhooks are batches of { Type, EntityId }
+ * events the receiver must follow up with a fetch.
+ */
+
+const express = require('express');
+const { normalizeReservationStatus } = require('../../normalizers');
+
+const STATUS_TO_MEWS = {
+  confirmed: 'Confirmed',
+  checked_in: 'Started',
+  checked_out: 'Processed',
+  cancelled: 'Canceled',
+  no_show: 'NoShow'
+};
+
+const EVENT_TO_MEWS = {
+  'reservation.created': 'ReservationCreated',
+  'reservation.updated': 'ReservationUpdated',
+  'reservation.cancelled': 'ReservationCanceled',
+  'guest.checked_in': 'ReservationStarted',
+  'guest.checked_out': 'ReservationProcessed',
+  'payment.received': 'PaymentCreated',
+  'folio.updated': 'BillUpdated'
+};
+
+const CLIENT_TOKEN = 'emulator-mews-client-token';
+const ACCESS_TOKEN = 'emulator-mews-access-token';
+const ENTERPRISE = { Id: 'ENT-DAIDEMO', Name: 'DisputeAI Demo Hotel' };
+
+function toReservation(record) {
+  const { reservation } = record;
+  return {
+    Id: record.id,
+    Number: record.confirmationNumber,
+    State: STATUS_TO_MEWS[record.status] || record.status,
+    CustomerId: record.guest.id,
+    StartUtc: `${reservation.checkIn}T15:00:00Z`,
+    EndUtc: `${reservation.checkOut}T11:00:00Z`,
+    AssignedResourceId: reservation.roomNumber,
+    RequestedCategoryId: reservation.roomType,
+    RateId: reservation.rateCode,
+    TotalAmount: record.totalAmount,
+    Currency: record.currency,
+    AdultCount: reservation.adults,
+    ChildCount: reservation.children,
+    Origin: reservation.bookingSource,
+    CreatedUtc: reservation.bookingDate,
+    UpdatedUtc: record.updatedAt,
+    Notes: reservation.specialRequests || ''
+  };
+}
+
+function toCustomer(guest, address) {
+  return {
+    Id: guest.id,
+    FirstName: guest.firstName,
+    LastName: guest.lastName,
+    Email: guest.email,
+    Phone: guest.phone,
+    Address: { Address1: address.line1, City: address.city, State: address.state, PostalCode: address.postalCode, CountryCode: address.country },
+    PaymentCardType: guest.cardBrand,
+    PaymentCardLast4: guest.cardLast4,
+    LoyaltyCode: guest.loyaltyNumber || '',
+    Loyalty: { Level: guest.loyaltyTier || '' }
+  };
+}
+
+function toBill(record) {
+  return {
+    Id: record.folioId,
+    ReservationId: record.id,
+    Items: record.postings
+      .filter((p) => p.category !== 'payment')
+      .map((p) => ({
+        Id: p.id,
+        Category: p.category.charAt(0).toUpperCase() + p.category.slice(1),
+        Name: p.description,
+        Amount: { Value: p.amount, Currency: record.currency },
+        ConsumedUtc: `${p.date}T12:00:00Z`
+      }))
+  };
+}
+
+function toPayments(record) {
+  return record.postings
+    .filter((p) => p.category === 'payment')
+    .map((p) => ({
+      Id: p.id,
+      BillId: record.folioId,
+      ReservationId: record.id,
+      Type: 'CreditCard',
+      State: 'Charged',
+      Amount: { Value: p.amount, Currency: record.currency },
+      CreatedUtc: `${p.date}T11:00:00Z`,
+      CreditCard: { ObfuscatedNumber: `************${p.cardLast4}`, AuthorizationCode: p.authCode }
+    }));
+}
+
+function _withinTimeFilter(record, { TimeFilter, StartUtc, EndUtc }) {
+  if (!StartUtc && !EndUtc) return true;
+  const value = TimeFilter === 'Start' ? `${record.reservation.checkIn}T15:00:00Z` : record.updatedAt;
+  if (StartUtc && value < StartUtc) return false;
+  if (EndUtc && value > EndUtc) return false;
+  return true;
+}
+
+/**
+ * Mount the Mews Connector endpoints.
+ *
+ * @param {Object} ctx - { dataset, subscriptions, notes }
+ * @returns {express.Router}
+ */
+function createRouter(ctx) {
+  const router = express.Router();
+  router.use(express.json());
+
+  router.use((req, res, next) => {
+    if (req.body?.ClientToken !== CLIENT_TOKEN || req.body?.AccessToken !== ACCESS_TOKEN) {
+      return res.status(401).json({ Message: 'Invalid ClientToken or AccessToken.' });
+    }
+    next();
+  });
+
+  router.post('/configuration/get', (req, res) => {
+    res.json({ Enterprise: ENTERPRISE, NowUtc: new Date().toISOString() });
+  });
+
+  router.post('/reservations/getAll', (req, res) => {
+    const { ReservationIds, States, Limitation } = req.body;
+    const states = (States || []).map((s) => normalizeReservationStatus(s));
+
+    let records = ReservationIds?.length
+      ? ReservationIds.map((id) => ctx.dataset.find(id)).filter(Boolean)
+      : ctx.dataset.records.filter((r) => _withinTimeFilter(r, req.body));
+    if (states.length) records = records.filter((r) => states.includes(r.status));
+    records = records.slice(0, Limitation?.Count || 1000);
+
+    const customers = [...new Map(records.map((r) => [r.guest.id, toCustomer(r.guest, r.address)])).values()];
+    res.json({ Reservations: records.map(toReservation), Customers: customers });
+  });
+
+  router.post('/bills/getAll', (req, res) => {
+    const records = (req.body.ReservationIds || []).map((id) => ctx.dataset.find(id)).filter(Boolean);
+    res.json({ Bills: records.map(toBill) });
+  });
+
+  router.post('/payments/getAll', (req, res) => {
+    const records = (req.body.ReservationIds || []).map((id) => ctx.dataset.find(id)).filter(Boolean);
+    res.json({ Payments: records.flatMap(toPayments) });
+  });
+
+  router.post('/customers/getAll', (req, res) => {
+    const records = ctx.dataset.records.filter((r) => (req.body.CustomerIds || []).includes(r.guest.id));
+    const customers = [...new Map(records.map((r) => [r.guest.id, toCustomer(r.guest, r.address)])).values()];
+    res.json({ Customers: customers, Documents: [] });
+  });
+
+  router.post('/services/getAll', (req, res) => {
+    const rateCodes = [...new Set(ctx.dataset.records.map((r) => r.reservation.rateCode))];
+    res.json({
+      Services: [{ Id: 'SVC-STAY', Type: 'Reservable', IsActive: true, Name: { en: 'Stay' } }],
+      Rates: rateCodes.map((code) => ({ Id: code, ServiceId: 'SVC-STAY', Name: { en: code }, IsActive: true }))
+    });
+  });
+
+  router.post(['/customers/update', '/reservations/update'], (req, res) => {
+    const { ClientToken, AccessToken, Client, ...body } = req.body;
+    ctx.notes.push({ type: 'MEWS', id: `N-${ctx.notes.length + 1}`, entityId: body.CustomerId || body.ReservationId, body });
+    res.json({});
+  });
+
+  router.post('/webhooks/subscribe', (req, res) => {
+    const subscription = { id: `WH-${ctx.subscriptions.length + 1}`, type: 'MEWS', callbackUrl: req.body.Url, events: req.body.Events || [] };
+    ctx.subscriptions.push(subscription);
+    res.json({ Id: subscription.id });
+  });
+
+  router.post('/webhooks/unsubscribe', (req, res) => {
+    for (const id of req.body.WebhookIds || []) {
+      const index = ctx.subscriptions.findIndex((s) => s.id === id);
+      if (index !== -1) ctx.subscriptions.splice(index, 1);
+    }
+    res.json({});
+  });
+
+  return router;
+}
+
+module.exports = {
+  type: 'MEWS',
+  prefix: '/mews',
+  nativeEvent: (eventType) => EVENT_TO_MEWS[eventType],
+  credentials: (baseUrl) => ({
+    clientToken: CLIENT_TOKEN,
+    accessToken: ACCESS_TOKEN,
+    client: 'DisputeAI Emulator',
+    enterpriseId: ENTERPRISE.Id,
+    baseUrl
+  }),
+  createRouter,
+  webhookPayload: (eventType, record) => ({
+    CreatedUtc: new Date().toISOString(),
+    Events: [{
+      Type: EVENT_TO_MEWS[eventType],
+      EntityId: record.id,
+      EntityType: eventType.startsWith('payment') ? 'Payment' : eventType.startsWith('folio') ? 'Bill' : 'Reservation',
+      CustomerId: record.guest.id
+    }]
+  })
+};
@@ -0,0 +1,213 @@
+/**
+ * DisputeAI - PMS Emulator: Oracle OPERA Cloud dialect
+ *
+ * OAuth client_credentials / refresh_token grants, then the RSV, CSH and CRM
+ * REST resources OperaCloudAdapter reads, with reservations nested under
+ * reservationInfo → roomStay / guestNameList / paymentMethods and folios as
+ * folioWindows → postings.
+ */
+
+const crypto = require('crypto');
+const express = require('express');
+const { normalizeReservationStatus } = require('../../normalizers');
+
+const STATUS_TO_OPERA = {
+  confirmed: 'Reserved',
+  checked_in: 'InHouse',
+  checked_out: 'CheckedOut',
+  cancelled: 'Cancelled',
+  no_show: 'NoShow'
+};
+
+const EVENT_TO_OPERA = {
+  'reservation.created': 'RESERVATION_CREATED',
+  'reservation.updated': 'RESERVATION_UPDATED',
+  'reservation.cancelled': 'RESERVATION_CANCELLED',
+  'guest.checked_in': 'CHECKIN',
+  'guest.checked_out': 'CHECKOUT',
+  'payment.received': 'PAYMENT_POSTED',
+  'folio.updated': 'FOLIO_UPDATED'
+};
+
+const CARD_TYPES = { Visa: 'VA', Mastercard: 'MC', 'American Express': 'AX', Discover: 'DS' };
+const TRANSACTION_CODES = { room: '1000', incidental: '2000', tax: '9004', payment: '9000' };
+
+const HOTEL_ID = 'DAIDEMO';
+const CLIENT_ID = 'emulator-opera-client';
+const CLIENT_SECRET = 'emulator-opera-secret';
+
+function toReservationInfo(record) {
+  const { reservation, guest, address } = record;
+  return {
+    reservationIdList: { confirmationNumber: record.confirmationNumber, id: { value: record.id } },
+    reservationId: record.id,
+    reservationStatus: STATUS_TO_OPERA[record.status] || record.status,
+    roomStay: {
+      arrivalDate: reservation.checkIn,
+      departureDate: reservation.checkOut,
+      roomId: reservation.roomNumber,
+      roomType: { roomTypeCode: reservation.roomType },
+      ratePlan: { ratePlanCode: reservation.rateCode },
+      total: { amount: record.totalAmount, currencyCode: record.currency },
+      guestCount: reservation.adults + reservation.children
+    },
+    guestNameList: {
+      guestName: [{
+        profileId: { value: guest.id },
+        givenName: guest.firstName,
+        surname: guest.lastName,
+        email: guest.email,
+        phone: guest.phone,
+        address: { addressLine1: address.line1, city: address.city, state: address.state, postalCode: address.postalCode, country: address.country }
+      }]
+    },
+    paymentMethods: [{
+      cardType: CARD_TYPES[guest.cardBrand] || guest.cardBrand,
+      cardNumber: `XXXXXXXXXXXX${guest.cardLast4}`,
+      approvalCode: record.authCode
+    }],
+    sourceCode: reservation.bookingSource,
+    createDateTime: reservation.bookingDate,
+    lastModifyDateTime: record.updatedAt,
+    specialRequests: reservation.specialRequests || '',
+    membershipId: guest.loyaltyNumber || ''
+  };
+}
+
+function toFolioWindows(record) {
+  return {
+    folioWindows: [{
+      folioId: record.folioId,
+      windowNumber: 1,
+      postings: record.postings.map((p) => ({
+        transactionId: p.id,
+        transactionCode: TRANSACTION_CODES[p.category],
+        transactionGroup: p.category.toUpperCase(),
+        description: p.description,
+        amount: p.amount,
+        currencyCode: record.currency,
+        postingDate: p.date,
+        ...(p.cardLast4 ? { creditCardNumber: `XXXXXXXXXXXX${p.cardLast4}`, approvalCode: p.authCode } : {})
+      }))
+    }]
+  };
+}
+
+function toProfile(guest, address) {
+  return {
+    profileDetails: {
+      profile: {
+        profileId: { value: guest.id },
+        name: { givenName: guest.firstName, surname: guest.lastName },
+        emails: { email: [{ value: guest.email, primary: true }] },
+        phones: { phone: [{ value: guest.phone, primary: true }] },
+        addresses: { address: [{ addressLine1: address.line1, city: address.city, state: address.state, postalCode: address.postalCode, country: address.country }] },
+        membershipId: guest.loyaltyNumber,
+        membershipLevel: guest.loyaltyTier
+      }
+    }
+  };
+}
+
+/**
+ * Mount the OPERA Cloud resources.
+ *
+ * @param {Object} ctx - { dataset, subscriptions, notes }
+ * @returns {express.Router}
+ */
+function createRouter(ctx) {
+  const router = express.Router();
+  const tokens = new Set();
+
+  router.post('/oauth2/v1/token', express.urlencoded({ extended: false }), (req, res) => {
+    const { grant_type: grantType, client_id: clientId, client_secret: clientSecret } = req.body;
+    if (clientId !== CLIENT_ID || clientSecret !== CLIENT_SECRET || !['client_credentials', 'refresh_token'].includes(grantType)) {
+      return res.status(401).json({ error: 'invalid_client' });
+    }
+    const accessToken = crypto.randomBytes(16).toString('hex');
+    tokens.add(accessToken);
+    res.json({ access_token: accessToken, refresh_token: crypto.randomBytes(16).toString('hex'), token_type: 'Bearer', expires_in: 3600 });
+  });
+
+  router.use((req, res, next) => {
+    const token = (req.headers.authorization || '').replace(/^Bearer\s+/i, '');
+    if (!tokens.has(token)) return res.status(401).json({ title: 'Unauthorized', detail: 'Missing or expired access token' });
+    next();
+  });
+  router.use(express.json());
+
+  router.use('/:module/v1/hotels/:hotelId', (req, res, next) => {
+    if (req.params.hotelId !== HOTEL_ID) return res.status(404).json({ title: 'Not Found', detail: `Unknown hotel ${req.params.hotelId}` });
+    next();
+  });
+
+  router.get('/rsv/v1/hotels/:hotelId/reservations', (req, res) => {
+    const { confirmationNumber, guestName, arrivalStartDate, departureEndDate, reservationStatus, limit } = req.query;
+    const matches = ctx.dataset.search({
+      confirmationNumber,
+      guestName,
+      arrivalFrom: arrivalStartDate,
+      departureTo: departureEndDate,
+      status: reservationStatus ? normalizeReservationStatus(reservationStatus) : undefined
+    });
+    const page = matches.slice(0, parseInt(limit || '50', 10));
+    res.json({ reservations: { reservationInfo: page.map(toReservationInfo) }, totalResults: matches.length });
+  });
+
+  router.get('/csh/v1/hotels/:hotelId/folios', (req, res) => {
+    const record = ctx.dataset.find(req.query.reservationId);
+    if (!record) return res.status(404).json({ title: 'Not Found', detail: `No folios for reservation ${req.query.reservationId}` });
+    res.json(toFolioWindows(record));
+  });
+
+  router.get('/crm/v1/hotels/:hotelId/profiles/:profileId', (req, res) => {
+    const record = ctx.dataset.records.find((r) => r.guest.id === req.params.profileId);
+    if (!record) return res.status(404).json({ title: 'Not Found', detail: `Unknown profile ${req.params.profileId}` });
+    res.json(toProfile(record.guest, record.address));
+  });
+
+  router.get('/rsv/v1/hotels/:hotelId/reservations/:reservationId/attachments', (req, res) => {
+    res.json({ attachments: [] });
+  });
+
+  router.post(['/crm/v1/hotels/:hotelId/profiles/:entityId/comments', '/rsv/v1/hotels/:hotelId/reservations/:entityId/comments'], (req, res) => {
+    const note = { id: `C-${ctx.notes.length + 1}`, entityId: req.params.entityId, body: req.body };
+    ctx.notes.push({ type: 'OPERA_CLOUD', ...note });
+    res.status(201).json({ commentId: note.id });
+  });
+
+  router.post('/int/v1/webhooks', (req, res) => {
+    const { callbackUrl, events = [], secret } = req.body.webhook || {};
+    const subscription = { id: `WH-${ctx.subscriptions.length + 1}`, type: 'OPERA_CLOUD', callbackUrl, events, secret };
+    ctx.subscriptions.push(subscription);
+    res.status(201).json({ webhookId: subscription.id });
+  });
+
+  router.delete('/int/v1/webhooks/:webhookId', (req, res) => {
+    const index = ctx.subscriptions.findIndex((s) => s.id === req.params.webhookId);
+    if (index !== -1) ctx.subscriptions.splice(index, 1);
+    res.status(204).end();
+  });
+
+  return router;
+}
+
+module.exports = {
+  type: 'OPERA_CLOUD',
+  prefix: '/opera',
+  nativeEvent: (eventType) => EVENT_TO_OPERA[eventType],
+  credentials: (baseUrl) => ({
+    clientId: CLIENT_ID,
+    clientSecret: CLIENT_SECRET,
+    hotelId: HOTEL_ID,
+    baseUrl,
+    tokenUrl: `${baseUrl}/oauth2/v1/token`
+  }),
+  createRouter,
+  webhookPayload: (eventType, record) => ({
+    eventType: EVENT_TO_OPERA[eventType],
+    hotelId: HOTEL_ID,
+    timestamp: new Date().toISOString(),
+    data: { reservationId: record.id, confirmationNumber: record.confirmationNumber, profileId: record.guest.id }
+  })
+};
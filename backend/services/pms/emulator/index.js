@@ -0,0 +1,183 @@
+/**
+ * DisputeAI - Pluggable PMS Emulator
+ *
+ * One local HTTP server that speaks the wire dialect of several PMS vendors,
+ * each mounted under its own prefix and all serving the same guests,
+ * reservations and folios (see ./dataset). Point a real adapter at
+ * `emulator.baseUrls[type]` with `emulator.credentials(type)` and it
+ * authenticates, searches and pulls folios exactly as it would in production.
+ *
+ * Webhooks flow the other way: emit() turns a canonical event into the
+ * vendor's native payload, signs it (HMAC-SHA256 hex in x-webhook-signature,
+ * which every dialect's adapter verifies) and POSTs it to each subscription
+ * the adapter registered, or to `${webhookUrl}/pms/<type>/<webhookToken>` (the
+ * integration's inbound webhook URL) when none has.
+ *
+ * Dialects live in ./dialects and export { type, prefix, credentials,
+ * createRouter, webhookPayload, nativeEvent }; add one to DIALECTS to plug
+ * in another vendor.
+ *
+ * Usage:
+ *   const { startPMSEmulator } = require('./services/pms/emulator');
+ *   const emulator = await startPMSEmulator({ webhookUrl: 'http://localhost:8000/api/webhooks', webhookToken, webhookSecret });
+ *   const adapter = createAdapter('MEWS', { credentials: emulator.credentials('MEWS') });
+ *   await emulator.emit('MEWS', 'guest.checked_out', 'RES-78234');
+ *   await emulator.close();
+ *
+ * Standalone: node services/pms/emulator/index.js [port]
+ *   PMS_EMULATOR_WEBHOOK_URL / _TOKEN / _SECRET set the webhook target,
+ *   and POST /_emulator/events { type, eventType, reservationId } fires one.
+ */
+
+const crypto = require('crypto');
+const axios = require('axios');
+const express = require('express');
+const { buildDataset } = require('./dataset');
+
+const DIALECTS = {
+  OPERA_CLOUD: require('./dialects/operaCloud'),
+  MEWS: require('./dialects/mews'),
+  CLOUDBEDS: require('./dialects/cloudbeds')
+};
+
+/** Status a reservation moves to when the matching event is emitted */
+const EVENT_STATUS = {
+  'reservation.cancelled': 'cancelled',
+  'guest.checked_in': 'checked_in',
+  'guest.checked_out': 'checked_out'
+};
+
+function _dialect(type) {
+  const dialect = DIALECTS[String(type).toUpperCase()];
+  if (!dialect) throw new Error(`PMS emulator has no ${type} dialect (available: ${Object.keys(DIALECTS).join(', ')})`);
+  return dialect;
+}
+
+/**
+ * Start the emulator.
+ *
+ * @param {Object} [options]
+ * @param {number} [options.port=0] - 0 picks a free port
+ * @param {string} [options.host='127.0.0.1']
+ * @param {string[]} [options.dialects] - PMS types to mount (default: all)
+ * @param {string} [options.webhookUrl] - Base of the platform's webhook routes, e.g. http://localhost:8000/api/webhooks
+ * @param {string} [options.webhookToken] - Integration webhook token, the last segment of its webhookPath
+ * @param {string} [options.webhookSecret] - Signs webhooks sent to webhookUrl
+ * @returns {Promise<Object>} { url, port, baseUrls, credentials, dataset, subscriptions, notes, requests, emit, close }
+ */
+function startPMSEmulator({ port = 0, host = '127.0.0.1', dialects = Object.keys(DIALECTS), webhookUrl = null, webhookToken = null, webhookSecret = null } = {}) {
+  const mounted = dialects.map(_dialect);
+  const ctx = { dataset: buildDataset(), subscriptions: [], notes: [] };
+  const requests = [];
+  let baseUrl = null;
+
+  const app = express();
+
+  app.use((req, res, next) => {
+    requests.push({ method: req.method, path: req.path, query: req.query });
+    next();
+  });
+
+  for (const dialect of mounted) {
+    app.use(dialect.prefix, dialect.createRouter(ctx));
+  }
+
+  /**
+   * Deliver one canonical event in a dialect's native webhook format.
+   *
+   * @param {string} type - PMS type, e.g. 'OPERA_CLOUD'
+   * @param {string} eventType - Canonical event, e.g. 'reservation.updated'
+   * @param {string} reservationId - Reservation ID or confirmation number
+   * @returns {Promise<Object>} { payload, deliveries: [{ url, status, error? }] }
+   */
+  const emit = async (type, eventType, reservationId) => {
+    const dialect = _dialect(type);
+    if (!mounted.includes(dialect)) throw new Error(`${dialect.type} dialect is not mounted on this emulator`);
+
+    const nativeEvent = dialect.nativeEvent(eventType);
+    if (!nativeEvent) throw new Error(`${dialect.type} has no native event for ${eventType}`);
+
+    const record = EVENT_STATUS[eventType]
+      ? ctx.dataset.setStatus(reservationId, EVENT_STATUS[eventType])
+      : ctx.dataset.find(reservationId);
+    if (!record) throw new Error(`Unknown reservation ${reservationId}`);
+    record.updatedAt = new Date().toISOString();
+
+    const payload = dialect.webhookPayload(eventType, record);
+    const body = JSON.stringify(payload);
+
+    let targets = ctx.subscriptions.filter((s) =>
+      s.type === dialect.type && (s.events.length === 0 || s.events.includes(nativeEvent))
+    );
+    if (targets.length === 0 && webhookUrl && webhookToken) {
+      targets = [{ callbackUrl: `${webhookUrl.replace(/\/$/, '')}/pms/${dialect.type.toLowerCase()}/${webhookToken}`, secret: webhookSecret }];
+    }
+
+    const deliveries = await Promise.all(targets.map(async ({ callbackUrl, secret }) => {
+      const headers = { 'Content-Type': 'application/json' };
+      if (secret) headers['x-webhook-signature'] = crypto.createHmac('sha256', secret).update(body).digest('hex');
+      try {
+        const response = await axios.post(callbackUrl, body, { headers, timeout: 10000, validateStatus: () => true });
+        return { url: callbackUrl, status: response.status };
+      } catch (error) {
+        return { url: callbackUrl, status: null, error: error.message };
+      }
+    }));
+
+    return { payload, deliveries };
+  };
+
+  app.post('/_emulator/events', express.json(), async (req, res) => {
+    const { type, eventType, reservationId } = req.body || {};
+    try {
+      res.json(await emit(type, eventType, reservationId));
+    } catch (error) {
+      res.status(400).json({ error: error.message });
+    }
+  });
+
+  app.get('/_emulator', (req, res) => {
+    res.json({
+      dialects: mounted.map((d) => ({ type: d.type, baseUrl: `${baseUrl}${d.prefix}`, credentials: d.credentials(`${baseUrl}${d.prefix}`) })),
+      reservations: ctx.dataset.records.map((r) => ({ id: r.id, status: r.status, guest: `${r.guest.firstName} ${r.guest.lastName}` })),
+      subscriptions: ctx.subscriptions,
+      notes: ctx.notes
+    });
+  });
+
+  return new Promise((resolve, reject) => {
+    const server = app.listen(port, host, () => {
+      const actualPort = server.address().port;
+      baseUrl = `http://${host}:${actualPort}`;
+      const baseUrls = Object.fromEntries(mounted.map((d) => [d.type, `${baseUrl}${d.prefix}`]));
+      resolve({
+        url: baseUrl,
+        port: actualPort,
+        baseUrls,
+        credentials: (type) => _dialect(type).credentials(baseUrls[_dialect(type).type]),
+        dataset: ctx.dataset,
+        subscriptions: ctx.subscriptions,
+        notes: ctx.notes,
+        requests,
+        emit,
+        close: () => new Promise((done) => server.close(done))
+      });
+    });
+    server.on('error', reject);
+  });
+}
+
+module.exports = { startPMSEmulator, DIALECTS };
+
+if (require.main === module) {
+  const port = parseInt(process.argv[2] || process.env.PMS_EMULATOR_PORT || '4020', 10);
+  startPMSEmulator({
+    port,
+    webhookUrl: process.env.PMS_EMULATOR_WEBHOOK_URL || null,
+    webhookToken: process.env.PMS_EMULATOR_WEBHOOK_TOKEN || null,
+    webhookSecret: process.env.PMS_EMULATOR_WEBHOOK_SECRET || null
+  }).then(({ url, baseUrls }) => {
+    console.log(`PMS emulator listening on ${url}`);
+    for (const [type, base] of Object.entries(baseUrls)) console.log(`  ${type.padEnd(12)} ${base}`);
+  });
+}
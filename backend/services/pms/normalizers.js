@@ -213,7 +213,7 @@ function normalizeCardBrand(value) {
 
   const brandMap = {
     // Visa
-    VI: 'Visa', VISA: 'Visa', VS: 'Visa', '4': 'Visa', VISD: 'Visa',
+    VI: 'Visa', VISA: 'Visa', VS: 'Visa', VA: 'Visa', '4': 'Visa', VISD: 'Visa',
     // Mastercard
     MC: 'Mastercard', MASTERCARD: 'Mastercard', MASTER: 'Mastercard',
     MAST: 'Mastercard', '5': 'Mastercard', '2': 'Mastercard',
@@ -281,6 +281,7 @@ function normalizeReservationStatus(value) {
     // Checked out
     CHECKED_OUT: 'checked_out', CHECKEDOUT: 'checked_out', DEPARTED: 'checked_out',
     CO: 'checked_out', COMPLETED: 'checked_out', FINISHED: 'checked_out',
+    PROCESSED: 'checked_out',
     // Cancelled
     CANCELLED: 'cancelled', CANCELED: 'cancelled', CANCEL: 'cancelled',
     CXL: 'cancelled', CAN: 'cancelled', VOID: 'cancelled',
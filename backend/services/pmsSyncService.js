@@ -337,9 +337,6 @@ class PMSSyncService extends EventEmitter {
 
     console.log(`[PMS Sync] Pushing ${eventType} to ${pmsType}`);
 
-    // Transform DisputeAI data to PMS-specific format
-    const pmsPayload = this.transformOutboundEvent(pmsType, eventType, data);
-
     // Simulate API call to PMS
     await this.simulateApiCall();
 
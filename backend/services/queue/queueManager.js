@@ -1,11 +1,532 @@
+/**
+ * DisputeAI - Queue Manager
+ *
+ * Registers the two-way sync workers on their queues:
+ *   - dispute-inbound      Webhooks / pulled disputes from dispute portals
+ *   - dispute-outbound     Evidence submission, representment, acceptance
+ *   - pms-inbound          PMS webhooks (reservation created/updated)
+ *   - pms-outbound         Notes, flags and documents pushed back to the PMS
+ *   - scheduled-sync       Periodic PMS / dispute portal syncs
+ *   - evidence-collection  Auto-collect PMS evidence for new chargebacks
+ *   - deadlines            Periodic deadline warnings and overdue case expiry
+ *   - bulk-actions         Actions run across many cases from the Cases list
+ *   - analytics            Nightly AnalyticsSnapshot rollup
+ *
+ * Failed jobs retry with exponential backoff. Once a job has used all its
+ * attempts it is copied to the `dead-letter` queue with the failure reason.
+ *
+ * With Redis connected the queues are BullMQ queues. Without Redis the same
+ * API is served by an in-process queue so the pipeline still runs locally;
+ * in-process jobs are lost on restart.
+ */
+
+const EventEmitter = require('events');
+const cronParser = require('cron-parser');
+const { v4: uuidv4 } = require('uuid');
 const logger = require('../../utils/logger');
 
-async function initializeWorkers() {
-  logger.info('Queue workers: demo mode (no Redis)');
+// =============================================================================
+// QUEUE DEFINITIONS
+// =============================================================================
+
+const QUEUE_DEFINITIONS = {
+  'dispute-inbound': { worker: './workers/disputeInboundWorker', concurrency: 5 },
+  'dispute-outbound': { worker: './workers/disputeOutboundWorker', concurrency: 3 },
+  'pms-inbound': { worker: './workers/pmsInboundWorker', concurrency: 5 },
+  'pms-outbound': { worker: './workers/pmsOutboundWorker', concurrency: 3 },
+  'scheduled-sync': { worker: './workers/scheduledSyncWorker', concurrency: 1 },
+  'evidence-collection': { worker: './workers/evidenceCollectionWorker', concurrency: 2 },
+  'deadlines': { worker: './workers/deadlineWorker', concurrency: 1 },
+  'bulk-actions': { worker: './workers/bulkActionWorker', concurrency: 1 },
+  'analytics': { worker: './workers/analyticsWorker', concurrency: 1 },
+  'reports': { worker: './workers/reportWorker', concurrency: 1 }
+};
+
+const DEAD_LETTER_QUEUE = 'dead-letter';
+
+const DEFAULT_JOB_OPTIONS = {
+  attempts: parseInt(process.env.QUEUE_MAX_ATTEMPTS, 10) || 5,
+  backoff: {
+    type: 'exponential',
+    delay: parseInt(process.env.QUEUE_BACKOFF_DELAY_MS, 10) || 5000
+  },
+  removeOnComplete: { count: 1000 },
+  removeOnFail: { count: 5000 }
+};
+
+const IN_PROCESS_HISTORY_LIMIT = 200;
+const MAX_TIMER_DELAY_MS = 2147483647;
+
+const queues = new Map();
+const workers = new Map();
+let mode = null; // 'redis' | 'in-process'
+let connection = null;
+
+// =============================================================================
+// IN-PROCESS FALLBACK
+// =============================================================================
+
+/**
+ * Minimal stand-in for a BullMQ Queue + Worker pair. Supports the subset of
+ * the API the workers use: add(name, data, { attempts, backoff, delay, jobId }),
+ * plus job schedulers ({ pattern } cron or { every } ms) for repeatable jobs
+ * and getJob() / job.getState() / job.updateProgress() for tracked jobs.
+ */
+class InProcessQueue extends EventEmitter {
+  constructor(name, { concurrency = 1, defaultJobOptions = {} } = {}) {
+    super();
+    this.name = name;
+    this.concurrency = concurrency;
+    this.defaultJobOptions = defaultJobOptions;
+    this.processor = null;
+    this.pending = [];
+    this.timers = new Set();
+    this.jobs = new Map();
+    this.schedulers = new Map();
+    this.active = 0;
+    this.closed = false;
+  }
+
+  async add(name, data = {}, opts = {}) {
+    const jobOpts = { ...this.defaultJobOptions, ...opts };
+    const id = jobOpts.jobId || uuidv4();
+
+    if (this.jobs.has(id) && !['completed', 'failed'].includes(this.jobs.get(id).state)) {
+      return this.jobs.get(id);
+    }
+
+    const job = {
+      id,
+      name,
+      data,
+      opts: jobOpts,
+      queueName: this.name,
+      attemptsMade: 0,
+      state: 'waiting',
+      timestamp: Date.now(),
+      failedReason: null,
+      returnvalue: null,
+      progress: 0,
+      updateProgress: async (progress) => { job.progress = progress; },
+      getState: async () => job.state,
+      log: async (message) => logger.debug(`[Queue:${this.name}] ${id}: ${message}`),
+      remove: async () => { this.jobs.delete(id); }
+    };
+
+    this._track(job);
+
+    if (jobOpts.delay > 0) {
+      this._schedule(job, jobOpts.delay);
+    } else {
+      this._enqueue(job);
+    }
+
+    return job;
+  }
+
+  setProcessor(processor) {
+    this.processor = processor;
+    this._drain();
+  }
+
+  async getJobCounts() {
+    const counts = { waiting: 0, delayed: 0, active: 0, completed: 0, failed: 0 };
+    for (const job of this.jobs.values()) counts[job.state]++;
+    return counts;
+  }
+
+  async getJobs(states = ['failed'], start = 0, end = 49) {
+    const wanted = Array.isArray(states) ? states : [states];
+    return Array.from(this.jobs.values())
+      .filter((job) => wanted.includes(job.state))
+      .sort((a, b) => b.timestamp - a.timestamp)
+      .slice(start, end + 1);
+  }
+
+  async getJob(id) {
+    return this.jobs.get(id) || null;
+  }
+
+  /**
+   * Create or replace a repeatable job, mirroring Queue.upsertJobScheduler().
+   *
+   * @param {string} schedulerId - Stable scheduler key
+   * @param {Object} repeat - { pattern, tz } or { every }
+   * @param {Object} [template] - { name, data, opts } for each produced job
+   */
+  async upsertJobScheduler(schedulerId, repeat, template = {}) {
+    await this.removeJobScheduler(schedulerId);
+
+    const scheduler = { key: schedulerId, pattern: repeat.pattern || null, every: repeat.every || null, tz: repeat.tz || null, template, next: null, timer: null };
+    this.schedulers.set(schedulerId, scheduler);
+    this._scheduleNext(scheduler);
+    return scheduler;
+  }
+
+  async removeJobScheduler(schedulerId) {
+    const scheduler = this.schedulers.get(schedulerId);
+    if (!scheduler) return false;
+    clearTimeout(scheduler.timer);
+    this.timers.delete(scheduler.timer);
+    this.schedulers.delete(schedulerId);
+    return true;
+  }
+
+  async getJobSchedulers() {
+    return Array.from(this.schedulers.values()).map(({ key, pattern, every, tz, template, next }) => ({
+      key, pattern, every, tz, name: template.name, next
+    }));
+  }
+
+  async close() {
+    this.closed = true;
+    for (const timer of this.timers) clearTimeout(timer);
+    this.timers.clear();
+    this.schedulers.clear();
+    this.pending = [];
+  }
+
+  _scheduleNext(scheduler) {
+    if (this.closed) return;
+
+    scheduler.next = scheduler.pattern
+      ? cronParser.parseExpression(scheduler.pattern, { tz: scheduler.tz || undefined }).next().getTime()
+      : Date.now() + scheduler.every;
+    this._armScheduler(scheduler);
+  }
+
+  _armScheduler(scheduler) {
+    // setTimeout overflows past ~24.8 days; re-arm in chunks until due
+    const delay = Math.min(Math.max(scheduler.next - Date.now(), 0), MAX_TIMER_DELAY_MS);
+
+    scheduler.timer = setTimeout(() => {
+      this.timers.delete(scheduler.timer);
+      if (this.schedulers.get(scheduler.key) !== scheduler) return;
+
+      if (Date.now() < scheduler.next) {
+        this._armScheduler(scheduler);
+        return;
+      }
+
+      const { name = scheduler.key, data = {}, opts = {} } = scheduler.template;
+      this.add(name, data, { ...opts, jobId: `repeat:${scheduler.key}:${scheduler.next}` });
+      this._scheduleNext(scheduler);
+    }, delay);
+    scheduler.timer.unref?.();
+    this.timers.add(scheduler.timer);
+  }
+
+  _track(job) {
+    this.jobs.set(job.id, job);
+
+    // Keep only recent finished jobs around for inspection
+    if (this.jobs.size > IN_PROCESS_HISTORY_LIMIT) {
+      for (const [id, old] of this.jobs) {
+        if (this.jobs.size <= IN_PROCESS_HISTORY_LIMIT) break;
+        if (old.state === 'completed' || old.state === 'failed') this.jobs.delete(id);
+      }
+    }
+  }
+
+  _enqueue(job) {
+    if (this.closed) return;
+    job.state = 'waiting';
+    this.pending.push(job);
+    setImmediate(() => this._drain());
+  }
+
+  _schedule(job, delayMs) {
+    job.state = 'delayed';
+    const timer = setTimeout(() => {
+      this.timers.delete(timer);
+      this._enqueue(job);
+    }, delayMs);
+    timer.unref?.();
+    this.timers.add(timer);
+  }
+
+  _drain() {
+    if (!this.processor || this.closed) return;
+
+    while (this.active < this.concurrency && this.pending.length > 0) {
+      const job = this.pending.shift();
+      this._run(job);
+    }
+  }
+
+  async _run(job) {
+    this.active++;
+    job.state = 'active';
+    job.attemptsMade++;
+
+    try {
+      job.returnvalue = await this.processor(job);
+      job.state = 'completed';
+      job.finishedOn = Date.now();
+      this.emit('completed', job, job.returnvalue);
+    } catch (error) {
+      job.failedReason = error.message;
+      const attempts = job.opts.attempts || 1;
+
+      if (job.attemptsMade < attempts && !this.closed) {
+        const delay = _backoffDelay(job.opts.backoff, job.attemptsMade);
+        logger.warn(`[Queue:${this.name}] Job ${job.id} failed (attempt ${job.attemptsMade}/${attempts}), retrying in ${delay}ms: ${error.message}`);
+        this._schedule(job, delay);
+      } else {
+        job.state = 'failed';
+        job.finishedOn = Date.now();
+        this.emit('failed', job, error);
+      }
+    } finally {
+      this.active--;
+      this._drain();
+    }
+  }
+}
+
+/**
+ * Delay before the next attempt, matching BullMQ's built-in backoff types.
+ */
+function _backoffDelay(backoff, attemptsMade) {
+  if (!backoff) return 0;
+  if (typeof backoff === 'number') return backoff;
+  if (backoff.type === 'exponential') return Math.round(Math.pow(2, attemptsMade - 1) * (backoff.delay || 0));
+  return backoff.delay || 0;
+}
+
+// =============================================================================
+// INITIALIZATION
+// =============================================================================
+
+/**
+ * Create the queues and start a worker for each of them.
+ *
+ * @param {Object} [options]
+ * @param {boolean} [options.useRedis=true] - Use BullMQ; falls back to in-process on failure
+ */
+async function initializeWorkers({ useRedis = true } = {}) {
+  if (mode) return { mode, queues: Array.from(queues.keys()) };
+
+  if (useRedis) {
+    try {
+      await _initializeBullMQ();
+      mode = 'redis';
+    } catch (error) {
+      logger.warn('Queue workers: BullMQ unavailable, falling back to in-process queues:', error.message);
+      await _closeAll();
+    }
+  }
+
+  if (!mode) {
+    _initializeInProcess();
+    mode = 'in-process';
+  }
+
+  logger.info(`Queue workers: ${workers.size} workers registered (${mode})`);
+  return { mode, queues: Array.from(queues.keys()) };
+}
+
+async function _initializeBullMQ() {
+  const { Queue, Worker } = require('bullmq');
+  const Redis = require('ioredis');
+
+  // BullMQ needs its own connection: blocking commands require maxRetriesPerRequest = null
+  connection = new Redis(process.env.REDIS_URL || 'redis://localhost:6379', {
+    password: process.env.REDIS_PASSWORD || undefined,
+    maxRetriesPerRequest: null,
+    enableReadyCheck: false
+  });
+  await Promise.race([
+    connection.ping(),
+    new Promise((_, reject) => setTimeout(() => reject(new Error('Redis ping timed out')), 5000).unref())
+  ]);
+
+  queues.set(DEAD_LETTER_QUEUE, new Queue(DEAD_LETTER_QUEUE, {
+    connection,
+    defaultJobOptions: { removeOnComplete: { count: 5000 } }
+  }));
+
+  for (const [name, definition] of Object.entries(QUEUE_DEFINITIONS)) {
+    queues.set(name, new Queue(name, { connection, defaultJobOptions: DEFAULT_JOB_OPTIONS }));
+
+    const worker = new Worker(name, _loadProcessor(definition), {
+      connection,
+      concurrency: definition.concurrency
+    });
+    _attachListeners(name, worker);
+    workers.set(name, worker);
+  }
+}
+
+function _initializeInProcess() {
+  queues.set(DEAD_LETTER_QUEUE, new InProcessQueue(DEAD_LETTER_QUEUE));
+
+  for (const [name, definition] of Object.entries(QUEUE_DEFINITIONS)) {
+    const queue = new InProcessQueue(name, {
+      concurrency: definition.concurrency,
+      defaultJobOptions: DEFAULT_JOB_OPTIONS
+    });
+    queue.setProcessor(_loadProcessor(definition));
+    _attachListeners(name, queue);
+    queues.set(name, queue);
+    workers.set(name, queue);
+  }
+}
+
+/**
+ * Workers require this module for getQueue(), so load them lazily.
+ */
+function _loadProcessor(definition) {
+  return require(definition.worker);
+}
+
+function _attachListeners(name, emitter) {
+  emitter.on('completed', (job) => {
+    logger.debug(`[Queue:${name}] Job ${job.id} (${job.name}) completed`);
+  });
+
+  emitter.on('failed', (job, error) => {
+    if (!job) return;
+    const attempts = job.opts?.attempts || 1;
+
+    // BullMQ emits 'failed' on every attempt; only dead-letter the final one
+    if (job.attemptsMade < attempts) return;
+
+    logger.error(`[Queue:${name}] Job ${job.id} (${job.name}) failed after ${job.attemptsMade} attempts: ${error?.message}`);
+    _moveToDeadLetter(name, job, error).catch((dlqError) => {
+      logger.error(`[Queue:${name}] Failed to dead-letter job ${job.id}:`, dlqError.message);
+    });
+  });
+
+  emitter.on('error', (error) => {
+    logger.error(`[Queue:${name}] Worker error:`, error.message);
+  });
+}
+
+async function _moveToDeadLetter(queueName, job, error) {
+  const deadLetter = queues.get(DEAD_LETTER_QUEUE);
+  if (!deadLetter) return;
+
+  await deadLetter.add(queueName, {
+    queue: queueName,
+    jobId: job.id,
+    jobName: job.name,
+    data: job.data,
+    failedReason: error?.message || job.failedReason,
+    attemptsMade: job.attemptsMade,
+    failedAt: new Date().toISOString()
+  });
+}
+
+// =============================================================================
+// PUBLIC API
+// =============================================================================
+
+/**
+ * Get a queue by name.
+ *
+ * @param {string} name - Queue name (see QUEUE_DEFINITIONS)
+ * @returns {Queue|InProcessQueue}
+ */
+function getQueue(name) {
+  const queue = queues.get(name);
+  if (!queue) {
+    const error = new Error(mode ? `Unknown queue: ${name}` : 'Queue workers not initialized');
+    error.code = mode ? 'UNKNOWN_QUEUE' : 'QUEUE_NOT_INITIALIZED';
+    throw error;
+  }
+  return queue;
+}
+
+/**
+ * Job counts per queue, including the dead-letter queue.
+ */
+async function getQueueStats() {
+  const stats = {};
+  for (const [name, queue] of queues) {
+    try {
+      stats[name] = await queue.getJobCounts('waiting', 'delayed', 'active', 'completed', 'failed');
+    } catch (error) {
+      stats[name] = { error: error.message };
+    }
+  }
+  return { mode: mode || 'disabled', queues: stats };
+}
+
+/**
+ * Re-enqueue a dead-lettered job on its original queue.
+ *
+ * @param {string} deadLetterJobId - Job ID in the dead-letter queue
+ * @returns {Object} The newly added job
+ */
+async function retryDeadLetterJob(deadLetterJobId) {
+  const deadLetter = getQueue(DEAD_LETTER_QUEUE);
+  const entry = await deadLetter.getJob(deadLetterJobId);
+  if (!entry) {
+    const error = new Error(`Dead-letter job ${deadLetterJobId} not found`);
+    error.code = 'NOT_FOUND';
+    throw error;
+  }
+
+  const { queue, jobName, data } = entry.data;
+  const job = await getQueue(queue).add(jobName, data);
+  await entry.remove();
+
+  logger.info(`[Queue:${DEAD_LETTER_QUEUE}] Job ${deadLetterJobId} re-enqueued on ${queue} as ${job.id}`);
+  return job;
+}
+
+function getQueueMode() {
+  return mode;
+}
+
+async function _closeAll() {
+  for (const [name, worker] of workers) {
+    try {
+      await worker.close();
+    } catch (error) {
+      logger.warn(`Queue workers: failed to close worker ${name}:`, error.message);
+    }
+  }
+  for (const [name, queue] of queues) {
+    try {
+      await queue.close();
+    } catch (error) {
+      logger.warn(`Queue workers: failed to close queue ${name}:`, error.message);
+    }
+  }
+  workers.clear();
+  queues.clear();
+
+  if (connection) {
+    if (connection.status === 'ready') {
+      try {
+        await connection.quit();
+      } catch (error) {
+        logger.warn('Queue workers: Redis quit failed, disconnecting:', error.message);
+        connection.disconnect();
+      }
+    } else {
+      connection.disconnect();
+    }
+    connection = null;
+  }
 }
 
 async function shutdownWorkers() {
-  logger.info('Queue workers: shutdown');
+  if (!mode) return;
+  await _closeAll();
+  logger.info(`Queue workers: shutdown (${mode})`);
+  mode = null;
 }
 
-module.exports = { initializeWorkers, shutdownWorkers };
+module.exports = {
+  QUEUE_NAMES: Object.keys(QUEUE_DEFINITIONS),
+  DEAD_LETTER_QUEUE,
+  initializeWorkers,
+  shutdownWorkers,
+  getQueue,
+  getQueueStats,
+  getQueueMode,
+  retryDeadLetterJob
+};
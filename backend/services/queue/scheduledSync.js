@@ -1,7 +1,210 @@
+/**
+ * DisputeAI - Scheduled Sync Scheduler
+ *
+ * Registers one repeatable `scheduled-sync` job per active Integration that
+ * has sync enabled. The cron pattern lives in `integration.config.syncCron`
+ * (optional `config.syncTimezone`), falling back to SYNC_DEFAULT_CRON.
+ *
+ * Call scheduleIntegration() whenever an integration is created or edited and
+ * unscheduleIntegration() when it is deleted; paused or inactive integrations
+ * are unscheduled automatically. Each run writes a SyncLog row (see
+ * workers/scheduledSyncWorker.js).
+ */
+
+const cronParser = require('cron-parser');
+const { prisma } = require('../../config/database');
 const logger = require('../../utils/logger');
+const { getQueue } = require('./queueManager');
+const { isSupported: isPmsSupported } = require('../pms/PMSAdapterFactory');
+const { isPortalSupported, normalizePortalType } = require('../disputes/DisputeAdapterFactory');
+
+const SYNC_QUEUE = 'scheduled-sync';
+const DEFAULT_SYNC_CRON = process.env.SYNC_DEFAULT_CRON || '*/15 * * * *';
+
+// =============================================================================
+// HELPERS
+// =============================================================================
+
+function schedulerKey(integrationId) {
+  return `integration:${integrationId}`;
+}
+
+/**
+ * Validate a cron pattern.
+ *
+ * @param {string} pattern - 5 or 6 field cron expression
+ * @param {string} [tz] - IANA timezone
+ * @returns {{ valid: boolean, next?: Date, error?: string }}
+ */
+function validateCron(pattern, tz) {
+  try {
+    const next = cronParser.parseExpression(pattern, { tz: tz || undefined }).next().toDate();
+    return { valid: true, next };
+  } catch (error) {
+    return { valid: false, error: error.message };
+  }
+}
+
+/**
+ * Work out which worker branch handles an integration.
+ *
+ * @returns {{ type: 'pms'|'dispute', adapterType: string }|null} null for
+ *   integrations that don't sync (Slack, Jira, ...)
+ */
+function classifyIntegration(integration) {
+  const pmsType = String(integration.type || '').replace(/^pms_/i, '').toUpperCase();
+  if (isPmsSupported(pmsType)) {
+    return { type: 'pms', adapterType: pmsType };
+  }
+  if (isPortalSupported(integration.type)) {
+    return { type: 'dispute', adapterType: normalizePortalType(integration.type) };
+  }
+  return null;
+}
+
+function _isSchedulable(integration) {
+  return integration.status === 'active' && integration.syncEnabled && Boolean(classifyIntegration(integration));
+}
+
+// =============================================================================
+// SCHEDULING
+// =============================================================================
+
+/**
+ * Add, reschedule or remove the repeatable sync job for an integration so it
+ * matches the integration's current status, syncEnabled flag and cron.
+ *
+ * @param {Object} integration - Integration record
+ * @returns {Object} { scheduled, cron?, next?, reason? }
+ */
+async function scheduleIntegration(integration) {
+  const queue = getQueue(SYNC_QUEUE);
+  const key = schedulerKey(integration.id);
+
+  if (!_isSchedulable(integration)) {
+    await queue.removeJobScheduler(key);
+    const reason = !classifyIntegration(integration) ? 'unsupported' : 'inactive';
+    logger.info(`[ScheduledSync] Integration ${integration.id} (${integration.type}) not scheduled: ${reason}`);
+    return { scheduled: false, reason };
+  }
+
+  const cron = integration.config?.syncCron || DEFAULT_SYNC_CRON;
+  const tz = integration.config?.syncTimezone;
+  const check = validateCron(cron, tz);
+  if (!check.valid) {
+    await queue.removeJobScheduler(key);
+    logger.warn(`[ScheduledSync] Invalid cron "${cron}" for integration ${integration.id}: ${check.error}`);
+    return { scheduled: false, reason: 'invalid_cron', error: check.error };
+  }
 
+  const { type, adapterType } = classifyIntegration(integration);
+  await queue.upsertJobScheduler(
+    key,
+    { pattern: cron, ...(tz && { tz }) },
+    {
+      name: `sync:${adapterType.toLowerCase()}`,
+      data: { integrationId: integration.id, type, adapterType, syncType: 'incremental' }
+    }
+  );
+
+  logger.info(`[ScheduledSync] Scheduled ${adapterType} ${type} sync for ${integration.id} (${cron})`);
+  return { scheduled: true, cron, next: check.next };
+}
+
+/**
+ * Remove the repeatable sync job for an integration.
+ */
+async function unscheduleIntegration(integrationId) {
+  const removed = await getQueue(SYNC_QUEUE).removeJobScheduler(schedulerKey(integrationId));
+  if (removed) {
+    logger.info(`[ScheduledSync] Unscheduled integration ${integrationId}`);
+  }
+  return removed;
+}
+
+/**
+ * Enqueue an immediate one-off sync for an integration.
+ *
+ * @param {Object} integration - Integration record
+ * @param {Object} [options]
+ * @param {string} [options.syncType='manual'] - full, incremental or manual
+ */
+async function triggerSync(integration, { syncType = 'manual' } = {}) {
+  const target = classifyIntegration(integration);
+  if (!target) {
+    const error = new Error(`Integration type ${integration.type} does not support sync`);
+    error.code = 'UNSUPPORTED';
+    throw error;
+  }
+
+  return getQueue(SYNC_QUEUE).add(`sync:${target.adapterType.toLowerCase()}`, {
+    integrationId: integration.id,
+    ...target,
+    syncType
+  });
+}
+
+/**
+ * Current repeatable sync jobs, keyed by integration ID.
+ */
+async function getSyncSchedules() {
+  const schedulers = await getQueue(SYNC_QUEUE).getJobSchedulers(0, -1);
+  const schedules = {};
+
+  for (const scheduler of schedulers) {
+    if (!scheduler.key?.startsWith('integration:')) continue;
+    schedules[scheduler.key.slice('integration:'.length)] = {
+      cron: scheduler.pattern,
+      tz: scheduler.tz || null,
+      next: scheduler.next ? new Date(scheduler.next).toISOString() : null
+    };
+  }
+
+  return schedules;
+}
+
+/**
+ * Register sync jobs for every active integration and drop schedulers left
+ * behind by integrations that were deleted or paused while the server was down.
+ */
 async function initializeScheduledSyncs() {
-  logger.info('Scheduled syncs: demo mode');
+  let integrations;
+  try {
+    integrations = await prisma.integration.findMany();
+  } catch (error) {
+    logger.warn('Scheduled syncs: database unavailable, no syncs scheduled');
+    return { scheduled: 0 };
+  }
+
+  let scheduled = 0;
+  for (const integration of integrations) {
+    try {
+      const result = await scheduleIntegration(integration);
+      if (result.scheduled) scheduled++;
+    } catch (error) {
+      logger.error(`[ScheduledSync] Failed to schedule integration ${integration.id}:`, error.message);
+    }
+  }
+
+  const known = new Set(integrations.map((i) => i.id));
+  const existing = await getSyncSchedules();
+  for (const integrationId of Object.keys(existing)) {
+    if (!known.has(integrationId)) {
+      await unscheduleIntegration(integrationId);
+    }
+  }
+
+  logger.info(`Scheduled syncs: ${scheduled} of ${integrations.length} integrations scheduled`);
+  return { scheduled };
 }
 
-module.exports = { initializeScheduledSyncs };
+module.exports = {
+  DEFAULT_SYNC_CRON,
+  initializeScheduledSyncs,
+  scheduleIntegration,
+  unscheduleIntegration,
+  triggerSync,
+  getSyncSchedules,
+  classifyIntegration,
+  validateCron
+};
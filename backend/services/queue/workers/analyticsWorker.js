@@ -0,0 +1,29 @@
+/**
+ * DisputeAI - Analytics Worker
+ *
+ * Runs `analytics-snapshots` on the `analytics` queue: the nightly
+ * AnalyticsSnapshot rollup (ANALYTICS_SNAPSHOT_CRON, 00:30 UTC), also queued
+ * at startup and by POST /api/analytics/snapshots/rebuild. See
+ * services/analyticsSnapshots.js.
+ */
+
+const logger = require('../../../utils/logger');
+const { rollupAnalyticsSnapshots } = require('../../analyticsSnapshots');
+
+/**
+ * @param {Object} job - BullMQ job
+ * @param {Object} job.data - { from? } day to recompute from (YYYY-MM-DD)
+ */
+module.exports = async function analyticsProcessor(job) {
+  switch (job.name) {
+    case 'analytics-snapshots': {
+      const result = await rollupAnalyticsSnapshots({ from: job.data?.from });
+      if (!result.skipped) {
+        logger.info(`[AnalyticsWorker] ${result.snapshots} snapshots written for ${result.days} days`, { jobId: job.id });
+      }
+      return result;
+    }
+    default:
+      throw new Error(`Unknown analytics job: ${job.name}`);
+  }
+};
@@ -0,0 +1,17 @@
+/**
+ * DisputeAI - Bulk Action Worker
+ *
+ * Runs actions queued from the Cases list across many cases (see
+ * services/bulkActions.js). Per-case results are written to the job's
+ * progress as each case finishes.
+ */
+
+const { runBulkAction } = require('../../bulkActions');
+
+/**
+ * @param {Object} job - BullMQ job
+ * @param {Object} job.data - { action, params, caseIds, propertyFilter, requestedBy, demo?, demoCases? }
+ */
+module.exports = async function bulkActionProcessor(job) {
+  return runBulkAction(job);
+};
@@ -0,0 +1,32 @@
+/**
+ * DisputeAI - Deadline Worker
+ *
+ * Runs the repeatable jobs on the `deadlines` queue (see services/deadlines.js):
+ *   - deadline-warnings  DEADLINE_WARNING notifications for cases that have
+ *                        crossed a warning offset (DEADLINE_WARNING_CRON, hourly)
+ *   - expire-overdue     Moves cases left unanswered past their due date to
+ *                        EXPIRED (DEADLINE_EXPIRY_CRON, hourly at :15)
+ */
+
+const logger = require('../../../utils/logger');
+const { sendDeadlineWarnings, expireOverdueCases } = require('../../deadlines');
+
+/**
+ * @param {Object} job - BullMQ job (no data)
+ */
+module.exports = async function deadlineProcessor(job) {
+  switch (job.name) {
+    case 'deadline-warnings': {
+      const result = await sendDeadlineWarnings();
+      logger.info(`[DeadlineWorker] ${result.sent} warnings sent for ${result.checked} upcoming deadlines`, { jobId: job.id });
+      return result;
+    }
+    case 'expire-overdue': {
+      const result = await expireOverdueCases();
+      logger.info(`[DeadlineWorker] ${result.expired} overdue cases expired`, { jobId: job.id });
+      return result;
+    }
+    default:
+      throw new Error(`Unknown deadline job: ${job.name}`);
+  }
+};
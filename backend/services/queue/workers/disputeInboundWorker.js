@@ -10,6 +10,11 @@ const { prisma } = require('../../../config/database');
 const logger = require('../../../utils/logger');
 const { createDisputeAdapter } = require('../../disputes/DisputeAdapterFactory');
 const { getQueue } = require('../queueManager');
+const { applyStageChange, promoteRelatedCase } = require('../../disputeStages');
+const { resolveCaseDeadline } = require('../../deadlines');
+const { autoAssignCase } = require('../../caseAssignment');
+const { createWithCaseNumber } = require('../../caseNumbers');
+const { holdForTriage } = require('../../disputeIntake');
 
 /**
  * Process an inbound dispute portal webhook event.
@@ -59,7 +64,9 @@ module.exports = async function disputeInboundProcessor(job) {
         const signature = headers['x-webhook-signature'] ||
                           headers['x-verifi-signature'] ||
                           headers['x-ethoca-signature'] ||
-                          headers['x-merlink-signature'];
+                          headers['x-merlink-signature'] ||
+                          headers['x-amex-signature'] ||
+                          headers['x-discover-signature'];
         if (signature) {
           const isValid = adapter.verifyWebhookSignature(payload, signature, integration.webhookSecret);
           if (!isValid) {
@@ -93,9 +100,12 @@ module.exports = async function disputeInboundProcessor(job) {
           break;
         }
 
-        // Generate case number
-        const caseCount = await prisma.chargeback.count();
-        const caseNumber = `CB-${new Date().getFullYear()}-${String(caseCount + 1).padStart(4, '0')}`;
+        // Same dispute re-issued at a later stage (e.g. Amex inquiry → chargeback)
+        const promotedCase = await promoteRelatedCase(normalized, portalType);
+        if (promotedCase) {
+          result = { action: 'promoted', caseNumber: promotedCase.caseNumber, chargebackId: promotedCase.id };
+          break;
+        }
 
         // Find or create provider record for this portal
         let provider = await prisma.provider.findFirst({
@@ -111,19 +121,21 @@ module.exports = async function disputeInboundProcessor(job) {
           });
         }
 
-        // Determine property from integration config
-        const propertyId = integration?.config?.propertyId;
-        if (!propertyId) {
-          // Try to find default property
-          const defaultProperty = await prisma.property.findFirst({ where: { isActive: true } });
-          if (!defaultProperty) throw new Error('No property configured for this integration');
-          var resolvedPropertyId = defaultProperty.id;
-        } else {
-          var resolvedPropertyId = propertyId;
+        // Determine property from integration config; unclaimed disputes go to triage
+        const resolvedPropertyId = integration?.config?.propertyId;
+        if (!resolvedPropertyId) {
+          result = await holdForTriage(normalized, portalType, provider);
+          break;
         }
 
+        const disputeDate = normalized.disputeDate ? new Date(normalized.disputeDate) : new Date();
+        const deadline = await resolveCaseDeadline(
+          { cardBrand: normalized.cardBrand, reasonCode: normalized.reasonCode, disputeDate, propertyId: resolvedPropertyId, provider },
+          { stage: normalized.disputeStage || null, portalDueDate: normalized.dueDate }
+        );
+
         // Create the chargeback
-        const chargeback = await prisma.chargeback.create({
+        const chargeback = await createWithCaseNumber((caseNumber) => prisma.chargeback.create({
           data: {
             caseNumber,
             status: 'PENDING',
@@ -136,9 +148,10 @@ module.exports = async function disputeInboundProcessor(job) {
             cardBrand: normalized.cardBrand,
             reasonCode: normalized.reasonCode || 'UNKNOWN',
             reasonDescription: normalized.reasonDescription,
-            disputeDate: normalized.disputeDate ? new Date(normalized.disputeDate) : new Date(),
-            dueDate: normalized.dueDate ? new Date(normalized.dueDate) : null,
+            disputeDate,
+            dueDate: deadline?.dueDate || null,
             processorDisputeId: normalized.disputeId,
+            disputeStage: normalized.disputeStage || null,
             checkInDate: normalized.checkInDate ? new Date(normalized.checkInDate) : new Date(),
             checkOutDate: normalized.checkOutDate ? new Date(normalized.checkOutDate) : new Date(),
             roomNumber: normalized.roomNumber,
@@ -146,19 +159,23 @@ module.exports = async function disputeInboundProcessor(job) {
             propertyId: resolvedPropertyId,
             providerId: provider.id
           }
-        });
+        }));
+        const { caseNumber } = chargeback;
 
         // Create timeline event
         await prisma.timelineEvent.create({
           data: {
             chargebackId: chargeback.id,
             eventType: 'ALERT',
-            title: `Dispute received from ${portalType}`,
-            description: `New ${normalized.reasonCode} dispute for $${normalized.amount}`,
-            metadata: { source: portalType, disputeId: normalized.disputeId }
+            title: `${normalized.isPreChargeback ? 'Inquiry' : 'Dispute'} received from ${portalType}`,
+            description: `New ${normalized.reasonCode} ${normalized.isPreChargeback ? 'inquiry' : 'dispute'} for $${normalized.amount}` +
+              (normalized.isPreChargeback && deadline ? ` — reply by ${deadline.dueDate.toISOString().slice(0, 10)} to avoid a chargeback` : ''),
+            metadata: { source: portalType, disputeId: normalized.disputeId, disputeStage: normalized.disputeStage || null }
           }
         });
 
+        await autoAssignCase(chargeback);
+
         // Notify admin users
         const admins = await prisma.user.findMany({
           where: { role: 'ADMIN', isActive: true }
@@ -203,6 +220,8 @@ module.exports = async function disputeInboundProcessor(job) {
         });
 
         if (existingCase) {
+          await applyStageChange(existingCase, normalized, portalType);
+
           await prisma.timelineEvent.create({
             data: {
               chargebackId: existingCase.id,
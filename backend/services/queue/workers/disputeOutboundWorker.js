@@ -178,18 +178,19 @@ module.exports = async function disputeOutboundProcessor(job) {
         result = await adapter.acceptDispute(disputeId);
 
         if (chargebackId) {
-          await prisma.chargeback.update({
-            where: { id: chargebackId },
+          // Cases conceded through acceptLiability() are already LOST
+          const { count } = await prisma.chargeback.updateMany({
+            where: { id: chargebackId, status: { not: 'LOST' } },
             data: { status: 'LOST', resolvedAt: new Date() }
           });
 
           await prisma.timelineEvent.create({
             data: {
               chargebackId,
-              eventType: 'LOST',
-              title: `Dispute accepted (liability accepted)`,
+              eventType: count > 0 ? 'LOST' : 'SUCCESS',
+              title: count > 0 ? `Dispute accepted (liability accepted)` : `Liability acceptance sent to ${portalType}`,
               description: `Dispute ${disputeId} accepted via ${portalType}`,
-              metadata: { portalType }
+              metadata: { portalType, responseId: result?.responseId }
             }
           });
         }
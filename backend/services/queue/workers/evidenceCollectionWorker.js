@@ -5,6 +5,9 @@
  * automatically search PMS for the matching reservation, fetch
  * folio + registration card + payment receipt, upload to S3,
  * attach as evidence, and trigger AI analysis.
+ *
+ * `intake-pipeline` jobs queued by disputeIntake for processor webhook cases
+ * run that service's pipeline (stored reservation match, evidence, scoring).
  */
 
 const { prisma } = require('../../../config/database');
@@ -12,6 +15,7 @@ const logger = require('../../../utils/logger');
 const { createAdapter, isSupported } = require('../../pms/PMSAdapterFactory');
 const reservationMatcher = require('../../reservationMatcher');
 const { uploadFile } = require('../../../config/storage');
+const { INTAKE_PIPELINE_JOB, runIntakePipeline } = require('../../disputeIntake');
 
 /**
  * Auto-collect evidence from PMS for a new chargeback.
@@ -34,6 +38,12 @@ module.exports = async function evidenceCollectionProcessor(job) {
   } = job.data;
   const startTime = Date.now();
 
+  if (job.name === INTAKE_PIPELINE_JOB) {
+    const result = await runIntakePipeline(chargebackId);
+    logger.info(`[EvidenceCollector] Intake pipeline completed for ${caseNumber}`, { jobId: job.id });
+    return { status: 'completed', caseNumber, pipeline: result.pipeline, durationMs: Date.now() - startTime };
+  }
+
   logger.info(`[EvidenceCollector] Starting auto-collection for ${caseNumber}`, { jobId: job.id });
 
   try {
@@ -131,7 +141,7 @@ module.exports = async function evidenceCollectionProcessor(job) {
 
         let documents;
         switch (evidenceType) {
-          case 'FOLIO':
+          case 'FOLIO': {
             // Fetch guest folio from PMS
             const folioData = await adapter.getGuestFolio(pmsReservationId);
             if (folioData && folioData.length > 0) {
@@ -175,6 +185,7 @@ module.exports = async function evidenceCollectionProcessor(job) {
               evidenceCollected++;
             }
             break;
+          }
 
           case 'RESERVATION_CONFIRMATION':
           case 'AUTH_SIGNATURE':
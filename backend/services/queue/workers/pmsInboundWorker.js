@@ -4,11 +4,15 @@
  * Processes inbound webhook events from PMS systems.
  * Normalizes data and upserts into Reservation, GuestFolioItem,
  * and GuestProfile tables. Auto-links to existing chargebacks.
+ *
+ * Most PMS webhooks only name the reservation that changed (Mews, Cloudbeds,
+ * OPERA), so when the integration has credentials the full reservation and
+ * folio are fetched back from the PMS before they are stored.
  */
 
 const { prisma } = require('../../../config/database');
 const logger = require('../../../utils/logger');
-const { createAdapter } = require('../../pms/PMSAdapterFactory');
+const { createAdapter, getWebhookSignature } = require('../../pms/PMSAdapterFactory');
 const reservationMatcher = require('../../reservationMatcher');
 
 /**
@@ -16,13 +20,13 @@ const reservationMatcher = require('../../reservationMatcher');
  *
  * @param {Object} job - BullMQ job
  * @param {string} job.data.pmsType - PMS system type (OPERA_CLOUD, MEWS, etc.)
- * @param {Object} job.data.payload - Raw webhook payload
+ * @param {string|Object} job.data.payload - Raw webhook payload (string as received, for signature checks)
  * @param {Object} job.data.headers - Request headers (for signature verification)
  * @param {string} job.data.integrationId - Integration record ID
  * @param {string} job.data.receivedAt - ISO timestamp of receipt
  */
 module.exports = async function pmsInboundProcessor(job) {
-  const { pmsType, payload, headers, integrationId, receivedAt } = job.data;
+  const { pmsType, payload, headers, integrationId } = job.data;
   const startTime = Date.now();
 
   logger.info(`[PMS:Inbound] Processing ${pmsType} webhook event`, { jobId: job.id });
@@ -53,28 +57,38 @@ module.exports = async function pmsInboundProcessor(job) {
       integrationId
     });
 
-    // Verify webhook signature if we have a secret
-    if (integration?.webhookSecret && headers) {
-      const signature = headers['x-webhook-signature'] || headers['x-pms-signature'];
-      if (signature) {
-        const isValid = adapter.verifyWebhookSignature(payload, signature, integration.webhookSecret);
-        if (!isValid) {
-          throw new Error('Webhook signature verification failed');
-        }
+    // The webhook route already refused bad signatures; check again in case
+    // the job was queued some other way. With a secret, unsigned is invalid.
+    if (integration?.webhookSecret) {
+      const signature = getWebhookSignature(headers || {});
+      if (!signature || !adapter.verifyWebhookSignature(payload, signature, integration.webhookSecret)) {
+        throw new Error('Webhook signature verification failed');
       }
     }
 
     // Parse the webhook payload into a normalized event
     const event = adapter.parseWebhookPayload(payload, headers);
+    const eventType = event.eventType || event.type;
+
+    // Authenticate up front so ID-only events can be resolved against the PMS
+    let canFetch = false;
+    if (integration?.credentials) {
+      try {
+        await adapter.authenticate();
+        canFetch = true;
+      } catch (authError) {
+        logger.warn(`[PMS:Inbound] ${pmsType} authentication failed, using webhook data only: ${authError.message}`);
+      }
+    }
 
     let recordsCreated = 0;
     let recordsUpdated = 0;
 
     // Handle different event types
-    switch (event.type) {
+    switch (eventType) {
       case 'reservation.created':
       case 'reservation.updated': {
-        const normalized = adapter.normalizeReservation(event.data);
+        const normalized = await _resolveReservation(adapter, event, canFetch);
         const propertyId = integration?.config?.propertyId;
 
         if (!propertyId) {
@@ -95,22 +109,22 @@ module.exports = async function pmsInboundProcessor(job) {
           await prisma.reservation.update({
             where: { id: existing.id },
             data: {
-              ...normalized,
+              ..._toReservationRecord(normalized),
               propertyId,
               syncSource: pmsType,
               lastSyncedAt: new Date(),
-              rawPmsData: event.data
+              rawPmsData: normalized.pmsRaw || event.data
             }
           });
           recordsUpdated++;
         } else {
           await prisma.reservation.create({
             data: {
-              ...normalized,
+              ..._toReservationRecord(normalized),
               propertyId,
               syncSource: pmsType,
               lastSyncedAt: new Date(),
-              rawPmsData: event.data
+              rawPmsData: normalized.pmsRaw || event.data
             }
           });
           recordsCreated++;
@@ -122,7 +136,7 @@ module.exports = async function pmsInboundProcessor(job) {
       }
 
       case 'reservation.cancelled': {
-        const normalized = adapter.normalizeReservation(event.data);
+        const normalized = await _resolveReservation(adapter, event, canFetch);
         const propertyId = integration?.config?.propertyId;
 
         await prisma.reservation.updateMany({
@@ -142,9 +156,9 @@ module.exports = async function pmsInboundProcessor(job) {
 
       case 'guest.checked_in':
       case 'guest.checked_out': {
-        const normalized = adapter.normalizeReservation(event.data);
+        const normalized = await _resolveReservation(adapter, event, canFetch);
         const propertyId = integration?.config?.propertyId;
-        const status = event.type === 'guest.checked_in' ? 'checked_in' : 'checked_out';
+        const status = eventType === 'guest.checked_in' ? 'checked_in' : 'checked_out';
 
         await prisma.reservation.updateMany({
           where: {
@@ -164,22 +178,26 @@ module.exports = async function pmsInboundProcessor(job) {
       case 'folio.updated':
       case 'payment.received':
       case 'payment.refunded': {
-        const folioItems = adapter.normalizeFolioItems(event.data);
+        const pmsReservationId = event.data.reservationId || event.data.reservation_id;
+        const folioItems = canFetch && pmsReservationId
+          ? await adapter.getGuestFolio(pmsReservationId)
+          : adapter.normalizeFolioItems(event.data);
         const propertyId = integration?.config?.propertyId;
 
         // Find the reservation this folio belongs to
         const reservation = await prisma.reservation.findFirst({
           where: {
-            pmsReservationId: event.data.reservationId || event.data.reservation_id,
+            pmsReservationId,
             propertyId
           }
         });
 
         if (reservation) {
           for (const item of folioItems) {
+            const record = _toFolioItemRecord(item);
             const existing = await prisma.guestFolioItem.findFirst({
               where: {
-                pmsFolioId: item.pmsFolioId,
+                pmsFolioId: record.pmsFolioId,
                 reservationId: reservation.id
               }
             });
@@ -187,13 +205,13 @@ module.exports = async function pmsInboundProcessor(job) {
             if (existing) {
               await prisma.guestFolioItem.update({
                 where: { id: existing.id },
-                data: { ...item, lastSyncedAt: new Date() }
+                data: { ...record, lastSyncedAt: new Date() }
               });
               recordsUpdated++;
             } else {
               await prisma.guestFolioItem.create({
                 data: {
-                  ...item,
+                  ...record,
                   reservationId: reservation.id,
                   lastSyncedAt: new Date()
                 }
@@ -233,7 +251,7 @@ module.exports = async function pmsInboundProcessor(job) {
       }
 
       default:
-        logger.info(`[PMS:Inbound] Unhandled event type: ${event.type}`, { pmsType });
+        logger.info(`[PMS:Inbound] Unhandled event type: ${eventType}`, { pmsType });
     }
 
     // Log the integration event
@@ -241,7 +259,7 @@ module.exports = async function pmsInboundProcessor(job) {
       await prisma.integrationEvent.create({
         data: {
           integrationId,
-          eventType: event.type,
+          eventType,
           direction: 'inbound',
           payload: event.data,
           processed: true,
@@ -311,6 +329,75 @@ module.exports = async function pmsInboundProcessor(job) {
   }
 };
 
+/**
+ * Resolve the reservation a webhook refers to: fetched from the PMS when we
+ * can authenticate, otherwise normalized from whatever the payload carried.
+ */
+async function _resolveReservation(adapter, event, canFetch) {
+  const reference = event.data.confirmationNumber || event.data.reservationId;
+  if (canFetch && reference) {
+    try {
+      const fetched = await adapter.getReservation(reference);
+      if (fetched) return fetched;
+    } catch (error) {
+      logger.warn(`[PMS:Inbound] Could not fetch reservation ${reference}, using webhook data: ${error.message}`);
+    }
+  }
+  return adapter.normalizeReservation(event.data);
+}
+
+/**
+ * Map a canonical reservation (BasePMSAdapter.normalizeReservation) onto
+ * Reservation columns.
+ */
+function _toReservationRecord(normalized) {
+  if (!normalized.checkInDate || !normalized.checkOutDate) {
+    throw new Error(`Reservation ${normalized.confirmationNumber || '(unknown)'} has no stay dates`);
+  }
+
+  return {
+    pmsReservationId: normalized.pmsReservationId || normalized.confirmationNumber,
+    confirmationNumber: normalized.confirmationNumber,
+    status: normalized.status,
+    guestName: normalized.guestName?.fullName || '',
+    guestEmail: normalized.email || null,
+    guestPhone: normalized.phone || null,
+    checkInDate: new Date(normalized.checkInDate),
+    checkOutDate: new Date(normalized.checkOutDate),
+    roomNumber: normalized.roomNumber || null,
+    roomType: normalized.roomType || null,
+    adults: normalized.numberOfGuests || 1,
+    totalAmount: normalized.totalAmount || 0,
+    currency: normalized.currency || 'USD',
+    rateCode: normalized.rateCode || null,
+    cardLastFour: normalized.paymentMethod?.cardLastFour || null,
+    cardBrand: normalized.paymentMethod?.cardBrand || null,
+    bookingDate: normalized.createdAt ? new Date(normalized.createdAt) : null,
+    bookingSource: normalized.bookingSource || null,
+    specialRequests: normalized.specialRequests || null,
+    loyaltyNumber: normalized.loyaltyNumber || null
+  };
+}
+
+/**
+ * Map a canonical folio item (BasePMSAdapter.normalizeFolioItems) onto
+ * GuestFolioItem columns.
+ */
+function _toFolioItemRecord(item) {
+  return {
+    pmsFolioId: item.transactionId || item.folioId || null,
+    category: item.category,
+    description: item.description,
+    amount: item.amount,
+    currency: item.currency || 'USD',
+    postDate: item.postDate ? new Date(item.postDate) : new Date(),
+    transactionCode: item.transactionCode || null,
+    cardLastFour: item.cardLastFour || null,
+    authCode: item.authCode || null,
+    rawPmsData: item
+  };
+}
+
 /**
  * Auto-link unlinked chargebacks to the newly synced reservation.
  */
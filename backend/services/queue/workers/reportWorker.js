@@ -0,0 +1,27 @@
+/**
+ * DisputeAI - Report Worker
+ *
+ * Runs `scheduled-reports` on the `reports` queue: the daily check
+ * (REPORT_CRON, 07:00 UTC), also queued at startup, that emails every
+ * report definition that is due. See services/scheduledReports.js.
+ */
+
+const logger = require('../../../utils/logger');
+const { runScheduledReports } = require('../../scheduledReports');
+
+/**
+ * @param {Object} job - BullMQ job
+ */
+module.exports = async function reportProcessor(job) {
+  switch (job.name) {
+    case 'scheduled-reports': {
+      const result = await runScheduledReports();
+      if (!result.skipped) {
+        logger.info(`[ReportWorker] ${result.sent} of ${result.checked} reports sent, ${result.failed.length} failed`, { jobId: job.id });
+      }
+      return result;
+    }
+    default:
+      throw new Error(`Unknown report job: ${job.name}`);
+  }
+};
@@ -10,6 +10,7 @@ const logger = require('../../../utils/logger');
 const { createAdapter, isSupported } = require('../../pms/PMSAdapterFactory');
 const { createDisputeAdapter } = require('../../disputes/DisputeAdapterFactory');
 const reservationMatcher = require('../../reservationMatcher');
+const { applyStageChange, promoteRelatedCase } = require('../../disputeStages');
 
 /**
  * Process a scheduled sync job.
@@ -319,6 +320,17 @@ async function _syncDisputes(integration, portalType, syncType, syncLogId) {
 
             updated++;
           }
+
+          // Portals with a multi-stage lifecycle move the response deadline as
+          // the dispute escalates, and some report stage activity as events
+          await applyStageChange(existing, normalized, portalType);
+
+          if (typeof adapter.getTimelineEvents === 'function') {
+            await _syncPortalTimeline(adapter, existing, normalized.disputeId, portalType);
+          }
+        } else if (await promoteRelatedCase(normalized, portalType)) {
+          // Re-issued under a new ID (e.g. Amex inquiry converted to a chargeback)
+          updated++;
         } else {
           // Would create new chargeback — but let the dispute inbound worker handle
           // full creation with notifications. Just log for now.
@@ -339,6 +351,33 @@ async function _syncDisputes(integration, portalType, syncType, syncLogId) {
   }
 }
 
+/**
+ * Copy portal claim events onto the case timeline, skipping events already
+ * recorded (matched on metadata.portalEventId).
+ */
+async function _syncPortalTimeline(adapter, chargeback, disputeId, portalType) {
+  const events = await adapter.getTimelineEvents(disputeId);
+  if (events.length === 0) return 0;
+
+  const recorded = await prisma.timelineEvent.findMany({
+    where: { chargebackId: chargeback.id },
+    select: { metadata: true }
+  });
+  const seen = new Set(recorded.map((e) => e.metadata?.portalEventId).filter(Boolean));
+
+  const fresh = events.filter((e) => e.metadata?.portalEventId && !seen.has(e.metadata.portalEventId));
+  for (const event of fresh) {
+    await prisma.timelineEvent.create({
+      data: { chargebackId: chargeback.id, ...event }
+    });
+  }
+
+  if (fresh.length > 0) {
+    logger.info(`[ScheduledSync] Added ${fresh.length} ${portalType} timeline event(s) to case ${chargeback.caseNumber}`);
+  }
+  return fresh.length;
+}
+
 /**
  * Map dispute portal status to DisputeAI ChargebackStatus.
  */
@@ -0,0 +1,333 @@
+/**
+ * DisputeAI - Reason Code Catalog
+ * Card network chargeback reason codes and the evidence each one needs.
+ *
+ * Every code maps to a category, the EvidenceType values required to
+ * respond, optional supporting EvidenceTypes and the response window in
+ * days. fraudDetection, the AI dispute analyzer and the case evidence
+ * checklist all measure completeness against these requirements.
+ *
+ * Portal adapters keep their own portal-specific evidence vocabularies
+ * (e.g. VisaVROLAdapter's compelling evidence types); this catalog speaks
+ * in the Prisma EvidenceType enum.
+ */
+
+// ============================================================================
+// CATEGORIES & EVIDENCE TYPES
+// ============================================================================
+
+const REASON_CATEGORIES = {
+  FRAUD: 'FRAUD',
+  AUTHORIZATION: 'AUTHORIZATION',
+  PROCESSING_ERROR: 'PROCESSING_ERROR',
+  CONSUMER_DISPUTE: 'CONSUMER_DISPUTE'
+};
+
+const EVIDENCE_TYPE_LABELS = {
+  ID_SCAN: 'Government ID Scan',
+  AUTH_SIGNATURE: 'Signed Registration / Authorization',
+  CHECKOUT_SIGNATURE: 'Checkout Signature',
+  FOLIO: 'Guest Folio',
+  RESERVATION_CONFIRMATION: 'Reservation Confirmation',
+  CANCELLATION_POLICY: 'Cancellation Policy',
+  CANCELLATION_POLICY_VIOLATION: 'Cancellation Policy Violation',
+  KEY_CARD_LOG: 'Key Card Access Log',
+  CCTV_FOOTAGE: 'CCTV Footage',
+  CORRESPONDENCE: 'Guest Correspondence',
+  INCIDENT_REPORT: 'Incident Report',
+  DAMAGE_PHOTOS: 'Damage Photos',
+  DAMAGE_ASSESSMENT: 'Damage Assessment',
+  POLICE_REPORT: 'Police Report',
+  NO_SHOW_DOCUMENTATION: 'No-Show Documentation',
+  OTHER: 'Other'
+};
+
+// PMS / emulator document types → EvidenceType (see also
+// evidenceCollectionWorker._mapDocTypeToEvidenceType)
+const DOCUMENT_TYPE_MAP = {
+  registration_card: 'AUTH_SIGNATURE',
+  guest_signature: 'AUTH_SIGNATURE',
+  signature: 'AUTH_SIGNATURE',
+  checkout_signature: 'CHECKOUT_SIGNATURE',
+  id_scan: 'ID_SCAN',
+  id_document: 'ID_SCAN',
+  folio: 'FOLIO',
+  payment_receipt: 'FOLIO',
+  receipt: 'FOLIO',
+  reservation: 'RESERVATION_CONFIRMATION',
+  booking_confirmation: 'RESERVATION_CONFIRMATION',
+  audit_trail: 'KEY_CARD_LOG',
+  key_card_log: 'KEY_CARD_LOG',
+  cancellation_policy: 'CANCELLATION_POLICY',
+  correspondence: 'CORRESPONDENCE',
+  email: 'CORRESPONDENCE',
+  cctv: 'CCTV_FOOTAGE',
+  no_show: 'NO_SHOW_DOCUMENTATION'
+};
+
+const { FRAUD, AUTHORIZATION, PROCESSING_ERROR, CONSUMER_DISPUTE } = REASON_CATEGORIES;
+
+// Hotel evidence package used when a code isn't in the catalog
+const DEFAULT_REQUIREMENTS = {
+  required: ['FOLIO', 'AUTH_SIGNATURE', 'ID_SCAN', 'RESERVATION_CONFIRMATION', 'KEY_CARD_LOG'],
+  optional: ['CORRESPONDENCE', 'CANCELLATION_POLICY']
+};
+
+// [description, category, required, optional]
+const code = (description, category, required, optional = []) => ({ description, category, required, optional });
+
+// ============================================================================
+// CATALOG
+// ============================================================================
+
+const NETWORKS = {
+  VISA: {
+    responseDays: 30,
+    codes: {
+      '10.1': code('EMV Liability Shift Counterfeit Fraud', FRAUD, ['FOLIO', 'AUTH_SIGNATURE'], ['ID_SCAN']),
+      '10.2': code('EMV Liability Shift Non-Counterfeit Fraud', FRAUD, ['FOLIO', 'AUTH_SIGNATURE'], ['ID_SCAN']),
+      '10.3': code('Other Fraud - Card-Present Environment', FRAUD, ['AUTH_SIGNATURE', 'ID_SCAN', 'FOLIO'], ['KEY_CARD_LOG', 'CCTV_FOOTAGE']),
+      '10.4': code('Other Fraud - Card-Absent Environment', FRAUD, ['RESERVATION_CONFIRMATION', 'FOLIO', 'ID_SCAN'], ['AUTH_SIGNATURE', 'KEY_CARD_LOG', 'CORRESPONDENCE']),
+      '10.5': code('Visa Fraud Monitoring Program', FRAUD, ['FOLIO'], ['ID_SCAN', 'AUTH_SIGNATURE']),
+      '11.1': code('Card Recovery Bulletin', AUTHORIZATION, ['FOLIO']),
+      '11.2': code('Declined Authorization', AUTHORIZATION, ['FOLIO']),
+      '11.3': code('No Authorization', AUTHORIZATION, ['FOLIO'], ['AUTH_SIGNATURE']),
+      '12.1': code('Late Presentment', PROCESSING_ERROR, ['FOLIO']),
+      '12.2': code('Incorrect Transaction Code', PROCESSING_ERROR, ['FOLIO']),
+      '12.3': code('Incorrect Currency', PROCESSING_ERROR, ['FOLIO', 'RESERVATION_CONFIRMATION']),
+      '12.4': code('Incorrect Account Number', PROCESSING_ERROR, ['FOLIO', 'AUTH_SIGNATURE']),
+      '12.5': code('Incorrect Amount', PROCESSING_ERROR, ['FOLIO', 'AUTH_SIGNATURE'], ['CORRESPONDENCE']),
+      '12.6.1': code('Duplicate Processing', PROCESSING_ERROR, ['FOLIO'], ['CORRESPONDENCE']),
+      '12.6.2': code('Paid by Other Means', PROCESSING_ERROR, ['FOLIO'], ['CORRESPONDENCE']),
+      '12.7': code('Invalid Data', PROCESSING_ERROR, ['FOLIO']),
+      '13.1': code('Merchandise/Services Not Received', CONSUMER_DISPUTE, ['FOLIO', 'AUTH_SIGNATURE', 'KEY_CARD_LOG'], ['ID_SCAN', 'RESERVATION_CONFIRMATION', 'CORRESPONDENCE']),
+      '13.2': code('Cancelled Recurring Transaction', CONSUMER_DISPUTE, ['CANCELLATION_POLICY', 'CORRESPONDENCE'], ['RESERVATION_CONFIRMATION']),
+      '13.3': code('Not as Described or Defective', CONSUMER_DISPUTE, ['RESERVATION_CONFIRMATION', 'FOLIO'], ['CORRESPONDENCE', 'INCIDENT_REPORT', 'DAMAGE_PHOTOS']),
+      '13.5': code('Misrepresentation', CONSUMER_DISPUTE, ['RESERVATION_CONFIRMATION', 'CANCELLATION_POLICY'], ['CORRESPONDENCE']),
+      '13.6': code('Credit Not Processed', CONSUMER_DISPUTE, ['CANCELLATION_POLICY', 'FOLIO'], ['CORRESPONDENCE', 'CANCELLATION_POLICY_VIOLATION']),
+      '13.7': code('Cancelled Merchandise/Services', CONSUMER_DISPUTE, ['CANCELLATION_POLICY', 'RESERVATION_CONFIRMATION'], ['NO_SHOW_DOCUMENTATION', 'CANCELLATION_POLICY_VIOLATION', 'CORRESPONDENCE', 'FOLIO'])
+    }
+  },
+
+  MASTERCARD: {
+    responseDays: 45,
+    codes: {
+      '4808': code('Authorization-Related Chargeback', AUTHORIZATION, ['FOLIO']),
+      '4812': code('Account Number Not on File', PROCESSING_ERROR, ['FOLIO']),
+      '4831': code('Transaction Amount Differs', PROCESSING_ERROR, ['FOLIO', 'AUTH_SIGNATURE'], ['CORRESPONDENCE']),
+      '4834': code('Point-of-Interaction Error', PROCESSING_ERROR, ['FOLIO'], ['CORRESPONDENCE']),
+      '4837': code('No Cardholder Authorization', FRAUD, ['AUTH_SIGNATURE', 'ID_SCAN', 'FOLIO'], ['KEY_CARD_LOG', 'RESERVATION_CONFIRMATION']),
+      '4840': code('Fraudulent Processing of Transactions', FRAUD, ['FOLIO', 'AUTH_SIGNATURE']),
+      '4841': code('Cancelled Recurring or Digital Goods Transactions', CONSUMER_DISPUTE, ['CANCELLATION_POLICY', 'CORRESPONDENCE']),
+      '4842': code('Late Presentment', PROCESSING_ERROR, ['FOLIO']),
+      '4849': code('Questionable Merchant Activity', FRAUD, ['FOLIO'], ['ID_SCAN']),
+      '4853': code('Cardholder Dispute', CONSUMER_DISPUTE, ['FOLIO', 'RESERVATION_CONFIRMATION', 'AUTH_SIGNATURE'], ['CORRESPONDENCE', 'CANCELLATION_POLICY', 'KEY_CARD_LOG', 'INCIDENT_REPORT']),
+      '4855': code('Goods or Services Not Provided', CONSUMER_DISPUTE, ['FOLIO', 'KEY_CARD_LOG', 'AUTH_SIGNATURE'], ['ID_SCAN', 'RESERVATION_CONFIRMATION']),
+      '4859': code('Addendum, No-Show or ATM Dispute', CONSUMER_DISPUTE, ['NO_SHOW_DOCUMENTATION', 'CANCELLATION_POLICY', 'RESERVATION_CONFIRMATION'], ['CORRESPONDENCE']),
+      '4860': code('Credit Not Processed', CONSUMER_DISPUTE, ['CANCELLATION_POLICY', 'FOLIO'], ['CORRESPONDENCE']),
+      '4863': code('Cardholder Does Not Recognize - Potential Fraud', FRAUD, ['FOLIO', 'RESERVATION_CONFIRMATION'], ['ID_SCAN', 'AUTH_SIGNATURE', 'CORRESPONDENCE']),
+      '4870': code('Chip Liability Shift', FRAUD, ['FOLIO', 'AUTH_SIGNATURE']),
+      '4871': code('Chip/PIN Liability Shift - Lost/Stolen/NRI Fraud', FRAUD, ['FOLIO', 'AUTH_SIGNATURE'])
+    }
+  },
+
+  AMEX: {
+    responseDays: 20,
+    codes: {
+      'A01': code('Charge Amount Exceeds Authorization Amount', AUTHORIZATION, ['FOLIO']),
+      'A02': code('No Valid Authorization', AUTHORIZATION, ['FOLIO']),
+      'A08': code('Authorization Approval Expired', AUTHORIZATION, ['FOLIO']),
+      'C02': code('Credit Not Processed', CONSUMER_DISPUTE, ['CANCELLATION_POLICY', 'FOLIO'], ['CORRESPONDENCE']),
+      'C04': code('Goods/Services Returned or Refused', CONSUMER_DISPUTE, ['CANCELLATION_POLICY', 'FOLIO'], ['CORRESPONDENCE']),
+      'C05': code('Goods/Services Cancelled', CONSUMER_DISPUTE, ['CANCELLATION_POLICY', 'RESERVATION_CONFIRMATION'], ['CANCELLATION_POLICY_VIOLATION', 'CORRESPONDENCE']),
+      'C08': code('Goods/Services Not Received or Only Partially Received', CONSUMER_DISPUTE, ['FOLIO', 'KEY_CARD_LOG', 'AUTH_SIGNATURE'], ['ID_SCAN']),
+      'C14': code('Paid by Other Means', CONSUMER_DISPUTE, ['FOLIO'], ['CORRESPONDENCE']),
+      'C18': code('"No Show" or CARDeposit Cancelled', CONSUMER_DISPUTE, ['NO_SHOW_DOCUMENTATION', 'CANCELLATION_POLICY', 'RESERVATION_CONFIRMATION'], ['CORRESPONDENCE']),
+      'C28': code('Cancelled Recurring Billing', CONSUMER_DISPUTE, ['CANCELLATION_POLICY', 'CORRESPONDENCE']),
+      'C31': code('Goods/Services Not as Described', CONSUMER_DISPUTE, ['RESERVATION_CONFIRMATION', 'FOLIO'], ['INCIDENT_REPORT', 'DAMAGE_PHOTOS', 'CORRESPONDENCE']),
+      'C32': code('Goods/Services Damaged or Defective', CONSUMER_DISPUTE, ['FOLIO'], ['INCIDENT_REPORT', 'DAMAGE_PHOTOS', 'DAMAGE_ASSESSMENT']),
+      'F10': code('Missing Imprint', FRAUD, ['AUTH_SIGNATURE', 'FOLIO']),
+      'F14': code('Missing Signature', FRAUD, ['AUTH_SIGNATURE', 'FOLIO']),
+      'F24': code('No Card Member Authorization', FRAUD, ['AUTH_SIGNATURE', 'ID_SCAN', 'FOLIO'], ['KEY_CARD_LOG', 'RESERVATION_CONFIRMATION']),
+      'F29': code('Card Not Present', FRAUD, ['RESERVATION_CONFIRMATION', 'FOLIO', 'ID_SCAN'], ['CORRESPONDENCE', 'KEY_CARD_LOG']),
+      'F30': code('EMV Counterfeit', FRAUD, ['FOLIO', 'AUTH_SIGNATURE']),
+      'F31': code('EMV Lost/Stolen/Non-Received', FRAUD, ['FOLIO', 'AUTH_SIGNATURE']),
+      'FR2': code('Fraud Full Recourse Program', FRAUD, ['FOLIO']),
+      'FR4': code('Immediate Chargeback Program', FRAUD, ['FOLIO']),
+      'FR6': code('Partial Immediate Chargeback Program', FRAUD, ['FOLIO']),
+      'P01': code('Unassigned Card Number', PROCESSING_ERROR, ['FOLIO']),
+      'P03': code('Credit Processed as Charge', PROCESSING_ERROR, ['FOLIO']),
+      'P04': code('Charge Processed as Credit', PROCESSING_ERROR, ['FOLIO']),
+      'P05': code('Incorrect Charge Amount', PROCESSING_ERROR, ['FOLIO', 'AUTH_SIGNATURE']),
+      'P07': code('Late Submission', PROCESSING_ERROR, ['FOLIO']),
+      'P08': code('Duplicate Charge', PROCESSING_ERROR, ['FOLIO']),
+      'P22': code('Non-Matching Card Number', PROCESSING_ERROR, ['FOLIO']),
+      'P23': code('Currency Discrepancy', PROCESSING_ERROR, ['FOLIO', 'RESERVATION_CONFIRMATION']),
+      // Raised when an inquiry goes unanswered (R13), is answered incompletely (R03) or agreed to (M01)
+      'R03': code('Insufficient Reply', PROCESSING_ERROR, ['CORRESPONDENCE', 'FOLIO'], ['RESERVATION_CONFIRMATION']),
+      'R13': code('No Reply', PROCESSING_ERROR, ['CORRESPONDENCE', 'FOLIO']),
+      'M01': code('Chargeback Authorization', PROCESSING_ERROR, ['CORRESPONDENCE'])
+    }
+  },
+
+  DISCOVER: {
+    responseDays: 20,
+    codes: {
+      'AA': code('Does Not Recognize', FRAUD, ['FOLIO', 'RESERVATION_CONFIRMATION'], ['ID_SCAN', 'CORRESPONDENCE']),
+      'AP': code('Cancelled Recurring Payments', CONSUMER_DISPUTE, ['CANCELLATION_POLICY', 'CORRESPONDENCE']),
+      'AW': code('Altered Amount', PROCESSING_ERROR, ['FOLIO', 'AUTH_SIGNATURE']),
+      'CD': code('Credit Posted as Card Sale', PROCESSING_ERROR, ['FOLIO']),
+      'DA': code('Declined Authorization', AUTHORIZATION, ['FOLIO']),
+      'DP': code('Duplicate Processing', PROCESSING_ERROR, ['FOLIO'], ['CORRESPONDENCE']),
+      'EX': code('Expired Card', AUTHORIZATION, ['FOLIO']),
+      'IC': code('Illegible Sales Data', PROCESSING_ERROR, ['FOLIO', 'AUTH_SIGNATURE']),
+      'LP': code('Late Presentment', PROCESSING_ERROR, ['FOLIO']),
+      'NA': code('No Authorization', AUTHORIZATION, ['FOLIO']),
+      'NC': code('Not Classified', CONSUMER_DISPUTE, ['FOLIO', 'RESERVATION_CONFIRMATION'], ['CORRESPONDENCE']),
+      'PM': code('Paid by Other Means', PROCESSING_ERROR, ['FOLIO'], ['CORRESPONDENCE']),
+      'RG': code('Non-Receipt of Goods or Services', CONSUMER_DISPUTE, ['FOLIO', 'KEY_CARD_LOG', 'AUTH_SIGNATURE'], ['ID_SCAN', 'RESERVATION_CONFIRMATION']),
+      'RM': code('Quality Discrepancies', CONSUMER_DISPUTE, ['RESERVATION_CONFIRMATION', 'FOLIO'], ['INCIDENT_REPORT', 'CORRESPONDENCE']),
+      'RN2': code('Credit Not Received', CONSUMER_DISPUTE, ['CANCELLATION_POLICY', 'FOLIO'], ['CORRESPONDENCE']),
+      'UA01': code('Fraud - Card Present Transaction', FRAUD, ['AUTH_SIGNATURE', 'ID_SCAN', 'FOLIO'], ['KEY_CARD_LOG', 'CCTV_FOOTAGE']),
+      'UA02': code('Fraud - Card Not Present Transaction', FRAUD, ['RESERVATION_CONFIRMATION', 'FOLIO', 'ID_SCAN'], ['AUTH_SIGNATURE', 'CORRESPONDENCE']),
+      'UA05': code('Fraud - Chip Counterfeit Transaction', FRAUD, ['FOLIO', 'AUTH_SIGNATURE']),
+      'UA06': code('Fraud - Chip and PIN Transaction', FRAUD, ['FOLIO', 'AUTH_SIGNATURE']),
+      'UA10': code('Swipe Transaction Fraud', FRAUD, ['FOLIO', 'AUTH_SIGNATURE', 'ID_SCAN'])
+    }
+  }
+};
+
+const NETWORK_ALIASES = {
+  VISA: 'VISA',
+  MASTERCARD: 'MASTERCARD',
+  MASTER_CARD: 'MASTERCARD',
+  MC: 'MASTERCARD',
+  AMEX: 'AMEX',
+  AMERICAN_EXPRESS: 'AMEX',
+  DISCOVER: 'DISCOVER',
+  DINERS: 'DISCOVER',
+  DINERS_CLUB: 'DISCOVER'
+};
+
+// ============================================================================
+// LOOKUPS
+// ============================================================================
+
+/**
+ * Normalize a card brand ("Mastercard", "american express", "MC") to a
+ * catalog network key, or null when unknown.
+ */
+function normalizeCardNetwork(cardBrand) {
+  const key = String(cardBrand || '').trim().toUpperCase().replace(/[\s-]+/g, '_');
+  return NETWORK_ALIASES[key] || null;
+}
+
+/**
+ * Map a stored or PMS document type to an EvidenceType.
+ */
+function toEvidenceType(type) {
+  if (!type) return 'OTHER';
+  if (EVIDENCE_TYPE_LABELS[type]) return type;
+  return DOCUMENT_TYPE_MAP[String(type).toLowerCase()] || 'OTHER';
+}
+
+/**
+ * Look up a reason code. The card brand's network is tried first, then every
+ * other network (processors don't always report the brand correctly and the
+ * code formats don't overlap).
+ *
+ * @param {string} reasonCode - e.g. '13.1', '4853', 'C08', 'UA02'
+ * @param {string} [cardBrand] - Card brand of the disputed transaction
+ * @returns {Object|null} { network, code, description, category, required, optional, responseDays }
+ */
+function getReasonCode(reasonCode, cardBrand) {
+  const normalized = String(reasonCode || '').trim().toUpperCase();
+  if (!normalized) return null;
+
+  const preferred = normalizeCardNetwork(cardBrand);
+  const networks = [...new Set([preferred, ...Object.keys(NETWORKS)].filter(Boolean))];
+
+  for (const network of networks) {
+    const { codes, responseDays } = NETWORKS[network];
+    const entry = codes[normalized];
+    if (entry) {
+      return { network, code: normalized, responseDays, ...entry };
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Default merchant response window (calendar days) for a card network, or
+ * null when the brand is unknown.
+ */
+function getNetworkResponseDays(cardBrand) {
+  const network = normalizeCardNetwork(cardBrand);
+  return network ? NETWORKS[network].responseDays : null;
+}
+
+/**
+ * Reason codes as a flat list, optionally for one network.
+ */
+function listReasonCodes(cardBrand) {
+  const preferred = normalizeCardNetwork(cardBrand);
+  return Object.entries(NETWORKS)
+    .filter(([network]) => !cardBrand || network === preferred)
+    .flatMap(([network, { codes, responseDays }]) =>
+      Object.entries(codes).map(([reasonCode, entry]) => ({ network, code: reasonCode, responseDays, ...entry }))
+    );
+}
+
+/**
+ * Evidence checklist for a case: which required and optional EvidenceTypes
+ * are on file for its reason code.
+ *
+ * `completeness` only counts required evidence; optional items strengthen a
+ * response but a case with every required item is 100% complete.
+ *
+ * @param {Object} caseData - { reasonCode, cardBrand }
+ * @param {Array<Object|string>} evidence - Evidence records (or types) on file
+ * @returns {Object} { reasonCode, network, category, description, responseDays, known, required, optional, missingRequired, missingOptional, completeness }
+ */
+function getEvidenceRequirements({ reasonCode, cardBrand } = {}, evidence = []) {
+  const entry = getReasonCode(reasonCode, cardBrand);
+  const { required, optional } = entry || DEFAULT_REQUIREMENTS;
+  const collected = new Set(evidence.map(e => toEvidenceType(typeof e === 'string' ? e : e.type)));
+
+  const checklist = (types) => types.map(type => ({
+    type,
+    label: EVIDENCE_TYPE_LABELS[type],
+    collected: collected.has(type)
+  }));
+
+  const requiredItems = checklist(required);
+  const optionalItems = checklist(optional);
+  const requiredCollected = requiredItems.filter(i => i.collected).length;
+
+  return {
+    reasonCode: entry?.code || reasonCode || null,
+    network: entry?.network || normalizeCardNetwork(cardBrand),
+    category: entry?.category || null,
+    description: entry?.description || null,
+    responseDays: entry?.responseDays || null,
+    known: Boolean(entry),
+    required: requiredItems,
+    optional: optionalItems,
+    missingRequired: requiredItems.filter(i => !i.collected).map(i => i.type),
+    missingOptional: optionalItems.filter(i => !i.collected).map(i => i.type),
+    completeness: required.length ? Math.round((requiredCollected / required.length) * 100) : 100
+  };
+}
+
+module.exports = {
+  REASON_CATEGORIES,
+  EVIDENCE_TYPE_LABELS,
+  NETWORK_ALIASES,
+  normalizeCardNetwork,
+  toEvidenceType,
+  getReasonCode,
+  getNetworkResponseDays,
+  listReasonCodes,
+  getEvidenceRequirements
+};
@@ -0,0 +1,641 @@
+/**
+ * DisputeAI - Rebuttal Packet Generator
+ *
+ * Builds the single PDF processors expect with a dispute response:
+ *   1. Cover letter with a narrative tailored to the reason code
+ *   2. Table of contents
+ *   3. Case summary table
+ *   4. One exhibit per evidence item, in the order of the guest's stay
+ *      (booking → check-in → stay → checkout → follow-up)
+ *
+ * PDF evidence is merged page by page, PNG/JPEG evidence is embedded and
+ * structured PMS data (folios, audit trails, ...) is rendered as tables.
+ * Every page carries the case number and a "Page X of Y" footer.
+ */
+
+const { PDFDocument, StandardFonts, rgb } = require('pdf-lib');
+const storage = require('../config/storage');
+const { autoclerk } = require('./autoclerkEmulator');
+const { getEvidenceRequirements, toEvidenceType, EVIDENCE_TYPE_LABELS, REASON_CATEGORIES } = require('./reasonCodes');
+const logger = require('../utils/logger');
+
+// US Letter, 0.75in margins
+const PAGE_SIZE = [612, 792];
+const MARGIN = 54;
+const CONTENT_WIDTH = PAGE_SIZE[0] - MARGIN * 2;
+const FOOTER_Y = 28;
+const TOC_ENTRIES_PER_PAGE = 32;
+
+const COLORS = {
+  text: rgb(0.13, 0.13, 0.15),
+  muted: rgb(0.42, 0.45, 0.5),
+  rule: rgb(0.82, 0.84, 0.87),
+  shade: rgb(0.95, 0.96, 0.97),
+  accent: rgb(0.15, 0.39, 0.92)
+};
+
+// Exhibit order follows the story of the stay
+const EXHIBIT_ORDER = [
+  'RESERVATION_CONFIRMATION',
+  'CANCELLATION_POLICY',
+  'AUTH_SIGNATURE',
+  'ID_SCAN',
+  'KEY_CARD_LOG',
+  'CCTV_FOOTAGE',
+  'CHECKOUT_SIGNATURE',
+  'FOLIO',
+  'NO_SHOW_DOCUMENTATION',
+  'CANCELLATION_POLICY_VIOLATION',
+  'INCIDENT_REPORT',
+  'DAMAGE_PHOTOS',
+  'DAMAGE_ASSESSMENT',
+  'POLICE_REPORT',
+  'CORRESPONDENCE',
+  'OTHER'
+];
+
+// ============================================================================
+// TEXT HELPERS
+// ============================================================================
+
+/**
+ * Standard PDF fonts only encode WinAnsi; replace anything else.
+ */
+function _safe(text) {
+  return String(text ?? '')
+    .replace(/\t/g, '  ')
+    .replace(/[^\x20-\x7E\xA0-\xFF–—‘’“”•…\n]/g, '?');
+}
+
+function _wrap(text, font, size, width) {
+  const lines = [];
+  for (const paragraph of _safe(text).split('\n')) {
+    let line = '';
+    for (const word of paragraph.split(/\s+/).filter(Boolean)) {
+      const candidate = line ? `${line} ${word}` : word;
+      if (font.widthOfTextAtSize(candidate, size) <= width) {
+        line = candidate;
+        continue;
+      }
+      if (line) lines.push(line);
+      // Hard-break words longer than the line
+      let rest = word;
+      while (font.widthOfTextAtSize(rest, size) > width) {
+        let cut = rest.length - 1;
+        while (cut > 1 && font.widthOfTextAtSize(rest.slice(0, cut), size) > width) cut--;
+        lines.push(rest.slice(0, cut));
+        rest = rest.slice(cut);
+      }
+      line = rest;
+    }
+    lines.push(line);
+  }
+  return lines;
+}
+
+function _formatDate(value) {
+  if (!value) return '—';
+  const date = new Date(value);
+  return isNaN(date) ? String(value) : date.toLocaleDateString('en-US', { year: 'numeric', month: 'long', day: 'numeric' });
+}
+
+function _formatAmount(amount, currency = 'USD') {
+  const value = parseFloat(amount) || 0;
+  try {
+    return new Intl.NumberFormat('en-US', { style: 'currency', currency }).format(value);
+  } catch (error) {
+    return `${currency} ${value.toFixed(2)}`;
+  }
+}
+
+function _humanize(key) {
+  return String(key)
+    .replace(/([a-z])([A-Z])/g, '$1 $2')
+    .replace(/_/g, ' ')
+    .replace(/^./, c => c.toUpperCase());
+}
+
+/**
+ * Flatten structured evidence data into label/value rows.
+ */
+function _flatten(value, prefix = '', rows = []) {
+  if (value === null || value === undefined || value === '') return rows;
+
+  if (Array.isArray(value)) {
+    if (value.every(v => typeof v !== 'object' || v === null)) {
+      rows.push([prefix, value.join(', ')]);
+    } else {
+      value.forEach((item, i) => _flatten(item, `${prefix} #${i + 1}`.trim(), rows));
+    }
+  } else if (typeof value === 'object') {
+    for (const [key, nested] of Object.entries(value)) {
+      _flatten(nested, prefix ? `${prefix} › ${_humanize(key)}` : _humanize(key), rows);
+    }
+  } else {
+    rows.push([prefix, typeof value === 'boolean' ? (value ? 'Yes' : 'No') : String(value)]);
+  }
+  return rows;
+}
+
+// ============================================================================
+// PAGE WRITER
+// ============================================================================
+
+/**
+ * Flowing text layout over as many pages as needed.
+ */
+function _createWriter(doc, fonts) {
+  const writer = {
+    page: null,
+    y: 0,
+
+    newPage() {
+      writer.page = doc.addPage(PAGE_SIZE);
+      writer.y = PAGE_SIZE[1] - MARGIN;
+      return writer.page;
+    },
+
+    ensureSpace(height) {
+      if (!writer.page || writer.y - height < MARGIN + 10) writer.newPage();
+    },
+
+    space(height) {
+      writer.y -= height;
+    },
+
+    heading(text, size = 16) {
+      writer.ensureSpace(size + 14);
+      writer.page.drawText(_safe(text), { x: MARGIN, y: writer.y - size, size, font: fonts.bold, color: COLORS.text });
+      writer.y -= size + 6;
+      writer.page.drawLine({
+        start: { x: MARGIN, y: writer.y },
+        end: { x: PAGE_SIZE[0] - MARGIN, y: writer.y },
+        thickness: 1,
+        color: COLORS.rule
+      });
+      writer.y -= 12;
+    },
+
+    paragraph(text, { size = 10.5, font = fonts.regular, color = COLORS.text, indent = 0, gap = 8 } = {}) {
+      const lineHeight = size * 1.4;
+      for (const line of _wrap(text, font, size, CONTENT_WIDTH - indent)) {
+        writer.ensureSpace(lineHeight);
+        writer.page.drawText(line, { x: MARGIN + indent, y: writer.y - size, size, font, color });
+        writer.y -= lineHeight;
+      }
+      writer.y -= gap;
+    },
+
+    table(rows, { labelWidth = 170, size = 9.5 } = {}) {
+      const lineHeight = size * 1.35;
+      rows.forEach(([label, value], i) => {
+        const labelLines = _wrap(label, fonts.bold, size, labelWidth - 12);
+        const valueLines = _wrap(value, fonts.regular, size, CONTENT_WIDTH - labelWidth - 12);
+        const height = Math.max(labelLines.length, valueLines.length) * lineHeight + 8;
+
+        writer.ensureSpace(height);
+        if (i % 2 === 0) {
+          writer.page.drawRectangle({ x: MARGIN, y: writer.y - height, width: CONTENT_WIDTH, height, color: COLORS.shade });
+        }
+        labelLines.forEach((line, l) => writer.page.drawText(line, {
+          x: MARGIN + 6, y: writer.y - 4 - size - l * lineHeight, size, font: fonts.bold, color: COLORS.muted
+        }));
+        valueLines.forEach((line, l) => writer.page.drawText(line, {
+          x: MARGIN + labelWidth, y: writer.y - 4 - size - l * lineHeight, size, font: fonts.regular, color: COLORS.text
+        }));
+        writer.y -= height;
+      });
+      writer.y -= 12;
+    }
+  };
+
+  return writer;
+}
+
+// ============================================================================
+// NARRATIVE
+// ============================================================================
+
+/**
+ * Cover letter argument for the dispute category of the reason code.
+ */
+function _buildArgument(chargeback, requirements) {
+  const guest = chargeback.guestName || 'the cardholder';
+  const stay = `${_formatDate(chargeback.checkInDate)} to ${_formatDate(chargeback.checkOutDate)}`;
+  const room = chargeback.roomNumber ? ` in room ${chargeback.roomNumber}` : '';
+  const required = requirements.required.map(r => r.type);
+
+  switch (requirements.category) {
+    case REASON_CATEGORIES.FRAUD:
+      return [
+        `The cardholder claims this transaction was not authorized. The enclosed records show that ${guest} made the reservation, ` +
+        `presented identification and signed the registration card at check-in, and stayed at the property from ${stay}${room}.`,
+        'The identity verified at check-in matches the cardholder named on the dispute, and the stay was completed as booked. ' +
+        'This was a legitimate, cardholder-authorized transaction.',
+        ...(chargeback.ce3Eligible && chargeback.ce3Evidence ? [
+          `This dispute also qualifies under Visa Compelling Evidence 3.0: the same card was used in ` +
+          `${chargeback.ce3Evidence.qualifyingTransactions.length} earlier, undisputed transactions with the property that share ` +
+          'the device, network and account identifiers of the disputed transaction (see the CE3.0 exhibit).'
+        ] : [])
+      ];
+
+    case REASON_CATEGORIES.AUTHORIZATION:
+      return [
+        'The transaction was properly authorized. An approval was obtained from the issuer when the reservation was guaranteed ' +
+        'and at check-in, and the final amount settled is supported by the itemized guest folio enclosed.',
+        `The charge relates to the stay of ${guest} from ${stay}${room}.`
+      ];
+
+    case REASON_CATEGORIES.PROCESSING_ERROR:
+      return [
+        'The transaction was processed correctly. The amount, currency and transaction date match the itemized guest folio and the ' +
+        'rate agreed to at booking, and no duplicate charge, credit or alternative payment was received for this stay.',
+        `The charge relates to the stay of ${guest} from ${stay}${room}.`
+      ];
+
+    case REASON_CATEGORIES.CONSUMER_DISPUTE:
+      if (required.includes('NO_SHOW_DOCUMENTATION') || required.includes('CANCELLATION_POLICY')) {
+        return [
+          `${guest} accepted the property's cancellation policy when the reservation was made. The reservation was not cancelled ` +
+          'within the permitted window, so the charge was assessed in accordance with the terms the guest agreed to.',
+          'The enclosed reservation confirmation shows the policy as disclosed and accepted, together with the resulting charges.'
+        ];
+      }
+      return [
+        `${guest} received the accommodation and services that were paid for. The guest checked in, occupied the room${room} ` +
+        `from ${stay} and was charged only for the stay and services shown on the itemized folio.`,
+        'The records enclosed — registration signature, room access activity and the folio — show the services were provided as described.'
+      ];
+
+    default:
+      return [
+        `${guest} stayed at the property from ${stay}${room} and was charged in accordance with the terms accepted at booking. ` +
+        'The enclosed records document the reservation, the stay and the charges.'
+      ];
+  }
+}
+
+// ============================================================================
+// SECTIONS
+// ============================================================================
+
+function _renderCoverLetter(writer, fonts, { chargeback, property, requirements, exhibits, preparedBy }) {
+  writer.newPage();
+
+  writer.paragraph(property?.name || 'DisputeAI', { size: 14, font: fonts.bold, gap: 2 });
+  if (property?.address) writer.paragraph(property.address, { size: 9.5, color: COLORS.muted, gap: 2 });
+  writer.paragraph(_formatDate(new Date()), { size: 9.5, color: COLORS.muted, gap: 18 });
+
+  writer.paragraph(`Re: Chargeback response — case ${chargeback.caseNumber}`, { font: fonts.bold, gap: 2 });
+  writer.paragraph(
+    `Reason code ${chargeback.reasonCode}${requirements.description ? ` (${requirements.description})` : ''} · ` +
+    `${_formatAmount(chargeback.amount, chargeback.currency)}` +
+    `${chargeback.processorDisputeId ? ` · Dispute ID ${chargeback.processorDisputeId}` : ''}`,
+    { size: 9.5, color: COLORS.muted, gap: 16 }
+  );
+
+  writer.paragraph('To the dispute review team:');
+  writer.paragraph(
+    `We are responding to the chargeback filed against transaction ${chargeback.transactionId || 'referenced above'} ` +
+    `for ${_formatAmount(chargeback.amount, chargeback.currency)}. We respectfully request that the dispute be reversed in the merchant's favor.`
+  );
+  for (const paragraph of _buildArgument(chargeback, requirements)) {
+    writer.paragraph(paragraph);
+  }
+
+  if (exhibits.length > 0) {
+    writer.paragraph('The following exhibits are enclosed in support of this response:', { gap: 4 });
+    for (const exhibit of exhibits) {
+      writer.paragraph(`• ${exhibit.label}: ${exhibit.title}${exhibit.description ? ` — ${exhibit.description}` : ''}`, { indent: 12, gap: 2 });
+    }
+    writer.space(8);
+  }
+
+  writer.paragraph('Thank you for your review. Please contact us with any questions about this response.', { gap: 18 });
+  writer.paragraph('Sincerely,', { gap: 2 });
+  writer.paragraph(preparedBy || 'Dispute Response Team', { font: fonts.bold, gap: 2 });
+  writer.paragraph(property?.name || '', { size: 9.5, color: COLORS.muted });
+}
+
+function _renderCaseSummary(writer, { chargeback, property, requirements }) {
+  writer.newPage();
+  writer.heading('Case Summary');
+  writer.table([
+    ['Case Number', chargeback.caseNumber],
+    ['Processor Dispute ID', chargeback.processorDisputeId || '—'],
+    ['Card Network', requirements.network || chargeback.cardBrand || '—'],
+    ['Reason Code', `${chargeback.reasonCode}${requirements.description ? ` — ${requirements.description}` : ''}`],
+    ['Dispute Category', requirements.category ? _humanize(requirements.category.toLowerCase()) : '—'],
+    ['Disputed Amount', _formatAmount(chargeback.amount, chargeback.currency)],
+    ['Transaction ID', chargeback.transactionId || '—'],
+    ['Card', chargeback.cardLastFour ? `${chargeback.cardBrand || 'Card'} ending ${chargeback.cardLastFour}` : '—'],
+    ['Dispute Date', _formatDate(chargeback.disputeDate)],
+    ['Response Due', _formatDate(chargeback.dueDate)],
+    ['Guest', [chargeback.guestName, chargeback.guestEmail].filter(Boolean).join(' · ') || '—'],
+    ['Property', property?.name || '—'],
+    ['Confirmation Number', chargeback.confirmationNumber || '—'],
+    ['Stay', `${_formatDate(chargeback.checkInDate)} – ${_formatDate(chargeback.checkOutDate)}`],
+    ['Room', [chargeback.roomNumber, chargeback.roomType].filter(Boolean).join(' · ') || '—']
+  ]);
+
+  writer.heading('Evidence Requirements', 13);
+  writer.table([
+    ...requirements.required.map(item => [item.label, item.collected ? 'Required — enclosed' : 'Required — not available']),
+    ...requirements.optional.filter(item => item.collected).map(item => [item.label, 'Supporting — enclosed'])
+  ]);
+}
+
+async function _renderExhibit(doc, writer, fonts, exhibit) {
+  const { content, mimeType } = exhibit;
+
+  if (content && mimeType === 'application/pdf') {
+    try {
+      const source = await PDFDocument.load(content, { ignoreEncryption: true });
+      const pages = await doc.copyPages(source, source.getPageIndices());
+      pages.forEach((page, i) => {
+        doc.addPage(page);
+        const { height } = page.getSize();
+        page.drawText(_safe(`${exhibit.label}: ${exhibit.title}${pages.length > 1 ? ` (${i + 1}/${pages.length})` : ''}`), {
+          x: 18, y: height - 16, size: 8, font: fonts.bold, color: COLORS.accent
+        });
+      });
+      return;
+    } catch (error) {
+      logger.warn(`Rebuttal packet: could not merge ${exhibit.title} (${error.message}), rendering summary instead`);
+    }
+  }
+
+  writer.newPage();
+  writer.heading(`${exhibit.label}: ${exhibit.title}`);
+  const meta = [exhibit.description, exhibit.source && `Source: ${exhibit.source}`, exhibit.fileName].filter(Boolean).join(' · ');
+  if (meta) writer.paragraph(meta, { size: 9, color: COLORS.muted, gap: 12 });
+
+  if (content && /^image\/(png|jpe?g)$/.test(mimeType || '')) {
+    try {
+      const image = mimeType === 'image/png' ? await doc.embedPng(content) : await doc.embedJpg(content);
+      const available = writer.y - MARGIN - 10;
+      const { width, height } = image.scaleToFit(CONTENT_WIDTH, Math.max(available, 200));
+      writer.ensureSpace(height);
+      writer.page.drawImage(image, { x: MARGIN, y: writer.y - height, width, height });
+      writer.y -= height + 12;
+      return;
+    } catch (error) {
+      logger.warn(`Rebuttal packet: could not embed image ${exhibit.title}: ${error.message}`);
+    }
+  }
+
+  let data = exhibit.data;
+  if (!data && content && /json/.test(mimeType || '')) {
+    try {
+      data = JSON.parse(content.toString('utf8'));
+    } catch (error) {
+      data = null;
+    }
+  }
+
+  if (data && typeof data === 'object') {
+    writer.table(_flatten(data));
+  } else if (content && /^text\//.test(mimeType || '')) {
+    writer.paragraph(content.toString('utf8'), { size: 9.5 });
+  } else if (exhibit.extractedText) {
+    writer.paragraph(exhibit.extractedText, { size: 9.5 });
+  } else {
+    writer.paragraph('The original document is on file with the merchant and available on request.', { color: COLORS.muted });
+  }
+}
+
+function _renderTableOfContents(doc, fonts, entries, insertAt) {
+  const pages = [];
+  for (let start = 0; start < entries.length; start += TOC_ENTRIES_PER_PAGE) {
+    const page = doc.insertPage(insertAt + pages.length, PAGE_SIZE);
+    let y = PAGE_SIZE[1] - MARGIN;
+
+    if (start === 0) {
+      page.drawText('Table of Contents', { x: MARGIN, y: y - 16, size: 16, font: fonts.bold, color: COLORS.text });
+      y -= 40;
+    }
+
+    for (const entry of entries.slice(start, start + TOC_ENTRIES_PER_PAGE)) {
+      const pageLabel = String(entry.page);
+      const pageWidth = fonts.regular.widthOfTextAtSize(pageLabel, 10.5);
+      const title = _wrap(entry.title, fonts.regular, 10.5, CONTENT_WIDTH - 60)[0];
+      const titleWidth = fonts.regular.widthOfTextAtSize(title, 10.5);
+
+      page.drawText(title, { x: MARGIN, y, size: 10.5, font: fonts.regular, color: COLORS.text });
+      page.drawLine({
+        start: { x: MARGIN + titleWidth + 6, y: y + 2 },
+        end: { x: PAGE_SIZE[0] - MARGIN - pageWidth - 6, y: y + 2 },
+        thickness: 0.5,
+        color: COLORS.rule,
+        dashArray: [1, 3]
+      });
+      page.drawText(pageLabel, { x: PAGE_SIZE[0] - MARGIN - pageWidth, y, size: 10.5, font: fonts.regular, color: COLORS.text });
+      y -= 20;
+    }
+    pages.push(page);
+  }
+  return pages.length;
+}
+
+function _stampFooters(doc, fonts, caseNumber) {
+  const pages = doc.getPages();
+  pages.forEach((page, i) => {
+    const { width } = page.getSize();
+    const label = `Page ${i + 1} of ${pages.length}`;
+    page.drawText(_safe(`Case ${caseNumber} — Chargeback Response`), {
+      x: MARGIN, y: FOOTER_Y, size: 8, font: fonts.regular, color: COLORS.muted
+    });
+    page.drawText(label, {
+      x: width - MARGIN - fonts.regular.widthOfTextAtSize(label, 8), y: FOOTER_Y, size: 8, font: fonts.regular, color: COLORS.muted
+    });
+  });
+}
+
+// ============================================================================
+// PUBLIC API
+// ============================================================================
+
+/**
+ * Order evidence items into numbered exhibits.
+ *
+ * @param {Array<Object>} items - { type, title, description, source, fileName, mimeType, content?, data?, extractedText? }
+ */
+function orderExhibits(items) {
+  const rank = (item) => {
+    const index = EXHIBIT_ORDER.indexOf(toEvidenceType(item.type));
+    return index === -1 ? EXHIBIT_ORDER.length : index;
+  };
+
+  return items
+    .map((item, i) => ({ item, i }))
+    .sort((a, b) => rank(a.item) - rank(b.item) || a.i - b.i)
+    .map(({ item }, i) => ({ ...item, label: `Exhibit ${i + 1}` }));
+}
+
+/**
+ * Build the rebuttal packet PDF.
+ *
+ * @param {Object} params
+ * @param {Object} params.chargeback - Chargeback record
+ * @param {Object} [params.property] - Property record (name, address)
+ * @param {Array<Object>} params.evidence - Evidence items (see orderExhibits)
+ * @param {string} [params.preparedBy] - Name for the letter signature
+ * @returns {Promise<Object>} { buffer, pageCount, sections: [{ title, page }] }
+ */
+async function generateRebuttalPacket({ chargeback, property, evidence = [], preparedBy }) {
+  const doc = await PDFDocument.create();
+  const fonts = {
+    regular: await doc.embedFont(StandardFonts.Helvetica),
+    bold: await doc.embedFont(StandardFonts.HelveticaBold)
+  };
+  const writer = _createWriter(doc, fonts);
+
+  const requirements = getEvidenceRequirements(chargeback, evidence);
+  const exhibits = orderExhibits(evidence);
+
+  doc.setTitle(`Chargeback Response ${chargeback.caseNumber}`);
+  doc.setSubject(`Reason code ${chargeback.reasonCode}`);
+  doc.setAuthor(property?.name || 'DisputeAI');
+  doc.setCreator('DisputeAI');
+
+  // Page indexes are recorded before the table of contents is inserted
+  const sections = [{ title: 'Cover Letter', index: 0 }];
+  _renderCoverLetter(writer, fonts, { chargeback, property, requirements, exhibits, preparedBy });
+  const tocAt = doc.getPageCount();
+
+  sections.push({ title: 'Case Summary', index: doc.getPageCount() });
+  _renderCaseSummary(writer, { chargeback, property, requirements });
+
+  for (const exhibit of exhibits) {
+    sections.push({ title: `${exhibit.label}: ${exhibit.title}`, index: doc.getPageCount() });
+    await _renderExhibit(doc, writer, fonts, exhibit);
+  }
+
+  const tocPages = Math.ceil((sections.length + 1) / TOC_ENTRIES_PER_PAGE);
+  const shift = ({ title, index }) => ({ title, page: index >= tocAt ? index + tocPages + 1 : index + 1 });
+  const entries = [
+    shift(sections[0]),
+    { title: 'Table of Contents', page: tocAt + 1 },
+    ...sections.slice(1).map(shift)
+  ];
+
+  _renderTableOfContents(doc, fonts, entries, tocAt);
+  _stampFooters(doc, fonts, chargeback.caseNumber);
+
+  const buffer = Buffer.from(await doc.save());
+  return { buffer, pageCount: doc.getPageCount(), sections: entries };
+}
+
+/**
+ * Collect a case's evidence for the packet: stored Evidence records (with
+ * their files from storage) plus documents collected from the PMS.
+ *
+ * @param {Object} chargeback - Chargeback with `evidence` included
+ */
+async function loadPacketEvidence(chargeback) {
+  const items = [];
+
+  for (const record of chargeback.evidence || []) {
+    let content = null;
+    try {
+      const stream = await storage.getFileStream(record.s3Key);
+      const chunks = [];
+      for await (const chunk of stream) chunks.push(Buffer.from(chunk));
+      content = Buffer.concat(chunks);
+    } catch (error) {
+      logger.warn(`Rebuttal packet: evidence file ${record.s3Key} unavailable: ${error.message}`);
+    }
+
+    items.push({
+      type: record.type,
+      title: EVIDENCE_TYPE_LABELS[record.type] || record.fileName,
+      description: record.description,
+      fileName: record.fileName,
+      mimeType: record.mimeType,
+      extractedText: record.extractedText,
+      content
+    });
+  }
+
+  for (const doc of autoclerk.getCaseEvidence(chargeback.id)) {
+    items.push({
+      type: doc.type,
+      title: doc.label,
+      description: doc.description,
+      source: doc.source,
+      fileName: doc.fileName,
+      mimeType: doc.mimeType,
+      data: doc.data
+    });
+  }
+
+  if (chargeback.ce3Eligible && chargeback.ce3Evidence) {
+    items.push(_ce3Exhibit(chargeback.ce3Evidence));
+  }
+
+  return items;
+}
+
+/**
+ * Visa CE3.0 prior undisputed transactions as a data exhibit.
+ */
+function _ce3Exhibit(ce3) {
+  const disputed = ce3.disputedTransaction || {};
+  return {
+    type: 'OTHER',
+    title: 'Visa Compelling Evidence 3.0 — Prior Undisputed Transactions',
+    description: `${ce3.qualifyingTransactions.length} prior transactions on the same card, ${ce3.rules.minAgeDays}–${ce3.rules.maxAgeDays} days before the disputed transaction`,
+    source: 'DisputeAI reservation history',
+    data: {
+      disputedTransaction: {
+        transactionId: disputed.transactionId,
+        date: _formatDate(disputed.transactionDate),
+        deviceId: disputed.deviceId,
+        ipAddress: disputed.ipAddress,
+        address: disputed.shippingAddress,
+        accountLogin: disputed.accountLogin
+      },
+      priorTransactions: ce3.qualifyingTransactions.map(t => ({
+        transactionId: t.transactionId,
+        confirmationNumber: t.confirmationNumber,
+        date: _formatDate(t.transactionDate),
+        amount: _formatAmount(t.amount, t.currency),
+        authorizationCode: t.authorizationCode,
+        matchingIdentifiers: t.matchedFields.map(_humanize)
+      }))
+    }
+  };
+}
+
+/**
+ * Generate the packet for a case and store it.
+ *
+ * @param {Object} chargeback - Chargeback with `evidence` and `property` included
+ * @param {Object} [options]
+ * @param {string} [options.preparedBy] - Name for the letter signature
+ * @returns {Promise<Object>} { key, url, fileName, size, pageCount, sections }
+ */
+async function buildAndStorePacket(chargeback, { preparedBy } = {}) {
+  const evidence = await loadPacketEvidence(chargeback);
+  const { buffer, pageCount, sections } = await generateRebuttalPacket({
+    chargeback,
+    property: chargeback.property,
+    evidence,
+    preparedBy
+  });
+
+  const fileName = `${chargeback.caseNumber}_rebuttal.pdf`;
+  const key = storage.generateS3Key(chargeback.id, 'rebuttal-packet', fileName);
+  const upload = await storage.uploadFile(buffer, key, 'application/pdf');
+
+  logger.info(`Rebuttal packet generated for ${chargeback.caseNumber}: ${pageCount} pages, ${evidence.length} exhibits`);
+
+  return { key, url: upload.url, fileName, size: buffer.length, pageCount, sections };
+}
+
+module.exports = {
+  orderExhibits,
+  generateRebuttalPacket,
+  loadPacketEvidence,
+  buildAndStorePacket
+};
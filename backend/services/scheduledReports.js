@@ -0,0 +1,633 @@
+/**
+ * DisputeAI - Scheduled Email Reports
+ *
+ * ReportDefinition rows (managed under /api/admin/reports) describe who gets
+ * a dispute summary, how often and for which properties. Each report has one
+ * summary per property with the sections the definition picks: new
+ * disputes, amounts at risk, wins and losses, upcoming deadlines and top
+ * reason codes. The figures come from analytics.getReportFigures(), and the
+ * report goes out as an HTML email with a plain-text part and, unless
+ * turned off, a PDF copy attached (see config/mail.js for the transport).
+ *
+ * The `scheduled-reports` job on the `reports` queue runs daily
+ * (REPORT_CRON) and sends every active definition that is due: DAILY every
+ * day, WEEKLY on its sendDay (default Monday), MONTHLY on its sendDay of the
+ * month (default the 1st). A report covers the days since the previous send
+ * day, so a weekly report sent on Monday covers Monday to Sunday of the week
+ * before. A day missed while the server was down is sent on the next run.
+ */
+
+const { PDFDocument, StandardFonts, rgb } = require('pdf-lib');
+const { prisma, isDatabaseUnavailable } = require('../config/database');
+const { sendMail } = require('../config/mail');
+const { getReportFigures, getDemoReportFigures, DEMO_PROPERTIES } = require('./analytics');
+const { getQueue } = require('./queue/queueManager');
+const logger = require('../utils/logger');
+
+const REPORTS_QUEUE = 'reports';
+const REPORT_CRON = process.env.REPORT_CRON || '0 7 * * *';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const CADENCES = ['DAILY', 'WEEKLY', 'MONTHLY'];
+
+const REPORT_SECTIONS = {
+  newDisputes: 'New Disputes',
+  atRisk: 'Amounts at Risk',
+  outcomes: 'Wins & Losses',
+  deadlines: 'Upcoming Deadlines',
+  reasonCodes: 'Top Reason Codes'
+};
+
+// Open cases due within this many days are listed under Upcoming Deadlines
+const DEADLINE_WINDOW_DAYS = 7;
+
+const MAX_RECIPIENTS = 50;
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+const STATUS_LABELS = { PENDING: 'Pending', IN_REVIEW: 'In review', SUBMITTED: 'Submitted' };
+
+// ============================================================================
+// DEFINITIONS
+// ============================================================================
+
+/**
+ * Validate a report definition. With `partial`, omitted fields are left as
+ * they are (PATCH); pass the stored cadence so sendDay can be checked
+ * against it.
+ *
+ * @returns {Array<Object>} Validation errors ({ path, message, code }), empty when valid
+ */
+function validateReportDefinition(input, { partial = false, cadence: currentCadence } = {}) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    return [{ path: [], message: 'Report definition must be an object', code: 'invalid_type' }];
+  }
+
+  const errors = [];
+  const has = (key) => input[key] !== undefined;
+  const isStringArray = (value) => Array.isArray(value) && value.every((v) => typeof v === 'string' && v.length > 0);
+
+  if (!partial || has('name')) {
+    if (typeof input.name !== 'string' || !input.name.trim()) {
+      errors.push({ path: ['name'], message: 'Report name is required', code: 'required' });
+    } else if (input.name.length > 255) {
+      errors.push({ path: ['name'], message: 'name must be at most 255 characters', code: 'too_big' });
+    }
+  }
+
+  if (!partial || has('recipients')) {
+    if (!isStringArray(input.recipients) || input.recipients.length === 0) {
+      errors.push({ path: ['recipients'], message: 'recipients must list at least one email address', code: 'invalid_type' });
+    } else if (input.recipients.length > MAX_RECIPIENTS) {
+      errors.push({ path: ['recipients'], message: `A report can have at most ${MAX_RECIPIENTS} recipients`, code: 'too_big' });
+    } else {
+      input.recipients.forEach((email, index) => {
+        if (!EMAIL_PATTERN.test(email.trim())) {
+          errors.push({ path: ['recipients', index], message: `Invalid email address "${email}"`, code: 'invalid_string' });
+        }
+      });
+    }
+  }
+
+  if (has('cadence') && !CADENCES.includes(input.cadence)) {
+    errors.push({ path: ['cadence'], message: `cadence must be one of: ${CADENCES.join(', ')}`, code: 'invalid_enum_value' });
+  }
+
+  if (has('sendDay') && input.sendDay !== null) {
+    // Without a cadence to check against (PATCH before loading), any send day
+    const cadence = input.cadence || currentCadence || (partial ? null : 'WEEKLY');
+    const [min, max] = { WEEKLY: [0, 6], MONTHLY: [1, 28] }[cadence] || [0, 28];
+    if (cadence === 'DAILY') {
+      errors.push({ path: ['sendDay'], message: 'sendDay does not apply to DAILY reports', code: 'custom' });
+    } else if (!Number.isInteger(input.sendDay) || input.sendDay < min || input.sendDay > max) {
+      const meaning = { WEEKLY: 'a weekday (0 = Sunday)', MONTHLY: 'a day of the month' }[cadence] || 'a day';
+      errors.push({ path: ['sendDay'], message: `sendDay must be ${meaning} from ${min} to ${max}`, code: 'invalid_type' });
+    }
+  }
+
+  if (has('propertyIds') && !(Array.isArray(input.propertyIds) && (input.propertyIds.length === 0 || isStringArray(input.propertyIds)))) {
+    errors.push({ path: ['propertyIds'], message: 'propertyIds must be an array of property IDs (empty for all properties)', code: 'invalid_type' });
+  }
+
+  // Omitted on create: every section
+  if (has('sections')) {
+    if (!isStringArray(input.sections) || input.sections.length === 0) {
+      errors.push({ path: ['sections'], message: 'sections must list at least one section', code: 'invalid_type' });
+    } else {
+      const unknown = input.sections.filter((section) => !REPORT_SECTIONS[section]);
+      if (unknown.length) {
+        errors.push({
+          path: ['sections'],
+          message: `Unknown sections: ${unknown.join(', ')}. Valid sections: ${Object.keys(REPORT_SECTIONS).join(', ')}`,
+          code: 'invalid_enum_value'
+        });
+      }
+    }
+  }
+
+  for (const key of ['attachPdf', 'isActive']) {
+    if (has(key) && typeof input[key] !== 'boolean') {
+      errors.push({ path: [key], message: `${key} must be a boolean`, code: 'invalid_type' });
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * The writable fields of a validated definition, with defaults for a new
+ * one. Switching cadence without a sendDay resets it to the default.
+ */
+function normalizeReportDefinition(input, { partial = false } = {}) {
+  const data = {};
+  if (input.name !== undefined) data.name = input.name.trim();
+  if (input.recipients !== undefined) {
+    data.recipients = [...new Set(input.recipients.map((email) => email.trim().toLowerCase()))];
+  }
+  if (input.cadence !== undefined) data.cadence = input.cadence;
+  if (input.sendDay !== undefined) data.sendDay = input.cadence === 'DAILY' ? null : input.sendDay;
+  else if (input.cadence !== undefined) data.sendDay = null;
+  if (input.propertyIds !== undefined) data.propertyIds = [...new Set(input.propertyIds)];
+  if (input.sections !== undefined) {
+    data.sections = Object.keys(REPORT_SECTIONS).filter((section) => input.sections.includes(section));
+  }
+  if (input.attachPdf !== undefined) data.attachPdf = input.attachPdf;
+  if (input.isActive !== undefined) data.isActive = input.isActive;
+
+  if (!partial && !data.sections) data.sections = Object.keys(REPORT_SECTIONS);
+  return data;
+}
+
+// ============================================================================
+// SCHEDULE
+// ============================================================================
+
+function _startOfDay(date) {
+  return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+}
+
+function _addDays(date, days) {
+  return new Date(date.getTime() + days * DAY_MS);
+}
+
+/**
+ * The latest send day on or before `now` (UTC) and the period it reports:
+ * from the send day before it up to the end of the day before it.
+ *
+ * @returns {{ sendDay: Date, from: Date, to: Date }}
+ */
+function getReportPeriod(definition, now = new Date()) {
+  const today = _startOfDay(now);
+  let sendDay;
+  let from;
+
+  if (definition.cadence === 'DAILY') {
+    sendDay = today;
+    from = _addDays(sendDay, -1);
+  } else if (definition.cadence === 'MONTHLY') {
+    const day = definition.sendDay ?? 1;
+    const monthOffset = today.getUTCDate() >= day ? 0 : -1;
+    sendDay = new Date(Date.UTC(today.getUTCFullYear(), today.getUTCMonth() + monthOffset, day));
+    from = new Date(Date.UTC(sendDay.getUTCFullYear(), sendDay.getUTCMonth() - 1, day));
+  } else {
+    const weekday = definition.sendDay ?? 1;
+    sendDay = _addDays(today, -((today.getUTCDay() - weekday + 7) % 7));
+    from = _addDays(sendDay, -7);
+  }
+
+  return { sendDay, from, to: new Date(sendDay.getTime() - 1) };
+}
+
+/**
+ * Due when its latest send day has passed since it was last sent. A new
+ * definition waits for its first send day on or after the day it was created.
+ */
+function isReportDue(definition, now = new Date()) {
+  if (!definition.isActive) return false;
+  const { sendDay } = getReportPeriod(definition, now);
+  if (definition.lastSentAt) return sendDay > _startOfDay(new Date(definition.lastSentAt));
+  return sendDay >= _startOfDay(new Date(definition.createdAt || now));
+}
+
+// ============================================================================
+// CONTENT
+// ============================================================================
+
+function _formatAmount(amount, currency = 'USD') {
+  const value = parseFloat(amount) || 0;
+  try {
+    return new Intl.NumberFormat('en-US', { style: 'currency', currency }).format(value);
+  } catch (error) {
+    return `${currency} ${value.toFixed(2)}`;
+  }
+}
+
+function _formatDate(date) {
+  return new Date(date).toLocaleDateString('en-US', { year: 'numeric', month: 'short', day: 'numeric', timeZone: 'UTC' });
+}
+
+function _plural(count, noun) {
+  return `${count} ${noun}${count === 1 ? '' : 's'}`;
+}
+
+/**
+ * One property's sections as label/value rows, shared by the HTML, text
+ * and PDF renderings.
+ */
+function _sectionRows(section, figures, currency) {
+  const money = (amount) => _formatAmount(amount, currency);
+
+  switch (section) {
+    case 'newDisputes':
+      return [
+        ['Cases opened', String(figures.newDisputes.count)],
+        ['Amount disputed', money(figures.newDisputes.amount)]
+      ];
+    case 'atRisk':
+      return [
+        ['Unresolved cases', String(figures.atRisk.count)],
+        ['Amount at risk', money(figures.atRisk.amount)],
+        ...Object.entries(figures.atRisk.byStatus).map(([status, { count, amount }]) => [
+          `  ${STATUS_LABELS[status] || status}`, `${_plural(count, 'case')} · ${money(amount)}`
+        ])
+      ];
+    case 'outcomes': {
+      const { won, lostAfterFighting, acceptedLiability, winRate, recoveredAmount } = figures.outcomes;
+      return [
+        ['Won', String(won)],
+        ['Lost after fighting', String(lostAfterFighting)],
+        ['Accepted liability', String(acceptedLiability)],
+        ['Win rate', won + lostAfterFighting > 0 ? `${winRate}%` : '—'],
+        ['Recovered', money(recoveredAmount)]
+      ];
+    }
+    case 'deadlines': {
+      const { count, cases } = figures.upcomingDeadlines;
+      if (count === 0) return [['None due', `in the next ${DEADLINE_WINDOW_DAYS} days`]];
+      const rows = cases.map((c) => [
+        `${c.caseNumber} — ${c.guestName}`,
+        `Due ${_formatDate(c.dueDate)} · ${money(c.amount)} · ${c.reasonCode}`
+      ]);
+      if (count > cases.length) rows.push([`${count - cases.length} more`, `due in the next ${DEADLINE_WINDOW_DAYS} days`]);
+      return rows;
+    }
+    case 'reasonCodes':
+      if (figures.topReasonCodes.length === 0) return [['No new disputes', '']];
+      return figures.topReasonCodes.map((r) => [
+        r.key === r.label ? r.key : `${r.key} ${r.label}`,
+        `${_plural(r.count, 'case')} · ${money(r.amount)}`
+      ]);
+    default:
+      return [];
+  }
+}
+
+/**
+ * Gather a report: figures for every property in scope over the period.
+ *
+ * @param {Object} definition - ReportDefinition
+ * @param {Object} [options]
+ * @param {Date} [options.now]
+ * @param {boolean} [options.demo] - Use demo figures (no database)
+ * @returns {Promise<Object>} { definition, period, properties: [{ id, name, currency, sections }] }
+ */
+async function buildReport(definition, { now = new Date(), demo = false } = {}) {
+  const period = getReportPeriod(definition, now);
+
+  let properties;
+  if (demo) {
+    properties = Object.entries(DEMO_PROPERTIES)
+      .filter(([id]) => definition.propertyIds.length === 0 || definition.propertyIds.includes(id))
+      .map(([id, name]) => ({ id, name, currency: 'USD' }));
+  } else {
+    properties = await prisma.property.findMany({
+      where: definition.propertyIds.length ? { id: { in: definition.propertyIds } } : { isActive: true },
+      select: { id: true, name: true, currency: true },
+      orderBy: { name: 'asc' }
+    });
+  }
+
+  const summaries = [];
+  for (const property of properties) {
+    const filters = { propertyId: property.id, dateFrom: period.from, dateTo: period.to };
+    const figures = demo
+      ? getDemoReportFigures(filters, { now })
+      : await getReportFigures(filters, {}, { now, upcomingDays: DEADLINE_WINDOW_DAYS });
+    summaries.push({
+      ...property,
+      figures,
+      sections: definition.sections.map((section) => ({
+        key: section,
+        title: REPORT_SECTIONS[section],
+        rows: _sectionRows(section, figures, property.currency)
+      }))
+    });
+  }
+
+  return { definition, period, properties: summaries };
+}
+
+function _subject(report) {
+  const { definition, period, properties } = report;
+  const scope = properties.length === 1 ? properties[0].name : `${properties.length} properties`;
+  return `${definition.name}: ${scope}, ${_formatDate(period.from)} – ${_formatDate(period.to)}`;
+}
+
+function _escape(text) {
+  return String(text ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function renderReportHtml(report) {
+  const { period, properties } = report;
+  const cell = 'padding:6px 10px;border-bottom:1px solid #e5e7eb;font-size:14px;';
+
+  const body = properties.map((property) => `
+    <h2 style="font-size:18px;color:#111827;margin:28px 0 8px;">${_escape(property.name)}</h2>
+    ${property.sections.map((section) => `
+      <h3 style="font-size:13px;color:#6b7280;text-transform:uppercase;letter-spacing:0.05em;margin:16px 0 4px;">${_escape(section.title)}</h3>
+      <table style="width:100%;border-collapse:collapse;">
+        ${section.rows.map(([label, value]) => `
+          <tr><td style="${cell}color:#374151;">${_escape(label)}</td><td style="${cell}color:#111827;text-align:right;font-weight:600;">${_escape(value)}</td></tr>`).join('')}
+      </table>`).join('')}`).join('');
+
+  return `<!DOCTYPE html>
+<html>
+<body style="margin:0;padding:24px;background:#f9fafb;font-family:Helvetica,Arial,sans-serif;">
+  <div style="max-width:640px;margin:0 auto;background:#ffffff;border:1px solid #e5e7eb;border-radius:8px;padding:24px;">
+    <h1 style="font-size:20px;color:#111827;margin:0;">${_escape(report.definition.name)}</h1>
+    <p style="font-size:14px;color:#6b7280;margin:4px 0 0;">${_escape(`${_formatDate(period.from)} – ${_formatDate(period.to)}`)}</p>
+    ${properties.length ? body : '<p style="font-size:14px;color:#374151;">No properties in scope.</p>'}
+    <p style="font-size:12px;color:#9ca3af;margin-top:28px;">Sent by DisputeAI. Amounts at risk and upcoming deadlines are as of ${_escape(_formatDate(period.sendDay))}.</p>
+  </div>
+</body>
+</html>`;
+}
+
+function renderReportText(report) {
+  const { period, properties } = report;
+  const lines = [report.definition.name, `${_formatDate(period.from)} – ${_formatDate(period.to)}`];
+  for (const property of properties) {
+    lines.push('', property.name.toUpperCase());
+    for (const section of property.sections) {
+      lines.push('', section.title);
+      for (const [label, value] of section.rows) lines.push(`  ${label}: ${value}`);
+    }
+  }
+  if (!properties.length) lines.push('', 'No properties in scope.');
+  return lines.join('\n');
+}
+
+// ============================================================================
+// PDF
+// ============================================================================
+
+// US Letter, 0.75in margins
+const PAGE_SIZE = [612, 792];
+const MARGIN = 54;
+
+const COLORS = {
+  text: rgb(0.13, 0.13, 0.15),
+  muted: rgb(0.42, 0.45, 0.5),
+  rule: rgb(0.82, 0.84, 0.87)
+};
+
+/** Standard PDF fonts only encode WinAnsi; replace anything else. */
+function _safe(text) {
+  return String(text ?? '').replace(/[^\x20-\x7E\xA0-\xFF–—‘’“”•…]/g, '?');
+}
+
+function _fit(text, font, size, width) {
+  let line = _safe(text);
+  while (line.length > 1 && font.widthOfTextAtSize(line, size) > width) line = `${line.slice(0, -2)}…`;
+  return line;
+}
+
+async function renderReportPdf(report) {
+  const doc = await PDFDocument.create();
+  const fonts = {
+    regular: await doc.embedFont(StandardFonts.Helvetica),
+    bold: await doc.embedFont(StandardFonts.HelveticaBold)
+  };
+  const right = PAGE_SIZE[0] - MARGIN;
+  let page;
+  let y;
+
+  const newPage = () => {
+    page = doc.addPage(PAGE_SIZE);
+    y = PAGE_SIZE[1] - MARGIN;
+  };
+  const ensureSpace = (height) => {
+    if (!page || y - height < MARGIN) newPage();
+  };
+  const text = (value, { size = 10, font = fonts.regular, color = COLORS.text, x = MARGIN, align = 'left', width = right - MARGIN } = {}) => {
+    const line = _fit(value, font, size, width);
+    const left = align === 'right' ? right - font.widthOfTextAtSize(line, size) : x;
+    page.drawText(line, { x: left, y: y - size, size, font, color });
+  };
+
+  newPage();
+  text(report.definition.name, { size: 18, font: fonts.bold });
+  y -= 24;
+  text(`${_formatDate(report.period.from)} – ${_formatDate(report.period.to)}`, { size: 11, color: COLORS.muted });
+  y -= 20;
+
+  for (const property of report.properties) {
+    ensureSpace(60);
+    y -= 10;
+    text(property.name, { size: 14, font: fonts.bold });
+    y -= 20;
+    page.drawLine({ start: { x: MARGIN, y }, end: { x: right, y }, thickness: 1, color: COLORS.rule });
+    y -= 8;
+
+    for (const section of property.sections) {
+      ensureSpace(32);
+      text(section.title.toUpperCase(), { size: 9, font: fonts.bold, color: COLORS.muted });
+      y -= 16;
+      for (const [label, value] of section.rows) {
+        ensureSpace(16);
+        text(label, { size: 10, width: 260 });
+        text(value, { size: 10, font: fonts.bold, align: 'right', width: right - MARGIN - 270 });
+        y -= 15;
+      }
+      y -= 8;
+    }
+  }
+
+  return Buffer.from(await doc.save());
+}
+
+// ============================================================================
+// DELIVERY
+// ============================================================================
+
+/**
+ * Render a report as the email it is sent as.
+ *
+ * @returns {Promise<Object>} nodemailer message: { to, subject, html, text, attachments }
+ */
+async function renderReportEmail(report) {
+  const { definition, period } = report;
+  const attachments = [];
+  if (definition.attachPdf) {
+    attachments.push({
+      filename: `dispute-report-${period.sendDay.toISOString().slice(0, 10)}.pdf`,
+      content: await renderReportPdf(report),
+      contentType: 'application/pdf'
+    });
+  }
+  return {
+    to: definition.recipients,
+    subject: _subject(report),
+    html: renderReportHtml(report),
+    text: renderReportText(report),
+    attachments
+  };
+}
+
+/**
+ * Build, render and email a report, then record the outcome on the
+ * definition. Delivery failures are recorded and rethrown so the job retries.
+ *
+ * @returns {Promise<Object>} { reportId, recipients, properties, period, messageId }
+ */
+async function sendReport(definition, { now = new Date(), demo = false } = {}) {
+  const report = await buildReport(definition, { now, demo });
+  const message = await renderReportEmail(report);
+
+  let info;
+  try {
+    info = await sendMail(message);
+  } catch (error) {
+    if (!demo) {
+      await prisma.reportDefinition.update({
+        where: { id: definition.id },
+        data: { lastStatus: 'failed', lastError: error.message }
+      });
+    }
+    throw error;
+  }
+
+  if (!demo) {
+    await prisma.reportDefinition.update({
+      where: { id: definition.id },
+      data: { lastSentAt: now, lastStatus: 'sent', lastError: null }
+    });
+  }
+
+  logger.info(`Report "${definition.name}" sent to ${_plural(message.to.length, 'recipient')}`);
+  return {
+    reportId: definition.id,
+    recipients: info.accepted,
+    properties: report.properties.length,
+    period: { from: report.period.from, to: report.period.to },
+    messageId: info.messageId
+  };
+}
+
+/**
+ * Send every active report that is due. A failing report doesn't stop the
+ * others.
+ *
+ * @returns {Promise<Object>} { checked, sent, failed } or { skipped, reason }
+ */
+async function runScheduledReports({ now = new Date() } = {}) {
+  let definitions;
+  try {
+    definitions = await prisma.reportDefinition.findMany({ where: { isActive: true } });
+  } catch (error) {
+    if (!isDatabaseUnavailable(error)) throw error;
+    logger.info('Scheduled reports: database unavailable, skipping');
+    return { skipped: true, reason: 'Database not available' };
+  }
+
+  const due = definitions.filter((definition) => isReportDue(definition, now));
+  const failed = [];
+  for (const definition of due) {
+    try {
+      await sendReport(definition, { now });
+    } catch (error) {
+      logger.error(`Scheduled report "${definition.name}" failed:`, error.message);
+      failed.push({ reportId: definition.id, error: error.message });
+    }
+  }
+
+  return { checked: definitions.length, sent: due.length - failed.length, failed };
+}
+
+// ============================================================================
+// SCHEDULING
+// ============================================================================
+
+/**
+ * Register the daily check and run one now, which sends anything missed
+ * while the server was down.
+ */
+async function initializeReportJobs() {
+  const queue = getQueue(REPORTS_QUEUE);
+  await queue.upsertJobScheduler(
+    'scheduled-reports',
+    { pattern: REPORT_CRON },
+    { name: 'scheduled-reports', data: {} }
+  );
+  await queue.add('scheduled-reports', {});
+  logger.info(`Scheduled reports checked daily (${REPORT_CRON})`);
+}
+
+// ============================================================================
+// DEMO MODE
+// ============================================================================
+
+const DEMO_REPORT_DEFINITIONS = [
+  {
+    id: 'demo-report-1',
+    name: 'Weekly Dispute Summary',
+    recipients: ['owners@disputeai.com', 'gm@disputeai.com'],
+    cadence: 'WEEKLY',
+    sendDay: 1,
+    propertyIds: [],
+    sections: Object.keys(REPORT_SECTIONS),
+    attachPdf: true,
+    isActive: true,
+    lastSentAt: null,
+    lastStatus: null,
+    lastError: null
+  },
+  {
+    id: 'demo-report-2',
+    name: 'Beach Resort Monthly',
+    recipients: ['beach-gm@disputeai.com'],
+    cadence: 'MONTHLY',
+    sendDay: 1,
+    propertyIds: ['demo-property-2'],
+    sections: ['newDisputes', 'outcomes', 'reasonCodes'],
+    attachPdf: false,
+    isActive: true,
+    lastSentAt: null,
+    lastStatus: null,
+    lastError: null
+  }
+];
+
+module.exports = {
+  REPORTS_QUEUE,
+  REPORT_SECTIONS,
+  CADENCES,
+  validateReportDefinition,
+  normalizeReportDefinition,
+  getReportPeriod,
+  isReportDue,
+  buildReport,
+  renderReportHtml,
+  renderReportText,
+  renderReportPdf,
+  renderReportEmail,
+  sendReport,
+  runScheduledReports,
+  initializeReportJobs,
+  DEMO_REPORT_DEFINITIONS
+};
@@ -0,0 +1,224 @@
+/**
+ * DisputeAI - Scoring Rule Backtester
+ *
+ * Re-scores resolved (WON/LOST) chargebacks under the live rule set and a
+ * candidate rule set, then compares how well each one's recommendations
+ * line up with the real outcomes. Cases lost by accepting liability are left
+ * out, as in the analytics win-rate drivers: no evidence was ever submitted.
+ * Nothing is written back to the cases.
+ */
+
+const { prisma, isDatabaseUnavailable } = require('../config/database');
+const { autoclerk } = require('./autoclerkEmulator');
+const { scoreCase, scoringInputForCase, getDemoCaseData } = require('./fraudDetection');
+const { getActiveRuleSet } = require('./aiDefenseConfig');
+const logger = require('../utils/logger');
+
+const RECOMMENDATIONS = ['AUTO_SUBMIT', 'REVIEW_RECOMMENDED', 'GATHER_MORE_EVIDENCE', 'UNLIKELY_TO_WIN'];
+const OUTCOMES = ['WON', 'LOST'];
+const MAX_CASES = 5000;
+const MAX_MOVED_CASES = 100;
+
+// Resolved demo cases (see routes/cases.js demo list)
+const DEMO_OUTCOMES = { 'demo-3': 'WON', 'demo-6': 'WON', 'demo-7': 'LOST', 'demo-9': 'LOST' };
+
+// =============================================================================
+// CASE LOADING
+// =============================================================================
+
+async function _loadResolvedCases({ propertyId, from, to }) {
+  const resolvedAt = {};
+  if (from) resolvedAt.gte = new Date(from);
+  if (to) resolvedAt.lte = new Date(to);
+
+  const chargebacks = await prisma.chargeback.findMany({
+    where: {
+      status: { in: OUTCOMES },
+      liabilityReason: null,
+      ...(propertyId && { propertyId }),
+      ...(Object.keys(resolvedAt).length && { resolvedAt })
+    },
+    include: {
+      evidence: { select: { type: true } },
+      reservation: true
+    },
+    orderBy: { resolvedAt: 'desc' },
+    take: MAX_CASES
+  });
+
+  return chargebacks.map(cb => ({ ...scoringInputForCase(cb), outcome: cb.status }));
+}
+
+function _loadDemoCases() {
+  return Object.entries(DEMO_OUTCOMES).map(([caseId, outcome]) => {
+    const caseData = getDemoCaseData(caseId);
+    return {
+      caseData: { ...caseData, caseNumber: caseData.caseNumber || caseId },
+      evidence: autoclerk.getCaseEvidence(caseId),
+      reservation: autoclerk.getReservation(caseData.confirmationNumber) || null,
+      outcome
+    };
+  });
+}
+
+// =============================================================================
+// METRICS
+// =============================================================================
+
+function _emptyMatrix() {
+  return Object.fromEntries(RECOMMENDATIONS.map(rec => [rec, { WON: 0, LOST: 0, total: 0, winRate: null }]));
+}
+
+function _ratio(numerator, denominator) {
+  return denominator > 0 ? Math.round((numerator / denominator) * 1000) / 1000 : null;
+}
+
+/**
+ * Confusion matrix (recommendation bucket x real outcome) plus precision and
+ * recall of AUTO_SUBMIT, treating WON as the positive class.
+ */
+function _summarize(results) {
+  const matrix = _emptyMatrix();
+  for (const { recommendation, outcome } of results) {
+    matrix[recommendation][outcome]++;
+    matrix[recommendation].total++;
+  }
+  for (const bucket of Object.values(matrix)) {
+    bucket.winRate = _ratio(bucket.WON, bucket.total);
+  }
+
+  const won = results.filter(r => r.outcome === 'WON').length;
+  const auto = matrix.AUTO_SUBMIT;
+
+  return {
+    autoSubmit: {
+      precision: _ratio(auto.WON, auto.total),
+      recall: _ratio(auto.WON, won),
+      truePositives: auto.WON,
+      falsePositives: auto.LOST,
+      falseNegatives: won - auto.WON
+    },
+    averageScore: {
+      WON: _average(results.filter(r => r.outcome === 'WON').map(r => r.confidenceScore)),
+      LOST: _average(results.filter(r => r.outcome === 'LOST').map(r => r.confidenceScore))
+    },
+    confusionMatrix: matrix
+  };
+}
+
+function _average(values) {
+  return values.length ? Math.round((values.reduce((a, b) => a + b, 0) / values.length) * 10) / 10 : null;
+}
+
+function _pointsByRule(appliedRules) {
+  const points = {};
+  for (const { rule, points: p } of appliedRules) {
+    points[rule] = (points[rule] || 0) + p;
+  }
+  return points;
+}
+
+// =============================================================================
+// BACKTEST
+// =============================================================================
+
+/**
+ * Re-score resolved chargebacks under the live and a candidate rule set.
+ *
+ * @param {Object} candidate - { version, ruleSet } (version may be 'candidate' for unsaved edits)
+ * @param {Object} [filters]
+ * @param {string} [filters.propertyId] - Limit to one property
+ * @param {string} [filters.from] - Earliest resolvedAt (ISO date)
+ * @param {string} [filters.to] - Latest resolvedAt (ISO date)
+ * @returns {Object} { cases, baseline, candidate, changes, ruleImpact, movedCases, isDemo? }
+ */
+async function runBacktest(candidate, filters = {}) {
+  const baselineVersion = await getActiveRuleSet({ fresh: true });
+
+  let cases;
+  let isDemo = false;
+  try {
+    cases = await _loadResolvedCases(filters);
+  } catch (error) {
+    if (!isDatabaseUnavailable(error)) throw error;
+    logger.warn('Scoring backtest: database unavailable, using demo cases');
+    cases = _loadDemoCases();
+    isDemo = true;
+  }
+
+  const baselineResults = [];
+  const candidateResults = [];
+  const ruleImpact = {};
+  const movedCases = [];
+  const changes = { upgraded: 0, downgraded: 0, unchanged: 0 };
+
+  for (const { caseData, evidence, reservation, outcome } of cases) {
+    const before = scoreCase(caseData, { evidence, reservation }, baselineVersion);
+    const after = scoreCase(caseData, { evidence, reservation }, candidate);
+
+    baselineResults.push({ recommendation: before.recommendation, confidenceScore: before.confidenceScore, outcome });
+    candidateResults.push({ recommendation: after.recommendation, confidenceScore: after.confidenceScore, outcome });
+
+    const rankBefore = RECOMMENDATIONS.indexOf(before.recommendation);
+    const rankAfter = RECOMMENDATIONS.indexOf(after.recommendation);
+    const moved = rankBefore !== rankAfter;
+    if (!moved) changes.unchanged++;
+    else if (rankAfter < rankBefore) changes.upgraded++;
+    else changes.downgraded++;
+
+    // Attribute score changes to the rules whose contribution differs
+    const pointsBefore = _pointsByRule(before.appliedRules);
+    const pointsAfter = _pointsByRule(after.appliedRules);
+    const labels = Object.fromEntries(
+      [...before.appliedRules, ...after.appliedRules].map(r => [r.rule, r.label])
+    );
+    const changedRules = [];
+
+    for (const rule of new Set([...Object.keys(pointsBefore), ...Object.keys(pointsAfter)])) {
+      const delta = (pointsAfter[rule] || 0) - (pointsBefore[rule] || 0);
+      if (delta === 0) continue;
+
+      changedRules.push({ rule, delta });
+      const impact = ruleImpact[rule] || (ruleImpact[rule] = {
+        rule, label: labels[rule], casesAffected: 0, casesMoved: 0, totalPointDelta: 0
+      });
+      impact.casesAffected++;
+      impact.totalPointDelta += delta;
+      if (moved) impact.casesMoved++;
+    }
+
+    if (moved && movedCases.length < MAX_MOVED_CASES) {
+      movedCases.push({
+        id: caseData.id,
+        caseNumber: caseData.caseNumber,
+        outcome,
+        before: { confidenceScore: before.confidenceScore, recommendation: before.recommendation },
+        after: { confidenceScore: after.confidenceScore, recommendation: after.recommendation },
+        changedRules
+      });
+    }
+  }
+
+  logger.info(`Scoring backtest: ${cases.length} resolved cases, v${baselineVersion.version} vs ${candidate.version}, ${changes.upgraded + changes.downgraded} moved`);
+
+  return {
+    cases: {
+      total: cases.length,
+      won: cases.filter(c => c.outcome === 'WON').length,
+      lost: cases.filter(c => c.outcome === 'LOST').length
+    },
+    baseline: { version: baselineVersion.version, ..._summarize(baselineResults) },
+    candidate: { version: candidate.version, ..._summarize(candidateResults) },
+    changes,
+    ruleImpact: Object.values(ruleImpact).sort((a, b) =>
+      b.casesMoved - a.casesMoved || Math.abs(b.totalPointDelta) - Math.abs(a.totalPointDelta)
+    ),
+    movedCases,
+    ...(isDemo && { isDemo: true })
+  };
+}
+
+module.exports = {
+  RECOMMENDATIONS,
+  runBacktest
+};
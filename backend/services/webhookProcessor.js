@@ -0,0 +1,402 @@
+/**
+ * DisputeAI - Webhook Processor
+ * Shared receive/process path for payment processor dispute webhooks.
+ *
+ * Every delivery is:
+ *   1. Parsed and signature-verified by the provider's parser
+ *   2. Recorded as a WebhookEvent (raw body + headers) keyed on the
+ *      provider's event ID — redeliveries of a processed event are skipped
+ *   3. Passed to the dispute intake pipeline
+ *   4. Marked processed, or stamped with the error message
+ *
+ * Stored events can be replayed through the same parser and intake path
+ * without asking the processor to resend.
+ */
+
+const crypto = require('crypto');
+const { prisma, isDatabaseUnavailable } = require('../config/database');
+const { ingestDispute, resolveProvider } = require('./disputeIntake');
+const StripeDisputeAdapter = require('./disputes/StripeDisputeAdapter');
+const AdyenDisputeAdapter = require('./disputes/AdyenDisputeAdapter');
+const logger = require('../utils/logger');
+
+// Headers worth keeping for replay and debugging (never auth/cookies)
+const STORED_HEADERS = [
+  'content-type',
+  'user-agent',
+  'stripe-signature',
+  'x-shift4-signature',
+  'x-webhook-signature',
+  'x-pms-signature',
+  'x-request-id'
+];
+
+// Shift4 dispute status -> DisputeAI internal status
+const SHIFT4_STATUS_MAP = {
+  'OPEN': 'PENDING',
+  'NEEDS_RESPONSE': 'PENDING',
+  'WARNING_NEEDS_RESPONSE': 'PENDING',
+  'UNDER_REVIEW': 'SUBMITTED',
+  'WARNING_UNDER_REVIEW': 'IN_REVIEW',
+  'WON': 'WON',
+  'LOST': 'LOST',
+  'CLOSED': 'CANCELLED'
+};
+
+const SHIFT4_DISPUTE_EVENTS = [
+  'DISPUTE_CREATED',
+  'DISPUTE_UPDATED',
+  'DISPUTE_WON',
+  'DISPUTE_LOST',
+  'DISPUTE_EVIDENCE_REQUIRED',
+  'charge.dispute.created',
+  'charge.dispute.updated',
+  'charge.dispute.closed'
+];
+
+// Demo mode dedupe (no database): recently seen provider event IDs
+const demoSeenEvents = new Set();
+const DEMO_SEEN_LIMIT = 500;
+
+// =============================================================================
+// PROVIDER PARSERS
+// Each returns { events: [{ externalId, eventType, payload, signature, dispute }] }
+// and throws an error with code INVALID_SIGNATURE when verification fails, or
+// SECRET_NOT_CONFIGURED when there is no secret to verify against.
+// =============================================================================
+
+const PARSERS = {
+  stripe(headers, rawBody, { verify }) {
+    const adapter = new StripeDisputeAdapter();
+    const parsed = _wrapSignatureError(() => adapter.parseWebhookPayload(rawBody, headers, { verify }));
+
+    return {
+      events: [{
+        externalId: parsed.eventId || null,
+        eventType: parsed.rawEventType,
+        payload: parsed.rawData,
+        signature: headers['stripe-signature'] || null,
+        dispute: parsed.dispute
+      }]
+    };
+  },
+
+  adyen(headers, rawBody, { verify }) {
+    const adapter = new AdyenDisputeAdapter();
+    const parsed = _wrapSignatureError(() => adapter.parseWebhookPayload(rawBody, headers, { verify }));
+
+    return {
+      events: parsed.items.map(({ eventCode, eventId, isDispute, dispute, item }) => ({
+        externalId: eventId,
+        eventType: eventCode,
+        payload: item,
+        signature: item.additionalData?.hmacSignature || null,
+        dispute: isDispute ? dispute : null
+      }))
+    };
+  },
+
+  shift4(headers, rawBody, { verify }) {
+    const signature = headers['x-shift4-signature'] || headers['x-webhook-signature'];
+    const webhookSecret = process.env.SHIFT4_WEBHOOK_SECRET;
+
+    if (verify && !webhookSecret) {
+      logger.warn('Shift4 webhook refused: SHIFT4_WEBHOOK_SECRET not configured');
+      const err = new Error('Webhook signing secret not configured');
+      err.code = 'SECRET_NOT_CONFIGURED';
+      throw err;
+    }
+
+    if (verify && !_hexSignatureMatches(rawBody, signature, webhookSecret)) {
+      logger.warn('Shift4 webhook signature mismatch');
+      const err = new Error('Invalid signature');
+      err.code = 'INVALID_SIGNATURE';
+      throw err;
+    }
+
+    const event = JSON.parse(rawBody);
+    const eventType = event.type || event.eventType;
+    let dispute = null;
+
+    if (SHIFT4_DISPUTE_EVENTS.includes(eventType)) {
+      dispute = normalizeShift4Dispute(event);
+      if (eventType === 'DISPUTE_WON') dispute.status = 'WON';
+      if (eventType === 'DISPUTE_LOST') dispute.status = 'LOST';
+    }
+
+    return {
+      events: [{
+        externalId: event.id || (dispute ? `${dispute.disputeId}:${eventType}:${event.created || ''}` : null),
+        eventType,
+        payload: event,
+        signature: signature || null,
+        dispute
+      }]
+    };
+  }
+};
+
+/**
+ * Normalize a Shift4 dispute event into the adapter dispute shape.
+ *
+ * @param {Object} event - Shift4 webhook event
+ * @returns {Object} Normalized dispute
+ */
+function normalizeShift4Dispute(event) {
+  const data = event.data || event;
+  const charge = data.charge || {};
+  const card = charge.card || data.card || {};
+  const customer = data.customer || charge.customer || {};
+  const status = String(data.status || '').toUpperCase();
+  const toIso = (value) => {
+    if (!value) return null;
+    return typeof value === 'number' ? new Date(value * 1000).toISOString() : new Date(value).toISOString();
+  };
+
+  return {
+    disputeId: data.id || event.disputeId,
+    amount: (data.amount || 0) / 100,
+    currency: (data.currency || 'USD').toUpperCase(),
+    cardLastFour: card.last4 || card.lastFour || '',
+    cardBrand: (card.brand || '').toUpperCase() || null,
+    guestName: customer.name || card.cardholderName || '',
+    guestEmail: customer.email || null,
+    reasonCode: data.reasonCode || data.reason || 'UNKNOWN',
+    reasonDescription: data.reasonDescription || (data.reason ? String(data.reason).replace(/_/g, ' ').toLowerCase() : null),
+    disputeDate: toIso(data.created) || new Date().toISOString(),
+    dueDate: toIso(data.evidenceDueBy || data.dueDate),
+    status: SHIFT4_STATUS_MAP[status] || 'PENDING',
+    portalStatus: data.status || null,
+    transactionId: charge.id || data.chargeId || '',
+    transactionDate: toIso(charge.created),
+    propertyId: data.metadata?.propertyId || charge.metadata?.propertyId || null,
+    portalType: 'SHIFT4',
+    rawData: data
+  };
+}
+
+// =============================================================================
+// RECEIVE + PROCESS
+// =============================================================================
+
+/**
+ * Handle a webhook delivery for a provider.
+ *
+ * @param {string} source - Provider key (stripe, adyen, shift4)
+ * @param {Object} headers - Request headers
+ * @param {string|Buffer|Object} body - Request body as received
+ * @returns {Promise<Object>} { eventType, results: [{ externalId, eventType, action, caseNumber, duplicate }] }
+ */
+async function handleWebhook(source, headers, body) {
+  const rawBody = _toRawString(body);
+  const { events } = PARSERS[source](headers, rawBody, { verify: true });
+
+  const results = [];
+  for (const event of events) {
+    const record = await _recordEvent(source, event, headers, rawBody);
+
+    if (record.duplicate) {
+      logger.info(`Webhook ${source} ${event.externalId} already processed, skipping redelivery`);
+      results.push({ externalId: event.externalId, eventType: event.eventType, duplicate: true });
+      continue;
+    }
+
+    results.push(await _processEvent(source, event, record.id));
+  }
+
+  return { eventType: events[0]?.eventType, results };
+}
+
+/**
+ * Replay a stored WebhookEvent through the same parser and intake path.
+ * Signatures are not re-checked: the event was verified when first received,
+ * and timestamped signatures (Stripe) expire.
+ *
+ * @param {string} webhookEventId
+ * @returns {Promise<Object>} { externalId, eventType, action, caseNumber, error? }
+ */
+async function replayWebhookEvent(webhookEventId) {
+  const stored = await prisma.webhookEvent.findUnique({
+    where: { id: webhookEventId },
+    include: { provider: { select: { name: true } } }
+  });
+
+  if (!stored) {
+    const err = new Error('Webhook event not found');
+    err.code = 'NOT_FOUND';
+    throw err;
+  }
+
+  const source = stored.provider.name.toLowerCase();
+  if (!PARSERS[source]) {
+    const err = new Error(`Replay not supported for provider ${stored.provider.name}`);
+    err.code = 'UNSUPPORTED';
+    throw err;
+  }
+
+  const rawBody = stored.rawBody || JSON.stringify(stored.payload);
+  const { events } = PARSERS[source](stored.headers || {}, rawBody, { verify: false });
+  const event = events.find((e) => e.externalId === stored.externalId) || events[0];
+
+  await prisma.webhookEvent.update({
+    where: { id: stored.id },
+    data: { replayedAt: new Date() }
+  });
+
+  logger.info(`Replaying webhook event ${stored.id} (${source} ${stored.eventType})`);
+
+  return _processEvent(source, event, stored.id);
+}
+
+/**
+ * Run intake for one parsed event and stamp the outcome on its WebhookEvent.
+ */
+async function _processEvent(source, event, webhookEventId) {
+  const outcome = { externalId: event.externalId, eventType: event.eventType, webhookEventId };
+
+  try {
+    if (event.dispute) {
+      const result = await ingestDispute(source, event.dispute, { eventType: event.eventType });
+      outcome.action = result.action;
+      outcome.caseNumber = result.caseNumber;
+      outcome.chargebackId = result.chargebackId;
+      if (result.isDemo) outcome.isDemo = true;
+
+      // Held for triage: left unprocessed so it can be replayed
+      if (result.action === 'triage') {
+        outcome.message = result.message;
+        await _markEvent(webhookEventId, result.message);
+        return outcome;
+      }
+    } else {
+      logger.info(`Unhandled ${source} event type: ${event.eventType}`);
+      outcome.action = 'ignored';
+    }
+
+    await _markEvent(webhookEventId, null);
+    return outcome;
+  } catch (error) {
+    logger.error(`Webhook ${source} ${event.eventType} processing error:`, error.message);
+    await _markEvent(webhookEventId, error.message);
+    return { ...outcome, action: 'failed', error: error.message };
+  }
+}
+
+/**
+ * Store the delivery, or detect that it was already processed.
+ * A previously failed delivery is reprocessed in place.
+ */
+async function _recordEvent(source, event, headers, rawBody) {
+  try {
+    const provider = await resolveProvider(source);
+
+    if (event.externalId) {
+      const existing = await prisma.webhookEvent.findUnique({
+        where: { providerId_externalId: { providerId: provider.id, externalId: event.externalId } }
+      });
+
+      if (existing) {
+        if (existing.processed) return { id: existing.id, duplicate: true };
+
+        await prisma.webhookEvent.update({
+          where: { id: existing.id },
+          data: { attempts: { increment: 1 }, headers: pickStoredHeaders(headers), rawBody }
+        });
+        return { id: existing.id, duplicate: false };
+      }
+    }
+
+    const created = await prisma.webhookEvent.create({
+      data: {
+        providerId: provider.id,
+        externalId: event.externalId || null,
+        eventType: event.eventType || 'unknown',
+        payload: event.payload || {},
+        headers: pickStoredHeaders(headers),
+        rawBody,
+        signature: event.signature,
+        attempts: 1
+      }
+    });
+
+    return { id: created.id, duplicate: false };
+  } catch (error) {
+    // Concurrent redelivery won the unique constraint race
+    if (error.code === 'P2002') return { id: null, duplicate: true };
+    if (!isDatabaseUnavailable(error)) throw error;
+
+    logger.warn(`Record webhook event: database unavailable, using in-memory dedupe for ${source}`);
+    if (event.externalId) {
+      const key = `${source}:${event.externalId}`;
+      if (demoSeenEvents.has(key)) return { id: null, duplicate: true };
+      demoSeenEvents.add(key);
+      if (demoSeenEvents.size > DEMO_SEEN_LIMIT) {
+        demoSeenEvents.delete(demoSeenEvents.values().next().value);
+      }
+    }
+    return { id: null, duplicate: false };
+  }
+}
+
+async function _markEvent(webhookEventId, errorMessage) {
+  if (!webhookEventId) return;
+
+  try {
+    await prisma.webhookEvent.update({
+      where: { id: webhookEventId },
+      data: errorMessage
+        ? { processed: false, errorMessage }
+        : { processed: true, processedAt: new Date(), errorMessage: null }
+    });
+  } catch (error) {
+    logger.warn(`Mark webhook event ${webhookEventId}: ${error.message}`);
+  }
+}
+
+// =============================================================================
+// HELPERS
+// =============================================================================
+
+function _toRawString(body) {
+  if (Buffer.isBuffer(body)) return body.toString('utf-8');
+  if (typeof body === 'string') return body;
+  return JSON.stringify(body);
+}
+
+/**
+ * The STORED_HEADERS subset of a request's headers, for anything that keeps
+ * a delivery around (WebhookEvent rows, queued PMS webhook jobs).
+ *
+ * @param {Object} [headers] - Request headers (lower-cased, as Express gives them)
+ * @returns {Object}
+ */
+function pickStoredHeaders(headers = {}) {
+  return STORED_HEADERS.reduce((acc, name) => {
+    if (headers[name] !== undefined) acc[name] = headers[name];
+    return acc;
+  }, {});
+}
+
+function _hexSignatureMatches(payload, signature, secret) {
+  const expected = crypto.createHmac('sha256', secret).update(payload).digest('hex');
+  const provided = String(signature || '').replace(/^sha256=/i, '');
+  return provided.length === expected.length &&
+    crypto.timingSafeEqual(Buffer.from(provided), Buffer.from(expected));
+}
+
+function _wrapSignatureError(fn) {
+  try {
+    return fn();
+  } catch (error) {
+    if (error.message === 'Invalid webhook signature') error.code = 'INVALID_SIGNATURE';
+    if (error.message === 'Webhook signing secret not configured') error.code = 'SECRET_NOT_CONFIGURED';
+    throw error;
+  }
+}
+
+module.exports = {
+  handleWebhook,
+  replayWebhookEvent,
+  normalizeShift4Dispute,
+  pickStoredHeaders
+};
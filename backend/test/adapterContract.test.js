@@ -0,0 +1,38 @@
+/**
+ * Every registered PMS and dispute adapter against the contract harness
+ * (test/contracts/adapterContract.js). Every adapter must pass in full.
+ */
+
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'error';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { runAllContracts, runDisputeContract } = require('./contracts/adapterContract');
+
+function _failures(results) {
+  return results
+    .filter((r) => r.status === 'fail')
+    .map((r) => `${r.type} (${r.status}): ${r.checks.filter((c) => !c.ok).map((c) => `${c.name}: ${c.problems.join('; ')}`).join(' | ')}`);
+}
+
+describe('adapter contract', () => {
+  it('holds for every registered adapter', async () => {
+    const summary = await runAllContracts();
+
+    assert.deepEqual(_failures(summary.results), []);
+    assert.equal(summary.ok, true);
+  });
+
+  // disputeInboundWorker calls parseWebhookPayload(payload, headers) and switches on event.type
+  for (const type of ['VISA_VROL', 'FISERV', 'RISKIFIED']) {
+    it(`${type} parses webhooks the way disputeInboundWorker calls it`, async () => {
+      const result = await runDisputeContract(type);
+      const webhook = result.checks.find((c) => c.name === 'parseWebhookPayload');
+
+      assert.ok(webhook, 'fixture has no webhook payload');
+      assert.deepEqual(webhook.problems, []);
+      assert.equal(result.status, 'pass');
+    });
+  }
+});
@@ -0,0 +1,169 @@
+/**
+ * AmexMerchantAdapter against the local Amex mock
+ * (test/mocks/amexMock.js) and its seeded inquiries and
+ * chargebacks, with MAC-signed requests verified by the mock.
+ */
+
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'error';
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+const AmexMerchantAdapter = require('../services/disputes/AmexMerchantAdapter');
+const { startAmexMock } = require('./mocks/amexMock');
+
+const CREDENTIALS = { clientId: 'amex-test-client', clientSecret: 'amex-test-secret' };
+const FOLIO = { fileName: 'folio.pdf', mimeType: 'application/pdf', data: Buffer.from('%PDF-1.4 folio') };
+
+describe('AmexMerchantAdapter', () => {
+  let mock;
+  let adapter;
+
+  before(async () => {
+    mock = await startAmexMock(CREDENTIALS);
+    adapter = new AmexMerchantAdapter({ baseUrl: mock.url, credentials: CREDENTIALS });
+  });
+
+  after(() => mock.close());
+
+  describe('authentication', () => {
+    it('signs requests the mock accepts', async () => {
+      assert.equal((await adapter.healthCheck()).healthy, true);
+    });
+
+    it('is rejected with the wrong MAC key', async () => {
+      const stranger = new AmexMerchantAdapter({ baseUrl: mock.url, credentials: { ...CREDENTIALS, clientSecret: 'not-the-secret' } });
+      await assert.rejects(stranger.getCase('AX-CB-6001', 'chargeback'), (error) => error.response?.status === 401);
+    });
+  });
+
+  describe('fetchDisputes', () => {
+    it('returns inquiries before chargebacks, tagged with their phase', async () => {
+      const result = await adapter.fetchDisputes({ since: new Date(0) });
+
+      assert.equal(result.totalCount, 6);
+      assert.deepEqual(result.disputes.map((record) => record.caseNumber), [
+        'AX-INQ-5001', 'AX-INQ-5002', 'AX-INQ-5003', 'AX-CB-6001', 'AX-CB-6002', 'AX-CB-6003'
+      ]);
+      assert.deepEqual([...new Set(result.disputes.map((record) => record.caseType))], ['INQUIRY', 'CHARGEBACK']);
+    });
+
+    it('normalizes inquiries as pre-chargebacks with the Amex reply-by date', async () => {
+      const inquiry = await adapter.getCase('AX-INQ-5001', 'inquiry');
+
+      assert.equal(inquiry.disputeStage, 'inquiry');
+      assert.equal(inquiry.isPreChargeback, true);
+      assert.equal(inquiry.cardBrand, 'AMEX');
+      assert.equal(inquiry.amount, 318.4);
+      assert.equal(inquiry.dueDate, mock.state.inquiries[0].replyByDate);
+      assert.equal(inquiry.confirmationNumber, 'F-88213');
+      assert.deepEqual(inquiry.requestedDocuments, ['FOLIO', 'SIGNED_REGISTRATION_CARD']);
+    });
+
+    it('falls back to the phase window when Amex sends no reply-by date', async () => {
+      const inquiry = await adapter.getCase('AX-INQ-5002', 'inquiry');
+      const received = mock.state.inquiries[1].caseReceivedDate;
+
+      assert.equal(inquiry.dueDate, adapter.calculatePhaseDeadline('inquiry', received));
+    });
+
+    it('links a converted chargeback to its inquiry', async () => {
+      const chargeback = await adapter.getCase('AX-CB-6002');
+
+      assert.equal(chargeback.disputeStage, 'chargeback');
+      assert.equal(chargeback.reasonCode, 'R13');
+      assert.equal(chargeback.relatedDisputeId, 'AX-INQ-5003');
+    });
+
+    it('maps resolved cases to their outcome', async () => {
+      const status = await adapter.getDisputeStatus('AX-CB-6003', 'chargeback');
+
+      assert.equal(status.status, 'WON');
+      assert.equal(status.outcome, 'REVERSED');
+    });
+  });
+
+  describe('responses', () => {
+    it('answers an inquiry with documents', async () => {
+      const result = await adapter.submitEvidence('AX-INQ-5001', { files: [FOLIO], metadata: { notes: 'Folio attached.', disputeStage: 'inquiry' } });
+
+      assert.equal(result.stage, 'inquiry');
+      assert.equal(result.documentIds.length, 1);
+      assert.equal(mock.state.inquiries[0].status, 'RESPONDED');
+
+      const reply = mock.responses.find((r) => r.caseNumber === 'AX-INQ-5001');
+      assert.equal(reply.responseType, 'SUPPORTING_DOCUMENTS');
+      assert.deepEqual(reply.documentIds, result.documentIds);
+    });
+
+    it('requires a credit amount for credit replies', async () => {
+      await assert.rejects(adapter.respondToInquiry('AX-INQ-5002', { responseType: 'CREDIT_ISSUED' }), /requires creditAmount/);
+    });
+
+    it('contests a chargeback, looking up its phase when not given', async () => {
+      const result = await adapter.submitEvidence('AX-CB-6001', { files: [FOLIO], metadata: { notes: 'Guest checked in.' } });
+
+      assert.equal(result.stage, 'chargeback');
+      assert.equal(mock.responses.find((r) => r.caseNumber === 'AX-CB-6001').action, 'CONTEST');
+    });
+
+    it('refuses to contest a chargeback without documents', async () => {
+      await assert.rejects(adapter.contestChargeback('AX-CB-6002', {}), /requires at least one document/);
+    });
+
+    it('rejects a response on a closed case', async () => {
+      await assert.rejects(adapter.contestChargeback('AX-CB-6003', { files: [FOLIO] }), (error) => error.response?.status === 409);
+    });
+
+    it('accepts liability on an inquiry', async () => {
+      const result = await adapter.acceptDispute('AX-INQ-5002');
+
+      assert.equal(result.accepted, true);
+      assert.equal(mock.state.inquiries[1].status, 'ACCEPTED');
+    });
+  });
+
+  describe('retries', () => {
+    it('sends the same idempotency key on every attempt', async () => {
+      const retrying = new AmexMerchantAdapter({ baseUrl: mock.url, credentials: CREDENTIALS, retryBaseDelayMs: 1 });
+      const post = retrying.httpClient.post.bind(retrying.httpClient);
+      const keys = [];
+      retrying.httpClient.post = (url, body, config) => {
+        if (!url.endsWith('/response')) return post(url, body, config);
+        keys.push(body.idempotencyKey);
+        if (keys.length < 3) return Promise.reject(Object.assign(new Error('socket hang up'), { code: 'ECONNRESET' }));
+        return post(url, body, config);
+      };
+
+      await retrying.contestChargeback('AX-CB-6002', { files: [FOLIO], memo: 'Folio attached.' });
+
+      assert.equal(keys.length, 3);
+      assert.ok(keys[0]);
+      assert.ok(keys.every((key) => key === keys[0]));
+    });
+  });
+
+  describe('inquiry conversion', () => {
+    it('picks up an unanswered inquiry as an R13 chargeback on the next sync', async () => {
+      const since = new Date();
+      const converted = mock.convertInquiry('AX-INQ-5001');
+      const updates = await adapter.getUpdates(since);
+
+      const inquiry = updates.find((d) => d.disputeId === 'AX-INQ-5001');
+      const chargeback = updates.find((d) => d.disputeId === converted.caseNumber);
+      assert.equal(inquiry.status, 'LOST');
+      assert.equal(chargeback.disputeStage, 'chargeback');
+      assert.equal(chargeback.reasonCode, 'R13');
+      assert.equal(chargeback.relatedDisputeId, 'AX-INQ-5001');
+    });
+
+    it('parses the chargeback notification for a seeded case', () => {
+      const record = mock.state.chargebacks.find((c) => c.caseNumber === 'AX-CB-6002');
+      const event = adapter.parseWebhookPayload(JSON.stringify({ notificationId: 'NTF-1', notificationType: 'CHARGEBACK_CREATED', case: record }));
+
+      assert.equal(event.type, 'dispute.created');
+      assert.equal(event.eventId, 'NTF-1');
+      assert.equal(adapter.normalizeDispute(event.data).relatedDisputeId, 'AX-INQ-5003');
+    });
+  });
+});
@@ -0,0 +1,213 @@
+/**
+ * Dashboard analytics and trends (services/analytics.js): query filters, the
+ * totals and breakdowns reduced from case groups, the caller's property
+ * scope, and monthly trends computed from cases. The database is replaced
+ * in the require cache with in-memory tables (see support/memoryPrisma.js).
+ */
+
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'error';
+
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { isDatabaseUnavailable } = require('../config/database');
+const { memoryModel } = require('./support/memoryPrisma');
+
+let chargebacks;
+
+function _stub(modulePath, exports) {
+  const file = require.resolve(modulePath);
+  require.cache[file] = { id: file, filename: file, loaded: true, exports };
+}
+
+_stub('../config/database', {
+  prisma: {
+    chargeback: memoryModel(() => chargebacks),
+    evidence: memoryModel(() => chargebacks.flatMap((c) => c.evidence.map((e) => ({ ...e, chargeback: c })))),
+    property: memoryModel(() => [{ id: 'prop-1', name: 'Harbor Hotel' }, { id: 'prop-2', name: 'Beach Resort' }]),
+    analyticsSnapshot: memoryModel(() => [])
+  },
+  isDatabaseUnavailable
+});
+
+const { parseAnalyticsFilters, getDashboard, getTrends, getDemoDashboard } = require('../services/analytics');
+
+const NOW = new Date('2026-09-30T12:00:00Z');
+
+function _case(id, overrides = {}) {
+  return {
+    id,
+    caseNumber: `CB-2026-${id}`,
+    guestName: 'Dana Whitfield',
+    propertyId: 'prop-1',
+    cardBrand: 'Visa',
+    reasonCode: '10.4',
+    status: 'PENDING',
+    liabilityReason: null,
+    amount: 100,
+    confidenceScore: null,
+    dueDate: null,
+    resolvedAt: null,
+    evidence: [],
+    ...overrides,
+    createdAt: new Date(overrides.createdAt || '2026-09-01T10:00:00Z'),
+    ...(overrides.resolvedAt && { resolvedAt: new Date(overrides.resolvedAt) })
+  };
+}
+
+/** Parse query filters, failing the test on errors */
+function _filters(query) {
+  const { filters, errors } = parseAnalyticsFilters(query);
+  assert.deepEqual(errors, []);
+  return filters;
+}
+
+beforeEach(() => {
+  chargebacks = [
+    _case('0001', { status: 'WON', amount: 500, createdAt: '2026-09-10T10:00:00Z', resolvedAt: '2026-09-20T10:00:00Z', evidence: [{ type: 'FOLIO' }] }),
+    _case('0002', { cardBrand: 'VISA', reasonCode: '13.1', status: 'LOST', amount: 300, createdAt: '2026-09-12T10:00:00Z', resolvedAt: '2026-09-25T10:00:00Z' }),
+    _case('0003', { cardBrand: 'Master Card', reasonCode: '4853', status: 'LOST', liabilityReason: 'AMOUNT_TOO_SMALL', amount: 40, createdAt: '2026-09-15T22:00:00Z', resolvedAt: '2026-09-16T10:00:00Z' }),
+    _case('0004', { propertyId: 'prop-2', cardBrand: 'MC', reasonCode: '4853', amount: 200, createdAt: '2026-09-28T10:00:00Z', dueDate: new Date('2026-10-02T00:00:00Z'), evidence: [{ type: 'ID_SCAN' }, { type: 'FOLIO' }] }),
+    _case('0005', { propertyId: 'prop-2', cardBrand: 'AMEX', reasonCode: 'C08', status: 'IN_REVIEW', amount: 100, createdAt: '2026-08-20T10:00:00Z', dueDate: new Date('2026-10-20T00:00:00Z') }),
+    _case('0006', { status: 'WON', amount: 250, createdAt: '2026-07-05T10:00:00Z', resolvedAt: '2026-08-02T10:00:00Z' })
+  ];
+});
+
+// =============================================================================
+// FILTERS
+// =============================================================================
+
+describe('parseAnalyticsFilters', () => {
+  it('reads dates as whole UTC days and normalizes network and reason code', () => {
+    const filters = _filters({ dateFrom: '2026-09-01', dateTo: '2026-09-15', network: 'mc', reasonCode: ' c08 ', months: '3' });
+
+    assert.equal(filters.dateFrom.toISOString(), '2026-09-01T00:00:00.000Z');
+    assert.equal(filters.dateTo.toISOString(), '2026-09-15T23:59:59.999Z');
+    assert.equal(filters.network, 'MASTERCARD');
+    assert.equal(filters.reasonCode, 'C08');
+    assert.equal(filters.months, 3);
+  });
+
+  it('reports each invalid filter', () => {
+    const { errors } = parseAnalyticsFilters({ dateFrom: 'last week', network: 'JCB', months: '36' });
+    const reversed = parseAnalyticsFilters({ dateFrom: '2026-09-15', dateTo: '2026-09-01' });
+
+    assert.deepEqual(errors.map((e) => e.path), ['dateFrom', 'network', 'months']);
+    assert.deepEqual(reversed.errors.map((e) => e.code), ['invalid_range']);
+  });
+});
+
+// =============================================================================
+// DASHBOARD
+// =============================================================================
+
+describe('getDashboard', () => {
+  it('reports fought win rate with accepted liability apart', async () => {
+    const dashboard = await getDashboard({}, {}, { now: NOW });
+
+    assert.equal(dashboard.summary.totalCases, 6);
+    assert.equal(dashboard.summary.totalAmount, 1390);
+    assert.equal(dashboard.summary.recoveredAmount, 750);
+    // 2 won of 3 fought; the conceded case is not a loss on the record
+    assert.equal(dashboard.summary.winRate, 66.7);
+    assert.deepEqual(dashboard.outcomes, { won: 2, lostAfterFighting: 1, acceptedLiability: 1 });
+    assert.deepEqual(dashboard.acceptedLiability, { count: 1, amount: 40, byReason: { AMOUNT_TOO_SMALL: { count: 1, amount: 40 } } });
+    assert.deepEqual(dashboard.statusBreakdown.LOST, { count: 2, amount: 340 });
+  });
+
+  it('breaks cases down by property, network and reason code', async () => {
+    const { breakdowns } = await getDashboard({}, {}, { now: NOW });
+
+    assert.deepEqual(breakdowns.byProperty.map((b) => [b.label, b.count]), [['Harbor Hotel', 4], ['Beach Resort', 2]]);
+    // Card brand spellings are merged into their network
+    assert.deepEqual(breakdowns.byNetwork.map((b) => [b.key, b.count, b.amount]), [['VISA', 3, 1050], ['MASTERCARD', 2, 240], ['AMEX', 1, 100]]);
+    assert.equal(breakdowns.byNetwork[0].winRate, 66.7);
+    assert.deepEqual(breakdowns.byReasonCode[0], {
+      key: '10.4',
+      label: 'Other Fraud - Card-Absent Environment',
+      count: 2,
+      amount: 750,
+      won: 2,
+      lostAfterFighting: 0,
+      acceptedLiability: 0,
+      recoveredAmount: 750,
+      winRate: 100
+    });
+  });
+
+  it('counts urgent cases, recent cases, evidence and the 30-day trend', async () => {
+    const dashboard = await getDashboard({}, {}, { now: NOW });
+
+    assert.equal(dashboard.summary.urgentCases, 1);
+    // 4 cases for $1,040 in the last 30 days against 1 for $100 before
+    assert.deepEqual(dashboard.summary.trends, { cases: 300, amount: 940 });
+    assert.deepEqual(dashboard.recentCases.map((c) => c.id), ['0004', '0003', '0002', '0001', '0005']);
+    assert.deepEqual(dashboard.evidenceSummary, { total: 3, byType: { FOLIO: 2, ID_SCAN: 1 }, casesWithEvidence: 2 });
+  });
+
+  it('narrows by opened date, with the end date inclusive', async () => {
+    const dashboard = await getDashboard(_filters({ dateFrom: '2026-09-01', dateTo: '2026-09-15' }), {}, { now: NOW });
+
+    assert.equal(dashboard.summary.totalCases, 3);
+    assert.deepEqual(dashboard.summary.trends, { cases: 200, amount: 740 });
+    assert.equal(dashboard.filters.dateTo, '2026-09-15T23:59:59.999Z');
+  });
+
+  it('matches every stored spelling of a network and reason codes in any case', async () => {
+    const mastercard = await getDashboard(_filters({ network: 'MASTERCARD' }), {}, { now: NOW });
+    const amex = await getDashboard(_filters({ reasonCode: 'c08' }), {}, { now: NOW });
+
+    assert.equal(mastercard.summary.totalCases, 2);
+    assert.equal(mastercard.filters.network, 'MASTERCARD');
+    assert.equal(amex.summary.totalCases, 1);
+  });
+
+  it("keeps the caller's property scope over a requested property", async () => {
+    const dashboard = await getDashboard(_filters({ propertyId: 'prop-2' }), { propertyId: 'prop-1' }, { now: NOW });
+
+    assert.equal(dashboard.summary.totalCases, 4);
+    assert.deepEqual(dashboard.breakdowns.byProperty.map((b) => b.key), ['prop-1']);
+  });
+});
+
+// =============================================================================
+// TRENDS
+// =============================================================================
+
+describe('getTrends', () => {
+  it('buckets new cases by month opened and outcomes by month resolved', async () => {
+    const { trends, period, source } = await getTrends(_filters({ months: '3' }), {}, { now: NOW });
+
+    assert.equal(source, 'cases');
+    assert.equal(period, '3m');
+    assert.deepEqual(trends, [
+      { key: '2026-07', month: 'Jul 2026', cases: 1, won: 0, lost: 0, acceptedLiability: 0, recovered: 0 },
+      { key: '2026-08', month: 'Aug 2026', cases: 1, won: 1, lost: 0, acceptedLiability: 0, recovered: 250 },
+      { key: '2026-09', month: 'Sep 2026', cases: 4, won: 1, lost: 1, acceptedLiability: 1, recovered: 500 }
+    ]);
+  });
+
+  it('covers the months of a custom date range', async () => {
+    const { trends, period } = await getTrends(_filters({ dateFrom: '2026-08-01', dateTo: '2026-09-10' }), { propertyId: 'prop-1' }, { now: NOW });
+
+    assert.equal(period, 'custom');
+    assert.deepEqual(trends.map((t) => [t.key, t.cases, t.won]), [['2026-08', 0, 1], ['2026-09', 1, 0]]);
+  });
+});
+
+// =============================================================================
+// DEMO MODE
+// =============================================================================
+
+describe('getDemoDashboard', () => {
+  it('runs the demo cases through the same reduction and filters', () => {
+    const all = getDemoDashboard();
+    const amex = getDemoDashboard({ network: 'AMEX' });
+
+    assert.equal(all.summary.totalCases, 24);
+    assert.equal(all.outcomes.acceptedLiability, 1);
+    assert.equal(amex.summary.totalCases, 3);
+    assert.equal(amex.summary.winRate, 100);
+    assert.equal(amex.summary.urgentCases, 0);
+  });
+});
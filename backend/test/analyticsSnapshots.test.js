@@ -0,0 +1,202 @@
+/**
+ * Nightly analytics rollup (services/analyticsSnapshots.js): the backfill
+ * on first run, per-property daily rows, re-runs over the refresh window, and
+ * trends read from snapshots plus the days since the last rollup. The
+ * database is replaced in the require cache with in-memory tables (see
+ * support/memoryPrisma.js).
+ */
+
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'error';
+
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { isDatabaseUnavailable } = require('../config/database');
+const { memoryModel } = require('./support/memoryPrisma');
+
+let chargebacks;
+let properties;
+let snapshots;
+let snapshotError;
+
+function _stub(modulePath, exports) {
+  const file = require.resolve(modulePath);
+  require.cache[file] = { id: file, filename: file, loaded: true, exports };
+}
+
+const snapshotModel = memoryModel(() => snapshots);
+
+_stub('../config/database', {
+  prisma: {
+    chargeback: memoryModel(() => chargebacks),
+    property: memoryModel(() => properties),
+    analyticsSnapshot: {
+      ...snapshotModel,
+      aggregate: async (args) => {
+        if (snapshotError) throw snapshotError;
+        return snapshotModel.aggregate(args);
+      },
+      upsert: async ({ where, create, update }) => {
+        const { date, propertyId } = where.date_propertyId;
+        const existing = snapshots.find((s) => s.date.getTime() === date.getTime() && s.propertyId === propertyId);
+        if (existing) return Object.assign(existing, update);
+        snapshots.push({ ...create });
+        return create;
+      }
+    },
+    $transaction: (operations) => Promise.all(operations)
+  },
+  isDatabaseUnavailable
+});
+
+const { rollupAnalyticsSnapshots, getLatestSnapshotDate } = require('../services/analyticsSnapshots');
+const { getTrends, parseAnalyticsFilters } = require('../services/analytics');
+
+const NOW = new Date('2026-09-04T09:00:00Z');
+
+function _case(id, propertyId, createdAt, overrides = {}) {
+  return {
+    id,
+    propertyId,
+    cardBrand: 'VISA',
+    reasonCode: '10.4',
+    status: 'PENDING',
+    liabilityReason: null,
+    amount: 100,
+    resolvedAt: null,
+    ...overrides,
+    createdAt: new Date(createdAt),
+    ...(overrides.resolvedAt && { resolvedAt: new Date(overrides.resolvedAt) })
+  };
+}
+
+/** The stored snapshot for a day and property */
+function _snapshot(day, propertyId) {
+  return snapshots.find((s) => s.date.toISOString().startsWith(day) && s.propertyId === propertyId);
+}
+
+beforeEach(() => {
+  properties = [
+    { id: 'prop-1', createdAt: new Date('2026-08-01T00:00:00Z') },
+    { id: 'prop-2', createdAt: new Date('2026-09-02T12:00:00Z') }
+  ];
+  chargebacks = [
+    _case('a', 'prop-1', '2026-09-01T10:00:00Z', { status: 'WON', amount: 500, resolvedAt: '2026-09-02T15:00:00Z' }),
+    _case('b', 'prop-1', '2026-09-01T11:00:00Z', { status: 'LOST', amount: 300, resolvedAt: '2026-09-03T10:00:00Z' }),
+    _case('c', 'prop-1', '2026-09-02T09:00:00Z', { status: 'LOST', liabilityReason: 'AMOUNT_TOO_SMALL', amount: 40, resolvedAt: '2026-09-02T10:00:00Z' }),
+    _case('d', 'prop-2', '2026-09-03T08:00:00Z', { amount: 200 }),
+    _case('e', 'prop-1', '2026-09-03T09:00:00Z', { status: 'CANCELLED', amount: 75 })
+  ];
+  snapshots = [];
+  snapshotError = null;
+});
+
+// =============================================================================
+// ROLLUP
+// =============================================================================
+
+describe('rollupAnalyticsSnapshots', () => {
+  it('backfills from the first chargeback through yesterday', async () => {
+    const result = await rollupAnalyticsSnapshots({ now: NOW });
+
+    // prop-2 gets rows from the day it was created
+    assert.deepEqual(result, { from: '2026-09-01', to: '2026-09-03', days: 3, snapshots: 5, backfill: true });
+    assert.equal(_snapshot('2026-09-01', 'prop-2'), undefined);
+    assert.equal((await getLatestSnapshotDate()).toISOString(), '2026-09-03T00:00:00.000Z');
+  });
+
+  it("records each day's activity and what was still unresolved at its end", async () => {
+    await rollupAnalyticsSnapshots({ now: NOW });
+
+    const { date, ...firstDay } = _snapshot('2026-09-01', 'prop-1');
+    assert.equal(date.toISOString(), '2026-09-01T00:00:00.000Z');
+    assert.deepEqual(firstDay, {
+      propertyId: 'prop-1',
+      totalCases: 2,
+      pendingCases: 2,
+      wonCases: 0,
+      lostCases: 0,
+      acceptedCases: 0,
+      totalAmount: 800,
+      recoveredAmt: 0,
+      winRate: null
+    });
+
+    const secondDay = _snapshot('2026-09-02', 'prop-1');
+    assert.deepEqual(
+      [secondDay.totalCases, secondDay.pendingCases, secondDay.wonCases, secondDay.acceptedCases, secondDay.recoveredAmt, secondDay.winRate],
+      [1, 1, 1, 1, 500, 100]
+    );
+
+    // Cancelled cases count as opened but never as unresolved
+    const thirdDay = _snapshot('2026-09-03', 'prop-1');
+    assert.deepEqual([thirdDay.totalCases, thirdDay.pendingCases, thirdDay.lostCases, thirdDay.winRate], [1, 0, 1, 0]);
+    assert.equal(_snapshot('2026-09-03', 'prop-2').pendingCases, 1);
+  });
+
+  it('rewrites the refresh window on later runs without duplicating rows', async () => {
+    await rollupAnalyticsSnapshots({ now: NOW });
+    chargebacks.find((c) => c.id === 'd').status = 'CANCELLED';
+
+    const result = await rollupAnalyticsSnapshots({ now: NOW });
+
+    assert.deepEqual(result, { from: '2026-08-31', to: '2026-09-03', days: 4, snapshots: 6, backfill: false });
+    assert.equal(snapshots.length, 6);
+    assert.equal(_snapshot('2026-09-03', 'prop-2').pendingCases, 0);
+  });
+
+  it('recomputes from a given day', async () => {
+    const result = await rollupAnalyticsSnapshots({ now: NOW, from: '2026-09-02' });
+
+    assert.deepEqual([result.from, result.days, result.snapshots], ['2026-09-02', 2, 4]);
+  });
+
+  it('skips the run without a database', async () => {
+    snapshotError = new Error('Database not available - running in demo mode');
+
+    assert.deepEqual(await rollupAnalyticsSnapshots({ now: NOW }), { skipped: true, reason: 'Database not available' });
+
+    snapshotError = new Error('relation "analytics_snapshots" does not exist');
+    await assert.rejects(rollupAnalyticsSnapshots({ now: NOW }), /does not exist/);
+  });
+});
+
+// =============================================================================
+// TRENDS FROM SNAPSHOTS
+// =============================================================================
+
+describe('getTrends with snapshots', () => {
+  const filters = (query) => parseAnalyticsFilters(query).filters;
+
+  it('reads rolled-up days from snapshots and later days from cases', async () => {
+    await rollupAnalyticsSnapshots({ now: NOW });
+    // Snapshots keep a case counted after it is gone from the table
+    chargebacks = chargebacks.filter((c) => c.id !== 'a');
+    chargebacks.push(_case('f', 'prop-1', '2026-09-04T08:00:00Z'));
+
+    const { trends, source } = await getTrends(filters({ months: '1' }), {}, { now: NOW });
+
+    assert.equal(source, 'snapshots');
+    assert.deepEqual(trends, [{ key: '2026-09', month: 'Sep 2026', cases: 6, won: 1, lost: 1, acceptedLiability: 1, recovered: 500 }]);
+  });
+
+  it('limits snapshots to the property in scope', async () => {
+    await rollupAnalyticsSnapshots({ now: NOW });
+
+    const { trends } = await getTrends(filters({ months: '1' }), { propertyId: 'prop-2' }, { now: NOW });
+
+    assert.equal(trends[0].cases, 1);
+    assert.equal(trends[0].won, 0);
+  });
+
+  it('falls back to cases for network and reason code filters', async () => {
+    await rollupAnalyticsSnapshots({ now: NOW });
+    chargebacks = chargebacks.filter((c) => c.id !== 'a');
+
+    const { trends, source } = await getTrends(filters({ months: '1', network: 'VISA' }), {}, { now: NOW });
+
+    assert.equal(source, 'cases');
+    assert.equal(trends[0].cases, 4);
+    assert.equal(trends[0].won, 0);
+  });
+});
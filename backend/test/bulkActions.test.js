@@ -0,0 +1,264 @@
+/**
+ * Bulk case actions (services/bulkActions.js): parameter checks, which cases
+ * each action skips and why, the per-case results written to job progress and
+ * the demo run. The database, queues, intake pipeline, AI defense config,
+ * packet builder and notifications are replaced in the require cache.
+ */
+
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'error';
+
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { isDatabaseUnavailable } = require('../config/database');
+
+let chargebacks;
+let timeline;
+let notifications;
+let intakeRuns;
+
+function _stub(modulePath, exports) {
+  const file = require.resolve(modulePath);
+  require.cache[file] = { id: file, filename: file, loaded: true, exports };
+}
+
+_stub('../config/database', {
+  prisma: {
+    chargeback: {
+      findFirst: async ({ where }) => {
+        const found = chargebacks.find((c) => c.id === where.id && (where.propertyId === undefined || c.propertyId === where.propertyId));
+        return found ? { ...found, evidence: [] } : null;
+      },
+      update: async ({ where, data }) => {
+        const found = chargebacks.find((c) => c.id === where.id);
+        Object.assign(found, data);
+        return { ...found };
+      }
+    },
+    timelineEvent: {
+      create: async ({ data }) => {
+        timeline.push(data);
+        return data;
+      }
+    },
+    disputeSubmission: {
+      create: async ({ data }) => ({ id: `sub-${data.chargebackId}`, ...data })
+    },
+    integration: {
+      findFirst: async () => null
+    }
+  },
+  isDatabaseUnavailable
+});
+_stub('../services/queue/queueManager', { getQueue: () => ({ add: async () => ({ id: 'queued-1' }) }) });
+_stub('../services/rebuttalPacket', {
+  buildAndStorePacket: async (chargeback) => ({ key: `packets/${chargeback.id}.pdf`, fileName: 'packet.pdf', pageCount: 7, size: 1024, sections: [] })
+});
+_stub('../services/disputeIntake', {
+  runIntakePipeline: async (caseId) => {
+    intakeRuns.push(caseId);
+    return caseId === 'cb-pms-down'
+      ? { success: false, error: 'PMS unreachable' }
+      : { success: true, evidenceCollected: 4, analysis: { confidenceScore: 82 } };
+  }
+});
+_stub('../services/aiDefenseConfig', { getConfig: async () => ({ autoSubmitThreshold: 75 }) });
+_stub('../controllers/notificationsController', {
+  createNotification: async (userId, notification) => {
+    notifications.push({ userId, ...notification });
+  }
+});
+
+const { validateBulkAction, describeBulkJob, runBulkAction } = require('../services/bulkActions');
+
+const USER = { id: 'user-1', email: 'jordan@harborhotel.com', firstName: 'Jordan', lastName: 'Lee', role: 'MANAGER' };
+
+function _case(id, overrides = {}) {
+  return {
+    id,
+    caseNumber: `CB-2026-${id.slice(-4)}`,
+    propertyId: 'prop-1',
+    status: 'PENDING',
+    amount: '45.00',
+    cardBrand: 'VISA',
+    confidenceScore: null,
+    provider: { name: 'Elavon' },
+    processorDisputeId: null,
+    ...overrides
+  };
+}
+
+/** Run a bulk job over caseIds, returning the final progress and each update */
+async function _run(action, params, caseIds, data = {}) {
+  const updates = [];
+  const job = {
+    id: 'bulk-1',
+    data: { action, params, caseIds, propertyFilter: {}, requestedBy: USER, ...data },
+    // A queue stores progress as JSON, so keep a copy of each update
+    updateProgress: async (progress) => updates.push(structuredClone(progress))
+  };
+  const progress = await runBulkAction(job);
+  return { progress, updates, byCase: Object.fromEntries(progress.results.map((r) => [r.caseId, r])) };
+}
+
+beforeEach(() => {
+  chargebacks = [];
+  timeline = [];
+  notifications = [];
+  intakeRuns = [];
+});
+
+// =============================================================================
+// VALIDATION
+// =============================================================================
+
+describe('validateBulkAction', () => {
+  const paths = (action, params) => validateBulkAction(action, params).map((e) => e.path);
+
+  it('accepts each action with its parameters', () => {
+    assert.deepEqual(paths('collect_and_analyze', {}), []);
+    assert.deepEqual(paths('change_status', { status: 'IN_REVIEW' }), []);
+    assert.deepEqual(paths('accept_liability', { maxAmount: 50, reason: 'NO_EVIDENCE' }), []);
+    assert.deepEqual(paths('submit', { minScore: 80 }), []);
+  });
+
+  it('rejects unknown actions and malformed parameters', () => {
+    assert.deepEqual(paths('delete', {}), ['action']);
+    assert.deepEqual(paths('submit', []), ['params']);
+    assert.deepEqual(paths('change_status', { status: 'ARCHIVED', notes: 3 }), ['params.notes', 'params.status']);
+    assert.deepEqual(paths('submit', { minScore: 101 }), ['params.minScore']);
+  });
+
+  it('needs a limit for accepting liability, and notes for OTHER', () => {
+    assert.deepEqual(paths('accept_liability', { reason: 'WHATEVER' }), ['params.maxAmount', 'params.reason']);
+    assert.deepEqual(paths('accept_liability', { maxAmount: 50, reason: 'OTHER' }), ['params.notes']);
+  });
+});
+
+// =============================================================================
+// PROCESSING
+// =============================================================================
+
+describe('runBulkAction', () => {
+  it('concedes open cases at or under the limit and skips the rest', async () => {
+    chargebacks = [
+      _case('cb-0001'),
+      _case('cb-0002', { amount: '50.00' }),
+      _case('cb-0003', { amount: '250.00' }),
+      _case('cb-0004', { status: 'SUBMITTED' })
+    ];
+
+    const { progress, byCase } = await _run('accept_liability', { maxAmount: 50 }, ['cb-0001', 'cb-0002', 'cb-0003', 'cb-0004']);
+
+    assert.deepEqual([progress.succeeded, progress.skipped, progress.failed], [2, 2, 0]);
+    assert.equal(byCase['cb-0003'].message, '$250.00 is over the $50.00 limit');
+    assert.equal(byCase['cb-0004'].message, 'Case is SUBMITTED');
+    assert.match(byCase['cb-0001'].message, /^Liability accepted for \$45\.00\. No processor dispute ID on file/);
+    assert.equal(chargebacks[0].status, 'LOST');
+    assert.equal(chargebacks[0].liabilityReason, 'AMOUNT_TOO_SMALL');
+    assert.equal(chargebacks[2].status, 'PENDING');
+    assert.deepEqual(timeline.map((e) => e.metadata.bulkJobId), ['bulk-1', 'bulk-1']);
+  });
+
+  it('submits only analyzed cases at or above the threshold', async () => {
+    chargebacks = [
+      _case('cb-0001', { confidenceScore: 80 }),
+      _case('cb-0002', { confidenceScore: 60 }),
+      _case('cb-0003')
+    ];
+
+    const defaults = await _run('submit', {}, ['cb-0001', 'cb-0002', 'cb-0003']);
+
+    assert.deepEqual(defaults.progress.results.map((r) => r.message), [
+      'Submitted with a 7-page packet',
+      'Score 60 is below 75',
+      'Not analyzed yet'
+    ]);
+    assert.equal(chargebacks[0].status, 'SUBMITTED');
+
+    const lowered = await _run('submit', { minScore: 50 }, ['cb-0002']);
+
+    assert.equal(lowered.progress.succeeded, 1);
+  });
+
+  it('changes status, skipping cases already there', async () => {
+    chargebacks = [_case('cb-0001'), _case('cb-0002', { status: 'IN_REVIEW' })];
+
+    const { byCase } = await _run('change_status', { status: 'IN_REVIEW' }, ['cb-0001', 'cb-0002']);
+
+    assert.equal(byCase['cb-0001'].message, 'PENDING → IN_REVIEW');
+    assert.equal(byCase['cb-0002'].message, 'Already IN_REVIEW');
+    assert.equal(timeline[0].description, 'Status changed in bulk by Jordan Lee');
+  });
+
+  it('records failures without stopping the job', async () => {
+    chargebacks = [_case('cb-pms-down'), _case('cb-0002'), _case('cb-0003', { propertyId: 'prop-2' })];
+
+    const { progress, byCase } = await _run('collect_and_analyze', {}, ['cb-pms-down', 'cb-0002', 'cb-0003', 'cb-gone'], {
+      propertyFilter: { propertyId: 'prop-1' }
+    });
+
+    assert.deepEqual(intakeRuns, ['cb-pms-down', 'cb-0002']);
+    assert.equal(byCase['cb-pms-down'].message, 'PMS unreachable');
+    assert.equal(byCase['cb-0002'].message, '4 evidence documents, score 82');
+    // Cases outside the requester's properties look the same as missing ones
+    assert.equal(byCase['cb-0003'].message, 'Case not found');
+    assert.equal(byCase['cb-gone'].caseNumber, null);
+    assert.deepEqual([progress.succeeded, progress.failed], [1, 3]);
+  });
+
+  it('writes progress after every case and notifies the requester', async () => {
+    chargebacks = [_case('cb-0001'), _case('cb-0002', { status: 'IN_REVIEW' })];
+
+    const { updates } = await _run('change_status', { status: 'IN_REVIEW' }, ['cb-0001', 'cb-0002', 'cb-gone']);
+
+    assert.deepEqual(updates.map((u) => u.processed), [1, 2, 3]);
+    assert.deepEqual(updates.map((u) => u.results.length), [1, 2, 3]);
+    assert.equal(notifications.length, 1);
+    assert.equal(notifications[0].userId, 'user-1');
+    assert.equal(notifications[0].priority, 'HIGH');
+    assert.equal(notifications[0].title, 'Bulk action finished: Change status');
+    assert.equal(notifications[0].message, '1 of 3 cases done, 1 skipped, 1 failed.');
+  });
+
+  it('reports demo cases as done without writing anything', async () => {
+    const demoCases = [_case('cb-0001'), _case('cb-0002', { amount: '900.00' })];
+
+    const { progress } = await _run('accept_liability', { maxAmount: 100 }, ['cb-0001', 'cb-0002'], { demo: true, demoCases });
+
+    assert.deepEqual(progress.results.map((r) => r.message), [
+      'Liability accepted for $45.00 (Demo Mode)',
+      '$900.00 is over the $100.00 limit'
+    ]);
+    assert.equal(demoCases[0].status, 'PENDING');
+    assert.deepEqual(timeline, []);
+  });
+});
+
+// =============================================================================
+// JOB STATUS
+// =============================================================================
+
+describe('describeBulkJob', () => {
+  it('summarises the job from its data and progress', async () => {
+    const job = {
+      id: 'bulk-7',
+      data: { action: 'submit', params: {}, caseIds: ['a', 'b', 'c'], requestedBy: USER, demo: true },
+      progress: { processed: 2, succeeded: 1, skipped: 1, failed: 0, results: [{ caseId: 'a' }, { caseId: 'b' }] },
+      timestamp: Date.parse('2026-09-20T10:00:00Z'),
+      finishedOn: null,
+      getState: async () => 'active'
+    };
+
+    const described = await describeBulkJob(job);
+
+    assert.equal(described.label, 'Submit above auto-submit score');
+    assert.equal(described.total, 3);
+    assert.equal(described.processed, 2);
+    assert.equal(described.results.length, 2);
+    assert.equal(described.createdAt, '2026-09-20T10:00:00.000Z');
+    assert.equal(described.finishedAt, null);
+    assert.equal(described.error, null);
+    assert.equal(described.isDemo, true);
+  });
+});
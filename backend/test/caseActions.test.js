@@ -0,0 +1,197 @@
+/**
+ * Accepting liability (services/caseActions.js): closing a case as a
+ * deliberate loss, telling the processor where its portal can be told, and
+ * clearing the concession when the case is reopened. The database and queues
+ * are replaced in the require cache.
+ */
+
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'error';
+
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { isDatabaseUnavailable } = require('../config/database');
+
+let chargebacks;
+let timeline;
+let integrations;
+let queuedJobs;
+let queueError;
+
+function _stub(modulePath, exports) {
+  const file = require.resolve(modulePath);
+  require.cache[file] = { id: file, filename: file, loaded: true, exports };
+}
+
+_stub('../config/database', {
+  prisma: {
+    chargeback: {
+      update: async ({ where, data }) => {
+        const found = chargebacks.find((c) => c.id === where.id);
+        Object.assign(found, data);
+        return { ...found };
+      }
+    },
+    timelineEvent: {
+      create: async ({ data }) => {
+        timeline.push(data);
+        return data;
+      }
+    },
+    integration: {
+      findFirst: async ({ where }) => integrations.find((i) => where.type.in.includes(i.type) && i.status === where.status) || null
+    }
+  },
+  isDatabaseUnavailable
+});
+_stub('../services/queue/queueManager', {
+  getQueue: (name) => ({
+    add: async (jobName, data) => {
+      if (queueError) throw queueError;
+      queuedJobs.push({ queue: name, jobName, data });
+      return { id: `job-${queuedJobs.length}` };
+    }
+  })
+});
+
+const { LIABILITY_REASONS, acceptLiability, changeCaseStatus } = require('../services/caseActions');
+const { acceptLiabilitySchema } = require('../utils/validators');
+
+const USER = { firstName: 'Jordan', lastName: 'Lee', email: 'jordan@harborhotel.com' };
+
+function _case(overrides = {}) {
+  const chargeback = {
+    id: 'cb-1',
+    caseNumber: 'CB-2026-0042',
+    status: 'PENDING',
+    amount: '45.00',
+    processorDisputeId: 'dp_1042',
+    provider: { name: 'Stripe' },
+    ...overrides
+  };
+  chargebacks.push(chargeback);
+  return { ...chargeback };
+}
+
+beforeEach(() => {
+  chargebacks = [];
+  timeline = [];
+  integrations = [{ id: 'int-stripe', type: 'STRIPE', status: 'active' }];
+  queuedJobs = [];
+  queueError = null;
+});
+
+// =============================================================================
+// ACCEPTING LIABILITY
+// =============================================================================
+
+describe('acceptLiability', () => {
+  it('closes the case as LOST with the reason and queues the portal acceptance', async () => {
+    const { chargeback, portal } = await acceptLiability(_case(), { user: USER, reason: 'NO_EVIDENCE', notes: 'Guest never checked in' });
+
+    assert.equal(chargeback.status, 'LOST');
+    assert.equal(chargeback.liabilityReason, 'NO_EVIDENCE');
+    assert.equal(chargeback.liabilityNotes, 'Guest never checked in');
+    assert.ok(chargeback.liabilityAcceptedAt instanceof Date);
+    assert.deepEqual(chargeback.resolvedAt, chargeback.liabilityAcceptedAt);
+
+    assert.deepEqual(portal, { status: 'queued', message: 'Stripe is being notified.', jobId: 'job-1' });
+    assert.deepEqual(queuedJobs, [{
+      queue: 'dispute-outbound',
+      jobName: 'accept-dispute',
+      data: {
+        portalType: 'STRIPE',
+        integrationId: 'int-stripe',
+        action: 'ACCEPT_DISPUTE',
+        data: { disputeId: 'dp_1042', chargebackId: 'cb-1', reason: 'NO_EVIDENCE' }
+      }
+    }]);
+
+    assert.equal(timeline[0].title, 'Liability Accepted');
+    assert.equal(timeline[0].description,
+      'No evidence to contest: Guest never checked in (accepted by Jordan Lee). Stripe is being notified.');
+    assert.equal(timeline[0].metadata.liabilityReason, 'NO_EVIDENCE');
+  });
+
+  it('only concedes open cases', async () => {
+    await assert.rejects(
+      acceptLiability(_case({ status: 'SUBMITTED' }), { user: USER, reason: 'OTHER', notes: 'x' }),
+      { code: 'INVALID_STATE' }
+    );
+    assert.equal(chargebacks[0].status, 'SUBMITTED');
+  });
+
+  it('reports why the processor was not told', async () => {
+    const cases = [
+      [{ processorDisputeId: null }, 'not_sent', /No processor dispute ID on file/],
+      [{ provider: { name: 'Adyen' } }, 'unsupported', /Adyen can't accept disputes through its API/],
+      [{ provider: { name: 'Elavon' } }, 'unsupported', /Elavon can't accept disputes/],
+      [{ provider: { name: 'Fiserv' } }, 'not_sent', /No active Fiserv integration/]
+    ];
+
+    for (const [overrides, status, message] of cases) {
+      const { chargeback, portal } = await acceptLiability(_case({ id: `cb-${status}-${chargebacks.length}`, ...overrides }), {
+        user: USER,
+        reason: 'AMOUNT_TOO_SMALL'
+      });
+
+      assert.equal(chargeback.status, 'LOST');
+      assert.equal(portal.status, status);
+      assert.match(portal.message, message);
+    }
+    assert.deepEqual(queuedJobs, []);
+  });
+
+  it('still concedes the case when the queue is down', async () => {
+    queueError = new Error('Redis connection refused');
+
+    const { chargeback, portal } = await acceptLiability(_case(), { user: USER, reason: 'VALID_GUEST_COMPLAINT' });
+
+    assert.equal(chargeback.status, 'LOST');
+    assert.equal(portal.status, 'not_sent');
+    assert.equal(portal.message, 'Stripe could not be notified (Redis connection refused); accept it on the portal.');
+    assert.match(timeline[0].description, /^Valid guest complaint \(accepted by Jordan Lee\)\. Stripe could not be notified/);
+  });
+});
+
+describe('changeCaseStatus', () => {
+  it('clears the concession when a conceded case changes status', async () => {
+    const { chargeback: conceded } = await acceptLiability(_case(), { user: USER, reason: 'NO_EVIDENCE' });
+
+    const reopened = await changeCaseStatus(conceded, 'IN_REVIEW', { user: USER });
+
+    assert.equal(reopened.status, 'IN_REVIEW');
+    assert.equal(reopened.liabilityReason, null);
+    assert.equal(reopened.liabilityNotes, null);
+    assert.equal(reopened.liabilityAcceptedAt, null);
+  });
+
+  it('leaves cases that were never conceded alone', async () => {
+    const updated = await changeCaseStatus(_case(), 'LOST', { user: USER });
+
+    assert.equal(updated.status, 'LOST');
+    assert.ok(updated.resolvedAt instanceof Date);
+    assert.equal('liabilityReason' in updated, false);
+    assert.equal(timeline[0].eventType, 'LOST');
+    assert.equal(timeline[0].description, 'Status updated by Jordan Lee');
+  });
+});
+
+// =============================================================================
+// REQUEST VALIDATION
+// =============================================================================
+
+describe('acceptLiabilitySchema', () => {
+  it('accepts each liability reason', () => {
+    for (const reason of Object.keys(LIABILITY_REASONS)) {
+      assert.equal(acceptLiabilitySchema.safeParse({ reason }).success, true);
+    }
+  });
+
+  it('requires a known reason and trims notes', () => {
+    assert.equal(acceptLiabilitySchema.safeParse({}).success, false);
+    assert.equal(acceptLiabilitySchema.safeParse({ reason: 'TOO_BUSY' }).success, false);
+    assert.equal(acceptLiabilitySchema.safeParse({ reason: 'OTHER', notes: 'x'.repeat(1001) }).success, false);
+    assert.equal(acceptLiabilitySchema.safeParse({ reason: 'OTHER', notes: '  Goodwill refund  ' }).data.notes, 'Goodwill refund');
+  });
+});
@@ -0,0 +1,280 @@
+/**
+ * Case assignment (services/caseAssignment.js): picking an owner under the
+ * round-robin and skill strategies, recording a change of owner, bulk
+ * reassignment and workload. The database and notifications controller are
+ * replaced in the require cache with in-memory stand-ins.
+ */
+
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'error';
+
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { isDatabaseUnavailable } = require('../config/database');
+
+const USERS = [
+  { id: 'ana', firstName: 'Ana', lastName: 'Ruiz', email: 'ana@example.com', role: 'STAFF', isActive: true, propertyId: 'prop-1' },
+  { id: 'ben', firstName: 'Ben', lastName: 'Osei', email: 'ben@example.com', role: 'STAFF', isActive: true, propertyId: 'prop-1' },
+  { id: 'cho', firstName: 'Cho', lastName: 'Park', email: 'cho@example.com', role: 'MANAGER', isActive: true, propertyId: 'prop-1' },
+  { id: 'dev', firstName: 'Dev', lastName: 'Shah', email: 'dev@example.com', role: 'STAFF', isActive: true, propertyId: 'prop-2' },
+  { id: 'eli', firstName: 'Eli', lastName: 'Moss', email: 'eli@example.com', role: 'STAFF', isActive: false, propertyId: 'prop-1' },
+  { id: 'fay', firstName: 'Fay', lastName: 'Lund', email: 'fay@example.com', role: 'READONLY', isActive: true, propertyId: 'prop-1' }
+];
+
+let chargebacks;
+let assignments;
+let timeline;
+let notified;
+
+function _stub(modulePath, exports) {
+  const file = require.resolve(modulePath);
+  require.cache[file] = { id: file, filename: file, loaded: true, exports };
+}
+
+function _userMatches(user, where) {
+  if (where.id?.in && !where.id.in.includes(user.id)) return false;
+  if (where.role?.in && !where.role.in.includes(user.role)) return false;
+  if (where.isActive !== undefined && user.isActive !== where.isActive) return false;
+  return true;
+}
+
+_stub('../config/database', {
+  prisma: {
+    user: {
+      findMany: async ({ where }) => USERS.filter((u) => _userMatches(u, where)),
+      findUnique: async ({ where }) => USERS.find((u) => u.id === where.id) || null
+    },
+    chargeback: {
+      findUnique: async ({ where }) => {
+        const found = chargebacks.find((c) => c.id === where.id);
+        return found ? { ...found } : null;
+      },
+      findMany: async ({ where }) => chargebacks.filter((c) => where.id.in.includes(c.id) &&
+        (!where.propertyId || c.propertyId === where.propertyId)),
+      update: async ({ where, data }) => Object.assign(chargebacks.find((c) => c.id === where.id), data),
+      groupBy: async ({ where }) => where.assigneeId.in
+        .map((id) => ({ assigneeId: id, _count: { _all: chargebacks.filter((c) => c.assigneeId === id && where.status.in.includes(c.status)).length } }))
+        .filter((l) => l._count._all > 0)
+    },
+    caseAssignment: {
+      findFirst: async () => [...assignments].reverse().find((a) => ['round_robin', 'skill'].includes(a.method) && a.assigneeId) || null,
+      create: async ({ data }) => {
+        assignments.push(data);
+        return { id: `asg-${assignments.length}`, ...data };
+      }
+    },
+    timelineEvent: { create: async ({ data }) => timeline.push(data) }
+  },
+  isDatabaseUnavailable
+});
+_stub('../controllers/notificationsController', {
+  createNotification: async (userId, notification) => notified.push({ userId, ...notification })
+});
+
+const {
+  DEFAULT_SETTINGS,
+  validateAssignmentSettings,
+  getAmountTier,
+  matchAssignmentRule,
+  chooseAssignee,
+  assignCase,
+  reassignCases,
+  summarizeWorkload
+} = require('../services/caseAssignment');
+
+const ROUND_ROBIN = { ...DEFAULT_SETTINGS, strategy: 'round_robin', pool: [] };
+const SKILL = {
+  ...DEFAULT_SETTINGS,
+  strategy: 'skill',
+  pool: ['ana', 'ben', 'cho'],
+  rules: [
+    { id: 'amex-large', name: 'Large Amex', assigneeIds: ['cho'], networks: ['AMEX'], amountTiers: ['large'] },
+    { id: 'visa', name: 'Visa desk', assigneeIds: ['ben', 'ana'], networks: ['VISA'] }
+  ]
+};
+
+const CASE = { id: 'cb-1', caseNumber: 'CB-2026-0001', guestName: 'Dana Whitfield', propertyId: 'prop-1', cardBrand: 'VISA', amount: 300, status: 'PENDING', assigneeId: null };
+
+beforeEach(() => {
+  chargebacks = [{ ...CASE }];
+  assignments = [];
+  timeline = [];
+  notified = [];
+});
+
+// =============================================================================
+// SETTINGS & RULES
+// =============================================================================
+
+describe('validateAssignmentSettings', () => {
+  it('accepts the defaults and reports each bad field', () => {
+    assert.deepEqual(validateAssignmentSettings(DEFAULT_SETTINGS), []);
+
+    const errors = validateAssignmentSettings({
+      strategy: 'lottery',
+      amountTiers: { small: 500, medium: 100 },
+      rules: [{ id: 'a', assigneeIds: ['ana'], networks: ['JCB'] }, { id: 'a', assigneeIds: [] }]
+    });
+
+    assert.deepEqual(errors.map((e) => e.path.join('.')), [
+      'strategy',
+      'amountTiers',
+      'rules.0.networks',
+      'rules.1.id',
+      'rules.1.assigneeIds'
+    ]);
+  });
+});
+
+describe('matchAssignmentRule', () => {
+  it('sorts amounts into tiers', () => {
+    assert.equal(getAmountTier(500), 'small');
+    assert.equal(getAmountTier('500.01'), 'medium');
+    assert.equal(getAmountTier(2600), 'large');
+  });
+
+  it('takes the first rule whose criteria all match', () => {
+    assert.equal(matchAssignmentRule({ cardBrand: 'American Express', amount: 4000 }, SKILL).id, 'amex-large');
+    assert.equal(matchAssignmentRule({ cardBrand: 'American Express', amount: 400 }, SKILL), null);
+    assert.equal(matchAssignmentRule({ cardBrand: 'Visa', amount: 4000 }, SKILL).id, 'visa');
+  });
+});
+
+// =============================================================================
+// CHOOSING AN OWNER
+// =============================================================================
+
+describe('chooseAssignee', () => {
+  it('rotates through staff who can see the property', async () => {
+    const first = await chooseAssignee(CASE, { settings: ROUND_ROBIN });
+    assignments.push({ method: 'round_robin', assigneeId: first.assigneeId });
+    const second = await chooseAssignee(CASE, { settings: ROUND_ROBIN });
+    assignments.push({ method: 'round_robin', assigneeId: second.assigneeId });
+    const third = await chooseAssignee(CASE, { settings: ROUND_ROBIN });
+    assignments.push({ method: 'round_robin', assigneeId: third.assigneeId });
+    const fourth = await chooseAssignee(CASE, { settings: ROUND_ROBIN });
+
+    // dev works another property, eli is inactive and fay is read-only
+    assert.deepEqual([first, second, third, fourth].map((c) => c.assigneeId), ['ana', 'ben', 'cho', 'ana']);
+  });
+
+  it('gives a rule match to the candidate with the fewest open cases', async () => {
+    chargebacks.push(
+      { id: 'cb-2', assigneeId: 'ben', status: 'IN_REVIEW' },
+      { id: 'cb-3', assigneeId: 'ana', status: 'PENDING' },
+      { id: 'cb-4', assigneeId: 'ana', status: 'PENDING' },
+      { id: 'cb-5', assigneeId: 'ben', status: 'WON' }
+    );
+
+    const choice = await chooseAssignee(CASE, { settings: SKILL });
+
+    assert.deepEqual(choice, { assigneeId: 'ben', method: 'skill', ruleId: 'visa', reason: 'Rule "Visa desk"; 1 open case' });
+  });
+
+  it('falls back to the pool when no rule matches', async () => {
+    const choice = await chooseAssignee({ ...CASE, cardBrand: 'DISCOVER' }, { settings: SKILL });
+
+    assert.equal(choice.ruleId, null);
+    assert.equal(choice.reason, 'No rule matched, default pool; 0 open cases');
+  });
+
+  it('returns null when nobody can take the case', async () => {
+    assert.equal(await chooseAssignee({ ...CASE, propertyId: 'prop-3' }, { settings: ROUND_ROBIN }), null);
+  });
+});
+
+// =============================================================================
+// ASSIGNING
+// =============================================================================
+
+describe('assignCase', () => {
+  const MANAGER = USERS[2];
+
+  it('records the change of owner and tells the new owner', async () => {
+    const { changed, chargeback } = await assignCase('cb-1', 'ana', { assignedBy: MANAGER, reason: 'Covering for Ben' });
+
+    assert.equal(changed, true);
+    assert.equal(chargeback.assigneeId, 'ana');
+    assert.ok(chargeback.assignedAt instanceof Date);
+    assert.deepEqual(assignments[0], {
+      chargebackId: 'cb-1', assigneeId: 'ana', previousAssigneeId: null, assignedById: 'cho', method: 'manual', ruleId: null, reason: 'Covering for Ben'
+    });
+    assert.equal(timeline[0].title, 'Assigned to Ana Ruiz');
+    assert.equal(timeline[0].description, 'Assigned by Cho Park: Covering for Ben');
+    assert.equal(notified[0].userId, 'ana');
+    assert.equal(notified[0].type, 'CASE_ASSIGNED');
+  });
+
+  it('does nothing when the owner is unchanged', async () => {
+    chargebacks[0].assigneeId = 'ana';
+
+    const { changed } = await assignCase('cb-1', 'ana', { assignedBy: MANAGER });
+
+    assert.equal(changed, false);
+    assert.equal(assignments.length, 0);
+  });
+
+  it('refuses users who cannot own the case', async () => {
+    for (const id of ['dev', 'eli', 'fay', 'nobody']) {
+      await assert.rejects(assignCase('cb-1', id, { assignedBy: MANAGER }), { code: 'INVALID_ASSIGNEE' });
+    }
+    await assert.rejects(assignCase('cb-404', 'ana'), { code: 'NOT_FOUND' });
+  });
+
+  it('does not notify people who assign themselves', async () => {
+    await assignCase('cb-1', 'cho', { assignedBy: MANAGER });
+
+    assert.equal(notified.length, 0);
+  });
+});
+
+describe('reassignCases', () => {
+  it('reports reassigned, unchanged and failed cases', async () => {
+    chargebacks.push(
+      { ...CASE, id: 'cb-2', assigneeId: 'ben' },
+      { ...CASE, id: 'cb-3', propertyId: 'prop-2' }
+    );
+
+    const result = await reassignCases(['cb-1', 'cb-2', 'cb-3', 'cb-9'], 'ben', {
+      assignedBy: USERS[2],
+      propertyFilter: { propertyId: 'prop-1' }
+    });
+
+    assert.deepEqual(result, {
+      reassigned: ['cb-1'],
+      unchanged: ['cb-2'],
+      failed: [{ id: 'cb-3', error: 'Case not found' }, { id: 'cb-9', error: 'Case not found' }]
+    });
+    assert.equal(timeline[0].description, 'Reassigned in bulk by Cho Park');
+  });
+});
+
+// =============================================================================
+// WORKLOAD
+// =============================================================================
+
+describe('summarizeWorkload', () => {
+  it('counts open, overdue and soon-due cases per owner', () => {
+    const now = new Date('2026-10-19T12:00:00Z');
+    const day = (n) => new Date(now.getTime() + n * 24 * 60 * 60 * 1000);
+    const cases = [
+      { id: 'a1', assigneeId: 'ana', amount: '100.10', dueDate: day(-1) },
+      { id: 'a2', assigneeId: 'ana', amount: '200.20', dueDate: day(3) },
+      { id: 'a3', assigneeId: 'ana', amount: '50', dueDate: day(10) },
+      { id: 'x1', assigneeId: 'former-employee', amount: '75', dueDate: null },
+      { id: 'u1', assigneeId: null, amount: '25', dueDate: day(1) }
+    ];
+
+    const [ana, ben, unassigned] = summarizeWorkload(cases, [USERS[0], USERS[1]], { now });
+
+    assert.deepEqual(
+      { open: ana.openCases, amount: ana.openAmount, overdue: ana.overdue, dueSoon: ana.dueSoon },
+      { open: 3, amount: 350.3, overdue: 1, dueSoon: 1 }
+    );
+    assert.deepEqual(ana.upcoming.map((c) => c.id), ['a1', 'a2', 'a3']);
+    assert.equal(ben.openCases, 0);
+    assert.equal(unassigned.user, null);
+    assert.deepEqual(unassigned.upcoming.map((c) => c.id), ['u1']);
+    assert.equal(unassigned.openCases, 2);
+  });
+});
@@ -0,0 +1,195 @@
+/**
+ * Case export (services/caseExport.js): export options, the CSV and XLSX
+ * written for reconciliation, and reading cases in cursor batches. The
+ * database is replaced in the require cache.
+ */
+
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'error';
+
+const { PassThrough } = require('stream');
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const ExcelJS = require('exceljs');
+
+const { isDatabaseUnavailable } = require('../config/database');
+
+let chargebacks;
+let queries;
+
+function _stub(modulePath, exports) {
+  const file = require.resolve(modulePath);
+  require.cache[file] = { id: file, filename: file, loaded: true, exports };
+}
+
+_stub('../config/database', {
+  prisma: {
+    chargeback: {
+      findMany: async (query) => {
+        queries.push(query);
+        const start = query.cursor ? chargebacks.findIndex((c) => c.id === query.cursor.id) + query.skip : 0;
+        return chargebacks.slice(start, start + query.take);
+      }
+    }
+  },
+  isDatabaseUnavailable
+});
+
+const { parseExportOptions, exportFileName, iterateExportCases, writeCaseExport } = require('../services/caseExport');
+
+const CASES = [
+  {
+    caseNumber: 'CB-2026-0042',
+    processorDisputeId: 'dp_1042',
+    status: 'WON',
+    guestName: 'Whitfield, Dana',
+    property: { name: 'Harbor Hotel' },
+    amount: '412.5',
+    disputeDate: new Date('2026-09-04T15:00:00Z'),
+    resolvedAt: '2026-10-01T09:00:00Z',
+    evidence: [{ type: 'FOLIO' }, { type: 'ID_SCAN' }, { type: 'FOLIO' }]
+  },
+  { caseNumber: 'CB-2026-0043', status: 'LOST', liabilityReason: 'AMOUNT_TOO_SMALL', guestName: '=HYPERLINK("x")', amount: 40, evidence: [] },
+  { caseNumber: 'CB-2026-0044', status: 'EXPIRED', guestName: 'Ana "Annie" Ruiz', amount: 300, lostAmount: 250, currency: 'EUR' },
+  { caseNumber: 'CB-2026-0045', status: 'IN_REVIEW', guestName: '-5 nights', amount: 99.999 }
+];
+
+/** Write cases with the given query options, returning the bytes written */
+async function _export(cases, query) {
+  const options = parseExportOptions(query);
+  assert.deepEqual(options.errors, []);
+
+  const stream = new PassThrough();
+  const chunks = [];
+  stream.on('data', (chunk) => chunks.push(chunk));
+  await writeCaseExport(stream, cases, options);
+  return Buffer.concat(chunks);
+}
+
+beforeEach(() => {
+  chargebacks = [];
+  queries = [];
+});
+
+// =============================================================================
+// OPTIONS
+// =============================================================================
+
+describe('parseExportOptions', () => {
+  it('defaults to CSV with the reconciliation columns', () => {
+    const { format, columns, errors } = parseExportOptions({});
+
+    assert.equal(format, 'csv');
+    assert.equal(columns[0], 'caseNumber');
+    assert.ok(columns.includes('recoveredAmount'));
+    assert.deepEqual(errors, []);
+  });
+
+  it('takes a column list, dropping repeats', () => {
+    const { format, columns } = parseExportOptions({ format: 'XLSX', columns: 'caseNumber, amount,caseNumber' });
+
+    assert.equal(format, 'xlsx');
+    assert.deepEqual(columns, ['caseNumber', 'amount']);
+  });
+
+  it('rejects unknown formats and columns', () => {
+    const { errors } = parseExportOptions({ format: 'pdf', columns: 'caseNumber,ssn' });
+    const empty = parseExportOptions({ columns: ' , ' });
+
+    assert.deepEqual(errors.map((e) => e.message), ['format must be one of: csv, xlsx', 'Unknown columns: ssn']);
+    assert.deepEqual(empty.errors.map((e) => e.code), ['too_small']);
+  });
+
+  it('names the file by date and format', () => {
+    assert.equal(exportFileName('xlsx', new Date('2026-10-19T08:00:00Z')), 'chargebacks-2026-10-19.xlsx');
+  });
+});
+
+// =============================================================================
+// CSV
+// =============================================================================
+
+describe('CSV export', () => {
+  const columns = 'caseNumber,guestName,outcome,amount,currency,recoveredAmount,lostAmount,disputeDate,resolvedAt,evidenceTypes';
+
+  it('writes a header and one formatted line per case', async () => {
+    const text = (await _export(CASES, { columns })).toString('utf8');
+    const lines = text.split('\r\n');
+
+    assert.ok(text.startsWith('\uFEFF'));
+    assert.equal(lines[0], '\uFEFFCase Number,Guest Name,Outcome,Amount,Currency,Recovered Amount,Lost Amount,Dispute Date,Resolution Date,Evidence Types');
+    assert.equal(lines[1], 'CB-2026-0042,"Whitfield, Dana",Won,412.50,USD,412.50,0.00,2026-09-04,2026-10-01,FOLIO; ID_SCAN');
+    assert.equal(lines.at(-1), '');
+  });
+
+  it('reports accepted liability and expiry as their own outcomes', async () => {
+    const lines = (await _export(CASES, { columns })).toString('utf8').split('\r\n');
+
+    assert.match(lines[2], /^CB-2026-0043,.*,Accepted liability,40\.00,USD,0\.00,40\.00,,,$/);
+    assert.match(lines[3], /,Expired,300\.00,EUR,0\.00,250\.00,/);
+    // Open cases have no recovered or lost amount yet
+    assert.match(lines[4], /,Open,100\.00,USD,,,,,$/);
+  });
+
+  it('quotes text and keeps cells from running as formulas', async () => {
+    const lines = (await _export(CASES, { columns: 'guestName' })).toString('utf8').split('\r\n');
+
+    assert.deepEqual(lines.slice(2, 5), [`"'=HYPERLINK(""x"")"`, '"Ana ""Annie"" Ruiz"', "'-5 nights"]);
+  });
+});
+
+// =============================================================================
+// XLSX
+// =============================================================================
+
+describe('XLSX export', () => {
+  it('writes typed cells under a bold header', async () => {
+    const buffer = await _export(CASES, { format: 'xlsx', columns: 'caseNumber,amount,disputeDate,evidenceCount,liabilityReason' });
+
+    const workbook = new ExcelJS.Workbook();
+    await workbook.xlsx.load(buffer);
+    const sheet = workbook.getWorksheet('Chargebacks');
+
+    assert.deepEqual(sheet.getRow(1).values.slice(1), ['Case Number', 'Amount', 'Dispute Date', 'Evidence Count', 'Liability Reason']);
+    assert.equal(sheet.getRow(1).font.bold, true);
+    assert.equal(sheet.rowCount, 5);
+
+    const first = sheet.getRow(2);
+    assert.equal(first.getCell(2).value, 412.5);
+    assert.equal(first.getCell(2).numFmt, '#,##0.00');
+    assert.equal(first.getCell(3).value.toISOString(), '2026-09-04T15:00:00.000Z');
+    assert.equal(first.getCell(4).value, 3);
+    assert.equal(sheet.getRow(3).getCell(5).value, 'AMOUNT_TOO_SMALL');
+  });
+});
+
+// =============================================================================
+// READING
+// =============================================================================
+
+describe('iterateExportCases', () => {
+  it('reads every case in batches with a stable cursor', async () => {
+    chargebacks = Array.from({ length: 1001 }, (_, i) => ({ id: `cb-${String(i).padStart(4, '0')}` }));
+
+    const ids = [];
+    for await (const c of iterateExportCases({ propertyId: 'prop-1' }, { sortBy: 'amount', sortOrder: 'asc' })) ids.push(c.id);
+
+    assert.equal(ids.length, 1001);
+    assert.equal(new Set(ids).size, 1001);
+    assert.equal(queries.length, 3);
+    assert.deepEqual(queries[0].orderBy, [{ amount: 'asc' }, { id: 'asc' }]);
+    assert.deepEqual(queries[0].where, { propertyId: 'prop-1' });
+    assert.equal(queries[0].cursor, undefined);
+    assert.deepEqual([queries[1].cursor, queries[1].skip], [{ id: 'cb-0499' }, 1]);
+  });
+
+  it('stops after a short first batch', async () => {
+    chargebacks = [{ id: 'cb-1' }, { id: 'cb-2' }];
+
+    const ids = [];
+    for await (const c of iterateExportCases({})) ids.push(c.id);
+
+    assert.deepEqual(ids, ['cb-1', 'cb-2']);
+    assert.equal(queries.length, 1);
+    assert.deepEqual(queries[0].orderBy, [{ createdAt: 'desc' }, { id: 'asc' }]);
+  });
+});
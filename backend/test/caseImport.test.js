@@ -0,0 +1,209 @@
+/**
+ * Historical case import (services/caseImport.js): reading report dates and
+ * amounts, and which rows count as duplicates. The database is replaced in
+ * the require cache with an in-memory chargeback table.
+ */
+
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'error';
+
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { isDatabaseUnavailable } = require('../config/database');
+
+let storedCases;
+let lookups;
+
+function _stub(modulePath, exports) {
+  const file = require.resolve(modulePath);
+  require.cache[file] = { id: file, filename: file, loaded: true, exports };
+}
+
+_stub('../config/database', {
+  prisma: {
+    chargeback: {
+      findMany: async ({ where }) => {
+        lookups.push(where);
+        const [byDispute, byTransaction] = where.OR;
+        return storedCases.filter((c) => (where.propertyId === undefined || c.propertyId === where.propertyId) &&
+          (byDispute.processorDisputeId.in.includes(c.processorDisputeId) || byTransaction.transactionId.in.includes(c.transactionId)));
+      }
+    }
+  },
+  isDatabaseUnavailable
+});
+
+const { parseImportOptions, prepareImport } = require('../services/caseImport');
+
+const HEADER = 'Case Number,ARN,Cardholder Name,Chargeback Amount,Reason Code,Date Received,Case Status';
+
+/** Prepare a CSV body with the given options, returning { rows, summary } */
+async function _prepare(lines, body = {}) {
+  const { options, errors } = parseImportOptions({
+    csv: [HEADER, ...lines].join('\n'),
+    preset: 'elavon',
+    propertyId: 'prop-1',
+    ...body
+  });
+  assert.deepEqual(errors, []);
+  return prepareImport(options);
+}
+
+const _messages = (row) => row.errors.map((e) => e.message);
+
+beforeEach(() => {
+  storedCases = [];
+  lookups = [];
+});
+
+// =============================================================================
+// OPTIONS
+// =============================================================================
+
+describe('parseImportOptions', () => {
+  it('takes the date order and decimal separator from the preset', () => {
+    const { options } = parseImportOptions({ csv: 'x', preset: 'shift4', propertyId: 'prop-1' });
+
+    assert.equal(options.dateOrder, 'MDY');
+    assert.equal(options.decimalSeparator, '.');
+  });
+
+  it('lets the request set them', () => {
+    const { options } = parseImportOptions({ csv: 'x', preset: 'shift4', propertyId: 'prop-1', dateOrder: 'DMY', decimalSeparator: ',' });
+
+    assert.equal(options.dateOrder, 'DMY');
+    assert.equal(options.decimalSeparator, ',');
+  });
+
+  it('rejects unknown formats', () => {
+    const { errors } = parseImportOptions({ csv: 'x', preset: 'elavon', propertyId: 'prop-1', dateOrder: 'YMD', decimalSeparator: ' ' });
+
+    assert.deepEqual(errors.map((e) => e.path[0]), ['dateOrder', 'decimalSeparator']);
+  });
+});
+
+// =============================================================================
+// DATES
+// =============================================================================
+
+describe('dates', () => {
+  it('reads dates whose order is given away by a day past 12', async () => {
+    const { rows } = await _prepare([
+      'EL-1,ARN-1,Dana Whitfield,412.50,10.4,25/03/2026,Open',
+      'EL-2,ARN-2,Dana Whitfield,412.50,10.4,03/25/2026,Open',
+      'EL-3,ARN-3,Dana Whitfield,412.50,10.4,2026-03-25,Open'
+    ]);
+
+    assert.deepEqual(rows.map((r) => r.data.disputeDate), Array(3).fill('2026-03-25T00:00:00.000Z'));
+  });
+
+  it('rejects a date that reads both ways when the preset has no order', async () => {
+    const { rows } = await _prepare(['EL-1,ARN-1,Dana Whitfield,412.50,10.4,03/04/2026,Open']);
+
+    assert.equal(rows[0].status, 'invalid');
+    assert.match(_messages(rows[0])[0], /could be month\/day or day\/month/);
+  });
+
+  it('reads ambiguous dates in the chosen order', async () => {
+    const line = 'EL-1,ARN-1,Dana Whitfield,412.50,10.4,03/04/2026,Open';
+
+    const dayFirst = await _prepare([line], { dateOrder: 'DMY' });
+    const monthFirst = await _prepare([line], { preset: 'shift4', mapping: { processorDisputeId: 'Case Number', transactionId: 'ARN', amount: 'Chargeback Amount', reasonCode: 'Reason Code', disputeDate: 'Date Received' } });
+
+    assert.equal(dayFirst.rows[0].data.disputeDate, '2026-04-03T00:00:00.000Z');
+    assert.equal(monthFirst.rows[0].data.disputeDate, '2026-03-04T00:00:00.000Z');
+  });
+
+  it('reads dotted day-first dates and rejects impossible ones', async () => {
+    const { rows } = await _prepare([
+      'EL-1,ARN-1,Dana Whitfield,412.50,10.4,04.03.26,Open',
+      'EL-2,ARN-2,Dana Whitfield,412.50,10.4,31/02/2026,Open'
+    ], { dateOrder: 'DMY' });
+
+    assert.equal(rows[0].data.disputeDate, '2026-03-04T00:00:00.000Z');
+    assert.deepEqual(_messages(rows[1]), ['Dispute date "31/02/2026" is not a date']);
+  });
+});
+
+// =============================================================================
+// AMOUNTS
+// =============================================================================
+
+describe('amounts', () => {
+  const amounts = async (values, body) => (await _prepare(
+    values.map((v, i) => `EL-${i},ARN-${i},Dana Whitfield,"${v}",10.4,2026-03-25,Open`),
+    body
+  )).rows;
+
+  it('reads both decimal conventions from the separators used', async () => {
+    const rows = await amounts(['$1,234.56', '1.234,56 €', '(1,250.00)', '-1250', '12,5', '1,234,567']);
+
+    assert.deepEqual(rows.map((r) => r.data.amount), [1234.56, 1234.56, 1250, 1250, 12.5, 1234567]);
+  });
+
+  it('rejects an amount that reads both ways', async () => {
+    const rows = await amounts(['1,234', '1.234']);
+
+    assert.deepEqual(rows.map((r) => r.status), ['invalid', 'invalid']);
+    assert.match(_messages(rows[0])[0], /decimal separator/);
+  });
+
+  it('reads amounts with the chosen separator', async () => {
+    const comma = await amounts(['1.234', '1.234,5'], { decimalSeparator: ',' });
+    const dot = await amounts(['1,234', '1.234'], { decimalSeparator: '.' });
+
+    assert.deepEqual(comma.map((r) => r.data.amount), [1234, 1234.5]);
+    assert.deepEqual(dot.map((r) => r.data.amount), [1234, 1.23]);
+  });
+
+  it('rejects text that is not an amount', async () => {
+    const rows = await amounts(['n/a'], { decimalSeparator: '.' });
+
+    assert.deepEqual(_messages(rows[0]), ['Amount "n/a" is not a number']);
+  });
+});
+
+// =============================================================================
+// DUPLICATES
+// =============================================================================
+
+describe('duplicates', () => {
+  it('matches stored cases of the same property only', async () => {
+    storedCases = [
+      { caseNumber: 'CB-2026-0007', propertyId: 'prop-1', transactionId: 'ARN-1', processorDisputeId: 'EL-1' },
+      { caseNumber: 'CB-2026-0008', propertyId: 'prop-2', transactionId: 'ARN-2', processorDisputeId: 'EL-2' }
+    ];
+
+    const { rows, summary } = await _prepare([
+      'EL-1,ARN-1,Dana Whitfield,412.50,10.4,2026-03-25,Open',
+      'EL-2,ARN-2,Dana Whitfield,412.50,10.4,2026-03-25,Open'
+    ]);
+
+    assert.equal(lookups[0].propertyId, 'prop-1');
+    assert.equal(rows[0].duplicateOf, 'CB-2026-0007');
+    assert.equal(rows[1].status, 'valid');
+    assert.deepEqual(summary, { total: 2, valid: 1, duplicates: 1, invalid: 0 });
+  });
+
+  it('treats a second dispute on the same transaction as new', async () => {
+    storedCases = [{ caseNumber: 'CB-2026-0007', propertyId: 'prop-1', transactionId: 'ARN-1', processorDisputeId: 'EL-1' }];
+
+    const { rows } = await _prepare([
+      'EL-9,ARN-1,Dana Whitfield,412.50,10.4,2026-03-25,Open',
+      ',ARN-1,Dana Whitfield,412.50,10.4,2026-03-25,Open'
+    ]);
+
+    assert.equal(rows[0].status, 'valid');
+    assert.equal(rows[1].status, 'duplicate');
+  });
+
+  it('points repeated rows at the first one', async () => {
+    const { rows } = await _prepare([
+      'EL-1,ARN-1,Dana Whitfield,412.50,10.4,2026-03-25,Open',
+      'EL-1,ARN-1,Dana Whitfield,412.50,10.4,2026-03-25,Open'
+    ]);
+
+    assert.deepEqual(rows.map((r) => r.status), ['valid', 'duplicate']);
+    assert.equal(rows[1].duplicateOf, 'row 2');
+  });
+});
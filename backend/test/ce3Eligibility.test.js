@@ -0,0 +1,149 @@
+/**
+ * Visa Compelling Evidence 3.0 eligibility (services/ce3Eligibility.js):
+ * identifiers read from PMS payloads, the 120–365 day window, identifier
+ * matching and the submission data handed to the Visa adapter.
+ */
+
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'error';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { extractIdentifiers, assessCE3, toCE3SubmissionData } = require('../services/ce3Eligibility');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DISPUTED_AT = new Date('2026-09-04T15:00:00Z');
+
+const IDENTIFIERS = {
+  deviceFingerprint: 'FP-7A21',
+  bookingIp: '203.0.113.45',
+  billingAddress: { line1: '12 Elm St', city: 'Albany', state: 'NY', postalCode: '12207' },
+  accountId: 'dana.w'
+};
+
+function _reservation(id, daysBefore, rawPmsData, extra = {}) {
+  return {
+    id,
+    confirmationNumber: `RES-${id}`,
+    checkOutDate: new Date(DISPUTED_AT.getTime() - daysBefore * DAY_MS),
+    totalAmount: '300.00',
+    rawPmsData,
+    folioItems: [],
+    ...extra
+  };
+}
+
+function _chargeback(overrides = {}) {
+  return {
+    id: 'cb-ce3',
+    transactionId: 'txn_disputed',
+    reasonCode: '10.4',
+    cardBrand: 'Visa',
+    cardLastFour: '4242',
+    amount: '412.50',
+    reservation: _reservation('disputed', 0, { booking: { channel: 'web', ...IDENTIFIERS } }),
+    ...overrides
+  };
+}
+
+describe('extractIdentifiers', () => {
+  it('finds identifiers under the key names PMS payloads use', () => {
+    const identifiers = extractIdentifiers({ rawPmsData: { booking: { session: IDENTIFIERS } } });
+
+    assert.deepEqual(identifiers, {
+      deviceId: 'FP-7A21',
+      ipAddress: '203.0.113.45',
+      address: '12 Elm St, Albany, NY, 12207',
+      accountLogin: 'dana.w'
+    });
+  });
+
+  it('falls back to the guest profile and loyalty number', () => {
+    const identifiers = extractIdentifiers({
+      rawPmsData: {},
+      loyaltyNumber: 'LOY-991',
+      guestProfile: { address: '12 Elm St', city: 'Albany', state: 'NY', postalCode: '12207' }
+    });
+
+    assert.equal(identifiers.address, '12 Elm St, Albany, NY, 12207');
+    assert.equal(identifiers.accountLogin, 'LOY-991');
+    assert.equal(identifiers.deviceId, null);
+  });
+});
+
+describe('assessCE3', () => {
+  it('is eligible with two prior transactions in the window sharing two identifiers', () => {
+    const result = assessCE3(_chargeback(), [
+      _reservation('prior-1', 150, { deviceId: 'FP-7A21', ip: '203.0.113.45' }),
+      // Addresses match regardless of case and punctuation
+      _reservation('prior-2', 300, { billing_address: '12 ELM ST., Albany NY 12207', username: 'Dana.W' })
+    ], DISPUTED_AT);
+
+    assert.equal(result.eligible, true);
+    assert.deepEqual(result.reasons, []);
+    assert.deepEqual(result.qualifyingTransactions.map((t) => t.matchedFields), [
+      ['deviceId', 'ipAddress'],
+      ['address', 'accountLogin']
+    ]);
+  });
+
+  it('rejects transactions outside the window or with one identifier', () => {
+    const result = assessCE3(_chargeback(), [
+      _reservation('too-recent', 90, IDENTIFIERS),
+      _reservation('too-old', 400, IDENTIFIERS),
+      _reservation('one-match', 200, { deviceId: 'FP-7A21', ip: '198.51.100.7' }),
+      _reservation('qualifies', 200, IDENTIFIERS)
+    ], DISPUTED_AT);
+
+    assert.equal(result.eligible, false);
+    assert.deepEqual(result.reasons, ['1 of 2 required qualifying prior transactions found']);
+    assert.deepEqual(result.rejectedTransactions.map((t) => t.reason), [
+      'Outside the 120–365 day window (90 days)',
+      'Outside the 120–365 day window (400 days)',
+      'Only 1 matching identifier(s)'
+    ]);
+  });
+
+  it('dates a transaction by its card payment rather than checkout', () => {
+    const prior = _reservation('paid-early', 100, IDENTIFIERS, {
+      folioItems: [{ category: 'payment', cardLastFour: '4242', postDate: new Date(DISPUTED_AT.getTime() - 130 * DAY_MS), amount: '-280.00', pmsFolioId: 'PAY-1' }]
+    });
+
+    const [transaction] = assessCE3(_chargeback(), [prior], DISPUTED_AT).qualifyingTransactions;
+
+    assert.equal(transaction.ageDays, 130);
+    assert.equal(transaction.transactionId, 'PAY-1');
+    assert.equal(transaction.amount, 280);
+  });
+
+  it('only applies to Visa 10.4 with identifiers on the disputed transaction', () => {
+    const history = [_reservation('prior-1', 150, IDENTIFIERS), _reservation('prior-2', 200, IDENTIFIERS)];
+
+    const mastercard = assessCE3(_chargeback({ cardBrand: 'Mastercard', reasonCode: '4837' }), history, DISPUTED_AT);
+    const bare = assessCE3(_chargeback({ reservation: _reservation('disputed', 0, { deviceId: 'FP-7A21' }) }), history, DISPUTED_AT);
+
+    assert.equal(mastercard.reasonCodeEligible, false);
+    assert.match(mastercard.reasons[0], /only applies to Visa reason code 10.4/);
+    assert.equal(bare.eligible, false);
+    assert.ok(bare.reasons.includes('Disputed transaction records 1 of the identifiers CE3.0 matches on'));
+  });
+});
+
+describe('toCE3SubmissionData', () => {
+  it('describes the matches for the Visa submission', () => {
+    const result = assessCE3(_chargeback(), [
+      _reservation('prior-1', 150, { deviceId: 'FP-7A21', ip: '203.0.113.45' }),
+      _reservation('prior-2', 300, { deviceId: 'FP-7A21', ip: '203.0.113.45' })
+    ], DISPUTED_AT);
+
+    const data = toCE3SubmissionData(result);
+
+    assert.equal(data.disputedTransactionId, 'txn_disputed');
+    assert.equal(data.disputedAmount, 412.5);
+    assert.equal(data.priorTransactions.length, 2);
+    assert.equal(data.deviceFingerprintMatch, true);
+    assert.equal(data.ipAddressMatch, true);
+    assert.equal(data.shippingAddressMatch, false);
+    assert.equal(data.narrative, 'CE3.0 evidence: 2 prior undisputed transactions on the same card sharing device ID, IP address with the disputed transaction.');
+  });
+});
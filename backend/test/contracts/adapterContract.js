@@ -0,0 +1,441 @@
+/**
+ * DisputeAI - Adapter Contract Harness
+ *
+ * Every PMS and dispute adapter registered with its factory has to produce the
+ * canonical shapes in canonicalShapes.js. For each adapter the harness:
+ *
+ *   1. Instantiates it through PMSAdapterFactory.createAdapter /
+ *      DisputeAdapterFactory.createDisputeAdapter, exactly as the workers do.
+ *   2. Checks it overrides the normalization methods the platform calls
+ *      (a half-finished adapter inherits the base class stubs).
+ *   3. Feeds the recorded vendor payloads in fixtures/<pms|disputes>/<TYPE>.json
+ *      through normalizeReservation / normalizeFolioItems / normalizeDispute /
+ *      parseWebhookPayload and validates the output shape, plus any
+ *      field values the fixture pins down.
+ *   4. When the fixture carries HTTP recordings, points the adapter at a
+ *      replay server (fixtureServer.js) and runs one real API call:
+ *      getReservation for PMS adapters, fetchDisputes for dispute adapters
+ *      (called the way scheduledSyncWorker calls it).
+ *   5. For PMS types the local emulator speaks (services/pms/emulator), runs a
+ *      full round trip against it: authenticate, search, read a reservation
+ *      and its folio, then parse a webhook the emulator emits.
+ *
+ * There is no allow-list: every registered adapter must pass in full,
+ * including shipping a fixture.
+ *
+ * Usage:
+ *   node test/contracts/adapterContract.js            # every adapter
+ *   node test/contracts/adapterContract.js MEWS AMEX  # selected types
+ *   node test/contracts/adapterContract.js --verbose  # list passing checks too
+ */
+
+if (require.main === module) {
+  process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'error';
+}
+
+const fs = require('fs');
+const path = require('path');
+const PMSAdapterFactory = require('../../services/pms/PMSAdapterFactory');
+const BasePMSAdapter = require('../../services/pms/BasePMSAdapter');
+const { createDisputeAdapter, getSupportedPortalTypes } = require('../../services/disputes/DisputeAdapterFactory');
+const shapes = require('./canonicalShapes');
+const { startFixtureServer } = require('./fixtureServer');
+const { startPMSEmulator, DIALECTS: EMULATED_PMS } = require('../../services/pms/emulator');
+
+const FIXTURE_DIR = path.join(__dirname, 'fixtures');
+const PLACEHOLDER_BASE_URL = 'http://127.0.0.1:9';
+
+// =============================================================================
+// HELPERS
+// =============================================================================
+
+function _loadFixture(kind, type) {
+  const file = path.join(FIXTURE_DIR, kind, `${type}.json`);
+  if (!fs.existsSync(file)) return null;
+  return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+/** Replace {{baseUrl}} placeholders in fixture credentials. */
+function _withBaseUrl(value, baseUrl) {
+  return JSON.parse(JSON.stringify(value || {}).replace(/\{\{baseUrl\}\}/g, baseUrl));
+}
+
+/** Compare the fields a fixture pins down; anything not listed is ignored. */
+function _expectFields(actual, expected, pathLabel = '') {
+  const mismatches = [];
+  if (expected === undefined) return mismatches;
+
+  if (expected !== null && typeof expected === 'object' && !Array.isArray(expected)) {
+    for (const [key, value] of Object.entries(expected)) {
+      const childPath = pathLabel ? `${pathLabel}.${key}` : key;
+      if (actual === null || typeof actual !== 'object') {
+        mismatches.push(`${childPath}: expected ${JSON.stringify(value)}, got ${JSON.stringify(actual)}`);
+      } else {
+        mismatches.push(..._expectFields(actual[key], value, childPath));
+      }
+    }
+  } else if (actual !== expected) {
+    mismatches.push(`${pathLabel}: expected ${JSON.stringify(expected)}, got ${JSON.stringify(actual)}`);
+  }
+  return mismatches;
+}
+
+/** Run a check and record it; thrown errors become failures. */
+async function _check(result, name, fn) {
+  try {
+    const problems = (await fn()) || [];
+    result.checks.push({ name, ok: problems.length === 0, problems });
+  } catch (error) {
+    result.checks.push({ name, ok: false, problems: [`threw: ${error.message}`] });
+  }
+}
+
+function _overrides(adapter, BaseClass, method) {
+  return typeof adapter[method] === 'function' && adapter[method] !== BaseClass.prototype[method];
+}
+
+function _settle(result) {
+  result.status = result.checks.every((c) => c.ok) ? 'pass' : 'fail';
+  return result;
+}
+
+// =============================================================================
+// PMS CONTRACT
+// =============================================================================
+
+/**
+ * Run the contract for one PMS adapter.
+ *
+ * @param {string} type - PMSAdapterFactory type, e.g. 'MEWS'
+ * @param {Object} [options]
+ * @param {Object} [options.emulator] - Running PMS emulator; started on demand for emulated types
+ * @returns {Promise<Object>} { kind, type, fixture, status, checks: [{ name, ok, problems }] }
+ */
+async function runPMSContract(type, { emulator } = {}) {
+  const fixture = _loadFixture('pms', type);
+  const result = { kind: 'pms', type, fixture: Boolean(fixture), checks: [] };
+
+  let adapter;
+  await _check(result, 'instantiate via PMSAdapterFactory', () => {
+    adapter = PMSAdapterFactory.createAdapter(type, {
+      baseUrl: PLACEHOLDER_BASE_URL,
+      credentials: {},
+      propertyId: 'contract-property'
+    });
+  });
+  if (!adapter) return _settle(result);
+
+  await _check(result, 'implements normalizers', () =>
+    ['normalizeReservation', 'normalizeFolioItems', 'parseWebhookPayload']
+      .filter((method) => !_overrides(adapter, BasePMSAdapter, method))
+      .map((method) => `${method}() inherited from BasePMSAdapter`)
+  );
+
+  if (!fixture) {
+    result.checks.push({ name: 'recorded fixture', ok: false, problems: [`add fixtures/pms/${type}.json`] });
+    return _settle(result);
+  }
+
+  if (fixture.reservation) {
+    await _check(result, 'normalizeReservation', () => {
+      const reservation = adapter.normalizeReservation(fixture.reservation.input, ...(fixture.reservation.args || []));
+      return [
+        ...shapes.checkShape(reservation, shapes.PMS_RESERVATION, 'reservation'),
+        ..._expectFields(reservation, fixture.reservation.expect, 'reservation')
+      ];
+    });
+  }
+
+  if (fixture.folio) {
+    await _check(result, 'normalizeFolioItems', () => {
+      const items = adapter.normalizeFolioItems(fixture.folio.input);
+      if (!Array.isArray(items)) return ['did not return an array'];
+
+      const problems = items.flatMap((item, i) => shapes.checkShape(item, shapes.PMS_FOLIO_ITEM, `folio[${i}]`));
+      if (fixture.folio.expect) {
+        if (items.length !== fixture.folio.expect.length) {
+          problems.push(`expected ${fixture.folio.expect.length} items, got ${items.length}`);
+        }
+        fixture.folio.expect.forEach((expected, i) => problems.push(..._expectFields(items[i], expected, `folio[${i}]`)));
+      }
+      return problems;
+    });
+  }
+
+  if (fixture.webhook) {
+    await _check(result, 'parseWebhookPayload', () => {
+      const event = adapter.parseWebhookPayload(fixture.webhook.input, fixture.webhook.headers || {});
+      return [
+        ...shapes.checkShape(event, shapes.PMS_WEBHOOK_EVENT, 'event'),
+        ..._expectFields(event, fixture.webhook.expect, 'event')
+      ];
+    });
+  }
+
+  if (fixture.http) {
+    await _check(result, `${fixture.http.call.method} via recorded HTTP`, async () => {
+      const server = await startFixtureServer(fixture.http.recordings);
+      try {
+        const live = PMSAdapterFactory.createAdapter(type, {
+          baseUrl: server.url,
+          credentials: _withBaseUrl(fixture.http.credentials, server.url),
+          propertyId: 'contract-property'
+        });
+        await live.authenticate();
+        const reservation = await live[fixture.http.call.method](...(fixture.http.call.args || []));
+
+        return [
+          ...shapes.checkShape(reservation, shapes.PMS_RESERVATION, 'reservation'),
+          ..._expectFields(reservation, fixture.http.expect, 'reservation'),
+          ...server.unmatched.map((request) => `unrecorded request ${request}`)
+        ];
+      } finally {
+        await server.close();
+      }
+    });
+  }
+
+  if (EMULATED_PMS[type]) {
+    await _check(result, 'round trip via PMS emulator', async () => {
+      const server = emulator || await startPMSEmulator({ dialects: [type] });
+      try {
+        return await _emulatorRoundTrip(type, server);
+      } finally {
+        if (!emulator) await server.close();
+      }
+    });
+  }
+
+  return _settle(result);
+}
+
+async function _emulatorRoundTrip(type, emulator) {
+  const live = PMSAdapterFactory.createAdapter(type, {
+    credentials: emulator.credentials(type),
+    propertyId: 'contract-property'
+  });
+  await live.authenticate();
+
+  const [first] = emulator.dataset.records;
+  const problems = [];
+
+  const found = await live.searchReservations({ checkInDate: '2000-01-01', checkOutDate: '2100-01-01', limit: 100 });
+  if (found.length !== emulator.dataset.records.length) {
+    problems.push(`searchReservations returned ${found.length} of ${emulator.dataset.records.length} reservations`);
+  }
+
+  const reservation = await live.getReservation(first.confirmationNumber);
+  problems.push(
+    ...shapes.checkShape(reservation, shapes.PMS_RESERVATION, 'reservation'),
+    ..._expectFields(reservation, {
+      confirmationNumber: first.confirmationNumber,
+      guestName: { lastName: first.guest.lastName },
+      totalAmount: first.totalAmount,
+      paymentMethod: { cardLastFour: first.guest.cardLast4 }
+    }, 'reservation')
+  );
+
+  const folio = await live.getGuestFolio(reservation.pmsReservationId);
+  problems.push(...folio.flatMap((item, i) => shapes.checkShape(item, shapes.PMS_FOLIO_ITEM, `folio[${i}]`)));
+  if (folio.length !== first.postings.length) {
+    problems.push(`folio has ${folio.length} items, emulator posted ${first.postings.length}`);
+  }
+
+  const { payload } = await emulator.emit(type, 'reservation.updated', first.id);
+  const event = live.parseWebhookPayload(JSON.stringify(payload), {});
+  problems.push(
+    ...shapes.checkShape(event, shapes.PMS_WEBHOOK_EVENT, 'event'),
+    ..._expectFields(event, { eventType: 'reservation.updated', data: { reservationId: first.id } }, 'event')
+  );
+
+  return problems;
+}
+
+// =============================================================================
+// DISPUTE CONTRACT
+// =============================================================================
+
+function _checkDisputeWebhook(adapter, webhook) {
+  // disputeInboundWorker and webhookProcessor both pass (payload, headers) and
+  // normalize event.data for new disputes. Signature checks are covered by the
+  // adapter tests, so the recorded payload is parsed as a replay.
+  const event = adapter.parseWebhookPayload(webhook.input, webhook.headers || {}, { verify: false });
+  const problems = [
+    ...shapes.checkShape(event, shapes.DISPUTE_WEBHOOK_EVENT, 'event'),
+    ..._expectFields(event, webhook.expect, 'event')
+  ];
+  if (['dispute.created', 'alert.created', 'alert.new'].includes(event?.type)) {
+    problems.push(...shapes.checkShape(adapter.normalizeDispute(event.data), shapes.NORMALIZED_DISPUTE, 'normalizeDispute(event.data)'));
+  }
+  return problems;
+}
+
+/**
+ * Run the contract for one dispute adapter.
+ *
+ * @param {string} type - DisputeAdapterFactory portal type, e.g. 'AMEX'
+ * @returns {Promise<Object>} { kind, type, fixture, status, checks: [{ name, ok, problems }] }
+ */
+async function runDisputeContract(type) {
+  const fixture = _loadFixture('disputes', type);
+  const result = { kind: 'dispute', type, fixture: Boolean(fixture), checks: [] };
+
+  let adapter;
+  await _check(result, 'instantiate via DisputeAdapterFactory', () => {
+    adapter = createDisputeAdapter(type, { baseUrl: PLACEHOLDER_BASE_URL, credentials: {} });
+    return adapter ? [] : ['factory returned null'];
+  });
+  if (!adapter) return _settle(result);
+
+  const acceptsWebhooks = adapter.getFeatures().includes('webhook_notifications');
+  await _check(result, 'implements normalizers', () => {
+    const problems = [];
+    if (typeof adapter.normalizeDispute !== 'function') problems.push('normalizeDispute() missing');
+    if (acceptsWebhooks && typeof adapter.parseWebhookPayload !== 'function') {
+      problems.push('parseWebhookPayload() missing but getFeatures() lists webhook_notifications');
+    }
+    return problems;
+  });
+
+  if (!fixture) {
+    result.checks.push({ name: 'recorded fixture', ok: false, problems: [`add fixtures/disputes/${type}.json`] });
+    return _settle(result);
+  }
+
+  if (fixture.dispute) {
+    await _check(result, 'normalizeDispute', () => {
+      const dispute = adapter.normalizeDispute(fixture.dispute.input);
+      return [
+        ...shapes.checkShape(dispute, shapes.NORMALIZED_DISPUTE, 'dispute'),
+        ..._expectFields(dispute, fixture.dispute.expect, 'dispute')
+      ];
+    });
+  }
+
+  if (fixture.webhook) {
+    await _check(result, 'parseWebhookPayload', () => _checkDisputeWebhook(adapter, fixture.webhook));
+  } else if (acceptsWebhooks) {
+    result.checks.push({ name: 'parseWebhookPayload', ok: false, problems: ['adapter accepts webhooks but the fixture has no webhook payload'] });
+  }
+
+  if (fixture.http) {
+    await _check(result, 'fetchDisputes via recorded HTTP', async () => {
+      const server = await startFixtureServer(fixture.http.recordings);
+      try {
+        const live = createDisputeAdapter(type, {
+          baseUrl: server.url,
+          credentials: _withBaseUrl(fixture.http.credentials, server.url)
+        });
+        const response = await live.fetchDisputes({
+          since: new Date(Date.now() - 24 * 60 * 60 * 1000),
+          status: 'all',
+          page: 1,
+          limit: 100
+        });
+
+        if (!Array.isArray(response?.disputes)) {
+          return [`fetchDisputes() returned ${Array.isArray(response) ? 'an array' : typeof response}; scheduledSyncWorker reads { disputes: [raw] }`];
+        }
+        const problems = response.disputes.flatMap((raw, i) =>
+          shapes.checkShape(live.normalizeDispute(raw), shapes.NORMALIZED_DISPUTE, `disputes[${i}]`));
+        if (fixture.http.expectCount !== undefined && response.disputes.length !== fixture.http.expectCount) {
+          problems.push(`expected ${fixture.http.expectCount} disputes, got ${response.disputes.length}`);
+        }
+        return [...problems, ...server.unmatched.map((request) => `unrecorded request ${request}`)];
+      } finally {
+        await server.close();
+      }
+    });
+  }
+
+  return _settle(result);
+}
+
+// =============================================================================
+// RUNNER
+// =============================================================================
+
+/** Dispute portal types, keeping the first key when several map to one class (VISA_VROL / VROL). */
+function _disputeTypes() {
+  const seen = new Set();
+  return getSupportedPortalTypes().filter((type) => {
+    const AdapterClass = createDisputeAdapter(type, { credentials: {} })?.constructor;
+    if (seen.has(AdapterClass)) return false;
+    seen.add(AdapterClass);
+    return true;
+  });
+}
+
+/**
+ * Run the contract for every registered adapter, or only the given types.
+ *
+ * @param {string[]} [only] - Factory types to run
+ * @returns {Promise<Object>} { results, ok, counts }
+ */
+async function runAllContracts(only = []) {
+  const wanted = only.map((type) => type.toUpperCase());
+  const pick = (types) => (wanted.length ? types.filter((type) => wanted.includes(type)) : types);
+  const results = [];
+
+  const pmsTypes = pick(PMSAdapterFactory.getSupportedTypes());
+  const emulated = pmsTypes.filter((type) => EMULATED_PMS[type]);
+  const emulator = emulated.length ? await startPMSEmulator({ dialects: emulated }) : null;
+  try {
+    for (const type of pmsTypes) {
+      results.push(await runPMSContract(type, { emulator }));
+    }
+  } finally {
+    if (emulator) await emulator.close();
+  }
+  for (const type of pick(_disputeTypes())) {
+    results.push(await runDisputeContract(type));
+  }
+
+  const counts = results.reduce((acc, r) => ({ ...acc, [r.status]: (acc[r.status] || 0) + 1 }), {});
+  return {
+    results,
+    counts,
+    ok: !counts.fail
+  };
+}
+
+function _printReport({ results, counts, ok }, { verbose }) {
+  const labels = { pass: 'PASS', fail: 'FAIL' };
+
+  for (const result of results) {
+    const note = result.fixture ? '' : ' (no fixture)';
+    console.log(`${labels[result.status]}  ${result.kind.padEnd(7)} ${result.type}${note}`);
+
+    for (const check of result.checks) {
+      if (check.ok && !verbose) continue;
+      console.log(`        ${check.ok ? 'ok ' : 'x  '} ${check.name}`);
+      check.problems.forEach((problem) => console.log(`             ${problem}`));
+    }
+  }
+
+  console.log('');
+  console.log(`${results.length} adapters: ${Object.entries(counts).map(([status, n]) => `${n} ${status}`).join(', ')}`);
+  console.log(ok ? 'Adapter contract: OK' : 'Adapter contract: FAILED');
+}
+
+module.exports = {
+  runPMSContract,
+  runDisputeContract,
+  runAllContracts
+};
+
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const verbose = args.includes('--verbose');
+  const only = args.filter((arg) => !arg.startsWith('--'));
+
+  runAllContracts(only)
+    .then((summary) => {
+      _printReport(summary, { verbose });
+      process.exit(summary.ok ? 0 : 1);
+    })
+    .catch((error) => {
+      console.error(error);
+      process.exit(1);
+    });
+}
@@ -0,0 +1,245 @@
+/**
+ * DisputeAI - Canonical Adapter Shapes
+ *
+ * The objects every PMS and dispute adapter must hand back to the rest of the
+ * platform, written down as checkable schemas. The reservation and folio
+ * shapes follow BasePMSAdapter's normalization contract; the dispute shapes
+ * follow what disputeInboundWorker, scheduledSyncWorker and webhookProcessor
+ * read from adapter output.
+ *
+ * Schema notation:
+ *   'string' | 'number' | 'boolean' | 'object' | 'array' | 'isoDate' | 'any'
+ *   A trailing '?' allows null / undefined.
+ *   { oneOf: [...], optional }    - Value must be one of the listed values
+ *   { pattern: /re/, optional }   - String matching the pattern
+ *   { shape: {...}, optional }    - Nested object checked against a schema
+ *   { arrayOf: schema, optional } - Array whose items match the schema
+ */
+
+// =============================================================================
+// VOCABULARIES
+// =============================================================================
+
+/** Values produced by normalizers.normalizeReservationStatus */
+const RESERVATION_STATUSES = [
+  'confirmed', 'checked_in', 'checked_out', 'cancelled', 'no_show', 'reserved', 'pending', 'unknown'
+];
+
+/** Values produced by normalizers.normalizeFolioCategory */
+const FOLIO_CATEGORIES = [
+  'room', 'tax', 'incidental', 'food_beverage', 'payment', 'adjustment', 'fee', 'other'
+];
+
+/** Prisma ChargebackStatus */
+const CHARGEBACK_STATUSES = ['PENDING', 'IN_REVIEW', 'SUBMITTED', 'WON', 'LOST', 'EXPIRED', 'CANCELLED'];
+
+/** Event types disputeInboundWorker acts on */
+const DISPUTE_EVENT_TYPES = [
+  'dispute.created', 'dispute.updated', 'dispute.resolved', 'dispute.closed',
+  'evidence.requested', 'alert.created', 'alert.new', 'alert.updated'
+];
+
+const CURRENCY = { pattern: /^[A-Z]{3}$/ };
+
+// =============================================================================
+// PMS SHAPES
+// =============================================================================
+
+const GUEST_NAME = {
+  firstName: 'string',
+  lastName: 'string',
+  fullName: 'string'
+};
+
+const PMS_RESERVATION = {
+  confirmationNumber: 'string',
+  pmsReservationId: 'string?',
+  status: { oneOf: RESERVATION_STATUSES },
+  guestProfileId: 'string?',
+  guestName: { shape: GUEST_NAME },
+  email: 'string?',
+  phone: 'string?',
+  address: 'object?',
+  checkInDate: 'isoDate?',
+  checkOutDate: 'isoDate?',
+  roomNumber: 'string?',
+  roomType: 'string?',
+  rateCode: 'string?',
+  totalAmount: 'number',
+  currency: CURRENCY,
+  numberOfGuests: 'number?',
+  numberOfNights: 'number?',
+  paymentMethod: {
+    shape: {
+      cardBrand: 'string',
+      cardLastFour: 'string?',
+      authCode: 'string?'
+    }
+  },
+  bookingSource: 'string?',
+  createdAt: 'isoDate?',
+  updatedAt: 'isoDate?',
+  specialRequests: 'string?',
+  loyaltyNumber: 'string?',
+  pmsRaw: 'any'
+};
+
+const PMS_FOLIO_ITEM = {
+  folioId: 'string?',
+  transactionId: 'string?',
+  transactionCode: 'string?',
+  category: { oneOf: FOLIO_CATEGORIES },
+  description: 'string',
+  amount: 'number',
+  currency: CURRENCY,
+  postDate: 'isoDate?',
+  cardLastFour: 'string?',
+  authCode: 'string?',
+  reference: 'string?',
+  reversalFlag: 'boolean',
+  quantity: 'number?'
+};
+
+const PMS_WEBHOOK_EVENT = {
+  eventType: 'string',
+  timestamp: 'isoDate',
+  data: 'object'
+};
+
+// =============================================================================
+// DISPUTE SHAPES
+// =============================================================================
+
+const NORMALIZED_DISPUTE = {
+  disputeId: 'string',
+  caseNumber: 'string?',
+  amount: 'number',
+  currency: CURRENCY,
+  cardLastFour: 'string?',
+  cardBrand: 'string?',
+  guestName: 'string?',
+  reasonCode: 'string?',
+  reasonDescription: 'string?',
+  disputeDate: 'isoDate?',
+  dueDate: 'isoDate?',
+  status: { oneOf: CHARGEBACK_STATUSES },
+  portalStatus: 'string?',
+  disputeStage: 'string?',
+  relatedDisputeId: 'string?',
+  transactionId: 'string?',
+  portalType: 'string?',
+  rawData: 'any'
+};
+
+/** parseWebhookPayload(payload, headers) as consumed by disputeInboundWorker and webhookProcessor */
+const DISPUTE_WEBHOOK_EVENT = {
+  type: { oneOf: DISPUTE_EVENT_TYPES },
+  data: 'object',
+  eventId: 'string?',
+  timestamp: 'isoDate?'
+};
+
+// =============================================================================
+// VALIDATION
+// =============================================================================
+
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}(T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?)?$/;
+
+function _describe(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (value instanceof Date) return 'Date';
+  return typeof value;
+}
+
+function _checkPrimitive(value, type) {
+  switch (type) {
+    case 'any':
+      return true;
+    case 'string':
+      return typeof value === 'string';
+    case 'number':
+      return typeof value === 'number' && Number.isFinite(value);
+    case 'boolean':
+      return typeof value === 'boolean';
+    case 'object':
+      return value !== null && typeof value === 'object' && !Array.isArray(value);
+    case 'array':
+      return Array.isArray(value);
+    case 'isoDate':
+      return typeof value === 'string' && ISO_DATE.test(value) && !isNaN(new Date(value).getTime());
+    default:
+      throw new Error(`Unknown schema type "${type}"`);
+  }
+}
+
+function _checkValue(value, rule, path, violations) {
+  const optional = typeof rule === 'string' ? rule.endsWith('?') : Boolean(rule.optional);
+  if (value === null || value === undefined) {
+    if (!optional) violations.push(`${path}: missing (got ${_describe(value)})`);
+    return;
+  }
+
+  if (typeof rule === 'string') {
+    const type = rule.replace(/\?$/, '');
+    if (!_checkPrimitive(value, type)) {
+      violations.push(`${path}: expected ${type}, got ${_describe(value)}${typeof value === 'string' ? ` "${value}"` : ''}`);
+    }
+    return;
+  }
+
+  if (rule.oneOf) {
+    if (!rule.oneOf.includes(value)) violations.push(`${path}: "${value}" is not one of ${rule.oneOf.join(', ')}`);
+  } else if (rule.pattern) {
+    if (typeof value !== 'string' || !rule.pattern.test(value)) violations.push(`${path}: "${value}" does not match ${rule.pattern}`);
+  } else if (rule.shape) {
+    if (!_checkPrimitive(value, 'object')) {
+      violations.push(`${path}: expected object, got ${_describe(value)}`);
+    } else {
+      _checkObject(value, rule.shape, path, violations);
+    }
+  } else if (rule.arrayOf) {
+    if (!Array.isArray(value)) {
+      violations.push(`${path}: expected array, got ${_describe(value)}`);
+    } else {
+      value.forEach((item, i) => _checkValue(item, rule.arrayOf, `${path}[${i}]`, violations));
+    }
+  }
+}
+
+function _checkObject(value, schema, path, violations) {
+  for (const [key, rule] of Object.entries(schema)) {
+    _checkValue(value[key], rule, path ? `${path}.${key}` : key, violations);
+  }
+}
+
+/**
+ * Check a value against a canonical schema.
+ *
+ * @param {*} value - Adapter output
+ * @param {Object} schema - One of the shapes exported by this module
+ * @param {string} [label] - Prefix for violation paths
+ * @returns {string[]} Violations; empty when the value conforms
+ */
+function checkShape(value, schema, label = '') {
+  const violations = [];
+  if (!_checkPrimitive(value, 'object')) {
+    violations.push(`${label || 'result'}: expected object, got ${_describe(value)}`);
+  } else {
+    _checkObject(value, schema, label, violations);
+  }
+  return violations;
+}
+
+module.exports = {
+  RESERVATION_STATUSES,
+  FOLIO_CATEGORIES,
+  CHARGEBACK_STATUSES,
+  DISPUTE_EVENT_TYPES,
+  PMS_RESERVATION,
+  PMS_FOLIO_ITEM,
+  PMS_WEBHOOK_EVENT,
+  NORMALIZED_DISPUTE,
+  DISPUTE_WEBHOOK_EVENT,
+  checkShape
+};
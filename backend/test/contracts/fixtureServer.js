@@ -0,0 +1,73 @@
+/**
+ * DisputeAI - Recorded Fixture HTTP Server
+ *
+ * Replays recorded vendor API exchanges so adapters can be driven end to end
+ * without reaching the real PMS or card network. Each recording is
+ * { method, path, query?, status?, body }; a request is answered by the first
+ * recording whose method and path match and whose query (when recorded) is a
+ * subset of the request's. Anything without a recording gets a 501 and is
+ * listed in `unmatched`, so a contract run can tell "adapter called an
+ * endpoint we never recorded" apart from "vendor returned an error".
+ *
+ * Usage:
+ *   const { startFixtureServer } = require('./test/contracts/fixtureServer');
+ *   const server = await startFixtureServer(fixture.http.recordings);
+ *   ...
+ *   await server.close();
+ */
+
+const express = require('express');
+
+function _queryMatches(recorded, actual) {
+  if (!recorded) return true;
+  return Object.entries(recorded).every(([key, value]) => String(actual[key]) === String(value));
+}
+
+/**
+ * Start a replay server for a list of recordings.
+ *
+ * @param {Object[]} recordings - Recorded exchanges
+ * @param {Object} [options]
+ * @param {number} [options.port=0] - 0 picks a free port
+ * @returns {Promise<Object>} { url, port, requests, unmatched, close }
+ */
+function startFixtureServer(recordings = [], { port = 0 } = {}) {
+  const requests = [];
+  const unmatched = [];
+
+  const app = express();
+  app.use(express.text({ type: '*/*', limit: '10mb' }));
+
+  app.use((req, res) => {
+    requests.push({ method: req.method, path: req.path, query: req.query, headers: req.headers });
+
+    const recording = recordings.find((r) =>
+      r.method.toUpperCase() === req.method &&
+      r.path === req.path &&
+      _queryMatches(r.query, req.query)
+    );
+
+    if (!recording) {
+      unmatched.push(`${req.method} ${req.originalUrl}`);
+      return res.status(501).json({ error: 'NO_RECORDING', message: `No recorded response for ${req.method} ${req.path}` });
+    }
+
+    res.status(recording.status || 200).json(recording.body);
+  });
+
+  return new Promise((resolve, reject) => {
+    const server = app.listen(port, '127.0.0.1', () => {
+      const actualPort = server.address().port;
+      resolve({
+        url: `http://127.0.0.1:${actualPort}`,
+        port: actualPort,
+        requests,
+        unmatched,
+        close: () => new Promise((done) => server.close(done))
+      });
+    });
+    server.on('error', reject);
+  });
+}
+
+module.exports = { startFixtureServer };
@@ -0,0 +1,372 @@
+/**
+ * Deadline engine (services/deadlines.js): due dates on the business
+ * calendar, warning notifications, expiry of unanswered cases (also through
+ * the deadline worker) and expiry risk. The database and notifications
+ * controller are replaced in the require cache with in-memory stand-ins.
+ */
+
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'error';
+
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { isDatabaseUnavailable } = require('../config/database');
+
+let storedSettings;
+let chargebacks;
+let notifications;
+let timeline;
+
+const USERS = [
+  { id: 'admin-1', role: 'ADMIN', propertyId: null },
+  { id: 'manager-1', role: 'MANAGER', propertyId: 'prop-1' },
+  { id: 'staff-1', role: 'STAFF', propertyId: 'prop-1' },
+  { id: 'manager-2', role: 'MANAGER', propertyId: 'prop-2' }
+];
+
+function _stub(modulePath, exports) {
+  const file = require.resolve(modulePath);
+  require.cache[file] = { id: file, filename: file, loaded: true, exports };
+}
+
+/** The subset of Prisma's chargeback filter the deadline jobs use */
+function _matches(chargeback, where) {
+  if (where.id && chargeback.id !== where.id) return false;
+  if (where.status?.in && !where.status.in.includes(chargeback.status)) return false;
+  const due = chargeback.dueDate.getTime();
+  if (where.dueDate?.gt && !(due > where.dueDate.gt.getTime())) return false;
+  if (where.dueDate?.lte && !(due <= where.dueDate.lte.getTime())) return false;
+  if (where.dueDate?.lt && !(due < where.dueDate.lt.getTime())) return false;
+  return true;
+}
+
+_stub('../config/database', {
+  prisma: {
+    systemConfig: {
+      findUnique: async () => (storedSettings ? { value: storedSettings } : null),
+      upsert: async ({ create }) => {
+        storedSettings = create.value;
+        return create;
+      }
+    },
+    chargeback: {
+      findMany: async ({ where }) => chargebacks.filter((c) => _matches(c, where)).map((c) => ({ ...c })),
+      updateMany: async ({ where, data }) => {
+        const matched = chargebacks.filter((c) => _matches(c, where));
+        matched.forEach((c) => Object.assign(c, data));
+        return { count: matched.length };
+      }
+    },
+    user: {
+      findMany: async ({ where }) => USERS.filter((u) => (where.role.in ? where.role.in.includes(u.role) : u.role !== where.role.not))
+    },
+    notification: {
+      findFirst: async ({ where }) => notifications.find((n) => n.type === where.type && n.metadata.warningKey === where.metadata.equals) || null
+    },
+    timelineEvent: { create: async ({ data }) => timeline.push(data) }
+  },
+  isDatabaseUnavailable
+});
+_stub('../controllers/notificationsController', {
+  createBulkNotifications: async (userIds, notification) => notifications.push({ userIds, ...notification })
+});
+
+const {
+  DEFAULT_SETTINGS,
+  calculateDueDate,
+  subtractBusinessDays,
+  saveDeadlineSettings,
+  sendDeadlineWarnings,
+  expireOverdueCases,
+  assessExpiryRisk
+} = require('../services/deadlines');
+const deadlineProcessor = require('../services/queue/workers/deadlineWorker');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Visa pre-arbitration has a fixed 30-day window, so the network deadline is
+// simply openedAt + 30 days
+const _opened = (networkDeadline) => new Date(new Date(networkDeadline).getTime() - 30 * DAY_MS);
+const _due = (networkDeadline, input = {}, settings = DEFAULT_SETTINGS) => calculateDueDate({
+  cardBrand: 'VISA',
+  stage: 'pre_arbitration',
+  openedAt: _opened(networkDeadline),
+  processor: 'Stripe',
+  timezone: 'America/New_York',
+  ...input
+}, settings);
+
+function _case(id, dueDate, overrides = {}) {
+  return {
+    id,
+    caseNumber: `CB-2026-${id.slice(-4).padStart(4, '0')}`,
+    status: 'PENDING',
+    guestName: 'Dana Whitfield',
+    amount: '412.50',
+    currency: 'USD',
+    dueDate: new Date(dueDate),
+    propertyId: 'prop-1',
+    property: { name: 'Harbor Hotel', timezone: 'America/New_York' },
+    ...overrides
+  };
+}
+
+// =============================================================================
+// BUSINESS CALENDAR
+// =============================================================================
+
+describe('subtractBusinessDays', () => {
+  it('skips weekends', () => {
+    // Monday less one business day is the Friday before
+    assert.equal(subtractBusinessDays('2026-10-19', 1), '2026-10-16');
+    assert.equal(subtractBusinessDays('2026-10-19', 3), '2026-10-14');
+  });
+
+  it('skips holidays', () => {
+    const settings = { ...DEFAULT_SETTINGS, holidays: ['2026-10-16', '2026-10-15'] };
+    assert.equal(subtractBusinessDays('2026-10-19', 1, settings), '2026-10-14');
+  });
+
+  it('leaves the date alone for no buffer', () => {
+    assert.equal(subtractBusinessDays('2026-10-18', 0), '2026-10-18');
+  });
+});
+
+// =============================================================================
+// DUE DATES
+// =============================================================================
+
+describe('calculateDueDate', () => {
+  it('holds back the processor buffer and ends the day at close of business', () => {
+    // Thursday deadline, Stripe holds back one business day: Wednesday 17:00 EDT
+    const deadline = _due('2026-10-15T16:00:00Z');
+
+    assert.equal(deadline.source, 'network');
+    assert.equal(deadline.responseDays, 30);
+    assert.equal(deadline.bufferDays, 1);
+    assert.equal(deadline.dueDate.toISOString(), '2026-10-14T21:00:00.000Z');
+  });
+
+  it('rolls back off weekends and holidays', () => {
+    // Monday deadline: the buffer lands on Friday, which is a holiday
+    const settings = { ...DEFAULT_SETTINGS, holidays: ['2026-10-16'] };
+
+    assert.equal(_due('2026-10-19T16:00:00Z').dueDate.toISOString(), '2026-10-16T21:00:00.000Z');
+    assert.equal(_due('2026-10-19T16:00:00Z', {}, settings).dueDate.toISOString(), '2026-10-15T21:00:00.000Z');
+    // A Sunday deadline with no buffer is due the Friday before
+    assert.equal(_due('2026-10-18T16:00:00Z', { processor: 'Unknown' }, { ...DEFAULT_SETTINGS, defaultBufferDays: 0 }).dueDate.toISOString(), '2026-10-16T21:00:00.000Z');
+  });
+
+  it('keeps close of business local when the buffer crosses a DST change', () => {
+    // Clocks fall back on Sun 1 Nov 2026: a Tuesday EST deadline less three
+    // business days (Shift4) is the Thursday before, at 17:00 EDT
+    assert.equal(_due('2026-11-03T15:00:00Z', { processor: 'Shift4' }).dueDate.toISOString(), '2026-10-29T21:00:00.000Z');
+    // Clocks spring forward on Sun 8 Mar 2026: Friday before is still EST
+    assert.equal(_due('2026-03-10T15:00:00Z', { processor: 'Adyen' }).dueDate.toISOString(), '2026-03-06T22:00:00.000Z');
+    assert.equal(_due('2026-03-10T15:00:00Z').dueDate.toISOString(), '2026-03-09T21:00:00.000Z');
+  });
+
+  it('uses the portal date as the deadline with no buffer', () => {
+    const deadline = _due(null, { portalDueDate: '2026-10-16T23:59:00Z' });
+
+    assert.equal(deadline.source, 'portal');
+    assert.equal(deadline.bufferDays, 0);
+    assert.equal(deadline.responseDays, null);
+    assert.equal(deadline.dueDate.toISOString(), '2026-10-16T21:00:00.000Z');
+  });
+
+  it('never falls after the portal date', () => {
+    // Portal cut-off at 10:00 EDT, before close of business
+    const deadline = _due(null, { portalDueDate: '2026-10-15T14:00:00Z' });
+
+    assert.equal(deadline.dueDate.toISOString(), '2026-10-15T14:00:00.000Z');
+  });
+
+  it('has no due date while the issuer has the next move', () => {
+    assert.equal(_due('2026-10-15T16:00:00Z', { stage: 'representment' }), null);
+  });
+});
+
+// =============================================================================
+// WARNINGS
+// =============================================================================
+
+describe('sendDeadlineWarnings', () => {
+  const NOW = new Date('2026-10-19T13:00:00Z');
+
+  beforeEach(() => {
+    chargebacks = [
+      _case('cb-0001', NOW.getTime() + 2.5 * DAY_MS),
+      _case('cb-0002', NOW.getTime() + 6.5 * DAY_MS, { propertyId: 'prop-2' }),
+      _case('cb-0003', NOW.getTime() + 20 * DAY_MS),
+      _case('cb-0004', NOW.getTime() + 1 * DAY_MS, { status: 'SUBMITTED' })
+    ];
+    notifications = [];
+  });
+
+  it('warns once per case at the tightest offset crossed', async () => {
+    const result = await sendDeadlineWarnings({ now: NOW });
+
+    assert.deepEqual(result, { checked: 2, sent: 2 });
+    const [first, second] = notifications;
+    assert.equal(first.metadata.caseId, 'cb-0001');
+    assert.equal(first.metadata.offsetDays, 3);
+    assert.equal(first.priority, 'HIGH');
+    assert.equal(first.title, 'Response due in 3 days: CB-2026-0001');
+    assert.equal(second.metadata.offsetDays, 7);
+    assert.equal(second.priority, 'MEDIUM');
+  });
+
+  it('sends to admins and the property team only', async () => {
+    await sendDeadlineWarnings({ now: NOW });
+
+    assert.deepEqual(notifications[0].userIds, ['admin-1', 'manager-1', 'staff-1']);
+    assert.deepEqual(notifications[1].userIds, ['admin-1', 'manager-2']);
+  });
+
+  it('does not repeat a warning on the next run', async () => {
+    await sendDeadlineWarnings({ now: NOW });
+    const again = await sendDeadlineWarnings({ now: new Date(NOW.getTime() + 60 * 60 * 1000) });
+
+    assert.deepEqual(again, { checked: 2, sent: 0 });
+    assert.equal(notifications.length, 2);
+  });
+
+  it('warns again as the next offset is crossed or the due date moves', async () => {
+    await sendDeadlineWarnings({ now: NOW });
+
+    // A day later the first case is inside the 3-day offset it was already warned at,
+    // and the second case's deadline has been recalculated
+    chargebacks[1].dueDate = new Date(NOW.getTime() + 5 * DAY_MS);
+    const later = await sendDeadlineWarnings({ now: new Date(NOW.getTime() + DAY_MS) });
+
+    assert.equal(later.sent, 1);
+    assert.equal(notifications[2].metadata.caseId, 'cb-0002');
+
+    const lastDay = await sendDeadlineWarnings({ now: new Date(NOW.getTime() + 2 * DAY_MS) });
+    assert.equal(lastDay.sent, 2);
+    assert.equal(notifications[3].metadata.caseId, 'cb-0001');
+    assert.equal(notifications[3].metadata.offsetDays, 1);
+    assert.equal(notifications[3].priority, 'URGENT');
+  });
+});
+
+// =============================================================================
+// EXPIRY
+// =============================================================================
+
+describe('expireOverdueCases', () => {
+  const NOW = new Date('2026-10-19T13:00:00Z');
+
+  beforeEach(async () => {
+    storedSettings = null;
+    await saveDeadlineSettings({});
+    chargebacks = [
+      _case('cb-0001', NOW.getTime() - 2 * DAY_MS),
+      _case('cb-0002', NOW.getTime() - 0.5 * DAY_MS, { status: 'IN_REVIEW', amount: '99.99', propertyId: 'prop-2' }),
+      _case('cb-0003', NOW.getTime() - 5 * DAY_MS, { status: 'SUBMITTED' }),
+      _case('cb-0004', NOW.getTime() + DAY_MS)
+    ];
+    notifications = [];
+    timeline = [];
+  });
+
+  it('expires open cases past their due date and records the loss', async () => {
+    const result = await expireOverdueCases({ now: NOW });
+
+    assert.deepEqual(result, { expired: 2, lostAmount: 512.49 });
+    assert.deepEqual(chargebacks.map((c) => c.status), ['EXPIRED', 'EXPIRED', 'SUBMITTED', 'PENDING']);
+    assert.equal(chargebacks[0].lostAmount, '412.50');
+    assert.equal(chargebacks[0].resolvedAt, NOW);
+    assert.equal(timeline[1].metadata.previousStatus, 'IN_REVIEW');
+  });
+
+  it('tells admins and the property managers', async () => {
+    await expireOverdueCases({ now: NOW });
+
+    assert.deepEqual(notifications[0].userIds, ['admin-1', 'manager-1']);
+    assert.deepEqual(notifications[1].userIds, ['admin-1', 'manager-2']);
+    assert.equal(notifications[0].priority, 'URGENT');
+  });
+
+  it('waits out the grace period', async () => {
+    await saveDeadlineSettings({ expiryGraceDays: 1 });
+
+    const result = await expireOverdueCases({ now: NOW });
+
+    assert.equal(result.expired, 1);
+    assert.equal(chargebacks[1].status, 'IN_REVIEW');
+  });
+
+  it('does nothing for cases already expired', async () => {
+    await expireOverdueCases({ now: NOW });
+    const again = await expireOverdueCases({ now: NOW });
+
+    assert.deepEqual(again, { expired: 0, lostAmount: 0 });
+    assert.equal(timeline.length, 2);
+  });
+});
+
+describe('deadline worker', () => {
+  beforeEach(async () => {
+    await saveDeadlineSettings({});
+    chargebacks = [_case('cb-0001', Date.now() - DAY_MS), _case('cb-0002', Date.now() + 2 * DAY_MS)];
+    notifications = [];
+    timeline = [];
+  });
+
+  it('runs the expiry and warning jobs', async () => {
+    assert.deepEqual(await deadlineProcessor({ id: 'job-1', name: 'expire-overdue' }), { expired: 1, lostAmount: 412.5 });
+    assert.deepEqual(await deadlineProcessor({ id: 'job-2', name: 'deadline-warnings' }), { checked: 1, sent: 1 });
+  });
+
+  it('fails jobs it does not know', async () => {
+    await assert.rejects(deadlineProcessor({ id: 'job-3', name: 'expire-everything' }), /Unknown deadline job/);
+  });
+});
+
+// =============================================================================
+// EXPIRY RISK
+// =============================================================================
+
+describe('assessExpiryRisk', () => {
+  const NOW = new Date('2026-10-19T13:00:00Z');
+  const due = (days) => new Date(NOW.getTime() + days * DAY_MS);
+  const CASE = { status: 'IN_REVIEW', reasonCode: '13.1', cardBrand: 'VISA' };
+  const COMPLETE = ['FOLIO', 'AUTH_SIGNATURE', 'KEY_CARD_LOG'];
+
+  it('carries no risk far from the due date with the evidence on file', () => {
+    const risk = assessExpiryRisk({ ...CASE, dueDate: due(20) }, COMPLETE, { now: NOW });
+
+    assert.equal(risk.score, 0);
+    assert.equal(risk.level, 'LOW');
+    assert.deepEqual(risk.reasons, []);
+  });
+
+  it('rises as the due date nears and evidence is missing', () => {
+    const risk = assessExpiryRisk({ ...CASE, dueDate: due(3.5) }, ['FOLIO'], { now: NOW });
+
+    // 60 * (1 - 3.5/14) + 40 * (1 - 1/3)
+    assert.equal(risk.score, 72);
+    assert.equal(risk.level, 'HIGH');
+    assert.deepEqual(risk.missingRequired, ['AUTH_SIGNATURE', 'KEY_CARD_LOG']);
+    assert.deepEqual(risk.reasons, ['Due in 4 days', '2 required evidence items missing']);
+  });
+
+  it('flags a case nobody has picked up close to the deadline', () => {
+    const reviewed = assessExpiryRisk({ ...CASE, dueDate: due(2) }, COMPLETE, { now: NOW });
+    const untouched = assessExpiryRisk({ ...CASE, status: 'PENDING', dueDate: due(2) }, COMPLETE, { now: NOW });
+
+    assert.equal(untouched.score - reviewed.score, 10);
+    assert.ok(untouched.reasons.includes('Not yet picked up for review'));
+  });
+
+  it('is at full time risk once overdue', () => {
+    const risk = assessExpiryRisk({ ...CASE, dueDate: due(-1) }, COMPLETE, { now: NOW });
+
+    assert.equal(risk.overdue, true);
+    assert.equal(risk.score, 60);
+    assert.equal(risk.level, 'MEDIUM');
+    assert.deepEqual(risk.reasons, ['Past the response due date']);
+  });
+});
@@ -0,0 +1,143 @@
+/**
+ * DiscoverDisputeAdapter against the local Discover mock
+ * (test/mocks/discoverMock.js) and its seeded disputes, one
+ * per stage, with OAuth2 client-credentials tokens issued by the mock.
+ */
+
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'error';
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+const DiscoverDisputeAdapter = require('../services/disputes/DiscoverDisputeAdapter');
+const { startDiscoverMock } = require('./mocks/discoverMock');
+
+const CREDENTIALS = { clientId: 'discover-test-client', clientSecret: 'discover-test-secret' };
+const FOLIO = { fileName: 'folio.pdf', mimeType: 'application/pdf', data: Buffer.from('%PDF-1.4 folio') };
+
+describe('DiscoverDisputeAdapter', () => {
+  let mock;
+  let adapter;
+
+  before(async () => {
+    mock = await startDiscoverMock(CREDENTIALS);
+    adapter = new DiscoverDisputeAdapter({ baseUrl: mock.url, credentials: CREDENTIALS });
+  });
+
+  after(() => mock.close());
+
+  describe('authentication', () => {
+    it('fetches one token and reuses it', async () => {
+      await adapter.getDispute('DS-7001');
+      await adapter.getDispute('DS-7002');
+
+      assert.equal(mock.tokensIssued, 1);
+    });
+
+    it('fails with the wrong client secret', async () => {
+      const stranger = new DiscoverDisputeAdapter({ baseUrl: mock.url, credentials: { ...CREDENTIALS, clientSecret: 'nope' } });
+      await assert.rejects(stranger.getDispute('DS-7001'), /Discover OAuth2 authentication failed/);
+    });
+  });
+
+  describe('fetchDisputes', () => {
+    it('returns raw disputes and normalizes each stage', async () => {
+      const result = await adapter.fetchDisputes({ since: new Date(0) });
+
+      assert.equal(result.totalCount, 5);
+      assert.ok(result.disputes.every((record) => record.disputeType));
+
+      const stages = Object.fromEntries(result.disputes.map((record) => [record.disputeId, adapter.normalizeDispute(record).disputeStage]));
+      assert.deepEqual(stages, {
+        'DS-7001': 'inquiry',
+        'DS-7002': 'chargeback',
+        'DS-7003': 'representment',
+        'DS-7004': 'arbitration',
+        'DS-7005': 'representment'
+      });
+    });
+
+    it('filters by type', async () => {
+      const inquiries = await adapter.listInquiries({ since: new Date(0) });
+      const chargebacks = await adapter.listChargebacks({ since: new Date(0) });
+
+      assert.deepEqual(inquiries.disputes.map((record) => record.disputeId), ['DS-7001']);
+      assert.equal(chargebacks.totalCount, 4);
+    });
+
+    it('gives a deadline only while the merchant has to act', async () => {
+      const inquiry = await adapter.getDispute('DS-7001');
+      const represented = await adapter.getDispute('DS-7003');
+      const arbitration = await adapter.getDispute('DS-7004');
+
+      assert.equal(inquiry.isPreChargeback, true);
+      assert.equal(inquiry.dueDate, adapter.calculateStageDeadline('inquiry', mock.state[0].inquiryDate));
+      assert.equal(represented.awaiting, 'issuer');
+      assert.equal(represented.dueDate, null);
+      assert.equal(arbitration.dueDate, adapter.calculateStageDeadline('arbitration', mock.state[3].arbitrationDate));
+    });
+
+    it('links a chargeback to the inquiry it came from', async () => {
+      assert.equal((await adapter.getDispute('DS-7002')).relatedDisputeId, 'DS-6990');
+    });
+
+    it('maps a closed dispute to its outcome', async () => {
+      const status = await adapter.getDisputeStatus('DS-7005');
+
+      assert.equal(status.status, 'WON');
+      assert.equal(status.outcome, 'WON');
+    });
+  });
+
+  describe('responses', () => {
+    it('responds to each stage with the matching response type', async () => {
+      const inquiry = await adapter.submitEvidence('DS-7001', { files: [FOLIO], metadata: { notes: 'Folio attached.' } });
+      const representment = await adapter.submitEvidence('DS-7002', { files: [FOLIO], metadata: { notes: 'Guest checked in.' } });
+      const arbitration = await adapter.submitEvidence('DS-7004', { files: [FOLIO], metadata: { notes: 'Final response.' } });
+
+      assert.deepEqual([inquiry.stage, representment.stage, arbitration.stage], ['inquiry', 'chargeback', 'arbitration']);
+      assert.deepEqual(mock.responses.map((r) => [r.disputeId, r.responseType]), [
+        ['DS-7001', 'INQUIRY_RESPONSE'],
+        ['DS-7002', 'REPRESENTMENT'],
+        ['DS-7004', 'ARBITRATION_RESPONSE']
+      ]);
+      assert.equal(Object.keys(mock.documents).length, 3);
+      assert.equal((await adapter.getDispute('DS-7002')).disputeStage, 'representment');
+    });
+
+    it('refuses to respond while the issuer has to act', async () => {
+      await assert.rejects(adapter.respond('DS-7003', { files: [FOLIO] }), /awaiting the issuer/);
+    });
+
+    it('refuses a response without documents', async () => {
+      mock.escalate('DS-7003', 'arbitration');
+      await assert.rejects(adapter.respond('DS-7003', {}), /requires at least one document/);
+    });
+
+    it('accepts liability', async () => {
+      const result = await adapter.acceptDispute('DS-7003');
+
+      assert.equal(result.accepted, true);
+      assert.equal((await adapter.getDisputeStatus('DS-7003')).status, 'LOST');
+    });
+  });
+
+  describe('escalation', () => {
+    it('picks up an inquiry that became a chargeback on the next sync', async () => {
+      const since = new Date();
+      mock.escalate('DS-7001', 'chargeback');
+
+      const updates = await adapter.getUpdates(since);
+      assert.deepEqual(updates.map((d) => [d.disputeId, d.disputeStage, d.reasonCode]), [['DS-7001', 'chargeback', 'TF']]);
+    });
+
+    it('parses a dispute notification for a seeded dispute', () => {
+      const record = mock.state.find((d) => d.disputeId === 'DS-7002');
+      const event = adapter.parseWebhookPayload(JSON.stringify({ eventId: 'EVT-1', eventType: 'DISPUTE_UPDATED', eventTime: new Date().toISOString(), dispute: record }));
+
+      assert.equal(event.type, 'dispute.updated');
+      assert.equal(event.eventId, 'EVT-1');
+      assert.equal(adapter.normalizeDispute(event.data).disputeStage, 'representment');
+    });
+  });
+});
@@ -0,0 +1,214 @@
+/**
+ * Dispute intake from processor webhooks (services/disputeIntake.js) and
+ * dispute portal jobs (disputeInboundWorker): case numbers, triage of
+ * disputes no property claims, queued follow-up work and no-op updates.
+ * The database, queue and notification modules are replaced in the require
+ * cache with in-memory stand-ins.
+ */
+
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'error';
+
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { isDatabaseUnavailable } = require('../config/database');
+
+const PREFIX = `CB-${new Date().getFullYear()}-`;
+const PROVIDER = { id: 'prov-stripe', name: 'Stripe' };
+
+let chargebacks;
+let timeline;
+let queued;
+let triageAlerts;
+let numberTakenOnce;
+
+function _stub(modulePath, exports) {
+  const file = require.resolve(modulePath);
+  require.cache[file] = { id: file, filename: file, loaded: true, exports };
+}
+
+function _uniqueViolation(field) {
+  return Object.assign(new Error(`Unique constraint failed on the fields: (\`${field}\`)`), {
+    code: 'P2002',
+    meta: { target: [field] }
+  });
+}
+
+_stub('../config/database', {
+  prisma: {
+    provider: {
+      findFirst: async () => PROVIDER,
+      create: async ({ data }) => ({ id: `prov-${data.name}`, ...data })
+    },
+    chargeback: {
+      findFirst: async ({ where }) => {
+        if (where.processorDisputeId) {
+          return chargebacks.find((c) => c.processorDisputeId === where.processorDisputeId) || null;
+        }
+        const numbers = chargebacks.filter((c) => c.caseNumber.startsWith(where.caseNumber.startsWith));
+        return numbers.sort((a, b) => b.caseNumber.localeCompare(a.caseNumber))[0] || null;
+      },
+      create: async ({ data }) => {
+        if (numberTakenOnce) {
+          // Another writer inserts the same number between our read and insert
+          numberTakenOnce = false;
+          chargebacks.push({ id: 'cb-other', caseNumber: data.caseNumber });
+        }
+        if (chargebacks.some((c) => c.caseNumber === data.caseNumber)) throw _uniqueViolation('caseNumber');
+        const chargeback = { id: `cb-${chargebacks.length + 1}`, ...data };
+        chargebacks.push(chargeback);
+        return chargeback;
+      },
+      update: async ({ where, data }) => Object.assign(chargebacks.find((c) => c.id === where.id), data)
+    },
+    property: {
+      findUnique: async ({ where }) => (where.id === 'prop-1' ? { id: 'prop-1' } : null),
+      findFirst: async () => { throw new Error('unclaimed disputes must not fall back to an arbitrary property'); }
+    },
+    integration: {
+      findFirst: async () => null,
+      findUnique: async ({ where }) => ({ id: where.id, type: 'VISA_VROL', config: {} })
+    },
+    timelineEvent: { create: async ({ data }) => timeline.push(data) },
+    user: { findMany: async () => [{ id: 'admin-1' }] },
+    notification: { create: async () => ({}) },
+    syncLog: { create: async () => ({ id: 'log-1' }), update: async () => ({}) },
+    integrationEvent: { create: async () => ({}) }
+  },
+  isDatabaseUnavailable
+});
+_stub('../services/queue/queueManager', {
+  getQueue: (name) => ({
+    add: async (jobName, data) => {
+      queued.push({ queue: name, name: jobName, data });
+      return { id: String(queued.length) };
+    }
+  })
+});
+_stub('../controllers/notificationsController', {
+  addDemoNotification: () => {},
+  createBulkNotifications: async (userIds, notification) => triageAlerts.push({ userIds, ...notification })
+});
+_stub('../services/caseAssignment', { autoAssignCase: async () => null });
+_stub('../services/deadlines', { resolveCaseDeadline: async () => null });
+_stub('../services/disputeStages', { applyStageChange: async () => null, promoteRelatedCase: async () => null });
+
+const { ingestDispute, INTAKE_PIPELINE_JOB } = require('../services/disputeIntake');
+const disputeInboundProcessor = require('../services/queue/workers/disputeInboundWorker');
+
+const DISPUTE = {
+  disputeId: 'dp_1QxA',
+  amount: 412.5,
+  currency: 'USD',
+  cardLastFour: '4242',
+  cardBrand: 'VISA',
+  reasonCode: '10.4',
+  status: 'PENDING',
+  disputeDate: '2026-10-01T00:00:00Z',
+  propertyId: 'prop-1'
+};
+
+describe('dispute intake', () => {
+  beforeEach(() => {
+    chargebacks = [];
+    timeline = [];
+    queued = [];
+    triageAlerts = [];
+    numberTakenOnce = false;
+  });
+
+  it('numbers cases after the highest one issued this year', async () => {
+    chargebacks.push({ id: 'cb-old', caseNumber: `${PREFIX}0041` });
+
+    const result = await ingestDispute('stripe', DISPUTE);
+
+    assert.equal(result.action, 'created');
+    assert.equal(result.caseNumber, `${PREFIX}0042`);
+  });
+
+  it('takes the next number when another writer got there first', async () => {
+    chargebacks.push({ id: 'cb-old', caseNumber: `${PREFIX}0007` });
+    numberTakenOnce = true;
+
+    const result = await ingestDispute('stripe', DISPUTE);
+
+    assert.equal(result.caseNumber, `${PREFIX}0009`);
+    assert.equal(chargebacks.filter((c) => c.caseNumber === `${PREFIX}0008`).length, 1);
+  });
+
+  it('queues matching and evidence collection for a new case', async () => {
+    const result = await ingestDispute('stripe', DISPUTE);
+
+    assert.deepEqual(queued, [{
+      queue: 'evidence-collection',
+      name: INTAKE_PIPELINE_JOB,
+      data: { chargebackId: result.chargebackId, caseNumber: result.caseNumber }
+    }]);
+  });
+
+  it('holds a dispute no property claims for triage', async () => {
+    const result = await ingestDispute('stripe', { ...DISPUTE, propertyId: null });
+
+    assert.equal(result.action, 'triage');
+    assert.equal(chargebacks.length, 0);
+    assert.equal(triageAlerts.length, 1);
+  });
+
+  it('writes nothing when an update changes no field', async () => {
+    const created = await ingestDispute('stripe', DISPUTE);
+    const entriesAfterCreate = timeline.length;
+
+    const result = await ingestDispute('stripe', DISPUTE, { eventType: 'charge.dispute.updated' });
+
+    assert.equal(result.action, 'unchanged');
+    assert.equal(result.caseNumber, created.caseNumber);
+    assert.equal(timeline.length, entriesAfterCreate);
+  });
+
+  it('records an update that moves the case forward', async () => {
+    await ingestDispute('stripe', DISPUTE);
+    const entriesAfterCreate = timeline.length;
+
+    const result = await ingestDispute('stripe', { ...DISPUTE, status: 'WON' }, { eventType: 'charge.dispute.closed' });
+
+    assert.equal(result.action, 'updated');
+    assert.equal(chargebacks[0].status, 'WON');
+    assert.equal(timeline.length, entriesAfterCreate + 1);
+    assert.equal(timeline.at(-1).eventType, 'WON');
+  });
+});
+
+describe('dispute inbound worker', () => {
+  beforeEach(() => {
+    chargebacks = [];
+    timeline = [];
+    queued = [];
+    triageAlerts = [];
+    numberTakenOnce = false;
+  });
+
+  const job = {
+    id: 'job-1',
+    data: {
+      portalType: 'VISA_VROL',
+      integrationId: 'int-vrol',
+      headers: {},
+      payload: {
+        eventType: 'DISPUTE_CREATED',
+        caseId: 'VROL-2026-118842',
+        timestamp: '2026-10-02T08:00:00Z',
+        webhookId: 'VWH-5521',
+        data: { caseId: 'VROL-2026-118842', status: 'OPEN', reasonCode: '10.4', disputeAmount: '356.20' }
+      }
+    }
+  };
+
+  it('sends a dispute from an integration without a property to triage', async () => {
+    const result = await disputeInboundProcessor(job);
+
+    assert.equal(result.action, 'triage');
+    assert.equal(chargebacks.length, 0);
+    assert.equal(triageAlerts.length, 1);
+    assert.equal(queued.length, 0);
+  });
+});
@@ -0,0 +1,56 @@
+/**
+ * Confidence scoring inputs: stored cases are scored from their own evidence
+ * records and reservation, demo cases from the AutoClerk emulator.
+ */
+
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'error';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { autoclerk } = require('../services/autoclerkEmulator');
+const { scoringInputForCase, analyzeChargeback } = require('../services/fraudDetection');
+
+describe('scoringInputForCase', () => {
+  it('uses only the stored evidence and linked reservation', () => {
+    autoclerk.storeEvidence('cb-stored-1', [{ type: 'id_scan' }, { type: 'folio' }]);
+
+    const { caseData, evidence, reservation } = scoringInputForCase({
+      id: 'cb-stored-1',
+      amount: '412.50',
+      confirmationNumber: 'RES-2026-88421',
+      evidence: [{ type: 'FOLIO' }, { type: 'OTHER' }],
+      reservation: null
+    });
+
+    assert.deepEqual(evidence, [{ type: 'folio' }]);
+    assert.equal(reservation, null);
+    assert.equal(caseData.amount, 412.5);
+  });
+
+  it('keeps the linked reservation', () => {
+    const linked = { id: 'res-1', confirmationNumber: 'RES-2026-88421', bookingSource: 'Direct' };
+    const { reservation } = scoringInputForCase({ id: 'cb-stored-2', amount: 100, reservation: linked });
+
+    assert.equal(reservation, linked);
+  });
+});
+
+describe('analyzeChargeback', () => {
+  it('marks demo cases scored from the emulator', async () => {
+    const result = await analyzeChargeback('demo-1');
+
+    assert.equal(result.isDemo, true);
+    assert.ok(result.ruleSet);
+  });
+
+  it('does not mark stored cases scored from their own inputs', async () => {
+    const { caseData, evidence, reservation } = scoringInputForCase({
+      id: 'cb-stored-3', amount: 250, cardBrand: 'VISA', reasonCode: '10.4', evidence: [{ type: 'ID_SCAN' }]
+    });
+    const result = await analyzeChargeback(caseData, { evidence, reservation });
+
+    assert.equal(result.isDemo, undefined);
+    assert.ok(result.appliedRules.length > 0);
+  });
+});
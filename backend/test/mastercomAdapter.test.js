@@ -0,0 +1,153 @@
+/**
+ * MastercomAdapter against the local Mastercom mock
+ * (test/mocks/mastercomMock.js), with OAuth signatures verified
+ * by the mock.
+ */
+
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'error';
+
+const crypto = require('crypto');
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+const MastercomAdapter = require('../services/disputes/MastercomAdapter');
+const { startMastercomMock } = require('./mocks/mastercomMock');
+
+const PEM = { type: 'pkcs8', format: 'pem' };
+const FOLIO = { fileName: 'folio.pdf', mimeType: 'application/pdf', data: Buffer.from('%PDF-1.4 folio') };
+
+function _keyPair() {
+  return crypto.generateKeyPairSync('rsa', { modulusLength: 2048, privateKeyEncoding: PEM, publicKeyEncoding: { type: 'spki', format: 'pem' } });
+}
+
+describe('MastercomAdapter', () => {
+  let mock;
+  let adapter;
+  let keys;
+
+  before(async () => {
+    keys = _keyPair();
+    mock = await startMastercomMock({ publicKey: keys.publicKey });
+    adapter = new MastercomAdapter({
+      baseUrl: mock.url,
+      credentials: { consumerKey: 'disputeai-test', signingKey: keys.privateKey, acquirerIca: '1234' }
+    });
+  });
+
+  after(() => mock.close());
+
+  describe('authentication', () => {
+    it('signs requests the mock accepts', async () => {
+      const health = await adapter.healthCheck();
+
+      assert.equal(health.healthy, true);
+      assert.match(mock.requests[mock.requests.length - 1].authorization, /^OAuth .*oauth_signature_method="RSA-SHA256"/);
+    });
+
+    it('is rejected when signed with another key', async () => {
+      const stranger = new MastercomAdapter({
+        baseUrl: mock.url,
+        credentials: { consumerKey: 'disputeai-test', signingKey: _keyPair().privateKey }
+      });
+
+      await assert.rejects(stranger.getClaim('MC-CLM-1001'), (error) => error.response?.status === 401);
+    });
+  });
+
+  describe('fetchDisputes', () => {
+    it('returns raw claims and normalizes each lifecycle stage', async () => {
+      const result = await adapter.fetchDisputes({ since: new Date(0) });
+
+      assert.equal(result.totalCount, 5);
+      assert.ok(result.disputes.every((claim) => claim.claimId && !claim.disputeId));
+
+      const stages = Object.fromEntries(result.disputes.map((claim) => [claim.claimId, adapter.normalizeDispute(claim).disputeStage]));
+      assert.deepEqual(stages, {
+        'MC-CLM-1001': 'claim',
+        'MC-CLM-1002': 'first_chargeback',
+        'MC-CLM-1003': 'second_presentment',
+        'MC-CLM-1004': 'pre_arbitration',
+        'MC-CLM-1005': 'arbitration'
+      });
+    });
+
+    it('pages by page number', async () => {
+      const first = await adapter.fetchDisputes({ since: new Date(0), limit: 2 });
+      const last = await adapter.fetchDisputes({ since: new Date(0), limit: 2, page: 3 });
+
+      assert.equal(first.hasMore, true);
+      assert.equal(first.disputes.length, 2);
+      assert.equal(last.hasMore, false);
+      assert.deepEqual(last.disputes.map((claim) => claim.claimId), ['MC-CLM-1005']);
+    });
+
+    it('puts the merchant deadline only on stages awaiting the merchant', async () => {
+      const chargeback = await adapter.getClaim('MC-CLM-1002');
+      const presented = await adapter.getClaim('MC-CLM-1003');
+
+      assert.equal(chargeback.awaiting, 'merchant');
+      assert.ok(chargeback.dueDate);
+      assert.equal(presented.dueDate, null);
+    });
+  });
+
+  describe('lifecycle', () => {
+    it('refuses a second presentment before a first chargeback', async () => {
+      await assert.rejects(adapter.submitSecondPresentment('MC-CLM-1001', { files: [FOLIO] }), /No open first chargeback/);
+    });
+
+    it('refuses reason 2700 without documents', async () => {
+      await assert.rejects(adapter.submitSecondPresentment('MC-CLM-1002', { reasonCode: '2700' }), /requires supporting documents/);
+    });
+
+    it('drives a claim from first chargeback through arbitration', async () => {
+      const presented = await adapter.submitEvidence('MC-CLM-1002', { files: [FOLIO], metadata: { notes: 'Guest stayed as booked.' } });
+      assert.equal(presented.stage, 'second_presentment');
+      assert.equal(presented.documentIds.length, 1);
+
+      const claim = mock.state.claims.find((c) => c.claimId === 'MC-CLM-1002');
+      const secondPresentment = claim.chargebacks.find((cb) => cb.chargebackType === 'SECOND_PRESENTMENT');
+      assert.equal(secondPresentment.reasonCode, '2700');
+      assert.equal(secondPresentment.documentIndicator, true);
+      assert.equal((await adapter.getClaim('MC-CLM-1002')).disputeStage, 'second_presentment');
+
+      mock.escalate('MC-CLM-1002', 'pre_arbitration');
+      const preArb = await adapter.getClaim('MC-CLM-1002');
+      assert.equal(preArb.disputeStage, 'pre_arbitration');
+      assert.equal(preArb.awaiting, 'merchant');
+
+      const rejected = await adapter.respondToPreArbitration(preArb.caseFiling.caseId, { action: 'reject', memo: 'Check-in evidence stands.' });
+      assert.equal(rejected.status, 'PENDING_ISSUER');
+
+      mock.escalate('MC-CLM-1002', 'arbitration');
+      const arbitration = await adapter.getClaim('MC-CLM-1002');
+      assert.equal(arbitration.disputeStage, 'arbitration');
+
+      const rebutted = await adapter.fileArbitration(arbitration.caseFiling.caseId, { narrative: 'Final rebuttal.', files: [FOLIO] });
+      assert.equal(rebutted.status, 'UNDER_REVIEW');
+
+      const timeline = await adapter.getTimelineEvents('MC-CLM-1002');
+      assert.deepEqual(timeline.map((event) => event.metadata.mastercomEventType), [
+        'CLAIM_OPENED', 'CHARGEBACK', 'SECOND_PRESENTMENT', 'PRE_ARBITRATION_FILED',
+        'PRE_ARBITRATION_REJECTED', 'ARBITRATION_FILED', 'ARBITRATION_RESPONSE'
+      ]);
+    });
+
+    it('answers a collaboration request', async () => {
+      const sent = await adapter.respondToCollaboration('MC-CLM-1001', { memo: 'Resort fee was disclosed at booking.' });
+      assert.equal(sent.status, 'SENT');
+
+      const events = await adapter.getClaimEvents('MC-CLM-1001');
+      assert.equal(events[events.length - 1].type, 'COLLABORATION_RESPONSE');
+      assert.equal(events[events.length - 1].memo, 'Resort fee was disclosed at booking.');
+    });
+
+    it('accepts liability on a pre-arbitration case through the case filing', async () => {
+      const result = await adapter.acceptDispute('MC-CLM-1004');
+
+      assert.equal(result.accepted, true);
+      assert.equal(result.status, 'ACCEPTED_BY_ACQUIRER');
+      assert.equal(mock.state.claims.find((c) => c.claimId === 'MC-CLM-1004').claimStatus, 'CLOSED');
+    });
+  });
+});
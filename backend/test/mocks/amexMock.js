@@ -0,0 +1,316 @@
+/**
+ * DisputeAI - Local Amex Merchant Disputes API Mock
+ *
+ * In-memory stand-in for the Amex dispute endpoints used by
+ * AmexMerchantAdapter. Seeds inquiries and chargebacks (including one
+ * chargeback converted from an unanswered inquiry), verifies the MAC
+ * Authorization header against the client secret, and records uploaded
+ * documents and responses.
+ *
+ * Usage:
+ *   const { startAmexMock } = require('./test/mocks/amexMock');
+ *   const mock = await startAmexMock({ clientId, clientSecret });
+ *   const adapter = new AmexMerchantAdapter({ baseUrl: mock.url, credentials: { clientId, clientSecret } });
+ *   ...
+ *   await mock.close();
+ *
+ * Standalone: node test/mocks/amexMock.js [port]
+ */
+
+const crypto = require('crypto');
+const express = require('express');
+const AmexMerchantAdapter = require('../../services/disputes/AmexMerchantAdapter');
+
+const API_PREFIX = '/merchant/disputes/v1';
+
+// =============================================================================
+// FIXTURES
+// =============================================================================
+
+function _daysAgo(days) {
+  return new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
+}
+
+function _daysFromNow(days) {
+  return _daysAgo(-days);
+}
+
+function buildFixtures() {
+  const base = {
+    currency: 'USD',
+    merchantName: 'GRAND HOTEL DOWNTOWN',
+    seNumber: '9876543210'
+  };
+
+  const inquiries = [
+    {
+      ...base,
+      caseNumber: 'AX-INQ-5001',
+      status: 'OPEN',
+      reasonCode: 'C08',
+      disputeAmount: '318.40',
+      cardMemberName: 'Nora Castillo',
+      cardNumberLast4: '1005',
+      chargeReferenceNumber: 'AXREF5001',
+      chargeDate: _daysAgo(25),
+      caseReceivedDate: _daysAgo(4),
+      replyByDate: _daysFromNow(16),
+      requestedDocuments: ['FOLIO', 'SIGNED_REGISTRATION_CARD'],
+      supplementalData: { folioNumber: 'F-88213', checkInDate: _daysAgo(27), checkOutDate: _daysAgo(25) }
+    },
+    {
+      ...base,
+      caseNumber: 'AX-INQ-5002',
+      status: 'OPEN',
+      reasonCode: 'F29',
+      disputeAmount: '759.00',
+      cardMemberName: 'Gregory Hall',
+      cardNumberLast4: '2009',
+      chargeReferenceNumber: 'AXREF5002',
+      chargeDate: _daysAgo(40),
+      caseReceivedDate: _daysAgo(19)
+    },
+    {
+      ...base,
+      caseNumber: 'AX-INQ-5003',
+      status: 'CONVERTED_TO_CHARGEBACK',
+      reasonCode: 'C05',
+      disputeAmount: '420.00',
+      cardMemberName: 'Yuki Tanaka',
+      cardNumberLast4: '3001',
+      chargeReferenceNumber: 'AXREF5003',
+      chargeDate: _daysAgo(60),
+      caseReceivedDate: _daysAgo(45),
+      replyByDate: _daysAgo(25)
+    }
+  ];
+
+  const chargebacks = [
+    {
+      ...base,
+      caseNumber: 'AX-CB-6001',
+      status: 'OPEN',
+      reasonCode: 'C18',
+      disputeAmount: '289.00',
+      cardMemberName: 'Samuel Ortiz',
+      cardNumberLast4: '4002',
+      chargeReferenceNumber: 'AXREF6001',
+      chargeDate: _daysAgo(30),
+      caseReceivedDate: _daysAgo(2),
+      replyByDate: _daysFromNow(18),
+      supplementalData: { reservationNumber: 'R-55120' }
+    },
+    {
+      ...base,
+      caseNumber: 'AX-CB-6002',
+      status: 'OPEN',
+      reasonCode: 'R13',
+      disputeAmount: '420.00',
+      cardMemberName: 'Yuki Tanaka',
+      cardNumberLast4: '3001',
+      chargeReferenceNumber: 'AXREF5003',
+      chargeDate: _daysAgo(60),
+      caseReceivedDate: _daysAgo(24),
+      inquiryCaseNumber: 'AX-INQ-5003'
+    },
+    {
+      ...base,
+      caseNumber: 'AX-CB-6003',
+      status: 'RESOLVED_IN_MERCHANT_FAVOR',
+      resolution: 'REVERSED',
+      reasonCode: 'P05',
+      disputeAmount: '96.15',
+      cardMemberName: 'Helen Brooks',
+      cardNumberLast4: '5008',
+      chargeReferenceNumber: 'AXREF6003',
+      chargeDate: _daysAgo(90),
+      caseReceivedDate: _daysAgo(70),
+      replyByDate: _daysAgo(50)
+    }
+  ];
+
+  return { inquiries, chargebacks };
+}
+
+// =============================================================================
+// MAC VERIFICATION
+// =============================================================================
+
+function _verifyMac(req, rawBody, { clientId, clientSecret }) {
+  const header = req.headers.authorization || '';
+  if (!header.startsWith('MAC ')) return 'Missing MAC Authorization header';
+
+  const params = {};
+  for (const part of header.slice(4).split(',')) {
+    const match = part.trim().match(/^([a-z]+)="(.*)"$/);
+    if (match) params[match[1]] = match[2];
+  }
+
+  if (params.id !== clientId) return 'Unknown client id';
+  if (req.headers['x-amex-api-key'] !== clientId) return 'Missing or invalid X-AMEX-API-KEY';
+
+  const bodyHash = crypto.createHmac('sha256', clientSecret).update(rawBody || '', 'utf8').digest('base64');
+  if (bodyHash !== params.bodyhash) return 'Body hash mismatch';
+
+  const url = new URL(`${req.protocol}://${req.headers.host}${req.originalUrl}`);
+  const expected = crypto
+    .createHmac('sha256', clientSecret)
+    .update(AmexMerchantAdapter.macBaseString({ ts: params.ts, nonce: params.nonce, method: req.method, url, bodyHash }))
+    .digest('base64');
+  if (expected !== params.mac) return 'Invalid MAC';
+
+  return null;
+}
+
+// =============================================================================
+// SERVER
+// =============================================================================
+
+/**
+ * Start the Amex mock.
+ *
+ * @param {Object} [options]
+ * @param {number} [options.port=0]        - 0 picks a free port
+ * @param {string} [options.clientId]      - Expected client ID / API key
+ * @param {string} [options.clientSecret]  - MAC key used to verify requests
+ * @returns {Promise<Object>} { url, port, state, requests, convertInquiry, close }
+ */
+function startAmexMock({ port = 0, clientId = 'amex-test-client', clientSecret = 'amex-test-secret' } = {}) {
+  const state = buildFixtures();
+  const documents = {};
+  const responses = [];
+  const requests = [];
+  let sequence = 0;
+
+  const collection = (name) => (name === 'inquiries' ? state.inquiries : state.chargebacks);
+
+  const app = express();
+  app.use(express.text({ type: '*/*', limit: '50mb' }));
+
+  app.use((req, res, next) => {
+    const rawBody = typeof req.body === 'string' ? req.body : '';
+    requests.push({ method: req.method, path: req.path, query: req.query });
+
+    const authError = _verifyMac(req, rawBody, { clientId, clientSecret });
+    if (authError) {
+      return res.status(401).json({ error: { code: 'UNAUTHORIZED', message: authError } });
+    }
+
+    req.body = rawBody ? JSON.parse(rawBody) : {};
+    next();
+  });
+
+  app.get(`${API_PREFIX}/healthcheck`, (req, res) => res.json({ status: 'UP' }));
+
+  app.get(`${API_PREFIX}/:collection(inquiries|chargebacks)`, (req, res) => {
+    const since = req.query.updated_since ? new Date(req.query.updated_since) : null;
+    const pageSize = parseInt(req.query.page_size, 10) || 50;
+    const page = parseInt(req.query.page, 10) || 1;
+
+    const matching = collection(req.params.collection).filter((c) =>
+      (!since || new Date(c.lastUpdatedDate || c.caseReceivedDate) >= since) &&
+      (!req.query.status || c.status.toLowerCase() === String(req.query.status).toLowerCase())
+    );
+
+    res.json({
+      cases: matching.slice((page - 1) * pageSize, page * pageSize),
+      totalCount: matching.length,
+      page,
+      hasMore: page * pageSize < matching.length
+    });
+  });
+
+  app.get(`${API_PREFIX}/:collection(inquiries|chargebacks)/:caseNumber`, (req, res) => {
+    const record = collection(req.params.collection).find((c) => c.caseNumber === req.params.caseNumber);
+    if (!record) return res.status(404).json({ error: { code: 'NOT_FOUND', message: 'Case not found' } });
+    res.json(record);
+  });
+
+  app.post(`${API_PREFIX}/:collection(inquiries|chargebacks)/:caseNumber/documents`, (req, res) => {
+    const record = collection(req.params.collection).find((c) => c.caseNumber === req.params.caseNumber);
+    if (!record) return res.status(404).json({ error: { code: 'NOT_FOUND', message: 'Case not found' } });
+    if (!req.body.fileName || !req.body.content) {
+      return res.status(400).json({ error: { code: 'INVALID_REQUEST', message: 'fileName and content are required' } });
+    }
+
+    const documentId = `AX-DOC-${++sequence}`;
+    documents[documentId] = {
+      caseNumber: record.caseNumber,
+      fileName: req.body.fileName,
+      size: Buffer.from(req.body.content, 'base64').length
+    };
+    res.status(201).json({ documentId });
+  });
+
+  app.post(`${API_PREFIX}/:collection(inquiries|chargebacks)/:caseNumber/response`, (req, res) => {
+    const record = collection(req.params.collection).find((c) => c.caseNumber === req.params.caseNumber);
+    if (!record) return res.status(404).json({ error: { code: 'NOT_FOUND', message: 'Case not found' } });
+    if (!['OPEN', 'IN_REVIEW'].includes(record.status)) {
+      return res.status(409).json({ error: { code: 'CASE_CLOSED', message: `Case is ${record.status}` } });
+    }
+
+    const unknown = (req.body.documentIds || []).filter((id) => documents[id]?.caseNumber !== record.caseNumber);
+    if (unknown.length) {
+      return res.status(400).json({ error: { code: 'INVALID_DOCUMENT', message: `Unknown documents: ${unknown.join(', ')}` } });
+    }
+
+    record.status = req.body.action === 'ACCEPT' ? 'ACCEPTED' : 'RESPONDED';
+    record.lastUpdatedDate = new Date().toISOString();
+
+    const responseId = `AX-RSP-${++sequence}`;
+    responses.push({ responseId, caseNumber: record.caseNumber, ...req.body });
+    res.status(201).json({ responseId, status: record.status });
+  });
+
+  /**
+   * Simulate a missed reply: close the inquiry and open an R13 chargeback
+   * that references it.
+   */
+  const convertInquiry = (caseNumber) => {
+    const inquiry = state.inquiries.find((c) => c.caseNumber === caseNumber);
+    if (!inquiry) throw new Error(`Unknown inquiry ${caseNumber}`);
+
+    const now = new Date().toISOString();
+    inquiry.status = 'CONVERTED_TO_CHARGEBACK';
+    inquiry.lastUpdatedDate = now;
+
+    const chargeback = {
+      ...inquiry,
+      caseNumber: `AX-CB-${6100 + ++sequence}`,
+      status: 'OPEN',
+      reasonCode: 'R13',
+      caseReceivedDate: now,
+      replyByDate: undefined,
+      lastUpdatedDate: now,
+      inquiryCaseNumber: inquiry.caseNumber
+    };
+    state.chargebacks.push(chargeback);
+    return chargeback;
+  };
+
+  return new Promise((resolve, reject) => {
+    const server = app.listen(port, '127.0.0.1', () => {
+      const actualPort = server.address().port;
+      resolve({
+        url: `http://127.0.0.1:${actualPort}`,
+        port: actualPort,
+        state,
+        documents,
+        responses,
+        requests,
+        convertInquiry,
+        close: () => new Promise((done) => server.close(done))
+      });
+    });
+    server.on('error', reject);
+  });
+}
+
+module.exports = { startAmexMock, buildFixtures };
+
+if (require.main === module) {
+  const port = parseInt(process.argv[2] || process.env.AMEX_MOCK_PORT || '4011', 10);
+  startAmexMock({ port }).then(({ url }) => {
+    console.log(`Amex disputes mock listening on ${url}${API_PREFIX} (client amex-test-client / amex-test-secret)`);
+  });
+}
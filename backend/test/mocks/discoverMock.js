@@ -0,0 +1,281 @@
+/**
+ * DisputeAI - Local Discover Dispute Management API Mock
+ *
+ * In-memory stand-in for the Discover endpoints used by
+ * DiscoverDisputeAdapter. Issues OAuth2 client_credentials tokens, requires
+ * them on every API call, seeds one dispute per stage and applies responses
+ * (inquiry fulfilment, representment, arbitration response, acceptance).
+ *
+ * Usage:
+ *   const { startDiscoverMock } = require('./test/mocks/discoverMock');
+ *   const mock = await startDiscoverMock({ clientId, clientSecret });
+ *   const adapter = new DiscoverDisputeAdapter({ baseUrl: mock.url, credentials: { clientId, clientSecret } });
+ *   ...
+ *   await mock.close();
+ *
+ * Standalone: node test/mocks/discoverMock.js [port]
+ */
+
+const crypto = require('crypto');
+const express = require('express');
+
+const API_PREFIX = '/dispute-management/v1';
+
+// =============================================================================
+// FIXTURES
+// =============================================================================
+
+function _daysAgo(days) {
+  return new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
+}
+
+function buildFixtures() {
+  const base = { currency: 'USD', merchantName: 'GRAND HOTEL DOWNTOWN', merchantNumber: '601100000001' };
+
+  return [
+    {
+      ...base,
+      disputeId: 'DS-7001',
+      disputeType: 'INQUIRY',
+      status: 'AWAITING_MERCHANT',
+      reasonCode: 'RR',
+      transactionAmount: '244.00',
+      cardholderName: 'Irene Walsh',
+      cardLast4: '6011',
+      transactionId: 'DSTXN7001',
+      transactionDate: _daysAgo(35),
+      inquiryDate: _daysAgo(5)
+    },
+    {
+      ...base,
+      disputeId: 'DS-7002',
+      disputeType: 'CHARGEBACK',
+      status: 'AWAITING_MERCHANT',
+      reasonCode: 'UA02',
+      disputeAmount: '612.75',
+      cardholderName: 'Oliver Grant',
+      cardLast4: '6012',
+      transactionId: 'DSTXN7002',
+      transactionDate: _daysAgo(50),
+      chargebackDate: _daysAgo(8),
+      inquiryId: 'DS-6990'
+    },
+    {
+      ...base,
+      disputeId: 'DS-7003',
+      disputeType: 'CHARGEBACK',
+      status: 'REPRESENTED',
+      reasonCode: 'CR',
+      disputeAmount: '180.00',
+      cardholderName: 'Paula Stein',
+      cardLast4: '6013',
+      transactionId: 'DSTXN7003',
+      transactionDate: _daysAgo(70),
+      chargebackDate: _daysAgo(40),
+      representmentDate: _daysAgo(15)
+    },
+    {
+      ...base,
+      disputeId: 'DS-7004',
+      disputeType: 'CHARGEBACK',
+      status: 'AWAITING_MERCHANT',
+      reasonCode: 'RG',
+      disputeAmount: '1320.00',
+      cardholderName: 'Victor Hale',
+      cardLast4: '6014',
+      transactionId: 'DSTXN7004',
+      transactionDate: _daysAgo(120),
+      chargebackDate: _daysAgo(90),
+      representmentDate: _daysAgo(60),
+      arbitrationDate: _daysAgo(3)
+    },
+    {
+      ...base,
+      disputeId: 'DS-7005',
+      disputeType: 'CHARGEBACK',
+      status: 'CLOSED_MERCHANT_FAVOR',
+      outcome: 'WON',
+      reasonCode: 'AP',
+      disputeAmount: '75.00',
+      cardholderName: 'Wendy Cho',
+      cardLast4: '6015',
+      transactionId: 'DSTXN7005',
+      transactionDate: _daysAgo(100),
+      chargebackDate: _daysAgo(80),
+      representmentDate: _daysAgo(65)
+    }
+  ];
+}
+
+// =============================================================================
+// SERVER
+// =============================================================================
+
+/**
+ * Start the Discover mock.
+ *
+ * @param {Object} [options]
+ * @param {number} [options.port=0]        - 0 picks a free port
+ * @param {string} [options.clientId]      - Accepted client ID
+ * @param {string} [options.clientSecret]  - Accepted client secret
+ * @param {number} [options.tokenTtl=3600] - Token lifetime in seconds
+ * @returns {Promise<Object>} { url, port, state, documents, responses, requests, tokensIssued, escalate, close }
+ */
+function startDiscoverMock({ port = 0, clientId = 'discover-test-client', clientSecret = 'discover-test-secret', tokenTtl = 3600 } = {}) {
+  const state = buildFixtures();
+  const tokens = new Map();
+  const documents = {};
+  const responses = [];
+  const requests = [];
+  let tokensIssued = 0;
+  let sequence = 0;
+
+  const findDispute = (disputeId) => state.find((d) => d.disputeId === disputeId);
+
+  const app = express();
+
+  app.post('/auth/oauth/v2/token', express.urlencoded({ extended: false }), (req, res) => {
+    const [id, secret] = Buffer.from((req.headers.authorization || '').replace(/^Basic /, ''), 'base64').toString().split(':');
+    if (id !== clientId || secret !== clientSecret || req.body.grant_type !== 'client_credentials') {
+      return res.status(401).json({ error: 'invalid_client', error_description: 'Client authentication failed' });
+    }
+
+    const token = crypto.randomBytes(16).toString('hex');
+    tokens.set(token, Date.now() + tokenTtl * 1000);
+    tokensIssued++;
+    res.json({ access_token: token, token_type: 'Bearer', expires_in: tokenTtl, scope: 'DISPUTES' });
+  });
+
+  app.use(API_PREFIX, express.json({ limit: '50mb' }), (req, res, next) => {
+    requests.push({ method: req.method, path: req.path, query: req.query });
+    const token = (req.headers.authorization || '').replace(/^Bearer /, '');
+    const expiresAt = tokens.get(token);
+    if (!expiresAt || expiresAt < Date.now()) {
+      return res.status(401).json({ error: 'invalid_token', message: 'Access token missing or expired' });
+    }
+    next();
+  });
+
+  app.get(`${API_PREFIX}/health`, (req, res) => res.json({ status: 'UP' }));
+
+  app.get(`${API_PREFIX}/disputes`, (req, res) => {
+    const since = req.query.updatedSince ? new Date(req.query.updatedSince) : null;
+    const pageSize = parseInt(req.query.pageSize, 10) || 50;
+    const page = parseInt(req.query.page, 10) || 1;
+
+    const matching = state.filter((d) =>
+      (!since || new Date(d.lastUpdated || d.chargebackDate || d.inquiryDate) >= since) &&
+      (!req.query.type || d.disputeType === req.query.type)
+    );
+
+    res.json({
+      disputes: matching.slice((page - 1) * pageSize, page * pageSize),
+      totalCount: matching.length,
+      page,
+      hasMore: page * pageSize < matching.length
+    });
+  });
+
+  app.get(`${API_PREFIX}/disputes/:disputeId`, (req, res) => {
+    const dispute = findDispute(req.params.disputeId);
+    if (!dispute) return res.status(404).json({ message: 'Dispute not found' });
+    res.json(dispute);
+  });
+
+  app.post(`${API_PREFIX}/disputes/:disputeId/documents`, (req, res) => {
+    const dispute = findDispute(req.params.disputeId);
+    if (!dispute) return res.status(404).json({ message: 'Dispute not found' });
+    if (!req.body.fileName || !req.body.content) return res.status(400).json({ message: 'fileName and content are required' });
+
+    const documentId = `DS-DOC-${++sequence}`;
+    documents[documentId] = {
+      disputeId: dispute.disputeId,
+      fileName: req.body.fileName,
+      size: Buffer.from(req.body.content, 'base64').length
+    };
+    res.status(201).json({ documentId });
+  });
+
+  app.post(`${API_PREFIX}/disputes/:disputeId/responses`, (req, res) => {
+    const dispute = findDispute(req.params.disputeId);
+    if (!dispute) return res.status(404).json({ message: 'Dispute not found' });
+    if (dispute.status !== 'AWAITING_MERCHANT') {
+      return res.status(409).json({ message: `Dispute is ${dispute.status}` });
+    }
+
+    const unknown = (req.body.documentIds || []).filter((id) => documents[id]?.disputeId !== dispute.disputeId);
+    if (unknown.length) return res.status(400).json({ message: `Unknown documents: ${unknown.join(', ')}` });
+
+    const now = new Date().toISOString();
+    switch (req.body.responseType) {
+      case 'INQUIRY_RESPONSE':
+        dispute.status = 'RESPONDED';
+        break;
+      case 'REPRESENTMENT':
+        dispute.status = 'REPRESENTED';
+        dispute.representmentDate = now;
+        break;
+      case 'ARBITRATION_RESPONSE':
+        dispute.status = 'IN_REVIEW';
+        break;
+      case 'ACCEPT':
+        dispute.status = 'ACCEPTED';
+        dispute.outcome = 'LOST';
+        break;
+      default:
+        return res.status(400).json({ message: `Unknown responseType ${req.body.responseType}` });
+    }
+    dispute.lastUpdated = now;
+
+    const responseId = `DS-RSP-${++sequence}`;
+    responses.push({ responseId, disputeId: dispute.disputeId, ...req.body });
+    res.status(201).json({ responseId, status: dispute.status });
+  });
+
+  /**
+   * Issuer-side escalation: 'chargeback' turns an inquiry into a chargeback,
+   * 'arbitration' takes a represented chargeback to arbitration.
+   */
+  const escalate = (disputeId, stage) => {
+    const dispute = findDispute(disputeId);
+    if (!dispute) throw new Error(`Unknown dispute ${disputeId}`);
+    const now = new Date().toISOString();
+
+    if (stage === 'chargeback' && dispute.disputeType === 'INQUIRY') {
+      Object.assign(dispute, { disputeType: 'CHARGEBACK', status: 'AWAITING_MERCHANT', chargebackDate: now, reasonCode: 'TF', disputeAmount: dispute.transactionAmount });
+    } else if (stage === 'arbitration' && dispute.representmentDate) {
+      Object.assign(dispute, { status: 'AWAITING_MERCHANT', arbitrationDate: now });
+    } else {
+      throw new Error(`Cannot escalate ${disputeId} to ${stage}`);
+    }
+    dispute.lastUpdated = now;
+    return dispute;
+  };
+
+  return new Promise((resolve, reject) => {
+    const server = app.listen(port, '127.0.0.1', () => {
+      const actualPort = server.address().port;
+      resolve({
+        url: `http://127.0.0.1:${actualPort}`,
+        port: actualPort,
+        state,
+        documents,
+        responses,
+        requests,
+        get tokensIssued() { return tokensIssued; },
+        escalate,
+        close: () => new Promise((done) => server.close(done))
+      });
+    });
+    server.on('error', reject);
+  });
+}
+
+module.exports = { startDiscoverMock, buildFixtures };
+
+if (require.main === module) {
+  const port = parseInt(process.argv[2] || process.env.DISCOVER_MOCK_PORT || '4012', 10);
+  startDiscoverMock({ port }).then(({ url }) => {
+    console.log(`Discover dispute mock listening on ${url}${API_PREFIX} (client discover-test-client / discover-test-secret)`);
+  });
+}
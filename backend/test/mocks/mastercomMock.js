@@ -0,0 +1,377 @@
+/**
+ * DisputeAI - Local Mastercom API Mock
+ *
+ * In-memory stand-in for the Mastercom v6 endpoints used by MastercomAdapter.
+ * Seeds one claim per lifecycle stage, checks the OAuth 1.0a header on every
+ * request (and the RSA-SHA256 signature when given the public key), and
+ * applies second presentments, collaboration replies and case actions to its
+ * state so a full lifecycle can be driven against it.
+ *
+ * Usage:
+ *   const { startMastercomMock } = require('./test/mocks/mastercomMock');
+ *   const mock = await startMastercomMock({ port: 0, publicKey });
+ *   const adapter = new MastercomAdapter({ baseUrl: mock.url, credentials: { consumerKey, signingKey } });
+ *   ...
+ *   await mock.close();
+ *
+ * Standalone: node test/mocks/mastercomMock.js [port]
+ */
+
+const crypto = require('crypto');
+const express = require('express');
+const MastercomAdapter = require('../../services/disputes/MastercomAdapter');
+
+const API_PREFIX = '/mastercom/v6';
+
+// =============================================================================
+// FIXTURES
+// =============================================================================
+
+function _daysAgo(days) {
+  return new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
+}
+
+function buildFixtures() {
+  const base = {
+    claimStatus: 'OPEN',
+    claimValueCurrency: 'USD',
+    primaryAccountNumber: '5454545454545454',
+    merchantName: 'GRAND HOTEL DOWNTOWN',
+    authorizationCode: 'A1B2C3'
+  };
+
+  const claims = [
+    {
+      ...base,
+      claimId: 'MC-CLM-1001',
+      claimValue: '412.80',
+      cardholderName: 'Dana Whitfield',
+      transactionId: 'TXN-1001',
+      transactionDate: _daysAgo(20),
+      acquirerRefNum: '85412345678901234567001',
+      createDate: _daysAgo(3),
+      chargebacks: []
+    },
+    {
+      ...base,
+      claimId: 'MC-CLM-1002',
+      claimValue: '1245.00',
+      cardholderName: 'Marcus Lee',
+      transactionId: 'TXN-1002',
+      transactionDate: _daysAgo(40),
+      acquirerRefNum: '85412345678901234567002',
+      createDate: _daysAgo(12),
+      chargebacks: [
+        { chargebackId: 'MC-CB-2001', chargebackType: 'CHARGEBACK', reasonCode: '4853', amount: '1245.00', currency: 'USD', createDate: _daysAgo(10), documentIndicator: false, reversed: false, messageText: 'Cardholder states room not as described' }
+      ]
+    },
+    {
+      ...base,
+      claimId: 'MC-CLM-1003',
+      claimValue: '689.50',
+      cardholderName: 'Priya Raman',
+      transactionId: 'TXN-1003',
+      transactionDate: _daysAgo(70),
+      acquirerRefNum: '85412345678901234567003',
+      createDate: _daysAgo(50),
+      chargebacks: [
+        { chargebackId: 'MC-CB-2002', chargebackType: 'CHARGEBACK', reasonCode: '4837', amount: '689.50', currency: 'USD', createDate: _daysAgo(48), documentIndicator: false, reversed: false },
+        { chargebackId: 'MC-CB-2003', chargebackType: 'SECOND_PRESENTMENT', reasonCode: '2700', amount: '689.50', currency: 'USD', createDate: _daysAgo(30), documentIndicator: true, reversed: false }
+      ]
+    },
+    {
+      ...base,
+      claimId: 'MC-CLM-1004',
+      claimValue: '932.10',
+      cardholderName: 'Tom Becker',
+      transactionId: 'TXN-1004',
+      transactionDate: _daysAgo(110),
+      acquirerRefNum: '85412345678901234567004',
+      createDate: _daysAgo(90),
+      chargebacks: [
+        { chargebackId: 'MC-CB-2004', chargebackType: 'CHARGEBACK', reasonCode: '4855', amount: '932.10', currency: 'USD', createDate: _daysAgo(88), documentIndicator: false, reversed: false },
+        { chargebackId: 'MC-CB-2005', chargebackType: 'SECOND_PRESENTMENT', reasonCode: '2700', amount: '932.10', currency: 'USD', createDate: _daysAgo(60), documentIndicator: true, reversed: false }
+      ],
+      caseFiling: { caseId: 'MC-CASE-3001', caseType: 'PRE_ARBITRATION', status: 'PENDING_ACQUIRER', createDate: _daysAgo(6), preArbitrationDate: _daysAgo(6) }
+    },
+    {
+      ...base,
+      claimId: 'MC-CLM-1005',
+      claimValue: '2150.00',
+      cardholderName: 'Elena Petrova',
+      transactionId: 'TXN-1005',
+      transactionDate: _daysAgo(160),
+      acquirerRefNum: '85412345678901234567005',
+      createDate: _daysAgo(140),
+      chargebacks: [
+        { chargebackId: 'MC-CB-2006', chargebackType: 'CHARGEBACK', reasonCode: '4859', amount: '2150.00', currency: 'USD', createDate: _daysAgo(138), documentIndicator: false, reversed: false },
+        { chargebackId: 'MC-CB-2007', chargebackType: 'SECOND_PRESENTMENT', reasonCode: '2700', amount: '2150.00', currency: 'USD', createDate: _daysAgo(110), documentIndicator: true, reversed: false }
+      ],
+      caseFiling: { caseId: 'MC-CASE-3002', caseType: 'ARBITRATION', status: 'PENDING_ACQUIRER', createDate: _daysAgo(40), preArbitrationDate: _daysAgo(40), arbitrationDate: _daysAgo(4) }
+    }
+  ];
+
+  const events = {
+    'MC-CLM-1001': [
+      { eventId: 'EV-1001-1', type: 'CLAIM_OPENED', createdDate: _daysAgo(3), actor: 'ISSUER' },
+      { eventId: 'EV-1001-2', type: 'COLLABORATION_REQUEST', createdDate: _daysAgo(3), actor: 'ISSUER', memo: 'Cardholder requests refund of resort fee; please advise' }
+    ],
+    'MC-CLM-1002': [
+      { eventId: 'EV-1002-1', type: 'CLAIM_OPENED', createdDate: _daysAgo(12), actor: 'ISSUER' },
+      { eventId: 'EV-1002-2', type: 'CHARGEBACK', createdDate: _daysAgo(10), actor: 'ISSUER', reasonCode: '4853', amount: '1245.00', currency: 'USD' }
+    ],
+    'MC-CLM-1003': [
+      { eventId: 'EV-1003-1', type: 'CHARGEBACK', createdDate: _daysAgo(48), actor: 'ISSUER', reasonCode: '4837', amount: '689.50' },
+      { eventId: 'EV-1003-2', type: 'SECOND_PRESENTMENT', createdDate: _daysAgo(30), actor: 'ACQUIRER', reasonCode: '2700' }
+    ],
+    'MC-CLM-1004': [
+      { eventId: 'EV-1004-1', type: 'CHARGEBACK', createdDate: _daysAgo(88), actor: 'ISSUER', reasonCode: '4855', amount: '932.10' },
+      { eventId: 'EV-1004-2', type: 'SECOND_PRESENTMENT', createdDate: _daysAgo(60), actor: 'ACQUIRER', reasonCode: '2700' },
+      { eventId: 'EV-1004-3', type: 'PRE_ARBITRATION_FILED', createdDate: _daysAgo(6), actor: 'ISSUER', caseId: 'MC-CASE-3001', memo: 'Issuer disputes check-in evidence' }
+    ],
+    'MC-CLM-1005': [
+      { eventId: 'EV-1005-1', type: 'PRE_ARBITRATION_FILED', createdDate: _daysAgo(40), actor: 'ISSUER', caseId: 'MC-CASE-3002' },
+      { eventId: 'EV-1005-2', type: 'PRE_ARBITRATION_REJECTED', createdDate: _daysAgo(20), actor: 'ACQUIRER', caseId: 'MC-CASE-3002' },
+      { eventId: 'EV-1005-3', type: 'ARBITRATION_FILED', createdDate: _daysAgo(4), actor: 'ISSUER', caseId: 'MC-CASE-3002' }
+    ]
+  };
+
+  return { claims, events };
+}
+
+// =============================================================================
+// OAUTH VERIFICATION
+// =============================================================================
+
+function _parseOAuthHeader(header) {
+  if (!header || !header.startsWith('OAuth ')) return null;
+  const params = {};
+  for (const part of header.slice(6).split(',')) {
+    const match = part.trim().match(/^([a-z_]+)="(.*)"$/);
+    if (match) params[match[1]] = decodeURIComponent(match[2]);
+  }
+  return params;
+}
+
+function _verifyOAuth(req, rawBody, publicKey) {
+  const params = _parseOAuthHeader(req.headers.authorization);
+  if (!params) return 'Missing OAuth Authorization header';
+
+  for (const key of ['oauth_consumer_key', 'oauth_nonce', 'oauth_timestamp', 'oauth_signature_method', 'oauth_signature', 'oauth_body_hash']) {
+    if (!params[key]) return `Missing ${key}`;
+  }
+  if (params.oauth_signature_method !== 'RSA-SHA256') return 'Unsupported signature method';
+
+  const bodyHash = crypto.createHash('sha256').update(rawBody || '', 'utf8').digest('base64');
+  if (bodyHash !== params.oauth_body_hash) return 'oauth_body_hash mismatch';
+
+  if (publicKey) {
+    const { oauth_signature: signature, ...signed } = params;
+    const url = `${req.protocol}://${req.headers.host}${req.originalUrl}`;
+    const baseString = MastercomAdapter.signatureBaseString(req.method, url, signed);
+    const valid = crypto.verify('RSA-SHA256', Buffer.from(baseString), publicKey, Buffer.from(signature, 'base64'));
+    if (!valid) return 'Invalid OAuth signature';
+  }
+
+  return null;
+}
+
+// =============================================================================
+// SERVER
+// =============================================================================
+
+/**
+ * Start the Mastercom mock.
+ *
+ * @param {Object} [options]
+ * @param {number} [options.port=0]     - 0 picks a free port
+ * @param {string} [options.publicKey]  - PEM public key; enables signature verification
+ * @returns {Promise<Object>} { url, port, state, requests, addEvent, escalate, close }
+ */
+function startMastercomMock({ port = 0, publicKey = null } = {}) {
+  const state = buildFixtures();
+  const requests = [];
+  let sequence = 0;
+
+  const findClaim = (claimId) => state.claims.find((c) => c.claimId === claimId);
+  const findCase = (caseId) => state.claims.find((c) => c.caseFiling?.caseId === caseId);
+
+  const addEvent = (claimId, event) => {
+    const record = { eventId: `EV-${claimId.slice(-4)}-M${++sequence}`, createdDate: new Date().toISOString(), ...event };
+    (state.events[claimId] = state.events[claimId] || []).push(record);
+    const claim = findClaim(claimId);
+    if (claim) claim.lastModifiedDate = record.createdDate;
+    return record;
+  };
+
+  const app = express();
+  app.use(express.text({ type: '*/*', limit: '50mb' }));
+
+  app.use((req, res, next) => {
+    const rawBody = typeof req.body === 'string' ? req.body : '';
+    requests.push({ method: req.method, path: req.path, query: req.query, authorization: req.headers.authorization });
+
+    const authError = _verifyOAuth(req, rawBody, publicKey);
+    if (authError) {
+      return res.status(401).json({ Errors: { Error: [{ Source: 'Gateway', ReasonCode: 'AUTHENTICATION_FAILED', Description: authError }] } });
+    }
+
+    req.body = rawBody ? JSON.parse(rawBody) : {};
+    next();
+  });
+
+  app.get(`${API_PREFIX}/healthcheck`, (req, res) => res.json({ status: 'UP' }));
+
+  app.get(`${API_PREFIX}/claims`, (req, res) => {
+    const since = req.query['updated-since'] ? new Date(req.query['updated-since']) : null;
+    const pageSize = parseInt(req.query['page-size'], 10) || 50;
+    const page = parseInt(req.query.page, 10) || 1;
+
+    const matching = state.claims.filter((c) =>
+      !since || new Date(c.lastModifiedDate || c.createDate) >= since
+    );
+    const slice = matching.slice((page - 1) * pageSize, page * pageSize);
+
+    res.json({ claims: slice, totalCount: matching.length, page, hasMore: page * pageSize < matching.length });
+  });
+
+  app.get(`${API_PREFIX}/claims/:claimId`, (req, res) => {
+    const claim = findClaim(req.params.claimId);
+    if (!claim) return res.status(404).json({ message: 'Claim not found' });
+    res.json(claim);
+  });
+
+  app.get(`${API_PREFIX}/claims/:claimId/events`, (req, res) => {
+    if (!findClaim(req.params.claimId)) return res.status(404).json({ message: 'Claim not found' });
+    const since = req.query.since ? new Date(req.query.since) : null;
+    const events = (state.events[req.params.claimId] || []).filter((e) => !since || new Date(e.createdDate) > since);
+    res.json({ events });
+  });
+
+  app.post(`${API_PREFIX}/claims/:claimId/chargebacks/:chargebackId/documents`, (req, res) => {
+    const claim = findClaim(req.params.claimId);
+    const chargeback = claim?.chargebacks.find((cb) => cb.chargebackId === req.params.chargebackId);
+    if (!chargeback) return res.status(404).json({ message: 'Chargeback not found' });
+    if (!req.body.fileName || !req.body.file) return res.status(400).json({ message: 'fileName and file are required' });
+
+    const documentId = `MC-DOC-${++sequence}`;
+    chargeback.documents = chargeback.documents || [];
+    chargeback.documents.push({ documentId, fileName: req.body.fileName, size: Buffer.from(req.body.file, 'base64').length });
+    res.status(201).json({ documentId });
+  });
+
+  app.post(`${API_PREFIX}/claims/:claimId/chargebacks/:chargebackId/second-presentment`, (req, res) => {
+    const claim = findClaim(req.params.claimId);
+    const chargeback = claim?.chargebacks.find((cb) => cb.chargebackId === req.params.chargebackId);
+    if (!chargeback) return res.status(404).json({ message: 'Chargeback not found' });
+    if (claim.chargebacks.some((cb) => cb.chargebackType === 'SECOND_PRESENTMENT')) {
+      return res.status(409).json({ message: 'Second presentment already filed' });
+    }
+
+    const known = new Set((chargeback.documents || []).map((d) => d.documentId));
+    const unknown = (req.body.documentIds || []).filter((id) => !known.has(id));
+    if (unknown.length) return res.status(400).json({ message: `Unknown documents: ${unknown.join(', ')}` });
+
+    const secondPresentment = {
+      chargebackId: `MC-CB-${++sequence}`,
+      chargebackType: 'SECOND_PRESENTMENT',
+      reasonCode: req.body.messageReasonCode,
+      amount: String(req.body.amount),
+      currency: req.body.currency,
+      createDate: new Date().toISOString(),
+      documentIndicator: (req.body.documentIds || []).length > 0,
+      reversed: false,
+      messageText: req.body.memo
+    };
+    claim.chargebacks.push(secondPresentment);
+    addEvent(claim.claimId, { type: 'SECOND_PRESENTMENT', actor: 'ACQUIRER', reasonCode: req.body.messageReasonCode, memo: req.body.memo });
+
+    res.status(201).json({ chargebackId: secondPresentment.chargebackId, status: 'SUBMITTED' });
+  });
+
+  app.post(`${API_PREFIX}/claims/:claimId/collaboration`, (req, res) => {
+    const claim = findClaim(req.params.claimId);
+    if (!claim) return res.status(404).json({ message: 'Claim not found' });
+    const event = addEvent(claim.claimId, { type: 'COLLABORATION_RESPONSE', actor: 'ACQUIRER', memo: req.body.memo });
+    res.status(201).json({ messageId: event.eventId, status: 'SENT' });
+  });
+
+  app.post(`${API_PREFIX}/claims/:claimId/accept`, (req, res) => {
+    const claim = findClaim(req.params.claimId);
+    if (!claim) return res.status(404).json({ message: 'Claim not found' });
+    claim.claimStatus = 'CLOSED';
+    claim.outcome = 'ACCEPTED_BY_ACQUIRER';
+    const event = addEvent(claim.claimId, { type: 'CLAIM_CLOSED', actor: 'ACQUIRER', memo: req.body.memo });
+    res.json({ responseId: event.eventId, message: 'Liability accepted' });
+  });
+
+  app.put(`${API_PREFIX}/cases/:caseId`, (req, res) => {
+    const claim = findCase(req.params.caseId);
+    if (!claim) return res.status(404).json({ message: 'Case not found' });
+
+    const filing = claim.caseFiling;
+    const action = req.body.action;
+    if (filing.caseType === 'PRE_ARBITRATION' && ['APPROVE', 'REJECT'].includes(action)) {
+      if (action === 'APPROVE') {
+        filing.status = 'ACCEPTED_BY_ACQUIRER';
+        claim.claimStatus = 'CLOSED';
+        claim.outcome = 'ACCEPTED_BY_ACQUIRER';
+      } else {
+        filing.status = 'PENDING_ISSUER';
+      }
+      addEvent(claim.claimId, { type: action === 'APPROVE' ? 'PRE_ARBITRATION_ACCEPTED' : 'PRE_ARBITRATION_REJECTED', actor: 'ACQUIRER', caseId: filing.caseId, memo: req.body.memo });
+    } else if (filing.caseType === 'ARBITRATION' && action === 'REBUT') {
+      filing.status = 'UNDER_REVIEW';
+      addEvent(claim.claimId, { type: 'ARBITRATION_RESPONSE', actor: 'ACQUIRER', caseId: filing.caseId, memo: req.body.memo });
+    } else {
+      return res.status(400).json({ message: `Action ${action} not allowed on ${filing.caseType} case` });
+    }
+
+    res.json({ caseId: filing.caseId, status: filing.status });
+  });
+
+  /**
+   * Issuer-side escalation, for driving a claim through later stages:
+   * 'pre_arbitration' files a pre-arb case, 'arbitration' escalates it.
+   */
+  const escalate = (claimId, stage) => {
+    const claim = findClaim(claimId);
+    if (!claim) throw new Error(`Unknown claim ${claimId}`);
+    const now = new Date().toISOString();
+
+    if (stage === 'pre_arbitration') {
+      claim.caseFiling = { caseId: `MC-CASE-${++sequence}`, caseType: 'PRE_ARBITRATION', status: 'PENDING_ACQUIRER', createDate: now, preArbitrationDate: now };
+      return addEvent(claimId, { type: 'PRE_ARBITRATION_FILED', actor: 'ISSUER', caseId: claim.caseFiling.caseId });
+    }
+    if (stage === 'arbitration' && claim.caseFiling) {
+      Object.assign(claim.caseFiling, { caseType: 'ARBITRATION', status: 'PENDING_ACQUIRER', arbitrationDate: now });
+      return addEvent(claimId, { type: 'ARBITRATION_FILED', actor: 'ISSUER', caseId: claim.caseFiling.caseId });
+    }
+    throw new Error(`Cannot escalate ${claimId} to ${stage}`);
+  };
+
+  return new Promise((resolve, reject) => {
+    const server = app.listen(port, '127.0.0.1', () => {
+      const actualPort = server.address().port;
+      resolve({
+        url: `http://127.0.0.1:${actualPort}`,
+        port: actualPort,
+        state,
+        requests,
+        addEvent,
+        escalate,
+        close: () => new Promise((done) => server.close(done))
+      });
+    });
+    server.on('error', reject);
+  });
+}
+
+module.exports = { startMastercomMock, buildFixtures };
+
+if (require.main === module) {
+  const port = parseInt(process.argv[2] || process.env.MASTERCOM_MOCK_PORT || '4010', 10);
+  startMastercomMock({ port }).then(({ url }) => {
+    console.log(`Mastercom mock listening on ${url}${API_PREFIX}`);
+  });
+}
@@ -0,0 +1,308 @@
+/**
+ * DisputeAI - Local Stripe Disputes API Mock
+ *
+ * In-memory stand-in for the Stripe endpoints used by StripeDisputeAdapter.
+ * Seeds disputes in several statuses, checks the Bearer secret key on every
+ * request, pages GET /v1/disputes by cursor, and applies evidence updates,
+ * submissions and closes to its state. Evidence files are accepted on the
+ * same server (pass `filesUrl: mock.apiUrl` to the adapter).
+ *
+ * POSTs honour Idempotency-Key like Stripe: a repeated key gets the stored
+ * response and changes nothing. failNext() makes the next requests to a path
+ * fail with a 500, optionally after they were applied (a lost response), to
+ * exercise the adapter's retries.
+ *
+ * signEvent() builds a charge.dispute.* event for a seeded dispute together
+ * with a Stripe-Signature header, so webhook verification can be exercised
+ * without Stripe.
+ *
+ * Usage:
+ *   const { startStripeMock } = require('./test/mocks/stripeMock');
+ *   const mock = await startStripeMock({ port: 0 });
+ *   const adapter = new StripeDisputeAdapter({ baseUrl: mock.apiUrl, filesUrl: mock.apiUrl, credentials: { secretKey: mock.secretKey } });
+ *   ...
+ *   await mock.close();
+ *
+ * Standalone: node test/mocks/stripeMock.js [port]
+ */
+
+const crypto = require('crypto');
+const express = require('express');
+const multer = require('multer');
+
+const API_PREFIX = '/v1';
+const SECRET_KEY = 'sk_test_disputeai_mock';
+
+// Evidence fields that hold a Stripe file ID rather than text
+const FILE_EVIDENCE_FIELDS = ['cancellation_policy', 'customer_communication', 'customer_signature', 'receipt', 'service_documentation', 'shipping_documentation', 'uncategorized_file'];
+
+// =============================================================================
+// FIXTURES
+// =============================================================================
+
+function _unixDaysAgo(days) {
+  return Math.floor((Date.now() - days * 24 * 60 * 60 * 1000) / 1000);
+}
+
+function _dispute(id, { amount, status, reason, createdDaysAgo, brand, last4, networkReasonCode, name, email, propertyId }) {
+  return {
+    id,
+    object: 'dispute',
+    amount,
+    currency: 'usd',
+    status,
+    reason,
+    created: _unixDaysAgo(createdDaysAgo),
+    livemode: false,
+    metadata: {},
+    evidence: {},
+    evidence_details: { due_by: _unixDaysAgo(createdDaysAgo - 21), has_evidence: false, past_due: false, submission_count: 0 },
+    payment_method_details: { type: 'card', card: { brand, last4, network_reason_code: networkReasonCode } },
+    charge: {
+      id: `ch_${id.slice(3)}`,
+      object: 'charge',
+      created: _unixDaysAgo(createdDaysAgo + 14),
+      billing_details: { name, email },
+      metadata: propertyId ? { propertyId } : {}
+    }
+  };
+}
+
+function buildFixtures() {
+  return {
+    disputes: [
+      _dispute('dp_mock_1001', { amount: 45600, status: 'needs_response', reason: 'fraudulent', createdDaysAgo: 2, brand: 'visa', last4: '4242', networkReasonCode: '10.4', name: 'Dana Whitfield', email: 'dana@example.com', propertyId: 'prop_downtown' }),
+      _dispute('dp_mock_1002', { amount: 124500, status: 'warning_needs_response', reason: 'product_unacceptable', createdDaysAgo: 5, brand: 'mastercard', last4: '5454', name: 'Marcus Lee', email: 'marcus@example.com' }),
+      _dispute('dp_mock_1003', { amount: 68950, status: 'under_review', reason: 'credit_not_processed', createdDaysAgo: 20, brand: 'amex', last4: '0005', name: 'Priya Raman', email: 'priya@example.com' }),
+      _dispute('dp_mock_1004', { amount: 93210, status: 'lost', reason: 'product_not_received', createdDaysAgo: 90, brand: 'visa', last4: '1881', networkReasonCode: '13.1', name: 'Tom Becker', email: 'tom@example.com' })
+    ],
+    files: []
+  };
+}
+
+// =============================================================================
+// WEBHOOK SIGNING
+// =============================================================================
+
+/**
+ * Stripe-Signature header for a raw payload ("t=<ts>,v1=<hmac>").
+ *
+ * @param {string} payload - Raw body exactly as it will be sent
+ * @param {string} secret - Endpoint signing secret (whsec_...)
+ * @param {number} [timestamp] - Unix seconds; defaults to now
+ */
+function signPayload(payload, secret, timestamp = Math.floor(Date.now() / 1000)) {
+  const signature = crypto.createHmac('sha256', secret).update(`${timestamp}.${payload}`).digest('hex');
+  return `t=${timestamp},v1=${signature}`;
+}
+
+// =============================================================================
+// SERVER
+// =============================================================================
+
+/**
+ * Start the Stripe mock.
+ *
+ * @param {Object} [options]
+ * @param {number} [options.port=0]    - 0 picks a free port
+ * @param {string} [options.secretKey] - Key the adapter must send
+ * @returns {Promise<Object>} { url, apiUrl, port, secretKey, state, requests, failNext, signEvent, close }
+ */
+function startStripeMock({ port = 0, secretKey = SECRET_KEY } = {}) {
+  const state = buildFixtures();
+  const requests = [];
+  const idempotentResponses = new Map();
+  const faults = [];
+  let sequence = 0;
+
+  const findDispute = (id) => state.disputes.find((d) => d.id === id);
+  const stripeError = (res, status, message, type = 'invalid_request_error') =>
+    res.status(status).json({ error: { type, message } });
+
+  const app = express();
+  app.use(express.urlencoded({ extended: true }));
+
+  app.use((req, res, next) => {
+    requests.push({ method: req.method, path: req.path, query: req.query, body: req.body, idempotencyKey: req.headers['idempotency-key'] || null });
+
+    if (req.headers.authorization !== `Bearer ${secretKey}`) {
+      return stripeError(res, 401, 'Invalid API Key provided', 'authentication_error');
+    }
+    next();
+  });
+
+  app.use((req, res, next) => {
+    const key = req.method === 'POST' ? req.headers['idempotency-key'] : null;
+    const fault = faults.find((f) => f.path === req.path && f.times > 0);
+    if (fault) fault.times -= 1;
+
+    if (fault && !fault.afterProcessing) return stripeError(res, 500, 'Simulated server error', 'api_error');
+    if (key && idempotentResponses.has(key)) {
+      const saved = idempotentResponses.get(key);
+      return res.status(saved.status).json(saved.body);
+    }
+
+    const send = res.json.bind(res);
+    res.json = (body) => {
+      if (key) idempotentResponses.set(key, { status: res.statusCode, body: JSON.parse(JSON.stringify(body)) });
+      if (fault) {
+        res.status(500);
+        return send({ error: { type: 'api_error', message: 'Simulated server error' } });
+      }
+      return send(body);
+    };
+    next();
+  });
+
+  app.get(`${API_PREFIX}/balance`, (req, res) => {
+    res.json({ object: 'balance', livemode: false, available: [{ amount: 0, currency: 'usd' }], pending: [] });
+  });
+
+  app.get(`${API_PREFIX}/disputes`, (req, res) => {
+    const limit = Math.min(parseInt(req.query.limit, 10) || 10, 100);
+    const since = req.query.created?.gte ? parseInt(req.query.created.gte, 10) : null;
+
+    // Newest first, like Stripe
+    let matching = state.disputes
+      .filter((d) => since === null || d.created >= since)
+      .sort((a, b) => b.created - a.created);
+
+    if (req.query.starting_after) {
+      const index = matching.findIndex((d) => d.id === req.query.starting_after);
+      if (index === -1) return stripeError(res, 400, `No such dispute: '${req.query.starting_after}'`);
+      matching = matching.slice(index + 1);
+    }
+
+    res.json({ object: 'list', url: `${API_PREFIX}/disputes`, has_more: matching.length > limit, data: matching.slice(0, limit) });
+  });
+
+  app.get(`${API_PREFIX}/disputes/:id`, (req, res) => {
+    const dispute = findDispute(req.params.id);
+    if (!dispute) return stripeError(res, 404, `No such dispute: '${req.params.id}'`);
+    res.json(dispute);
+  });
+
+  app.post(`${API_PREFIX}/disputes/:id`, (req, res) => {
+    const dispute = findDispute(req.params.id);
+    if (!dispute) return stripeError(res, 404, `No such dispute: '${req.params.id}'`);
+    if (!['needs_response', 'warning_needs_response'].includes(dispute.status)) {
+      return stripeError(res, 400, `This dispute is already ${dispute.status} and cannot be updated`);
+    }
+
+    const unknownFiles = Object.entries(req.body.evidence || {})
+      .filter(([field, value]) => FILE_EVIDENCE_FIELDS.includes(field) && !state.files.some((f) => f.id === value));
+    if (unknownFiles.length) {
+      return stripeError(res, 400, `No such file upload: '${unknownFiles[0][1]}'`);
+    }
+
+    Object.assign(dispute.evidence, req.body.evidence || {});
+    Object.assign(dispute.metadata, req.body.metadata || {});
+    dispute.evidence_details.has_evidence = Object.keys(dispute.evidence).length > 0;
+
+    if (req.body.submit === 'true') {
+      dispute.status = dispute.status === 'warning_needs_response' ? 'warning_under_review' : 'under_review';
+      dispute.evidence_details.submission_count += 1;
+    }
+
+    res.json(dispute);
+  });
+
+  app.post(`${API_PREFIX}/disputes/:id/close`, (req, res) => {
+    const dispute = findDispute(req.params.id);
+    if (!dispute) return stripeError(res, 404, `No such dispute: '${req.params.id}'`);
+    dispute.status = dispute.status.startsWith('warning_') ? 'warning_closed' : 'lost';
+    res.json(dispute);
+  });
+
+  app.post(`${API_PREFIX}/files`, multer({ storage: multer.memoryStorage() }).single('file'), (req, res) => {
+    if (req.body.purpose !== 'dispute_evidence') return stripeError(res, 400, 'purpose must be dispute_evidence');
+    if (!req.file) return stripeError(res, 400, 'Missing required param: file.');
+
+    const file = {
+      id: `file_mock_${++sequence}`,
+      object: 'file',
+      purpose: req.body.purpose,
+      filename: req.file.originalname,
+      size: req.file.size,
+      type: req.file.mimetype,
+      created: Math.floor(Date.now() / 1000)
+    };
+    state.files.push(file);
+    res.json(file);
+  });
+
+  app.post(`${API_PREFIX}/webhook_endpoints`, (req, res) => {
+    res.json({
+      id: `we_mock_${++sequence}`,
+      object: 'webhook_endpoint',
+      url: req.body.url,
+      enabled_events: req.body.enabled_events || [],
+      status: 'enabled',
+      secret: `whsec_mock_${crypto.randomBytes(8).toString('hex')}`
+    });
+  });
+
+  /**
+   * Fail the next requests to a path with a 500.
+   *
+   * @param {string} path - e.g. '/v1/disputes/dp_mock_1001'
+   * @param {Object} [options]
+   * @param {number} [options.times=1]
+   * @param {boolean} [options.afterProcessing=false] - Apply the request first, then lose the response
+   */
+  const failNext = (path, { times = 1, afterProcessing = false } = {}) => {
+    faults.push({ path, times, afterProcessing });
+  };
+
+  /**
+   * A charge.dispute.* event for a seeded dispute, as Stripe would deliver it.
+   *
+   * @param {string} type - e.g. 'charge.dispute.created'
+   * @param {string} disputeId
+   * @param {string} webhookSecret - Signs the event
+   * @returns {Object} { event, body, headers } - body is the raw JSON to send
+   */
+  const signEvent = (type, disputeId, webhookSecret) => {
+    const dispute = findDispute(disputeId);
+    if (!dispute) throw new Error(`Unknown dispute ${disputeId}`);
+
+    const event = {
+      id: `evt_mock_${++sequence}`,
+      object: 'event',
+      type,
+      created: Math.floor(Date.now() / 1000),
+      livemode: false,
+      data: { object: JSON.parse(JSON.stringify(dispute)) }
+    };
+    const body = JSON.stringify(event);
+    return { event, body, headers: { 'stripe-signature': signPayload(body, webhookSecret) } };
+  };
+
+  return new Promise((resolve, reject) => {
+    const server = app.listen(port, '127.0.0.1', () => {
+      const actualPort = server.address().port;
+      const url = `http://127.0.0.1:${actualPort}`;
+      resolve({
+        url,
+        apiUrl: `${url}${API_PREFIX}`,
+        port: actualPort,
+        secretKey,
+        state,
+        requests,
+        failNext,
+        signEvent,
+        close: () => new Promise((done) => server.close(done))
+      });
+    });
+    server.on('error', reject);
+  });
+}
+
+module.exports = { startStripeMock, buildFixtures, signPayload };
+
+if (require.main === module) {
+  const port = parseInt(process.argv[2] || process.env.STRIPE_MOCK_PORT || '4013', 10);
+  startStripeMock({ port }).then(({ apiUrl, secretKey }) => {
+    console.log(`Stripe mock listening on ${apiUrl} (secret key ${secretKey})`);
+  });
+}
@@ -0,0 +1,121 @@
+/**
+ * PMS webhooks through routes/webhooks.js: a delivery is queued only when it
+ * is signed with its integration's webhook secret. The database and queue
+ * are replaced in the require cache, so no Prisma client or Redis is needed.
+ */
+
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'error';
+
+const crypto = require('crypto');
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const axios = require('axios');
+const express = require('express');
+
+const INTEGRATIONS = {
+  'token-signed': { id: 'int-mews', type: 'mews', webhookToken: 'token-signed', webhookSecret: 'mews-webhook-secret' },
+  'token-unsigned': { id: 'int-mews-open', type: 'mews', webhookToken: 'token-unsigned', webhookSecret: null }
+};
+
+const queued = [];
+
+function _stub(modulePath, exports) {
+  const file = require.resolve(modulePath);
+  require.cache[file] = { id: file, filename: file, loaded: true, exports };
+}
+
+_stub('../config/database', {
+  prisma: { integration: { findUnique: async ({ where }) => INTEGRATIONS[where.webhookToken] || null } },
+  isDatabaseUnavailable: () => false
+});
+_stub('../services/queue/queueManager', {
+  getQueue: () => ({
+    add: async (name, data) => {
+      queued.push({ name, data });
+      return { id: String(queued.length) };
+    }
+  })
+});
+
+const webhooksRoutes = require('../routes/webhooks');
+
+const BODY = JSON.stringify({ Events: [{ Discriminator: 'ReservationUpdated', Value: { ReservationId: 'RES-78234' } }] });
+const sign = (body, secret) => crypto.createHmac('sha256', secret).update(body).digest('hex');
+
+describe('PMS webhooks', () => {
+  let server;
+  let url;
+
+  before(async () => {
+    const app = express();
+    app.use('/api/webhooks', express.raw({ type: 'application/json' }));
+    app.use('/api/webhooks', webhooksRoutes);
+
+    await new Promise((resolve) => {
+      server = app.listen(0, '127.0.0.1', resolve);
+    });
+    url = `http://127.0.0.1:${server.address().port}/api/webhooks/pms/mews`;
+  });
+
+  beforeEach(() => {
+    queued.length = 0;
+  });
+
+  after(() => new Promise((done) => server.close(done)));
+
+  const post = (token, headers = {}) => axios.post(`${url}/${token}`, BODY, {
+    headers: { 'Content-Type': 'application/json', ...headers },
+    transformRequest: [(data) => data],
+    validateStatus: () => true
+  });
+
+  it('queues a delivery signed with the integration secret', async () => {
+    const res = await post('token-signed', { 'X-Webhook-Signature': sign(BODY, 'mews-webhook-secret') });
+
+    assert.equal(res.status, 202);
+    assert.equal(queued.length, 1);
+    assert.equal(queued[0].data.integrationId, 'int-mews');
+    assert.equal(queued[0].data.payload, BODY);
+  });
+
+  it('queues only the replay headers with a delivery', async () => {
+    const res = await post('token-signed', {
+      'X-Webhook-Signature': sign(BODY, 'mews-webhook-secret'),
+      Authorization: 'Bearer not-for-the-queue',
+      Cookie: 'session=abc'
+    });
+
+    assert.equal(res.status, 202);
+    assert.equal(queued[0].data.headers['x-webhook-signature'], sign(BODY, 'mews-webhook-secret'));
+    assert.equal(queued[0].data.headers.authorization, undefined);
+    assert.equal(queued[0].data.headers.cookie, undefined);
+    assert.equal(queued[0].data.headers.host, undefined);
+  });
+
+  it('refuses an unsigned delivery', async () => {
+    const res = await post('token-signed');
+
+    assert.equal(res.status, 401);
+    assert.equal(res.data.message, 'Invalid webhook signature');
+    assert.equal(queued.length, 0);
+  });
+
+  it('refuses a delivery signed with the wrong secret', async () => {
+    const res = await post('token-signed', { 'X-Webhook-Signature': sign(BODY, 'someone-elses-secret') });
+
+    assert.equal(res.status, 401);
+    assert.equal(queued.length, 0);
+  });
+
+  it('refuses every delivery for an integration without a webhook secret', async () => {
+    const res = await post('token-unsigned', { 'X-Webhook-Signature': sign(BODY, 'anything') });
+
+    assert.equal(res.status, 401);
+    assert.equal(res.data.message, 'Webhook secret not configured for this integration');
+    assert.equal(queued.length, 0);
+  });
+
+  it('does not reveal whether a token exists', async () => {
+    assert.equal((await post('token-unknown')).status, 404);
+  });
+});
@@ -0,0 +1,117 @@
+/**
+ * Stripe, Adyen and Shift4 dispute webhooks through routes/webhooks.js:
+ * unsigned or forged deliveries are refused before anything is stored, and
+ * a provider without a configured secret refuses every delivery.
+ */
+
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'error';
+
+const crypto = require('crypto');
+const { describe, it, before, after, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const axios = require('axios');
+const express = require('express');
+
+const webhooksRoutes = require('../routes/webhooks');
+const { signPayload } = require('./mocks/stripeMock');
+
+const SECRETS = {
+  STRIPE_WEBHOOK_SECRET: 'whsec_route_test',
+  ADYEN_HMAC_KEY: '44782def547aaa06c910c43932b1eb0c71fc68d9d0c057550c48ec2acf6ba056',
+  SHIFT4_WEBHOOK_SECRET: 'shift4_route_test'
+};
+
+const STRIPE_EVENT = JSON.stringify({
+  id: 'evt_route_1',
+  type: 'charge.dispute.created',
+  created: 1760000000,
+  data: { object: { id: 'dp_route_1', object: 'dispute', amount: 45600, currency: 'usd', status: 'needs_response', reason: 'fraudulent' } }
+});
+
+const ADYEN_NOTIFICATION = JSON.stringify({
+  live: 'false',
+  notificationItems: [{
+    NotificationRequestItem: {
+      eventCode: 'NOTIFICATION_OF_CHARGEBACK',
+      pspReference: '9915555555555555',
+      originalReference: '8835511210681392',
+      merchantAccountCode: 'GrandHotelECOM',
+      amount: { currency: 'EUR', value: 31200 },
+      success: 'true',
+      additionalData: { chargebackReasonCode: '10.4', hmacSignature: 'Zm9yZ2Vk' }
+    }
+  }]
+});
+
+const SHIFT4_EVENT = JSON.stringify({ id: 'evt_s4_1', type: 'DISPUTE_CREATED', data: { id: 'dsp_route_1', amount: 12000, status: 'OPEN' } });
+
+describe('processor dispute webhooks', () => {
+  let server;
+  let url;
+
+  before(async () => {
+    const app = express();
+    app.use('/api/webhooks', express.raw({ type: 'application/json' }));
+    app.use('/api/webhooks', webhooksRoutes);
+
+    await new Promise((resolve) => {
+      server = app.listen(0, '127.0.0.1', resolve);
+    });
+    url = `http://127.0.0.1:${server.address().port}/api/webhooks`;
+  });
+
+  afterEach(() => {
+    for (const name of Object.keys(SECRETS)) delete process.env[name];
+  });
+
+  after(() => new Promise((done) => server.close(done)));
+
+  const post = (path, body, headers = {}) => axios.post(`${url}${path}`, body, {
+    headers: { 'Content-Type': 'application/json', ...headers },
+    transformRequest: [(data) => data],
+    validateStatus: () => true
+  });
+
+  describe('with a secret configured', () => {
+    it('refuses an unsigned Stripe delivery', async () => {
+      process.env.STRIPE_WEBHOOK_SECRET = SECRETS.STRIPE_WEBHOOK_SECRET;
+      const res = await post('/stripe', STRIPE_EVENT);
+
+      assert.equal(res.status, 401);
+      assert.equal(res.data.error, 'Invalid signature');
+    });
+
+    it('refuses a Stripe delivery signed with another secret', async () => {
+      process.env.STRIPE_WEBHOOK_SECRET = SECRETS.STRIPE_WEBHOOK_SECRET;
+      const res = await post('/stripe', STRIPE_EVENT, { 'Stripe-Signature': signPayload(STRIPE_EVENT, 'whsec_forger') });
+
+      assert.equal(res.status, 401);
+    });
+
+    it('refuses an Adyen notification with a forged HMAC', async () => {
+      process.env.ADYEN_HMAC_KEY = SECRETS.ADYEN_HMAC_KEY;
+      const res = await post('/adyen', ADYEN_NOTIFICATION);
+
+      assert.equal(res.status, 401);
+    });
+
+    it('refuses a Shift4 delivery without a valid signature', async () => {
+      process.env.SHIFT4_WEBHOOK_SECRET = SECRETS.SHIFT4_WEBHOOK_SECRET;
+      const forged = crypto.createHmac('sha256', 'shift4_forger').update(SHIFT4_EVENT).digest('hex');
+
+      assert.equal((await post('/shift4', SHIFT4_EVENT)).status, 401);
+      assert.equal((await post('/shift4', SHIFT4_EVENT, { 'X-Shift4-Signature': forged })).status, 401);
+    });
+  });
+
+  describe('without a secret configured', () => {
+    for (const [path, body] of [['/stripe', STRIPE_EVENT], ['/adyen', ADYEN_NOTIFICATION], ['/shift4', SHIFT4_EVENT]]) {
+      it(`refuses every ${path.slice(1)} delivery`, async () => {
+        const res = await post(path, body);
+
+        assert.equal(res.status, 503);
+        assert.equal(res.data.error, 'Webhook signing secret not configured');
+      });
+    }
+  });
+});
@@ -0,0 +1,114 @@
+/**
+ * Reason code catalog (services/reasonCodes.js): looking codes up across
+ * card networks and measuring a case's evidence against its code.
+ */
+
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'error';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  normalizeCardNetwork,
+  toEvidenceType,
+  getReasonCode,
+  getNetworkResponseDays,
+  listReasonCodes,
+  getEvidenceRequirements
+} = require('../services/reasonCodes');
+
+describe('normalizeCardNetwork', () => {
+  it('accepts the spellings processors report', () => {
+    assert.equal(normalizeCardNetwork('Mastercard'), 'MASTERCARD');
+    assert.equal(normalizeCardNetwork('master-card'), 'MASTERCARD');
+    assert.equal(normalizeCardNetwork('american express'), 'AMEX');
+    assert.equal(normalizeCardNetwork('Diners Club'), 'DISCOVER');
+    assert.equal(normalizeCardNetwork('JCB'), null);
+  });
+});
+
+describe('getReasonCode', () => {
+  it('finds a code on each network', () => {
+    assert.equal(getReasonCode('10.4', 'VISA').category, 'FRAUD');
+    assert.equal(getReasonCode('4853', 'MASTERCARD').description, 'Cardholder Dispute');
+    assert.equal(getReasonCode('c08', 'AMEX').code, 'C08');
+    assert.equal(getReasonCode('UA02', 'DISCOVER').network, 'DISCOVER');
+  });
+
+  it('looks across networks when the brand is wrong or missing', () => {
+    const entry = getReasonCode('4837', 'VISA');
+
+    assert.equal(entry.network, 'MASTERCARD');
+    assert.equal(entry.responseDays, 45);
+    assert.equal(getReasonCode(' 13.7 ').network, 'VISA');
+  });
+
+  it('returns null for codes not in the catalog', () => {
+    assert.equal(getReasonCode('99.9', 'VISA'), null);
+    assert.equal(getReasonCode('', 'VISA'), null);
+  });
+});
+
+describe('network catalog', () => {
+  it('gives each network its response window', () => {
+    assert.equal(getNetworkResponseDays('VISA'), 30);
+    assert.equal(getNetworkResponseDays('MC'), 45);
+    assert.equal(getNetworkResponseDays('AMEX'), 20);
+    assert.equal(getNetworkResponseDays('unknown'), null);
+  });
+
+  it('lists one network or all of them', () => {
+    const visa = listReasonCodes('Visa');
+    const all = listReasonCodes();
+
+    assert.ok(visa.length > 0);
+    assert.ok(visa.every((c) => c.network === 'VISA'));
+    assert.deepEqual([...new Set(all.map((c) => c.network))], ['VISA', 'MASTERCARD', 'AMEX', 'DISCOVER']);
+  });
+});
+
+describe('toEvidenceType', () => {
+  it('maps PMS document types onto EvidenceType', () => {
+    assert.equal(toEvidenceType('registration_card'), 'AUTH_SIGNATURE');
+    assert.equal(toEvidenceType('Payment_Receipt'), 'FOLIO');
+    assert.equal(toEvidenceType('KEY_CARD_LOG'), 'KEY_CARD_LOG');
+    assert.equal(toEvidenceType('loyalty_statement'), 'OTHER');
+    assert.equal(toEvidenceType(null), 'OTHER');
+  });
+});
+
+describe('getEvidenceRequirements', () => {
+  it('counts only required evidence towards completeness', () => {
+    const requirements = getEvidenceRequirements(
+      { reasonCode: '13.1', cardBrand: 'VISA' },
+      [{ type: 'FOLIO' }, 'registration_card', { type: 'CORRESPONDENCE' }]
+    );
+
+    assert.equal(requirements.known, true);
+    assert.equal(requirements.category, 'CONSUMER_DISPUTE');
+    assert.equal(requirements.completeness, 67);
+    assert.deepEqual(requirements.missingRequired, ['KEY_CARD_LOG']);
+    assert.deepEqual(requirements.missingOptional, ['ID_SCAN', 'RESERVATION_CONFIRMATION']);
+    assert.equal(requirements.required[0].label, 'Guest Folio');
+  });
+
+  it('is complete once every required item is on file', () => {
+    const requirements = getEvidenceRequirements(
+      { reasonCode: 'C18', cardBrand: 'AMEX' },
+      ['no_show', 'cancellation_policy', 'reservation']
+    );
+
+    assert.equal(requirements.completeness, 100);
+    assert.deepEqual(requirements.missingOptional, ['CORRESPONDENCE']);
+  });
+
+  it('falls back to the hotel evidence package for unknown codes', () => {
+    const requirements = getEvidenceRequirements({ reasonCode: 'ZZ99', cardBrand: 'Visa' }, ['folio']);
+
+    assert.equal(requirements.known, false);
+    assert.equal(requirements.reasonCode, 'ZZ99');
+    assert.equal(requirements.network, 'VISA');
+    assert.equal(requirements.completeness, 20);
+    assert.equal(requirements.missingRequired.length, 4);
+  });
+});
@@ -0,0 +1,145 @@
+/**
+ * Rebuttal packet PDF (services/rebuttalPacket.js): exhibit order, the
+ * section and page layout of the generated document, and where evidence is
+ * gathered from. File storage is replaced in the require cache.
+ */
+
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'error';
+
+const { Readable } = require('stream');
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { PDFDocument } = require('pdf-lib');
+
+const files = new Map();
+
+function _stub(modulePath, exports) {
+  const file = require.resolve(modulePath);
+  require.cache[file] = { id: file, filename: file, loaded: true, exports };
+}
+
+_stub('../config/storage', {
+  getFileStream: async (key) => {
+    if (!files.has(key)) throw new Error(`ENOENT: ${key}`);
+    return Readable.from([files.get(key)]);
+  }
+});
+
+const { autoclerk } = require('../services/autoclerkEmulator');
+const { orderExhibits, generateRebuttalPacket, loadPacketEvidence } = require('../services/rebuttalPacket');
+
+const CHARGEBACK = {
+  id: 'cb-packet-1',
+  caseNumber: 'CB-2026-0042',
+  reasonCode: '13.1',
+  cardBrand: 'VISA',
+  amount: 412.5,
+  currency: 'USD',
+  guestName: 'Dana Whitfield',
+  transactionId: 'txn_88421',
+  checkInDate: '2026-09-01T00:00:00Z',
+  checkOutDate: '2026-09-04T00:00:00Z',
+  disputeDate: '2026-09-20T00:00:00Z'
+};
+
+/** A PDF with `pages` blank pages */
+async function _pdf(pages) {
+  const doc = await PDFDocument.create();
+  for (let i = 0; i < pages; i++) doc.addPage([612, 792]);
+  return Buffer.from(await doc.save());
+}
+
+describe('orderExhibits', () => {
+  it('numbers evidence in the order of the stay', () => {
+    const exhibits = orderExhibits([
+      { type: 'CORRESPONDENCE', title: 'Emails' },
+      { type: 'FOLIO', title: 'Folio' },
+      { type: 'reservation', title: 'Booking' },
+      { type: 'loyalty_statement', title: 'Loyalty' },
+      { type: 'ID_SCAN', title: 'Passport' }
+    ]);
+
+    assert.deepEqual(exhibits.map((e) => e.title), ['Booking', 'Passport', 'Folio', 'Emails', 'Loyalty']);
+    assert.deepEqual(exhibits.map((e) => e.label), ['Exhibit 1', 'Exhibit 2', 'Exhibit 3', 'Exhibit 4', 'Exhibit 5']);
+  });
+
+  it('keeps items of the same type in their given order', () => {
+    const exhibits = orderExhibits([{ type: 'FOLIO', title: 'Room folio' }, { type: 'FOLIO', title: 'Incidentals folio' }]);
+
+    assert.deepEqual(exhibits.map((e) => e.title), ['Room folio', 'Incidentals folio']);
+  });
+});
+
+describe('generateRebuttalPacket', () => {
+  it('lays out cover letter, contents, summary and one section per exhibit', async () => {
+    const { buffer, pageCount, sections } = await generateRebuttalPacket({
+      chargeback: CHARGEBACK,
+      property: { name: 'Harbor Hotel', address: '1 Pier Rd' },
+      preparedBy: 'Jordan Lee',
+      evidence: [
+        { type: 'FOLIO', title: 'Guest Folio', data: { total: 412.5, nights: 3 } },
+        { type: 'AUTH_SIGNATURE', title: 'Registration Card', mimeType: 'application/pdf', content: await _pdf(2) }
+      ]
+    });
+
+    assert.deepEqual(sections, [
+      { title: 'Cover Letter', page: 1 },
+      { title: 'Table of Contents', page: 2 },
+      { title: 'Case Summary', page: 3 },
+      { title: 'Exhibit 1: Registration Card', page: 4 },
+      { title: 'Exhibit 2: Guest Folio', page: 6 }
+    ]);
+    assert.equal(pageCount, 6);
+
+    const saved = await PDFDocument.load(buffer);
+    assert.equal(saved.getPageCount(), 6);
+    assert.equal(saved.getTitle(), 'Chargeback Response CB-2026-0042');
+    assert.equal(saved.getSubject(), 'Reason code 13.1');
+  });
+
+  it('renders an exhibit it cannot merge as a page of its own', async () => {
+    const { pageCount, sections } = await generateRebuttalPacket({
+      chargeback: CHARGEBACK,
+      evidence: [{ type: 'ID_SCAN', title: 'Passport', mimeType: 'application/pdf', content: Buffer.from('not a pdf') }]
+    });
+
+    assert.equal(pageCount, 4);
+    assert.deepEqual(sections.at(-1), { title: 'Exhibit 1: Passport', page: 4 });
+  });
+});
+
+describe('loadPacketEvidence', () => {
+  it('combines stored files, PMS documents and the CE3.0 exhibit', async () => {
+    files.set('chargebacks/cb-packet-2/FOLIO/folio.pdf', await _pdf(1));
+    autoclerk.storeEvidence('cb-packet-2', [
+      { type: 'key_card_log', label: 'Key Card Activity', source: 'AutoClerk PMS', data: { entries: 4 } }
+    ]);
+
+    const items = await loadPacketEvidence({
+      id: 'cb-packet-2',
+      evidence: [
+        { type: 'FOLIO', fileName: 'folio.pdf', mimeType: 'application/pdf', s3Key: 'chargebacks/cb-packet-2/FOLIO/folio.pdf' },
+        { type: 'ID_SCAN', fileName: 'id.jpg', mimeType: 'image/jpeg', s3Key: 'chargebacks/cb-packet-2/ID_SCAN/missing.jpg' }
+      ],
+      ce3Eligible: true,
+      ce3Evidence: {
+        rules: { minAgeDays: 120, maxAgeDays: 365 },
+        disputedTransaction: { transactionId: 'txn_88421', transactionDate: '2026-09-01T00:00:00Z', deviceId: 'dev-1' },
+        qualifyingTransactions: [
+          { transactionId: 'txn_1', transactionDate: '2025-12-01T00:00:00Z', amount: 300, currency: 'USD', matchedFields: ['deviceId', 'ipAddress'] },
+          { transactionId: 'txn_2', transactionDate: '2026-02-01T00:00:00Z', amount: 280, currency: 'USD', matchedFields: ['deviceId', 'accountLogin'] }
+        ]
+      }
+    });
+
+    assert.deepEqual(items.map((i) => i.title), [
+      'Guest Folio',
+      'Government ID Scan',
+      'Key Card Activity',
+      'Visa Compelling Evidence 3.0 — Prior Undisputed Transactions'
+    ]);
+    assert.ok(items[0].content.length > 0);
+    assert.equal(items[1].content, null);
+    assert.equal(items[3].data.priorTransactions.length, 2);
+  });
+});
@@ -0,0 +1,203 @@
+/**
+ * Scheduled report delivery end to end: a demo report definition is built,
+ * rendered and sent through config/mail.js over SMTP to a catcher running
+ * in this process, and the captured message is checked.
+ */
+
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'error';
+
+const net = require('net');
+const { describe, it, before, after, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const nodemailer = require('nodemailer');
+
+const { setMailTransport } = require('../config/mail');
+const { sendReport, DEMO_REPORT_DEFINITIONS } = require('../services/scheduledReports');
+
+// A Monday: the weekly demo report covers the week before
+const NOW = new Date('2026-10-19T07:00:00Z');
+
+// =============================================================================
+// SMTP CATCHER
+// =============================================================================
+
+/**
+ * Minimal SMTP server that keeps every message it is sent. Recipients in
+ * `rejectRecipients` get a 550.
+ */
+function startSmtpCatcher({ rejectRecipients = [] } = {}) {
+  const messages = [];
+
+  const server = net.createServer((socket) => {
+    let buffer = '';
+    let envelope = { from: null, to: [] };
+    let inData = false;
+
+    socket.write('220 catcher ESMTP\r\n');
+    socket.on('data', (chunk) => {
+      buffer += chunk.toString('utf8');
+      for (;;) {
+        if (inData) {
+          const end = buffer.indexOf('\r\n.\r\n');
+          if (end === -1) return;
+          messages.push({ ...envelope, raw: buffer.slice(0, end).replace(/^\.\./gm, '.') });
+          buffer = buffer.slice(end + 5);
+          envelope = { from: null, to: [] };
+          inData = false;
+          socket.write('250 2.0.0 queued\r\n');
+          continue;
+        }
+
+        const eol = buffer.indexOf('\r\n');
+        if (eol === -1) return;
+        const line = buffer.slice(0, eol);
+        buffer = buffer.slice(eol + 2);
+
+        const address = (line.match(/<([^>]*)>/) || [])[1];
+        if (/^(EHLO|HELO)/i.test(line)) {
+          socket.write('250-catcher\r\n250 8BITMIME\r\n');
+        } else if (/^MAIL FROM/i.test(line)) {
+          envelope.from = address;
+          socket.write('250 2.1.0 ok\r\n');
+        } else if (/^RCPT TO/i.test(line)) {
+          if (rejectRecipients.includes(address)) {
+            socket.write('550 5.1.1 mailbox unavailable\r\n');
+          } else {
+            envelope.to.push(address);
+            socket.write('250 2.1.5 ok\r\n');
+          }
+        } else if (/^DATA/i.test(line)) {
+          inData = true;
+          socket.write('354 end with <CRLF>.<CRLF>\r\n');
+        } else if (/^QUIT/i.test(line)) {
+          socket.end('221 2.0.0 bye\r\n');
+          return;
+        } else {
+          socket.write('250 ok\r\n');
+        }
+      }
+    });
+  });
+
+  return new Promise((resolve) => {
+    server.listen(0, '127.0.0.1', () => {
+      resolve({
+        port: server.address().port,
+        messages,
+        close: () => new Promise((done) => server.close(done))
+      });
+    });
+  });
+}
+
+// =============================================================================
+// MIME HELPERS
+// =============================================================================
+
+function _decodeQuotedPrintable(text) {
+  const bytes = text.replace(/=\r\n/g, '').replace(/=([0-9A-F]{2})/gi, (match, hex) => String.fromCharCode(parseInt(hex, 16)));
+  return Buffer.from(bytes, 'latin1').toString('utf8');
+}
+
+function _header(raw, name) {
+  const head = raw.slice(0, raw.indexOf('\r\n\r\n')).replace(/\r\n[ \t]+/g, ' ');
+  const value = (head.match(new RegExp(`^${name}: (.*)$`, 'mi')) || [])[1] || '';
+  return value
+    .replace(/\?= =\?UTF-8\?Q\?/gi, '')
+    .replace(/=\?UTF-8\?Q\?(.*?)\?=/gi, (match, word) => _decodeQuotedPrintable(word.replace(/_/g, ' ')));
+}
+
+/** Leaf MIME parts as [{ contentType, filename, body }] with bodies decoded. */
+function _parts(raw) {
+  return raw.split(/\r\n--[^\r\n]+/).slice(1).flatMap((section) => {
+    const split = section.indexOf('\r\n\r\n');
+    if (split === -1) return [];
+    const headers = section.slice(0, split).replace(/\r\n[ \t]+/g, ' ');
+    const contentType = (headers.match(/Content-Type: ([^;\r\n]+)/i) || [])[1];
+    if (!contentType || contentType.startsWith('multipart/')) return [];
+
+    const encoding = (headers.match(/Content-Transfer-Encoding: (\S+)/i) || [])[1];
+    const encoded = section.slice(split + 4);
+    const body = encoding === 'base64' ? Buffer.from(encoded.replace(/\s+/g, ''), 'base64')
+      : encoding === 'quoted-printable' ? _decodeQuotedPrintable(encoded)
+        : encoded;
+
+    return [{ contentType, filename: (headers.match(/filename=("?)([^";\r\n]+)\1/i) || [])[2] || null, body }];
+  });
+}
+
+// =============================================================================
+// TESTS
+// =============================================================================
+
+describe('scheduled report delivery over SMTP', () => {
+  let catcher;
+  let transport;
+
+  before(async () => {
+    catcher = await startSmtpCatcher({ rejectRecipients: ['bounce@disputeai.com'] });
+    transport = nodemailer.createTransport({ host: '127.0.0.1', port: catcher.port, secure: false, ignoreTLS: true });
+    setMailTransport(transport, 'smtp');
+  });
+
+  afterEach(() => {
+    catcher.messages.length = 0;
+  });
+
+  after(async () => {
+    setMailTransport(null);
+    transport.close();
+    await catcher.close();
+  });
+
+  it('sends a weekly report with HTML, text and a PDF copy', async () => {
+    const definition = DEMO_REPORT_DEFINITIONS.find((d) => d.id === 'demo-report-1');
+    const result = await sendReport(definition, { now: NOW, demo: true });
+
+    assert.deepEqual(result.recipients, definition.recipients);
+    assert.equal(result.properties, 2);
+    assert.equal(catcher.messages.length, 1);
+
+    const [message] = catcher.messages;
+    assert.deepEqual(message.to, definition.recipients);
+    assert.equal(message.from, 'noreply@disputeai.com');
+    assert.equal(_header(message.raw, 'Subject'), 'Weekly Dispute Summary: 2 properties, Oct 12, 2026 – Oct 18, 2026');
+
+    const parts = _parts(message.raw);
+    assert.deepEqual(parts.map((part) => part.contentType), ['text/plain', 'text/html', 'application/pdf']);
+
+    const text = parts[0].body;
+    assert.match(text, /DISPUTEAI DEMO HOTEL/);
+    assert.match(text, /DISPUTEAI BEACH RESORT/);
+    for (const title of ['New Disputes', 'Amounts at Risk', 'Wins & Losses', 'Upcoming Deadlines', 'Top Reason Codes']) {
+      assert.ok(text.includes(title), `text part is missing "${title}"`);
+    }
+    assert.match(parts[1].body, /<html/i);
+
+    const pdf = parts[2];
+    assert.equal(pdf.filename, 'dispute-report-2026-10-19.pdf');
+    assert.equal(pdf.body.subarray(0, 5).toString(), '%PDF-');
+  });
+
+  it('sends only the chosen property and sections, without a PDF when turned off', async () => {
+    const definition = DEMO_REPORT_DEFINITIONS.find((d) => d.id === 'demo-report-2');
+    const result = await sendReport(definition, { now: new Date('2026-11-01T07:00:00Z'), demo: true });
+
+    assert.equal(result.properties, 1);
+    const [message] = catcher.messages;
+    assert.deepEqual(message.to, ['beach-gm@disputeai.com']);
+    assert.match(_header(message.raw, 'Subject'), /^Beach Resort Monthly: DisputeAI Beach Resort, Oct 1, 2026 – Oct 31, 2026$/);
+
+    const parts = _parts(message.raw);
+    assert.deepEqual(parts.map((part) => part.contentType), ['text/plain', 'text/html']);
+    assert.doesNotMatch(parts[0].body, /Upcoming Deadlines|Amounts at Risk/);
+    assert.match(parts[0].body, /Top Reason Codes/);
+  });
+
+  it('fails when the server refuses every recipient', async () => {
+    const definition = { ...DEMO_REPORT_DEFINITIONS[1], recipients: ['bounce@disputeai.com'] };
+
+    await assert.rejects(sendReport(definition, { now: NOW, demo: true }), /bounce@disputeai\.com|Can't send mail/);
+    assert.equal(catcher.messages.length, 0);
+  });
+});
@@ -0,0 +1,73 @@
+/**
+ * Scoring backtest case loading: which resolved cases are replayed, and when
+ * the backtest falls back to the demo cases. config/database is replaced in
+ * the require cache, so no Prisma client is needed.
+ */
+
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'error';
+
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { isDatabaseUnavailable } = require('../config/database');
+
+let findMany;
+const queries = [];
+
+function _stub(modulePath, exports) {
+  const file = require.resolve(modulePath);
+  require.cache[file] = { id: file, filename: file, loaded: true, exports };
+}
+
+_stub('../config/database', {
+  prisma: {
+    chargeback: {
+      findMany: async (query) => {
+        queries.push(query);
+        return findMany(query);
+      }
+    },
+    systemConfig: { findUnique: async () => null, findMany: async () => [] }
+  },
+  isDatabaseUnavailable
+});
+
+const { runBacktest } = require('../services/scoringBacktest');
+const { getActiveRuleSet } = require('../services/aiDefenseConfig');
+
+describe('scoring backtest', () => {
+  beforeEach(() => {
+    queries.length = 0;
+    findMany = async () => [];
+  });
+
+  it('leaves out cases lost by accepting liability', async () => {
+    const candidate = await getActiveRuleSet({ fresh: true });
+    await runBacktest({ version: 'candidate', ruleSet: candidate.ruleSet }, { propertyId: 'prop-1' });
+
+    assert.equal(queries.length, 1);
+    assert.deepEqual(queries[0].where.status, { in: ['WON', 'LOST'] });
+    assert.equal(queries[0].where.liabilityReason, null);
+    assert.equal(queries[0].where.propertyId, 'prop-1');
+  });
+
+  it('falls back to the demo cases only when there is no database', async () => {
+    findMany = async () => { throw new Error('Database not available - running in demo mode'); };
+    const candidate = await getActiveRuleSet({ fresh: true });
+
+    const result = await runBacktest({ version: 'candidate', ruleSet: candidate.ruleSet });
+
+    assert.equal(result.isDemo, true);
+    assert.equal(result.cases.total, 4);
+  });
+
+  it('surfaces query failures instead of answering with demo data', async () => {
+    findMany = async () => { throw new Error('column "liabilityReason" does not exist'); };
+    const candidate = await getActiveRuleSet({ fresh: true });
+
+    await assert.rejects(
+      runBacktest({ version: 'candidate', ruleSet: candidate.ruleSet }),
+      /liabilityReason/
+    );
+  });
+});
@@ -0,0 +1,205 @@
+/**
+ * StripeDisputeAdapter against the local Stripe mock
+ * (test/mocks/stripeMock.js).
+ */
+
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'error';
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+const StripeDisputeAdapter = require('../services/disputes/StripeDisputeAdapter');
+const { startStripeMock, signPayload } = require('./mocks/stripeMock');
+
+const WEBHOOK_SECRET = 'whsec_test_secret';
+
+describe('StripeDisputeAdapter', () => {
+  let mock;
+  let adapter;
+
+  before(async () => {
+    mock = await startStripeMock();
+    adapter = new StripeDisputeAdapter({
+      baseUrl: mock.apiUrl,
+      filesUrl: mock.apiUrl,
+      credentials: { secretKey: mock.secretKey, webhookSecret: WEBHOOK_SECRET }
+    });
+  });
+
+  after(() => mock.close());
+
+  describe('fetchDisputes', () => {
+    it('returns raw Stripe disputes for scheduled sync to normalize', async () => {
+      const result = await adapter.fetchDisputes({ since: new Date(Date.now() - 30 * 24 * 60 * 60 * 1000) });
+
+      assert.equal(result.hasMore, false);
+      assert.deepEqual(result.disputes.map((d) => d.id).sort(), ['dp_mock_1001', 'dp_mock_1002', 'dp_mock_1003']);
+      assert.equal(result.totalCount, 3);
+      assert.ok(result.disputes.every((d) => d.object === 'dispute'));
+
+      const normalized = adapter.normalizeDispute(result.disputes.find((d) => d.id === 'dp_mock_1001'));
+      assert.equal(normalized.amount, 456);
+      assert.equal(normalized.cardBrand, 'VISA');
+      assert.equal(normalized.guestName, 'Dana Whitfield');
+      assert.equal(normalized.propertyId, 'prop_downtown');
+    });
+
+    it('follows cursors across pages', async () => {
+      const before = mock.requests.length;
+      const result = await adapter.fetchDisputes({ since: new Date(0), limit: 1 });
+
+      assert.equal(result.disputes.length, 4);
+      const pages = mock.requests.slice(before).filter((r) => r.path === '/v1/disputes');
+      assert.equal(pages.length, 4);
+      assert.equal(pages[1].query.starting_after, result.disputes[0].id);
+    });
+
+    it('getUpdates returns normalized disputes', async () => {
+      const updates = await adapter.getUpdates(new Date(Date.now() - 3 * 24 * 60 * 60 * 1000));
+
+      assert.equal(updates.length, 1);
+      assert.equal(updates[0].disputeId, 'dp_mock_1001');
+      assert.equal(updates[0].portalType, 'STRIPE');
+    });
+  });
+
+  describe('evidence push', () => {
+    it('uploads files and submits evidence', async () => {
+      const result = await adapter.submitEvidence('dp_mock_1001', {
+        files: [{ type: 'FOLIO', fileName: 'folio.pdf', mimeType: 'application/pdf', data: Buffer.from('%PDF-1.4 folio') }],
+        metadata: { guestName: 'Dana Whitfield', caseNumber: 'CB-1001', notes: 'Guest stayed all three nights.' }
+      });
+
+      assert.equal(result.status, 'submitted');
+      assert.equal(result.portalStatus, 'under_review');
+      assert.deepEqual(result.skippedFiles, []);
+      assert.ok(result.evidenceFields.includes('receipt'));
+
+      const dispute = mock.state.disputes.find((d) => d.id === 'dp_mock_1001');
+      assert.equal(dispute.evidence.receipt, mock.state.files[0].id);
+      assert.equal(dispute.metadata.disputeai_case, 'CB-1001');
+      assert.equal(dispute.evidence_details.submission_count, 1);
+
+      const update = mock.requests.filter((r) => r.method === 'POST' && r.path === '/v1/disputes/dp_mock_1001').pop();
+      assert.ok(update.idempotencyKey);
+    });
+
+    it('reports a staged representment as saved, not submitted', async () => {
+      const result = await adapter.pushResponse('dp_mock_1002', {
+        narrative: 'Room was provided as booked.',
+        guestDetails: { name: 'Marcus Lee' },
+        submit: false
+      });
+
+      assert.equal(result.status, 'staged');
+      assert.equal(result.message, 'Representment saved without submitting');
+
+      const dispute = mock.state.disputes.find((d) => d.id === 'dp_mock_1002');
+      assert.equal(dispute.status, 'warning_needs_response');
+      assert.equal(dispute.evidence_details.submission_count, 0);
+      assert.equal(dispute.evidence.customer_name, 'Marcus Lee');
+    });
+
+    it('reports a submitted representment as submitted', async () => {
+      const result = await adapter.pushResponse('dp_mock_1002', { narrative: 'Room was provided as booked.' });
+
+      assert.equal(result.status, 'submitted');
+      assert.equal(result.message, 'Representment submitted successfully');
+      assert.equal(mock.state.disputes.find((d) => d.id === 'dp_mock_1002').status, 'warning_under_review');
+    });
+
+    it('surfaces Stripe errors for disputes that can no longer be updated', async () => {
+      await assert.rejects(adapter.pushResponse('dp_mock_1004', { narrative: 'Too late.' }), (error) => error.response?.status === 400);
+    });
+  });
+
+  describe('retries', () => {
+    let retrying;
+
+    before(() => {
+      retrying = new StripeDisputeAdapter({
+        baseUrl: mock.apiUrl,
+        filesUrl: mock.apiUrl,
+        retryBaseDelayMs: 1,
+        credentials: { secretKey: mock.secretKey }
+      });
+    });
+
+    const attempts = (path, since) => mock.requests.slice(since).filter((r) => r.method === 'POST' && r.path === path);
+
+    it('sends the same Idempotency-Key on every attempt', async () => {
+      const since = mock.requests.length;
+      mock.failNext('/v1/disputes/dp_mock_1003/close', { times: 2 });
+
+      await retrying.acceptDispute('dp_mock_1003');
+
+      const sent = attempts('/v1/disputes/dp_mock_1003/close', since);
+      assert.equal(sent.length, 3);
+      assert.ok(sent[0].idempotencyKey);
+      assert.ok(sent.every((r) => r.idempotencyKey === sent[0].idempotencyKey));
+    });
+
+    it('submits evidence once when a response is lost after Stripe applied it', async () => {
+      mock.state.disputes.push({ ...JSON.parse(JSON.stringify(mock.state.disputes[0])), id: 'dp_mock_retry', status: 'needs_response' });
+      mock.state.disputes.at(-1).evidence_details.submission_count = 0;
+
+      const since = mock.requests.length;
+      mock.failNext('/v1/disputes/dp_mock_retry', { afterProcessing: true });
+
+      const result = await retrying.submitEvidence('dp_mock_retry', { files: [], metadata: { notes: 'Guest stayed as booked.' } });
+
+      const sent = attempts('/v1/disputes/dp_mock_retry', since);
+      assert.equal(sent.length, 2);
+      assert.equal(sent[1].idempotencyKey, sent[0].idempotencyKey);
+      assert.equal(result.status, 'submitted');
+      assert.equal(mock.state.disputes.at(-1).evidence_details.submission_count, 1);
+    });
+
+    it('registers a webhook endpoint once across retries', async () => {
+      const since = mock.requests.length;
+      mock.failNext('/v1/webhook_endpoints', { afterProcessing: true });
+
+      const first = await retrying.registerWebhook('https://disputeai.example.com/api/webhooks/stripe');
+
+      const sent = attempts('/v1/webhook_endpoints', since);
+      assert.equal(sent.length, 2);
+      assert.equal(sent[1].idempotencyKey, sent[0].idempotencyKey);
+      assert.ok(first.webhookId);
+    });
+  });
+
+  describe('webhooks', () => {
+    it('accepts a correctly signed event', () => {
+      const { body, headers } = mock.signEvent('charge.dispute.created', 'dp_mock_1003', WEBHOOK_SECRET);
+      const parsed = adapter.parseWebhookPayload(body, headers);
+
+      assert.equal(parsed.type, 'dispute.created');
+      assert.equal(parsed.rawEventType, 'charge.dispute.created');
+      assert.equal(parsed.dispute.disputeId, 'dp_mock_1003');
+      assert.equal(parsed.dispute.cardBrand, 'AMEX');
+    });
+
+    it('rejects an event signed with another secret', () => {
+      const { body, headers } = mock.signEvent('charge.dispute.created', 'dp_mock_1003', 'whsec_someone_else');
+      assert.throws(() => adapter.parseWebhookPayload(body, headers), /Invalid webhook signature/);
+    });
+
+    it('rejects a tampered body', () => {
+      const { body, headers } = mock.signEvent('charge.dispute.updated', 'dp_mock_1003', WEBHOOK_SECRET);
+      assert.throws(() => adapter.parseWebhookPayload(body.replace('68950', '1'), headers), /Invalid webhook signature/);
+    });
+
+    it('rejects a missing signature', () => {
+      const { body } = mock.signEvent('charge.dispute.created', 'dp_mock_1003', WEBHOOK_SECRET);
+      assert.throws(() => adapter.parseWebhookPayload(body, {}), /Invalid webhook signature/);
+    });
+
+    it('rejects a signature outside the tolerance window', () => {
+      const body = JSON.stringify({ id: 'evt_old', type: 'charge.dispute.created', data: { object: { id: 'dp_mock_1003', object: 'dispute' } } });
+      const stale = signPayload(body, WEBHOOK_SECRET, Math.floor(Date.now() / 1000) - 600);
+
+      assert.equal(adapter.verifyWebhookSignature(body, stale), false);
+      assert.equal(adapter.verifyWebhookSignature(body, signPayload(body, WEBHOOK_SECRET)), true);
+    });
+  });
+});
@@ -0,0 +1,122 @@
+/**
+ * In-memory stand-in for the Prisma model queries the analytics services
+ * run: where clauses (equality, in, not, ranges, case-insensitive equals, OR
+ * and relation filters), findMany, count, aggregate and groupBy over a plain
+ * array of rows. Only what those services use is supported.
+ */
+
+const OPERATORS = ['equals', 'in', 'not', 'gt', 'gte', 'lt', 'lte', 'mode', 'some'];
+
+function _comparable(value) {
+  return value instanceof Date ? value.getTime() : value;
+}
+
+function _equal(value, expected, insensitive = false) {
+  if (expected === null) return value === null || value === undefined;
+  if (insensitive && typeof value === 'string' && typeof expected === 'string') {
+    return value.toLowerCase() === expected.toLowerCase();
+  }
+  return _comparable(value) === _comparable(expected);
+}
+
+function _matchesField(value, condition) {
+  if (condition === null || typeof condition !== 'object' || condition instanceof Date) {
+    return _equal(value, condition);
+  }
+
+  const keys = Object.keys(condition);
+  if (!keys.every((key) => OPERATORS.includes(key))) {
+    // A relation filter, e.g. evidence: { chargeback: { propertyId } }
+    return value !== null && value !== undefined && matches(value, condition);
+  }
+
+  const insensitive = condition.mode === 'insensitive';
+  const present = value !== null && value !== undefined;
+  return keys.every((op) => {
+    switch (op) {
+      case 'equals': return _equal(value, condition.equals, insensitive);
+      case 'in': return condition.in.some((expected) => _equal(value, expected, insensitive));
+      case 'not': return !_matchesField(value, condition.not);
+      case 'gt': return present && _comparable(value) > _comparable(condition.gt);
+      case 'gte': return present && _comparable(value) >= _comparable(condition.gte);
+      case 'lt': return present && _comparable(value) < _comparable(condition.lt);
+      case 'lte': return present && _comparable(value) <= _comparable(condition.lte);
+      case 'some': return Array.isArray(value) && value.some((item) => matches(item, condition.some));
+      default: return true;
+    }
+  });
+}
+
+/**
+ * Whether a row satisfies a Prisma where clause.
+ */
+function matches(row, where = {}) {
+  return Object.entries(where).every(([key, condition]) => {
+    if (key === 'OR') return condition.some((clause) => matches(row, clause));
+    if (key === 'AND') return condition.every((clause) => matches(row, clause));
+    return _matchesField(row[key], condition);
+  });
+}
+
+function _sums(rows, fields = {}) {
+  return Object.fromEntries(Object.keys(fields).map((field) => {
+    const values = rows.map((row) => row[field]).filter((value) => value !== null && value !== undefined);
+    return [field, values.length ? values.reduce((sum, value) => sum + Number(value), 0) : null];
+  }));
+}
+
+function _extreme(rows, fields = {}, pick) {
+  return Object.fromEntries(Object.keys(fields).map((field) => {
+    const values = rows.map((row) => row[field]).filter((value) => value !== null && value !== undefined);
+    return [field, values.length ? values.reduce((best, value) => (pick(_comparable(value), _comparable(best)) ? value : best)) : null];
+  }));
+}
+
+function _aggregate(rows, { _count, _sum, _min, _max }) {
+  return {
+    ...(_count && { _count: { _all: rows.length } }),
+    ...(_sum && { _sum: _sums(rows, _sum) }),
+    ...(_min && { _min: _extreme(rows, _min, (a, b) => a < b) }),
+    ...(_max && { _max: _extreme(rows, _max, (a, b) => a > b) })
+  };
+}
+
+/**
+ * Model methods over the rows returned by getRows(), read on every call so
+ * tests can replace the table between cases.
+ */
+function memoryModel(getRows) {
+  const select = (where) => getRows().filter((row) => matches(row, where));
+
+  return {
+    findMany: async ({ where, orderBy, take } = {}) => {
+      let rows = select(where).map((row) => ({ ...row }));
+      if (orderBy) {
+        const [[field, direction]] = Object.entries(orderBy);
+        const sign = direction === 'desc' ? -1 : 1;
+        rows.sort((a, b) => sign * (_comparable(a[field]) > _comparable(b[field]) ? 1 : _comparable(a[field]) < _comparable(b[field]) ? -1 : 0));
+      }
+      if (take !== undefined) rows = rows.slice(0, take);
+      return rows;
+    },
+
+    count: async ({ where } = {}) => select(where).length,
+
+    aggregate: async ({ where, ...fields } = {}) => _aggregate(select(where), fields),
+
+    groupBy: async ({ by, where, ...fields }) => {
+      const groups = new Map();
+      for (const row of select(where)) {
+        const key = JSON.stringify(by.map((field) => _comparable(row[field]) ?? null));
+        if (!groups.has(key)) groups.set(key, []);
+        groups.get(key).push(row);
+      }
+      return [...groups.values()].map((rows) => ({
+        ...Object.fromEntries(by.map((field) => [field, rows[0][field] ?? null])),
+        ..._aggregate(rows, fields)
+      }));
+    }
+  };
+}
+
+module.exports = { matches, memoryModel };
@@ -0,0 +1,143 @@
+/**
+ * Sync routes fall back to demo data only when there is no database; other
+ * failures come back as errors. The database, auth middleware and sync
+ * scheduler are replaced in the require cache.
+ */
+
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'error';
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const axios = require('axios');
+const express = require('express');
+
+const { isDatabaseUnavailable } = require('../config/database');
+
+const INTEGRATION = { id: 'int-mews', name: 'Mews', type: 'mews', status: 'active', syncEnabled: true, config: { propertyId: 'prop-1' } };
+
+let failWith;
+let triggerError;
+const triggered = [];
+
+function _stub(modulePath, exports) {
+  const file = require.resolve(modulePath);
+  require.cache[file] = { id: file, filename: file, loaded: true, exports };
+}
+
+/** Model method that throws `failWith` when set, otherwise resolves `value`. */
+const _query = (value) => async () => {
+  if (failWith) throw failWith;
+  return value;
+};
+
+_stub('../config/database', {
+  prisma: {
+    property: { findMany: _query([{ id: 'prop-1', name: 'Harbor Hotel' }]) },
+    integration: { findMany: _query([INTEGRATION]), findUnique: _query(INTEGRATION) },
+    syncLog: { findMany: _query([]) }
+  },
+  isDatabaseUnavailable
+});
+_stub('../middleware/auth', {
+  authenticateToken: (req, res, next) => {
+    req.user = { id: 'user-1', email: 'admin@example.com', role: 'ADMIN' };
+    next();
+  },
+  requireRole: () => (req, res, next) => next(),
+  requirePropertyAccess: (req, res, next) => next()
+});
+_stub('../services/queue/scheduledSync', {
+  getSyncSchedules: async () => ({}),
+  classifyIntegration: () => ({ type: 'pms', adapterType: 'MEWS' }),
+  triggerSync: async (integration) => {
+    if (triggerError) throw triggerError;
+    triggered.push(integration.id);
+    return { id: `job-${triggered.length}` };
+  }
+});
+
+const syncRoutes = require('../routes/sync');
+
+const _error = (message, code) => Object.assign(new Error(message), code && { code });
+
+describe('sync routes', () => {
+  let server;
+  let baseUrl;
+
+  before(async () => {
+    const app = express();
+    app.use(express.json());
+    app.use('/api/sync', syncRoutes);
+
+    await new Promise((resolve) => {
+      server = app.listen(0, '127.0.0.1', resolve);
+    });
+    baseUrl = `http://127.0.0.1:${server.address().port}/api/sync`;
+  });
+
+  beforeEach(() => {
+    failWith = null;
+    triggerError = null;
+    triggered.length = 0;
+  });
+
+  after(() => new Promise((done) => server.close(done)));
+
+  const get = () => axios.get(`${baseUrl}/status`, { validateStatus: () => true });
+  const trigger = (body) => axios.post(`${baseUrl}/trigger`, body, { validateStatus: () => true });
+
+  it('reports stored sync status', async () => {
+    const res = await get();
+
+    assert.equal(res.status, 200);
+    assert.equal(res.data.isDemo, undefined);
+    assert.equal(res.data.properties[0].integrations[0].id, 'int-mews');
+  });
+
+  it('returns demo status when the database is unavailable', async () => {
+    failWith = _error('Database not available - running in demo mode');
+    const res = await get();
+
+    assert.equal(res.status, 200);
+    assert.equal(res.data.isDemo, true);
+  });
+
+  it('returns 500 from status when a query fails', async () => {
+    failWith = _error('relation "SyncLog" does not exist');
+    const res = await get();
+
+    assert.equal(res.status, 500);
+    assert.equal(res.data.isDemo, undefined);
+  });
+
+  it('queues a sync for one integration', async () => {
+    const res = await trigger({ integrationId: 'int-mews' });
+
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.data.jobs, [{ integrationId: 'int-mews', jobId: 'job-1' }]);
+  });
+
+  it('returns a demo trigger response when the database is unavailable', async () => {
+    failWith = _error('Database not available - running in demo mode');
+    const res = await trigger({ integrationId: 'int-mews' });
+
+    assert.equal(res.status, 200);
+    assert.equal(res.data.isDemo, true);
+  });
+
+  it('returns 503 when the queue is not running', async () => {
+    triggerError = _error('Queue workers not initialized', 'QUEUE_NOT_INITIALIZED');
+    const res = await trigger({ integrationId: 'int-mews' });
+
+    assert.equal(res.status, 503);
+    assert.equal(res.data.isDemo, undefined);
+  });
+
+  it('returns 500 when queueing fails', async () => {
+    triggerError = _error('READONLY You can\'t write against a read only replica.');
+    const res = await trigger({});
+
+    assert.equal(res.status, 500);
+    assert.equal(res.data.success, undefined);
+  });
+});
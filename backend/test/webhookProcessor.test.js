@@ -0,0 +1,123 @@
+/**
+ * Recording processor webhook deliveries (services/webhookProcessor.js):
+ * which headers are kept, and when the in-memory dedupe stands in for the
+ * WebhookEvent table. The database and dispute intake are replaced in the
+ * require cache.
+ */
+
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'error';
+
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { isDatabaseUnavailable } = require('../config/database');
+const { signPayload } = require('./mocks/stripeMock');
+
+const SECRET = 'whsec_processor_test';
+
+let lookupError;
+const stored = [];
+const ingested = [];
+
+function _stub(modulePath, exports) {
+  const file = require.resolve(modulePath);
+  require.cache[file] = { id: file, filename: file, loaded: true, exports };
+}
+
+_stub('../config/database', {
+  prisma: {
+    webhookEvent: {
+      findUnique: async () => {
+        if (lookupError) throw lookupError;
+        return null;
+      },
+      create: async ({ data }) => {
+        stored.push(data);
+        return { id: `whe-${stored.length}`, ...data };
+      },
+      update: async () => ({})
+    }
+  },
+  isDatabaseUnavailable
+});
+_stub('../services/disputeIntake', {
+  resolveProvider: async () => ({ id: 'prov-stripe', name: 'Stripe' }),
+  ingestDispute: async (source, dispute) => {
+    ingested.push(dispute.disputeId);
+    return { action: 'created', caseNumber: 'CB-2026-0001', chargebackId: 'cb-1' };
+  }
+});
+
+const { handleWebhook, pickStoredHeaders } = require('../services/webhookProcessor');
+
+function _stripeDelivery(eventId) {
+  const body = JSON.stringify({
+    id: eventId,
+    type: 'charge.dispute.created',
+    created: 1760000000,
+    data: { object: { id: `dp_${eventId}`, object: 'dispute', amount: 45600, currency: 'usd', status: 'needs_response', reason: 'fraudulent' } }
+  });
+  const headers = {
+    'content-type': 'application/json',
+    'stripe-signature': signPayload(body, SECRET),
+    authorization: 'Bearer not-for-storage',
+    cookie: 'session=abc'
+  };
+  return { body, headers };
+}
+
+describe('webhook processor', () => {
+  beforeEach(() => {
+    process.env.STRIPE_WEBHOOK_SECRET = SECRET;
+    lookupError = null;
+    stored.length = 0;
+    ingested.length = 0;
+  });
+
+  afterEach(() => {
+    delete process.env.STRIPE_WEBHOOK_SECRET;
+  });
+
+  it('keeps only the replay headers', () => {
+    const picked = pickStoredHeaders({
+      'content-type': 'application/json',
+      'x-pms-signature': 'abc123',
+      authorization: 'Bearer token',
+      cookie: 'session=abc'
+    });
+
+    assert.deepEqual(picked, { 'content-type': 'application/json', 'x-pms-signature': 'abc123' });
+  });
+
+  it('records a delivery without auth headers', async () => {
+    const { body, headers } = _stripeDelivery('evt_record_1');
+
+    const result = await handleWebhook('stripe', headers, body);
+
+    assert.equal(result.results[0].action, 'created');
+    assert.equal(stored.length, 1);
+    assert.equal(stored[0].headers.authorization, undefined);
+    assert.equal(stored[0].headers.cookie, undefined);
+    assert.ok(stored[0].headers['stripe-signature']);
+  });
+
+  it('dedupes in memory only when there is no database', async () => {
+    lookupError = new Error('Database not available - running in demo mode');
+    const { body, headers } = _stripeDelivery('evt_demo_1');
+
+    const first = await handleWebhook('stripe', headers, body);
+    const second = await handleWebhook('stripe', headers, body);
+
+    assert.equal(first.results[0].action, 'created');
+    assert.equal(second.results[0].duplicate, true);
+    assert.deepEqual(ingested, ['dp_evt_demo_1']);
+  });
+
+  it('fails the delivery when recording it fails', async () => {
+    lookupError = new Error('Timed out fetching a new connection from the connection pool');
+    const { body, headers } = _stripeDelivery('evt_pool_1');
+
+    await assert.rejects(handleWebhook('stripe', headers, body), /connection pool/);
+    assert.deepEqual(ingested, []);
+  });
+});
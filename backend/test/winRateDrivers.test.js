@@ -0,0 +1,166 @@
+/**
+ * Win rate drivers (analytics.getWinRateDrivers): which cases count as
+ * fought, the win rate with and without each evidence type, the breakdowns
+ * by booking source, network and scoring rule, and their Wilson intervals.
+ * The database is replaced in the require cache with in-memory tables (see
+ * support/memoryPrisma.js).
+ */
+
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'error';
+
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { isDatabaseUnavailable } = require('../config/database');
+const { memoryModel } = require('./support/memoryPrisma');
+
+let chargebacks;
+
+function _stub(modulePath, exports) {
+  const file = require.resolve(modulePath);
+  require.cache[file] = { id: file, filename: file, loaded: true, exports };
+}
+
+_stub('../config/database', {
+  prisma: { chargeback: memoryModel(() => chargebacks) },
+  isDatabaseUnavailable
+});
+
+const { parseAnalyticsFilters, getWinRateDrivers, getDemoWinRateDrivers } = require('../services/analytics');
+
+function _case(status, amount, overrides = {}) {
+  const { evidence = [], bookingSource, resolvedAt = '2026-09-15T10:00:00Z', ...rest } = overrides;
+  return {
+    propertyId: 'prop-1',
+    status,
+    amount,
+    cardBrand: 'VISA',
+    reasonCode: '10.4',
+    liabilityReason: null,
+    fraudIndicators: null,
+    aiAnalysis: null,
+    ...rest,
+    resolvedAt: resolvedAt && new Date(resolvedAt),
+    evidence: evidence.map((type) => ({ type })),
+    reservation: bookingSource === undefined ? null : { bookingSource }
+  };
+}
+
+/** A breakdown row by key */
+const _row = (rows, key) => rows.find((r) => r.key === key);
+
+beforeEach(() => {
+  chargebacks = [
+    _case('WON', 500, {
+      bookingSource: 'Direct Website',
+      evidence: ['FOLIO', 'ID_SCAN', 'FOLIO'],
+      aiAnalysis: { appliedRules: [{ rule: 'VALID_ID_SCAN', label: 'Valid Government ID on File', type: 'positive' }, { rule: 'GUEST_FOLIO' }] }
+    }),
+    _case('WON', 300, {
+      cardBrand: 'Visa',
+      bookingSource: 'booking.com',
+      evidence: ['FOLIO', 'ID_SCAN'],
+      // Older analyses only stored the fraud signals
+      fraudIndicators: { positiveSignals: [{ rule: 'VALID_ID_SCAN' }], negativeSignals: [{ rule: 'OTA_BOOKING' }] }
+    }),
+    _case('WON', 200, { cardBrand: 'MC', reasonCode: '4853', bookingSource: 'Phone', evidence: ['FOLIO'] }),
+    _case('LOST', 400, {
+      reasonCode: '13.1',
+      bookingSource: 'Expedia',
+      evidence: ['FOLIO'],
+      aiAnalysis: { fraudIndicators: { negativeSignals: [{ rule: 'OTA_BOOKING' }] } }
+    }),
+    _case('LOST', 100, { cardBrand: 'AMEX', reasonCode: 'C08' }),
+    // Not fought: conceded, still open
+    _case('LOST', 40, { liabilityReason: 'AMOUNT_TOO_SMALL', evidence: ['FOLIO'] }),
+    _case('SUBMITTED', 900, { resolvedAt: null, evidence: ['FOLIO'] }),
+    // Resolved before September
+    _case('WON', 100, { bookingSource: 'Walk-in', resolvedAt: '2026-06-10T10:00:00Z' })
+  ];
+});
+
+describe('getWinRateDrivers', () => {
+  const september = () => parseAnalyticsFilters({ dateFrom: '2026-09-01', dateTo: '2026-09-30' }).filters;
+
+  it('counts only fought cases', async () => {
+    const { overall, truncated } = await getWinRateDrivers();
+
+    assert.deepEqual(
+      [overall.cases, overall.won, overall.lost, overall.winRate, overall.disputedAmount, overall.recoveredAmount],
+      [6, 4, 2, 66.7, 1600, 1100]
+    );
+    assert.deepEqual(overall.confidenceInterval, { low: 30, high: 90.3 });
+    assert.equal(truncated, false);
+  });
+
+  it('takes the date range on when cases were resolved', async () => {
+    const { overall, filters } = await getWinRateDrivers(september());
+
+    assert.deepEqual([overall.cases, overall.won, overall.winRate], [5, 3, 60]);
+    assert.deepEqual(overall.confidenceInterval, { low: 23.1, high: 88.2 });
+    assert.equal(filters.dateFrom, '2026-09-01T00:00:00.000Z');
+  });
+
+  it('compares the win rate with and without each evidence type', async () => {
+    const { byEvidenceType } = await getWinRateDrivers(september());
+
+    // Types with no cases on file are left out; the biggest lift comes first
+    assert.deepEqual(byEvidenceType.map((r) => [r.key, r.present.cases, r.present.winRate, r.absent.winRate, r.lift]), [
+      ['FOLIO', 4, 75, 0, 75],
+      ['ID_SCAN', 2, 100, 33.3, 66.7]
+    ]);
+    assert.equal(byEvidenceType[0].label, 'Guest Folio');
+  });
+
+  it('groups booking sources into direct and each OTA', async () => {
+    const { byBookingSource } = await getWinRateDrivers(september());
+
+    assert.deepEqual(byBookingSource.map((r) => [r.key, r.cases, r.won]), [
+      ['Direct', 2, 2],
+      ['Booking.com', 1, 1],
+      ['Expedia', 1, 0],
+      ['Unknown', 1, 0]
+    ]);
+    assert.deepEqual(byBookingSource[0].confidenceInterval, { low: 34.2, high: 100 });
+    assert.deepEqual(_row(byBookingSource, 'Expedia').confidenceInterval, { low: 0, high: 79.3 });
+  });
+
+  it('breaks down by network and reason code', async () => {
+    const { byCardBrand, byReasonCode } = await getWinRateDrivers(september());
+
+    assert.deepEqual(byCardBrand.map((r) => [r.key, r.cases, r.won]), [['VISA', 3, 2], ['AMEX', 1, 0], ['MASTERCARD', 1, 1]]);
+    assert.equal(_row(byReasonCode, '10.4').winRate, 100);
+    assert.equal(_row(byReasonCode, '13.1').label, 'Merchandise/Services Not Received');
+  });
+
+  it('reads fired rules from the analysis or its fraud signals', async () => {
+    const { byRule } = await getWinRateDrivers(september());
+
+    assert.deepEqual(byRule.map((r) => [r.key, r.cases, r.won, r.type]), [
+      ['OTA_BOOKING', 2, 1, 'negative'],
+      ['VALID_ID_SCAN', 2, 2, 'positive'],
+      ['GUEST_FOLIO', 1, 1, 'positive']
+    ]);
+    // Labels fall back to the built-in rule
+    assert.equal(_row(byRule, 'GUEST_FOLIO').label, 'Guest Folio — Balance Settled');
+  });
+
+  it('flags groups under the minimum sample', async () => {
+    const drivers = await getWinRateDrivers(september());
+
+    assert.equal(drivers.minSample, 10);
+    assert.equal(drivers.confidenceLevel, 95);
+    assert.equal(drivers.overall.lowSample, true);
+  });
+});
+
+describe('getDemoWinRateDrivers', () => {
+  it('reports the demo cases with the same reduction', () => {
+    const drivers = getDemoWinRateDrivers();
+
+    assert.equal(drivers.overall.cases, 37);
+    assert.equal(drivers.overall.lowSample, false);
+    assert.equal(_row(drivers.byBookingSource, 'Direct').cases, 19);
+    assert.equal(_row(drivers.byRule, 'OTA_BOOKING').type, 'negative');
+  });
+});
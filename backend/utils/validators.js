@@ -453,6 +453,92 @@ const createProviderSchema = createSchema({
   }
 });
 
+const INTEGRATION_STATUSES = ['active', 'inactive', 'error'];
+
+const createIntegrationSchema = createSchema({
+  name: {
+    type: 'string',
+    required: true,
+    trim: true,
+    minLength: 1,
+    maxLength: 255,
+    requiredMessage: 'Integration name is required'
+  },
+  type: {
+    type: 'string',
+    required: true,
+    trim: true,
+    lowercase: true,
+    requiredMessage: 'Integration type is required'
+  },
+  status: {
+    type: 'string',
+    required: false,
+    enum: INTEGRATION_STATUSES,
+    default: 'inactive'
+  },
+  config: {
+    type: 'object',
+    required: false
+  },
+  credentials: {
+    type: 'object',
+    required: false
+  },
+  webhookUrl: {
+    type: 'string',
+    required: false,
+    trim: true
+  },
+  webhookSecret: {
+    type: 'string',
+    required: false,
+    trim: true
+  },
+  syncEnabled: {
+    type: 'boolean',
+    required: false,
+    default: true
+  }
+});
+
+const updateIntegrationSchema = createSchema({
+  name: {
+    type: 'string',
+    required: false,
+    trim: true,
+    minLength: 1,
+    maxLength: 255
+  },
+  status: {
+    type: 'string',
+    required: false,
+    enum: INTEGRATION_STATUSES
+  },
+  config: {
+    type: 'object',
+    required: false
+  },
+  credentials: {
+    type: 'object',
+    required: false
+  },
+  webhookUrl: {
+    type: 'string',
+    required: false,
+    trim: true
+  },
+  webhookSecret: {
+    type: 'string',
+    required: false,
+    trim: true
+  },
+  syncEnabled: {
+    type: 'boolean',
+    required: false
+  }
+});
+
 
 // =============================================================================
 // CASE SCHEMAS
@@ -662,6 +748,21 @@ const updateCaseStatusSchema = createSchema({
   }
 });
 
+const acceptLiabilitySchema = createSchema({
+  reason: {
+    type: 'string',
+    required: true,
+    enum: ['AMOUNT_TOO_SMALL', 'NO_EVIDENCE', 'VALID_GUEST_COMPLAINT', 'OTHER'],
+    requiredMessage: 'Reason is required'
+  },
+  notes: {
+    type: 'string',
+    required: false,
+    trim: true,
+    maxLength: 1000
+  }
+});
+
 const caseFilterSchema = createSchema({
   status: {
     type: 'string',
@@ -689,6 +790,12 @@ const caseFilterSchema = createSchema({
     required: false,
     trim: true
   },
+  // "me", "unassigned" or a user ID
+  assignee: {
+    type: 'string',
+    required: false,
+    trim: true
+  },
   page: {
     type: 'number',
     required: false,
@@ -817,11 +924,14 @@ module.exports = {
   // Admin
   createPropertySchema,
   createProviderSchema,
+  createIntegrationSchema,
+  updateIntegrationSchema,
 
   // Cases
   createCaseSchema,
   updateCaseSchema,
   updateCaseStatusSchema,
+  acceptLiabilitySchema,
   caseFilterSchema,
 
   // Disputes
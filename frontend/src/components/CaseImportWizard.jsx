@@ -0,0 +1,396 @@
+/**
+ * DisputeAI - AI-Powered Chargeback Defense Platform
+ * Case Import Wizard Component
+ *
+ * Imports a property's historical chargebacks from a processor's CSV dispute
+ * report: pick the processor preset and file, review the column mapping and
+ * row checks (POST /api/cases/import/preview), then import the valid rows
+ * (POST /api/cases/import).
+ */
+
+import { useState, useEffect } from 'react';
+import { X, Upload, FileText, CheckCircle2, AlertTriangle, Copy, RefreshCw } from 'lucide-react';
+import { api, formatCurrency, formatDate } from '../utils/api';
+
+// Mirrors IMPORT_PRESETS in services/caseImport.js
+const PRESETS = [
+  { value: 'shift4', label: 'Shift4' },
+  { value: 'elavon', label: 'Elavon' },
+  { value: 'fiserv', label: 'Fiserv' },
+  { value: 'generic', label: 'Other processor' },
+];
+
+// Empty means the preset's format, or each value's own shape when the preset has none
+const DATE_ORDERS = [
+  { value: '', label: 'Preset default' },
+  { value: 'MDY', label: 'Month first (03/25/2026)' },
+  { value: 'DMY', label: 'Day first (25/03/2026)' },
+];
+
+const DECIMAL_SEPARATORS = [
+  { value: '', label: 'Preset default' },
+  { value: '.', label: '1,234.56' },
+  { value: ',', label: '1.234,56' },
+];
+
+const ROW_STYLES = {
+  valid: 'bg-green-50 text-green-700',
+  duplicate: 'bg-gray-100 text-gray-600',
+  invalid: 'bg-red-50 text-red-700',
+};
+
+function errorMessages(err) {
+  if (err?.details?.length) return err.details.map(d => d.message);
+  return [err?.message || 'Something went wrong. Please try again.'];
+}
+
+export default function CaseImportWizard({ user, onClose, onImported }) {
+  const isAdmin = user?.role === 'ADMIN';
+  const [step, setStep] = useState('upload');
+  const [preset, setPreset] = useState('shift4');
+  const [processor, setProcessor] = useState('');
+  const [dateOrder, setDateOrder] = useState('');
+  const [decimalSeparator, setDecimalSeparator] = useState('');
+  const [properties, setProperties] = useState([]);
+  const [propertyId, setPropertyId] = useState(user?.propertyId || '');
+  const [file, setFile] = useState(null);
+  const [csv, setCsv] = useState('');
+  const [mapping, setMapping] = useState(null);
+  const [check, setCheck] = useState(null);
+  const [result, setResult] = useState(null);
+  const [busy, setBusy] = useState(false);
+  const [errors, setErrors] = useState([]);
+
+  useEffect(() => {
+    if (!isAdmin) return;
+    api.get('/admin/properties')
+      .then((res) => {
+        const list = res.properties || [];
+        setProperties(list);
+        setPropertyId(prev => prev || list[0]?.id || '');
+      })
+      .catch(() => setProperties([]));
+  }, [isAdmin]);
+
+  function requestBody(extra = {}) {
+    return {
+      csv,
+      preset,
+      propertyId,
+      ...(preset === 'generic' && { processor }),
+      ...(dateOrder && { dateOrder }),
+      ...(decimalSeparator && { decimalSeparator }),
+      ...extra,
+    };
+  }
+
+  async function runCheck(body) {
+    setBusy(true);
+    setErrors([]);
+    try {
+      const res = await api.post('/cases/import/preview', body);
+      setCheck(res);
+      setMapping(res.mapping);
+      setStep('review');
+    } catch (err) {
+      setErrors(errorMessages(err));
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  async function handleFile(e) {
+    const chosen = e.target.files?.[0] || null;
+    setFile(chosen);
+    setCsv(chosen ? await chosen.text() : '');
+  }
+
+  async function handleImport() {
+    setBusy(true);
+    setErrors([]);
+    try {
+      const res = await api.post('/cases/import', requestBody({ mapping }));
+      setResult(res);
+      setStep('done');
+      onImported?.();
+    } catch (err) {
+      setErrors(errorMessages(err));
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  const canCheck = csv && propertyId && (preset !== 'generic' || processor.trim());
+  const mappingChanged = check && JSON.stringify(mapping) !== JSON.stringify(check.mapping);
+
+  return (
+    <div className="fixed inset-0 z-50 overflow-y-auto">
+      <div className="flex items-center justify-center min-h-screen px-4 pt-4 pb-20 sm:p-0">
+        <div className="fixed inset-0 bg-gray-900/60 backdrop-blur-sm transition-opacity" onClick={onClose} />
+        <div className="relative w-full max-w-4xl bg-white rounded-2xl text-left shadow-2xl">
+          <div className="flex items-center justify-between px-6 py-4 border-b border-gray-100">
+            <div>
+              <h3 className="text-lg font-semibold text-gray-900">Import Historical Cases</h3>
+              <p className="text-xs text-gray-500">
+                {step === 'upload' && 'Step 1 of 3 · Choose the processor report'}
+                {step === 'review' && 'Step 2 of 3 · Check the column mapping and rows'}
+                {step === 'done' && 'Step 3 of 3 · Done'}
+              </p>
+            </div>
+            <button onClick={onClose} className="p-1.5 rounded-lg hover:bg-gray-100 transition-colors">
+              <X className="w-5 h-5 text-gray-400" />
+            </button>
+          </div>
+
+          <div className="px-6 py-5 space-y-5">
+            {errors.length > 0 && (
+              <div className="p-3 rounded-lg bg-red-50 border border-red-200 text-sm text-red-700">
+                {errors.map((m, i) => <p key={i}>{m}</p>)}
+              </div>
+            )}
+
+            {step === 'upload' && (
+              <>
+                <div>
+                  <p className="text-sm font-medium text-gray-700 mb-2">Processor</p>
+                  <div className="flex flex-wrap gap-2">
+                    {PRESETS.map((p) => (
+                      <button
+                        key={p.value}
+                        onClick={() => setPreset(p.value)}
+                        className={`px-3 py-1.5 text-sm font-medium rounded-lg border transition-colors ${
+                          preset === p.value
+                            ? 'bg-blue-50 text-blue-700 border-blue-200'
+                            : 'text-gray-600 bg-white border-gray-200 hover:bg-gray-50'
+                        }`}
+                      >
+                        {p.label}
+                      </button>
+                    ))}
+                  </div>
+                  {preset === 'generic' && (
+                    <input
+                      value={processor}
+                      onChange={(e) => setProcessor(e.target.value)}
+                      placeholder="Processor name, e.g. Worldpay"
+                      className="mt-3 w-full max-w-xs px-3 py-2 text-sm border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                    />
+                  )}
+                </div>
+
+                <div className="flex flex-wrap gap-4">
+                  <div>
+                    <p className="text-sm font-medium text-gray-700 mb-2">Dates</p>
+                    <select
+                      value={dateOrder}
+                      onChange={(e) => setDateOrder(e.target.value)}
+                      className="px-3 py-2 text-sm border border-gray-300 rounded-lg bg-white focus:ring-2 focus:ring-blue-500"
+                    >
+                      {DATE_ORDERS.map((o) => <option key={o.value} value={o.value}>{o.label}</option>)}
+                    </select>
+                  </div>
+                  <div>
+                    <p className="text-sm font-medium text-gray-700 mb-2">Amounts</p>
+                    <select
+                      value={decimalSeparator}
+                      onChange={(e) => setDecimalSeparator(e.target.value)}
+                      className="px-3 py-2 text-sm border border-gray-300 rounded-lg bg-white focus:ring-2 focus:ring-blue-500"
+                    >
+                      {DECIMAL_SEPARATORS.map((o) => <option key={o.value} value={o.value}>{o.label}</option>)}
+                    </select>
+                  </div>
+                </div>
+
+                {isAdmin && (
+                  <div>
+                    <p className="text-sm font-medium text-gray-700 mb-2">Property</p>
+                    <select
+                      value={propertyId}
+                      onChange={(e) => setPropertyId(e.target.value)}
+                      className="w-full max-w-xs px-3 py-2 text-sm border border-gray-300 rounded-lg bg-white focus:ring-2 focus:ring-blue-500"
+                    >
+                      {properties.map((p) => <option key={p.id} value={p.id}>{p.name}</option>)}
+                    </select>
+                  </div>
+                )}
+
+                <label className="flex flex-col items-center justify-center gap-2 p-8 border-2 border-dashed border-gray-300 rounded-xl cursor-pointer hover:bg-gray-50">
+                  <Upload className="w-6 h-6 text-gray-400" />
+                  <span className="text-sm text-gray-700">
+                    {file ? file.name : 'Choose the dispute report (CSV)'}
+                  </span>
+                  <span className="text-xs text-gray-500">Up to 5,000 rows. Export it from the processor portal as CSV.</span>
+                  <input type="file" accept=".csv,text/csv" onChange={handleFile} className="hidden" />
+                </label>
+
+                <div className="flex justify-end">
+                  <button
+                    onClick={() => runCheck(requestBody())}
+                    disabled={!canCheck || busy}
+                    className="inline-flex items-center gap-2 px-4 py-2 text-sm font-medium text-white bg-blue-600 rounded-lg hover:bg-blue-700 disabled:opacity-50"
+                  >
+                    <FileText className="w-4 h-4" />
+                    {busy ? 'Checking...' : 'Check file'}
+                  </button>
+                </div>
+              </>
+            )}
+
+            {step === 'review' && check && (
+              <>
+                <div className="grid grid-cols-3 gap-3 text-center">
+                  <div className="p-3 rounded-lg bg-green-50">
+                    <p className="text-xl font-bold text-green-700">{check.summary.valid}</p>
+                    <p className="text-xs text-green-700">Ready to import</p>
+                  </div>
+                  <div className="p-3 rounded-lg bg-gray-50">
+                    <p className="text-xl font-bold text-gray-700">{check.summary.duplicates}</p>
+                    <p className="text-xs text-gray-600">Duplicates (skipped)</p>
+                  </div>
+                  <div className="p-3 rounded-lg bg-red-50">
+                    <p className="text-xl font-bold text-red-700">{check.summary.invalid}</p>
+                    <p className="text-xs text-red-700">Invalid (skipped)</p>
+                  </div>
+                </div>
+                {check.isDemo && (
+                  <p className="text-xs text-amber-700">Demo mode: duplicates are only checked within the file.</p>
+                )}
+
+                <div>
+                  <p className="text-sm font-medium text-gray-700 mb-2">Column mapping</p>
+                  <div className="grid grid-cols-1 md:grid-cols-2 gap-x-6 gap-y-2">
+                    {check.fields.map((f) => (
+                      <div key={f.key} className="flex items-center gap-2 text-sm">
+                        <span className="w-44 text-gray-600">
+                          {f.label}{f.required && <span className="text-red-500"> *</span>}
+                        </span>
+                        <select
+                          value={mapping[f.key] || ''}
+                          onChange={(e) => setMapping(prev => ({ ...prev, [f.key]: e.target.value }))}
+                          className="flex-1 px-2 py-1 text-sm border border-gray-300 rounded-lg bg-white"
+                        >
+                          <option value="">Not in file</option>
+                          {check.headers.map((h) => <option key={h} value={h}>{h}</option>)}
+                        </select>
+                      </div>
+                    ))}
+                  </div>
+                  {mappingChanged && (
+                    <button
+                      onClick={() => runCheck(requestBody({ mapping }))}
+                      disabled={busy}
+                      className="mt-3 inline-flex items-center gap-2 px-3 py-1.5 text-xs font-medium text-blue-700 bg-blue-50 border border-blue-200 rounded-lg hover:bg-blue-100"
+                    >
+                      <RefreshCw className="w-3.5 h-3.5" />
+                      Re-check with this mapping
+                    </button>
+                  )}
+                </div>
+
+                <div>
+                  <p className="text-sm font-medium text-gray-700 mb-2">First rows</p>
+                  <div className="overflow-x-auto border border-gray-200 rounded-lg">
+                    <table className="min-w-full text-xs">
+                      <thead className="bg-gray-50 text-gray-500">
+                        <tr>
+                          {['Row', 'Check', 'Dispute ID', 'Guest', 'Amount', 'Reason', 'Disputed', 'Status'].map((h) => (
+                            <th key={h} className="px-3 py-2 text-left font-medium">{h}</th>
+                          ))}
+                        </tr>
+                      </thead>
+                      <tbody className="divide-y divide-gray-100">
+                        {check.preview.map((r) => (
+                          <tr key={r.row}>
+                            <td className="px-3 py-1.5 text-gray-500">{r.row}</td>
+                            <td className="px-3 py-1.5">
+                              <span className={`px-1.5 py-0.5 rounded capitalize ${ROW_STYLES[r.status]}`}>{r.status}</span>
+                            </td>
+                            <td className="px-3 py-1.5 font-mono">{r.data?.processorDisputeId || '--'}</td>
+                            <td className="px-3 py-1.5">{r.data?.guestName || '--'}</td>
+                            <td className="px-3 py-1.5">{r.data ? formatCurrency(r.data.amount) : '--'}</td>
+                            <td className="px-3 py-1.5">{r.data?.reasonCode || '--'}</td>
+                            <td className="px-3 py-1.5">{r.data ? formatDate(r.data.disputeDate) : '--'}</td>
+                            <td className="px-3 py-1.5">{r.data ? (r.data.accepted ? 'Accepted liability' : r.data.status) : '--'}</td>
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                  </div>
+                </div>
+
+                {check.invalid.length > 0 && (
+                  <div>
+                    <p className="flex items-center gap-1.5 text-sm font-medium text-red-700 mb-2">
+                      <AlertTriangle className="w-4 h-4" /> Rows that will be skipped
+                    </p>
+                    <ul className="max-h-40 overflow-y-auto space-y-1 text-xs">
+                      {check.invalid.map((r) => (
+                        <li key={r.row} className="text-gray-700">
+                          <span className="font-medium">Row {r.row}:</span> {r.errors.map(e => e.message).join('; ')}
+                        </li>
+                      ))}
+                    </ul>
+                  </div>
+                )}
+
+                {check.duplicates.length > 0 && (
+                  <div>
+                    <p className="flex items-center gap-1.5 text-sm font-medium text-gray-700 mb-2">
+                      <Copy className="w-4 h-4" /> Already imported
+                    </p>
+                    <ul className="max-h-32 overflow-y-auto space-y-1 text-xs text-gray-600">
+                      {check.duplicates.map((r) => (
+                        <li key={r.row}>Row {r.row} matches {r.duplicateOf}</li>
+                      ))}
+                    </ul>
+                  </div>
+                )}
+
+                <div className="flex justify-between">
+                  <button
+                    onClick={() => setStep('upload')}
+                    className="px-4 py-2 text-sm font-medium text-gray-700 bg-white border border-gray-300 rounded-lg hover:bg-gray-50"
+                  >
+                    Back
+                  </button>
+                  <button
+                    onClick={handleImport}
+                    disabled={busy || mappingChanged || check.summary.valid === 0}
+                    className="inline-flex items-center gap-2 px-4 py-2 text-sm font-medium text-white bg-blue-600 rounded-lg hover:bg-blue-700 disabled:opacity-50"
+                  >
+                    <Upload className="w-4 h-4" />
+                    {busy ? 'Importing...' : `Import ${check.summary.valid} case${check.summary.valid === 1 ? '' : 's'}`}
+                  </button>
+                </div>
+              </>
+            )}
+
+            {step === 'done' && result && (
+              <>
+                <div className="flex items-start gap-3 p-4 rounded-lg bg-green-50 border border-green-200">
+                  <CheckCircle2 className="w-5 h-5 text-green-600 mt-0.5" />
+                  <div className="text-sm text-green-800">
+                    <p className="font-medium">{result.message}</p>
+                    <p className="mt-1">
+                      {result.summary.duplicates} duplicate{result.summary.duplicates === 1 ? '' : 's'} and{' '}
+                      {result.summary.invalid} invalid row{result.summary.invalid === 1 ? '' : 's'} skipped.
+                      {result.snapshotsFrom && ` Analytics are being rebuilt from ${result.snapshotsFrom}.`}
+                    </p>
+                  </div>
+                </div>
+                <div className="flex justify-end">
+                  <button
+                    onClick={onClose}
+                    className="px-4 py-2 text-sm font-medium text-white bg-blue-600 rounded-lg hover:bg-blue-700"
+                  >
+                    Close
+                  </button>
+                </div>
+              </>
+            )}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
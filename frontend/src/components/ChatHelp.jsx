@@ -5,6 +5,7 @@
 
 import React, { useState, useRef, useEffect } from 'react';
 import { useNavigate } from 'react-router-dom';
+import { api, formatCurrency } from '../utils/api';
 import {
   MessageCircle,
   X,
@@ -41,7 +42,18 @@ const AI_RESPONSES = {
   },
   analytics: {
     patterns: ['analytics', 'win rate', 'performance', 'stats', 'metrics', 'report'],
-    response: "Your current performance metrics:\n\n- **Win Rate**: 78% (industry avg: 45%)\n- **Cases**: 24 total\n- **Recovered**: $36,855\n- **Urgent**: 3 cases need attention\n\nVisit the **Analytics** page for detailed breakdowns by status, monthly trends, and evidence effectiveness reports."
+    // Answered from the live dashboard figures
+    response: async () => {
+      try {
+        const { summary = {}, outcomes } = await api.get('/analytics/dashboard');
+        const conceded = outcomes?.acceptedLiability
+          ? `\n- **Accepted Liability**: ${outcomes.acceptedLiability} cases (not counted against the win rate)`
+          : '';
+        return `Your current performance metrics:\n\n- **Win Rate**: ${summary.winRate ?? 0}%\n- **Cases**: ${summary.totalCases ?? 0} total\n- **Recovered**: ${formatCurrency(summary.recoveredAmount)}\n- **Urgent**: ${summary.urgentCases ?? 0} cases need attention${conceded}\n\nVisit the **Analytics** page for breakdowns by network, reason code and property, and monthly trends.`;
+      } catch (err) {
+        return "I couldn't load your metrics just now. Visit the **Analytics** page for your win rate, recovered amounts and monthly trends.";
+      }
+    }
   },
   contact: {
     patterns: ['contact', 'human', 'agent', 'speak', 'call', 'email', 'support', 'person'],
@@ -53,12 +65,12 @@ const AI_RESPONSES = {
   }
 };
 
-function getAIResponse(message) {
+async function getAIResponse(message) {
   const lower = message.toLowerCase();
 
   for (const [, config] of Object.entries(AI_RESPONSES)) {
     if (config.patterns.some(p => lower.includes(p))) {
-      return config.response;
+      return typeof config.response === 'function' ? config.response() : config.response;
     }
   }
 
@@ -99,8 +111,8 @@ export default function ChatHelp() {
     setIsTyping(true);
 
     // Simulate AI processing delay
-    setTimeout(() => {
-      const response = getAIResponse(userMessage.content);
+    setTimeout(async () => {
+      const response = await getAIResponse(userMessage.content);
       const aiMessage = {
         id: messages.length + 1,
         role: 'assistant',
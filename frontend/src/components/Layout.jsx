@@ -17,6 +17,7 @@ import {
   X,
   Bell,
   User,
+  UserCheck,
   Building2,
   Shield,
   HelpCircle,
@@ -159,6 +160,7 @@ export default function Layout({ children }) {
       case 'DEADLINE_WARNING': return <Clock className="w-4 h-4 text-amber-500" />;
       case 'EVIDENCE_COLLECTED': return <FileText className="w-4 h-4 text-blue-500" />;
       case 'CASE_UPDATE': return <RefreshCw className="w-4 h-4 text-indigo-500" />;
+      case 'CASE_ASSIGNED': return <UserCheck className="w-4 h-4 text-blue-500" />;
       case 'DOCUMENT_UPLOADED': return <FileText className="w-4 h-4 text-teal-500" />;
       case 'ARBITRATION_FILED': return <Shield className="w-4 h-4 text-amber-600" />;
       default: return <Bell className="w-4 h-4 text-gray-500" />;
@@ -4,7 +4,7 @@ import { api, formatCurrency } from '../utils/api';
 import {
   BarChart3, TrendingUp, TrendingDown, DollarSign, Shield, FileText,
   CheckCircle, XCircle, Clock, AlertTriangle, RefreshCw, ArrowUpRight,
-  ArrowDownRight, Package, Wifi
+  ArrowDownRight, Package, Wifi, Flag, Filter, X, Award
 } from 'lucide-react';
 
 const STATUS_COLORS = {
@@ -25,6 +25,33 @@ const STATUS_ICONS = {
   EXPIRED: AlertTriangle,
 };
 
+const NETWORKS = ['VISA', 'MASTERCARD', 'AMEX', 'DISCOVER'];
+
+const LIABILITY_REASONS = {
+  AMOUNT_TOO_SMALL: 'Amount too small to fight',
+  NO_EVIDENCE: 'No evidence to contest',
+  VALID_GUEST_COMPLAINT: 'Valid guest complaint',
+  OTHER: 'Other',
+};
+
+// Breakdown tabs: the dashboard key and the filter a row click applies
+const BREAKDOWNS = [
+  { value: 'byNetwork', label: 'Network', filter: 'network' },
+  { value: 'byReasonCode', label: 'Reason Code', filter: 'reasonCode' },
+  { value: 'byProperty', label: 'Property', filter: 'propertyId' },
+];
+
+// What Wins tabs: the win-rates key for each view
+const WIN_RATE_VIEWS = [
+  { value: 'byEvidenceType', label: 'Evidence' },
+  { value: 'byReasonCode', label: 'Reason Code' },
+  { value: 'byBookingSource', label: 'Booking Source' },
+  { value: 'byCardBrand', label: 'Network' },
+  { value: 'byRule', label: 'Scoring Rule' },
+];
+
+const EMPTY_FILTERS = { dateFrom: '', dateTo: '', network: '', reasonCode: '', propertyId: '' };
+
 function KpiCard({ title, value, icon: Icon, trend, trendLabel, color = 'blue', onClick }) {
   const colorMap = {
     blue: 'from-blue-500 to-blue-600',
@@ -74,25 +101,60 @@ function KpiCard({ title, value, icon: Icon, trend, trendLabel, color = 'blue',
   );
 }
 
+// Win rate with its confidence interval drawn as a band behind the point
+function WinRateRange({ stats }) {
+  if (!stats || stats.winRate === null) {
+    return <span className="text-gray-400">—</span>;
+  }
+  const { low, high } = stats.confidenceInterval;
+  return (
+    <div className="flex items-center gap-3" title={`95% confidence: ${low}% – ${high}%`}>
+      <span className={`w-12 text-right font-medium ${stats.winRate >= 50 ? 'text-green-600' : 'text-red-600'}`}>
+        {stats.winRate.toFixed(1)}%
+      </span>
+      <div className="relative flex-1 min-w-24 h-2 bg-gray-100 rounded-full">
+        <div
+          className={`absolute h-2 rounded-full ${stats.lowSample ? 'bg-gray-300' : 'bg-blue-200'}`}
+          style={{ left: `${low}%`, width: `${Math.max(high - low, 1)}%` }}
+        />
+        <div
+          className={`absolute -top-0.5 w-1 h-3 rounded ${stats.lowSample ? 'bg-gray-500' : 'bg-blue-600'}`}
+          style={{ left: `calc(${stats.winRate}% - 2px)` }}
+        />
+      </div>
+      <span className="text-xs text-gray-400 w-20 flex-shrink-0">{low}–{high}%</span>
+    </div>
+  );
+}
+
 export default function Analytics() {
   const navigate = useNavigate();
   const [dashboard, setDashboard] = useState(null);
   const [trends, setTrends] = useState([]);
+  const [winRates, setWinRates] = useState(null);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
+  const [filters, setFilters] = useState(EMPTY_FILTERS);
+  const [reasonCodeInput, setReasonCodeInput] = useState('');
+  const [breakdownTab, setBreakdownTab] = useState('byNetwork');
+  const [propertyLabel, setPropertyLabel] = useState('');
+  const [winRateView, setWinRateView] = useState('byEvidenceType');
 
   const fetchData = async () => {
     setLoading(true);
     setError(null);
+    const params = Object.fromEntries(Object.entries(filters).filter(([, value]) => value));
     try {
-      const [dashData, trendsData] = await Promise.all([
-        api.get('/analytics/dashboard'),
-        api.get('/analytics/trends'),
+      const [dashData, trendsData, winRateData] = await Promise.all([
+        api.get('/analytics/dashboard', params),
+        api.get('/analytics/trends', params),
+        api.get('/analytics/win-rates', params),
       ]);
       setDashboard(dashData);
       setTrends(trendsData.trends || []);
+      setWinRates(winRateData);
     } catch (err) {
-      setError(err.message || 'Failed to load analytics');
+      setError(err.details?.[0]?.message || err.message || 'Failed to load analytics');
     } finally {
       setLoading(false);
     }
@@ -100,9 +162,33 @@ export default function Analytics() {
 
   useEffect(() => {
     fetchData();
-  }, []);
+  }, [filters]);
+
+  const updateFilter = (key, value) => {
+    setFilters((prev) => ({ ...prev, [key]: value }));
+  };
+
+  const applyReasonCode = () => {
+    const code = reasonCodeInput.trim().toUpperCase();
+    if (code !== filters.reasonCode) updateFilter('reasonCode', code);
+  };
+
+  const clearFilters = () => {
+    setFilters(EMPTY_FILTERS);
+    setReasonCodeInput('');
+    setPropertyLabel('');
+  };
+
+  const drillDown = (row) => {
+    const { filter } = BREAKDOWNS.find((b) => b.value === breakdownTab);
+    if (filter === 'reasonCode') setReasonCodeInput(row.key);
+    if (filter === 'propertyId') setPropertyLabel(row.label);
+    updateFilter(filter, row.key);
+  };
 
-  if (loading) {
+  const hasFilters = Object.values(filters).some(Boolean);
+
+  if (loading && !dashboard) {
     return (
       <div className="flex items-center justify-center py-24">
         <RefreshCw className="w-8 h-8 text-blue-500 animate-spin" />
@@ -123,9 +209,14 @@ export default function Analytics() {
   }
 
   const summary = dashboard?.summary || {};
+  const outcomes = dashboard?.outcomes || { won: 0, lostAfterFighting: 0, acceptedLiability: 0 };
+  const acceptedLiability = dashboard?.acceptedLiability || { count: 0, amount: 0, byReason: {} };
+  const breakdownRows = dashboard?.breakdowns?.[breakdownTab] || [];
   const statusBreakdown = dashboard?.statusBreakdown || {};
   const evidenceSummary = dashboard?.evidenceSummary || {};
   const pmsStatus = dashboard?.pmsStatus;
+  const winRateRows = winRates?.[winRateView] || [];
+  const minSample = winRates?.minSample || 0;
 
   // Calculate max count for status bars
   const maxStatusCount = Math.max(
@@ -139,9 +230,10 @@ export default function Analytics() {
       cases: acc.cases + (t.cases || 0),
       won: acc.won + (t.won || 0),
       lost: acc.lost + (t.lost || 0),
+      acceptedLiability: acc.acceptedLiability + (t.acceptedLiability || 0),
       recovered: acc.recovered + (t.recovered || 0),
     }),
-    { cases: 0, won: 0, lost: 0, recovered: 0 }
+    { cases: 0, won: 0, lost: 0, acceptedLiability: 0, recovered: 0 }
   );
   const trendsWinRate = trendsSummary.cases > 0
     ? ((trendsSummary.won / (trendsSummary.won + trendsSummary.lost || 1)) * 100).toFixed(1)
@@ -159,11 +251,74 @@ export default function Analytics() {
           onClick={fetchData}
           className="flex items-center gap-2 px-4 py-2 text-sm font-medium text-gray-700 bg-white border border-gray-300 rounded-lg hover:bg-gray-50"
         >
-          <RefreshCw className="w-4 h-4" />
+          <RefreshCw className={`w-4 h-4 ${loading ? 'animate-spin' : ''}`} />
           Refresh
         </button>
       </div>
 
+      {/* Filters */}
+      <div className="bg-white rounded-xl border border-gray-200 p-4 flex flex-wrap items-end gap-3">
+        <Filter className="w-4 h-4 text-gray-400 mb-2.5" />
+        <label className="text-xs font-medium text-gray-500">
+          From
+          <input
+            type="date"
+            value={filters.dateFrom}
+            max={filters.dateTo || undefined}
+            onChange={(e) => updateFilter('dateFrom', e.target.value)}
+            className="block mt-1 text-sm border border-gray-300 rounded-lg px-2 py-1.5 focus:outline-none focus:ring-2 focus:ring-blue-500"
+          />
+        </label>
+        <label className="text-xs font-medium text-gray-500">
+          To
+          <input
+            type="date"
+            value={filters.dateTo}
+            min={filters.dateFrom || undefined}
+            onChange={(e) => updateFilter('dateTo', e.target.value)}
+            className="block mt-1 text-sm border border-gray-300 rounded-lg px-2 py-1.5 focus:outline-none focus:ring-2 focus:ring-blue-500"
+          />
+        </label>
+        <label className="text-xs font-medium text-gray-500">
+          Network
+          <select
+            value={filters.network}
+            onChange={(e) => updateFilter('network', e.target.value)}
+            className="block mt-1 text-sm border border-gray-300 rounded-lg px-2 py-1.5 bg-white focus:outline-none focus:ring-2 focus:ring-blue-500"
+          >
+            <option value="">All networks</option>
+            {NETWORKS.map((network) => (
+              <option key={network} value={network}>{network}</option>
+            ))}
+          </select>
+        </label>
+        <label className="text-xs font-medium text-gray-500">
+          Reason code
+          <input
+            type="text"
+            value={reasonCodeInput}
+            placeholder="e.g. 10.4"
+            onChange={(e) => setReasonCodeInput(e.target.value)}
+            onBlur={applyReasonCode}
+            onKeyDown={(e) => e.key === 'Enter' && applyReasonCode()}
+            className="block mt-1 w-28 text-sm border border-gray-300 rounded-lg px-2 py-1.5 focus:outline-none focus:ring-2 focus:ring-blue-500"
+          />
+        </label>
+        {filters.propertyId && (
+          <span className="inline-flex items-center gap-1 mb-1 px-2.5 py-1 text-xs font-medium text-blue-700 bg-blue-50 rounded-full">
+            {propertyLabel || filters.propertyId}
+            <button onClick={() => updateFilter('propertyId', '')} className="hover:text-blue-900">
+              <X className="w-3 h-3" />
+            </button>
+          </span>
+        )}
+        {hasFilters && (
+          <button onClick={clearFilters} className="mb-2 text-sm text-gray-500 hover:text-gray-700 hover:underline">
+            Clear filters
+          </button>
+        )}
+      </div>
+
       {/* KPI Cards */}
       <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-4 gap-4">
         <KpiCard
@@ -171,7 +326,7 @@ export default function Analytics() {
           value={summary.totalCases || 0}
           icon={BarChart3}
           trend={summary.trends?.cases}
-          trendLabel="vs last period"
+          trendLabel={filters.dateFrom || filters.dateTo ? 'vs previous range' : 'vs prior 30 days'}
           color="blue"
           onClick={() => navigate('/cases')}
         />
@@ -198,6 +353,114 @@ export default function Analytics() {
         />
       </div>
 
+      {/* Outcomes + Breakdowns */}
+      <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+        {/* Outcomes: fought vs conceded */}
+        <div className="bg-white rounded-xl border border-gray-200 p-5">
+          <h3 className="font-semibold text-gray-900 mb-1 flex items-center gap-2">
+            <CheckCircle className="w-5 h-5 text-green-500" />
+            Outcomes
+          </h3>
+          <p className="text-xs text-gray-500 mb-4">Win rate counts fought cases only.</p>
+          <div className="space-y-2 text-sm">
+            <div className="flex items-center justify-between">
+              <span className="text-gray-600">Won</span>
+              <span className="font-medium text-green-600">{outcomes.won}</span>
+            </div>
+            <div className="flex items-center justify-between">
+              <span className="text-gray-600">Lost after fighting</span>
+              <span className="font-medium text-red-600">{outcomes.lostAfterFighting}</span>
+            </div>
+            <div className="flex items-center justify-between">
+              <span className="text-gray-600 flex items-center gap-1.5">
+                <Flag className="w-3.5 h-3.5 text-gray-400" />
+                Accepted liability
+              </span>
+              <span className="font-medium text-gray-900">{outcomes.acceptedLiability}</span>
+            </div>
+          </div>
+          {acceptedLiability.count > 0 && (
+            <div className="mt-4 pt-3 border-t border-gray-100 space-y-2">
+              <p className="text-xs font-medium text-gray-500 uppercase tracking-wider">
+                Conceded · {formatCurrency(acceptedLiability.amount)}
+              </p>
+              {Object.entries(acceptedLiability.byReason || {}).map(([reason, data]) => (
+                <div key={reason} className="flex items-center justify-between text-sm">
+                  <span className="text-gray-600">{LIABILITY_REASONS[reason] || reason}</span>
+                  <span className="text-gray-900">
+                    {data.count} <span className="text-gray-400">· {formatCurrency(data.amount)}</span>
+                  </span>
+                </div>
+              ))}
+            </div>
+          )}
+        </div>
+
+        {/* Breakdown by network / reason code / property */}
+        <div className="lg:col-span-2 bg-white rounded-xl border border-gray-200 overflow-hidden">
+          <div className="px-5 py-4 border-b border-gray-200 flex items-center justify-between">
+            <h3 className="font-semibold text-gray-900 flex items-center gap-2">
+              <BarChart3 className="w-5 h-5 text-blue-500" />
+              Breakdown
+            </h3>
+            <div className="flex gap-1">
+              {BREAKDOWNS.map((b) => (
+                <button
+                  key={b.value}
+                  onClick={() => setBreakdownTab(b.value)}
+                  className={`px-3 py-1 text-xs font-medium rounded-lg ${breakdownTab === b.value ? 'bg-blue-50 text-blue-700' : 'text-gray-500 hover:bg-gray-50'}`}
+                >
+                  {b.label}
+                </button>
+              ))}
+            </div>
+          </div>
+          {breakdownRows.length === 0 ? (
+            <p className="px-5 py-8 text-sm text-gray-500 text-center">No cases match these filters.</p>
+          ) : (
+            <div className="overflow-x-auto">
+              <table className="w-full">
+                <thead>
+                  <tr className="bg-gray-50">
+                    <th className="text-left px-5 py-3 text-xs font-semibold text-gray-500 uppercase tracking-wider">{BREAKDOWNS.find((b) => b.value === breakdownTab).label}</th>
+                    <th className="text-right px-5 py-3 text-xs font-semibold text-gray-500 uppercase tracking-wider">Cases</th>
+                    <th className="text-right px-5 py-3 text-xs font-semibold text-gray-500 uppercase tracking-wider">Disputed</th>
+                    <th className="text-right px-5 py-3 text-xs font-semibold text-gray-500 uppercase tracking-wider">Won</th>
+                    <th className="text-right px-5 py-3 text-xs font-semibold text-gray-500 uppercase tracking-wider">Lost</th>
+                    <th className="text-right px-5 py-3 text-xs font-semibold text-gray-500 uppercase tracking-wider">Accepted</th>
+                    <th className="text-right px-5 py-3 text-xs font-semibold text-gray-500 uppercase tracking-wider">Win Rate</th>
+                  </tr>
+                </thead>
+                <tbody className="divide-y divide-gray-100">
+                  {breakdownRows.map((row) => (
+                    <tr key={row.key} onClick={() => drillDown(row)} className="hover:bg-gray-50 cursor-pointer" title="Filter by this">
+                      <td className="px-5 py-3 text-sm text-gray-900">
+                        <span className="font-medium">{breakdownTab === 'byReasonCode' ? row.key : row.label}</span>
+                        {breakdownTab === 'byReasonCode' && row.label !== row.key && (
+                          <span className="block text-xs text-gray-500">{row.label}</span>
+                        )}
+                      </td>
+                      <td className="px-5 py-3 text-sm text-right text-gray-700">{row.count}</td>
+                      <td className="px-5 py-3 text-sm text-right text-gray-700">{formatCurrency(row.amount)}</td>
+                      <td className="px-5 py-3 text-sm text-right text-green-600 font-medium">{row.won}</td>
+                      <td className="px-5 py-3 text-sm text-right text-red-600 font-medium">{row.lostAfterFighting}</td>
+                      <td className="px-5 py-3 text-sm text-right text-gray-600">{row.acceptedLiability}</td>
+                      <td className="px-5 py-3 text-sm text-right">
+                        {row.won + row.lostAfterFighting > 0 ? (
+                          <span className={`font-medium ${row.winRate >= 50 ? 'text-green-600' : 'text-red-600'}`}>{row.winRate.toFixed(1)}%</span>
+                        ) : (
+                          <span className="text-gray-400">—</span>
+                        )}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </div>
+      </div>
+
       {/* Middle Row: Status Breakdown + Evidence + PMS */}
       <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
         {/* Case Status Breakdown */}
@@ -295,6 +558,113 @@ export default function Analytics() {
         </div>
       </div>
 
+      {/* What Wins: win rate by evidence, reason code, booking source, network and scoring rule */}
+      {winRates && (
+        <div className="bg-white rounded-xl border border-gray-200 overflow-hidden">
+          <div className="px-5 py-4 border-b border-gray-200 flex items-center justify-between">
+            <div>
+              <h3 className="font-semibold text-gray-900 flex items-center gap-2">
+                <Award className="w-5 h-5 text-amber-500" />
+                What Wins
+              </h3>
+              <p className="text-xs text-gray-500 mt-1">
+                {winRates.overall.cases} fought cases, {winRates.overall.winRate === null ? 'no' : `${winRates.overall.winRate.toFixed(1)}%`} won.
+                Ranges are {winRates.confidenceLevel}% confidence intervals; grey rows have fewer than {minSample} cases.
+                {winRates.truncated && ' Based on the most recent cases only.'}
+              </p>
+            </div>
+            <div className="flex gap-1">
+              {WIN_RATE_VIEWS.map((v) => (
+                <button
+                  key={v.value}
+                  onClick={() => setWinRateView(v.value)}
+                  className={`px-3 py-1 text-xs font-medium rounded-lg ${winRateView === v.value ? 'bg-blue-50 text-blue-700' : 'text-gray-500 hover:bg-gray-50'}`}
+                >
+                  {v.label}
+                </button>
+              ))}
+            </div>
+          </div>
+          {winRateRows.length === 0 ? (
+            <p className="px-5 py-8 text-sm text-gray-500 text-center">No fought cases match these filters.</p>
+          ) : winRateView === 'byEvidenceType' ? (
+            <div className="overflow-x-auto">
+              <table className="w-full">
+                <thead>
+                  <tr className="bg-gray-50">
+                    <th className="text-left px-5 py-3 text-xs font-semibold text-gray-500 uppercase tracking-wider">Evidence</th>
+                    <th className="text-left px-5 py-3 text-xs font-semibold text-gray-500 uppercase tracking-wider">With</th>
+                    <th className="text-right px-5 py-3 text-xs font-semibold text-gray-500 uppercase tracking-wider">Cases</th>
+                    <th className="text-left px-5 py-3 text-xs font-semibold text-gray-500 uppercase tracking-wider">Without</th>
+                    <th className="text-right px-5 py-3 text-xs font-semibold text-gray-500 uppercase tracking-wider">Cases</th>
+                    <th className="text-right px-5 py-3 text-xs font-semibold text-gray-500 uppercase tracking-wider">Lift</th>
+                    <th className="text-right px-5 py-3 text-xs font-semibold text-gray-500 uppercase tracking-wider">Recovered</th>
+                  </tr>
+                </thead>
+                <tbody className="divide-y divide-gray-100">
+                  {winRateRows.map((row) => (
+                    <tr key={row.key} className={row.present.lowSample ? 'text-gray-400' : ''}>
+                      <td className="px-5 py-3 text-sm font-medium text-gray-900">{row.label}</td>
+                      <td className="px-5 py-3 text-sm"><WinRateRange stats={row.present} /></td>
+                      <td className="px-5 py-3 text-sm text-right text-gray-700">{row.present.cases}</td>
+                      <td className="px-5 py-3 text-sm"><WinRateRange stats={row.absent} /></td>
+                      <td className="px-5 py-3 text-sm text-right text-gray-700">{row.absent.cases}</td>
+                      <td className="px-5 py-3 text-sm text-right">
+                        {row.lift === null ? (
+                          <span className="text-gray-400">—</span>
+                        ) : (
+                          <span className={`font-medium ${row.lift >= 0 ? 'text-green-600' : 'text-red-600'}`}>
+                            {row.lift >= 0 ? '+' : ''}{row.lift.toFixed(1)} pts
+                          </span>
+                        )}
+                      </td>
+                      <td className="px-5 py-3 text-sm text-right text-gray-700">{formatCurrency(row.present.recoveredAmount)}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          ) : (
+            <div className="overflow-x-auto">
+              <table className="w-full">
+                <thead>
+                  <tr className="bg-gray-50">
+                    <th className="text-left px-5 py-3 text-xs font-semibold text-gray-500 uppercase tracking-wider">{WIN_RATE_VIEWS.find((v) => v.value === winRateView).label}</th>
+                    <th className="text-right px-5 py-3 text-xs font-semibold text-gray-500 uppercase tracking-wider">Cases</th>
+                    <th className="text-right px-5 py-3 text-xs font-semibold text-gray-500 uppercase tracking-wider">Won</th>
+                    <th className="text-right px-5 py-3 text-xs font-semibold text-gray-500 uppercase tracking-wider">Lost</th>
+                    <th className="text-left px-5 py-3 text-xs font-semibold text-gray-500 uppercase tracking-wider">Win Rate</th>
+                    <th className="text-right px-5 py-3 text-xs font-semibold text-gray-500 uppercase tracking-wider">Recovered</th>
+                  </tr>
+                </thead>
+                <tbody className="divide-y divide-gray-100">
+                  {winRateRows.map((row) => (
+                    <tr key={row.key} className={row.lowSample ? 'text-gray-400' : ''}>
+                      <td className="px-5 py-3 text-sm text-gray-900">
+                        <span className="font-medium">{winRateView === 'byReasonCode' ? row.key : row.label}</span>
+                        {winRateView === 'byReasonCode' && row.label !== row.key && (
+                          <span className="block text-xs text-gray-500">{row.label}</span>
+                        )}
+                        {winRateView === 'byRule' && (
+                          <span className={`ml-2 text-xs ${row.type === 'negative' ? 'text-red-500' : 'text-green-600'}`}>
+                            {row.type === 'negative' ? 'lowers score' : 'raises score'}
+                          </span>
+                        )}
+                      </td>
+                      <td className="px-5 py-3 text-sm text-right text-gray-700">{row.cases}</td>
+                      <td className="px-5 py-3 text-sm text-right text-green-600 font-medium">{row.won}</td>
+                      <td className="px-5 py-3 text-sm text-right text-red-600 font-medium">{row.lost}</td>
+                      <td className="px-5 py-3 text-sm"><WinRateRange stats={row} /></td>
+                      <td className="px-5 py-3 text-sm text-right text-gray-700">{formatCurrency(row.recoveredAmount)}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </div>
+      )}
+
       {/* Monthly Trends */}
       {trends.length > 0 && (
         <div className="bg-white rounded-xl border border-gray-200 overflow-hidden">
@@ -312,6 +682,7 @@ export default function Analytics() {
                   <th className="text-right px-5 py-3 text-xs font-semibold text-gray-500 uppercase tracking-wider">Cases</th>
                   <th className="text-right px-5 py-3 text-xs font-semibold text-gray-500 uppercase tracking-wider">Won</th>
                   <th className="text-right px-5 py-3 text-xs font-semibold text-gray-500 uppercase tracking-wider">Lost</th>
+                  <th className="text-right px-5 py-3 text-xs font-semibold text-gray-500 uppercase tracking-wider">Accepted</th>
                   <th className="text-right px-5 py-3 text-xs font-semibold text-gray-500 uppercase tracking-wider">Win Rate</th>
                   <th className="text-right px-5 py-3 text-xs font-semibold text-gray-500 uppercase tracking-wider">Recovered</th>
                   <th className="px-5 py-3 text-xs font-semibold text-gray-500 uppercase tracking-wider">Performance</th>
@@ -325,11 +696,12 @@ export default function Analytics() {
                   const maxRecovered = Math.max(...trends.map((x) => x.recovered || 0), 1);
                   const perfWidth = ((t.recovered || 0) / maxRecovered) * 100;
                   return (
-                    <tr key={idx} className="hover:bg-gray-50">
+                    <tr key={t.key || idx} className="hover:bg-gray-50">
                       <td className="px-5 py-3 text-sm font-medium text-gray-900">{t.month}</td>
                       <td className="px-5 py-3 text-sm text-right text-gray-700">{t.cases}</td>
                       <td className="px-5 py-3 text-sm text-right text-green-600 font-medium">{t.won}</td>
                       <td className="px-5 py-3 text-sm text-right text-red-600 font-medium">{t.lost}</td>
+                      <td className="px-5 py-3 text-sm text-right text-gray-600">{t.acceptedLiability || 0}</td>
                       <td className="px-5 py-3 text-sm text-right">
                         <span className={`font-medium ${Number(winRate) >= 50 ? 'text-green-600' : 'text-red-600'}`}>
                           {winRate}%
@@ -353,6 +725,7 @@ export default function Analytics() {
                   <td className="px-5 py-3 text-sm text-right text-gray-900">{trendsSummary.cases}</td>
                   <td className="px-5 py-3 text-sm text-right text-green-600">{trendsSummary.won}</td>
                   <td className="px-5 py-3 text-sm text-right text-red-600">{trendsSummary.lost}</td>
+                  <td className="px-5 py-3 text-sm text-right text-gray-600">{trendsSummary.acceptedLiability}</td>
                   <td className="px-5 py-3 text-sm text-right text-gray-900">{trendsWinRate}%</td>
                   <td className="px-5 py-3 text-sm text-right text-gray-900">{formatCurrency(trendsSummary.recovered)}</td>
                   <td className="px-5 py-3"></td>
@@ -7,6 +7,7 @@ import React, { useState, useEffect } from 'react';
 import { Link, useParams, useNavigate } from 'react-router-dom';
 import { api, formatCurrency } from '../utils/api';
 import { formatDate, formatDateTime } from '../utils/helpers';
+import { useAuth } from '../hooks/useAuth';
 import {
   ArrowLeft,
   FileText,
@@ -35,7 +36,8 @@ import {
   ChevronDown,
   ChevronUp,
   Plus,
-  Info
+  Info,
+  Flag
 } from 'lucide-react';
 
 const STATUS_CONFIG = {
@@ -68,6 +70,32 @@ function StatusBadge({ status, size = 'md' }) {
   );
 }
 
+// Portal lifecycle stages (Chargeback.disputeStage); pre-chargeback stages get amber
+const DISPUTE_STAGE_LABELS = {
+  inquiry: 'Inquiry',
+  claim: 'Claim',
+  chargeback: 'Chargeback',
+  first_chargeback: 'First Chargeback',
+  second_presentment: 'Second Presentment',
+  representment: 'Representment',
+  pre_arbitration: 'Pre-Arbitration',
+  arbitration: 'Arbitration',
+};
+
+function StageBadge({ stage }) {
+  if (!stage) return null;
+  const preChargeback = stage === 'inquiry' || stage === 'claim';
+  return (
+    <span
+      className={`inline-flex items-center px-2.5 py-1 text-xs font-semibold rounded-full border ${
+        preChargeback ? 'bg-amber-50 text-amber-700 border-amber-200' : 'bg-slate-50 text-slate-700 border-slate-200'
+      }`}
+    >
+      {DISPUTE_STAGE_LABELS[stage] || stage.replace(/_/g, ' ')}
+    </span>
+  );
+}
+
 function getTimelineStatus(caseStatus) {
   const order = ['PENDING', 'IN_REVIEW', 'SUBMITTED'];
   const currentIndex = order.indexOf(caseStatus);
@@ -92,9 +120,18 @@ function getDaysRemaining(dueDate) {
   return Math.ceil((due - now) / (1000 * 60 * 60 * 24));
 }
 
+const LIABILITY_REASONS = {
+  AMOUNT_TOO_SMALL: 'Amount too small to fight',
+  NO_EVIDENCE: 'No evidence to contest',
+  VALID_GUEST_COMPLAINT: 'Valid guest complaint',
+  OTHER: 'Other'
+};
+
 export default function CaseDetail() {
   const { id } = useParams();
   const navigate = useNavigate();
+  const { user } = useAuth();
+  const isManager = ['ADMIN', 'MANAGER'].includes(user?.role);
 
   const [caseData, setCaseData] = useState(null);
   const [evidence, setEvidence] = useState([]);
@@ -119,6 +156,26 @@ export default function CaseDetail() {
   const [caseDragOver, setCaseDragOver] = useState(false);
   const [autoCollecting, setAutoCollecting] = useState(false);
   const [autoCollectResult, setAutoCollectResult] = useState(null);
+  const [requirements, setRequirements] = useState(null);
+  const [submissions, setSubmissions] = useState([]);
+  const [packetLoading, setPacketLoading] = useState(null);
+  const [ce3, setCe3] = useState(null);
+  const [ce3Checking, setCe3Checking] = useState(false);
+  const [showLiabilityForm, setShowLiabilityForm] = useState(false);
+  const [liabilityReason, setLiabilityReason] = useState('AMOUNT_TOO_SMALL');
+  const [liabilityNotes, setLiabilityNotes] = useState('');
+  const [acceptingLiability, setAcceptingLiability] = useState(false);
+  const [liabilityResult, setLiabilityResult] = useState(null);
+
+  const fetchRequirements = async () => {
+    try {
+      const response = await api.get(`/cases/${id}/evidence-requirements`);
+      setRequirements(response.requirements || null);
+    } catch (err) {
+      console.error('Failed to fetch evidence requirements:', err);
+      setRequirements(null);
+    }
+  };
 
   useEffect(() => {
     const fetchCase = async () => {
@@ -131,6 +188,7 @@ export default function CaseDetail() {
         setCaseData(c);
         if (c.timeline) setTimeline(c.timeline);
         if (c.notes) setNotes(c.notes);
+        setSubmissions(c.submissions || []);
       } catch (err) {
         console.error('Failed to fetch case:', err);
         if (err?.status === 404 || err?.statusCode === 404) {
@@ -159,18 +217,44 @@ export default function CaseDetail() {
 
     fetchCase();
     fetchEvidence();
+    fetchRequirements();
   }, [id]);
 
+  // Visa CE3.0 only applies to card-absent fraud (10.4)
+  const isCE3Candidate = caseData?.reasonCode === '10.4' && /visa/i.test(caseData?.cardBrand || '');
+
+  useEffect(() => {
+    if (!isCE3Candidate) return;
+    api.get(`/cases/${id}/ce3-eligibility`)
+      .then((response) => setCe3(response.ce3 || null))
+      .catch((err) => console.error('Failed to fetch CE3.0 eligibility:', err));
+  }, [id, isCE3Candidate]);
+
+  const handleCheckCE3 = async () => {
+    if (ce3Checking) return;
+    setCe3Checking(true);
+    try {
+      const response = await api.post(`/cases/${id}/ce3-eligibility`);
+      setCe3(response.ce3 || null);
+    } catch (err) {
+      console.error('Failed to check CE3.0 eligibility:', err);
+    } finally {
+      setCe3Checking(false);
+    }
+  };
+
   const handleSubmitResponse = async () => {
     if (submitting) return;
     setSubmitting(true);
     try {
-      await api.post(`/cases/${id}/submit`);
+      const result = await api.post(`/cases/${id}/submit`);
       const response = await api.get(`/cases/${id}`);
       const data = response.data || response;
       const c = data.chargeback || data.case || data;
       setCaseData(c);
       if (c.timeline) setTimeline(c.timeline);
+      // Demo submissions are not persisted, so keep the one just returned
+      setSubmissions(c.submissions?.length ? c.submissions : [result.submission].filter(Boolean));
     } catch (err) {
       console.error('Failed to submit response:', err);
     } finally {
@@ -178,6 +262,54 @@ export default function CaseDetail() {
     }
   };
 
+  const handleAcceptLiability = async () => {
+    if (acceptingLiability) return;
+    setAcceptingLiability(true);
+    setLiabilityResult(null);
+    try {
+      const result = await api.post(`/cases/${id}/accept-liability`, {
+        reason: liabilityReason,
+        notes: liabilityNotes.trim() || undefined
+      });
+      const response = await api.get(`/cases/${id}`);
+      const data = response.data || response;
+      const c = data.chargeback || data.case || data;
+      // Demo cases are not persisted, so overlay the conceded fields just returned
+      setCaseData(c.status === 'LOST' ? c : { ...c, ...result.chargeback });
+      if (c.timeline) setTimeline(c.timeline);
+      setLiabilityResult({ success: true, message: result.portal?.message });
+      setShowLiabilityForm(false);
+      setLiabilityNotes('');
+    } catch (err) {
+      console.error('Failed to accept liability:', err);
+      setLiabilityResult({ success: false, message: err?.details?.[0]?.message || err?.message || 'Failed to accept liability' });
+    } finally {
+      setAcceptingLiability(false);
+    }
+  };
+
+  const openPacket = async (key, url, fileName) => {
+    if (packetLoading) return;
+    setPacketLoading(key);
+    try {
+      const blob = await api.download(url);
+      const objectUrl = URL.createObjectURL(blob);
+      if (fileName) {
+        const link = document.createElement('a');
+        link.href = objectUrl;
+        link.download = fileName;
+        link.click();
+      } else {
+        window.open(objectUrl, '_blank');
+      }
+      setTimeout(() => URL.revokeObjectURL(objectUrl), 60000);
+    } catch (err) {
+      console.error('Failed to load rebuttal packet:', err);
+    } finally {
+      setPacketLoading(null);
+    }
+  };
+
   const handleAutoCollect = async () => {
     if (autoCollecting) return;
     setAutoCollecting(true);
@@ -195,6 +327,7 @@ export default function CaseDetail() {
       } catch (evErr) {
         console.error('Failed to refresh evidence:', evErr);
       }
+      fetchRequirements();
 
       // Update case data with new analysis if available
       if (result.analysis) {
@@ -477,6 +610,7 @@ export default function CaseDetail() {
                     {caseData.guestName || 'Unknown Guest'}
                   </h1>
                   <StatusBadge status={caseData.status} size="lg" />
+                  <StageBadge stage={caseData.disputeStage} />
                 </div>
                 <p className="text-sm text-gray-500 mt-1">
                   Case #{caseData.id}
@@ -503,6 +637,9 @@ export default function CaseDetail() {
                   <p className="text-sm font-semibold">
                     {daysLeft > 0 ? `${daysLeft} days remaining` : 'Response overdue'}
                   </p>
+                  {caseData.disputeStage === 'inquiry' && (
+                    <p className="text-xs font-medium">Reply to the inquiry before it becomes a chargeback</p>
+                  )}
                   <p className="text-xs opacity-75">Due {formatDate(caseData.dueDate)}</p>
                 </div>
               </div>
@@ -1473,6 +1610,18 @@ export default function CaseDetail() {
                   )}
                   {submitting ? 'Submitting...' : 'Submit Response'}
                 </button>
+                <button
+                  onClick={() => openPacket('preview', `/cases/${id}/packet/preview`)}
+                  disabled={!!packetLoading}
+                  className="w-full inline-flex items-center justify-center gap-2 px-4 py-3 text-sm font-medium text-gray-700 bg-white border border-gray-200 rounded-lg hover:bg-gray-50 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+                >
+                  {packetLoading === 'preview' ? (
+                    <RefreshCw className="w-4 h-4 animate-spin" />
+                  ) : (
+                    <Eye className="w-4 h-4" />
+                  )}
+                  {packetLoading === 'preview' ? 'Generating Packet...' : 'Preview Rebuttal Packet'}
+                </button>
                 {evidence.length === 0 && !autoCollecting && (
                   <p className="text-xs text-amber-600 text-center">
                     Click "Auto-Collect Evidence" to gather evidence from PMS automatically.
@@ -1486,6 +1635,94 @@ export default function CaseDetail() {
                   <Package className="w-4 h-4" />
                   Manual Evidence Collection
                 </Link>
+
+                {/* Accept Liability (managers) */}
+                {isManager && (
+                  <div className="pt-3 border-t border-gray-100">
+                    {!showLiabilityForm ? (
+                      <button
+                        onClick={() => { setShowLiabilityForm(true); setLiabilityResult(null); }}
+                        className="w-full inline-flex items-center justify-center gap-2 px-4 py-3 text-sm font-medium text-red-700 bg-white border border-red-200 rounded-lg hover:bg-red-50 transition-colors"
+                      >
+                        <Flag className="w-4 h-4" />
+                        Accept Liability
+                      </button>
+                    ) : (
+                      <div className="space-y-3">
+                        <div>
+                          <p className="text-sm font-semibold text-gray-900">Accept liability</p>
+                          <p className="text-xs text-gray-500">
+                            Closes the case as lost without a response. It is reported as a deliberate loss, not a defeat.
+                          </p>
+                        </div>
+                        <select
+                          value={liabilityReason}
+                          onChange={(e) => setLiabilityReason(e.target.value)}
+                          className="w-full px-3 py-2 text-sm border border-gray-200 rounded-lg focus:outline-none focus:ring-2 focus:ring-red-500"
+                        >
+                          {Object.entries(LIABILITY_REASONS).map(([value, label]) => (
+                            <option key={value} value={value}>{label}</option>
+                          ))}
+                        </select>
+                        <textarea
+                          value={liabilityNotes}
+                          onChange={(e) => setLiabilityNotes(e.target.value)}
+                          rows={3}
+                          maxLength={1000}
+                          placeholder={liabilityReason === 'OTHER' ? 'Explain why (required)' : 'Notes (optional)'}
+                          className="w-full px-3 py-2 text-sm border border-gray-200 rounded-lg focus:outline-none focus:ring-2 focus:ring-red-500 resize-none"
+                        />
+                        <div className="flex gap-2">
+                          <button
+                            onClick={() => setShowLiabilityForm(false)}
+                            disabled={acceptingLiability}
+                            className="flex-1 px-4 py-2 text-sm font-medium text-gray-700 bg-white border border-gray-200 rounded-lg hover:bg-gray-50 transition-colors disabled:opacity-50"
+                          >
+                            Cancel
+                          </button>
+                          <button
+                            onClick={handleAcceptLiability}
+                            disabled={acceptingLiability || (liabilityReason === 'OTHER' && !liabilityNotes.trim())}
+                            className="flex-1 inline-flex items-center justify-center gap-2 px-4 py-2 text-sm font-semibold text-white bg-red-600 rounded-lg hover:bg-red-700 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+                          >
+                            {acceptingLiability && <RefreshCw className="w-4 h-4 animate-spin" />}
+                            {acceptingLiability ? 'Accepting...' : 'Confirm'}
+                          </button>
+                        </div>
+                      </div>
+                    )}
+                    {liabilityResult && !liabilityResult.success && (
+                      <p className="mt-2 text-xs text-red-600">{liabilityResult.message}</p>
+                    )}
+                  </div>
+                )}
+              </div>
+            </div>
+          )}
+
+          {/* Accepted Liability (conceded cases) */}
+          {caseData.status === 'LOST' && caseData.liabilityReason && (
+            <div className="bg-white rounded-xl border border-gray-200 shadow-sm">
+              <div className="px-6 py-4 border-b border-gray-100 flex items-center gap-2">
+                <Flag className="w-4 h-4 text-gray-500" />
+                <h2 className="text-base font-semibold text-gray-900">Liability Accepted</h2>
+              </div>
+              <div className="p-6 space-y-2">
+                <p className="text-sm font-medium text-gray-900">
+                  {LIABILITY_REASONS[caseData.liabilityReason] || caseData.liabilityReason}
+                </p>
+                {caseData.liabilityNotes && (
+                  <p className="text-sm text-gray-600">{caseData.liabilityNotes}</p>
+                )}
+                {caseData.liabilityAcceptedAt && (
+                  <p className="text-xs text-gray-400">Accepted {formatDateTime(caseData.liabilityAcceptedAt)}</p>
+                )}
+                {liabilityResult?.success && liabilityResult.message && (
+                  <p className="text-xs text-gray-500 flex items-start gap-1.5">
+                    <Info className="w-3.5 h-3.5 mt-0.5 flex-shrink-0" />
+                    {liabilityResult.message}
+                  </p>
+                )}
               </div>
             </div>
           )}
@@ -1518,6 +1755,117 @@ export default function CaseDetail() {
             </div>
           )}
 
+          {/* Evidence Checklist (reason-code specific) */}
+          {requirements && (
+            <div className="bg-white rounded-xl border border-gray-200 shadow-sm">
+              <div className="px-6 py-4 border-b border-gray-100 flex items-center justify-between">
+                <h2 className="text-base font-semibold text-gray-900">Evidence Checklist</h2>
+                <span className={`text-sm font-bold ${
+                  requirements.completeness === 100 ? 'text-green-600' :
+                  requirements.completeness >= 50 ? 'text-amber-600' : 'text-red-600'
+                }`}>
+                  {requirements.completeness}%
+                </span>
+              </div>
+              <div className="p-6 space-y-4">
+                <p className="text-xs text-gray-500">
+                  {requirements.known
+                    ? `${requirements.network} ${requirements.reasonCode} · ${requirements.description} · ${requirements.category.replace(/_/g, ' ').toLowerCase()} · ${requirements.responseDays}-day response window`
+                    : `Reason code ${requirements.reasonCode || 'unknown'} is not in the catalog — showing the standard hotel evidence package`}
+                </p>
+                {[
+                  { key: 'required', title: 'Required' },
+                  { key: 'optional', title: 'Supporting' },
+                ].filter(({ key }) => requirements[key].length > 0).map(({ key, title }) => (
+                  <div key={key}>
+                    <p className="text-xs font-medium text-gray-500 uppercase tracking-wider mb-2">{title}</p>
+                    <ul className="space-y-1.5">
+                      {requirements[key].map((item) => (
+                        <li key={item.type} className="flex items-center gap-2 text-sm">
+                          {item.collected ? (
+                            <CheckCircle className="w-4 h-4 text-green-500 flex-shrink-0" />
+                          ) : key === 'required' ? (
+                            <XCircle className="w-4 h-4 text-red-400 flex-shrink-0" />
+                          ) : (
+                            <div className="w-4 h-4 rounded-full border-2 border-gray-300 flex-shrink-0" />
+                          )}
+                          <span className={item.collected ? 'text-gray-900' : 'text-gray-500'}>{item.label}</span>
+                        </li>
+                      ))}
+                    </ul>
+                  </div>
+                ))}
+              </div>
+            </div>
+          )}
+
+          {/* Visa Compelling Evidence 3.0 */}
+          {isCE3Candidate && (
+            <div className="bg-white rounded-xl border border-gray-200 shadow-sm">
+              <div className="px-6 py-4 border-b border-gray-100 flex items-center justify-between">
+                <h2 className="text-base font-semibold text-gray-900">Visa CE3.0</h2>
+                {ce3 && (
+                  <span className={`text-xs font-semibold px-2 py-0.5 rounded-full border ${
+                    ce3.eligible
+                      ? 'bg-green-50 text-green-700 border-green-200'
+                      : 'bg-gray-50 text-gray-600 border-gray-200'
+                  }`}>
+                    {ce3.eligible ? 'Eligible' : 'Not eligible'}
+                  </span>
+                )}
+              </div>
+              <div className="p-6 space-y-3">
+                {!ce3 && (
+                  <p className="text-xs text-gray-500">
+                    Search this card's prior undisputed stays for Compelling Evidence 3.0 qualifying transactions.
+                  </p>
+                )}
+                {ce3 && (
+                  <p className="text-xs text-gray-500">
+                    {ce3.qualifyingTransactions.length} of {ce3.candidatesReviewed} prior transactions qualify
+                    ({ce3.rules.minAgeDays}–{ce3.rules.maxAgeDays} days old, {ce3.rules.minimumMatchingFields}+ matching identifiers)
+                  </p>
+                )}
+                {ce3?.qualifyingTransactions.map((txn) => (
+                  <div key={txn.transactionId} className="p-3 bg-gray-50 rounded-lg">
+                    <div className="flex items-center justify-between">
+                      <span className="text-sm font-medium text-gray-900">{formatDate(txn.transactionDate)}</span>
+                      <span className="text-sm text-gray-700">{formatCurrency(txn.amount)}</span>
+                    </div>
+                    <p className="text-xs text-gray-500 mt-0.5">
+                      {txn.confirmationNumber} · {txn.ageDays} days before dispute
+                    </p>
+                    <div className="flex flex-wrap gap-1 mt-1.5">
+                      {txn.matchedFields.map((field) => (
+                        <span key={field} className="text-xs px-2 py-0.5 bg-green-50 text-green-700 rounded-full border border-green-100">
+                          {field.replace(/([A-Z])/g, ' $1').toLowerCase()}
+                        </span>
+                      ))}
+                    </div>
+                  </div>
+                ))}
+                {ce3 && !ce3.eligible && ce3.reasons.length > 0 && (
+                  <ul className="space-y-1">
+                    {ce3.reasons.map((reason) => (
+                      <li key={reason} className="flex items-start gap-2 text-xs text-gray-600">
+                        <Info className="w-3.5 h-3.5 text-gray-400 flex-shrink-0 mt-0.5" />
+                        {reason}
+                      </li>
+                    ))}
+                  </ul>
+                )}
+                <button
+                  onClick={handleCheckCE3}
+                  disabled={ce3Checking}
+                  className="w-full inline-flex items-center justify-center gap-2 px-4 py-2 text-sm font-medium text-gray-700 bg-white border border-gray-200 rounded-lg hover:bg-gray-50 transition-colors disabled:opacity-50"
+                >
+                  <RefreshCw className={`w-4 h-4 ${ce3Checking ? 'animate-spin' : ''}`} />
+                  {ce3Checking ? 'Checking...' : ce3 ? 'Re-check Eligibility' : 'Check Eligibility'}
+                </button>
+              </div>
+            </div>
+          )}
+
           {/* Fraud Indicators */}
           {caseData.fraudIndicators && (
             <div className="bg-white rounded-xl border border-gray-200 shadow-sm">
@@ -1609,6 +1957,49 @@ export default function CaseDetail() {
             </div>
           </div>
 
+          {/* Submissions */}
+          {submissions.length > 0 && (
+            <div className="bg-white rounded-xl border border-gray-200 shadow-sm">
+              <div className="px-6 py-4 border-b border-gray-100">
+                <h2 className="text-base font-semibold text-gray-900">Submissions</h2>
+              </div>
+              <div className="p-6 space-y-3">
+                {submissions.map((submission) => {
+                  const hasPacket = submission.packetKey || submission.packetUrl;
+                  return (
+                    <div key={submission.id} className="flex items-center justify-between gap-3">
+                      <div className="min-w-0">
+                        <p className="text-sm text-gray-700">{formatDateTime(submission.submittedAt)}</p>
+                        <p className="text-xs text-gray-500">
+                          {submission.status}
+                          {submission.packetPageCount ? ` · ${submission.packetPageCount}-page packet` : ''}
+                        </p>
+                      </div>
+                      {hasPacket && (
+                        <button
+                          onClick={() => openPacket(
+                            submission.id,
+                            `/cases/${id}/submissions/${submission.id}/packet`,
+                            `${caseData.caseNumber || id}_rebuttal.pdf`
+                          )}
+                          disabled={!!packetLoading}
+                          className="inline-flex items-center gap-1.5 px-3 py-1.5 text-xs font-medium text-blue-600 bg-blue-50 rounded-lg hover:bg-blue-100 transition-colors disabled:opacity-50"
+                        >
+                          {packetLoading === submission.id ? (
+                            <RefreshCw className="w-3.5 h-3.5 animate-spin" />
+                          ) : (
+                            <Download className="w-3.5 h-3.5" />
+                          )}
+                          Packet
+                        </button>
+                      )}
+                    </div>
+                  );
+                })}
+              </div>
+            </div>
+          )}
+
           {/* Timestamps */}
           <div className="bg-white rounded-xl border border-gray-200 shadow-sm">
             <div className="px-6 py-4 border-b border-gray-100">
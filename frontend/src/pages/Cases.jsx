@@ -19,8 +19,14 @@ import {
   Gavel,
   RefreshCw,
   Shield,
+  Users,
+  UserCheck,
+  Layers,
+  Upload,
 } from 'lucide-react';
 import { api } from '../utils/api';
+import { useAuth } from '../hooks/useAuth';
+import CaseImportWizard from '../components/CaseImportWizard';
 
 // ─── Status config ──────────────────────────────────────────────────────
 const STATUS_MAP = {
@@ -61,6 +67,63 @@ function ArbitrationBadge({ caseData }) {
   return null;
 }
 
+// ─── Bulk actions (see POST /api/cases/bulk-actions) ────────────────────
+const BULK_ACTIONS = [
+  { value: 'collect_and_analyze', label: 'Auto-collect & analyze', managerOnly: false },
+  { value: 'submit', label: 'Submit above auto-submit score', managerOnly: false },
+  { value: 'change_status', label: 'Change status', managerOnly: true },
+  { value: 'accept_liability', label: 'Accept liability under amount', managerOnly: true },
+];
+
+// OTHER needs per-case notes, so it is only offered on the case page
+const BULK_LIABILITY_REASONS = [
+  { value: 'AMOUNT_TOO_SMALL', label: 'Amount too small to fight' },
+  { value: 'NO_EVIDENCE', label: 'No evidence to contest' },
+  { value: 'VALID_GUEST_COMPLAINT', label: 'Valid guest complaint' },
+];
+
+const BULK_OUTCOME_STYLES = {
+  succeeded: 'text-green-700',
+  skipped: 'text-gray-500',
+  failed: 'text-red-600',
+};
+
+// ─── Export (see GET /api/cases/export) ─────────────────────────────────
+const EXPORT_COLUMNS = [
+  { key: 'caseNumber', label: 'Case number', default: true },
+  { key: 'processorDisputeId', label: 'Processor dispute ID', default: true },
+  { key: 'transactionId', label: 'Transaction ID', default: true },
+  { key: 'status', label: 'Status', default: true },
+  { key: 'outcome', label: 'Outcome', default: true },
+  { key: 'guestName', label: 'Guest name', default: true },
+  { key: 'guestEmail', label: 'Guest email' },
+  { key: 'confirmationNumber', label: 'Confirmation number' },
+  { key: 'property', label: 'Property', default: true },
+  { key: 'provider', label: 'Provider' },
+  { key: 'cardBrand', label: 'Card brand', default: true },
+  { key: 'cardLastFour', label: 'Card last four' },
+  { key: 'reasonCode', label: 'Reason code', default: true },
+  { key: 'reasonDescription', label: 'Reason description' },
+  { key: 'amount', label: 'Amount', default: true },
+  { key: 'currency', label: 'Currency', default: true },
+  { key: 'recoveredAmount', label: 'Recovered amount', default: true },
+  { key: 'lostAmount', label: 'Lost amount' },
+  { key: 'liabilityReason', label: 'Liability reason' },
+  { key: 'disputeDate', label: 'Dispute date', default: true },
+  { key: 'createdAt', label: 'Opened' },
+  { key: 'dueDate', label: 'Due date' },
+  { key: 'resolvedAt', label: 'Resolution date', default: true },
+  { key: 'checkInDate', label: 'Check-in' },
+  { key: 'checkOutDate', label: 'Check-out' },
+  { key: 'evidenceTypes', label: 'Evidence types', default: true },
+  { key: 'evidenceCount', label: 'Evidence count' },
+  { key: 'confidenceScore', label: 'Confidence score' },
+  { key: 'recommendation', label: 'Recommendation' },
+  { key: 'assignee', label: 'Assignee' },
+];
+
+const DEFAULT_EXPORT_COLUMNS = EXPORT_COLUMNS.filter(c => c.default).map(c => c.key);
+
 // ─── Helpers ────────────────────────────────────────────────────────────
 function formatCurrency(n) {
   return new Intl.NumberFormat('en-US', { style: 'currency', currency: 'USD' }).format(n || 0);
@@ -77,10 +140,18 @@ function daysLeft(dueDate) {
   return diff;
 }
 
+function personName(person) {
+  if (!person) return 'Unassigned';
+  return [person.firstName, person.lastName].filter(Boolean).join(' ') || person.email;
+}
+
 // ─── Main Component ─────────────────────────────────────────────────────
 export default function Cases() {
   const navigate = useNavigate();
   const [searchParams, setSearchParams] = useSearchParams();
+  const { user } = useAuth();
+  const isManager = ['ADMIN', 'MANAGER'].includes(user?.role);
+  const canAct = isManager || user?.role === 'STAFF';
 
   const [cases, setCases] = useState([]);
   const [loading, setLoading] = useState(true);
@@ -92,6 +163,24 @@ export default function Cases() {
   const [sortOrder, setSortOrder] = useState('desc');
   const [refreshing, setRefreshing] = useState(false);
   const [searchTrigger, setSearchTrigger] = useState(0);
+  const [assigneeFilter, setAssigneeFilter] = useState(searchParams.get('assignee') || '');
+  const [showWorkload, setShowWorkload] = useState(false);
+  const [workload, setWorkload] = useState([]);
+  const [selected, setSelected] = useState([]);
+  const [reassignTo, setReassignTo] = useState('');
+  const [reassigning, setReassigning] = useState(false);
+  const [reassignResult, setReassignResult] = useState(null);
+  const [allMatching, setAllMatching] = useState(false);
+  const [bulkAction, setBulkAction] = useState('');
+  const [bulkParams, setBulkParams] = useState({ status: 'IN_REVIEW', maxAmount: '250', reason: 'AMOUNT_TOO_SMALL', minScore: '' });
+  const [bulkJob, setBulkJob] = useState(null);
+  const [bulkError, setBulkError] = useState(null);
+  const [showExport, setShowExport] = useState(false);
+  const [exportFormat, setExportFormat] = useState('csv');
+  const [exportColumns, setExportColumns] = useState(DEFAULT_EXPORT_COLUMNS);
+  const [exporting, setExporting] = useState(false);
+  const [exportError, setExportError] = useState(null);
+  const [showImport, setShowImport] = useState(false);
 
   // Apply URL params (status filter and search)
   useEffect(() => {
@@ -109,7 +198,39 @@ export default function Cases() {
   // Fetch cases
   useEffect(() => {
     fetchCases();
-  }, [statusFilter, pagination.page, sortBy, sortOrder, searchTrigger]);
+  }, [statusFilter, assigneeFilter, pagination.page, sortBy, sortOrder, searchTrigger]);
+
+  // Poll the running bulk action until it finishes
+  useEffect(() => {
+    if (!bulkJob || ['completed', 'failed'].includes(bulkJob.state)) return;
+    const timer = setTimeout(async () => {
+      try {
+        const res = await api.get(`/cases/bulk-actions/${bulkJob.id}`);
+        setBulkJob(res.job);
+        if (['completed', 'failed'].includes(res.job.state)) {
+          fetchCases();
+          if (isManager) fetchWorkload();
+        }
+      } catch (err) {
+        setBulkJob(prev => ({ ...prev, state: 'failed', error: err.message || 'Lost track of the bulk action' }));
+      }
+    }, 1500);
+    return () => clearTimeout(timer);
+  }, [bulkJob]);
+
+  // Team workload (managers only)
+  useEffect(() => {
+    if (isManager) fetchWorkload();
+  }, [isManager]);
+
+  async function fetchWorkload() {
+    try {
+      const res = await api.get('/cases/workload');
+      setWorkload(res.workload || []);
+    } catch (err) {
+      console.error('Error fetching workload:', err);
+    }
+  }
 
   async function fetchCases() {
     try {
@@ -121,6 +242,7 @@ export default function Cases() {
         sortOrder,
       };
       if (statusFilter) params.status = statusFilter;
+      if (assigneeFilter) params.assignee = assigneeFilter;
       if (search.trim()) params.search = search.trim();
 
       const res = await api.get('/cases', params);
@@ -145,6 +267,8 @@ export default function Cases() {
       }
 
       setCases(fetchedCases);
+      setSelected(prev => prev.filter(id => fetchedCases.some(c => c.id === id)));
+      setAllMatching(false);
       setPagination(prev => ({
         ...prev,
         total: fetchedCases.length,
@@ -176,6 +300,115 @@ export default function Cases() {
     }
   }
 
+  function handleAssigneeFilter(value) {
+    setAssigneeFilter(value);
+    setPagination(prev => ({ ...prev, page: 1 }));
+  }
+
+  // Export every case matching the current filters and sort, not just this page
+  async function handleExport() {
+    if (exportColumns.length === 0) return;
+    setExporting(true);
+    setExportError(null);
+    try {
+      const params = {
+        format: exportFormat,
+        columns: EXPORT_COLUMNS.filter(c => exportColumns.includes(c.key)).map(c => c.key).join(','),
+        sortBy,
+        sortOrder,
+      };
+      if (statusFilter) params.status = statusFilter;
+      if (assigneeFilter) params.assignee = assigneeFilter;
+      if (search.trim()) params.search = search.trim();
+
+      const blob = await api.download('/cases/export', params);
+      const objectUrl = URL.createObjectURL(blob);
+      const link = document.createElement('a');
+      link.href = objectUrl;
+      link.download = `chargebacks-${new Date().toISOString().slice(0, 10)}.${exportFormat}`;
+      link.click();
+      setTimeout(() => URL.revokeObjectURL(objectUrl), 60000);
+      setShowExport(false);
+    } catch (err) {
+      console.error('Error exporting cases:', err);
+      setExportError('Export failed. Please try again.');
+    } finally {
+      setExporting(false);
+    }
+  }
+
+  function toggleSelected(id) {
+    setAllMatching(false);
+    setSelected(prev => (prev.includes(id) ? prev.filter(x => x !== id) : [...prev, id]));
+  }
+
+  function clearSelection() {
+    setSelected([]);
+    setAllMatching(false);
+  }
+
+  async function handleBulkAction() {
+    if (!bulkAction || (selected.length === 0 && !allMatching)) return;
+
+    const params = {};
+    if (bulkAction === 'change_status') params.status = bulkParams.status;
+    if (bulkAction === 'accept_liability') {
+      params.maxAmount = parseFloat(bulkParams.maxAmount);
+      params.reason = bulkParams.reason;
+    }
+    if (bulkAction === 'submit' && bulkParams.minScore !== '') params.minScore = parseInt(bulkParams.minScore, 10);
+
+    const body = { action: bulkAction, params };
+    if (allMatching) {
+      body.filter = {};
+      if (statusFilter) body.filter.status = statusFilter;
+      if (assigneeFilter) body.filter.assignee = assigneeFilter;
+      if (search.trim()) body.filter.search = search.trim();
+    } else {
+      body.caseIds = selected;
+    }
+
+    setBulkError(null);
+    try {
+      const res = await api.post('/cases/bulk-actions', body);
+      setBulkJob({
+        id: res.jobId,
+        label: BULK_ACTIONS.find(a => a.value === bulkAction)?.label,
+        state: 'waiting',
+        total: res.total,
+        processed: 0,
+        succeeded: 0,
+        skipped: 0,
+        failed: 0,
+        results: [],
+      });
+      clearSelection();
+      setBulkAction('');
+    } catch (err) {
+      setBulkError(err.details?.[0]?.message || err.message || 'Bulk action failed');
+    }
+  }
+
+  async function handleBulkReassign() {
+    if (selected.length === 0 || !reassignTo) return;
+    setReassigning(true);
+    try {
+      const res = await api.post('/cases/bulk-reassign', {
+        caseIds: selected,
+        assigneeId: reassignTo === 'unassigned' ? null : reassignTo,
+      });
+      setReassignResult(res);
+      setSelected([]);
+      setReassignTo('');
+      fetchCases();
+      fetchWorkload();
+    } catch (err) {
+      setReassignResult({ message: err.response?.data?.message || 'Reassignment failed', failed: selected });
+    } finally {
+      setReassigning(false);
+    }
+  }
+
   function handleSort(field) {
     if (sortBy === field) {
       setSortOrder(prev => (prev === 'asc' ? 'desc' : 'asc'));
@@ -188,6 +421,7 @@ export default function Cases() {
   function handleRefresh() {
     setRefreshing(true);
     fetchCases();
+    if (isManager) fetchWorkload();
   }
 
   // Summary counts
@@ -218,6 +452,39 @@ export default function Cases() {
           </p>
         </div>
         <div className="flex items-center gap-3">
+          {isManager && (
+            <button
+              onClick={() => setShowWorkload(prev => !prev)}
+              className={`inline-flex items-center gap-2 px-3 py-2 text-sm font-medium border rounded-lg transition-colors ${
+                showWorkload
+                  ? 'bg-blue-50 text-blue-700 border-blue-200'
+                  : 'text-gray-700 bg-white border-gray-300 hover:bg-gray-50'
+              }`}
+            >
+              <Users className="w-4 h-4" />
+              Team Workload
+            </button>
+          )}
+          {isManager && (
+            <button
+              onClick={() => setShowImport(true)}
+              className="inline-flex items-center gap-2 px-3 py-2 text-sm font-medium text-gray-700 bg-white border border-gray-300 rounded-lg hover:bg-gray-50 transition-colors"
+            >
+              <Upload className="w-4 h-4" />
+              Import
+            </button>
+          )}
+          <button
+            onClick={() => setShowExport(prev => !prev)}
+            className={`inline-flex items-center gap-2 px-3 py-2 text-sm font-medium border rounded-lg transition-colors ${
+              showExport
+                ? 'bg-blue-50 text-blue-700 border-blue-200'
+                : 'text-gray-700 bg-white border-gray-300 hover:bg-gray-50'
+            }`}
+          >
+            <Download className="w-4 h-4" />
+            Export
+          </button>
           <button
             onClick={handleRefresh}
             className="inline-flex items-center gap-2 px-3 py-2 text-sm font-medium text-gray-700 bg-white border border-gray-300 rounded-lg hover:bg-gray-50 transition-colors"
@@ -248,6 +515,37 @@ export default function Cases() {
         </div>
       </div>
 
+      {/* Import historical cases (managers) */}
+      {isManager && showImport && (
+        <CaseImportWizard
+          user={user}
+          onClose={() => setShowImport(false)}
+          onImported={fetchCases}
+        />
+      )}
+
+      {/* Export */}
+      {showExport && (
+        <ExportPanel
+          format={exportFormat}
+          columns={exportColumns}
+          exporting={exporting}
+          error={exportError}
+          onFormatChange={setExportFormat}
+          onColumnsChange={setExportColumns}
+          onExport={handleExport}
+        />
+      )}
+
+      {/* Team Workload (managers) */}
+      {isManager && showWorkload && (
+        <WorkloadPanel
+          workload={workload}
+          onSelectPerson={(id) => handleAssigneeFilter(id || 'unassigned')}
+          onOpenCase={(id) => navigate(`/cases/${id}`)}
+        />
+      )}
+
       {/* Status Filter Chips */}
       <div className="flex flex-wrap items-center gap-2">
         <Filter className="w-4 h-4 text-gray-400 mr-1" />
@@ -277,8 +575,172 @@ export default function Cases() {
             </button>
           );
         })}
+        <span className="mx-1 h-5 border-l border-gray-200" />
+        {[
+          { value: '', label: 'Everyone' },
+          { value: 'me', label: 'My Cases' },
+          { value: 'unassigned', label: 'Unassigned' },
+        ].map(({ value, label }) => (
+          <button
+            key={label}
+            onClick={() => handleAssigneeFilter(value)}
+            className={`inline-flex items-center gap-1 px-3 py-1.5 text-xs font-medium rounded-full border transition-colors ${
+              assigneeFilter === value
+                ? 'bg-blue-50 text-blue-700 border-blue-200'
+                : 'bg-white text-gray-600 border-gray-200 hover:border-gray-300'
+            }`}
+          >
+            {value === 'me' && <UserCheck className="w-3 h-3" />}
+            {label}
+          </button>
+        ))}
+        {assigneeFilter && !['me', 'unassigned'].includes(assigneeFilter) && (
+          <button
+            onClick={() => handleAssigneeFilter('')}
+            className="px-3 py-1.5 text-xs font-medium rounded-full border bg-blue-50 text-blue-700 border-blue-200"
+          >
+            {workload.find(w => w.user?.id === assigneeFilter)
+              ? personName(workload.find(w => w.user?.id === assigneeFilter).user)
+              : 'Selected person'}
+            {' \u00d7'}
+          </button>
+        )}
       </div>
 
+      {/* Bulk Actions Bar */}
+      {canAct && selected.length > 0 && (
+        <div className="flex flex-wrap items-center gap-3 bg-blue-50 border border-blue-200 rounded-lg px-4 py-3">
+          <span className="text-sm font-medium text-blue-900">
+            {allMatching
+              ? `All ${pagination.total} matching cases selected`
+              : `${selected.length} case${selected.length !== 1 ? 's' : ''} selected`}
+          </span>
+          {!allMatching && selected.length === cases.length && pagination.total > cases.length && (
+            <button onClick={() => setAllMatching(true)} className="text-sm font-medium text-blue-700 hover:underline">
+              Select all {pagination.total} matching
+            </button>
+          )}
+          <select
+            value={bulkAction}
+            onChange={(e) => setBulkAction(e.target.value)}
+            className="text-sm border border-gray-300 rounded-lg px-3 py-1.5 bg-white focus:outline-none focus:ring-2 focus:ring-blue-500"
+          >
+            <option value="">Bulk action…</option>
+            {BULK_ACTIONS.filter(a => isManager || !a.managerOnly).map(a => (
+              <option key={a.value} value={a.value}>{a.label}</option>
+            ))}
+          </select>
+          {bulkAction === 'change_status' && (
+            <select
+              value={bulkParams.status}
+              onChange={(e) => setBulkParams(prev => ({ ...prev, status: e.target.value }))}
+              className="text-sm border border-gray-300 rounded-lg px-3 py-1.5 bg-white focus:outline-none focus:ring-2 focus:ring-blue-500"
+            >
+              {Object.entries(STATUS_MAP).map(([key, cfg]) => (
+                <option key={key} value={key}>{cfg.label}</option>
+              ))}
+            </select>
+          )}
+          {bulkAction === 'accept_liability' && (
+            <label className="flex items-center gap-1.5 text-sm text-blue-900">
+              Up to $
+              <input
+                type="number"
+                min="1"
+                value={bulkParams.maxAmount}
+                onChange={(e) => setBulkParams(prev => ({ ...prev, maxAmount: e.target.value }))}
+                className="w-24 text-sm border border-gray-300 rounded-lg px-2 py-1.5 bg-white focus:outline-none focus:ring-2 focus:ring-blue-500"
+              />
+            </label>
+          )}
+          {bulkAction === 'accept_liability' && (
+            <select
+              value={bulkParams.reason}
+              onChange={(e) => setBulkParams(prev => ({ ...prev, reason: e.target.value }))}
+              className="text-sm border border-gray-300 rounded-lg px-3 py-1.5 bg-white focus:outline-none focus:ring-2 focus:ring-blue-500"
+            >
+              {BULK_LIABILITY_REASONS.map(r => (
+                <option key={r.value} value={r.value}>{r.label}</option>
+              ))}
+            </select>
+          )}
+          {bulkAction === 'submit' && (
+            <input
+              type="number"
+              min="0"
+              max="100"
+              placeholder="Min score (default threshold)"
+              value={bulkParams.minScore}
+              onChange={(e) => setBulkParams(prev => ({ ...prev, minScore: e.target.value }))}
+              className="w-56 text-sm border border-gray-300 rounded-lg px-2 py-1.5 bg-white focus:outline-none focus:ring-2 focus:ring-blue-500"
+            />
+          )}
+          <button
+            onClick={handleBulkAction}
+            disabled={!bulkAction || (bulkJob && !['completed', 'failed'].includes(bulkJob.state))}
+            className="inline-flex items-center gap-1.5 px-3 py-1.5 text-sm font-medium text-white bg-blue-600 rounded-lg hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            <Layers className="w-4 h-4" />
+            Run
+          </button>
+          {isManager && (
+            <>
+              <span className="h-5 border-l border-blue-200" />
+              <select
+                value={reassignTo}
+                onChange={(e) => setReassignTo(e.target.value)}
+                className="text-sm border border-gray-300 rounded-lg px-3 py-1.5 bg-white focus:outline-none focus:ring-2 focus:ring-blue-500"
+              >
+                <option value="">Reassign to…</option>
+                {workload.filter(w => w.user).map(w => (
+                  <option key={w.user.id} value={w.user.id}>
+                    {personName(w.user)} ({w.openCases} open)
+                  </option>
+                ))}
+                <option value="unassigned">Unassigned</option>
+              </select>
+              <button
+                onClick={handleBulkReassign}
+                disabled={!reassignTo || reassigning}
+                className="px-3 py-1.5 text-sm font-medium text-white bg-blue-600 rounded-lg hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                {reassigning ? 'Reassigning…' : 'Reassign'}
+              </button>
+            </>
+          )}
+          <button
+            onClick={clearSelection}
+            className="text-sm text-blue-700 hover:text-blue-900"
+          >
+            Clear
+          </button>
+        </div>
+      )}
+      {bulkError && (
+        <div className="flex items-center gap-3 rounded-lg px-4 py-3 border text-sm bg-red-50 border-red-200 text-red-700">
+          <span>{bulkError}</span>
+          <button onClick={() => setBulkError(null)} className="ml-auto text-xs font-medium hover:underline">
+            Dismiss
+          </button>
+        </div>
+      )}
+      {bulkJob && (
+        <BulkJobPanel job={bulkJob} onOpenCase={(id) => navigate(`/cases/${id}`)} onDismiss={() => setBulkJob(null)} />
+      )}
+      {reassignResult && (
+        <div className={`flex items-center gap-3 rounded-lg px-4 py-3 border text-sm ${
+          reassignResult.failed?.length ? 'bg-amber-50 border-amber-200 text-amber-800' : 'bg-green-50 border-green-200 text-green-800'
+        }`}>
+          <span>
+            {reassignResult.message}
+            {reassignResult.failed?.length ? ` \u00b7 ${reassignResult.failed.length} could not be reassigned` : ''}
+          </span>
+          <button onClick={() => setReassignResult(null)} className="ml-auto text-xs font-medium hover:underline">
+            Dismiss
+          </button>
+        </div>
+      )}
+
       {/* Search Bar */}
       <form onSubmit={handleSearch} className="flex gap-3">
         <div className="relative flex-1">
@@ -324,6 +786,8 @@ export default function Cases() {
             <p className="mt-2 text-sm text-gray-500">
               {statusFilter
                 ? `No ${STATUS_MAP[statusFilter]?.label || ''} cases. Try removing the filter.`
+                : assigneeFilter
+                ? 'No cases for this owner. Try Everyone.'
                 : search
                 ? 'No cases match your search. Try different keywords.'
                 : 'No chargeback cases received yet. Cases appear here automatically when disputes are filed.'}
@@ -335,6 +799,20 @@ export default function Cases() {
               <table className="min-w-full divide-y divide-gray-100">
                 <thead>
                   <tr className="bg-gray-50/80">
+                    {canAct && (
+                      <th className="pl-5 py-3 w-4">
+                        <input
+                          type="checkbox"
+                          aria-label="Select all cases"
+                          checked={cases.length > 0 && selected.length === cases.length}
+                          onChange={(e) => {
+                            setAllMatching(false);
+                            setSelected(e.target.checked ? cases.map(c => c.id) : []);
+                          }}
+                          className="rounded border-gray-300 text-blue-600 focus:ring-blue-500"
+                        />
+                      </th>
+                    )}
                     <SortableHeader label="Case" field="caseNumber" sortBy={sortBy} sortOrder={sortOrder} onClick={handleSort} />
                     <SortableHeader label="Guest" field="guestName" sortBy={sortBy} sortOrder={sortOrder} onClick={handleSort} />
                     <SortableHeader label="Amount" field="amount" sortBy={sortBy} sortOrder={sortOrder} onClick={handleSort} />
@@ -351,6 +829,9 @@ export default function Cases() {
                     <th className="px-5 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
                       Deadline
                     </th>
+                    <th className="px-5 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                      Owner
+                    </th>
                     <th className="px-5 py-3" />
                   </tr>
                 </thead>
@@ -364,6 +845,17 @@ export default function Cases() {
                         className={`hover:bg-gray-50/80 transition-colors cursor-pointer ${isUrgent ? 'bg-red-50/30' : ''}`}
                         onClick={() => navigate(`/cases/${c.id}`)}
                       >
+                        {canAct && (
+                          <td className="pl-5 py-3.5" onClick={(e) => e.stopPropagation()}>
+                            <input
+                              type="checkbox"
+                              aria-label={`Select ${c.caseNumber || c.id}`}
+                              checked={selected.includes(c.id)}
+                              onChange={() => toggleSelected(c.id)}
+                              className="rounded border-gray-300 text-blue-600 focus:ring-blue-500"
+                            />
+                          </td>
+                        )}
                         <td className="px-5 py-3.5 whitespace-nowrap">
                           <div className="text-sm font-mono font-medium text-gray-900">
                             {c.caseNumber || c.id}
@@ -433,6 +925,11 @@ export default function Cases() {
                             <span className="text-xs text-gray-400">--</span>
                           )}
                         </td>
+                        <td className="px-5 py-3.5 whitespace-nowrap">
+                          <span className={`text-xs ${c.assignee ? 'font-medium text-gray-700' : 'text-gray-400'}`}>
+                            {c.assignee?.id === user?.id ? 'You' : personName(c.assignee)}
+                          </span>
+                        </td>
                         <td className="px-5 py-3.5 text-right">
                           <ArrowUpRight className="w-4 h-4 text-gray-400" />
                         </td>
@@ -502,6 +999,199 @@ export default function Cases() {
   );
 }
 
+// ─── Workload Panel Component ───────────────────────────────────────────
+function WorkloadPanel({ workload, onSelectPerson, onOpenCase }) {
+  if (workload.length === 0) {
+    return (
+      <div className="bg-white rounded-xl border border-gray-200 p-6 text-center text-sm text-gray-500">
+        No open cases to balance.
+      </div>
+    );
+  }
+
+  const maxOpen = Math.max(...workload.map(w => w.openCases), 1);
+
+  return (
+    <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-3">
+      {workload.map((w) => (
+        <div key={w.user?.id || 'unassigned'} className="bg-white rounded-xl border border-gray-200 p-4">
+          <button
+            onClick={() => onSelectPerson(w.user?.id)}
+            className="w-full text-left"
+          >
+            <div className="flex items-center justify-between">
+              <p className={`text-sm font-semibold ${w.user ? 'text-gray-900' : 'text-gray-500 italic'}`}>
+                {personName(w.user)}
+              </p>
+              <span className="text-xs text-gray-400">{w.user?.role || ''}</span>
+            </div>
+            <div className="mt-2 h-1.5 bg-gray-100 rounded-full overflow-hidden">
+              <div className="h-full bg-blue-500 rounded-full" style={{ width: `${(w.openCases / maxOpen) * 100}%` }} />
+            </div>
+            <div className="mt-3 grid grid-cols-3 gap-2 text-center">
+              <div>
+                <p className="text-lg font-bold text-gray-900">{w.openCases}</p>
+                <p className="text-[10px] uppercase tracking-wider text-gray-500">Open</p>
+              </div>
+              <div>
+                <p className={`text-lg font-bold ${w.dueSoon > 0 ? 'text-amber-600' : 'text-gray-900'}`}>{w.dueSoon}</p>
+                <p className="text-[10px] uppercase tracking-wider text-gray-500">Due 7d</p>
+              </div>
+              <div>
+                <p className={`text-lg font-bold ${w.overdue > 0 ? 'text-red-600' : 'text-gray-900'}`}>{w.overdue}</p>
+                <p className="text-[10px] uppercase tracking-wider text-gray-500">Overdue</p>
+              </div>
+            </div>
+          </button>
+          {w.upcoming.length > 0 && (
+            <ul className="mt-3 pt-3 border-t border-gray-100 space-y-1.5">
+              {w.upcoming.slice(0, 3).map((c) => {
+                const dl = daysLeft(c.dueDate);
+                return (
+                  <li key={c.id}>
+                    <button
+                      onClick={() => onOpenCase(c.id)}
+                      className="w-full flex items-center justify-between text-xs hover:bg-gray-50 rounded px-1 py-0.5"
+                    >
+                      <span className="font-mono text-gray-700">{c.caseNumber}</span>
+                      <span className={dl < 0 ? 'text-red-600 font-medium' : dl <= 3 ? 'text-red-600' : dl <= 7 ? 'text-amber-600' : 'text-gray-500'}>
+                        {dl < 0 ? 'Overdue' : dl === 0 ? 'Due today' : `${dl}d left`}
+                      </span>
+                    </button>
+                  </li>
+                );
+              })}
+            </ul>
+          )}
+        </div>
+      ))}
+    </div>
+  );
+}
+
+// ─── Export Panel Component ─────────────────────────────────────────────
+function ExportPanel({ format, columns, exporting, error, onFormatChange, onColumnsChange, onExport }) {
+  function toggleColumn(key) {
+    onColumnsChange(columns.includes(key) ? columns.filter(k => k !== key) : [...columns, key]);
+  }
+
+  return (
+    <div className="bg-white rounded-xl border border-gray-200 p-4">
+      <div className="flex flex-wrap items-center justify-between gap-3">
+        <div>
+          <p className="text-sm font-semibold text-gray-900">Export cases</p>
+          <p className="text-xs text-gray-500">Every case matching the current filters, in the current sort order.</p>
+        </div>
+        <div className="flex items-center gap-2">
+          {[['csv', 'CSV'], ['xlsx', 'Excel']].map(([value, label]) => (
+            <button
+              key={value}
+              onClick={() => onFormatChange(value)}
+              className={`px-3 py-1.5 text-xs font-medium rounded-lg border transition-colors ${
+                format === value
+                  ? 'bg-blue-50 text-blue-700 border-blue-200'
+                  : 'text-gray-600 bg-white border-gray-200 hover:bg-gray-50'
+              }`}
+            >
+              {label}
+            </button>
+          ))}
+          <button
+            onClick={onExport}
+            disabled={exporting || columns.length === 0}
+            className="inline-flex items-center gap-2 px-4 py-1.5 text-sm font-medium text-white bg-blue-600 rounded-lg hover:bg-blue-700 disabled:opacity-50"
+          >
+            <Download className="w-4 h-4" />
+            {exporting ? 'Exporting...' : 'Download'}
+          </button>
+        </div>
+      </div>
+      <div className="mt-3 pt-3 border-t border-gray-100">
+        <div className="flex items-center gap-3 mb-2 text-xs">
+          <span className="text-gray-500">{columns.length} of {EXPORT_COLUMNS.length} columns</span>
+          <button onClick={() => onColumnsChange(EXPORT_COLUMNS.map(c => c.key))} className="font-medium text-blue-600 hover:underline">
+            All
+          </button>
+          <button onClick={() => onColumnsChange(DEFAULT_EXPORT_COLUMNS)} className="font-medium text-blue-600 hover:underline">
+            Reconciliation defaults
+          </button>
+        </div>
+        <div className="grid grid-cols-2 md:grid-cols-3 lg:grid-cols-5 gap-x-4 gap-y-1.5">
+          {EXPORT_COLUMNS.map((c) => (
+            <label key={c.key} className="flex items-center gap-2 text-xs text-gray-700">
+              <input
+                type="checkbox"
+                checked={columns.includes(c.key)}
+                onChange={() => toggleColumn(c.key)}
+                className="w-3.5 h-3.5 rounded border-gray-300 text-blue-600 focus:ring-blue-500"
+              />
+              {c.label}
+            </label>
+          ))}
+        </div>
+      </div>
+      {error && <p className="mt-2 text-xs text-red-600">{error}</p>}
+    </div>
+  );
+}
+
+// ─── Bulk Job Panel Component ───────────────────────────────────────────
+function BulkJobPanel({ job, onOpenCase, onDismiss }) {
+  const finished = ['completed', 'failed'].includes(job.state);
+  const pct = job.total ? Math.round((job.processed / job.total) * 100) : 0;
+
+  return (
+    <div className="bg-white rounded-xl border border-gray-200 p-4">
+      <div className="flex items-center justify-between gap-3">
+        <div className="flex items-center gap-2">
+          <Layers className="w-4 h-4 text-blue-600" />
+          <p className="text-sm font-semibold text-gray-900">{job.label}</p>
+          <span className="text-xs text-gray-500">
+            {job.state === 'failed'
+              ? 'Failed'
+              : finished
+              ? 'Finished'
+              : `${job.processed} of ${job.total} cases`}
+          </span>
+        </div>
+        {finished && (
+          <button onClick={onDismiss} className="text-xs font-medium text-gray-500 hover:underline">
+            Dismiss
+          </button>
+        )}
+      </div>
+      <div className="mt-3 h-1.5 bg-gray-100 rounded-full overflow-hidden">
+        <div
+          className={`h-full rounded-full transition-all ${job.state === 'failed' ? 'bg-red-500' : 'bg-blue-500'}`}
+          style={{ width: `${finished ? 100 : pct}%` }}
+        />
+      </div>
+      <div className="mt-2 flex gap-4 text-xs">
+        <span className="text-green-700">{job.succeeded} succeeded</span>
+        <span className="text-gray-500">{job.skipped} skipped</span>
+        <span className={job.failed > 0 ? 'text-red-600' : 'text-gray-500'}>{job.failed} failed</span>
+      </div>
+      {job.error && <p className="mt-2 text-xs text-red-600">{job.error}</p>}
+      {job.results.length > 0 && (
+        <ul className="mt-3 pt-3 border-t border-gray-100 max-h-48 overflow-y-auto space-y-1">
+          {job.results.map((r) => (
+            <li key={r.caseId} className="flex items-center gap-3 text-xs">
+              <button
+                onClick={() => onOpenCase(r.caseId)}
+                className="font-mono text-gray-700 hover:underline w-28 text-left"
+              >
+                {r.caseNumber || r.caseId}
+              </button>
+              <span className={`w-16 font-medium capitalize ${BULK_OUTCOME_STYLES[r.outcome]}`}>{r.outcome}</span>
+              <span className="text-gray-500 truncate">{r.message}</span>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
+
 // ─── Sortable Header Component ──────────────────────────────────────────
 function SortableHeader({ label, field, sortBy, sortOrder, onClick }) {
   const active = sortBy === field;
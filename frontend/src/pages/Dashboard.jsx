@@ -185,6 +185,7 @@ export default function Dashboard() {
   const pmsStatus = dashboardData?.pmsStatus;
   const evidenceSummary = dashboardData?.evidenceSummary;
   const statusBreakdown = dashboardData?.statusBreakdown || {};
+  const outcomes = dashboardData?.outcomes || {};
 
   const firstName = user?.name?.split(' ')[0] || user?.email?.split('@')[0] || 'User';
 
@@ -283,7 +284,7 @@ export default function Dashboard() {
         <KPICard
           title="Win Rate"
           value={`${summary.winRate ?? 0}%`}
-          subtitle={`${statusBreakdown.WON?.count ?? 0} won out of ${summary.totalCases ?? 0}`}
+          subtitle={`${outcomes.won ?? 0} won of ${(outcomes.won ?? 0) + (outcomes.lostAfterFighting ?? 0)} fought`}
           icon={Shield}
           color="emerald"
         />
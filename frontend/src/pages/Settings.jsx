@@ -45,7 +45,11 @@ import {
   Edit3,
   BarChart3,
   HardDrive,
-  Zap
+  Zap,
+  Scale,
+  History,
+  RotateCcw,
+  FlaskConical
 } from 'lucide-react';
 import { api } from '../utils/api';
 import { useAuth } from '../hooks/useAuth';
@@ -57,6 +61,7 @@ import { useAuth } from '../hooks/useAuth';
 const TABS = [
   { id: 'general', label: 'General', icon: Building2 },
   { id: 'notifications', label: 'Notifications', icon: Bell },
+  { id: 'reports', label: 'Email Reports', icon: Mail },
   { id: 'ai-defense', label: 'AI Defense', icon: Brain },
   { id: 'integrations', label: 'Integrations', icon: Link2 },
   { id: 'users', label: 'User Management', icon: Users },
@@ -64,6 +69,19 @@ const TABS = [
   { id: 'security', label: 'Security', icon: Lock },
 ];
 
+const WEEKDAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+const EMPTY_REPORT = {
+  name: '',
+  recipients: '',
+  cadence: 'WEEKLY',
+  sendDay: 1,
+  propertyIds: [],
+  sections: null, // all sections
+  attachPdf: true,
+  isActive: true,
+};
+
 const TIMEZONES = [
   'America/New_York',
   'America/Chicago',
@@ -471,22 +489,47 @@ function NotificationsTab() {
     weeklyDigest: true,
     monthlyReport: true,
   });
-  const [deadlineWarningDays, setDeadlineWarningDays] = useState(5);
+  const [warningOffsets, setWarningOffsets] = useState('7, 3, 1');
+  const [offsetsError, setOffsetsError] = useState('');
+  const [calendarLink, setCalendarLink] = useState(null);
+  const [linkCopied, setLinkCopied] = useState(false);
   const [saving, setSaving] = useState(false);
   const [saved, setSaved] = useState(false);
 
+  useEffect(() => {
+    api.get('/admin/settings/deadlines')
+      .then((data) => setWarningOffsets(data.settings.warningOffsets.join(', ')))
+      .catch(() => {});
+    api.get('/deadlines/calendar-link')
+      .then(setCalendarLink)
+      .catch(() => {});
+  }, []);
+
   const togglePref = (key) => {
     setPrefs((prev) => ({ ...prev, [key]: !prev[key] }));
     setSaved(false);
   };
 
+  const handleCopyLink = () => {
+    navigator.clipboard?.writeText(calendarLink.url);
+    setLinkCopied(true);
+    setTimeout(() => setLinkCopied(false), 2000);
+  };
+
   const handleSave = async () => {
+    const offsets = [...new Set(warningOffsets.split(',').map((v) => v.trim()).filter(Boolean).map(Number))];
+    if (offsets.length === 0 || offsets.some((d) => !Number.isInteger(d) || d < 1 || d > 60)) {
+      setOffsetsError('Enter whole numbers of days between 1 and 60, separated by commas');
+      return;
+    }
+    setOffsetsError('');
     setSaving(true);
     try {
-      await api.put('/admin/settings/notifications', {
-        ...prefs,
-        deadlineWarningDays,
-      });
+      await Promise.all([
+        api.put('/admin/settings/notifications', prefs),
+        api.put('/admin/settings/deadlines', { warningOffsets: offsets }),
+      ]);
+      setWarningOffsets(offsets.sort((a, b) => b - a).join(', '));
     } catch (err) {
       // Demo mode
     }
@@ -545,31 +588,64 @@ function NotificationsTab() {
         </div>
       </SectionCard>
 
-      <SectionCard title="Threshold Settings" description="Configure alert timing" icon={Clock}>
+      <SectionCard title="Deadline Warnings" description="When to warn about response deadlines" icon={Clock}>
         <div className="max-w-sm">
           <label className="block text-sm font-medium text-gray-700 mb-1.5">
-            Days Before Deadline Warning
+            Warn Before Deadline
           </label>
           <div className="flex items-center gap-3">
             <input
-              type="number"
-              min={1}
-              max={30}
-              value={deadlineWarningDays}
+              type="text"
+              value={warningOffsets}
               onChange={(e) => {
-                setDeadlineWarningDays(parseInt(e.target.value) || 1);
+                setWarningOffsets(e.target.value);
                 setSaved(false);
               }}
-              className="block w-24 rounded-lg border border-gray-300 shadow-sm focus:ring-2 focus:ring-blue-500 focus:border-blue-500 text-sm px-3 py-2.5"
+              placeholder="7, 3, 1"
+              className="block w-32 rounded-lg border border-gray-300 shadow-sm focus:ring-2 focus:ring-blue-500 focus:border-blue-500 text-sm px-3 py-2.5"
             />
             <span className="text-sm text-gray-500">days before response deadline</span>
           </div>
-          <p className="mt-2 text-xs text-gray-500">
-            You will be alerted this many days before a dispute response is due
-          </p>
+          {offsetsError ? (
+            <p className="mt-2 text-xs text-red-600">{offsetsError}</p>
+          ) : (
+            <p className="mt-2 text-xs text-gray-500">
+              A deadline warning is sent as each case passes each of these points
+            </p>
+          )}
         </div>
       </SectionCard>
 
+      {calendarLink && (
+        <SectionCard title="Deadline Calendar" description="Subscribe to your case deadlines from any calendar app" icon={Calendar}>
+          <div className="space-y-3">
+            <div className="flex items-center gap-2">
+              <input
+                type="text"
+                readOnly
+                value={calendarLink.url}
+                className="block w-full rounded-lg border border-gray-300 bg-gray-50 text-sm px-3 py-2.5 font-mono text-gray-700"
+              />
+              <button
+                onClick={handleCopyLink}
+                className="p-2.5 border border-gray-300 rounded-lg hover:bg-gray-50 transition-colors"
+                title="Copy link"
+              >
+                {linkCopied ? <CheckCircle className="w-4 h-4 text-green-600" /> : <Copy className="w-4 h-4 text-gray-500" />}
+              </button>
+              <a
+                href={calendarLink.webcalUrl}
+                className="inline-flex items-center gap-1.5 px-3 py-2.5 text-sm font-medium bg-blue-600 text-white rounded-lg hover:bg-blue-700 whitespace-nowrap"
+              >
+                <Calendar className="w-4 h-4" />
+                Subscribe
+              </a>
+            </div>
+            <p className="text-xs text-gray-500">{calendarLink.instructions}</p>
+          </div>
+        </SectionCard>
+      )}
+
       <div className="flex justify-end">
         <SaveButton onClick={handleSave} loading={saving} saved={saved} />
       </div>
@@ -577,6 +653,529 @@ function NotificationsTab() {
   );
 }
 
+const CARD_NETWORK_LABELS = { VISA: 'Visa', MASTERCARD: 'Mastercard', AMEX: 'Amex', DISCOVER: 'Discover' };
+
+const THRESHOLD_FIELDS = [
+  { key: 'autoSubmit', label: 'Auto-Submit' },
+  { key: 'review', label: 'Review' },
+  { key: 'gatherMoreEvidence', label: 'Gather Evidence' },
+];
+
+const OPERATOR_LABELS = {
+  eq: 'equals', neq: 'does not equal', gt: '>', gte: '>=', lt: '<', lte: '<=',
+  in: 'is one of', notIn: 'is not one of', contains: 'contains', exists: 'is present',
+};
+
+const EMPTY_CUSTOM_RULE = { id: '', label: '', points: -5, fact: 'bookingLeadHours', operator: 'lt', value: '24' };
+
+function NumberCell({ value, placeholder, onChange, min = 0, max = 100 }) {
+  return (
+    <input
+      type="number"
+      min={min}
+      max={max}
+      value={value ?? ''}
+      placeholder={placeholder}
+      onChange={(e) => onChange(e.target.value === '' ? undefined : Number(e.target.value))}
+      className="block w-20 rounded-lg border border-gray-300 shadow-sm focus:ring-2 focus:ring-blue-500 focus:border-blue-500 text-sm px-2 py-1.5"
+    />
+  );
+}
+
+const RECOMMENDATION_LABELS = {
+  AUTO_SUBMIT: 'Auto-Submit',
+  REVIEW_RECOMMENDED: 'Review',
+  GATHER_MORE_EVIDENCE: 'Gather Evidence',
+  UNLIKELY_TO_WIN: 'Unlikely to Win',
+};
+
+function formatRatio(value) {
+  return value === null || value === undefined ? '—' : `${Math.round(value * 100)}%`;
+}
+
+function BacktestResults({ result }) {
+  const sides = [
+    { key: 'baseline', label: `Live (v${result.baseline.version})` },
+    { key: 'candidate', label: 'Candidate' },
+  ];
+
+  const metric = (label, field) => (
+    <tr key={label}>
+      <td className="py-2 pr-4 text-gray-600">{label}</td>
+      {sides.map((side) => (
+        <td key={side.key} className="py-2 pr-4 font-medium text-gray-900">
+          {field(result[side.key])}
+        </td>
+      ))}
+    </tr>
+  );
+
+  return (
+    <div className="space-y-5">
+      <p className="text-sm text-gray-600">
+        Re-scored {result.cases.total} resolved cases ({result.cases.won} won, {result.cases.lost} lost).{' '}
+        {result.changes.upgraded} moved up, {result.changes.downgraded} moved down, {result.changes.unchanged} unchanged.
+        {result.isDemo && ' (Demo data)'}
+      </p>
+
+      <table className="text-sm">
+        <thead>
+          <tr className="text-left text-xs text-gray-500 uppercase">
+            <th className="py-2 pr-4">Metric</th>
+            {sides.map((side) => <th key={side.key} className="py-2 pr-4">{side.label}</th>)}
+          </tr>
+        </thead>
+        <tbody className="divide-y divide-gray-100">
+          {metric('Auto-Submit precision', (r) => formatRatio(r.autoSubmit.precision))}
+          {metric('Auto-Submit recall', (r) => formatRatio(r.autoSubmit.recall))}
+          {metric('Avg score (won)', (r) => r.averageScore.WON ?? '—')}
+          {metric('Avg score (lost)', (r) => r.averageScore.LOST ?? '—')}
+        </tbody>
+      </table>
+
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+        {sides.map((side) => (
+          <div key={side.key}>
+            <p className="text-sm font-medium text-gray-700 mb-2">{side.label}: outcome by recommendation</p>
+            <table className="min-w-full text-sm border border-gray-100 rounded-lg">
+              <thead>
+                <tr className="text-left text-xs text-gray-500 uppercase bg-gray-50">
+                  <th className="py-2 px-3">Bucket</th>
+                  <th className="py-2 px-3">Won</th>
+                  <th className="py-2 px-3">Lost</th>
+                  <th className="py-2 px-3">Win Rate</th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-100">
+                {Object.entries(result[side.key].confusionMatrix).map(([bucket, counts]) => (
+                  <tr key={bucket}>
+                    <td className="py-2 px-3 text-gray-900">{RECOMMENDATION_LABELS[bucket] || bucket}</td>
+                    <td className="py-2 px-3 text-green-700">{counts.WON}</td>
+                    <td className="py-2 px-3 text-red-700">{counts.LOST}</td>
+                    <td className="py-2 px-3">{formatRatio(counts.winRate)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        ))}
+      </div>
+
+      <div>
+        <p className="text-sm font-medium text-gray-700 mb-2">Rules that moved the most cases</p>
+        {result.ruleImpact.length === 0 ? (
+          <p className="text-xs text-gray-500">No rule contributions changed.</p>
+        ) : (
+          <table className="min-w-full text-sm">
+            <thead>
+              <tr className="text-left text-xs text-gray-500 uppercase">
+                <th className="py-2 pr-4">Rule</th>
+                <th className="py-2 pr-4">Cases Moved</th>
+                <th className="py-2 pr-4">Cases Affected</th>
+                <th className="py-2 pr-4">Point Change</th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-100">
+              {result.ruleImpact.slice(0, 10).map((impact) => (
+                <tr key={impact.rule}>
+                  <td className="py-2 pr-4 text-gray-900">{impact.label || impact.rule}</td>
+                  <td className="py-2 pr-4 font-medium">{impact.casesMoved}</td>
+                  <td className="py-2 pr-4">{impact.casesAffected}</td>
+                  <td className={`py-2 pr-4 ${impact.totalPointDelta >= 0 ? 'text-green-700' : 'text-red-700'}`}>
+                    {impact.totalPointDelta > 0 ? '+' : ''}{impact.totalPointDelta}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </div>
+    </div>
+  );
+}
+
+function ScoringRulesSection() {
+  const [catalog, setCatalog] = useState(null);
+  const [active, setActive] = useState(null);
+  const [ruleSet, setRuleSet] = useState(null);
+  const [versions, setVersions] = useState([]);
+  const [properties, setProperties] = useState([]);
+  const [scope, setScope] = useState('global');
+  const [note, setNote] = useState('');
+  const [newRule, setNewRule] = useState(EMPTY_CUSTOM_RULE);
+  const [errors, setErrors] = useState([]);
+  const [saving, setSaving] = useState(false);
+  const [saved, setSaved] = useState(false);
+  const [backtest, setBacktest] = useState(null);
+  const [backtesting, setBacktesting] = useState(false);
+
+  const load = useCallback(async () => {
+    try {
+      const [rules, history, props] = await Promise.all([
+        api.get('/admin/settings/ai-defense/rules'),
+        api.get('/admin/settings/ai-defense/rules/versions'),
+        api.get('/admin/properties').catch(() => ({ properties: [] })),
+      ]);
+      setCatalog(rules);
+      setActive(rules.active);
+      setRuleSet(JSON.parse(JSON.stringify(rules.active.ruleSet)));
+      setVersions(history.versions || []);
+      setProperties(props.properties || []);
+    } catch (err) {
+      // Demo mode - editor stays hidden
+    }
+  }, []);
+
+  useEffect(() => { load(); }, [load]);
+
+  if (!catalog || !ruleSet) {
+    return (
+      <SectionCard title="Scoring Rules" description="Loading rule set..." icon={Scale}>
+        <Loader2 className="w-5 h-5 animate-spin text-gray-400" />
+      </SectionCard>
+    );
+  }
+
+  const isGlobal = scope === 'global';
+  const override = isGlobal ? ruleSet : (ruleSet.properties?.[scope] || {});
+
+  const updateScope = (updater) => {
+    setSaved(false);
+    setRuleSet((prev) => {
+      const next = JSON.parse(JSON.stringify(prev));
+      if (isGlobal) return updater(next);
+      next.properties = next.properties || {};
+      next.properties[scope] = updater(next.properties[scope] || {});
+      return next;
+    });
+  };
+
+  const setThreshold = (network, key, value) => updateScope((target) => {
+    if (network) {
+      target.networkThresholds = target.networkThresholds || {};
+      target.networkThresholds[network] = { ...(target.networkThresholds[network] || {}), [key]: value };
+      if (value === undefined) delete target.networkThresholds[network][key];
+    } else {
+      target.thresholds = { ...(target.thresholds || {}), [key]: value };
+      if (value === undefined) delete target.thresholds[key];
+    }
+    return target;
+  });
+
+  const setRule = (id, field, value) => updateScope((target) => {
+    target.rules = target.rules || {};
+    target.rules[id] = { ...(target.rules[id] || {}), [field]: value };
+    if (value === undefined) delete target.rules[id][field];
+    return target;
+  });
+
+  const addCustomRule = () => {
+    const id = (newRule.id || newRule.label).toUpperCase().replace(/[^A-Z0-9]+/g, '_').replace(/^_|_$/g, '');
+    const numericFact = catalog.facts[newRule.fact]?.type === 'number';
+    const value = ['in', 'notIn'].includes(newRule.operator)
+      ? newRule.value.split(',').map((v) => v.trim()).filter(Boolean)
+      : numericFact ? Number(newRule.value) : newRule.value;
+
+    updateScope((target) => {
+      target.customRules = [
+        ...(target.customRules || []),
+        {
+          id,
+          label: newRule.label,
+          points: Number(newRule.points),
+          enabled: true,
+          conditions: [{ fact: newRule.fact, operator: newRule.operator, value }],
+        },
+      ];
+      return target;
+    });
+    setNewRule(EMPTY_CUSTOM_RULE);
+  };
+
+  const removeCustomRule = (id) => updateScope((target) => {
+    target.customRules = (target.customRules || []).filter((r) => r.id !== id);
+    return target;
+  });
+
+  const handleSave = async () => {
+    setSaving(true);
+    setErrors([]);
+    try {
+      const result = await api.put('/admin/settings/ai-defense/rules', { ruleSet, note });
+      if (result.active) setActive(result.active);
+      setNote('');
+      setSaved(true);
+      await load();
+    } catch (err) {
+      setErrors(err.details || [{ path: [], message: err.message || 'Failed to save scoring rules' }]);
+    }
+    setSaving(false);
+  };
+
+  const handleBacktest = async () => {
+    setBacktesting(true);
+    setErrors([]);
+    try {
+      setBacktest(await api.post('/admin/settings/ai-defense/rules/backtest', { ruleSet }));
+    } catch (err) {
+      setErrors(err.details || [{ path: [], message: err.message || 'Failed to run backtest' }]);
+    }
+    setBacktesting(false);
+  };
+
+  const handleRestore = async (version) => {
+    try {
+      await api.post(`/admin/settings/ai-defense/rules/versions/${version}/activate`);
+      await load();
+    } catch (err) {
+      setErrors([{ path: [], message: err.message || 'Failed to restore version' }]);
+    }
+  };
+
+  const inherited = (network, key) => {
+    const globalValue = ruleSet.networkThresholds?.[network]?.[key] ?? ruleSet.thresholds?.[key];
+    return String(globalValue ?? catalog.defaults.thresholds[key]);
+  };
+
+  return (
+    <>
+      <SectionCard
+        title="Scoring Rules"
+        description={`Point weights, custom rules and thresholds · live version v${active.version}${active.isDefault ? ' (built-in defaults)' : ''}`}
+        icon={Scale}
+      >
+        <div className="space-y-6">
+          <div className="flex flex-wrap items-end gap-4">
+            <div className="w-64">
+              <SelectField
+                label="Scope"
+                value={scope}
+                onChange={setScope}
+                options={[
+                  { value: 'global', label: 'All properties (default)' },
+                  ...properties.map((p) => ({ value: p.id, label: p.name })),
+                ]}
+                helpText={isGlobal ? 'Applies unless a property overrides it' : 'Empty fields inherit the default'}
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1.5">Base Score</label>
+              <NumberCell
+                value={override.baseScore}
+                placeholder={String(ruleSet.baseScore ?? catalog.defaults.baseScore)}
+                onChange={(v) => updateScope((target) => ({ ...target, baseScore: v }))}
+              />
+            </div>
+          </div>
+
+          <div>
+            <p className="text-sm font-medium text-gray-700 mb-2">Recommendation Thresholds</p>
+            <div className="overflow-x-auto">
+              <table className="min-w-full text-sm">
+                <thead>
+                  <tr className="text-left text-xs text-gray-500 uppercase">
+                    <th className="py-2 pr-4">Card Network</th>
+                    {THRESHOLD_FIELDS.map((f) => <th key={f.key} className="py-2 pr-4">{f.label}</th>)}
+                  </tr>
+                </thead>
+                <tbody className="divide-y divide-gray-100">
+                  {[null, ...catalog.cardNetworks].map((network) => (
+                    <tr key={network || 'all'}>
+                      <td className="py-2 pr-4 font-medium text-gray-900">{network ? CARD_NETWORK_LABELS[network] || network : 'All networks'}</td>
+                      {THRESHOLD_FIELDS.map((f) => (
+                        <td key={f.key} className="py-2 pr-4">
+                          <NumberCell
+                            value={network ? override.networkThresholds?.[network]?.[f.key] : override.thresholds?.[f.key]}
+                            placeholder={network || !isGlobal ? inherited(network, f.key) : String(catalog.defaults.thresholds[f.key])}
+                            onChange={(v) => setThreshold(network, f.key, v)}
+                          />
+                        </td>
+                      ))}
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </div>
+
+          <div>
+            <p className="text-sm font-medium text-gray-700 mb-2">Rule Weights</p>
+            <div className="max-h-96 overflow-y-auto border border-gray-100 rounded-lg">
+              <table className="min-w-full text-sm">
+                <tbody className="divide-y divide-gray-100">
+                  {Object.entries(catalog.builtInRules).map(([id, rule]) => {
+                    const current = override.rules?.[id] || {};
+                    const fallback = ruleSet.rules?.[id] || {};
+                    const enabled = current.enabled ?? (isGlobal ? true : fallback.enabled ?? true);
+                    return (
+                      <tr key={id} className={enabled ? '' : 'opacity-50'}>
+                        <td className="py-2 px-3">
+                          <p className="font-medium text-gray-900">{rule.label}</p>
+                          <p className="text-xs text-gray-500">{rule.description}</p>
+                        </td>
+                        <td className="py-2 px-3">
+                          <NumberCell
+                            min={-100}
+                            value={current.points}
+                            placeholder={String(fallback.points ?? rule.points)}
+                            onChange={(v) => setRule(id, 'points', v)}
+                          />
+                        </td>
+                        {rule.threshold !== undefined && (
+                          <td className="py-2 px-3 text-xs text-gray-500">
+                            above $
+                            <NumberCell
+                              max={1000000}
+                              value={current.threshold}
+                              placeholder={String(fallback.threshold ?? rule.threshold)}
+                              onChange={(v) => setRule(id, 'threshold', v)}
+                            />
+                          </td>
+                        )}
+                        <td className="py-2 px-3" colSpan={rule.threshold !== undefined ? 1 : 2}>
+                          <button
+                            type="button"
+                            onClick={() => setRule(id, 'enabled', !enabled)}
+                            className="text-gray-500 hover:text-gray-700"
+                            title={enabled ? 'Disable rule' : 'Enable rule'}
+                          >
+                            {enabled ? <ToggleRight className="w-6 h-6 text-blue-600" /> : <ToggleLeft className="w-6 h-6" />}
+                          </button>
+                        </td>
+                      </tr>
+                    );
+                  })}
+                </tbody>
+              </table>
+            </div>
+          </div>
+
+          <div>
+            <p className="text-sm font-medium text-gray-700 mb-2">Custom Rules</p>
+            <div className="space-y-2">
+              {(override.customRules || []).map((rule) => (
+                <div key={rule.id} className="flex items-center justify-between p-3 rounded-lg border border-gray-200">
+                  <div>
+                    <p className="text-sm font-medium text-gray-900">
+                      {rule.label} <span className={rule.points >= 0 ? 'text-green-600' : 'text-red-600'}>({rule.points > 0 ? '+' : ''}{rule.points})</span>
+                    </p>
+                    <p className="text-xs text-gray-500">
+                      {rule.conditions.map((c) => `${catalog.facts[c.fact]?.label || c.fact} ${OPERATOR_LABELS[c.operator] || c.operator} ${Array.isArray(c.value) ? c.value.join(', ') : c.value ?? ''}`).join(' and ')}
+                    </p>
+                  </div>
+                  <button type="button" onClick={() => removeCustomRule(rule.id)} className="p-1.5 rounded-lg hover:bg-red-50">
+                    <Trash2 className="w-4 h-4 text-red-500" />
+                  </button>
+                </div>
+              ))}
+              {(override.customRules || []).length === 0 && (
+                <p className="text-xs text-gray-500">No custom rules{isGlobal ? '' : ' for this property'}.</p>
+              )}
+            </div>
+
+            <div className="mt-3 grid grid-cols-1 md:grid-cols-6 gap-2 items-end">
+              <div className="md:col-span-2">
+                <InputField label="Label" value={newRule.label} onChange={(v) => setNewRule((r) => ({ ...r, label: v }))} placeholder="Booked less than 24h before arrival" />
+              </div>
+              <SelectField
+                label="When"
+                value={newRule.fact}
+                onChange={(v) => setNewRule((r) => ({ ...r, fact: v }))}
+                options={Object.entries(catalog.facts).map(([value, fact]) => ({ value, label: fact.label }))}
+              />
+              <SelectField
+                label="Operator"
+                value={newRule.operator}
+                onChange={(v) => setNewRule((r) => ({ ...r, operator: v }))}
+                options={catalog.operators.map((op) => ({ value: op, label: OPERATOR_LABELS[op] || op }))}
+              />
+              <InputField label="Value" value={newRule.value} onChange={(v) => setNewRule((r) => ({ ...r, value: v }))} placeholder="24" />
+              <div className="flex items-end gap-2">
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1.5">Points</label>
+                  <NumberCell min={-100} value={newRule.points} onChange={(v) => setNewRule((r) => ({ ...r, points: v ?? 0 }))} />
+                </div>
+                <button
+                  type="button"
+                  onClick={addCustomRule}
+                  disabled={!newRule.label}
+                  className="inline-flex items-center gap-1 px-3 py-2 rounded-lg text-sm font-medium bg-gray-100 hover:bg-gray-200 disabled:opacity-50"
+                >
+                  <Plus className="w-4 h-4" /> Add
+                </button>
+              </div>
+            </div>
+          </div>
+
+          {errors.length > 0 && (
+            <div className="p-3 rounded-lg bg-red-50 border border-red-200 text-sm text-red-700 space-y-1">
+              {errors.map((e, i) => (
+                <p key={i}>{e.path?.length ? `${e.path.join('.')}: ` : ''}{e.message}</p>
+              ))}
+            </div>
+          )}
+
+          <div className="flex flex-wrap items-end justify-between gap-4">
+            <div className="flex-1 min-w-[16rem]">
+              <InputField label="Change note" value={note} onChange={setNote} placeholder="e.g. Stricter Amex auto-submit for Downtown property" />
+            </div>
+            <div className="flex items-center gap-3">
+              <button
+                type="button"
+                onClick={handleBacktest}
+                disabled={backtesting}
+                className="inline-flex items-center gap-2 px-4 py-2.5 rounded-lg text-sm font-medium border border-gray-300 text-gray-700 hover:bg-gray-50 disabled:opacity-50"
+              >
+                {backtesting ? <Loader2 className="w-4 h-4 animate-spin" /> : <FlaskConical className="w-4 h-4" />}
+                Backtest
+              </button>
+              <SaveButton onClick={handleSave} loading={saving} saved={saved} />
+            </div>
+          </div>
+        </div>
+      </SectionCard>
+
+      {backtest && (
+        <SectionCard
+          title="Backtest Results"
+          description="Unsaved edits re-scored against won and lost cases"
+          icon={FlaskConical}
+          actions={<button type="button" onClick={() => setBacktest(null)} className="p-1.5 rounded-lg hover:bg-gray-100"><X className="w-4 h-4 text-gray-500" /></button>}
+        >
+          <BacktestResults result={backtest} />
+        </SectionCard>
+      )}
+
+      <SectionCard title="Rule Set History" description="Every analysis records the version that scored it" icon={History}>
+        <div className="divide-y divide-gray-100">
+          {versions.map((v) => (
+            <div key={v.version} className="flex items-center justify-between py-3">
+              <div>
+                <p className="text-sm font-medium text-gray-900">
+                  v{v.version}
+                  {v.active && <span className="ml-2 inline-flex items-center px-2 py-0.5 rounded-full text-xs font-medium bg-green-100 text-green-700">Live</span>}
+                </p>
+                <p className="text-xs text-gray-500">
+                  {v.note || 'No note'}{v.createdAt ? ` · ${new Date(v.createdAt).toLocaleString()}` : ''}
+                </p>
+              </div>
+              {!v.active && (
+                <button
+                  type="button"
+                  onClick={() => handleRestore(v.version)}
+                  className="inline-flex items-center gap-1 px-3 py-1.5 rounded-lg text-xs font-medium text-blue-600 hover:bg-blue-50"
+                >
+                  <RotateCcw className="w-3.5 h-3.5" /> Restore
+                </button>
+              )}
+            </div>
+          ))}
+        </div>
+      </SectionCard>
+    </>
+  );
+}
+
 function AIDefenseTab() {
   const [config, setConfig] = useState({
     model: 'claude-3-opus',
@@ -748,6 +1347,8 @@ function AIDefenseTab() {
       <div className="flex justify-end">
         <SaveButton onClick={handleSave} loading={saving} saved={saved} />
       </div>
+
+      <ScoringRulesSection />
     </div>
   );
 }
@@ -974,6 +1575,279 @@ function IntegrationsTab() {
   );
 }
 
+function describeSchedule(report) {
+  if (report.cadence === 'DAILY') return 'Daily';
+  if (report.cadence === 'MONTHLY') return `Monthly on day ${report.sendDay ?? 1}`;
+  return `Weekly on ${WEEKDAYS[report.sendDay ?? 1]}`;
+}
+
+function ReportsTab() {
+  const [data, setData] = useState(null);
+  const [properties, setProperties] = useState([]);
+  const [form, setForm] = useState(null);
+  const [errors, setErrors] = useState([]);
+  const [saving, setSaving] = useState(false);
+  const [sending, setSending] = useState(null);
+  const [notice, setNotice] = useState(null);
+  const [preview, setPreview] = useState(null);
+
+  const load = useCallback(async () => {
+    try {
+      const [reports, props] = await Promise.all([
+        api.get('/admin/reports'),
+        api.get('/admin/properties').catch(() => ({ properties: [] })),
+      ]);
+      setData(reports);
+      setProperties(props.properties || []);
+    } catch (err) {
+      setNotice({ type: 'error', text: err.message || 'Failed to load reports' });
+    }
+  }, []);
+
+  useEffect(() => { load(); }, [load]);
+
+  if (!data) {
+    return (
+      <SectionCard title="Email Reports" description="Loading reports..." icon={Mail}>
+        {notice ? <p className="text-sm text-red-600">{notice.text}</p> : <Loader2 className="w-5 h-5 animate-spin text-gray-400" />}
+      </SectionCard>
+    );
+  }
+
+  const sectionKeys = Object.keys(data.sections);
+  const propertyName = (id) => properties.find((p) => p.id === id)?.name || id;
+
+  const openForm = (report) => {
+    setErrors([]);
+    setForm(report
+      ? { ...report, recipients: report.recipients.join(', ') }
+      : { ...EMPTY_REPORT, sections: sectionKeys });
+  };
+
+  const updateForm = (key, value) => setForm((prev) => ({ ...prev, [key]: value }));
+
+  const toggleIn = (key, value) => setForm((prev) => ({
+    ...prev,
+    [key]: prev[key].includes(value) ? prev[key].filter((v) => v !== value) : [...prev[key], value],
+  }));
+
+  const handleSave = async () => {
+    setSaving(true);
+    setErrors([]);
+    const payload = {
+      name: form.name,
+      recipients: form.recipients.split(/[,;\s]+/).filter(Boolean),
+      cadence: form.cadence,
+      sendDay: form.cadence === 'DAILY' ? null : Number(form.sendDay),
+      propertyIds: form.propertyIds,
+      sections: form.sections,
+      attachPdf: form.attachPdf,
+      isActive: form.isActive,
+    };
+    try {
+      const result = form.id
+        ? await api.patch(`/admin/reports/${form.id}`, payload)
+        : await api.post('/admin/reports', payload);
+      setNotice({ type: 'success', text: result.message });
+      setForm(null);
+      await load();
+    } catch (err) {
+      setErrors(err.details || [{ path: [], message: err.message || 'Failed to save report' }]);
+    }
+    setSaving(false);
+  };
+
+  const handleDelete = async (report) => {
+    if (!window.confirm(`Delete the report "${report.name}"? Recipients will stop receiving it.`)) return;
+    try {
+      const result = await api.delete(`/admin/reports/${report.id}`);
+      setNotice({ type: 'success', text: result.message });
+      await load();
+    } catch (err) {
+      setNotice({ type: 'error', text: err.message || 'Failed to delete report' });
+    }
+  };
+
+  const handleSend = async (report) => {
+    setSending(report.id);
+    try {
+      const result = await api.post(`/admin/reports/${report.id}/send`);
+      setNotice({ type: 'success', text: result.message });
+      await load();
+    } catch (err) {
+      setNotice({ type: 'error', text: err.message || 'Failed to send report' });
+    }
+    setSending(null);
+  };
+
+  const handlePreview = async (report) => {
+    try {
+      const html = await api.get(`/admin/reports/${report.id}/preview`, { format: 'html' });
+      setPreview({ name: report.name, html });
+    } catch (err) {
+      setNotice({ type: 'error', text: err.message || 'Failed to render preview' });
+    }
+  };
+
+  return (
+    <div className="space-y-6">
+      <SectionCard
+        title="Email Reports"
+        description="Scheduled dispute summaries for general managers and owners"
+        icon={Mail}
+        actions={(
+          <button
+            onClick={() => openForm(null)}
+            className="inline-flex items-center gap-1.5 px-3 py-2 text-sm font-medium bg-blue-600 text-white rounded-lg hover:bg-blue-700"
+          >
+            <Plus className="w-4 h-4" />
+            New Report
+          </button>
+        )}
+      >
+        {notice && (
+          <div className={`mb-4 flex items-center gap-2 text-sm ${notice.type === 'error' ? 'text-red-600' : 'text-green-600'}`}>
+            {notice.type === 'error' ? <AlertTriangle className="w-4 h-4" /> : <CheckCircle className="w-4 h-4" />}
+            {notice.text}
+          </div>
+        )}
+        {data.mail?.transport === 'log' && (
+          <div className="mb-4 p-3 bg-amber-50 border border-amber-200 rounded-lg text-xs text-amber-800 flex items-start gap-2">
+            <Info className="w-4 h-4 flex-shrink-0" />
+            No mail server is configured, so reports are written to the server log instead of being emailed. Set SMTP_HOST or SENDGRID_API_KEY to deliver them.
+          </div>
+        )}
+        {data.reports.length === 0 ? (
+          <p className="text-sm text-gray-500">No reports yet.</p>
+        ) : (
+          <div className="divide-y divide-gray-100">
+            {data.reports.map((report) => (
+              <div key={report.id} className="py-4 flex flex-col md:flex-row md:items-center gap-3">
+                <div className="flex-1 min-w-0">
+                  <div className="flex items-center gap-2">
+                    <p className="text-sm font-semibold text-gray-900">{report.name}</p>
+                    <StatusBadge status={report.isActive ? 'active' : 'inactive'} />
+                  </div>
+                  <p className="text-xs text-gray-500 mt-1">
+                    {describeSchedule(report)} · {report.propertyIds.length ? report.propertyIds.map(propertyName).join(', ') : 'All properties'} · {report.recipients.join(', ')}
+                  </p>
+                  <p className="text-xs text-gray-400 mt-0.5">
+                    {report.lastSentAt
+                      ? `Last sent ${new Date(report.lastSentAt).toLocaleString()}`
+                      : 'Not sent yet'}
+                    {report.lastStatus === 'failed' && <span className="text-red-500"> · Last attempt failed: {report.lastError}</span>}
+                  </p>
+                </div>
+                <div className="flex items-center gap-2">
+                  <button onClick={() => handlePreview(report)} className="p-2 border border-gray-300 rounded-lg hover:bg-gray-50" title="Preview">
+                    <Eye className="w-4 h-4 text-gray-500" />
+                  </button>
+                  <button
+                    onClick={() => handleSend(report)}
+                    disabled={sending === report.id}
+                    className="inline-flex items-center gap-1.5 px-3 py-2 text-xs font-medium bg-white border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50 disabled:opacity-50"
+                  >
+                    {sending === report.id ? <Loader2 className="w-3 h-3 animate-spin" /> : <Mail className="w-3 h-3" />}
+                    Send Now
+                  </button>
+                  <button onClick={() => openForm(report)} className="p-2 border border-gray-300 rounded-lg hover:bg-gray-50" title="Edit">
+                    <Edit3 className="w-4 h-4 text-gray-500" />
+                  </button>
+                  <button onClick={() => handleDelete(report)} className="p-2 border border-red-200 rounded-lg hover:bg-red-50" title="Delete">
+                    <Trash2 className="w-4 h-4 text-red-500" />
+                  </button>
+                </div>
+              </div>
+            ))}
+          </div>
+        )}
+      </SectionCard>
+
+      <Modal open={!!form} onClose={() => setForm(null)} title={form?.id ? 'Edit Report' : 'New Report'} maxWidth="max-w-2xl">
+        {form && (
+          <div className="space-y-4">
+            <InputField label="Name" value={form.name} onChange={(v) => updateForm('name', v)} placeholder="Weekly Dispute Summary" required />
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1.5">
+                Recipients <span className="text-red-500">*</span>
+              </label>
+              <textarea
+                value={form.recipients}
+                onChange={(e) => updateForm('recipients', e.target.value)}
+                rows={2}
+                placeholder="gm@hotel.com, owner@group.com"
+                className="block w-full rounded-lg border border-gray-300 shadow-sm focus:ring-2 focus:ring-blue-500 focus:border-blue-500 text-sm px-3 py-2.5"
+              />
+              <p className="mt-1 text-xs text-gray-500">Separate addresses with commas</p>
+            </div>
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+              <SelectField
+                label="Cadence"
+                value={form.cadence}
+                onChange={(v) => setForm((prev) => ({ ...prev, cadence: v, sendDay: 1 }))}
+                options={data.cadences.map((c) => ({ value: c, label: c.charAt(0) + c.slice(1).toLowerCase() }))}
+              />
+              {form.cadence !== 'DAILY' && (
+                <SelectField
+                  label={form.cadence === 'WEEKLY' ? 'Send on' : 'Day of month'}
+                  value={String(form.sendDay ?? 1)}
+                  onChange={(v) => updateForm('sendDay', Number(v))}
+                  options={form.cadence === 'WEEKLY'
+                    ? WEEKDAYS.map((day, i) => ({ value: String(i), label: day }))
+                    : Array.from({ length: 28 }, (_, i) => ({ value: String(i + 1), label: String(i + 1) }))}
+                  helpText="Reports go out in the morning (UTC) and cover the period since the previous one"
+                />
+              )}
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1.5">Properties</label>
+              <div className="flex flex-wrap gap-3">
+                {properties.map((p) => (
+                  <label key={p.id} className="inline-flex items-center gap-2 text-sm text-gray-700">
+                    <input type="checkbox" checked={form.propertyIds.includes(p.id)} onChange={() => toggleIn('propertyIds', p.id)} className="rounded border-gray-300" />
+                    {p.name}
+                  </label>
+                ))}
+              </div>
+              <p className="mt-1 text-xs text-gray-500">Leave all unchecked to include every active property. Each property gets its own summary.</p>
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1.5">Sections</label>
+              <div className="flex flex-wrap gap-3">
+                {sectionKeys.map((key) => (
+                  <label key={key} className="inline-flex items-center gap-2 text-sm text-gray-700">
+                    <input type="checkbox" checked={form.sections.includes(key)} onChange={() => toggleIn('sections', key)} className="rounded border-gray-300" />
+                    {data.sections[key]}
+                  </label>
+                ))}
+              </div>
+            </div>
+            <ToggleSwitch enabled={form.attachPdf} onChange={(v) => updateForm('attachPdf', v)} label="Attach PDF" description="Include a PDF copy of the report" />
+            <ToggleSwitch enabled={form.isActive} onChange={(v) => updateForm('isActive', v)} label="Active" description="Paused reports are not sent on schedule" />
+            {errors.length > 0 && (
+              <div className="p-3 bg-red-50 border border-red-200 rounded-lg text-sm text-red-700 space-y-1">
+                {errors.map((e, i) => <p key={i}>{e.message}</p>)}
+              </div>
+            )}
+            <div className="flex justify-end gap-2 pt-2">
+              <button onClick={() => setForm(null)} className="px-4 py-2 text-sm font-medium text-gray-700 border border-gray-300 rounded-lg hover:bg-gray-50">
+                Cancel
+              </button>
+              <SaveButton onClick={handleSave} loading={saving} saved={false} />
+            </div>
+          </div>
+        )}
+      </Modal>
+
+      <Modal open={!!preview} onClose={() => setPreview(null)} title={`Preview: ${preview?.name || ''}`} maxWidth="max-w-3xl">
+        {preview && (
+          <iframe title="Report preview" srcDoc={preview.html} sandbox="" className="w-full h-[70vh] border border-gray-200 rounded-lg" />
+        )}
+      </Modal>
+    </div>
+  );
+}
+
 function UserManagementTab() {
   const [users] = useState(DEMO_USERS);
   const [showInviteModal, setShowInviteModal] = useState(false);
@@ -1618,6 +2492,8 @@ export default function Settings() {
         return <GeneralSettingsTab />;
       case 'notifications':
         return <NotificationsTab />;
+      case 'reports':
+        return <ReportsTab />;
       case 'ai-defense':
         return <AIDefenseTab />;
       case 'integrations':
@@ -36,6 +36,7 @@ export const api = {
   put: (url, data) => axiosInstance.put(url, data),
   patch: (url, data) => axiosInstance.patch(url, data),
   delete: (url) => axiosInstance.delete(url),
+  download: (url, params) => axiosInstance.get(url, { params, responseType: 'blob' }),
 };
 
 export function formatCurrency(amount) {
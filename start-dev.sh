@@ -1,7 +1,7 @@
 #!/bin/bash
 
 # DisputeAI - Full Stack Local Development Launcher
-# Starts PostgreSQL, Redis, Backend API, and Frontend
+# Starts PostgreSQL, Redis, Backend API, PMS emulator, and Frontend
 # Works for both desktop browser and mobile (via LAN IP)
 
 set -e
@@ -103,7 +103,25 @@ for i in {1..30}; do
     if [ $i -eq 30 ]; then echo -e " ${YELLOW}still starting...${NC}"; fi
 done
 
-# ── Step 5: Start Frontend ────────────────────────────────────────────
+# ── Step 5: Start PMS Emulator ────────────────────────────────────────
+# Serves the demo hotel's reservations in Opera Cloud, Mews and Cloudbeds
+# dialects. Webhooks go to the backend once PMS_EMULATOR_WEBHOOK_TOKEN is set
+# to the token at the end of a PMS integration's webhookPath and
+# PMS_EMULATOR_WEBHOOK_SECRET to that integration's webhook secret (unsigned
+# deliveries are refused).
+PMS_EMULATOR_PORT=${PMS_EMULATOR_PORT:-4020}
+echo ""
+echo -e "${CYAN}Starting PMS Emulator (port ${PMS_EMULATOR_PORT})...${NC}"
+cd "$ROOT_DIR/backend"
+PMS_EMULATOR_WEBHOOK_URL=${PMS_EMULATOR_WEBHOOK_URL:-http://localhost:8000/api/webhooks} \
+PMS_EMULATOR_WEBHOOK_TOKEN=${PMS_EMULATOR_WEBHOOK_TOKEN:-} \
+PMS_EMULATOR_WEBHOOK_SECRET=${PMS_EMULATOR_WEBHOOK_SECRET:-} \
+    node services/pms/emulator/index.js "$PMS_EMULATOR_PORT" &
+EMULATOR_PID=$!
+echo "  PMS Emulator PID: $EMULATOR_PID"
+cd "$ROOT_DIR"
+
+# ── Step 6: Start Frontend ────────────────────────────────────────────
 echo ""
 echo -e "${CYAN}Starting Frontend (port 3000)...${NC}"
 cd "$ROOT_DIR/frontend"
@@ -124,6 +142,7 @@ echo ""
 echo -e "  ${BOLD}Desktop:${NC}"
 echo -e "    Frontend:  ${CYAN}http://localhost:3000${NC}"
 echo -e "    Backend:   ${CYAN}http://localhost:8000${NC}"
+echo -e "    PMS Emulator: ${CYAN}http://localhost:${PMS_EMULATOR_PORT}/_emulator${NC}  (Opera /opera, Mews /mews, Cloudbeds /cloudbeds)"
 echo ""
 echo -e "  ${BOLD}Mobile (same WiFi):${NC}"
 echo -e "    Open on phone: ${CYAN}http://${LAN_IP}:3000${NC}"
@@ -147,6 +166,7 @@ cleanup() {
     echo ""
     echo -e "${YELLOW}Shutting down DisputeAI...${NC}"
     kill $BACKEND_PID 2>/dev/null
+    kill $EMULATOR_PID 2>/dev/null
     kill $FRONTEND_PID 2>/dev/null
     if [ "$DOCKER_AVAILABLE" = true ]; then
         echo "  Stopping Docker services..."